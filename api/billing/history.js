@@ -0,0 +1,10 @@
+/**
+ * GET /api/billing/history - Vercel function
+ *
+ * Mounts the shared route from routes/billing.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../../lib/http');
+const { createBillingRouter } = require('../../routes/billing');
+
+module.exports = createServerlessHandler(createBillingRouter());
@@ -0,0 +1,10 @@
+/**
+ * POST /api/buy-gift - Vercel function
+ *
+ * Mounts the shared route from routes/payments.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../lib/http');
+const { createBuyGiftRouter } = require('../routes/payments');
+
+module.exports = createServerlessHandler(createBuyGiftRouter());
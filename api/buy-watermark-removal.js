@@ -1,4 +1,5 @@
 const stripeService = require('../services/stripe');
+const pricing = require('../services/pricing');
 const { verifyToken } = require('../lib/supabase');
 const crypto = require('crypto');
 
@@ -81,7 +82,7 @@ function getAnonIdFromCookie(req) {
 
 /**
  * POST /api/buy-watermark-removal
- * Creates a Stripe checkout session for watermark removal + 1 premium generation ($2.99)
+ * Creates a Stripe checkout session for watermark removal + 1 premium generation
  *
  * Supports both authenticated AND anonymous users:
  * - Authenticated: Uses userId/email from JWT token
@@ -100,6 +101,9 @@ module.exports = async function handler(req, res) {
   }
 
   try {
+    // Stripe price comes from the pricing catalog
+    await pricing.ready();
+
     // Try to authenticate (optional for anonymous users)
     const { user, error: authError } = await authenticateRequest(req);
 
@@ -1,4 +1,5 @@
 const stripeService = require('../services/stripe');
+const emailService = require('../services/email');
 const { verifyToken, createAdminClient } = require('../lib/supabase');
 
 // Allowed origins for CORS (configure via environment variable)
@@ -135,6 +136,15 @@ module.exports = async function handler(req, res) {
     // This prevents attackers from cancelling other users' subscriptions
     const result = await stripeService.cancelSubscription(profile.stripe_customer_id);
 
+    if (result.success) {
+      await emailService.sendCancellationNotice({
+        userId: user.id,
+        to: user.email || null,
+        subscriptionId: result.subscriptionId,
+        cancelAt: result.cancelAt
+      });
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Subscription cancellation error:', error.message);
@@ -0,0 +1,10 @@
+/**
+ * POST /api/change-plan - Vercel function
+ *
+ * Mounts the shared route from routes/payments.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../lib/http');
+const { createChangePlanRouter } = require('../routes/payments');
+
+module.exports = createServerlessHandler(createChangePlanRouter());
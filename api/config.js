@@ -1,10 +1,12 @@
-const fs = require('fs');
-const path = require('path');
+const { isSelfConsentRequired } = require('../services/consent');
+const pricing = require('../services/pricing');
+const templates = require('../services/templates');
 
 /**
  * GET /api/config
  * Returns public configuration for the frontend
- * (Only non-secret values that are safe to expose)
+ * (Only non-secret values that are safe to expose, including the tiers and
+ * prices from the pricing catalog)
  *
  * Also handles /api/config?health=true for health check (consolidated from api/health.js)
  */
@@ -24,19 +26,15 @@ module.exports = async function handler(req, res) {
 
   // Health check mode (consolidated from api/health.js)
   if (req.query.health === 'true') {
-    const photosDir = path.join(process.cwd(), 'public', 'epstein-photos');
-    let photoCount = 0;
-    if (fs.existsSync(photosDir)) {
-      photoCount = fs.readdirSync(photosDir)
-        .filter(f => /\.(jpg|jpeg|png|webp)$/i.test(f)).length;
-    }
     return res.json({
       status: 'ok',
       apiKeySet: !!process.env.GEMINI_API_KEY,
-      epsteinPhotosCount: photoCount
+      epsteinPhotosCount: templates.listTemplates().length
     });
   }
 
+  await pricing.ready();
+
   // Return public config (these are safe to expose - they're public keys)
   res.json({
     supabase: {
@@ -45,6 +43,12 @@ module.exports = async function handler(req, res) {
     },
     stripe: {
       publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || ''
+    },
+    // Tiers and prices from the pricing catalog
+    ...pricing.getPublicPricing(),
+    features: {
+      // POST /api/generate needs a selfie matching the uploaded face
+      selfConsent: isSelfConsentRequired()
     }
   });
 };
@@ -1,42 +1,10 @@
-const fs = require('fs');
-const path = require('path');
-
 /**
- * Get list of Epstein photos for gallery
+ * GET /api/photos - Vercel function
+ *
+ * Mounts the shared route from routes/photos.js (same handler as server.js).
  */
-function getEpsteinPhotos() {
-  // In Vercel, static files are at process.cwd()/public
-  const photosDir = path.join(process.cwd(), 'public', 'epstein-photos');
-
-  if (!fs.existsSync(photosDir)) {
-    return [];
-  }
-
-  const files = fs.readdirSync(photosDir)
-    .filter(f => /\.(jpg|jpeg|png|webp|avif)$/i.test(f))
-    .map(f => ({
-      name: f.replace(/\.[^.]+$/, '').replace(/-/g, ' '),
-      path: `/epstein-photos/${f}`,
-      filename: f
-    }));
-
-  return files;
-}
-
-module.exports = function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
 
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+const { createServerlessHandler } = require('../lib/http');
+const { createPhotosRouter } = require('../routes/photos');
 
-  const photos = getEpsteinPhotos();
-  res.json({ photos });
-};
+module.exports = createServerlessHandler(createPhotosRouter());
@@ -0,0 +1,10 @@
+/**
+ * GET /api/provenance/key - Vercel function
+ *
+ * Mounts the shared route from routes/provenance.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../../lib/http');
+const { createProvenanceRouter } = require('../../routes/provenance');
+
+module.exports = createServerlessHandler(createProvenanceRouter());
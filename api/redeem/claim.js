@@ -0,0 +1,10 @@
+/**
+ * POST /api/redeem/claim - Vercel function
+ *
+ * Mounts the shared route from routes/gifts.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../../lib/http');
+const { createRedeemRouter } = require('../../routes/gifts');
+
+module.exports = createServerlessHandler(createRedeemRouter());
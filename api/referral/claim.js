@@ -0,0 +1,10 @@
+/**
+ * POST /api/referral/claim - Vercel function
+ *
+ * Mounts the shared route from routes/referrals.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../../lib/http');
+const { createReferralRouter } = require('../../routes/referrals');
+
+module.exports = createServerlessHandler(createReferralRouter());
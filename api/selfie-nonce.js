@@ -0,0 +1,10 @@
+/**
+ * POST /api/selfie-nonce - Vercel function
+ *
+ * Mounts the shared route from routes/consent.js (same handler as server.js).
+ */
+
+const { createServerlessHandler } = require('../lib/http');
+const { createConsentRouter } = require('../routes/consent');
+
+module.exports = createServerlessHandler(createConsentRouter());
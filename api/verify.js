@@ -0,0 +1,18 @@
+/**
+ * GET/POST /api/verify - Vercel function
+ *
+ * Mounts the shared route from routes/verify.js (same handler as server.js).
+ * Serverless keeps no output files, so images must be uploaded, not linked.
+ */
+
+const { createServerlessHandler } = require('../lib/http');
+const { createVerifyRouter } = require('../routes/verify');
+
+module.exports = createServerlessHandler(createVerifyRouter());
+
+// Disable Vercel's body parser - multer reads the multipart stream
+module.exports.config = {
+  api: {
+    bodyParser: false,
+  },
+};
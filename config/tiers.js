@@ -1,22 +1,20 @@
 /**
  * Tier Configuration for Pimp My Epstein
- * Defines usage limits for each subscription tier
+ * Defines the image models and each subscription tier's usage limits
  *
  * Two-Tier Generation System:
  * - Quick: Fast Gemini model (gemini-2.5-flash-image-preview) - fast, good quality
  * - Premium: High-quality Imagen 3 (imagen-3.0-generate-002) - fewer uses, best quality
  *
- * Pricing Model:
- * - Anonymous users get 3 quick watermarked generations (no premium)
- * - Base subscription: $14.99/month for 100 quick + 10 premium watermark-free
- * - Credits: $3.00 for 3 premium generations
+ * Tier limits, credit costs and prices come from the pricing catalog
+ * (config/pricing.json, services/pricing.js); the tier entries here are a view
+ * of it kept for existing callers (tiers.free.quickLimit, tiers.credit, ...).
  */
 
-// Stripe price IDs (set these in environment variables)
-const STRIPE_PRICE_BASE = process.env.STRIPE_PRICE_BASE || null;  // $14.99/mo subscription
-const STRIPE_PRICE_CREDIT = process.env.STRIPE_PRICE_CREDIT || null;  // $3.00 credit pack
+const pricing = require('../services/pricing');
 
 // Model configurations
+// provider: adapter in providers/ that serves this model ('gemini' or 'fake')
 const models = {
   quick: {
     name: 'Quick',
@@ -34,61 +32,37 @@ const models = {
   }
 };
 
-module.exports = {
-  models,
+const tiers = { models };
 
-  anonymous: {
-    limit: 3,  // 3 quick only
-    monthlyLimit: 3,
-    quickLimit: 3,
-    premiumLimit: 0,
-    name: 'Anonymous',
-    description: 'Try 3 quick generations',
-    watermarkFree: false,
-    canPurchaseCredits: false
-  },
-  free: {
-    limit: 6,  // 5 quick + 1 premium
-    monthlyLimit: 6,
-    quickLimit: 5,
-    premiumLimit: 1,
-    name: 'Free',
-    description: '5 quick + 1 premium generation',
-    watermarkFree: false,
-    canPurchaseCredits: true
-  },
-  base: {
-    limit: Infinity,
-    monthlyLimit: 50,  // 50 total generations per month (any model)
-    quickLimit: 50,    // Can use all 50 as quick
-    premiumLimit: 50,  // Or all 50 as premium (shared pool)
-    name: 'Base',
-    description: '50 watermark-free images per month',
-    watermarkFree: true,
-    canPurchaseCredits: true,
-    priceId: STRIPE_PRICE_BASE,
-    priceMonthly: 14.99
-  },
-  // Legacy tier - treat as base for backward compatibility
-  paid: {
-    limit: Infinity,
-    monthlyLimit: 50,
-    quickLimit: 50,
-    premiumLimit: 50,
-    name: 'Base',
-    description: '50 watermark-free images per month',
-    watermarkFree: true,
-    canPurchaseCredits: true,
-    priceId: STRIPE_PRICE_BASE,
-    priceMonthly: 14.99
-  },
-  // Credit purchase info - 1 credit = quick, 2 credits = premium
-  credit: {
-    priceId: STRIPE_PRICE_CREDIT,
-    pricePerPack: 3.00,
-    creditsPerPack: 3,  // $3 = 3 credits ($1 each)
-    quickCost: 1,       // 1 credit per quick generation
-    premiumCost: 2,     // 2 credits per premium generation
-    description: '3 credits ($1 each) - Quick: 1 credit, Premium: 2 credits'
+/**
+ * Rebuild the tier entries from the pricing catalog
+ * Updated in place, so modules holding this object see catalog reloads.
+ */
+function applyCatalog() {
+  for (const key of Object.keys(tiers)) {
+    if (key !== 'models') {
+      delete tiers[key];
+    }
   }
-};
+
+  for (const id of pricing.getTierIds()) {
+    const { id: _id, price, features, ...tier } = pricing.getTier(id);
+    tiers[id] = tier;
+  }
+
+  // Credit purchase info - 1 credit = quick, 2 credits = premium
+  const creditPack = pricing.getProduct('credit_pack');
+  tiers.credit = {
+    priceId: creditPack.priceId,
+    pricePerPack: creditPack.price,
+    creditsPerPack: creditPack.credits,
+    quickCost: pricing.getCreditCost('quick'),
+    premiumCost: pricing.getCreditCost('premium'),
+    description: creditPack.description
+  };
+}
+
+applyCatalog();
+pricing.onCatalogChange(applyCatalog);
+
+module.exports = tiers;
@@ -0,0 +1,183 @@
+/**
+ * Email Templates for Pimp My Epstein
+ *
+ * Transactional messages for the Stripe lifecycle: receipts, gift codes,
+ * cancellation and dunning notices. Each template takes its data and returns
+ * { subject, text, html }; the HTML part is the same paragraphs in a minimal
+ * layout, so both parts always say the same thing.
+ */
+
+const APP_NAME = 'Pimp My Epstein';
+
+/**
+ * Base URL of the app (for links in emails)
+ * @returns {string}
+ */
+function getAppUrl() {
+  return process.env.APP_URL || 'http://localhost:3000';
+}
+
+/**
+ * Where subscribers manage billing (the upgrade page links to the Stripe portal)
+ * @returns {string}
+ */
+function getBillingUrl() {
+  return `${getAppUrl()}/upgrade.html`;
+}
+
+/**
+ * Format a timestamp as a date (e.g. "March 3, 2026")
+ * @param {string|number|Date} value
+ * @returns {string}
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Format an amount in the currency's smallest unit (e.g. 1499 -> "$14.99")
+ * @param {number} amount
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+function formatAmount(amount, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format((amount || 0) / 100);
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build both parts of a message from its paragraphs
+ * @param {string} subject
+ * @param {string[]} paragraphs - Plain text; URLs become links in the HTML part
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function compose(subject, paragraphs) {
+  const toHtml = paragraph => escapeHtml(paragraph)
+    .replace(/\n/g, '<br>')
+    .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>');
+
+  const text = [...paragraphs, `- ${APP_NAME}`].join('\n\n') + '\n';
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', sans-serif; color: #18181b; max-width: 560px; margin: 0 auto; padding: 24px;">',
+    ...paragraphs.map(paragraph => `<p>${toHtml(paragraph)}</p>`),
+    `<p style="color: #71717a;">${APP_NAME}</p>`,
+    '</body></html>'
+  ].join('\n');
+
+  return { subject, text, html };
+}
+
+/**
+ * Receipt lines shared by every purchase
+ */
+function receiptLines({ description, amount, currency, paidAt, reference }) {
+  return [
+    `Item: ${description}`,
+    `Amount paid: ${formatAmount(amount, currency)}`,
+    `Date: ${formatDate(paidAt)}`,
+    `Reference: ${reference}`
+  ].join('\n');
+}
+
+const TEMPLATES = {
+  // data: { planName, amount, currency, interval, paidAt, reference }
+  subscription_receipt: data => compose(`Your ${APP_NAME} receipt`, [
+    `Thanks for subscribing to ${data.planName}!`,
+    receiptLines({ ...data, description: `${data.planName} (billed every ${data.interval})` }),
+    `Your watermark-free images are ready to make: ${getAppUrl()}`,
+    `Manage or cancel your subscription any time: ${getBillingUrl()}`
+  ]),
+
+  // data: { credits, amount, currency, paidAt, reference }
+  credit_receipt: data => compose(`Your ${APP_NAME} receipt`, [
+    `Thanks for your purchase! ${data.credits} credit${data.credits === 1 ? ' has' : 's have'} been added to your account.`,
+    receiptLines({ ...data, description: `${data.credits} credit${data.credits === 1 ? '' : 's'}` }),
+    'Credits never expire.'
+  ]),
+
+  // data: { amount, currency, paidAt, reference }
+  watermark_removal_receipt: data => compose(`Your ${APP_NAME} receipt`, [
+    'Thanks for your purchase! Your image is unlocked without the watermark.',
+    receiptLines({ ...data, description: 'Watermark removal + 1 premium generation' })
+  ]),
+
+  // data: { code, credits, expiresAt, redeemLink, recipientEmail, amount, currency, paidAt, reference }
+  gift_receipt: data => compose(`Your ${APP_NAME} gift code`, [
+    `Thanks for your purchase! Here is your gift code for ${data.credits} credits:`,
+    data.code,
+    data.recipientEmail
+      ? `We've also sent it to ${data.recipientEmail}. They can redeem it here: ${data.redeemLink}`
+      : `Pass it on - they can redeem it here: ${data.redeemLink}`,
+    `The code can be redeemed once, until ${formatDate(data.expiresAt)}.`,
+    receiptLines({ ...data, description: `Gift pack (${data.credits} credits)` })
+  ]),
+
+  // data: { code, credits, expiresAt, redeemLink, message }
+  gift_received: data => compose(`You've been gifted ${APP_NAME} credits`, [
+    `Someone sent you ${data.credits} credits for ${APP_NAME}!`,
+    ...(data.message ? [`Their message: "${data.message}"`] : []),
+    `Your gift code: ${data.code}`,
+    `Redeem it here: ${data.redeemLink}`,
+    `The code can be redeemed once, until ${formatDate(data.expiresAt)}.`
+  ]),
+
+  // data: { cancelAt }
+  subscription_canceled: data => compose(`Your ${APP_NAME} subscription is canceled`, [
+    `Your subscription has been canceled. You keep your plan until ${formatDate(data.cancelAt)}, then your account moves to the free tier.`,
+    `Changed your mind? Subscribe again any time: ${getBillingUrl()}`
+  ]),
+
+  // data: { gracePeriodEndsAt }
+  payment_failed: data => compose(`Your ${APP_NAME} payment failed`, [
+    'We could not charge your card for your subscription.',
+    `Your plan stays active until ${formatDate(data.gracePeriodEndsAt)}, but new images are watermarked until the payment goes through.`,
+    `Update your payment method to keep your plan: ${getBillingUrl()}`,
+    'If nothing changes by then, your account moves to the free tier.'
+  ]),
+
+  downgraded: () => compose(`Your ${APP_NAME} subscription is paused`, [
+    'We still could not charge your card, so your account is now on the free tier.',
+    `Update your payment method to restore your plan: ${getBillingUrl()}`
+  ]),
+
+  payment_recovered: () => compose(`Your ${APP_NAME} payment went through`, [
+    'Thanks - your payment went through and your plan is fully active again.',
+    'New images are watermark-free again.'
+  ])
+};
+
+/**
+ * Render a template
+ * @param {string} name - Key of TEMPLATES
+ * @param {object} data - Template data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderTemplate(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderTemplate,
+  formatAmount,
+  formatDate,
+  escapeHtml,
+};
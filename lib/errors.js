@@ -0,0 +1,54 @@
+/**
+ * Error Codes & Responses
+ *
+ * Shared by the Express server and the Vercel functions so both deployments
+ * return the same `code` values for the same failures.
+ */
+
+// Error codes for client handling
+const ERROR_CODES = {
+  NO_FACE: 'NO_FACE',
+  MULTIPLE_FACES: 'MULTIPLE_FACES',
+  IMAGE_TOO_SMALL: 'IMAGE_TOO_SMALL',
+  IMAGE_TOO_LARGE: 'IMAGE_TOO_LARGE',
+  SAFETY_BLOCK: 'SAFETY_BLOCK',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  GENERATION_FAILED: 'GENERATION_FAILED',
+  SELF_CONSENT_FAILED: 'SELF_CONSENT_FAILED',
+  PROTECTED_SUBJECT: 'PROTECTED_SUBJECT',
+};
+
+/**
+ * Create structured error response
+ */
+function createErrorResponse(code, message, details = null) {
+  const response = {
+    error: message,
+    code: code,
+  };
+  if (details) {
+    response.details = details;
+  }
+  return response;
+}
+
+/**
+ * Log error with full details server-side
+ */
+function logError(code, message, error = null) {
+  console.error(`\n❌ [${code}] ${message}`);
+  if (error) {
+    console.error(`   Details: ${error.message || error}`);
+    if (error.stack) {
+      console.error(`   Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  createErrorResponse,
+  logError,
+};
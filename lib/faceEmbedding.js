@@ -0,0 +1,171 @@
+/**
+ * Face Embeddings - local face detection, 128-d face descriptors and apparent age
+ *
+ * Runs face-api (SSD MobileNet detector + 68-point landmarks + ResNet
+ * recognition net + age/gender net) on the TensorFlow.js WASM backend,
+ * entirely in-process: no photo ever leaves the server for face analysis.
+ *
+ * Models are loaded lazily on first use (~13MB, shipped inside the
+ * @vladmandic/face-api package) and kept for the life of the process.
+ * Results are cached per Buffer, so the checks run on one upload (self-consent,
+ * screening) share a single detection pass.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { ERROR_CODES } = require('./errors');
+const { computePerceptualHash } = require('./imageHash');
+
+// Faces further apart than this (Euclidean distance) are different people.
+// face-api's usual threshold is 0.6; we're a little stricter because a false
+// match lets someone generate a fake of a third party.
+const MAX_FACE_DISTANCE = 0.55;
+
+// Detection runs on a downscaled copy - faces in selfies and upload photos are
+// large, and this keeps inference around a second on a single core
+const MAX_DETECTION_DIMENSION = 640;
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Refuse to decode anything larger than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1024 * 1024;
+
+const MODEL_DIR = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+
+let faceapi = null;
+let loadPromise = null;
+
+// Buffer -> Promise<faces> (entries go away with the request's buffers)
+const detectionCache = new WeakMap();
+
+/**
+ * Load the WASM backend and models (once)
+ * @returns {Promise<object>} face-api module
+ */
+function loadModels() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      require('@tensorflow/tfjs-backend-wasm');
+      const api = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+      await api.tf.setBackend('wasm');
+      await api.tf.ready();
+      await api.nets.ssdMobilenetv1.loadFromDisk(MODEL_DIR);
+      await api.nets.faceLandmark68Net.loadFromDisk(MODEL_DIR);
+      await api.nets.faceRecognitionNet.loadFromDisk(MODEL_DIR);
+      await api.nets.ageGenderNet.loadFromDisk(MODEL_DIR);
+      faceapi = api;
+      console.log(`[faceEmbedding] Models loaded (${api.tf.getBackend()} backend)`);
+      return api;
+    })().catch(error => {
+      // Allow a retry on the next call instead of caching the failure
+      loadPromise = null;
+      throw error;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Detect faces and compute their descriptors and apparent age
+ * @param {Buffer} imageBuffer - Image bytes (any format sharp can read)
+ * @returns {Promise<Array<object>>} Faces, largest first:
+ *   { descriptor: Float32Array(128), age, box: { x, y, width, height }, sizePx, score, cropHash }
+ *   (box is relative to the image, 0-1; sizePx is the shorter box side as analysed;
+ *   cropHash is the perceptual hash of the face region - copies of one picture
+ *   share it, two photos of the same person don't)
+ * @throws {Error} code INVALID_FORMAT if the image can't be decoded
+ */
+function detectFaces(imageBuffer) {
+  let faces = detectionCache.get(imageBuffer);
+  if (!faces) {
+    faces = runDetection(imageBuffer);
+    detectionCache.set(imageBuffer, faces);
+    // Don't cache failures (e.g. models failed to load)
+    faces.catch(() => detectionCache.delete(imageBuffer));
+  }
+  return faces;
+}
+
+async function runDetection(imageBuffer) {
+  const api = faceapi || await loadModels();
+
+  let data;
+  let info;
+  try {
+    ({ data, info } = await sharp(imageBuffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate() // Respect EXIF orientation (phone photos)
+      .resize(MAX_DETECTION_DIMENSION, MAX_DETECTION_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    // Corrupt, or a format this sharp build can't decode (HEIC) - a bad
+    // upload, not a server fault
+    const unreadable = new Error(`Could not decode image: ${error.message}`);
+    unreadable.code = ERROR_CODES.INVALID_FORMAT;
+    throw unreadable;
+  }
+
+  const tensor = api.tf.tensor3d(data, [info.height, info.width, 3], 'int32');
+  try {
+    const detections = await api
+      .detectAllFaces(tensor, new api.SsdMobilenetv1Options({ minConfidence: MIN_DETECTION_CONFIDENCE }))
+      .withFaceLandmarks()
+      .withFaceDescriptors()
+      .withAgeAndGender();
+
+    const faces = [];
+    for (const { detection, descriptor, age } of detections) {
+      faces.push({
+        descriptor,
+        age,
+        score: detection.score,
+        sizePx: Math.round(Math.min(detection.box.width, detection.box.height)),
+        box: {
+          x: detection.box.x / info.width,
+          y: detection.box.y / info.height,
+          width: detection.box.width / info.width,
+          height: detection.box.height / info.height,
+        },
+        cropHash: await hashFaceRegion(data, info, detection.box),
+      });
+    }
+    return faces.sort((a, b) => (b.box.width * b.box.height) - (a.box.width * a.box.height));
+  } finally {
+    tensor.dispose();
+  }
+}
+
+/**
+ * Perceptual hash of one detected face in the decoded image
+ * (boxes can reach past the edges - clamp them to the image)
+ */
+async function hashFaceRegion(data, info, box) {
+  const left = Math.max(0, Math.floor(box.x));
+  const top = Math.max(0, Math.floor(box.y));
+  const width = Math.max(1, Math.min(info.width, Math.ceil(box.x + box.width)) - left);
+  const height = Math.max(1, Math.min(info.height, Math.ceil(box.y + box.height)) - top);
+  const crop = await sharp(data, { raw: { width: info.width, height: info.height, channels: 3 } })
+    .extract({ left, top, width, height })
+    .png()
+    .toBuffer();
+  return computePerceptualHash(crop);
+}
+
+/**
+ * Euclidean distance between two face descriptors
+ * @returns {number} 0 (identical) upwards; below MAX_FACE_DISTANCE is the same person
+ */
+function faceDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+}
+
+module.exports = {
+  detectFaces,
+  faceDistance,
+  loadModels,
+  MAX_FACE_DISTANCE,
+};
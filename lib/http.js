@@ -0,0 +1,178 @@
+/**
+ * Shared HTTP Setup
+ *
+ * Middleware stack used by both entry points:
+ * - server.js (long-running Express server)
+ * - api/*.js (Vercel functions, each wrapping a router from routes/)
+ *
+ * Both mount the same routers on top of this stack, so CORS, security
+ * headers, body limits, auth and admin detection behave identically.
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
+
+const { authMiddleware } = require('../middleware/auth');
+const { checkAdminMiddleware } = require('../middleware/admin');
+const pricing = require('../services/pricing');
+const templates = require('../services/templates');
+
+const isProduction = process.env.NODE_ENV === 'production';
+const DEV_DEBUG_COOKIE = 'dev_debug';
+
+// SECURITY: Restrict CORS to allowed origins only
+// This prevents malicious sites from making authenticated requests on behalf of users
+// ALLOWED_ORIGINS (comma-separated) replaces the production domains
+const allowedOrigins = [
+  ...(process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+    : ['https://pimpmyepstein.lol', 'https://www.pimpmyepstein.lol']),
+  !isProduction ? 'http://localhost:3000' : null,
+  !isProduction ? 'http://127.0.0.1:3000' : null,
+].filter(Boolean);
+
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (mobile apps, curl, Postman)
+    // but only in non-production mode
+    if (!origin) {
+      if (!isProduction) {
+        return callback(null, true);
+      }
+      // In production, require origin header
+      return callback(null, false);
+    }
+
+    if (allowedOrigins.includes(origin)) {
+      callback(null, true);
+    } else {
+      console.log(`[CORS] Blocked request from origin: ${origin}`);
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token', 'Prefer'],
+};
+
+const helmetOptions = {
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
+      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+      fontSrc: ["'self'", "https://fonts.gstatic.com"],
+      imgSrc: ["'self'", "data:", "blob:", "https:"],
+      connectSrc: ["'self'", "https://*.supabase.co", "https://api.stripe.com"],
+      frameAncestors: ["'none'"], // Prevent clickjacking
+    },
+  },
+  crossOriginEmbedderPolicy: false,
+  // SECURITY: Prevent clickjacking by not allowing this site to be framed
+  frameguard: { action: 'deny' },
+  // SECURITY: Force HTTPS in production (HSTS)
+  hsts: isProduction ? {
+    maxAge: 31536000, // 1 year
+    includeSubDomains: true,
+    preload: true
+  } : false,
+  // SECURITY: Hide X-Powered-By header to reduce fingerprinting
+  hidePoweredBy: true,
+  // SECURITY: Prevent MIME type sniffing
+  noSniff: true,
+  // SECURITY: XSS filter
+  xssFilter: true,
+};
+
+/**
+ * Whether the request comes from this machine (local dev tooling only)
+ */
+function isLocalRequest(req) {
+  const ip = req.ip || '';
+  const host = (req.hostname || '').toLowerCase();
+  const isLocalHost = host === 'localhost' || host === '127.0.0.1';
+  const isLoopback = ip === '127.0.0.1' || ip === '::1' || ip.startsWith('::ffff:127.');
+  return isLocalHost || isLoopback;
+}
+
+/**
+ * Apply CORS, security headers, body/cookie parsing and the dev debug flag
+ * @param {object} app - Express app
+ */
+function applySecurityMiddleware(app) {
+  app.use(cors(corsOptions));
+  app.use(helmet(helmetOptions));
+  app.use(express.json({ limit: '10mb' })); // Match multer's 10MB limit
+  app.use(cookieParser()); // SECURITY: Required for httpOnly admin token cookies
+  app.use((req, res, next) => {
+    const allowLocalDebug = !isProduction && isLocalRequest(req);
+    req.isDevDebug = allowLocalDebug && req.cookies?.[DEV_DEBUG_COOKIE] === '1';
+    next();
+  });
+}
+
+/**
+ * Attach req.user / req.isAuthenticated and req.isAdmin / req.isTestMode
+ * @param {object} app - Express app
+ */
+function applySessionMiddleware(app) {
+  // Non-blocking: just attaches user info
+  app.use(authMiddleware);
+  app.use(checkAdminMiddleware);
+}
+
+/**
+ * Global error handler - catches all unhandled errors and returns JSON
+ * MUST be registered after all routes and middleware
+ */
+function errorHandler(err, req, res, next) {
+  console.error('[Global Error Handler]', err.message);
+  const status = err.status || err.statusCode || 500;
+  res.status(status).json({
+    error: err.message || 'Internal server error',
+    code: err.code || 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * Build a Vercel function handler from shared routers
+ * The returned Express app is itself a (req, res) handler.
+ * @param {...object} routers - Routers from routes/
+ * @returns {function} Request handler
+ */
+function createServerlessHandler(...routers) {
+  const app = express();
+
+  // Vercel's edge is the only proxy in front of the function
+  app.set('trust proxy', 1);
+
+  applySecurityMiddleware(app);
+  applySessionMiddleware(app);
+  // Database pricing and template catalogs (pricing is checked once per instance,
+  // on the first request; templates again whenever the last check is stale)
+  app.use((req, res, next) => {
+    Promise.all([pricing.ready(), templates.ready()]).then(() => next());
+  });
+  routers.forEach(router => app.use(router));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  isProduction,
+  allowedOrigins,
+  corsOptions,
+  DEV_DEBUG_COOKIE,
+  isLocalRequest,
+  applySecurityMiddleware,
+  applySessionMiddleware,
+  errorHandler,
+  createServerlessHandler,
+};
@@ -0,0 +1,71 @@
+/**
+ * Perceptual Image Hash (dHash)
+ *
+ * 64-bit difference hash: the image is shrunk to 9x8 greyscale and each bit
+ * records whether a pixel is brighter than its right neighbour. Re-encoding,
+ * resizing and mild recompression (what happens when an image is shared on
+ * social media) change only a few bits, so copies can be matched by Hamming
+ * distance even after the embedded provenance manifest has been stripped.
+ */
+
+const sharp = require('sharp');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Refuse to decode anything larger than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1024 * 1024;
+
+/**
+ * Compute the perceptual hash of an image
+ * @param {Buffer} buffer - Image bytes (any format sharp can read)
+ * @returns {Promise<string>} 16-character hex hash
+ */
+async function computePerceptualHash(buffer) {
+  const pixels = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a - Hex hash from computePerceptualHash()
+ * @param {string} b - Hex hash from computePerceptualHash()
+ * @returns {number} 0 (identical) to 64
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Whether a string looks like a hash from computePerceptualHash()
+ */
+function isValidHash(hash) {
+  return typeof hash === 'string' && /^[0-9a-f]{16}$/.test(hash);
+}
+
+module.exports = {
+  computePerceptualHash,
+  hammingDistance,
+  isValidHash,
+};
@@ -0,0 +1,376 @@
+/**
+ * Invisible Watermark - frequency-domain mark applied to every output
+ *
+ * Complements the visible overlay in lib/watermark.js (which can be cropped or
+ * inpainted away, and is skipped for watermark-free tiers).
+ *
+ * Payload (160 bits): 16-bit "AI parody" marker + 128-bit generation ID (UUID)
+ * + CRC-16. It is tiled across the image in cells of width/64 pixels, one bit
+ * per cell, encoded in the relative size of two low-frequency DCT coefficients
+ * of the cell's luminance (Koch-Zhao style: bit 1 => c(1,2) > c(2,1)).
+ *
+ * Why it survives:
+ * - JPEG recompression: low-frequency coefficients are barely quantized
+ * - Resizing: cells are sized relative to the image width, so the decoder
+ *   recovers the grid from the width alone; comparing two coefficients is
+ *   insensitive to brightness/contrast changes
+ * - Moderate cropping: the payload repeats every 16x10 cells and each bit is
+ *   decided by a vote over all its copies; the decoder searches the grid
+ *   offset, the tile phase and a few crop amounts (up to 20% of the width)
+ *
+ * Images narrower than MIN_MARKED_WIDTH are upscaled to it before embedding -
+ * smaller cells don't survive recompression - so every output is marked.
+ */
+
+const sharp = require('sharp');
+
+// Grid geometry
+const CELLS_ACROSS = 64;
+const TILE_COLUMNS = 16;
+const TILE_ROWS = 10;
+const PAYLOAD_BITS = TILE_COLUMNS * TILE_ROWS; // 160
+
+// Marks images as AI-generated parody composites (first 16 payload bits)
+const AI_PARODY_MARKER = 0xa15e;
+
+// Embedding strength: target coefficient gap and the largest single adjustment
+// (in luminance levels). Higher survives more abuse but becomes visible.
+const TARGET_GAP = 3;
+const MAX_ADJUSTMENT = 8;
+
+// Cells smaller than this can't carry a reliable mark
+const MIN_CELL_SIZE = 8;
+const MIN_MARKED_WIDTH = CELLS_ACROSS * MIN_CELL_SIZE; // 512
+
+// Decoder settings
+const DECODE_CELL_SIZE = 16;
+const DECODE_OFFSET_STEP = 2;
+const DECODE_CROP_FACTORS = [1, 0.95, 0.9, 0.85, 0.8]; // Fraction of the original width still present
+const DECODE_ALIGNMENT_CANDIDATES = 3; // Best-aligned grid offsets that get fully decoded
+const CORRECTABLE_CANDIDATES = 6; // Weakest bits tried for one/two-bit correction
+const VOTE_CLIP = 2 * TARGET_GAP * DECODE_CELL_SIZE * DECODE_CELL_SIZE; // Gaps are sums over a cell
+
+// Refuse to decode anything larger than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1024 * 1024;
+
+/**
+ * CRC-16/CCITT-FALSE
+ */
+function crc16(bytes) {
+  let crc = 0xffff;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Build the payload bits for a generation ID
+ * @param {string} generationId - UUID
+ * @returns {Uint8Array} PAYLOAD_BITS bits (0/1)
+ */
+function encodePayload(generationId) {
+  const idHex = String(generationId).replace(/-/g, '');
+  if (!/^[0-9a-f]{32}$/i.test(idHex)) {
+    throw new Error('Invisible watermark requires a UUID generation ID');
+  }
+
+  const body = Buffer.concat([
+    Buffer.from([AI_PARODY_MARKER >> 8, AI_PARODY_MARKER & 0xff]),
+    Buffer.from(idHex, 'hex'),
+  ]);
+  const crc = crc16(body);
+  const bytes = Buffer.concat([body, Buffer.from([crc >> 8, crc & 0xff])]);
+
+  const bits = new Uint8Array(PAYLOAD_BITS);
+  for (let i = 0; i < PAYLOAD_BITS; i++) {
+    bits[i] = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+  }
+  return bits;
+}
+
+/**
+ * Parse payload bits back into a generation ID
+ * @returns {string|null} Generation ID, or null if the marker or CRC don't match
+ */
+function decodePayload(bits) {
+  const bytes = Buffer.alloc(PAYLOAD_BITS / 8);
+  for (let i = 0; i < PAYLOAD_BITS; i++) {
+    bytes[i >> 3] |= bits[i] << (7 - (i & 7));
+  }
+
+  if (bytes.readUInt16BE(0) !== AI_PARODY_MARKER) {
+    return null;
+  }
+  if (crc16(bytes.subarray(0, 18)) !== bytes.readUInt16BE(18)) {
+    return null;
+  }
+
+  const hex = bytes.subarray(2, 18).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Turn summed votes into a generation ID, correcting up to two bits
+ * Bits with the weakest votes are the likeliest to be wrong, so if the
+ * CRC fails the decoder retries with one or two of them flipped.
+ * @param {Float64Array} votes - Summed coefficient gaps per payload bit
+ * @returns {string|null} Generation ID
+ */
+function decodeVotes(votes) {
+  const bits = new Uint8Array(PAYLOAD_BITS);
+  for (let i = 0; i < PAYLOAD_BITS; i++) {
+    bits[i] = votes[i] > 0 ? 1 : 0;
+  }
+
+  const generationId = decodePayload(bits);
+  if (generationId) {
+    return generationId;
+  }
+
+  const weakest = Array.from(votes.keys())
+    .sort((a, b) => Math.abs(votes[a]) - Math.abs(votes[b]))
+    .slice(0, CORRECTABLE_CANDIDATES);
+
+  for (let a = 0; a < weakest.length; a++) {
+    bits[weakest[a]] ^= 1;
+    const single = decodePayload(bits);
+    if (single) {
+      return single;
+    }
+    for (let b = a + 1; b < weakest.length; b++) {
+      bits[weakest[b]] ^= 1;
+      const pair = decodePayload(bits);
+      bits[weakest[b]] ^= 1;
+      if (pair) {
+        return pair;
+      }
+    }
+    bits[weakest[a]] ^= 1;
+  }
+
+  return null;
+}
+
+/**
+ * Position of every pixel along one axis within its cell
+ * @returns {object} { cell, cos1, cos2 } per pixel (cos(pi*t), cos(2*pi*t) with t in [0, 1))
+ */
+function axisBasis(length, cellSize) {
+  const cell = new Int32Array(length);
+  const cos1 = new Float64Array(length);
+  const cos2 = new Float64Array(length);
+  for (let p = 0; p < length; p++) {
+    const position = (p + 0.5) / cellSize;
+    const index = Math.floor(position);
+    const t = position - index;
+    cell[p] = index;
+    cos1[p] = Math.cos(Math.PI * t);
+    cos2[p] = Math.cos(2 * Math.PI * t);
+  }
+  return { cell, cos1, cos2 };
+}
+
+/**
+ * Embed the invisible watermark
+ * Run after the visible watermark and before the provenance manifest
+ * (which must be the last change to the image).
+ *
+ * @param {Buffer} imageBuffer - Image to mark
+ * @param {string} generationId - Generation ID (UUID) to encode
+ * @returns {Promise<Buffer>} Marked PNG - MIN_MARKED_WIDTH wide if the image was narrower
+ */
+async function embedInvisibleWatermark(imageBuffer, generationId) {
+  const bits = encodePayload(generationId);
+  const image = sharp(imageBuffer);
+  const { width: originalWidth } = await image.metadata();
+  if (originalWidth < MIN_MARKED_WIDTH) {
+    image.resize({ width: MIN_MARKED_WIDTH });
+  }
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+
+  const cellSize = width / CELLS_ACROSS;
+
+  const columns = CELLS_ACROSS;
+  const rows = Math.floor(height / cellSize);
+  const colorChannels = channels >= 3 ? 3 : 1;
+  const xBasis = axisBasis(width, cellSize);
+  const yBasis = axisBasis(height, cellSize);
+
+  // Pass 1: current coefficient gap c(1,2) - c(2,1) of every cell
+  const gapSums = new Float64Array(columns * rows);
+  const counts = new Float64Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    const row = yBasis.cell[y];
+    if (row >= rows) break;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * channels;
+      const luminance = colorChannels === 3
+        ? 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+        : data[i];
+      const basis = xBasis.cos1[x] * yBasis.cos2[y] - xBasis.cos2[x] * yBasis.cos1[y];
+      const cell = row * columns + xBasis.cell[x];
+      gapSums[cell] += luminance * basis;
+      counts[cell]++;
+    }
+  }
+
+  // Adding k * basis moves the gap by k / 2 - push each gap past TARGET_GAP
+  const adjustments = new Float64Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const cell = row * columns + column;
+      const sign = bits[(column % TILE_COLUMNS) + TILE_COLUMNS * (row % TILE_ROWS)] ? 1 : -1;
+      const gap = gapSums[cell] / counts[cell];
+      if (sign * gap < TARGET_GAP) {
+        const k = 2 * (sign * TARGET_GAP - gap);
+        adjustments[cell] = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, k));
+      }
+    }
+  }
+
+  // Pass 2: apply the same luminance change to every color channel
+  for (let y = 0; y < height; y++) {
+    const row = yBasis.cell[y];
+    if (row >= rows) break;
+    for (let x = 0; x < width; x++) {
+      const k = adjustments[row * columns + xBasis.cell[x]];
+      if (k === 0) continue;
+      const delta = k * (xBasis.cos1[x] * yBasis.cos2[y] - xBasis.cos2[x] * yBasis.cos1[y]);
+      const i = (y * width + x) * channels;
+      for (let c = 0; c < colorChannels; c++) {
+        data[i + c] = Math.max(0, Math.min(255, Math.round(data[i + c] + delta)));
+      }
+    }
+  }
+
+  return sharp(data, { raw: { width, height, channels } }).png().toBuffer();
+}
+
+// Gap basis sampled on the decoder's fixed cell size
+const DECODE_BASIS = (() => {
+  const { cos1, cos2 } = axisBasis(DECODE_CELL_SIZE, DECODE_CELL_SIZE);
+  const basis = new Float64Array(DECODE_CELL_SIZE * DECODE_CELL_SIZE);
+  for (let y = 0; y < DECODE_CELL_SIZE; y++) {
+    for (let x = 0; x < DECODE_CELL_SIZE; x++) {
+      basis[y * DECODE_CELL_SIZE + x] = cos1[x] * cos2[y] - cos2[x] * cos1[y];
+    }
+  }
+  return basis;
+})();
+
+/**
+ * Coefficient gaps of every cell for one grid offset, folded onto the tile
+ * @returns {object|null} { folded, strength } - summed gaps per tile position
+ *   (tile phase 0) and the mean absolute gap, which peaks when the grid is aligned
+ */
+function foldGrid(pixels, width, height, offsetX, offsetY) {
+  const columns = Math.floor((width - offsetX) / DECODE_CELL_SIZE);
+  const rows = Math.floor((height - offsetY) / DECODE_CELL_SIZE);
+  if (columns < TILE_COLUMNS || rows < TILE_ROWS) {
+    return null;
+  }
+
+  const folded = new Float64Array(PAYLOAD_BITS);
+  let total = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let gap = 0;
+      const top = offsetY + row * DECODE_CELL_SIZE;
+      const left = offsetX + column * DECODE_CELL_SIZE;
+      for (let y = 0; y < DECODE_CELL_SIZE; y++) {
+        const rowStart = (top + y) * width + left;
+        const basisStart = y * DECODE_CELL_SIZE;
+        for (let x = 0; x < DECODE_CELL_SIZE; x++) {
+          gap += pixels[rowStart + x] * DECODE_BASIS[basisStart + x];
+        }
+      }
+      // Clip so heavily textured cells can't outvote the rest
+      const vote = Math.max(-VOTE_CLIP, Math.min(VOTE_CLIP, gap));
+      folded[TILE_COLUMNS * (row % TILE_ROWS) + (column % TILE_COLUMNS)] += vote;
+      total += Math.abs(gap);
+    }
+  }
+
+  return { folded, strength: total / (columns * rows) };
+}
+
+/**
+ * Search grid offsets and tile phases on a luminance image whose cells are DECODE_CELL_SIZE
+ * Only the best-aligned offsets are decoded; each tile phase is a cyclic
+ * shift of the folded votes.
+ * @returns {string|null} Generation ID
+ */
+function searchGrid(pixels, width, height) {
+  const alignments = [];
+  for (let offsetY = 0; offsetY < DECODE_CELL_SIZE; offsetY += DECODE_OFFSET_STEP) {
+    for (let offsetX = 0; offsetX < DECODE_CELL_SIZE; offsetX += DECODE_OFFSET_STEP) {
+      const alignment = foldGrid(pixels, width, height, offsetX, offsetY);
+      if (alignment) {
+        alignments.push(alignment);
+      }
+    }
+  }
+  alignments.sort((a, b) => b.strength - a.strength);
+
+  const votes = new Float64Array(PAYLOAD_BITS);
+  for (const { folded } of alignments.slice(0, DECODE_ALIGNMENT_CANDIDATES)) {
+    for (let phaseY = 0; phaseY < TILE_ROWS; phaseY++) {
+      for (let phaseX = 0; phaseX < TILE_COLUMNS; phaseX++) {
+        // Cell (column, row) carries bit ((column + phaseX) % 16, (row + phaseY) % 10)
+        for (let bitY = 0; bitY < TILE_ROWS; bitY++) {
+          const foldedRow = TILE_COLUMNS * ((bitY - phaseY + TILE_ROWS) % TILE_ROWS);
+          for (let bitX = 0; bitX < TILE_COLUMNS; bitX++) {
+            votes[TILE_COLUMNS * bitY + bitX] = folded[foldedRow + ((bitX - phaseX + TILE_COLUMNS) % TILE_COLUMNS)];
+          }
+        }
+        const generationId = decodeVotes(votes);
+        if (generationId) {
+          return generationId;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the invisible watermark from an image
+ * @param {Buffer} imageBuffer - Image bytes (any format sharp can read)
+ * @returns {Promise<object>} { found, generationId, aiParody }
+ */
+async function decodeInvisibleWatermark(imageBuffer) {
+  const { width, height } = await sharp(imageBuffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+
+  for (const cropFactor of DECODE_CROP_FACTORS) {
+    // Scale so one (estimated) original cell becomes DECODE_CELL_SIZE pixels
+    const cellSize = width / cropFactor / CELLS_ACROSS;
+    const scale = DECODE_CELL_SIZE / cellSize;
+    const targetWidth = Math.round(width * scale);
+    const targetHeight = Math.round(height * scale);
+
+    const pixels = await sharp(imageBuffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(targetWidth, targetHeight, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    const generationId = searchGrid(pixels, targetWidth, targetHeight);
+    if (generationId) {
+      return { found: true, generationId, aiParody: true };
+    }
+  }
+
+  return { found: false, generationId: null, aiParody: false };
+}
+
+module.exports = {
+  embedInvisibleWatermark,
+  decodeInvisibleWatermark,
+  AI_PARODY_MARKER,
+};
@@ -0,0 +1,240 @@
+/**
+ * Mailer for Pimp My Epstein
+ *
+ * Delivers email through a pluggable transport (provider).
+ *
+ * Transports (MAIL_TRANSPORT):
+ * - console (default): logs each message - local dev
+ * - maildir: delivers each message into a Maildir (MAIL_DIR, default
+ *   output/mail) - open it with any mail client, or read the files in new/
+ * - smtp: sends through an SMTP server (SMTP_URL, or SMTP_HOST/SMTP_PORT/
+ *   SMTP_USER/SMTP_PASS/SMTP_SECURE)
+ *
+ * Anything else plugs in with setTransport(): a transport is an object with a
+ * name and an async send(message) method that throws when the message can't
+ * be delivered.
+ *
+ * This is the delivery layer - app code sends templated messages through the
+ * outbox (services/email.js), which retries failed deliveries.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_FROM = 'Pimp My Epstein <no-reply@pimpmyepstein.lol>';
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'output', 'mail');
+
+// Transport set with setTransport() (null = the one MAIL_TRANSPORT names)
+let customTransport = null;
+
+// Transport built from MAIL_TRANSPORT (SMTP connections are pooled, so keep it)
+let configuredTransport = null;
+
+/**
+ * Transport that logs messages instead of sending them
+ * @returns {object} Transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[mailer] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+/**
+ * Format a message as an RFC 5322 (.eml) document
+ * Plain-text messages are sent as-is; with an HTML part it's multipart/alternative.
+ * @param {object} message
+ * @returns {string}
+ */
+function toEml(message) {
+  const headers = [
+    `Message-ID: <${message.id}@pimpmyepstein.lol>`,
+    `Date: ${new Date(message.createdAt).toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!message.html) {
+    return [...headers, 'Content-Type: text/plain; charset=utf-8', '', message.text, ''].join('\r\n');
+  }
+
+  const boundary = `alt-${message.id}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text,
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    message.html,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Transport that delivers into a Maildir: each message is written to tmp/
+ * and then moved to new/, so readers never see half-written files
+ * @param {string} dir - Maildir root (created on first send)
+ * @returns {object} Transport
+ */
+function createMaildirTransport(dir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR) {
+  return {
+    name: 'maildir',
+    dir,
+    async send(message) {
+      await Promise.all(['tmp', 'new', 'cur'].map(sub => fs.promises.mkdir(path.join(dir, sub), { recursive: true })));
+      const filename = `${Date.now()}.${message.id}.${os.hostname().replace(/[/:]/g, '_')}`;
+      const tmpPath = path.join(dir, 'tmp', filename);
+      await fs.promises.writeFile(tmpPath, toEml(message));
+      await fs.promises.rename(tmpPath, path.join(dir, 'new', filename));
+    }
+  };
+}
+
+/**
+ * Transport that sends through an SMTP server (nodemailer)
+ * @param {string|object} options - SMTP URL or nodemailer SMTP options
+ *   (default: SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE)
+ * @returns {object} Transport
+ */
+function createSmtpTransport(options = null) {
+  // Loaded on first use - dev and tests never need it
+  const nodemailer = require('nodemailer');
+
+  if (!options) {
+    if (process.env.SMTP_URL) {
+      options = process.env.SMTP_URL;
+    } else if (process.env.SMTP_HOST) {
+      options = {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        pool: true
+      };
+    } else {
+      throw new Error('SMTP transport needs SMTP_URL or SMTP_HOST');
+    }
+  }
+
+  const transporter = nodemailer.createTransport(options);
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({
+        messageId: `<${message.id}@pimpmyepstein.lol>`,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html || undefined
+      });
+    }
+  };
+}
+
+/**
+ * Build the transport MAIL_TRANSPORT names
+ * @returns {object} Transport
+ */
+function createConfiguredTransport() {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'maildir':
+    case 'file':
+      return createMaildirTransport();
+    default:
+      return createConsoleTransport();
+  }
+}
+
+/**
+ * The transport messages are sent through
+ * @returns {object} Transport
+ */
+function getTransport() {
+  if (customTransport) {
+    return customTransport;
+  }
+  if (!configuredTransport) {
+    configuredTransport = createConfiguredTransport();
+  }
+  return configuredTransport;
+}
+
+/**
+ * Replace the transport (null restores the one MAIL_TRANSPORT names)
+ * @param {object|null} transport - { name, send(message) }
+ */
+function setTransport(transport) {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a send(message) method');
+  }
+  customTransport = transport || null;
+  configuredTransport = null;
+}
+
+/**
+ * Build a message
+ * @param {object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject
+ * @param {string} options.text - Plain-text body
+ * @param {string|null} options.html - HTML body
+ * @param {string|null} options.template - Name of the message kind (for logs and transports)
+ * @param {string} options.id - Message ID (default: random) - reuse it when resending
+ * @returns {object} Message
+ */
+function createMessage({ to, subject, text, html = null, template = null, id = crypto.randomUUID() }) {
+  return {
+    id,
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+    template,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Send an email through the current transport
+ * @param {object} options - See createMessage()
+ * @returns {Promise<{ id: string, transport: string }>}
+ * @throws {Error} When there's no recipient or the transport fails
+ */
+async function sendMail(options) {
+  if (!options.to) {
+    throw new Error('No recipient');
+  }
+
+  const message = createMessage(options);
+  const transport = getTransport();
+  await transport.send(message);
+  return { id: message.id, transport: transport.name };
+}
+
+module.exports = {
+  sendMail,
+  createMessage,
+  setTransport,
+  getTransport,
+  createConsoleTransport,
+  createMaildirTransport,
+  createSmtpTransport,
+};
@@ -0,0 +1,94 @@
+/**
+ * Prompt Templates
+ *
+ * The small template language prompts in the template catalog
+ * (config/templates.json) are written in. Compiling a prompt replaces:
+ *   {{> name}}   the named section `name` (itself compiled, so sections can
+ *                include other sections and use variables)
+ *   {{name}}     the variable `name`
+ * Everything else is copied as-is. A prompt or section is a string or a list
+ * of lines (joined with newlines).
+ *
+ * Sections and variables are looked up in the order given - services/
+ * templates.js passes the template's own first, then the catalog's shared
+ * ones, so a template can override any shared section or variable.
+ */
+
+// {{> section}} or {{variable}}
+const TAG_PATTERN = /\{\{\s*(>\s*)?([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Deepest chain of includes (catches runaway nesting with a clear message)
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Join a prompt's lines
+ * @param {string|string[]} source
+ * @returns {string}
+ */
+function toText(source) {
+  return Array.isArray(source) ? source.join('\n') : source;
+}
+
+/**
+ * Find a name in the first scope that has it
+ * @param {Array<object>} scopes - Lookup objects, most specific first
+ * @param {string} name
+ * @returns {*} The value, or undefined
+ */
+function lookup(scopes, name) {
+  for (const scope of scopes) {
+    if (scope && Object.prototype.hasOwnProperty.call(scope, name) && scope[name] !== null && scope[name] !== undefined) {
+      return scope[name];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Compile a prompt
+ * @param {string|string[]} source - Prompt text (or lines)
+ * @param {object} context
+ * @param {Array<object>} context.sections - Section scopes (name -> string or lines), most specific first
+ * @param {Array<object>} context.vars - Variable scopes (name -> string), most specific first
+ * @returns {{ text: string, sections: string[] }} The prompt and every section it
+ *   includes (directly or through other sections)
+ * @throws {Error} On an unknown section or variable, or a section that includes itself
+ */
+function compilePrompt(source, context = {}) {
+  const sectionScopes = context.sections || [];
+  const varScopes = context.vars || [];
+  const included = new Set();
+
+  function expand(text, stack) {
+    return text.replace(TAG_PATTERN, (tag, isInclude, name) => {
+      if (!isInclude) {
+        const value = lookup(varScopes, name);
+        if (typeof value !== 'string') {
+          throw new Error(`{{${name}}} has no value`);
+        }
+        return value;
+      }
+
+      if (stack.includes(name)) {
+        throw new Error(`section "${name}" includes itself (${[...stack, name].join(' > ')})`);
+      }
+      if (stack.length >= MAX_INCLUDE_DEPTH) {
+        throw new Error(`sections are nested more than ${MAX_INCLUDE_DEPTH} deep (${[...stack, name].join(' > ')})`);
+      }
+      const section = lookup(sectionScopes, name);
+      if (section === undefined) {
+        throw new Error(`unknown section "${name}"`);
+      }
+
+      included.add(name);
+      return expand(toText(section), [...stack, name]);
+    });
+  }
+
+  const text = expand(toText(source), []);
+  return { text, sections: Array.from(included) };
+}
+
+module.exports = {
+  compilePrompt,
+};
@@ -0,0 +1,351 @@
+/**
+ * Content Provenance - signed manifest embedded in every generated PNG
+ *
+ * Each composite carries two iTXt chunks, inserted right after IHDR:
+ * - XML:com.adobe.xmp   Standard XMP packet (IPTC DigitalSourceType =
+ *                       trainedAlgorithmicMedia) that platforms already read
+ * - pme:provenance      Signed JSON manifest: AI-generated parody composite,
+ *                       template, model, generation ID, timestamp and a
+ *                       SHA-256 of the image bytes
+ *
+ * The manifest is signed with the server's Ed25519 key. The content hash
+ * covers the whole PNG except the pme:provenance chunk itself, so editing
+ * the pixels (or the XMP) breaks verification even if the chunk is copied.
+ *
+ * PROVENANCE_PRIVATE_KEY holds the PEM-encoded Ed25519 private key. Without it
+ * an ephemeral key is generated per process - fine for local dev, but images
+ * then stop verifying after a restart (and per instance on serverless).
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// iTXt keywords
+const MANIFEST_KEYWORD = 'pme:provenance';
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+const MANIFEST_VERSION = 1;
+const SIGNATURE_ALGORITHM = 'Ed25519';
+const CLAIM_GENERATOR = 'pimpmyepstein.lol';
+const PARODY_STATEMENT = 'AI-generated parody composite. This is not a real photograph.';
+
+// IPTC term for AI-generated media (also used by C2PA)
+const DIGITAL_SOURCE_TYPE = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+
+// Lazily loaded signing key ({ privateKey, publicKey, keyId, ephemeral })
+let signingKey = null;
+
+/**
+ * Load the signing key from PROVENANCE_PRIVATE_KEY or generate an ephemeral one
+ * @returns {object} { privateKey, publicKey, keyId, ephemeral }
+ */
+function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  let privateKey;
+  let ephemeral = false;
+  const pem = process.env.PROVENANCE_PRIVATE_KEY;
+
+  if (pem) {
+    // Env vars often carry the PEM with escaped newlines
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('PROVENANCE_PRIVATE_KEY must be an Ed25519 private key');
+    }
+  } else {
+    console.warn('Warning: PROVENANCE_PRIVATE_KEY not configured. Using an ephemeral provenance signing key.');
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    ephemeral = true;
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  signingKey = { privateKey, publicKey, keyId, ephemeral };
+  return signingKey;
+}
+
+/**
+ * Public half of the signing key, for anyone who wants to verify manifests
+ * @returns {object} { algorithm, keyId, publicKey (PEM), ephemeral }
+ */
+function getPublicKeyInfo() {
+  const { publicKey, keyId, ephemeral } = getSigningKey();
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    ephemeral,
+  };
+}
+
+/**
+ * JSON with sorted keys, so signer and verifier hash identical bytes
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ===== PNG CHUNK HELPERS =====
+
+function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > PNG_SIGNATURE.length &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG into chunks
+ * @returns {Array<object>} [{ type, data, start, end }] (start/end are byte offsets of the whole chunk)
+ */
+function readChunks(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error('Truncated PNG chunk');
+    }
+    chunks.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      start: offset,
+      end,
+    });
+    offset = end;
+  }
+  return chunks;
+}
+
+function buildChunk(type, data) {
+  const typeBuffer = Buffer.from(type, 'latin1');
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(Buffer.concat([typeBuffer, data])));
+  return Buffer.concat([header, typeBuffer, data, crc]);
+}
+
+/**
+ * Build an uncompressed iTXt chunk (UTF-8 text, no language tag)
+ */
+function buildITXtChunk(keyword, text) {
+  return buildChunk('iTXt', Buffer.concat([
+    Buffer.from(keyword, 'latin1'),
+    Buffer.from([0, 0, 0]), // null separator, compression flag, compression method
+    Buffer.from([0, 0]), // empty language tag, empty translated keyword
+    Buffer.from(text, 'utf8'),
+  ]));
+}
+
+/**
+ * Parse an iTXt chunk's data
+ * @returns {object|null} { keyword, text } (null for compressed chunks)
+ */
+function parseITXt(data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0 || data[keywordEnd + 1] !== 0) {
+    return null;
+  }
+  // Skip compression method, then the language tag and translated keyword
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+  if (translatedEnd < 0) {
+    return null;
+  }
+  return {
+    keyword: data.toString('latin1', 0, keywordEnd),
+    text: data.toString('utf8', translatedEnd + 1),
+  };
+}
+
+function findITXt(chunks, keyword) {
+  return chunks.find(chunk => chunk.type === 'iTXt' && parseITXt(chunk.data)?.keyword === keyword) || null;
+}
+
+/**
+ * Insert chunks right after IHDR (before any image data)
+ */
+function insertAfterHeader(buffer, newChunks) {
+  const [header] = readChunks(buffer);
+  if (!header || header.type !== 'IHDR') {
+    throw new Error('PNG is missing IHDR');
+  }
+  return Buffer.concat([
+    buffer.subarray(0, header.end),
+    ...newChunks,
+    buffer.subarray(header.end),
+  ]);
+}
+
+/**
+ * SHA-256 of the PNG with the manifest chunk removed
+ */
+function hashContent(buffer, chunks = readChunks(buffer)) {
+  const hash = crypto.createHash('sha256');
+  hash.update(buffer.subarray(0, PNG_SIGNATURE.length));
+  for (const chunk of chunks) {
+    if (chunk.type === 'iTXt' && parseITXt(chunk.data)?.keyword === MANIFEST_KEYWORD) {
+      continue;
+    }
+    hash.update(buffer.subarray(chunk.start, chunk.end));
+  }
+  return hash.digest('hex');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Minimal XMP packet marking the image as AI-generated
+ */
+function buildXmp(manifest) {
+  return [
+    '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"',
+    ` Iptc4xmpExt:DigitalSourceType="${escapeXml(manifest.digitalSourceType)}"`,
+    ` xmp:CreatorTool="${escapeXml(manifest.claimGenerator)}"`,
+    ` xmp:CreateDate="${escapeXml(manifest.createdAt)}">`,
+    `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(manifest.statement)}</rdf:li></rdf:Alt></dc:description>`,
+    `<dc:identifier>${escapeXml(manifest.generationId)}</dc:identifier>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="r"?>',
+  ].join('\n');
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Embed a signed provenance manifest in a generated image
+ * Must run after every other image operation - re-encoding drops the chunks.
+ *
+ * @param {Buffer} imageBuffer - Generated image (converted to PNG if needed)
+ * @param {object} details - What to record
+ * @param {string} details.generationId - Generation record ID
+ * @param {string} details.template - Template (gallery) photo path
+ * @param {string} details.model - Model ID
+ * @param {string} details.provider - Image provider name
+ * @param {string} details.createdAt - ISO timestamp (default now)
+ * @returns {Promise<object>} { buffer, manifest }
+ */
+async function embedProvenance(imageBuffer, details) {
+  const png = isPng(imageBuffer) ? imageBuffer : await sharp(imageBuffer).png().toBuffer();
+  const { privateKey, keyId } = getSigningKey();
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    claimGenerator: CLAIM_GENERATOR,
+    aiGenerated: true,
+    parody: true,
+    statement: PARODY_STATEMENT,
+    digitalSourceType: DIGITAL_SOURCE_TYPE,
+    generationId: details.generationId,
+    template: details.template,
+    model: details.model,
+    provider: details.provider,
+    createdAt: details.createdAt || new Date().toISOString(),
+  };
+
+  // The XMP is part of the signed content, so it is hashed before signing
+  const xmpChunk = buildITXtChunk(XMP_KEYWORD, buildXmp(manifest));
+  manifest.contentHash = `sha256:${hashContent(insertAfterHeader(png, [xmpChunk]))}`;
+
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(manifest)), privateKey).toString('base64');
+  const envelope = { manifest, signature: { algorithm: SIGNATURE_ALGORITHM, keyId, value: signature } };
+
+  // Stripping the manifest chunk restores the hashed bytes exactly
+  const buffer = insertAfterHeader(png, [xmpChunk, buildITXtChunk(MANIFEST_KEYWORD, JSON.stringify(envelope))]);
+
+  return { buffer, manifest };
+}
+
+/**
+ * Read the embedded provenance envelope without verifying it
+ * @param {Buffer} buffer - Image bytes
+ * @returns {object|null} { manifest, signature } or null if absent / not a PNG
+ */
+function readProvenance(buffer) {
+  if (!isPng(buffer)) {
+    return null;
+  }
+  try {
+    const chunk = findITXt(readChunks(buffer), MANIFEST_KEYWORD);
+    return chunk ? JSON.parse(parseITXt(chunk.data).text) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify the embedded manifest against this server's key and the image bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {object} { present, signatureValid, contentIntact, manifest }
+ */
+function verifyProvenance(buffer) {
+  const envelope = readProvenance(buffer);
+  if (!envelope?.manifest || !envelope.signature) {
+    return { present: false, signatureValid: false, contentIntact: false, manifest: null };
+  }
+
+  const { manifest, signature } = envelope;
+  const { publicKey, keyId } = getSigningKey();
+
+  let signatureValid = false;
+  if (signature.algorithm === SIGNATURE_ALGORITHM && signature.keyId === keyId) {
+    try {
+      signatureValid = crypto.verify(null, Buffer.from(canonicalJson(manifest)),
+        publicKey, Buffer.from(String(signature.value), 'base64'));
+    } catch (error) {
+      signatureValid = false;
+    }
+  }
+
+  const contentIntact = manifest.contentHash === `sha256:${hashContent(buffer)}`;
+
+  return { present: true, signatureValid, contentIntact, manifest };
+}
+
+module.exports = {
+  embedProvenance,
+  readProvenance,
+  verifyProvenance,
+  getPublicKeyInfo,
+  canonicalJson,
+  MANIFEST_KEYWORD,
+  XMP_KEYWORD,
+  DIGITAL_SOURCE_TYPE,
+};
@@ -0,0 +1,146 @@
+/**
+ * Purchase Receipts for Pimp My Epstein
+ *
+ * Renders a purchase from the billing history (services/billing.js) as a
+ * downloadable receipt, in HTML or PDF. Both formats carry the same lines as
+ * the emailed receipts (lib/emailTemplates.js).
+ *
+ * The PDF is a single page written by hand - plain text in the standard
+ * Helvetica fonts, which every PDF reader has built in, so no PDF library
+ * is needed.
+ */
+
+const { formatAmount, formatDate, escapeHtml } = require('./emailTemplates');
+
+const APP_NAME = 'Pimp My Epstein';
+
+// US Letter, in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+
+/**
+ * The labelled lines of a receipt
+ * @param {object} receipt - Purchase plus billedTo (services/billing.js getReceipt)
+ * @returns {Array<[string, string]>}
+ */
+function receiptRows(receipt) {
+  return [
+    ['Item', receipt.description],
+    ...(receipt.credits > 0 ? [['Credits', String(receipt.credits)]] : []),
+    ['Amount paid', formatAmount(receipt.amount, receipt.currency)],
+    ['Date', formatDate(receipt.paidAt)],
+    ['Reference', receipt.reference],
+    ...(receipt.billedTo ? [['Billed to', receipt.billedTo]] : []),
+  ];
+}
+
+/**
+ * Render a receipt as a standalone HTML page
+ * @param {object} receipt
+ * @returns {string}
+ */
+function renderReceiptHtml(receipt) {
+  const rows = receiptRows(receipt).map(([label, value]) =>
+    `<tr><th style="text-align: left; padding: 6px 24px 6px 0; color: #71717a; font-weight: normal;">${escapeHtml(label)}</th><td style="padding: 6px 0;">${escapeHtml(value)}</td></tr>`);
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="en"><head><meta charset="UTF-8"><title>${APP_NAME} receipt ${escapeHtml(receipt.reference)}</title></head>`,
+    '<body style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', sans-serif; color: #18181b; max-width: 560px; margin: 0 auto; padding: 24px;">',
+    `<h1 style="font-size: 1.5rem; margin-bottom: 4px;">${APP_NAME}</h1>`,
+    '<h2 style="font-size: 1.1rem; color: #71717a; font-weight: normal; margin-top: 0;">Receipt</h2>',
+    '<table style="border-collapse: collapse; margin: 24px 0;">',
+    ...rows,
+    '</table>',
+    '<p style="color: #71717a;">Thanks for your purchase!</p>',
+    '</body></html>'
+  ].join('\n');
+}
+
+/**
+ * Encode text for a PDF string literal in WinAnsiEncoding
+ * (characters the standard fonts can't show become "?")
+ * @param {string} value
+ * @returns {string} Latin-1 string
+ */
+function toPdfString(value) {
+  const text = String(value)
+    .replace(/\u20ac/g, '\x80')
+    .replace(/[\u2000-\u200b\u202f]/g, ' ')
+    .replace(/[^\x20-\x7e\x80\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, '\\$&');
+  return `(${text})`;
+}
+
+/**
+ * Build a one-page PDF from positioned lines of text
+ * @param {Array<{ text: string, x: number, y: number, size: number, bold: boolean }>} lines
+ * @returns {Buffer}
+ */
+function buildPdf(lines) {
+  const content = lines
+    .map(line => `BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ${line.x} ${line.y} Td ${toPdfString(line.text)} Tj ET`)
+    .join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+
+  // The cross-reference table needs each object's byte offset
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(xrefOffset),
+    '%%EOF',
+  ].join('\n') + '\n';
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Render a receipt as a one-page PDF
+ * @param {object} receipt
+ * @returns {Buffer}
+ */
+function renderReceiptPdf(receipt) {
+  const top = PAGE_HEIGHT - MARGIN;
+  const lines = [
+    { text: APP_NAME, x: MARGIN, y: top, size: 20, bold: true },
+    { text: 'Receipt', x: MARGIN, y: top - 24, size: 14, bold: false },
+  ];
+
+  let y = top - 40;
+  for (const [label, value] of receiptRows(receipt)) {
+    y -= 20;
+    lines.push({ text: label, x: MARGIN, y, size: 11, bold: true });
+    lines.push({ text: value, x: MARGIN + 108, y, size: 11, bold: false });
+  }
+
+  lines.push({ text: 'Thanks for your purchase!', x: MARGIN, y: y - 40, size: 11, bold: false });
+
+  return buildPdf(lines);
+}
+
+module.exports = {
+  renderReceiptHtml,
+  renderReceiptPdf,
+};
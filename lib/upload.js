@@ -0,0 +1,63 @@
+/**
+ * Image Uploads
+ * Multer config shared by routes that accept a photo (generate, verify)
+ * Files stay in memory - nothing is written to disk.
+ */
+
+const multer = require('multer');
+const { ERROR_CODES, createErrorResponse, logError } = require('./errors');
+
+// Configure multer for file uploads
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+    files: 2 // At most userPhoto + selfie (routes only accept the fields they name)
+  },
+  fileFilter: (req, file, cb) => {
+    // Allow common mobile photo formats including HEIC/HEIF from iPhone/Samsung
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+    if (!allowedTypes.includes(file.mimetype)) {
+      const error = new Error('Invalid file type. Only JPEG, PNG, WebP, and HEIC are allowed.');
+      error.code = ERROR_CODES.INVALID_FORMAT;
+      error.details = `Received: ${file.mimetype}. Accepted: JPEG, PNG, WebP, HEIC/HEIF`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Multer error handling middleware
+function handleMulterError(err, req, res, next) {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      logError(ERROR_CODES.INVALID_FORMAT, 'File too large', err);
+      return res.status(400).json(createErrorResponse(
+        ERROR_CODES.INVALID_FORMAT,
+        'File is too large. Maximum size is 10MB.',
+        'Try compressing your image or using a smaller resolution.'
+      ));
+    }
+    logError(ERROR_CODES.INVALID_FORMAT, 'Upload error', err);
+    return res.status(400).json(createErrorResponse(
+      ERROR_CODES.INVALID_FORMAT,
+      'File upload error. Please try again.',
+      err.message
+    ));
+  }
+  if (err?.code === ERROR_CODES.INVALID_FORMAT) {
+    logError(ERROR_CODES.INVALID_FORMAT, err.message, err);
+    return res.status(400).json(createErrorResponse(
+      ERROR_CODES.INVALID_FORMAT,
+      err.message,
+      err.details
+    ));
+  }
+  next(err);
+}
+
+module.exports = {
+  upload,
+  handleMulterError,
+};
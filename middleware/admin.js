@@ -0,0 +1,140 @@
+/**
+ * Admin Session Middleware
+ * Password-based admin debug sessions (httpOnly cookie or X-Admin-Token header)
+ * Non-blocking: sets req.isAdmin / req.isTestMode and always calls next()
+ *
+ * NOTE: Sessions are kept in memory, so on serverless each instance has its own.
+ */
+
+const crypto = require('crypto');
+
+// Admin password for debug mode
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+
+// In-memory admin sessions (token -> expiry timestamp)
+const adminSessions = new Map();
+
+/**
+ * Generate a random admin session token
+ */
+function generateAdminToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate admin password and create session
+ * @param {string} password - The password to validate
+ * @returns {object} Session info or error
+ */
+function validateAdminPassword(password) {
+  if (!ADMIN_PASSWORD) {
+    return { valid: false, error: 'Admin mode not configured' };
+  }
+
+  if (password !== ADMIN_PASSWORD) {
+    return { valid: false, error: 'Invalid password' };
+  }
+
+  // Create session token (valid for 24 hours)
+  const token = generateAdminToken();
+  const expiresAt = Date.now() + (24 * 60 * 60 * 1000);
+  adminSessions.set(token, expiresAt);
+
+  // Clean up expired sessions periodically
+  for (const [t, expiry] of adminSessions.entries()) {
+    if (expiry < Date.now()) {
+      adminSessions.delete(t);
+    }
+  }
+
+  return { valid: true, token, expiresAt };
+}
+
+/**
+ * Check if admin token is valid
+ * @param {string} token - The admin session token
+ * @returns {boolean} Whether the token is valid
+ */
+function isValidAdminToken(token) {
+  if (!token || !adminSessions.has(token)) {
+    return false;
+  }
+
+  const expiresAt = adminSessions.get(token);
+  if (expiresAt < Date.now()) {
+    adminSessions.delete(token);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Invalidate an admin session
+ * @param {string} token - The admin session token
+ * @returns {boolean} Whether a session was removed
+ */
+function invalidateAdminSession(token) {
+  return !!token && adminSessions.delete(token);
+}
+
+/**
+ * Number of admin sessions currently held in memory
+ * @returns {number}
+ */
+function getAdminSessionCount() {
+  return adminSessions.size;
+}
+
+/**
+ * Whether an admin password is configured
+ * @returns {boolean}
+ */
+function isAdminConfigured() {
+  return !!ADMIN_PASSWORD;
+}
+
+/**
+ * Middleware to check admin status from httpOnly cookie or header
+ * SECURITY: Only accepts token from httpOnly cookie (XSS-proof) or header
+ * Query params are NOT accepted to prevent token leakage via referrer/logs
+ */
+function checkAdminMiddleware(req, res, next) {
+  // Check for admin token in order of security preference:
+  // 1. httpOnly cookie (most secure - cannot be stolen via XSS)
+  // 2. Header (for API/programmatic access)
+  // NOTE: Query params intentionally NOT supported - tokens in URLs leak via referrer headers and server logs
+  const token = req.cookies?.adminToken || req.headers['x-admin-token'];
+  req.isAdmin = isValidAdminToken(token);
+
+  // Check for X-Test-Mode header (for agent/automated testing)
+  // Requires TEST_MODE_SECRET env var to be set
+  const testModeHeader = req.headers['x-test-mode'];
+  const testModeSecret = process.env.TEST_MODE_SECRET;
+  req.isTestMode = !!(testModeSecret && testModeHeader === testModeSecret);
+
+  next();
+}
+
+/**
+ * Middleware that refuses non-admin requests (runs after checkAdminMiddleware)
+ * For routes that parse an upload: the check runs before the body is read.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.isAdmin) {
+    return res.status(401).json({
+      error: 'Admin authentication required'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  checkAdminMiddleware,
+  requireAdmin,
+  validateAdminPassword,
+  isValidAdminToken,
+  invalidateAdminSession,
+  getAdminSessionCount,
+  isAdminConfigured,
+};
@@ -0,0 +1,169 @@
+/**
+ * Request Limiters & Abuse Detection
+ * IP-based limits shared by the Express server and the Vercel functions
+ *
+ * SECURITY: keyGenerator uses req.ip which respects Express's 'trust proxy'
+ * setting, so x-forwarded-for is only honored behind a trusted proxy.
+ *
+ * NOTE: Counters are in memory - on serverless each instance counts separately.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { getClientIP } = require('./rateLimit');
+const { ERROR_CODES } = require('../lib/errors');
+
+// Global rate limiter for /api/generate - prevents API key abuse
+const globalGenerateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 100, // 100 total generations per hour across ALL users
+  message: { error: 'Service temporarily at capacity. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Suspicious IP tracking for abuse detection
+const suspiciousIPs = new Map(); // IP -> { count, firstSeen, lastSeen }
+
+/**
+ * Track suspicious activity and determine if IP should be blocked
+ * @param {string} ip - Client IP address
+ * @returns {boolean} True if IP should be blocked
+ */
+function trackSuspiciousActivity(ip) {
+  const now = Date.now();
+  const fiveMinutes = 5 * 60 * 1000;
+  const fiveMinutesAgo = now - fiveMinutes;
+
+  let record = suspiciousIPs.get(ip);
+
+  // Reset the window if it's been more than 5 minutes since firstSeen
+  if (record && record.firstSeen < fiveMinutesAgo) {
+    // Window expired - reset the record
+    record = null;
+  }
+
+  if (!record) {
+    record = { count: 0, firstSeen: now };
+  }
+
+  record.count++;
+  record.lastSeen = now;
+  suspiciousIPs.set(ip, record);
+
+  // Block if more than 10 requests in 5 minutes
+  if (record.count > 10) {
+    const timespan = Math.round((now - record.firstSeen) / 1000);
+    console.log(`[ABUSE] IP ${ip} attempted ${record.count} generations in ${timespan}s - BLOCKED`);
+    return true; // Block this IP
+  }
+
+  // Clean up old entries (older than 1 hour)
+  const oneHourAgo = now - (60 * 60 * 1000);
+  for (const [trackedIP, data] of suspiciousIPs.entries()) {
+    if (data.lastSeen < oneHourAgo) {
+      suspiciousIPs.delete(trackedIP);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Middleware to check for suspicious IP activity before processing generate requests
+ */
+function suspiciousActivityMiddleware(req, res, next) {
+  const clientIP = getClientIP(req);
+
+  if (trackSuspiciousActivity(clientIP)) {
+    return res.status(429).json({
+      error: 'Too many requests from your IP. Please try again later.',
+      code: ERROR_CODES.RATE_LIMITED
+    });
+  }
+
+  next();
+}
+
+// Rate limiter for admin login - prevent brute force attacks
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts per 15 minutes
+  message: { error: 'Too many login attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for checkout creation - prevent abuse
+const checkoutLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 checkout attempts per 15 minutes
+  message: { error: 'Too many checkout attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for output images - prevent enumeration attacks
+const outputLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 requests per minute per IP
+  message: { error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for image verification - decoding uploads is CPU heavy
+const verifyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // 20 verifications per minute per IP
+  message: { error: 'Too many verification requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for referral claims - prevent guessing referral codes
+const referralLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 claims per 15 minutes per IP
+  message: { error: 'Too many referral attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for gift code redemptions - prevent guessing gift codes
+const redeemLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 redemptions per 15 minutes per IP
+  message: { error: 'Too many redeem attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+// Rate limiter for selfie capture nonces - one per camera opening is plenty
+const selfieNonceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 nonces per 15 minutes per IP
+  message: { error: 'Too many selfie attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip || 'unknown',
+});
+
+module.exports = {
+  globalGenerateLimiter,
+  suspiciousActivityMiddleware,
+  trackSuspiciousActivity,
+  adminLoginLimiter,
+  checkoutLimiter,
+  outputLimiter,
+  verifyLimiter,
+  referralLimiter,
+  redeemLimiter,
+  selfieNonceLimiter,
+};
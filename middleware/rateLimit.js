@@ -3,8 +3,9 @@
  * Enforces generation limits based on user tier
  */
 
-const { checkUsage, checkModelUsage, incrementUsage, updateAnonCache } = require('../services/usage');
-const tiers = require('../config/tiers');
+const { checkUsage, checkModelUsage, incrementUsage, updateAnonCache, chargeCredits, shouldResetMonthlyUsage, getNextResetDate } = require('../services/usage');
+const { reserve, commitReservation, releaseReservation, POOL } = require('../services/quota');
+const pricing = require('../services/pricing');
 const { getOrCreateAnonId, getAnonUsage, incrementAnonUsage } = require('../lib/anon');
 
 /**
@@ -24,6 +25,12 @@ function getClientIP(req) {
 
 /**
  * Rate limit middleware factory
+ *
+ * The up-front check only rejects requests that are clearly over the limit.
+ * Handlers then call req.reserveUsage(modelType) before paying for a provider
+ * call: that takes an atomic hold on one generation (services/quota.js), which
+ * is committed by req.recordUsage() on success and given back by
+ * req.releaseUsage() (or any error response) on failure.
  * @param {object} options - Middleware options
  * @param {string} options.upgradeUrl - URL to redirect for upgrade
  * @param {function} options.getProfile - Async function to get user profile from DB
@@ -113,54 +120,132 @@ function createRateLimitMiddleware(options = {}) {
       req.usage = usage;
       req.clientIP = ipAddress;
 
+      // 429 body for requests over their limit
+      const rateLimitedBody = (refusedUsage) => ({
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMITED',
+        tier: refusedUsage.tier,
+        tierName: pricing.getTier(refusedUsage.tier).name,
+        limit: refusedUsage.limit,
+        used: refusedUsage.used,
+        remaining: 0,
+        resetAt: new Date(Date.now() + 60000).toISOString(),
+        upgradeUrl,
+        message: getUpgradeMessage(refusedUsage.tier)
+      });
+
       // Check if user can generate - MUST reject BEFORE any API call
       if (!usage.canGenerate) {
-        const tierConfig = tiers[usage.tier];
-
         // Return 429 Too Many Requests to prevent API key abuse
-        return res.status(429).json({
-          error: 'Rate limit exceeded',
-          code: 'RATE_LIMITED',
-          tier: usage.tier,
-          tierName: tierConfig.name,
-          limit: usage.limit,
-          used: usage.used,
-          remaining: 0,
-          resetAt: new Date(Date.now() + 60000).toISOString(),
-          upgradeUrl,
-          message: getUpgradeMessage(usage.tier)
-        });
+        return res.status(429).json(rateLimitedBody(usage));
       }
 
-      // Store original json method to intercept successful responses
-      const originalJson = res.json.bind(res);
-      res.json = async function (data) {
-        // Only increment usage on successful generation
-        if (data && data.success === true) {
-          try {
-            // Get and validate modelType from request body (parsed by multer before handler runs)
-            // SECURITY: server.js always uses premium model (gemini-3-pro-image-preview)
-            // so we force 'premium' to prevent client-side quota manipulation
-            let modelType = (req.body?.modelType || 'quick').toLowerCase().trim();
-
-            // Validate modelType - only allow 'quick' or 'premium'
-            if (modelType !== 'quick' && modelType !== 'premium') {
-              modelType = 'premium';  // Default to premium (more restrictive)
+      // Hold taken by req.reserveUsage(), until it is committed or released
+      let reservation = null;
+
+      /**
+       * Reserve one generation before the provider is called
+       * Counts other in-flight requests' holds, so parallel requests can't all
+       * spend the last generation/credit. Called by the handler once the body
+       * (and so the modelType) is parsed.
+       * @param {'quick' | 'premium'} modelType
+       * @returns {Promise<object>} { reserved, body } - body is the 429 response when refused
+       */
+      req.reserveUsage = async function (modelType) {
+        const result = await reserve({ userId, anonId, ipAddress }, profile, modelType);
+        if (!result.reserved) {
+          return { reserved: false, body: rateLimitedBody(checkUsage(userId, profile, ipAddress, modelType, anonId)) };
+        }
+        reservation = result.reservation;
+        return { reserved: true, body: null };
+      };
+
+      /**
+       * Give the hold back (generation failed or was refused)
+       * Called automatically for error responses; job-mode generations call it
+       * from the queue worker when the job fails.
+       */
+      req.releaseUsage = async function () {
+        const held = reservation;
+        reservation = null;
+        if (held) {
+          await releaseReservation(held);
+        }
+      };
+
+      /**
+       * Charge one generation and attach updated usage info to the response body.
+       * Called automatically for successful JSON responses; job-mode generations
+       * call req.recordUsage() from the queue worker once the job completes.
+       * Commits the hold taken by req.reserveUsage(), if any.
+       * @param {object} data - Response body (receives a `usage` field)
+       */
+      const recordUsage = async function (data = {}) {
+        const held = reservation;
+        reservation = null;
+
+        try {
+          // Get and validate modelType from request body (parsed by multer before handler runs)
+          // SECURITY: server.js always uses premium model (gemini-3-pro-image-preview)
+          // so we force 'premium' to prevent client-side quota manipulation
+          let modelType = (held?.modelType || req.body?.modelType || 'quick').toLowerCase().trim();
+
+          // Validate modelType - only allow 'quick' or 'premium'
+          if (modelType !== 'quick' && modelType !== 'premium') {
+            modelType = 'premium';  // Default to premium (more restrictive)
+          }
+
+          let updatedProfile = null;
+
+          if (held?.persistent) {
+            // Anonymous usage is counted first, so there's no moment where
+            // neither the hold nor the usage counts
+            if (!userId && anonId) {
+              await persistAnonUsage(modelType);
+            }
+
+            // Counts the usage (and spends held credits) in the same transaction
+            const commit = await commitReservation(held, data.generationId || null);
+            if (!commit.committed) {
+              console.warn(`[quota] Reservation ${held.id} not committed: ${commit.reason}`);
             }
 
+            updatedProfile = profile && commit.counts ? {
+              ...profile,
+              generation_count: commit.counts.totalCount,
+              monthly_generation_count: commit.counts.monthlyCount,
+              credit_balance: commit.counts.credits,
+              quick_count: commit.counts.quickCount,
+              premium_count: commit.counts.premiumCount,
+              monthly_reset_at: shouldResetMonthlyUsage(profile) ? getNextResetDate().toISOString() : profile.monthly_reset_at
+            } : profile;
+          } else {
+            // Other requests may have been counted since the profile was read
+            const currentProfile = held && userId ? (await getProfile(userId).catch(() => null)) || profile : profile;
+
             // IMPORTANT: Re-check usage with actual modelType for correct credit charging
             // The initial check at line 70 was done without modelType (before body parse)
-            const actualUsage = checkModelUsage(userId, profile, modelType, ipAddress, anonId);
+            // (a hold already knows whether it is paid with credits)
+            const actualUsage = held
+              ? { useCredit: held.pool === POOL.CREDITS, creditCost: held.creditCost }
+              : checkModelUsage(userId, currentProfile, modelType, ipAddress, anonId);
 
             // Pass correct args with recalculated useCredit/creditCost
-            const result = incrementUsage(userId, profile, ipAddress, modelType, actualUsage.useCredit, actualUsage.creditCost || 0, anonId);
+            const result = incrementUsage(userId, currentProfile, ipAddress, modelType, actualUsage.useCredit, actualUsage.creditCost || 0, anonId);
+
+            // Credits go through the ledger, which updates the cached balance itself
+            if (result.success && result.usedCredits && userId) {
+              const charge = await chargeCredits(userId, result.usedCredits, data.generationId || null);
+              if (charge.newCredits !== null) {
+                result.newCredits = charge.newCredits;
+              }
+            }
 
-            // Update database if needed - update ALL usage fields
+            // Update database if needed - update all usage counters
             if (result.shouldUpdateDb && userId) {
               const updateData = {
                 generation_count: result.newCount,
                 monthly_generation_count: result.newMonthlyCount,
-                credit_balance: result.newCredits,
                 // Model-specific counts for free tier tracking
                 quick_count: result.newQuickCount,
                 premium_count: result.newPremiumCount
@@ -168,7 +253,6 @@ function createRateLimitMiddleware(options = {}) {
 
               // Reset monthly_reset_at if monthly counter was reset
               if (result.resetMonthly) {
-                const { getNextResetDate } = require('../services/usage');
                 updateData.monthly_reset_at = getNextResetDate().toISOString();
               }
 
@@ -176,8 +260,8 @@ function createRateLimitMiddleware(options = {}) {
             }
 
             // Add usage info to response
-            const updatedProfile = profile ? {
-              ...profile,
+            updatedProfile = currentProfile ? {
+              ...currentProfile,
               generation_count: result.newCount,
               monthly_generation_count: result.newMonthlyCount,
               credit_balance: result.newCredits,
@@ -186,32 +270,55 @@ function createRateLimitMiddleware(options = {}) {
             } : null;
 
             if (!userId && anonId) {
-              const persist = await incrementAnonUsage(anonId, modelType, {
-                ipAddress,
-                userAgent: req.headers['user-agent']
-              });
-              if (persist.success) {
-                updateAnonCache(anonId, persist.quickCount, persist.premiumCount);
-              }
+              await persistAnonUsage(modelType);
             }
 
-            const updatedUsage = checkUsage(userId, updatedProfile, ipAddress, modelType, anonId);
-
-            data.usage = {
-              used: updatedUsage.used,
-              limit: updatedUsage.limit,
-              remaining: updatedUsage.remaining,
-              tier: updatedUsage.tier,
-              tierName: updatedUsage.tierName,
-              // Model-specific remaining counts for button display
-              quickRemaining: updatedUsage.quickRemaining,
-              premiumRemaining: updatedUsage.premiumRemaining,
-              quickUsed: updatedUsage.quickUsed,
-              premiumUsed: updatedUsage.premiumUsed
-            };
-          } catch (err) {
-            console.error('Error updating usage:', err.message);
+            if (held) {
+              await commitReservation(held, data.generationId || null);
+            }
           }
+
+          const updatedUsage = checkUsage(userId, updatedProfile, ipAddress, modelType, anonId);
+
+          data.usage = {
+            used: updatedUsage.used,
+            limit: updatedUsage.limit,
+            remaining: updatedUsage.remaining,
+            tier: updatedUsage.tier,
+            tierName: updatedUsage.tierName,
+            // Model-specific remaining counts for button display
+            quickRemaining: updatedUsage.quickRemaining,
+            premiumRemaining: updatedUsage.premiumRemaining,
+            quickUsed: updatedUsage.quickUsed,
+            premiumUsed: updatedUsage.premiumUsed
+          };
+        } catch (err) {
+          console.error('Error updating usage:', err.message);
+        }
+      };
+
+      // Persist an anonymous generation to Supabase usage_counters
+      const persistAnonUsage = async function (modelType) {
+        const persist = await incrementAnonUsage(anonId, modelType, {
+          ipAddress,
+          userAgent: req.headers['user-agent']
+        });
+        if (persist.success) {
+          updateAnonCache(anonId, persist.quickCount, persist.premiumCount);
+        }
+      };
+
+      req.recordUsage = recordUsage;
+
+      // Store original json method to intercept successful responses
+      const originalJson = res.json.bind(res);
+      res.json = async function (data) {
+        // Only increment usage on successful generation; errors give the hold back
+        // (a 202 for a queued job keeps it until the worker settles it)
+        if (data && data.success === true) {
+          await recordUsage(data);
+        } else if (res.statusCode >= 400) {
+          await req.releaseUsage();
         }
 
         return originalJson(data);
@@ -0,0 +1,209 @@
+/**
+ * Fake Image Provider
+ *
+ * Deterministic local stand-in for a real image model. Composites the user
+ * photo onto the template with sharp - no network, no API key - so the
+ * generate pipeline can run offline. The same inputs always produce the
+ * same output bytes.
+ *
+ * Enable for every model with IMAGE_PROVIDER=fake (see providers/index.js).
+ *
+ * Scripted failures: each call consumes the next queued scenario
+ * (queueScenarios(), or POST /api/dev/fake-provider on a local dev server),
+ * falling back to FAKE_PROVIDER_SCENARIO, then 'success'. Failure scenarios
+ * mimic what the Gemini SDK returns so parseGeminiError and
+ * analyzeResponseForFaceIssues see realistic input.
+ */
+
+const sharp = require('sharp');
+
+// Delay before the 'timeout' scenario rejects (simulates a slow upstream)
+const TIMEOUT_SCENARIO_DELAY = 50;
+
+// Scenarios waiting to be consumed, in order
+const scenarioQueue = [];
+
+// Output size cap (keeps the fake fast on large gallery photos)
+const MAX_OUTPUT_DIMENSION = 1024;
+
+// Inset size relative to the template width
+const INSET_RATIO = 0.35;
+
+/**
+ * Composite the user photo into the top-right corner of the template
+ * @param {object} templateImage - { buffer, mimeType } gallery photo
+ * @param {object} userImage - { buffer, mimeType } uploaded photo
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+async function composite(templateImage, userImage) {
+  const base = await sharp(templateImage.buffer)
+    .resize(MAX_OUTPUT_DIMENSION, MAX_OUTPUT_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = base.info;
+  const insetSize = Math.max(1, Math.min(Math.round(width * INSET_RATIO), height));
+  const margin = Math.round(insetSize * 0.1);
+
+  const inset = await sharp(userImage.buffer)
+    .resize(insetSize, insetSize, { fit: 'cover', position: 'attention' })
+    .png()
+    .toBuffer();
+
+  return sharp(base.data)
+    .composite([{
+      input: inset,
+      top: Math.min(margin, height - insetSize),
+      left: Math.max(0, width - insetSize - margin),
+    }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Build a provider result with no image
+ */
+function emptyResult(overrides = {}) {
+  return {
+    image: null,
+    mimeType: null,
+    text: '',
+    finishReason: 'STOP',
+    ...overrides,
+    safety: {
+      blockReason: null,
+      ratings: [],
+      ...overrides.safety,
+    },
+  };
+}
+
+/**
+ * Create an error shaped like the Gemini SDK's fetch errors
+ */
+function sdkError(status, message) {
+  const error = new Error(`[GoogleGenerativeAI Error]: Error fetching from fake provider: [${status}] ${message}`);
+  error.status = status;
+  return error;
+}
+
+// Scenario name -> behavior (returns a provider result or throws)
+const SCENARIOS = {
+  // Deterministic composite image
+  success: async (templateImage, userImage, options) => ({
+    image: await composite(templateImage, userImage),
+    mimeType: 'image/png',
+    text: `Fake composite (${options.modelId || 'fake'})`,
+    finishReason: 'STOP',
+    safety: { blockReason: null, ratings: [] },
+  }),
+
+  // 429 from upstream -> RATE_LIMITED
+  rate_limit: async () => {
+    throw sdkError(429, 'Too Many Requests: Resource has been exhausted (e.g. check quota).');
+  },
+
+  // Upstream deadline exceeded -> TIMEOUT
+  timeout: async () => {
+    await new Promise(resolve => setTimeout(resolve, TIMEOUT_SCENARIO_DELAY));
+    throw sdkError(504, 'Deadline Exceeded');
+  },
+
+  // Never resolves -> caller's own timeout (generateImage options.timeout)
+  hang: () => new Promise(() => { }),
+
+  // Candidate stopped by safety filters -> SAFETY_BLOCK
+  safety: async () => emptyResult({
+    finishReason: 'SAFETY',
+    safety: { ratings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH' }] },
+  }),
+
+  // Prompt rejected before generation -> SAFETY_BLOCK
+  blocked: async () => emptyResult({
+    finishReason: null,
+    safety: { blockReason: 'OTHER' },
+  }),
+
+  // Text-only answer about the face -> NO_FACE
+  no_face: async () => emptyResult({
+    text: "I couldn't find a clear face in the second image. No face detected.",
+  }),
+
+  // Text-only answer about several faces -> MULTIPLE_FACES
+  multiple_faces: async () => emptyResult({
+    text: 'The second image contains multiple faces, so I cannot tell which person to use.',
+  }),
+
+  // Neither image nor useful text -> GENERATION_FAILED
+  no_image: async () => emptyResult(),
+
+  // Unexpected upstream error -> GENERATION_FAILED
+  error: async () => {
+    throw sdkError(500, 'Internal error encountered.');
+  },
+};
+
+/**
+ * Queue scenarios for the next calls to generate()
+ * @param {string|string[]} scenarios - Scenario name(s) from SCENARIOS
+ * @returns {string[]} The queue after adding
+ */
+function queueScenarios(scenarios) {
+  const list = Array.isArray(scenarios) ? scenarios : [scenarios];
+  const unknown = list.filter(name => !SCENARIOS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fake provider scenario: ${unknown.join(', ')}`);
+  }
+  scenarioQueue.push(...list);
+  return getScenarioQueue();
+}
+
+/**
+ * Remove all queued scenarios
+ */
+function clearScenarios() {
+  scenarioQueue.length = 0;
+}
+
+/**
+ * Get a copy of the queued scenarios
+ * @returns {string[]}
+ */
+function getScenarioQueue() {
+  return scenarioQueue.slice();
+}
+
+/**
+ * Pick the scenario for this call
+ */
+function nextScenario() {
+  if (scenarioQueue.length > 0) {
+    return scenarioQueue.shift();
+  }
+  const fromEnv = process.env.FAKE_PROVIDER_SCENARIO;
+  if (fromEnv && SCENARIOS[fromEnv]) {
+    return fromEnv;
+  }
+  return 'success';
+}
+
+/**
+ * Generate a deterministic composite (or the next scripted failure)
+ * @param {object} templateImage - { buffer, mimeType } gallery photo
+ * @param {object} userImage - { buffer, mimeType } uploaded photo
+ * @param {string} prompt - Ignored (accepted for interface compatibility)
+ * @param {object} options - { modelId } (echoed in the text part)
+ * @returns {Promise<object>} Provider result
+ */
+async function generate(templateImage, userImage, prompt, options = {}) {
+  return SCENARIOS[nextScenario()](templateImage, userImage, options);
+}
+
+module.exports = {
+  name: 'fake',
+  generate,
+  queueScenarios,
+  clearScenarios,
+  getScenarioQueue,
+  SCENARIOS: Object.keys(SCENARIOS),
+};
@@ -0,0 +1,95 @@
+/**
+ * Gemini Image Provider
+ *
+ * Adapter for Google's Gemini image models (Nano Banana / Nano Banana Pro)
+ * via @google/generative-ai. Implements the common provider interface
+ * documented in providers/index.js.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Lazily created so requiring the module never needs GEMINI_API_KEY
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return client;
+}
+
+/**
+ * Convert a Gemini generateContent response into the provider result shape
+ * @param {object} response - Response from result.response
+ * @returns {object} { image, mimeType, text, finishReason, safety }
+ */
+function normalizeResponse(response) {
+  const candidate = response?.candidates?.[0];
+  const parts = candidate?.content?.parts || [];
+
+  let image = null;
+  let mimeType = null;
+  const text = [];
+
+  for (const part of parts) {
+    if (part.inlineData && !image) {
+      image = Buffer.from(part.inlineData.data, 'base64');
+      mimeType = part.inlineData.mimeType || 'image/png';
+    }
+    if (part.text) {
+      text.push(part.text);
+    }
+  }
+
+  return {
+    image,
+    mimeType,
+    text: text.join(' '),
+    finishReason: candidate?.finishReason || null,
+    safety: {
+      blockReason: response?.promptFeedback?.blockReason || null,
+      ratings: candidate?.safetyRatings || [],
+    },
+  };
+}
+
+/**
+ * Generate a face swap with Gemini
+ * @param {object} templateImage - { buffer, mimeType } gallery photo
+ * @param {object} userImage - { buffer, mimeType } uploaded photo
+ * @param {string} prompt - Prompt text
+ * @param {object} options - { modelId }
+ * @returns {Promise<object>} Provider result
+ */
+async function generate(templateImage, userImage, prompt, options = {}) {
+  const model = getClient().getGenerativeModel({
+    model: options.modelId,
+    generationConfig: {
+      responseModalities: ['image', 'text'],
+    },
+  });
+
+  const result = await model.generateContent([
+    {
+      inlineData: {
+        mimeType: templateImage.mimeType,
+        data: templateImage.buffer.toString('base64'),
+      },
+    },
+    {
+      inlineData: {
+        mimeType: userImage.mimeType,
+        data: userImage.buffer.toString('base64'),
+      },
+    },
+    prompt,
+  ]);
+
+  return normalizeResponse(await result.response);
+}
+
+module.exports = {
+  name: 'gemini',
+  generate,
+  normalizeResponse,
+};
@@ -0,0 +1,130 @@
+/**
+ * Image Providers
+ *
+ * Common interface for the image models behind /api/generate. Each model in
+ * config/tiers.js declares a `provider`; route code calls generateImage() with
+ * the model type and never touches a provider SDK directly.
+ *
+ * Provider interface:
+ *   name: string
+ *   generate(templateImage, userImage, prompt, options) -> Promise<result>
+ *     templateImage / userImage: { buffer: Buffer, mimeType: string }
+ *     options: { modelId, ...provider-specific }
+ *     result: {
+ *       image: Buffer | null,       // Generated image (null if none returned)
+ *       mimeType: string | null,
+ *       text: string,               // Any text the model returned alongside/instead of an image
+ *       finishReason: string | null, // e.g. 'STOP', 'SAFETY'
+ *       safety: { blockReason: string | null, ratings: array }
+ *     }
+ *
+ * Providers throw on transport/API errors (rate limits, auth, etc.);
+ * callers map those to ERROR_CODES.
+ *
+ * IMAGE_PROVIDER=<name> routes every model to one provider regardless of
+ * tiers.models (e.g. IMAGE_PROVIDER=fake for offline development and tests).
+ */
+
+const tiers = require('../config/tiers');
+
+// Registered providers (name -> adapter)
+const providers = {
+  gemini: require('./gemini'),
+  fake: require('./fake'),
+};
+
+/**
+ * Register an additional provider
+ * @param {string} name - Provider name referenced by tiers.models[].provider
+ * @param {object} adapter - Object implementing generate()
+ */
+function registerProvider(name, adapter) {
+  if (!adapter || typeof adapter.generate !== 'function') {
+    throw new Error(`Image provider "${name}" must implement generate()`);
+  }
+  providers[name] = { name, ...adapter };
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider adapter
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown image provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Get the provider name forced by IMAGE_PROVIDER, if any
+ * @returns {string|null}
+ */
+function getProviderOverride() {
+  return process.env.IMAGE_PROVIDER || null;
+}
+
+/**
+ * Resolve the model config and provider for a model type
+ * @param {'quick' | 'premium'} modelType - Key in tiers.models
+ * @param {string} providerName - Use this provider instead (e.g. admin
+ *   previews forcing 'fake'); default IMAGE_PROVIDER, then the model's own
+ * @returns {object} { modelConfig, provider }
+ */
+function resolveModel(modelType, providerName = null) {
+  const modelConfig = tiers.models[modelType];
+  if (!modelConfig) {
+    throw new Error(`Unknown model type: ${modelType}`);
+  }
+  return { modelConfig, provider: getProvider(providerName || getProviderOverride() || modelConfig.provider) };
+}
+
+/**
+ * Generate an image with the provider configured for a model type
+ * @param {'quick' | 'premium'} modelType - Key in tiers.models
+ * @param {object} templateImage - { buffer, mimeType } gallery photo
+ * @param {object} userImage - { buffer, mimeType } uploaded photo
+ * @param {string} prompt - Prompt text
+ * @param {object} options - Extra provider options
+ * @param {number} options.timeout - Reject with an `isTimeout` error after this many ms
+ * @param {string} options.provider - Provider name to use instead (see resolveModel)
+ * @returns {Promise<object>} Provider result (see interface above)
+ */
+async function generateImage(modelType, templateImage, userImage, prompt, options = {}) {
+  const { timeout, provider: providerName, ...providerOptions } = options;
+  const { modelConfig, provider } = resolveModel(modelType, providerName);
+
+  const generatePromise = provider.generate(templateImage, userImage, prompt, {
+    ...providerOptions,
+    modelId: modelConfig.modelId,
+  });
+
+  if (!timeout) {
+    return generatePromise;
+  }
+
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new Error('Request timed out');
+      error.isTimeout = true;
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([generatePromise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderOverride,
+  resolveModel,
+  generateImage,
+};
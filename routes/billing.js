@@ -0,0 +1,79 @@
+/**
+ * Billing History Routes
+ * GET /api/billing/history - purchases and per-generation credit spend
+ * GET /api/billing/receipt - receipt for one purchase (?id=, ?format=html|pdf)
+ *
+ * Both routes require authentication and only ever show the authenticated
+ * user's own purchases. See services/billing.js.
+ */
+
+const express = require('express');
+
+const billing = require('../services/billing');
+const { requireAuth } = require('../middleware/auth');
+const { renderReceiptHtml, renderReceiptPdf } = require('../lib/receipts');
+
+const RECEIPT_FORMATS = ['html', 'pdf'];
+
+/**
+ * Create the /api/billing router
+ * @returns {object} Express router
+ */
+function createBillingRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/billing/history
+   * Returns the user's purchases (newest first) and the credits each
+   * generation spent
+   * Query: ?limit=<n> (max 100)
+   */
+  router.get('/api/billing/history', requireAuth, async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || undefined;
+      const history = await billing.getBillingHistory(req.user.id, { limit });
+
+      res.json(history);
+    } catch (error) {
+      console.error('Billing history error:', error.message);
+      res.status(500).json({ error: 'Failed to get billing history' });
+    }
+  });
+
+  /**
+   * GET /api/billing/receipt
+   * Downloads the receipt for one of the user's purchases
+   * Query: ?id=<checkout session or invoice ID>&format=html|pdf (default html)
+   */
+  router.get('/api/billing/receipt', requireAuth, async (req, res) => {
+    try {
+      const format = req.query.format || 'html';
+      if (!RECEIPT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+      }
+
+      const receipt = await billing.getReceipt(req.user.id, req.query.id);
+      if (!receipt) {
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.id}.pdf"`);
+        return res.send(renderReceiptPdf(receipt));
+      }
+
+      res.setHeader('Content-Disposition', `inline; filename="receipt-${receipt.id}.html"`);
+      res.type('html').send(renderReceiptHtml(receipt));
+    } catch (error) {
+      console.error('Receipt error:', error.message);
+      res.status(500).json({ error: 'Failed to get receipt' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createBillingRouter,
+};
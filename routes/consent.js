@@ -0,0 +1,49 @@
+/**
+ * Self-Consent Routes
+ * POST /api/selfie-nonce - capture nonce for the consent selfie
+ *
+ * The camera asks for a nonce before taking the selfie and /api/generate
+ * sends it back with the selfie (field `selfieNonce`). It's bound to the
+ * signed-in user, or to the anon_id cookie (set here if missing), and to a new
+ * capture session (the capture_session cookie, set here), so a nonce can't be
+ * handed to someone else or used from another browser. Each nonce is used
+ * once. See services/consent.js.
+ */
+
+const express = require('express');
+
+const {
+  createCaptureSession,
+  issueCaptureNonce,
+  CAPTURE_NONCE_TTL_MS,
+  CAPTURE_SESSION_COOKIE,
+} = require('../services/consent');
+const { selfieNonceLimiter } = require('../middleware/limits');
+const { getOrCreateAnonId } = require('../lib/anon');
+
+/**
+ * Create the /api/selfie-nonce router
+ * @returns {object} Express router
+ */
+function createConsentRouter() {
+  const router = express.Router();
+
+  router.post('/api/selfie-nonce', selfieNonceLimiter, (req, res) => {
+    const owner = req.user?.id || getOrCreateAnonId(req, res).anonId;
+    const session = createCaptureSession();
+    res.cookie(CAPTURE_SESSION_COOKIE, session, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: CAPTURE_NONCE_TTL_MS,
+      path: '/'
+    });
+    res.json({ success: true, ...issueCaptureNonce(owner, session) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createConsentRouter,
+};
@@ -0,0 +1,731 @@
+/**
+ * Generate Route
+ * POST /api/generate - face swap a user photo into a gallery photo
+ *
+ * Shared by server.js and api/generate.js. Differences between the two
+ * deployments are limited to the router options:
+ * - outputMode: 'file' saves to output/ (served by GET /output/:filename);
+ *   'inline' returns a data URL (serverless has no persistent disk)
+ * - jobMode: allow async job mode (202 + polling/SSE); needs a long-running
+ *   process, so serverless always answers synchronously
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const generations = require('../services/generations');
+const generationQueue = require('../services/generationQueue');
+const { getProfile, updateProfile } = require('../services/profiles');
+const { isSelfConsentRequired, checkSelfConsent, CONSENT_FAILURE, CAPTURE_SESSION_COOKIE } = require('../services/consent');
+const { screenUpload } = require('../services/screening');
+const { createRateLimitMiddleware } = require('../middleware/rateLimit');
+const { globalGenerateLimiter, suspiciousActivityMiddleware } = require('../middleware/limits');
+const providers = require('../providers');
+const { ERROR_CODES, createErrorResponse, logError } = require('../lib/errors');
+const { upload, handleMulterError } = require('../lib/upload');
+const templates = require('../services/templates');
+const { addWatermark } = require('../lib/watermark');
+const { embedInvisibleWatermark } = require('../lib/invisibleWatermark');
+const { embedProvenance } = require('../lib/provenance');
+const { computePerceptualHash } = require('../lib/imageHash');
+const { isValidUUID, ANON_COOKIE_NAME } = require('../lib/anon');
+
+// Timeout for image provider requests (in milliseconds)
+// GENERATION_TIMEOUT_MS overrides the default (e.g. short timeouts for fake-provider tests)
+const GENERATION_TIMEOUT = parseInt(process.env.GENERATION_TIMEOUT_MS, 10) || 120000; // 2 minutes
+
+// Minimum image dimensions
+const MIN_IMAGE_SIZE = 256;
+
+// Maximum image dimensions (prevents memory exhaustion while decoding)
+const MAX_IMAGE_DIMENSION = 4096;
+const MAX_IMAGE_PIXELS = 16 * 1024 * 1024; // 16 megapixels
+
+// Where the 'file' output mode saves generated images
+const OUTPUT_DIR = path.join(__dirname, '..', 'output');
+
+// Retry-After for job-mode requests refused because the queue is full
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Validate image dimensions and quality
+ */
+async function validateImageDimensions(buffer, filename = 'image') {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const { width, height } = metadata;
+
+    if (!width || !height) {
+      return {
+        valid: false,
+        code: ERROR_CODES.INVALID_FORMAT,
+        message: 'Could not read image dimensions. The file may be corrupted.',
+      };
+    }
+
+    if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) {
+      return {
+        valid: false,
+        code: ERROR_CODES.IMAGE_TOO_SMALL,
+        message: `Image is too small (${width}x${height}). Minimum size is ${MIN_IMAGE_SIZE}x${MIN_IMAGE_SIZE} pixels.`,
+        details: `Your image: ${width}x${height}px. Required: at least ${MIN_IMAGE_SIZE}x${MIN_IMAGE_SIZE}px for good results.`,
+      };
+    }
+
+    // SECURITY: Reject huge images before they are decoded (memory exhaustion)
+    if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION || width * height > MAX_IMAGE_PIXELS) {
+      return {
+        valid: false,
+        code: ERROR_CODES.IMAGE_TOO_LARGE,
+        message: `Image is too large (${width}x${height}). Maximum size is ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION} pixels.`,
+        details: `Your image: ${width}x${height}px. Resize it to at most ${MAX_IMAGE_DIMENSION}px per side (${MAX_IMAGE_PIXELS / (1024 * 1024)} megapixels).`,
+      };
+    }
+
+    return { valid: true, width, height };
+  } catch (error) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_FORMAT,
+      message: 'Could not process image. Please use a valid JPG, PNG, or WebP file.',
+      details: error.message,
+    };
+  }
+}
+
+/**
+ * Parse image provider error and return appropriate error response
+ * (message patterns follow the Gemini SDK, which other adapters mirror)
+ */
+function parseGeminiError(error) {
+  const errorMessage = error.message?.toLowerCase() || '';
+  const errorString = String(error).toLowerCase();
+
+  // Rate limiting
+  // NOTE: Match "rate limit" rather than bare "rate" - every SDK error message
+  // contains "GoogleGenerativeAI", which would otherwise look like a rate limit
+  if (/rate[ -]?limit/.test(errorMessage) || errorMessage.includes('too many requests') ||
+    errorMessage.includes('quota') || errorMessage.includes('429') ||
+    errorString.includes('resource exhausted')) {
+    return {
+      code: ERROR_CODES.RATE_LIMITED,
+      message: 'Too many requests. Please wait a moment and try again.',
+      details: 'The AI service is temporarily rate limited. Try again in 30-60 seconds.',
+    };
+  }
+
+  // Timeout
+  if (errorMessage.includes('timeout') || errorMessage.includes('deadline') ||
+    errorMessage.includes('econnreset') || errorMessage.includes('socket hang up')) {
+    return {
+      code: ERROR_CODES.TIMEOUT,
+      message: 'Request timed out. The AI is busy - please try again.',
+      details: 'Image generation took too long. This can happen during high traffic.',
+    };
+  }
+
+  // Safety/content filters
+  if (errorMessage.includes('safety') || errorMessage.includes('blocked') ||
+    errorMessage.includes('harmful') || errorMessage.includes('policy')) {
+    return {
+      code: ERROR_CODES.SAFETY_BLOCK,
+      message: 'Content blocked by safety filters. Please try a different photo.',
+      details: 'The AI detected potentially problematic content in the request.',
+    };
+  }
+
+  // Invalid image/format
+  if (errorMessage.includes('invalid') && (errorMessage.includes('image') || errorMessage.includes('format'))) {
+    return {
+      code: ERROR_CODES.INVALID_FORMAT,
+      message: 'Invalid image format. Please use a JPG, PNG, or WebP file.',
+      details: error.message,
+    };
+  }
+
+  // Default to generation failed
+  return {
+    code: ERROR_CODES.GENERATION_FAILED,
+    message: 'Image generation failed. Please try again.',
+    details: error.message,
+  };
+}
+
+/**
+ * Analyze provider text output for face detection issues
+ * @param {object} output - Provider result ({ text, ... }) from providers.generateImage()
+ */
+function analyzeResponseForFaceIssues(output) {
+  const fullText = (output.text || '').toLowerCase();
+
+  // Check for no face detected
+  if (fullText.includes('no face') || fullText.includes('cannot detect') ||
+    fullText.includes('unable to detect') || fullText.includes('no person') ||
+    fullText.includes("couldn't find") || fullText.includes('face not found')) {
+    return {
+      hasFaceIssue: true,
+      code: ERROR_CODES.NO_FACE,
+      message: 'No face detected in your photo. Please upload a clear photo of your face.',
+      details: 'Make sure your face is clearly visible, well-lit, and facing the camera.',
+    };
+  }
+
+  // Check for multiple faces
+  if (fullText.includes('multiple faces') || fullText.includes('more than one face') ||
+    fullText.includes('several faces') || fullText.includes('multiple people')) {
+    return {
+      hasFaceIssue: true,
+      code: ERROR_CODES.MULTIPLE_FACES,
+      message: 'Multiple faces detected. Please upload a photo with only your face.',
+      details: 'Crop your photo to show just one person for best results.',
+    };
+  }
+
+  return { hasFaceIssue: false };
+}
+
+/**
+ * Run the generation pipeline for an existing generation record
+ * Shared by the synchronous route and the job queue worker.
+ * Status transitions: validating -> generating -> watermarking -> completed/failed
+ *
+ * @param {object} job - Generation job
+ * @param {object} job.generationRecord - Record from generations.createGeneration()
+ * @param {object} job.userPhoto - Uploaded photo ({ buffer, mimetype })
+ * @param {string} job.epsteinPhoto - Selected gallery photo path
+ * @param {string|null} job.subject - Subject ID of the person to replace (null = the template's default)
+ * @param {'quick' | 'premium'} job.modelType - Validated model type
+ * @param {boolean} job.isAdmin - Admin requests skip the watermark and get debug info
+ * @param {boolean} job.watermarkFree - Tier allows watermark-free output (base/paid)
+ * @param {'file' | 'inline'} job.outputMode - Save to output/ or return a data URL
+ * @returns {Promise<object>} { statusCode, body } ready to send as a JSON response
+ */
+async function runGenerationJob(job) {
+  const { generationRecord, userPhoto, epsteinPhoto, subject: subjectId = null, modelType, isAdmin, watermarkFree, outputMode = 'file' } = job;
+
+  // Prompt variant and provider latency, once known (recorded with the outcome)
+  const promptDetails = { promptVariant: null, latencyMs: null };
+
+  // Record the failure and build the matching error response
+  async function fail(statusCode, code, message, details, recordMessage = message) {
+    await generations.failGeneration(generationRecord.id, code, recordMessage, promptDetails);
+    return { statusCode, body: createErrorResponse(code, message, details) };
+  }
+
+  try {
+    await generations.setStatus(generationRecord.id, generations.STATUS.VALIDATING);
+
+    // Validate user photo dimensions
+    const userValidation = await validateImageDimensions(userPhoto.buffer, 'User photo');
+    if (!userValidation.valid) {
+      logError(userValidation.code, userValidation.message);
+      return fail(400, userValidation.code, userValidation.message, userValidation.details);
+    }
+
+    // SECURITY: Validate epsteinPhoto against the template catalog (enabled
+    // templates only) to prevent path traversal attacks
+    // An attacker could send "../../.env" to read server secrets
+    const template = templates.getTemplateByPath(epsteinPhoto);
+
+    if (!template) {
+      logError(ERROR_CODES.GENERATION_FAILED, `Invalid epstein photo path (possible attack): ${epsteinPhoto}`);
+      return fail(400, ERROR_CODES.GENERATION_FAILED,
+        'Invalid photo selection.',
+        'Please select a valid photo from the gallery.'
+      );
+    }
+
+    // The person the user chose to replace, for scenes with several
+    // replaceable subjects (none chosen: the template's default)
+    const subject = typeof subjectId === 'string' || subjectId === null ? templates.getSubject(template, subjectId) : null;
+    if (subjectId !== null && !subject) {
+      logError(ERROR_CODES.GENERATION_FAILED, `Unknown subject for ${template.id}: ${String(subjectId).slice(0, 64)}`);
+      return fail(400, ERROR_CODES.GENERATION_FAILED,
+        'Invalid person selection.',
+        'Please choose one of the people marked on the photo.'
+      );
+    }
+
+    // Read the Epstein photo from disk
+    // SECURITY: Strip leading slash to prevent path.join treating it as absolute path
+    // Then use path.resolve and verify the result is within the allowed directory
+    const sanitizedPath = epsteinPhoto.replace(/^\/+/, ''); // Strip leading slashes
+    const epsteinPhotosDir = path.resolve(templates.PHOTOS_DIR);
+    const epsteinPhotoPath = path.resolve(templates.PHOTOS_DIR, '..', sanitizedPath);
+
+    // SECURITY: Verify the resolved path is within the epstein-photos directory
+    if (!epsteinPhotoPath.startsWith(epsteinPhotosDir + path.sep) && epsteinPhotoPath !== epsteinPhotosDir) {
+      logError(ERROR_CODES.GENERATION_FAILED, `Path traversal attempt blocked: ${epsteinPhoto} resolved to ${epsteinPhotoPath}`);
+      return fail(400, ERROR_CODES.GENERATION_FAILED,
+        'Invalid photo selection.',
+        'Please select a valid photo from the gallery.'
+      );
+    }
+
+    if (!fs.existsSync(epsteinPhotoPath)) {
+      logError(ERROR_CODES.GENERATION_FAILED, `Epstein photo not found: ${epsteinPhoto}`);
+      return fail(400, ERROR_CODES.GENERATION_FAILED,
+        'Selected Epstein photo not found.',
+        'Please refresh the page and try again.'
+      );
+    }
+
+    const epsteinPhotoBuffer = await fsPromises.readFile(epsteinPhotoPath);
+
+    // Detect actual MIME type from file extension
+    const ext = path.extname(sanitizedPath).toLowerCase();
+    const mimeTypes = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.webp': 'image/webp',
+    };
+    const epsteinPhotoMime = mimeTypes[ext] || 'image/jpeg';
+
+    console.log(`\n🎬 Generating Epstein swap...`);
+    console.log(`   Epstein photo: ${epsteinPhoto}`);
+    console.log(`   User photo: ${userValidation.width}x${userValidation.height}px`);
+
+    // Model and provider come from tiers.models[modelType]
+    const { modelConfig, provider } = providers.resolveModel(modelType);
+    console.log(`   Model: ${modelConfig.modelId} via ${provider.name} (${modelType})`);
+
+    // The template's prompt for this model, in one of its prompt variants
+    // (or the catalog's default prompt), describing the chosen subject
+    promptDetails.promptVariant = templates.chooseVariant(template);
+    const prompt = templates.getPrompt(template, modelType, promptDetails.promptVariant, subject?.id || null);
+    console.log(`   Template: ${template.id} (prompt variant: ${promptDetails.promptVariant}${subject ? `, subject: ${subject.id}` : ''})`);
+
+    await generations.setStatus(generationRecord.id, generations.STATUS.GENERATING);
+
+    // Call the image provider with both images (with timeout protection)
+    let output;
+    const startTime = Date.now();
+    try {
+      output = await providers.generateImage(
+        modelType,
+        { buffer: epsteinPhotoBuffer, mimeType: epsteinPhotoMime },
+        { buffer: userPhoto.buffer, mimeType: userPhoto.mimetype },
+        prompt,
+        { timeout: GENERATION_TIMEOUT }
+      );
+    } catch (apiError) {
+      promptDetails.latencyMs = Date.now() - startTime;
+
+      // Handle timeout specifically
+      if (apiError.isTimeout) {
+        logError(ERROR_CODES.TIMEOUT, `${provider.name} provider timed out`, apiError);
+        return fail(504, ERROR_CODES.TIMEOUT,
+          'Request timed out. The AI is taking too long - please try again.',
+          `Generation exceeded ${GENERATION_TIMEOUT / 1000} second limit. This can happen during high traffic.`,
+          'Request timed out'
+        );
+      }
+      // Re-throw to be caught by outer catch
+      throw apiError;
+    }
+
+    const elapsedTime = Date.now() - startTime;
+    promptDetails.latencyMs = elapsedTime;
+
+    // Check for prompt feedback blocks (happens before generation)
+    if (output.safety?.blockReason) {
+      logError(ERROR_CODES.SAFETY_BLOCK, `Prompt blocked: ${output.safety.blockReason}`);
+      return fail(400, ERROR_CODES.SAFETY_BLOCK,
+        'Request blocked by content filters. Please try a different photo.',
+        `Block reason: ${output.safety.blockReason}`,
+        `Prompt blocked: ${output.safety.blockReason}`
+      );
+    }
+
+    // Save the generated image
+    if (output.image) {
+      let imageBuffer = output.image;
+
+      await generations.setStatus(generationRecord.id, generations.STATUS.WATERMARKING);
+
+      // Add watermark (skip for authenticated admin users and watermark-free tiers)
+      // SECURITY: Only trust req.isAdmin / server-side usage - never trust client-side debug parameter
+      const skipWatermark = isAdmin || watermarkFree;
+      if (!skipWatermark) {
+        imageBuffer = await addWatermark(imageBuffer);
+      }
+
+      // Invisible watermark (every output - survives stripping of the manifest,
+      // recompression, resizing and cropping)
+      imageBuffer = await embedInvisibleWatermark(imageBuffer, generationRecord.id);
+
+      // Embed the signed provenance manifest (every output, watermarked or not)
+      // NOTE: Must be the last change to the image - re-encoding drops it
+      ({ buffer: imageBuffer } = await embedProvenance(imageBuffer, {
+        generationId: generationRecord.id,
+        template: epsteinPhoto,
+        model: modelConfig.modelId,
+        provider: provider.name,
+      }));
+
+      let imageUrl;
+      // What the generation record keeps - a data URL runs to megabytes, too big
+      // for the indexed result_url column, so inline images are only returned
+      let storedUrl;
+      if (outputMode === 'inline') {
+        // Return as base64 data URL (serverless has no persistent disk)
+        imageUrl = `data:image/png;base64,${imageBuffer.toString('base64')}`;
+        storedUrl = null;
+        console.log(`✅ Generated inline image${skipWatermark ? ' [no watermark]' : ''} (${elapsedTime}ms)`);
+      } else {
+        // Save the image with UUID filename (prevents enumeration attacks)
+        const filename = `epstein_${crypto.randomUUID()}.png`;
+        await fsPromises.writeFile(path.join(OUTPUT_DIR, filename), imageBuffer);
+        imageUrl = `/output/${filename}`;
+        storedUrl = imageUrl;
+        console.log(`✅ Generated: ${filename}${skipWatermark ? ' [no watermark]' : ''} (${elapsedTime}ms)`);
+      }
+
+      // Stored so /api/verify can recognise copies that lost the manifest
+      const perceptualHash = await computePerceptualHash(imageBuffer);
+      await generations.completeGeneration(generationRecord.id, storedUrl, { perceptualHash, ...promptDetails });
+
+      // Build response
+      const body = {
+        success: true,
+        imageUrl,
+        generationId: generationRecord.id,
+        // Include viewToken for anonymous users so they can access their images
+        viewToken: generationRecord.viewToken || null
+      };
+
+      // Add debug info for admin users
+      if (isAdmin) {
+        const outputMetadata = await sharp(imageBuffer).metadata();
+        body.debug = {
+          generationTime: elapsedTime,
+          model: modelConfig.modelId,
+          provider: provider.name,
+          outputDimensions: {
+            width: outputMetadata.width,
+            height: outputMetadata.height
+          },
+          inputDimensions: {
+            width: userValidation.width,
+            height: userValidation.height
+          },
+          watermarkApplied: !skipWatermark,
+          epsteinPhoto: epsteinPhoto,
+          promptVariant: promptDetails.promptVariant,
+          subject: subject?.id || null,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      return { statusCode: 200, body };
+    }
+
+    // Check for safety blocks
+    if (output.finishReason === 'SAFETY') {
+      logError(ERROR_CODES.SAFETY_BLOCK, 'Safety filter blocked request');
+      return fail(400, ERROR_CODES.SAFETY_BLOCK,
+        'Request blocked by safety filters. Try a different photo.',
+        'The AI detected potentially problematic content.',
+        'Content blocked by safety filters'
+      );
+    }
+
+    // Check for face detection issues in text response
+    const faceIssue = analyzeResponseForFaceIssues(output);
+    if (faceIssue.hasFaceIssue) {
+      logError(faceIssue.code, faceIssue.message);
+      return fail(400, faceIssue.code, faceIssue.message, faceIssue.details);
+    }
+
+    // No image generated
+    logError(ERROR_CODES.GENERATION_FAILED, 'No image in response');
+    return fail(500, ERROR_CODES.GENERATION_FAILED,
+      'No image generated. Please try again.',
+      'The AI did not return an image. This can happen occasionally.',
+      'No image generated'
+    );
+
+  } catch (error) {
+    // Parse Gemini-specific errors
+    const parsedError = parseGeminiError(error);
+    logError(parsedError.code, parsedError.message, error);
+
+    // Return appropriate HTTP status based on error type
+    const statusCode = parsedError.code === ERROR_CODES.RATE_LIMITED ? 429 :
+      parsedError.code === ERROR_CODES.TIMEOUT ? 504 :
+        parsedError.code === ERROR_CODES.SAFETY_BLOCK ? 400 : 500;
+
+    return fail(statusCode, parsedError.code, parsedError.message, parsedError.details);
+  }
+}
+
+/**
+ * Detect an upload's real type from its magic bytes (not the MIME type from the header)
+ * @returns {Promise<object>} { mime, allowed }
+ */
+async function detectImageType(buffer) {
+  const fileType = await import('file-type');
+  const detectedType = await fileType.fileTypeFromBuffer(buffer);
+  const allowedMimes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+  return { mime: detectedType?.mime || null, allowed: !!detectedType && allowedMimes.includes(detectedType.mime) };
+}
+
+/**
+ * Check whether the client asked for job mode (202 + polling/SSE instead of waiting)
+ * Accepts an `async` form field or a `Prefer: respond-async` header (RFC 7240).
+ */
+function wantsJobMode(req) {
+  const asyncField = String(req.body?.async || '').toLowerCase();
+  if (asyncField === 'true' || asyncField === '1') {
+    return true;
+  }
+  return /\brespond-async\b/i.test(req.headers.prefer || '');
+}
+
+// Create rate limit middleware with Supabase integration
+const rateLimitMiddleware = createRateLimitMiddleware({
+  upgradeUrl: '/pricing',
+  getProfile,
+  updateProfile
+});
+
+/**
+ * Create the POST /api/generate router
+ * @param {object} options - Router options
+ * @param {'file' | 'inline'} options.outputMode - How generated images are returned (default 'file')
+ * @param {boolean} options.jobMode - Allow async job mode (default false)
+ * @returns {object} Express router
+ */
+function createGenerateRouter(options = {}) {
+  const { outputMode = 'file', jobMode: allowJobMode = false } = options;
+
+  if (outputMode === 'file' && !fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  const router = express.Router();
+
+  // API: Generate face swap
+  // SECURITY: Multiple layers of rate limiting to prevent API key abuse:
+  // 1. globalGenerateLimiter - 100 total generations/hour across ALL users (prevents API exhaustion)
+  // 2. suspiciousActivityMiddleware - Blocks IPs with >10 requests in 5 minutes
+  // 3. rateLimitMiddleware - Per-user rate limits based on tier
+  // Order: global limit -> suspicious IP check -> per-user limit -> upload -> multer error handler -> handler
+  //
+  // Job mode (async=true or Prefer: respond-async): responds 202 with the generation ID
+  // right away and runs the pipeline in the queue worker. Clients poll
+  // GET /api/generation/:id or stream GET /api/generation/:id/events. When
+  // GENERATION_QUEUE_MAX jobs are already waiting it answers 503 (nothing charged).
+  //
+  // Self-consent (SELF_CONSENT_REQUIRED=true): a `selfie` camera capture is required,
+  // with the `selfieNonce` the camera got from POST /api/selfie-nonce (used once, from
+  // the browser holding its capture_session cookie), and the face in userPhoto must
+  // match it without being the same picture (services/consent.js).
+  //
+  // Screening (always on): uploads that appear to show a minor or a protected
+  // public figure are refused with PROTECTED_SUBJECT (services/screening.js).
+  //
+  // Subject (optional): in scenes with several people who could be replaced,
+  // `subject` is the ID of the one the user picked (the template's subjects in
+  // services/templates.js); an unknown ID is refused.
+  //
+  // Quota: the per-user check above only rejects users already over their limit;
+  // the handler reserves one generation (services/quota.js) right before the
+  // provider is called, and answers 429 RATE_LIMITED if in-flight requests hold the rest.
+  router.post('/api/generate', globalGenerateLimiter, suspiciousActivityMiddleware, rateLimitMiddleware, upload.fields([{ name: 'userPhoto', maxCount: 1 }, { name: 'selfie', maxCount: 1 }]), handleMulterError, async (req, res) => {
+    const userId = req.user?.id || null;
+
+    try {
+      const userPhoto = req.files?.userPhoto?.[0];
+      const selfie = req.files?.selfie?.[0] || null;
+      const { epsteinPhoto, subject, modelType = 'quick' } = req.body;
+
+      // Validate modelType - only allow 'quick' or 'premium'
+      const validModelType = ['quick', 'premium'].includes(modelType) ? modelType : 'quick';
+
+      if (!userPhoto) {
+        return res.status(400).json(createErrorResponse(
+          ERROR_CODES.INVALID_FORMAT,
+          'Your photo is required',
+          'Please upload a photo of yourself.'
+        ));
+      }
+
+      // Validate file content using magic bytes (not just MIME type from header)
+      for (const file of [userPhoto, selfie].filter(Boolean)) {
+        const detectedType = await detectImageType(file.buffer);
+        if (!detectedType.allowed) {
+          logError(ERROR_CODES.INVALID_FORMAT, 'File content validation failed');
+          return res.status(400).json(createErrorResponse(
+            ERROR_CODES.INVALID_FORMAT,
+            'Invalid file content. Only JPEG, PNG, WebP, and HEIC images are allowed.',
+            `Detected type: ${detectedType.mime || 'unknown'}. The file may be corrupted or disguised.`
+          ));
+        }
+      }
+
+      if (!epsteinPhoto) {
+        return res.status(400).json(createErrorResponse(
+          ERROR_CODES.INVALID_FORMAT,
+          'Epstein photo selection is required',
+          'Please select an Epstein photo from the gallery.'
+        ));
+      }
+
+      // Screening gate: no minors, no protected public figures
+      // Self-consent gate: the uploaded face must match a live selfie
+      // (both decode the photos in full - a file can pass the magic-byte check
+      // and still be corrupt, or HEIC, which sharp can't read here)
+      let screening;
+      let consent = null;
+      try {
+        screening = await screenUpload(userPhoto.buffer);
+        if (screening.allowed && isSelfConsentRequired()) {
+          const anonId = req.cookies?.[ANON_COOKIE_NAME];
+          consent = await checkSelfConsent(userPhoto.buffer, selfie?.buffer || null, {
+            nonce: req.body.selfieNonce,
+            owner: userId || (isValidUUID(anonId) ? anonId : null),
+            session: req.cookies?.[CAPTURE_SESSION_COOKIE] || null,
+          });
+        }
+      } catch (error) {
+        if (error.code !== ERROR_CODES.INVALID_FORMAT) {
+          throw error;
+        }
+        logError(ERROR_CODES.INVALID_FORMAT, 'Upload could not be decoded', error);
+        return res.status(400).json(createErrorResponse(
+          ERROR_CODES.INVALID_FORMAT,
+          'Could not process image. Please use a valid JPG, PNG, or WebP file.',
+          error.message
+        ));
+      }
+
+      if (!screening.allowed) {
+        const detail = screening.figure ? ` (${screening.figure}, distance ${screening.distance.toFixed(3)})`
+          : screening.age !== undefined ? ` (apparent age ${screening.age.toFixed(1)})` : '';
+        logError(ERROR_CODES.PROTECTED_SUBJECT, `Upload refused: ${screening.reason}${detail}`);
+        return res.status(400).json(createErrorResponse(
+          ERROR_CODES.PROTECTED_SUBJECT,
+          screening.message,
+          { reason: screening.reason }
+        ));
+      }
+
+      if (consent && !consent.consented) {
+        logError(ERROR_CODES.SELF_CONSENT_FAILED, `Self-consent check failed: ${consent.reason}`);
+        const refused = [CONSENT_FAILURE.FACE_MISMATCH, CONSENT_FAILURE.SAME_IMAGE].includes(consent.reason);
+        const status = refused ? 403 : 400;
+        return res.status(status).json(createErrorResponse(
+          ERROR_CODES.SELF_CONSENT_FAILED,
+          consent.message,
+          { reason: consent.reason }
+        ));
+      }
+
+      // Quota gate: hold one generation (or its credits) before paying for the
+      // provider call - parallel requests can't all spend the last one.
+      // Committed with the usage on success, released on any error response.
+      if (req.reserveUsage) {
+        const hold = await req.reserveUsage(validModelType);
+        if (!hold.reserved) {
+          return res.status(429).json(hold.body);
+        }
+      }
+
+      const jobMode = allowJobMode && wantsJobMode(req);
+
+      // Create generation record for tracking (for ALL users, including anonymous)
+      // This enables secure image access via viewToken for anonymous users
+      const generationRecord = await generations.createGeneration(userId, epsteinPhoto, {
+        modelType: validModelType,
+        status: jobMode ? generations.STATUS.QUEUED : generations.STATUS.PENDING,
+      });
+      console.log(`   Generation ID: ${generationRecord.id}${userId ? '' : ' (anonymous)'}${jobMode ? ' [queued]' : ''}`);
+
+      const job = {
+        generationRecord,
+        userPhoto: { buffer: userPhoto.buffer, mimetype: userPhoto.mimetype },
+        epsteinPhoto,
+        subject: subject || null,
+        modelType: validModelType,
+        isAdmin: req.isAdmin,
+        watermarkFree: req.usage?.watermarkFree === true,
+        outputMode,
+      };
+
+      if (!jobMode) {
+        const { statusCode, body } = await runGenerationJob(job);
+        return res.status(statusCode).json(body);
+      }
+
+      // Usage is charged by the worker once the job completes (not on the 202);
+      // the hold stays taken until then
+      const { recordUsage, releaseUsage } = req;
+      const position = generationQueue.enqueue(generationRecord.id, async () => {
+        const { body } = await runGenerationJob(job);
+        if (body.success && recordUsage) {
+          await recordUsage(body);
+        } else if (!body.success && releaseUsage) {
+          await releaseUsage();
+        }
+      });
+
+      // Queue full - refuse now rather than make everyone wait longer, and give
+      // the hold back so the user isn't charged
+      if (position === null) {
+        await generations.failGeneration(generationRecord.id, ERROR_CODES.RATE_LIMITED, 'Generation queue full');
+        if (releaseUsage) {
+          await releaseUsage();
+        }
+        res.set('Retry-After', String(QUEUE_FULL_RETRY_AFTER_SECONDS));
+        return res.status(503).json(createErrorResponse(
+          ERROR_CODES.RATE_LIMITED,
+          'We\'re busy generating other images right now. Please try again in a minute.'
+        ));
+      }
+
+      const query = generationRecord.viewToken ? `?viewToken=${generationRecord.viewToken}` : '';
+      res.location(`/api/generation/${generationRecord.id}`);
+      res.status(202).json({
+        queued: true,
+        status: generations.STATUS.QUEUED,
+        position,
+        generationId: generationRecord.id,
+        // Include viewToken for anonymous users so they can poll and view their images
+        viewToken: generationRecord.viewToken || null,
+        statusUrl: `/api/generation/${generationRecord.id}${query}`,
+        eventsUrl: `/api/generation/${generationRecord.id}/events${query}`
+      });
+
+    } catch (error) {
+      const parsedError = parseGeminiError(error);
+      logError(parsedError.code, parsedError.message, error);
+
+      res.status(500).json(createErrorResponse(
+        parsedError.code,
+        parsedError.message,
+        parsedError.details
+      ));
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createGenerateRouter,
+  runGenerationJob,
+  validateImageDimensions,
+  parseGeminiError,
+  analyzeResponseForFaceIssues,
+  GENERATION_TIMEOUT,
+  MIN_IMAGE_SIZE,
+  MAX_IMAGE_DIMENSION,
+  MAX_IMAGE_PIXELS,
+  OUTPUT_DIR,
+};
@@ -0,0 +1,98 @@
+/**
+ * Gift Code Routes
+ * POST /api/redeem       - redeem a gift code (signed in, or anonymously)
+ * POST /api/redeem/claim - move gifts redeemed anonymously in this browser
+ *                          to the signed-in account
+ *
+ * Signed-in users get the credits right away. Anonymous visitors can't use
+ * credits, so their redemption holds the code for their anonymous session
+ * (anon_id cookie) until they sign in - the app then calls /api/redeem/claim.
+ * See services/gifts.js.
+ */
+
+const express = require('express');
+
+const gifts = require('../services/gifts');
+const { requireAuth } = require('../middleware/auth');
+const { redeemLimiter } = require('../middleware/limits');
+const { getOrCreateAnonId, isValidUUID, ANON_COOKIE_NAME } = require('../lib/anon');
+
+// Redemption refusals
+const REDEEM_ERRORS = {
+  [gifts.REJECTION.INVALID_CODE]: { status: 400, error: 'Invalid gift code' },
+  [gifts.REJECTION.UNKNOWN_CODE]: { status: 404, error: 'Gift code not found' },
+  [gifts.REJECTION.EXPIRED]: { status: 410, error: 'This gift code has expired' },
+  [gifts.REJECTION.ALREADY_REDEEMED]: { status: 409, error: 'This gift code has already been redeemed' },
+};
+
+/**
+ * Create the /api/redeem router
+ * @returns {object} Express router
+ */
+function createRedeemRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/redeem
+   * Redeems a gift code for the signed-in user, or holds it for the
+   * anonymous session until sign-in
+   * Body: { code: string }
+   */
+  router.post('/api/redeem', redeemLimiter, async (req, res) => {
+    try {
+      const redeemer = req.user
+        ? { userId: req.user.id }
+        : { anonId: getOrCreateAnonId(req, res).anonId };
+
+      const result = await gifts.redeemGiftCode(req.body?.code, redeemer);
+
+      if (!result.redeemed) {
+        const { status, error } = REDEEM_ERRORS[result.reason];
+        return res.status(status).json({ error, reason: result.reason });
+      }
+
+      res.json({
+        success: true,
+        credits: result.credits,
+        // Anonymous redemptions: the credits arrive when the visitor signs in
+        held: result.held,
+        creditBalance: result.balance
+      });
+    } catch (error) {
+      console.error('Gift redeem error:', error.message);
+      res.status(500).json({ error: 'Failed to redeem gift code' });
+    }
+  });
+
+  /**
+   * POST /api/redeem/claim
+   * Grants the gifts held for this browser's anonymous session to the
+   * authenticated user (called after sign-in; a no-op without held gifts)
+   */
+  router.post('/api/redeem/claim', requireAuth, async (req, res) => {
+    try {
+      const anonId = req.cookies?.[ANON_COOKIE_NAME];
+      if (!anonId || !isValidUUID(anonId)) {
+        return res.json({ success: true, claimed: 0, credits: 0, creditBalance: null });
+      }
+
+      const result = await gifts.claimHeldGifts(anonId, req.user.id);
+
+      res.json({
+        success: true,
+        claimed: result.claimed,
+        credits: result.credits,
+        creditBalance: result.balance
+      });
+    } catch (error) {
+      console.error('Gift claim error:', error.message);
+      res.status(500).json({ error: 'Failed to claim gift codes' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRedeemRouter,
+};
@@ -0,0 +1,110 @@
+/**
+ * User & Usage Routes
+ * GET /api/me - current user (or anonymous session) and usage stats
+ */
+
+const express = require('express');
+
+const { checkUsage, updateAnonCache } = require('../services/usage');
+const { getProfile } = require('../services/profiles');
+const { getClientIP } = require('../middleware/rateLimit');
+const { getOrCreateAnonId, getAnonUsage } = require('../lib/anon');
+const pricing = require('../services/pricing');
+
+/**
+ * Create the /api/me router
+ * @returns {object} Express router
+ */
+function createMeRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/me
+   * Returns current user info and usage stats
+   * Works for both authenticated and anonymous users
+   */
+  router.get('/api/me', async (req, res) => {
+    try {
+      const userId = req.user?.id || null;
+      const clientIP = getClientIP(req);
+      let anonId = null;
+
+      // Get user profile if authenticated
+      let profile = null;
+      if (userId) {
+        profile = await getProfile(userId);
+      }
+
+      if (!userId) {
+        const anonSession = getOrCreateAnonId(req, res);
+        anonId = anonSession.anonId;
+        const anonUsage = await getAnonUsage(anonId);
+        updateAnonCache(anonId, anonUsage.quickCount, anonUsage.premiumCount);
+      }
+
+      // Get usage info
+      const usage = checkUsage(userId, profile, clientIP, 'quick', anonId);
+
+      // Build response
+      const response = {
+        authenticated: req.isAuthenticated,
+        user: req.user ? {
+          id: req.user.id,
+          email: req.user.email,
+          created_at: req.user.created_at
+        } : null,
+        profile: profile ? {
+          generation_count: profile.generation_count || 0,
+          monthly_generation_count: profile.monthly_generation_count || 0,
+          monthly_reset_at: profile.monthly_reset_at || null,
+          credit_balance: profile.credit_balance || 0,
+          tier: profile.tier || 'free',
+          plan: pricing.getPlanByStripePrice(profile.stripe_price_id)?.id || null,
+          subscription_status: profile.subscription_status || null,
+          grace_period_ends_at: profile.grace_period_ends_at || null,
+          stripe_customer_id: profile.stripe_customer_id || null
+        } : null,
+        usage: {
+          tier: usage.tier,
+          tierName: usage.tierName,
+          used: usage.used,
+          limit: usage.limit,
+          remaining: usage.remaining,
+          canGenerate: usage.canGenerate,
+          // Quick/Premium model-specific usage
+          quickUsed: usage.quickUsed || 0,
+          quickRemaining: usage.quickRemaining || 0,
+          quickLimit: usage.quickLimit || 0,
+          premiumUsed: usage.premiumUsed || 0,
+          premiumRemaining: usage.premiumRemaining || 0,
+          premiumLimit: usage.premiumLimit || 0,
+          // Monthly and credit fields
+          monthlyUsed: usage.monthlyUsed,
+          monthlyLimit: usage.monthlyLimit,
+          monthlyRemaining: usage.monthlyRemaining,
+          credits: usage.credits,
+          watermarkFree: usage.watermarkFree,
+          watermarkFreeReason: usage.watermarkFreeReason,
+          // Set while a failed subscription payment is in its grace period
+          gracePeriodEndsAt: usage.gracePeriodEndsAt
+        },
+        // Tiers and prices from the pricing catalog
+        ...pricing.getPublicPricing()
+      };
+
+      res.json(response);
+    } catch (error) {
+      console.error('Error in /api/me:', error.message);
+      res.status(500).json({
+        error: 'Failed to get user info',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMeRouter,
+};
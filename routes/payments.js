@@ -0,0 +1,474 @@
+/**
+ * Stripe Payment Routes
+ * POST /api/create-checkout  - Subscription checkout (any catalog plan)
+ * POST /api/change-plan      - Move a subscription to another plan
+ * POST /api/buy-credits      - Credit pack checkout
+ * POST /api/buy-gift         - Gift pack checkout (issues a gift code)
+ * GET  /api/subscription     - Subscription status
+ * POST /api/verify-session   - Apply a completed checkout (webhook fallback)
+ *
+ * All routes require authentication and only ever act on the
+ * authenticated user - never on IDs from the request body or query.
+ */
+
+const express = require('express');
+
+const stripeService = require('../services/stripe');
+const credits = require('../services/credits');
+const gifts = require('../services/gifts');
+const referrals = require('../services/referrals');
+const pricing = require('../services/pricing');
+const { getProfile } = require('../services/profiles');
+const { getNextResetDate } = require('../services/usage');
+const { requireAuth } = require('../middleware/auth');
+const { checkoutLimiter } = require('../middleware/limits');
+const { supabaseAdmin } = require('../lib/supabase');
+
+// Defensive email check for checkout sessions
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Credits per purchase (buy-credits quantity bounds)
+const MIN_CREDIT_QUANTITY = 1;
+const MAX_CREDIT_QUANTITY = 100;
+
+// Gift packs per gift code (buy-gift quantity bounds)
+const MIN_GIFT_QUANTITY = 1;
+const MAX_GIFT_QUANTITY = 20;
+
+/**
+ * Validate the authenticated user's email before creating a checkout session
+ * @returns {object|null} Error body, or null if the email is usable
+ */
+function validateCheckoutEmail(email) {
+  if (!email) {
+    return { error: 'User email not found. Please sign in again.' };
+  }
+  if (!EMAIL_REGEX.test(email)) {
+    return { error: 'Invalid email format in user profile' };
+  }
+  return null;
+}
+
+/**
+ * Create the POST /api/create-checkout router
+ * @returns {object} Express router
+ */
+function createCheckoutRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/create-checkout
+   * Creates a Stripe checkout session for a subscription plan
+   * SECURITY: Requires authentication and verifies userId matches authenticated user
+   * Body: { plan?: string } (catalog plan ID, default: the catalog's default plan)
+   */
+  router.post('/api/create-checkout', checkoutLimiter, requireAuth, async (req, res) => {
+    try {
+      // SECURITY: Use authenticated user's ID and email, not from request body
+      // This prevents attackers from creating checkout sessions for other users
+      const userId = req.user.id;
+      const email = req.user.email;
+
+      const planId = req.body?.plan || pricing.getDefaultPlan().id;
+      if (!pricing.getPlan(planId)) {
+        return res.status(400).json({ error: `Unknown plan: ${planId}` });
+      }
+
+      const emailError = validateCheckoutEmail(email);
+      if (emailError) {
+        return res.status(400).json(emailError);
+      }
+
+      const { url, sessionId } = await stripeService.createCheckoutSession(userId, email, planId);
+
+      res.json({
+        success: true,
+        checkoutUrl: url,
+        sessionId,
+        plan: planId
+      });
+    } catch (error) {
+      console.error('Checkout creation error:', error.message);
+      res.status(500).json({
+        error: 'Failed to create checkout session',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create the POST /api/change-plan router
+ * @returns {object} Express router
+ */
+function createChangePlanRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/change-plan
+   * Moves the user's subscription to another plan, with proration
+   * SECURITY: Requires authentication - the subscription comes from the
+   * user's profile, never from the request body
+   * Body: { plan: string } (catalog plan ID)
+   */
+  router.post('/api/change-plan', checkoutLimiter, requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const planId = req.body?.plan;
+
+      if (!planId || !pricing.getPlan(planId)) {
+        return res.status(400).json({ error: planId ? `Unknown plan: ${planId}` : 'Plan required' });
+      }
+
+      const profile = await getProfile(userId);
+      const subscriptionId = profile?.stripe_subscription_id || stripeService.getUser(userId).stripe_subscription_id;
+      if (!subscriptionId) {
+        return res.status(400).json({ error: 'No subscription found for this user' });
+      }
+
+      const result = await stripeService.changeSubscriptionPlan(subscriptionId, planId);
+      if (!result.success) {
+        return res.status(409).json({ error: result.message });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Plan change error:', error.message);
+      res.status(500).json({
+        error: 'Failed to change plan',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create the POST /api/buy-credits router
+ * @returns {object} Express router
+ */
+function createBuyCreditsRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/buy-credits
+   * Creates a Stripe checkout session for credit purchase ($3/credit)
+   * SECURITY: Requires authentication
+   * Body: { quantity?: number } (1-100, default 1)
+   */
+  router.post('/api/buy-credits', checkoutLimiter, requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const email = req.user.email;
+      const rawQuantity = parseInt(req.body?.quantity, 10);
+      const quantity = Math.min(
+        Math.max(Number.isFinite(rawQuantity) ? rawQuantity : MIN_CREDIT_QUANTITY, MIN_CREDIT_QUANTITY),
+        MAX_CREDIT_QUANTITY
+      );
+
+      const emailError = validateCheckoutEmail(email);
+      if (emailError) {
+        return res.status(400).json(emailError);
+      }
+
+      const { url, sessionId } = await stripeService.createCreditCheckoutSession(userId, email, quantity);
+
+      res.json({
+        success: true,
+        checkoutUrl: url,
+        sessionId,
+        quantity
+      });
+    } catch (error) {
+      console.error('Credit checkout creation error:', error.message);
+      res.status(500).json({
+        error: 'Failed to create credit checkout session',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create the POST /api/buy-gift router
+ * @returns {object} Express router
+ */
+function createBuyGiftRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/buy-gift
+   * Creates a Stripe checkout session for a gift pack - the completed checkout
+   * emails the buyer a gift code for someone else to redeem (POST /api/redeem)
+   * SECURITY: Requires authentication
+   * Body: { quantity?: number (1-20, default 1), recipientEmail?: string, message?: string }
+   */
+  router.post('/api/buy-gift', checkoutLimiter, requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const email = req.user.email;
+      const rawQuantity = parseInt(req.body?.quantity, 10);
+      const quantity = Math.min(
+        Math.max(Number.isFinite(rawQuantity) ? rawQuantity : MIN_GIFT_QUANTITY, MIN_GIFT_QUANTITY),
+        MAX_GIFT_QUANTITY
+      );
+
+      const emailError = validateCheckoutEmail(email);
+      if (emailError) {
+        return res.status(400).json(emailError);
+      }
+
+      const recipientEmail = typeof req.body?.recipientEmail === 'string' ? req.body.recipientEmail.trim() : '';
+      if (recipientEmail && !EMAIL_REGEX.test(recipientEmail)) {
+        return res.status(400).json({ error: 'Invalid recipient email' });
+      }
+
+      const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+      if (message.length > gifts.MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Message must be at most ${gifts.MAX_MESSAGE_LENGTH} characters` });
+      }
+
+      if (!pricing.getProduct('gift_pack')) {
+        return res.status(404).json({ error: 'Gift packs are not for sale' });
+      }
+
+      const { url, sessionId } = await stripeService.createGiftCheckoutSession(userId, email, {
+        quantity,
+        recipientEmail: recipientEmail || null,
+        message: message || null
+      });
+
+      res.json({
+        success: true,
+        checkoutUrl: url,
+        sessionId,
+        quantity
+      });
+    } catch (error) {
+      console.error('Gift checkout creation error:', error.message);
+      res.status(500).json({
+        error: 'Failed to create gift checkout session',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create the GET /api/subscription router
+ * @returns {object} Express router
+ */
+function createSubscriptionRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/subscription
+   * Returns the current user's subscription status
+   * SECURITY: Requires authentication - uses authenticated user's ID
+   * Query: ?userId=xxx (optional, legacy) - must match the authenticated user
+   */
+  router.get('/api/subscription', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      // Older clients send their own userId - never let it select another user
+      if (req.query.userId && req.query.userId !== userId) {
+        console.warn(`Auth mismatch: Token user ${userId} tried to query subscription for ${req.query.userId}`);
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Cannot query subscription status for another user'
+        });
+      }
+
+      const status = await stripeService.getSubscriptionStatus(userId);
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      console.error('Subscription status error:', error.message);
+      res.status(500).json({
+        error: 'Failed to get subscription status',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Record a checkout session as processed (replay protection)
+ * @returns {Promise<boolean>} false if the session was already processed
+ */
+async function markSessionProcessed(sessionId, userId, result) {
+  // Atomically mark the session - returns false if it already exists
+  const { data: isNewSession, error: sessionError } = await supabaseAdmin.rpc('mark_session_processed', {
+    p_session_id: sessionId,
+    p_user_id: userId,
+    p_session_type: result.type,
+    p_credits_added: result.creditsAdded || 0
+  });
+
+  // If RPC doesn't exist yet, fall back to manual check
+  if (sessionError && sessionError.message.includes('function')) {
+    const { data: existing } = await supabaseAdmin
+      .from('processed_sessions')
+      .select('session_id')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (existing) {
+      return false;
+    }
+
+    // If table doesn't exist, log warning but continue (for backwards compatibility)
+    if (sessionError.message.includes('relation')) {
+      console.warn('processed_sessions table not found - session replay protection disabled');
+    }
+    return true;
+  }
+
+  return isNewSession !== false;
+}
+
+/**
+ * Create the POST /api/verify-session router
+ * @returns {object} Express router
+ */
+function createVerifySessionRouter() {
+  const router = express.Router();
+
+  /**
+   * POST /api/verify-session
+   * Verify a completed Stripe checkout session and update user profile
+   * Used as fallback when webhooks don't work (e.g., local development)
+   * Body: { sessionId: string }
+   */
+  router.post('/api/verify-session', requireAuth, async (req, res) => {
+    try {
+      const sessionId = req.body?.sessionId;
+      const userId = req.user.id;
+
+      if (!sessionId) {
+        return res.status(400).json({ error: 'Session ID required' });
+      }
+
+      if (!supabaseAdmin) {
+        console.error('Supabase admin client not configured - cannot update profile');
+        return res.status(500).json({ error: 'Supabase admin client not configured' });
+      }
+
+      // Verify the session with Stripe
+      const result = await stripeService.verifyCheckoutSession(sessionId);
+
+      if (!result.success) {
+        return res.status(400).json({ error: result.message || 'Payment not completed' });
+      }
+
+      // Verify the session belongs to this user
+      if (result.userId && result.userId !== userId) {
+        console.warn(`Session user mismatch: expected ${userId}, got ${result.userId}`);
+        return res.status(403).json({ error: 'Session does not belong to this user' });
+      }
+
+      // SECURITY: Only apply each checkout once (prevent replay attacks)
+      if (!await markSessionProcessed(sessionId, userId, result)) {
+        console.warn(`Session replay blocked: ${sessionId} already processed for user ${userId}`);
+        return res.status(400).json({ error: 'Session already processed' });
+      }
+
+      // Update user profile in Supabase
+      const updateData = {
+        stripe_customer_id: result.customerId,
+        updated_at: new Date().toISOString()
+      };
+
+      if (result.type === 'subscription') {
+        updateData.tier = result.tier;
+        updateData.stripe_subscription_id = result.subscriptionId;
+        updateData.stripe_price_id = result.priceId;
+        updateData.subscription_status = 'active';
+        updateData.monthly_generation_count = 0;
+        updateData.monthly_reset_at = getNextResetDate().toISOString();
+      } else if (result.type === 'credit' || result.type === 'watermark_removal') {
+        // Granted through the credit ledger (which also updates credit_balance).
+        // If the webhook already granted this session, nothing is added twice.
+        try {
+          const grant = await credits.grantCredits(userId, result.creditsAdded, {
+            stripeSessionId: sessionId,
+            customerId: result.customerId,
+            note: `Checkout (${result.type}, verified)`
+          });
+          if (!grant.applied && grant.reason !== credits.REFUSAL.DUPLICATE) {
+            console.error(`Credit grant for session ${sessionId} refused: ${grant.reason}`);
+            return res.status(500).json({ error: 'Failed to add credits' });
+          }
+        } catch (grantError) {
+          console.error('Credit grant error:', grantError.message);
+          return res.status(500).json({ error: 'Failed to add credits' });
+        }
+      }
+
+      // Gift packs: the buyer gets the gift code (the same one the webhook issues)
+      let giftCode;
+      if (result.type === 'gift') {
+        try {
+          giftCode = (await gifts.issueGiftCode(result.session)).gift.code;
+        } catch (giftError) {
+          console.error('Gift code error:', giftError.message);
+          return res.status(500).json({ error: 'Failed to issue gift code' });
+        }
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('profiles')
+        .update(updateData)
+        .eq('id', userId);
+
+      if (updateError) {
+        console.error('Failed to update profile:', updateError.message);
+        return res.status(500).json({ error: 'Failed to update profile' });
+      }
+
+      // Webhook fallback: reward a pending referral (only ever once)
+      try {
+        await referrals.rewardReferral(userId, { sessionId, amountTotal: result.amountTotal });
+      } catch (referralError) {
+        console.error('Referral reward error:', referralError.message);
+      }
+
+      console.log(`Verified session ${sessionId} for user ${userId}: ${result.type}`);
+
+      res.json({
+        success: true,
+        type: result.type,
+        tier: result.type === 'subscription' ? result.tier : undefined,
+        creditsAdded: result.creditsAdded,
+        giftCode
+      });
+    } catch (error) {
+      console.error('Verify session error:', error.message);
+      res.status(500).json({ error: 'Failed to verify session' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCheckoutRouter,
+  createChangePlanRouter,
+  createBuyCreditsRouter,
+  createBuyGiftRouter,
+  createSubscriptionRouter,
+  createVerifySessionRouter,
+};
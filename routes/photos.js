@@ -0,0 +1,34 @@
+/**
+ * Gallery Routes
+ * GET /api/photos - the enabled templates, in gallery order
+ *
+ * Templates come from the template catalog (services/templates.js); prompts
+ * and maintainer notes stay on the server.
+ */
+
+const express = require('express');
+
+const templates = require('../services/templates');
+
+/**
+ * Create the /api/photos router
+ * @returns {object} Express router
+ */
+function createPhotosRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/photos
+   * Returns { photos: [{ id, title, caption, source, targetPerson, path,
+   * thumbnail, name, filename }] }
+   */
+  router.get('/api/photos', (req, res) => {
+    res.json({ photos: templates.listTemplates().map(templates.toPublicTemplate) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createPhotosRouter,
+};
@@ -0,0 +1,35 @@
+/**
+ * Provenance Routes
+ * GET /api/provenance/key - public key for verifying embedded manifests
+ *
+ * Every generated image carries a signed manifest (see lib/provenance.js).
+ * Anyone can check the signature offline with this Ed25519 public key.
+ */
+
+const express = require('express');
+
+const { getPublicKeyInfo } = require('../lib/provenance');
+
+/**
+ * Create the /api/provenance router
+ * @returns {object} Express router
+ */
+function createProvenanceRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/provenance/key
+   * Returns { algorithm, keyId, publicKey (PEM), ephemeral }
+   * Manifests reference the key by keyId; ephemeral keys change on restart.
+   */
+  router.get('/api/provenance/key', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(getPublicKeyInfo());
+  });
+
+  return router;
+}
+
+module.exports = {
+  createProvenanceRouter,
+};
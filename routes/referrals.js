@@ -0,0 +1,116 @@
+/**
+ * Referral Routes
+ * GET  /api/referral       - the user's referral code, link and stats
+ * POST /api/referral/claim - record that a new user signed up through a link
+ *
+ * Both routes require authentication and only act on the authenticated user.
+ * Credits are granted later, on the referee's first paid purchase
+ * (see services/referrals.js).
+ */
+
+const express = require('express');
+
+const referrals = require('../services/referrals');
+const pricing = require('../services/pricing');
+const { getProfile } = require('../services/profiles');
+const { requireAuth } = require('../middleware/auth');
+const { referralLimiter } = require('../middleware/limits');
+const { getClientIP } = require('../middleware/rateLimit');
+const { ANON_COOKIE_NAME } = require('../lib/anon');
+
+// Claim refusals that aren't fraud checks
+const CLAIM_ERRORS = {
+  invalid_code: { status: 400, error: 'Invalid referral code' },
+  unknown_code: { status: 404, error: 'Referral code not found' },
+  already_referred: { status: 409, error: 'You have already used a referral link' },
+};
+
+/**
+ * Abuse-detection signals of a request (hashed by the service)
+ */
+function getSignals(req) {
+  return {
+    ipAddress: getClientIP(req),
+    userAgent: req.get('user-agent') || null,
+    fingerprint: typeof req.body?.fingerprint === 'string' ? req.body.fingerprint : null,
+    anonId: req.cookies?.[ANON_COOKIE_NAME] || null,
+  };
+}
+
+/**
+ * Create the /api/referral router
+ * @returns {object} Express router
+ */
+function createReferralRouter() {
+  const router = express.Router();
+
+  /**
+   * GET /api/referral
+   * Returns the user's referral link (created on first use) and how their
+   * referrals are doing
+   */
+  router.get('/api/referral', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const code = await referrals.getReferralCode(userId, getSignals(req));
+      const stats = await referrals.getReferralStats(userId);
+      const rewards = pricing.getReferralRewards();
+
+      res.json({
+        success: true,
+        code,
+        link: referrals.getReferralLink(code),
+        rewards: {
+          referrerCredits: rewards.referrer,
+          refereeCredits: rewards.referee
+        },
+        stats
+      });
+    } catch (error) {
+      console.error('Referral link error:', error.message);
+      res.status(500).json({ error: 'Failed to get referral link' });
+    }
+  });
+
+  /**
+   * POST /api/referral/claim
+   * Links the authenticated (new) user to the owner of a referral code
+   * Body: { code: string, fingerprint?: string }
+   */
+  router.post('/api/referral/claim', referralLimiter, requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const profile = await getProfile(userId);
+
+      const result = await referrals.claimReferral(userId, req.body?.code, {
+        signals: getSignals(req),
+        accountCreatedAt: req.user.created_at,
+        isExistingCustomer: Boolean(profile?.stripe_customer_id)
+      });
+
+      if (!result.claimed) {
+        const known = CLAIM_ERRORS[result.reason];
+        if (known) {
+          return res.status(known.status).json({ error: known.error, reason: result.reason });
+        }
+        // Fraud checks: say no without saying which signal matched
+        return res.status(403).json({ error: 'This referral is not eligible for a reward', reason: 'not_eligible' });
+      }
+
+      res.json({
+        success: true,
+        status: result.referral.status,
+        refereeCredits: pricing.getReferralRewards().referee
+      });
+    } catch (error) {
+      console.error('Referral claim error:', error.message);
+      res.status(500).json({ error: 'Failed to claim referral' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createReferralRouter,
+};
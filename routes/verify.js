@@ -0,0 +1,129 @@
+/**
+ * Verification Routes
+ * GET  /api/verify?url=/output/...  - verify one of this server's output images
+ * POST /api/verify                  - verify an uploaded image (multipart field "image")
+ *                                     or { url } as JSON
+ *
+ * Public (no auth): lets anyone who sees a composite circulating check
+ * whether it is a known parody fake from this service.
+ * See services/verification.js for how images are matched.
+ */
+
+const express = require('express');
+const path = require('path');
+const fsPromises = require('fs').promises;
+
+const { verifyImage } = require('../services/verification');
+const { verifyLimiter } = require('../middleware/limits');
+const { upload, handleMulterError } = require('../lib/upload');
+const { ERROR_CODES, createErrorResponse, logError } = require('../lib/errors');
+const { allowedOrigins } = require('../lib/http');
+const { OUTPUT_DIR } = require('./generate');
+
+// Output filenames are always epstein_<uuid>.png (see routes/generate.js)
+const OUTPUT_PATH_REGEX = /^\/output\/(epstein_[0-9a-f-]{36}\.png)$/i;
+
+/**
+ * Map a URL to a file in this server's output directory
+ * Only /output/ paths on our own origins are accepted - the server never
+ * fetches arbitrary URLs (SSRF).
+ * @returns {string|null} Absolute file path, or null if the URL isn't one of ours
+ */
+function resolveOutputUrl(url, req) {
+  if (typeof url !== 'string' || url.length > 2048) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url, `${req.protocol}://${req.get('host')}`);
+  } catch (error) {
+    return null;
+  }
+
+  const ownOrigins = [...allowedOrigins, `${req.protocol}://${req.get('host')}`];
+  if (!ownOrigins.includes(parsed.origin)) {
+    return null;
+  }
+
+  const match = parsed.pathname.match(OUTPUT_PATH_REGEX);
+  return match ? path.join(OUTPUT_DIR, match[1]) : null;
+}
+
+/**
+ * Load the image to verify from an upload or an output URL
+ * @returns {Promise<object>} { buffer } or { status, body } for an error response
+ */
+async function loadImage(req) {
+  if (req.file) {
+    return { buffer: req.file.buffer };
+  }
+
+  const url = req.query.url || req.body?.url;
+  if (!url) {
+    return {
+      status: 400,
+      body: createErrorResponse(
+        ERROR_CODES.INVALID_FORMAT,
+        'An image is required',
+        'Upload an image (field "image") or pass the URL of a generated image as ?url='
+      )
+    };
+  }
+
+  const filePath = resolveOutputUrl(url, req);
+  if (!filePath) {
+    return {
+      status: 400,
+      body: createErrorResponse(
+        ERROR_CODES.INVALID_FORMAT,
+        'Only generated image URLs from this site can be checked by URL',
+        'Download the image and upload it instead.'
+      )
+    };
+  }
+
+  try {
+    return { buffer: await fsPromises.readFile(filePath) };
+  } catch (error) {
+    // Serverless deployments return images inline and keep no output files
+    return { status: 404, body: { error: 'Image not found on this server. Upload the image instead.' } };
+  }
+}
+
+/**
+ * Create the /api/verify router
+ * @returns {object} Express router
+ */
+function createVerifyRouter() {
+  const router = express.Router();
+
+  async function handleVerify(req, res) {
+    try {
+      const image = await loadImage(req);
+      if (!image.buffer) {
+        return res.status(image.status).json(image.body);
+      }
+
+      const result = await verifyImage(image.buffer);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logError(ERROR_CODES.INVALID_FORMAT, 'Verification failed', error);
+      res.status(400).json(createErrorResponse(
+        ERROR_CODES.INVALID_FORMAT,
+        'Could not read this image. Please use a JPG, PNG, or WebP file.',
+        error.message
+      ));
+    }
+  }
+
+  router.get('/api/verify', verifyLimiter, handleVerify);
+  router.post('/api/verify', verifyLimiter, upload.single('image'), handleMulterError, handleVerify);
+
+  return router;
+}
+
+module.exports = {
+  createVerifyRouter,
+  resolveOutputUrl,
+};
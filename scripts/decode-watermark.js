@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Decode the invisible watermark from image files
+ *
+ * Usage: node scripts/decode-watermark.js <image> [image...]
+ *
+ * Prints the generation ID embedded by lib/invisibleWatermark.js, for
+ * checking copies found in the wild (the same decoder /api/verify uses).
+ */
+
+const fs = require('fs');
+const { decodeInvisibleWatermark } = require('../lib/invisibleWatermark');
+
+async function decodeFiles(files) {
+  if (files.length === 0) {
+    console.error('Usage: node scripts/decode-watermark.js <image> [image...]');
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  for (const file of files) {
+    try {
+      const result = await decodeInvisibleWatermark(fs.readFileSync(file));
+      if (result.found) {
+        console.log(`${file}: AI parody watermark, generation ${result.generationId}`);
+      } else {
+        console.log(`${file}: no watermark found`);
+        exitCode = 2;
+      }
+    } catch (error) {
+      console.error(`${file}: could not read image (${error.message})`);
+      exitCode = 1;
+    }
+  }
+  process.exit(exitCode);
+}
+
+decodeFiles(process.argv.slice(2));
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Lint the prompts in a template catalog
+ *
+ * Usage: node scripts/lint-prompts.js [catalog.json]
+ *        npm run lint:prompts
+ *
+ * Checks the catalog file (default: TEMPLATE_CATALOG_PATH or
+ * config/templates.json) the way services/templates.js loads it - every
+ * prompt must compile - and lists each prompt that doesn't include all of
+ * the catalog's requiredSections. Exits 1 if anything is wrong.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const templates = require('../services/templates');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'templates.json');
+
+function lintFile(filePath) {
+  let candidate;
+  try {
+    candidate = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`${filePath}: could not read catalog (${error.message})`);
+    process.exit(1);
+  }
+
+  const errors = templates.validateCatalog(candidate);
+  if (errors.length > 0) {
+    console.error(`${filePath}: invalid catalog`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+  }
+
+  const problems = templates.lintCatalog(candidate);
+  if (problems.length > 0) {
+    console.error(`${filePath}: ${problems.length} prompt(s) missing required sections`);
+    for (const problem of problems) {
+      const variant = problem.variant === templates.DEFAULT_VARIANT ? '' : `, variant ${problem.variant}`;
+      const subject = problem.subject ? `, subject ${problem.subject}` : '';
+      console.error(`  ${problem.template} (${problem.modelTypes.join(', ')}${variant}${subject}): missing ${problem.missing.join(', ')}`);
+    }
+    process.exit(1);
+  }
+
+  const required = candidate.requiredSections || [];
+  console.log(`${filePath}: ${candidate.templates.length} templates OK` +
+    (required.length > 0 ? ` (required sections: ${required.join(', ')})` : ''));
+  process.exit(0);
+}
+
+lintFile(process.argv[2] || process.env.TEMPLATE_CATALOG_PATH || DEFAULT_CATALOG_PATH);
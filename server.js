@@ -1,39 +1,90 @@
 /**
  * Pimp My Epstein Server
  * Face swap with pre-loaded Epstein photos
+ *
+ * Generate, checkout, credits, subscription, verify-session and /api/me live
+ * in routes/ and are shared with the Vercel functions in api/.
  */
 
 require('dotenv').config();
 const express = require('express');
-const multer = require('multer');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
-const fsPromises = require('fs').promises;
-const sharp = require('sharp');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 // Services
 const generations = require('./services/generations');
+const generationQueue = require('./services/generationQueue');
 const stripeService = require('./services/stripe');
-const { checkUsage, incrementUsage, getAnonymousStats, updateAnonCache } = require('./services/usage');
+const { checkUsage, getAnonymousStats } = require('./services/usage');
+const { getProfile } = require('./services/profiles');
+const { isSelfConsentRequired } = require('./services/consent');
+const screening = require('./services/screening');
+const credits = require('./services/credits');
+const webhookEvents = require('./services/webhookEvents');
+const dunning = require('./services/dunning');
+const emailService = require('./services/email');
+const gifts = require('./services/gifts');
 
 // Middleware
-const { authMiddleware, requireAuth } = require('./middleware/auth');
-const { createRateLimitMiddleware, getClientIP } = require('./middleware/rateLimit');
-
-// Lib & Config
+const { requireAuth } = require('./middleware/auth');
+const { getClientIP } = require('./middleware/rateLimit');
+const {
+  requireAdmin,
+  validateAdminPassword,
+  invalidateAdminSession,
+  getAdminSessionCount,
+  isAdminConfigured
+} = require('./middleware/admin');
+const { adminLoginLimiter, checkoutLimiter, outputLimiter } = require('./middleware/limits');
+
+const { upload, handleMulterError } = require('./lib/upload');
+
+// Shared routes
+const { createGenerateRouter, GENERATION_TIMEOUT, MIN_IMAGE_SIZE } = require('./routes/generate');
+const {
+  createCheckoutRouter,
+  createChangePlanRouter,
+  createBuyCreditsRouter,
+  createBuyGiftRouter,
+  createSubscriptionRouter,
+  createVerifySessionRouter
+} = require('./routes/payments');
+const { createMeRouter } = require('./routes/me');
+const { createReferralRouter } = require('./routes/referrals');
+const { createRedeemRouter } = require('./routes/gifts');
+const { createBillingRouter } = require('./routes/billing');
+const { createProvenanceRouter } = require('./routes/provenance');
+const { createVerifyRouter } = require('./routes/verify');
+const { createPhotosRouter } = require('./routes/photos');
+const { createConsentRouter } = require('./routes/consent');
+
+// Providers, Lib & Config
+const providers = require('./providers');
 const { supabase, supabaseAdmin, getClientConfig } = require('./lib/supabase');
 const tiers = require('./config/tiers');
-const { getPromptForPhoto, photoPrompts } = require('./config/photoPrompts');
-const { getOrCreateAnonId, getAnonUsage } = require('./lib/anon');
+const pricing = require('./services/pricing');
+const templates = require('./services/templates');
+const {
+  isProduction,
+  DEV_DEBUG_COOKIE,
+  isLocalRequest,
+  applySecurityMiddleware,
+  applySessionMiddleware,
+  errorHandler
+} = require('./lib/http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// How often failed Stripe webhook events are checked for a due retry
+const WEBHOOK_RETRY_INTERVAL = 60 * 1000;
+
+// How often past-due subscribers are checked for an expired grace period
+const DUNNING_SWEEP_INTERVAL = 15 * 60 * 1000;
+
+// How often failed emails in the outbox are checked for a due retry
+const EMAIL_RETRY_INTERVAL = 60 * 1000;
+
 // SECURITY: Trust proxy setting for Vercel deployment
 // This ensures req.ip uses the real client IP from x-forwarded-for header
 // Only trust the first proxy (Vercel's edge) to prevent IP spoofing attacks
@@ -43,283 +94,14 @@ if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
   app.set('trust proxy', 1);
 }
 
-// API timeout for Gemini requests (in milliseconds)
-const GEMINI_TIMEOUT = 120000; // 2 minutes
-
-// Minimum image dimensions
-const MIN_IMAGE_SIZE = 256;
-
-// Error codes for client handling
-const ERROR_CODES = {
-  NO_FACE: 'NO_FACE',
-  MULTIPLE_FACES: 'MULTIPLE_FACES',
-  IMAGE_TOO_SMALL: 'IMAGE_TOO_SMALL',
-  SAFETY_BLOCK: 'SAFETY_BLOCK',
-  RATE_LIMITED: 'RATE_LIMITED',
-  TIMEOUT: 'TIMEOUT',
-  INVALID_FORMAT: 'INVALID_FORMAT',
-  GENERATION_FAILED: 'GENERATION_FAILED',
-};
-
-// Admin password for debug mode
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
-const DEV_DEBUG_COOKIE = 'dev_debug';
-
-// In-memory admin sessions (token -> expiry timestamp)
-const adminSessions = new Map();
-
-function isLocalRequest(req) {
-  const ip = req.ip || '';
-  const host = (req.hostname || '').toLowerCase();
-  const isLocalHost = host === 'localhost' || host === '127.0.0.1';
-  const isLoopback = ip === '127.0.0.1' || ip === '::1' || ip.startsWith('::ffff:127.');
-  return isLocalHost || isLoopback;
-}
-
-/**
- * Create structured error response
- */
-function createErrorResponse(code, message, details = null) {
-  const response = {
-    error: message,
-    code: code,
-  };
-  if (details) {
-    response.details = details;
-  }
-  return response;
-}
-
-/**
- * Log error with full details server-side
- */
-function logError(code, message, error = null) {
-  console.error(`\n❌ [${code}] ${message}`);
-  if (error) {
-    console.error(`   Details: ${error.message || error}`);
-    if (error.stack) {
-      console.error(`   Stack: ${error.stack.split('\n').slice(0, 3).join('\n')}`);
-    }
-  }
-}
-
-/**
- * Validate image dimensions and quality
- */
-async function validateImageDimensions(buffer, filename = 'image') {
-  try {
-    const metadata = await sharp(buffer).metadata();
-    const { width, height } = metadata;
-
-    if (!width || !height) {
-      return {
-        valid: false,
-        code: ERROR_CODES.INVALID_FORMAT,
-        message: 'Could not read image dimensions. The file may be corrupted.',
-      };
-    }
-
-    if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) {
-      return {
-        valid: false,
-        code: ERROR_CODES.IMAGE_TOO_SMALL,
-        message: `Image is too small (${width}x${height}). Minimum size is ${MIN_IMAGE_SIZE}x${MIN_IMAGE_SIZE} pixels.`,
-        details: `Your image: ${width}x${height}px. Required: at least ${MIN_IMAGE_SIZE}x${MIN_IMAGE_SIZE}px for good results.`,
-      };
-    }
-
-    return { valid: true, width, height };
-  } catch (error) {
-    return {
-      valid: false,
-      code: ERROR_CODES.INVALID_FORMAT,
-      message: 'Could not process image. Please use a valid JPG, PNG, or WebP file.',
-      details: error.message,
-    };
-  }
-}
-
-/**
- * Parse Gemini API error and return appropriate error response
- */
-function parseGeminiError(error) {
-  const errorMessage = error.message?.toLowerCase() || '';
-  const errorString = String(error).toLowerCase();
-
-  // Rate limiting
-  if (errorMessage.includes('rate') || errorMessage.includes('quota') ||
-    errorMessage.includes('429') || errorString.includes('resource exhausted')) {
-    return {
-      code: ERROR_CODES.RATE_LIMITED,
-      message: 'Too many requests. Please wait a moment and try again.',
-      details: 'The AI service is temporarily rate limited. Try again in 30-60 seconds.',
-    };
-  }
-
-  // Timeout
-  if (errorMessage.includes('timeout') || errorMessage.includes('deadline') ||
-    errorMessage.includes('econnreset') || errorMessage.includes('socket hang up')) {
-    return {
-      code: ERROR_CODES.TIMEOUT,
-      message: 'Request timed out. The AI is busy - please try again.',
-      details: 'Image generation took too long. This can happen during high traffic.',
-    };
-  }
-
-  // Safety/content filters
-  if (errorMessage.includes('safety') || errorMessage.includes('blocked') ||
-    errorMessage.includes('harmful') || errorMessage.includes('policy')) {
-    return {
-      code: ERROR_CODES.SAFETY_BLOCK,
-      message: 'Content blocked by safety filters. Please try a different photo.',
-      details: 'The AI detected potentially problematic content in the request.',
-    };
-  }
-
-  // Invalid image/format
-  if (errorMessage.includes('invalid') && (errorMessage.includes('image') || errorMessage.includes('format'))) {
-    return {
-      code: ERROR_CODES.INVALID_FORMAT,
-      message: 'Invalid image format. Please use a JPG, PNG, or WebP file.',
-      details: error.message,
-    };
-  }
-
-  // Default to generation failed
-  return {
-    code: ERROR_CODES.GENERATION_FAILED,
-    message: 'Image generation failed. Please try again.',
-    details: error.message,
-  };
-}
-
-/**
- * Analyze response for face detection issues
- */
-function analyzeResponseForFaceIssues(response) {
-  const textContent = [];
-
-  if (response.candidates?.[0]?.content?.parts) {
-    for (const part of response.candidates[0].content.parts) {
-      if (part.text) {
-        textContent.push(part.text.toLowerCase());
-      }
-    }
-  }
-
-  const fullText = textContent.join(' ');
-
-  // Check for no face detected
-  if (fullText.includes('no face') || fullText.includes('cannot detect') ||
-    fullText.includes('unable to detect') || fullText.includes('no person') ||
-    fullText.includes("couldn't find") || fullText.includes('face not found')) {
-    return {
-      hasFaceIssue: true,
-      code: ERROR_CODES.NO_FACE,
-      message: 'No face detected in your photo. Please upload a clear photo of your face.',
-      details: 'Make sure your face is clearly visible, well-lit, and facing the camera.',
-    };
-  }
-
-  // Check for multiple faces
-  if (fullText.includes('multiple faces') || fullText.includes('more than one face') ||
-    fullText.includes('several faces') || fullText.includes('multiple people')) {
-    return {
-      hasFaceIssue: true,
-      code: ERROR_CODES.MULTIPLE_FACES,
-      message: 'Multiple faces detected. Please upload a photo with only your face.',
-      details: 'Crop your photo to show just one person for best results.',
-    };
-  }
-
-  return { hasFaceIssue: false };
-}
-
 // ===== ADMIN DEBUG MODE HELPERS =====
 
-/**
- * Generate a random admin session token
- */
-function generateAdminToken() {
-  return require('crypto').randomBytes(32).toString('hex');
-}
-
-/**
- * Validate admin password and create session
- * @param {string} password - The password to validate
- * @returns {object} Session info or error
- */
-function validateAdminPassword(password) {
-  if (!ADMIN_PASSWORD) {
-    return { valid: false, error: 'Admin mode not configured' };
-  }
-
-  if (password !== ADMIN_PASSWORD) {
-    return { valid: false, error: 'Invalid password' };
-  }
-
-  // Create session token (valid for 24 hours)
-  const token = generateAdminToken();
-  const expiresAt = Date.now() + (24 * 60 * 60 * 1000);
-  adminSessions.set(token, expiresAt);
-
-  // Clean up expired sessions periodically
-  for (const [t, expiry] of adminSessions.entries()) {
-    if (expiry < Date.now()) {
-      adminSessions.delete(t);
-    }
-  }
-
-  return { valid: true, token, expiresAt };
-}
-
-/**
- * Check if admin token is valid
- * @param {string} token - The admin session token
- * @returns {boolean} Whether the token is valid
- */
-function isValidAdminToken(token) {
-  if (!token || !adminSessions.has(token)) {
-    return false;
-  }
-
-  const expiresAt = adminSessions.get(token);
-  if (expiresAt < Date.now()) {
-    adminSessions.delete(token);
-    return false;
-  }
-
-  return true;
-}
-
-/**
- * Middleware to check admin status from httpOnly cookie or header
- * SECURITY: Only accepts token from httpOnly cookie (XSS-proof) or header
- * Query params are NOT accepted to prevent token leakage via referrer/logs
- */
-function checkAdminMiddleware(req, res, next) {
-  // Check for admin token in order of security preference:
-  // 1. httpOnly cookie (most secure - cannot be stolen via XSS)
-  // 2. Header (for API/programmatic access)
-  // NOTE: Query params intentionally NOT supported - tokens in URLs leak via referrer headers and server logs
-  const token = req.cookies?.adminToken || req.headers['x-admin-token'];
-  req.isAdmin = isValidAdminToken(token);
-
-  // Check for X-Test-Mode header (for agent/automated testing)
-  // Requires TEST_MODE_SECRET env var to be set
-  const testModeHeader = req.headers['x-test-mode'];
-  const testModeSecret = process.env.TEST_MODE_SECRET;
-  req.isTestMode = !!(testModeSecret && testModeHeader === testModeSecret);
-
-  next();
-}
-
 /**
  * Get debug info for admin responses
  */
 function getAdminDebugInfo() {
   const anonymousStats = getAnonymousStats();
-  const photos = getEpsteinPhotos();
+  const photos = templates.listTemplates();
 
   return {
     server: {
@@ -332,15 +114,17 @@ function getAdminDebugInfo() {
       apiKeySet: !!process.env.GEMINI_API_KEY,
       stripeConfigured: !!(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_PRICE_BASE),
       supabaseConfigured: !!(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY),
-      adminConfigured: !!ADMIN_PASSWORD,
-      model: 'gemini-3-pro-image-preview',
-      timeout: GEMINI_TIMEOUT,
+      adminConfigured: isAdminConfigured(),
+      models: Object.fromEntries(Object.entries(tiers.models)
+        .map(([type, model]) => [type, `${model.provider}:${model.modelId}`])),
+      timeout: GENERATION_TIMEOUT,
       minImageSize: MIN_IMAGE_SIZE
     },
     stats: {
       epsteinPhotosCount: photos.length,
       anonymousUsersTracked: anonymousStats.totalTracked,
-      activeAdminSessions: adminSessions.size
+      activeAdminSessions: getAdminSessionCount(),
+      generationQueue: generationQueue.getStats()
     },
     supabase: {
       connected: !!supabase,
@@ -349,214 +133,6 @@ function getAdminDebugInfo() {
   };
 }
 
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// ===== SUPABASE PROFILE HELPERS =====
-
-/**
- * Get user profile from Supabase
- * Uses supabaseAdmin (service role key) to bypass RLS policies
- * @param {string} userId - User ID
- * @returns {object|null} User profile or null
- */
-async function getProfile(userId) {
-  if (!supabaseAdmin || !userId) return null;
-
-  try {
-    const { data, error } = await supabaseAdmin
-      .from('profiles')
-      .select('*')
-      .eq('id', userId)
-      .single();
-
-    if (error) {
-      console.error('Error fetching profile:', error.message);
-      return null;
-    }
-
-    return data;
-  } catch (err) {
-    console.error('Profile fetch error:', err.message);
-    return null;
-  }
-}
-
-/**
- * Update user profile in Supabase
- * Uses supabaseAdmin (service role key) to bypass RLS policies
- * @param {string} userId - User ID
- * @param {object} updates - Fields to update
- * @returns {boolean} Success status
- */
-async function updateProfile(userId, updates) {
-  if (!supabaseAdmin || !userId) return false;
-
-  try {
-    const { error } = await supabaseAdmin
-      .from('profiles')
-      .update(updates)
-      .eq('id', userId);
-
-    if (error) {
-      console.error('Error updating profile:', error.message);
-      return false;
-    }
-
-    return true;
-  } catch (err) {
-    console.error('Profile update error:', err.message);
-    return false;
-  }
-}
-
-// Create rate limit middleware with Supabase integration
-const rateLimitMiddleware = createRateLimitMiddleware({
-  upgradeUrl: '/pricing',
-  getProfile,
-  updateProfile
-});
-
-// ===== GLOBAL RATE LIMITING & ABUSE DETECTION =====
-
-// Global rate limiter for /api/generate - prevents API key abuse
-// SECURITY: keyGenerator uses req.ip which respects 'trust proxy' setting
-const globalGenerateLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 100, // 100 total generations per hour across ALL users
-  message: { error: 'Service temporarily at capacity. Please try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => req.ip || 'unknown',
-});
-
-// Suspicious IP tracking for abuse detection
-const suspiciousIPs = new Map(); // IP -> { count, firstSeen, lastSeen }
-
-/**
- * Track suspicious activity and determine if IP should be blocked
- * @param {string} ip - Client IP address
- * @returns {boolean} True if IP should be blocked
- */
-function trackSuspiciousActivity(ip) {
-  const now = Date.now();
-  const fiveMinutes = 5 * 60 * 1000;
-  const fiveMinutesAgo = now - fiveMinutes;
-
-  let record = suspiciousIPs.get(ip);
-
-  // Reset the window if it's been more than 5 minutes since firstSeen
-  if (record && record.firstSeen < fiveMinutesAgo) {
-    // Window expired - reset the record
-    record = null;
-  }
-
-  if (!record) {
-    record = { count: 0, firstSeen: now };
-  }
-
-  record.count++;
-  record.lastSeen = now;
-  suspiciousIPs.set(ip, record);
-
-  // Block if more than 10 requests in 5 minutes
-  if (record.count > 10) {
-    const timespan = Math.round((now - record.firstSeen) / 1000);
-    console.log(`[ABUSE] IP ${ip} attempted ${record.count} generations in ${timespan}s - BLOCKED`);
-    return true; // Block this IP
-  }
-
-  // Clean up old entries (older than 1 hour)
-  const oneHourAgo = now - (60 * 60 * 1000);
-  for (const [trackedIP, data] of suspiciousIPs.entries()) {
-    if (data.lastSeen < oneHourAgo) {
-      suspiciousIPs.delete(trackedIP);
-    }
-  }
-
-  return false;
-}
-
-/**
- * Middleware to check for suspicious IP activity before processing generate requests
- */
-function suspiciousActivityMiddleware(req, res, next) {
-  const clientIP = getClientIP(req);
-
-  if (trackSuspiciousActivity(clientIP)) {
-    return res.status(429).json({
-      error: 'Too many requests from your IP. Please try again later.',
-      code: ERROR_CODES.RATE_LIMITED
-    });
-  }
-
-  next();
-}
-
-// Rate limiter for admin login - prevent brute force attacks
-const adminLoginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per 15 minutes
-  message: { error: 'Too many login attempts, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => req.ip || 'unknown',
-});
-
-// Rate limiter for checkout creation - prevent abuse
-const checkoutLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // 10 checkout attempts per 15 minutes
-  message: { error: 'Too many checkout attempts, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => req.ip || 'unknown',
-});
-
-// Rate limiter for output images - prevent enumeration attacks
-const outputLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 30, // 30 requests per minute per IP
-  message: { error: 'Too many requests' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => req.ip || 'unknown',
-});
-
-// SECURITY: Restrict CORS to allowed origins only
-// This prevents malicious sites from making authenticated requests on behalf of users
-const isProduction = process.env.NODE_ENV === 'production';
-const allowedOrigins = [
-  'https://pimpmyepstein.lol',
-  'https://www.pimpmyepstein.lol',
-  !isProduction ? 'http://localhost:3000' : null,
-  !isProduction ? 'http://127.0.0.1:3000' : null,
-].filter(Boolean);
-
-const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow requests with no origin (mobile apps, curl, Postman)
-    // but only in non-production mode
-    if (!origin) {
-      if (!isProduction) {
-        return callback(null, true);
-      }
-      // In production, require origin header
-      return callback(null, false);
-    }
-
-    if (allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      console.log(`[CORS] Blocked request from origin: ${origin}`);
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token'],
-};
-
 // ===== STRIPE WEBHOOK ROUTE (MUST BE BEFORE express.json()) =====
 // Stripe webhook signature verification requires the raw request body.
 // express.json() middleware consumes and parses the body, making it unavailable
@@ -570,178 +146,84 @@ app.post('/api/webhook/stripe',
       return res.status(400).json({ error: 'Missing stripe-signature header' });
     }
 
+    let event;
     try {
       // Verify and construct the webhook event
-      const event = stripeService.constructWebhookEvent(req.body, signature);
-
-      console.log(`Stripe webhook received: ${event.type}`);
-
-      // Handle the event
-      const result = await stripeService.handleWebhook(event);
-
-      // If we have a userId, update Supabase profile
-      // Use supabaseAdmin to bypass RLS since webhooks have no user context
-      if (result.userId && supabaseAdmin) {
-        try {
-          // Build update object with tier, Stripe IDs, and billing fields
-          const updateData = {};
-
-          if (result.tier) {
-            updateData.tier = result.tier;
-          }
-
-          // Include stripe_customer_id if present in result
-          if (result.stripe_customer_id) {
-            updateData.stripe_customer_id = result.stripe_customer_id;
-          }
-
-          // Include stripe_subscription_id (can be null to clear it on cancel)
-          if ('stripe_subscription_id' in result) {
-            updateData.stripe_subscription_id = result.stripe_subscription_id;
-          }
-
-          if ('monthly_generation_count' in result) {
-            updateData.monthly_generation_count = result.monthly_generation_count;
-          }
-
-          if (result.monthly_reset_at) {
-            updateData.monthly_reset_at = result.monthly_reset_at;
-          }
-
-          const creditsAdded = Number(result.creditsAdded);
-          if (Number.isFinite(creditsAdded) && creditsAdded > 0) {
-            const profile = await getProfile(result.userId);
-            const currentCredits = profile?.credit_balance || 0;
-            updateData.credit_balance = currentCredits + creditsAdded;
-          }
-
-          if (Object.keys(updateData).length > 0) {
-            updateData.updated_at = new Date().toISOString();
-
-            const { error } = await supabaseAdmin
-              .from('profiles')
-              .update(updateData)
-              .eq('id', result.userId);
-
-            if (error) {
-              console.error('Failed to update Supabase profile:', error.message);
-            } else {
-              console.log(`Updated Supabase profile for user ${result.userId}:`, updateData);
-            }
-          }
-        } catch (dbError) {
-          console.error('Supabase profile update error:', dbError.message);
-        }
-      }
-
-      res.json({ received: true, ...result });
+      event = stripeService.constructWebhookEvent(req.body, signature);
     } catch (error) {
       console.error('Webhook error:', error.message);
-      res.status(400).json({
+      return res.status(400).json({
         error: 'Webhook signature verification failed',
         details: error.message
       });
     }
+
+    console.log(`Stripe webhook received: ${event.type} (${event.id})`);
+
+    try {
+      // Stored by event ID and handled once; failures are retried (Stripe
+      // redelivers on the 500, and the retry sweep below)
+      const outcome = await webhookEvents.processEvent(event, stripeService.processWebhookEvent);
+      const { statusCode, body } = webhookEvents.toWebhookResponse(outcome);
+      res.status(statusCode).json(body);
+    } catch (error) {
+      // Couldn't even store the event - let Stripe redeliver it
+      console.error('Webhook event store error:', error.message);
+      res.status(500).json({ error: 'Webhook could not be recorded' });
+    }
   }
 );
 
+// Retry failed webhook events once their backoff has passed
+setInterval(() => {
+  webhookEvents.retryDueEvents(stripeService.processWebhookEvent)
+    .then(({ retried, processed }) => {
+      if (retried > 0) {
+        console.log(`[webhookEvents] Retried ${retried} event(s), ${processed} processed`);
+      }
+    })
+    .catch(error => console.error('[webhookEvents] Retry sweep failed:', error.message));
+}, WEBHOOK_RETRY_INTERVAL).unref();
+
+// Downgrade past-due subscribers whose grace period ran out (access already
+// stops at expiry - this records it and sends the notice)
+setInterval(() => {
+  dunning.expireGracePeriods()
+    .then(({ downgraded }) => {
+      if (downgraded > 0) {
+        console.log(`[dunning] Downgraded ${downgraded} past-due subscriber(s)`);
+      }
+    })
+    .catch(error => console.error('[dunning] Grace period sweep failed:', error.message));
+}, DUNNING_SWEEP_INTERVAL).unref();
+
+// Retry failed emails once their backoff has passed
+setInterval(() => {
+  emailService.retryDueEmails()
+    .then(({ retried, sent }) => {
+      if (retried > 0) {
+        console.log(`[email] Retried ${retried} email(s), ${sent} sent`);
+      }
+    })
+    .catch(error => console.error('[email] Retry sweep failed:', error.message));
+}, EMAIL_RETRY_INTERVAL).unref();
+
 // Middleware
-app.use(cors(corsOptions));
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "blob:", "https:"],
-      connectSrc: ["'self'", "https://*.supabase.co", "https://api.stripe.com"],
-      frameAncestors: ["'none'"], // Prevent clickjacking
-    },
-  },
-  crossOriginEmbedderPolicy: false,
-  // SECURITY: Prevent clickjacking by not allowing this site to be framed
-  frameguard: { action: 'deny' },
-  // SECURITY: Force HTTPS in production (HSTS)
-  hsts: process.env.NODE_ENV === 'production' ? {
-    maxAge: 31536000, // 1 year
-    includeSubDomains: true,
-    preload: true
-  } : false,
-  // SECURITY: Hide X-Powered-By header to reduce fingerprinting
-  hidePoweredBy: true,
-  // SECURITY: Prevent MIME type sniffing
-  noSniff: true,
-  // SECURITY: XSS filter
-  xssFilter: true,
-}));
-app.use(express.json({ limit: '10mb' })); // Match multer's 10MB limit
-app.use(cookieParser()); // SECURITY: Required for httpOnly admin token cookies
-app.use((req, res, next) => {
-  const allowLocalDebug = !isProduction && isLocalRequest(req);
-  req.isDevDebug = allowLocalDebug && req.cookies?.[DEV_DEBUG_COOKIE] === '1';
-  next();
-});
+// CORS, security headers, JSON/cookie parsing and the dev debug flag (shared with api/)
+applySecurityMiddleware(app);
 app.use(express.static('public'));
 // SECURITY: Don't serve /output statically - use authenticated endpoint instead
 // app.use('/output', express.static('output'));
 app.use('/epstein-photos', express.static('public/epstein-photos'));
 
-// Apply auth middleware globally (non-blocking, just attaches user info)
-app.use(authMiddleware);
-
-// Apply admin check middleware globally
-app.use(checkAdminMiddleware);
-
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB max
-    files: 1 // Only allow 1 file per request
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow common mobile photo formats including HEIC/HEIF from iPhone/Samsung
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
-    if (!allowedTypes.includes(file.mimetype)) {
-      const error = new Error('Invalid file type. Only JPEG, PNG, WebP, and HEIC are allowed.');
-      error.code = ERROR_CODES.INVALID_FORMAT;
-      error.details = `Received: ${file.mimetype}. Accepted: JPEG, PNG, WebP, HEIC/HEIF`;
-      return cb(error);
-    }
-    cb(null, true);
-  }
-});
+// Apply auth and admin check middleware globally (non-blocking, just attaches user info)
+applySessionMiddleware(app);
 
-// Multer error handling middleware
-function handleMulterError(err, req, res, next) {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      logError(ERROR_CODES.INVALID_FORMAT, 'File too large', err);
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.INVALID_FORMAT,
-        'File is too large. Maximum size is 10MB.',
-        'Try compressing your image or using a smaller resolution.'
-      ));
-    }
-    logError(ERROR_CODES.INVALID_FORMAT, 'Upload error', err);
-    return res.status(400).json(createErrorResponse(
-      ERROR_CODES.INVALID_FORMAT,
-      'File upload error. Please try again.',
-      err.message
-    ));
-  }
-  if (err?.code === ERROR_CODES.INVALID_FORMAT) {
-    logError(ERROR_CODES.INVALID_FORMAT, err.message, err);
-    return res.status(400).json(createErrorResponse(
-      ERROR_CODES.INVALID_FORMAT,
-      err.message,
-      err.details
-    ));
-  }
-  next(err);
-}
+// Pick up template catalog versions published by other servers (templates.ready()
+// only queries the database when its last check is stale)
+app.use((req, res, next) => {
+  templates.ready().then(() => next());
+});
 
 // Ensure directories exist
 ['output', 'public/epstein-photos'].forEach(dir => {
@@ -750,422 +232,35 @@ function handleMulterError(err, req, res, next) {
   }
 });
 
-// Use font-independent watermark utility (avoids SVG font rendering issues on Vercel)
-const { addWatermark } = require('./lib/watermark');
+// GET /api/photos - gallery templates (shared with api/photos.js)
+app.use(createPhotosRouter());
 
 /**
- * Get list of Epstein photos for gallery
+ * Strip secrets from a generation record before returning it to the client
  */
-function getEpsteinPhotos() {
-  const photosDir = path.join(__dirname, 'public', 'epstein-photos');
-
-  if (!fs.existsSync(photosDir)) {
-    return [];
-  }
-
-  const files = fs.readdirSync(photosDir)
-    .filter(f => /\.(jpg|jpeg|png|webp|avif)$/i.test(f))
-    .map(f => ({
-      name: f.replace(/\.[^.]+$/, '').replace(/-/g, ' '),
-      path: `/epstein-photos/${f}`,
-      filename: f
-    }));
-
-  return files;
+function toPublicGeneration(generation) {
+  const safeGeneration = { ...generation };
+  delete safeGeneration.viewToken;
+  return safeGeneration;
 }
 
-// API: Get Epstein photos for gallery
-app.get('/api/photos', (req, res) => {
-  const photos = getEpsteinPhotos();
-  res.json({ photos });
-});
+// API: Generate face swap (shared with api/generate.js)
+// Saves output to disk and supports job mode (202 + polling/SSE) - see routes/generate.js
+app.use(createGenerateRouter({ outputMode: 'file', jobMode: true }));
 
-// API: Generate face swap
-// SECURITY: Multiple layers of rate limiting to prevent API key abuse:
-// 1. globalGenerateLimiter - 100 total generations/hour across ALL users (prevents API exhaustion)
-// 2. suspiciousActivityMiddleware - Blocks IPs with >10 requests in 5 minutes
-// 3. rateLimitMiddleware - Per-user rate limits based on tier
-// Order: global limit -> suspicious IP check -> per-user limit -> upload -> multer error handler -> handler
-app.post('/api/generate', globalGenerateLimiter, suspiciousActivityMiddleware, rateLimitMiddleware, upload.single('userPhoto'), handleMulterError, async (req, res) => {
-  // Track generation for authenticated users
-  let generationRecord = null;
-  const userId = req.user?.id || null;
-  const clientIP = getClientIP(req);
-
-  try {
-    const userPhoto = req.file;
-    const { epsteinPhoto, modelType = 'quick' } = req.body;
-
-    // Validate modelType - only allow 'quick' or 'premium'
-    const validModelType = ['quick', 'premium'].includes(modelType) ? modelType : 'quick';
-
-    if (!userPhoto) {
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.INVALID_FORMAT,
-        'Your photo is required',
-        'Please upload a photo of yourself.'
-      ));
-    }
-
-    // Validate file content using magic bytes (not just MIME type from header)
-    const fileType = await import('file-type');
-    const detectedType = await fileType.fileTypeFromBuffer(userPhoto.buffer);
-    const allowedMimes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
-    if (!detectedType || !allowedMimes.includes(detectedType.mime)) {
-      logError(ERROR_CODES.INVALID_FORMAT, 'File content validation failed');
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.INVALID_FORMAT,
-        'Invalid file content. Only JPEG, PNG, WebP, and HEIC images are allowed.',
-        `Detected type: ${detectedType?.mime || 'unknown'}. The file may be corrupted or disguised.`
-      ));
-    }
-
-    if (!epsteinPhoto) {
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.INVALID_FORMAT,
-        'Epstein photo selection is required',
-        'Please select an Epstein photo from the gallery.'
-      ));
-    }
-
-    // Validate user photo dimensions
-    const userValidation = await validateImageDimensions(userPhoto.buffer, 'User photo');
-    if (!userValidation.valid) {
-      logError(userValidation.code, userValidation.message);
-      return res.status(400).json(createErrorResponse(
-        userValidation.code,
-        userValidation.message,
-        userValidation.details
-      ));
-    }
-
-    // Create generation record for tracking (for ALL users, including anonymous)
-    // This enables secure image access via viewToken for anonymous users
-    generationRecord = generations.createGeneration(userId, epsteinPhoto);
-    console.log(`   Generation ID: ${generationRecord.id}${userId ? '' : ' (anonymous)'}`)
-
-    // SECURITY: Validate epsteinPhoto against whitelist to prevent path traversal attacks
-    // An attacker could send "../../.env" to read server secrets
-    const allowedPhotos = getEpsteinPhotos();
-    const normalizedPath = epsteinPhoto.startsWith('/') ? epsteinPhoto : `/${epsteinPhoto}`;
-    const isValidPhoto = allowedPhotos.some(p => p.path === normalizedPath || p.path === epsteinPhoto);
-
-    if (!isValidPhoto) {
-      logError(ERROR_CODES.GENERATION_FAILED, `Invalid epstein photo path (possible attack): ${epsteinPhoto}`);
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.GENERATION_FAILED,
-        'Invalid photo selection.',
-        'Please select a valid photo from the gallery.'
-      ));
-    }
-
-    // Read the Epstein photo from disk
-    // SECURITY: Strip leading slash to prevent path.join treating it as absolute path
-    // Then use path.resolve and verify the result is within the allowed directory
-    const sanitizedPath = epsteinPhoto.replace(/^\/+/, ''); // Strip leading slashes
-    const epsteinPhotosDir = path.resolve(__dirname, 'public', 'epstein-photos');
-    const epsteinPhotoPath = path.resolve(__dirname, 'public', sanitizedPath);
-
-    // SECURITY: Verify the resolved path is within the epstein-photos directory
-    if (!epsteinPhotoPath.startsWith(epsteinPhotosDir + path.sep) && epsteinPhotoPath !== epsteinPhotosDir) {
-      logError(ERROR_CODES.GENERATION_FAILED, `Path traversal attempt blocked: ${epsteinPhoto} resolved to ${epsteinPhotoPath}`);
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.GENERATION_FAILED,
-        'Invalid photo selection.',
-        'Please select a valid photo from the gallery.'
-      ));
-    }
-
-    if (!fs.existsSync(epsteinPhotoPath)) {
-      logError(ERROR_CODES.GENERATION_FAILED, `Epstein photo not found: ${epsteinPhoto}`);
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.GENERATION_FAILED,
-        'Selected Epstein photo not found.',
-        'Please refresh the page and try again.'
-      ));
-    }
-
-    const epsteinPhotoBuffer = await fsPromises.readFile(epsteinPhotoPath);
-
-    // Detect actual MIME type from file extension
-    const ext = path.extname(sanitizedPath).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.webp': 'image/webp',
-    };
-    const epsteinPhotoMime = mimeTypes[ext] || 'image/jpeg';
-
-    console.log(`\n🎬 Generating Epstein swap...`);
-    console.log(`   Epstein photo: ${epsteinPhoto}`);
-    console.log(`   User photo: ${userValidation.width}x${userValidation.height}px`);
-
-    // Select model based on modelType:
-    // - Quick: Nano Banana (gemini-2.5-flash-image-preview) - fast, good quality
-    // - Premium: Nano Banana Pro (gemini-3-pro-image-preview) - best quality, high fidelity
-    const modelName = validModelType === 'premium'
-      ? 'gemini-3-pro-image-preview'      // Nano Banana Pro (Gemini 3 Pro Image)
-      : 'gemini-2.5-flash-image-preview'; // Nano Banana (Gemini 2.5 Flash Image)
-
-    console.log(`   Model: ${modelName} (${validModelType})`);
-
-    const model = genAI.getGenerativeModel({
-      model: modelName,
-      generationConfig: {
-        responseModalities: ['image', 'text'],
-      },
-    });
-
-    // Get per-photo custom prompt (or default if none exists)
-    const prompt = getPromptForPhoto(epsteinPhoto);
-    console.log(`   Using ${photoPrompts[epsteinPhoto.split('/').pop()] ? 'custom' : 'default'} prompt for: ${epsteinPhoto.split('/').pop()}`);
-
-    // Make API request with both images (with timeout protection)
-    let result;
-    const startTime = Date.now();
-    try {
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          const error = new Error('Request timed out');
-          error.isTimeout = true;
-          reject(error);
-        }, GEMINI_TIMEOUT);
-      });
-
-      const generatePromise = model.generateContent([
-        {
-          inlineData: {
-            mimeType: epsteinPhotoMime,
-            data: epsteinPhotoBuffer.toString('base64'),
-          },
-        },
-        {
-          inlineData: {
-            mimeType: userPhoto.mimetype,
-            data: userPhoto.buffer.toString('base64'),
-          },
-        },
-        prompt,
-      ]);
-
-      result = await Promise.race([generatePromise, timeoutPromise]);
-    } catch (apiError) {
-      // Handle timeout specifically
-      if (apiError.isTimeout) {
-        logError(ERROR_CODES.TIMEOUT, 'Gemini API timed out', apiError);
-        if (generationRecord) {
-          generations.failGeneration(generationRecord.id, ERROR_CODES.TIMEOUT, 'Request timed out');
-        }
-        return res.status(504).json(createErrorResponse(
-          ERROR_CODES.TIMEOUT,
-          'Request timed out. The AI is taking too long - please try again.',
-          `Generation exceeded ${GEMINI_TIMEOUT / 1000} second limit. This can happen during high traffic.`
-        ));
-      }
-      // Re-throw to be caught by outer catch
-      throw apiError;
-    }
-
-    const response = await result.response;
-    const elapsedTime = Date.now() - startTime;
-
-    // Check for prompt feedback blocks (happens before generation)
-    if (response.promptFeedback?.blockReason) {
-      logError(ERROR_CODES.SAFETY_BLOCK, `Prompt blocked: ${response.promptFeedback.blockReason}`);
-      if (generationRecord) {
-        generations.failGeneration(generationRecord.id, ERROR_CODES.SAFETY_BLOCK, `Prompt blocked: ${response.promptFeedback.blockReason}`);
-      }
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.SAFETY_BLOCK,
-        'Request blocked by content filters. Please try a different photo.',
-        `Block reason: ${response.promptFeedback.blockReason}`
-      ));
-    }
-
-    // Extract generated image
-    if (response.candidates && response.candidates[0]) {
-      const parts = response.candidates[0].content?.parts || [];
-
-      for (const part of parts) {
-        if (part.inlineData) {
-          let imageBuffer = Buffer.from(part.inlineData.data, 'base64');
-
-          // Add watermark (skip only for authenticated admin users)
-          // SECURITY: Only trust req.isAdmin - never trust client-side debug parameter
-          const skipWatermark = req.isAdmin;
-          if (!skipWatermark) {
-            imageBuffer = await addWatermark(imageBuffer);
-          }
-
-          // Save the image with UUID filename (prevents enumeration attacks)
-          const filename = `epstein_${require('crypto').randomUUID()}.png`;
-          const outputPath = path.join('output', filename);
-          await fsPromises.writeFile(outputPath, imageBuffer);
-
-          console.log(`✅ Generated: ${filename}${req.isAdmin ? ' [ADMIN - no watermark]' : ''} (${elapsedTime}ms)`);
-
-          // Mark generation as completed for authenticated users
-          if (generationRecord) {
-            generations.completeGeneration(generationRecord.id, `/output/${filename}`);
-          }
-
-          // Build response
-          const response = {
-            success: true,
-            imageUrl: `/output/${filename}`,
-            generationId: generationRecord?.id || null,
-            // Include viewToken for anonymous users so they can access their images
-            viewToken: generationRecord?.viewToken || null
-          };
-
-          // Add debug info for admin users
-          if (req.isAdmin) {
-            const outputMetadata = await sharp(imageBuffer).metadata();
-            response.debug = {
-              generationTime: elapsedTime,
-              model: modelName,
-              outputDimensions: {
-                width: outputMetadata.width,
-                height: outputMetadata.height
-              },
-              inputDimensions: {
-                width: userValidation.width,
-                height: userValidation.height
-              },
-              watermarkApplied: !skipWatermark,
-              epsteinPhoto: epsteinPhoto,
-              timestamp: new Date().toISOString()
-            };
-          }
-
-          return res.json(response);
-        }
-      }
-    }
-
-    // Check for safety blocks
-    if (response.candidates?.[0]?.finishReason === 'SAFETY') {
-      logError(ERROR_CODES.SAFETY_BLOCK, 'Safety filter blocked request');
-      if (generationRecord) {
-        generations.failGeneration(generationRecord.id, ERROR_CODES.SAFETY_BLOCK, 'Content blocked by safety filters');
-      }
-      return res.status(400).json(createErrorResponse(
-        ERROR_CODES.SAFETY_BLOCK,
-        'Request blocked by safety filters. Try a different photo.',
-        'The AI detected potentially problematic content.'
-      ));
-    }
-
-    // Check for face detection issues in text response
-    const faceIssue = analyzeResponseForFaceIssues(response);
-    if (faceIssue.hasFaceIssue) {
-      logError(faceIssue.code, faceIssue.message);
-      if (generationRecord) {
-        generations.failGeneration(generationRecord.id, faceIssue.code, faceIssue.message);
-      }
-      return res.status(400).json(createErrorResponse(
-        faceIssue.code,
-        faceIssue.message,
-        faceIssue.details
-      ));
-    }
-
-    // No image generated
-    logError(ERROR_CODES.GENERATION_FAILED, 'No image in response');
-    if (generationRecord) {
-      generations.failGeneration(generationRecord.id, ERROR_CODES.GENERATION_FAILED, 'No image generated');
-    }
-    res.status(500).json(createErrorResponse(
-      ERROR_CODES.GENERATION_FAILED,
-      'No image generated. Please try again.',
-      'The AI did not return an image. This can happen occasionally.'
-    ));
-
-  } catch (error) {
-    // Parse Gemini-specific errors
-    const parsedError = parseGeminiError(error);
-    logError(parsedError.code, parsedError.message, error);
-
-    // Mark generation as failed
-    if (generationRecord) {
-      generations.failGeneration(generationRecord.id, parsedError.code, parsedError.message);
-    }
-
-    // Return appropriate HTTP status based on error type
-    const statusCode = parsedError.code === ERROR_CODES.RATE_LIMITED ? 429 :
-      parsedError.code === ERROR_CODES.TIMEOUT ? 504 :
-        parsedError.code === ERROR_CODES.SAFETY_BLOCK ? 400 : 500;
-
-    res.status(statusCode).json(createErrorResponse(
-      parsedError.code,
-      parsedError.message,
-      parsedError.details
-    ));
-  }
-});
+// POST /api/selfie-nonce - capture nonce for the consent selfie (shared with api/selfie-nonce.js)
+app.use(createConsentRouter());
 
 // ===== STRIPE PAYMENT ROUTES =====
 
-/**
- * POST /api/create-checkout
- * Creates a Stripe checkout session for $14.99/mo Base subscription
- * SECURITY: Requires authentication and verifies userId matches authenticated user
- */
-app.post('/api/create-checkout', checkoutLimiter, requireAuth, async (req, res) => {
-  try {
-    // SECURITY: Use authenticated user's ID and email, not from request body
-    // This prevents attackers from creating checkout sessions for other users
-    const userId = req.user.id;
-    const email = req.user.email;
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'User email not found. Please sign in again.'
-      });
-    }
-
-    const { url, sessionId } = await stripeService.createCheckoutSession(userId, email);
-
-    res.json({
-      success: true,
-      checkoutUrl: url,
-      sessionId
-    });
-  } catch (error) {
-    console.error('Checkout creation error:', error.message);
-    res.status(500).json({
-      error: 'Failed to create checkout session',
-      details: error.message
-    });
-  }
-});
-
-/**
- * GET /api/subscription
- * Returns the current user's subscription status
- * SECURITY: Requires authentication - uses authenticated user's ID
- */
-app.get('/api/subscription', requireAuth, async (req, res) => {
-  try {
-    // SECURITY: Use authenticated user's ID, not from query parameter
-    // This prevents users from viewing other users' subscription status
-    const userId = req.user.id;
-
-    const status = await stripeService.getSubscriptionStatus(userId);
-
-    res.json({
-      success: true,
-      ...status
-    });
-  } catch (error) {
-    console.error('Subscription status error:', error.message);
-    res.status(500).json({
-      error: 'Failed to get subscription status',
-      details: error.message
-    });
-  }
-});
+// Shared with api/create-checkout.js, api/change-plan.js, api/subscription.js, api/buy-credits.js,
+// api/buy-gift.js and api/verify-session.js
+app.use(createCheckoutRouter());
+app.use(createChangePlanRouter());
+app.use(createSubscriptionRouter());
+app.use(createBuyCreditsRouter());
+app.use(createBuyGiftRouter());
+app.use(createVerifySessionRouter());
 
 /**
  * POST /api/cancel-subscription
@@ -1188,45 +283,20 @@ app.post('/api/cancel-subscription', requireAuth, async (req, res) => {
     // This prevents attackers from cancelling other users' subscriptions
     const result = await stripeService.cancelSubscription(profile.stripe_customer_id);
 
-    res.json(result);
-  } catch (error) {
-    console.error('Subscription cancellation error:', error.message);
-    res.status(500).json({
-      error: 'Failed to cancel subscription',
-      details: error.message
-    });
-  }
-});
-
-/**
- * POST /api/buy-credits
- * Creates a Stripe checkout session for credit purchase ($3/credit)
- * SECURITY: Requires authentication
- */
-app.post('/api/buy-credits', checkoutLimiter, requireAuth, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const email = req.user.email;
-    const quantity = Math.min(Math.max(parseInt(req.body.quantity) || 1, 1), 100); // 1-100 credits
-
-    if (!email) {
-      return res.status(400).json({
-        error: 'User email not found. Please sign in again.'
+    if (result.success) {
+      await emailService.sendCancellationNotice({
+        userId,
+        to: req.user.email || profile.email || null,
+        subscriptionId: result.subscriptionId,
+        cancelAt: result.cancelAt
       });
     }
 
-    const { url, sessionId } = await stripeService.createCreditCheckoutSession(userId, email, quantity);
-
-    res.json({
-      success: true,
-      checkoutUrl: url,
-      sessionId,
-      quantity
-    });
+    res.json(result);
   } catch (error) {
-    console.error('Credit checkout creation error:', error.message);
+    console.error('Subscription cancellation error:', error.message);
     res.status(500).json({
-      error: 'Failed to create credit checkout session',
+      error: 'Failed to cancel subscription',
       details: error.message
     });
   }
@@ -1334,193 +404,25 @@ app.post('/api/customer-portal', requireAuth, async (req, res) => {
   }
 });
 
-/**
- * POST /api/verify-session
- * Verify a completed Stripe checkout session and update user profile
- * Used as fallback when webhooks don't work (e.g., local development)
- * Body: { sessionId: string }
- */
-app.post('/api/verify-session', requireAuth, async (req, res) => {
-  try {
-    const { sessionId } = req.body;
-    const userId = req.user.id;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID required' });
-    }
-
-    // Verify the session with Stripe
-    const result = await stripeService.verifyCheckoutSession(sessionId);
-
-    if (!result.success) {
-      return res.status(400).json({ error: result.message || 'Payment not completed' });
-    }
-
-    // Verify the session belongs to this user
-    if (result.userId && result.userId !== userId) {
-      console.warn(`Session user mismatch: expected ${userId}, got ${result.userId}`);
-      return res.status(403).json({ error: 'Session does not belong to this user' });
-    }
-
-    if (!supabaseAdmin) {
-      console.error('Supabase admin client not configured - cannot update profile');
-      return res.status(500).json({ error: 'Supabase admin client not configured' });
-    }
-
-    // Update user profile in Supabase
-    const updateData = {
-      stripe_customer_id: result.customerId,
-      updated_at: new Date().toISOString()
-    };
-
-    if (result.type === 'subscription') {
-      updateData.tier = 'base';
-      updateData.stripe_subscription_id = result.subscriptionId;
-      updateData.subscription_status = 'active';
-      updateData.monthly_generation_count = 0;
-      updateData.monthly_reset_at = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-    } else if (result.type === 'credit' || result.type === 'watermark_removal') {
-      // For credits and watermark removal, increment the balance
-      const { data: profile, error: profileError } = await supabaseAdmin
-        .from('profiles')
-        .select('credit_balance')
-        .eq('id', userId)
-        .single();
-
-      if (profileError) {
-        console.error('Failed to fetch credit balance:', profileError.message);
-        return res.status(500).json({ error: 'Failed to fetch credit balance' });
-      }
-
-      updateData.credit_balance = (profile?.credit_balance || 0) + result.creditsAdded;
-    }
-
-    const { error: updateError } = await supabaseAdmin
-      .from('profiles')
-      .update(updateData)
-      .eq('id', userId);
-
-    if (updateError) {
-      console.error('Failed to update profile:', updateError);
-      return res.status(500).json({ error: 'Failed to update profile' });
-    }
-
-    console.log(`Verified session ${sessionId} for user ${userId}: ${result.type}`);
-
-    res.json({
-      success: true,
-      type: result.type,
-      tier: result.type === 'subscription' ? 'base' : undefined,
-      creditsAdded: result.creditsAdded
-    });
-
-  } catch (error) {
-    console.error('Verify session error:', error);
-    res.status(500).json({ error: 'Failed to verify session' });
-  }
-});
-
 // ===== USER & USAGE ROUTES =====
 
-/**
- * GET /api/me
- * Returns current user info and usage stats
- * Works for both authenticated and anonymous users
- */
-app.get('/api/me', async (req, res) => {
-  try {
-    const userId = req.user?.id || null;
-    const clientIP = getClientIP(req);
-    let anonId = null;
+// GET /api/me (shared with api/me.js)
+app.use(createMeRouter());
 
-    // Get user profile if authenticated
-    let profile = null;
-    if (userId) {
-      profile = await getProfile(userId);
-    }
+// GET /api/referral, POST /api/referral/claim (shared with api/referral.js and api/referral/claim.js)
+app.use(createReferralRouter());
 
-    if (!userId) {
-      const anonSession = getOrCreateAnonId(req, res);
-      anonId = anonSession.anonId;
-      const anonUsage = await getAnonUsage(anonId);
-      updateAnonCache(anonId, anonUsage.quickCount, anonUsage.premiumCount);
-    }
+// POST /api/redeem, POST /api/redeem/claim (shared with api/redeem.js and api/redeem/claim.js)
+app.use(createRedeemRouter());
 
-    // Get usage info
-    const usage = checkUsage(userId, profile, clientIP, 'quick', anonId);
-
-    // Build response
-    const response = {
-      authenticated: req.isAuthenticated,
-      user: req.user ? {
-        id: req.user.id,
-        email: req.user.email,
-        created_at: req.user.created_at
-      } : null,
-      profile: profile ? {
-        generation_count: profile.generation_count || 0,
-        monthly_generation_count: profile.monthly_generation_count || 0,
-        monthly_reset_at: profile.monthly_reset_at || null,
-        credit_balance: profile.credit_balance || 0,
-        tier: profile.tier || 'free',
-        stripe_customer_id: profile.stripe_customer_id || null
-      } : null,
-      usage: {
-        tier: usage.tier,
-        tierName: usage.tierName,
-        used: usage.used,
-        limit: usage.limit,
-        remaining: usage.remaining,
-        canGenerate: usage.canGenerate,
-        // Quick/Premium model-specific usage
-        quickUsed: usage.quickUsed || 0,
-        quickRemaining: usage.quickRemaining || 0,
-        quickLimit: usage.quickLimit || 0,
-        premiumUsed: usage.premiumUsed || 0,
-        premiumRemaining: usage.premiumRemaining || 0,
-        premiumLimit: usage.premiumLimit || 0,
-        // Monthly and credit fields
-        monthlyUsed: usage.monthlyUsed,
-        monthlyLimit: usage.monthlyLimit,
-        monthlyRemaining: usage.monthlyRemaining,
-        credits: usage.credits,
-        watermarkFree: usage.watermarkFree,
-        watermarkFreeReason: usage.watermarkFreeReason
-      },
-      tiers: Object.entries(tiers)
-        .filter(([key]) => key !== 'credit')  // Don't include credit as a tier
-        .map(([key, value]) => ({
-          id: key,
-          name: value.name,
-          limit: value.limit === Infinity ? 'unlimited' : value.limit,
-          monthlyLimit: value.monthlyLimit === Infinity ? 'unlimited' : value.monthlyLimit,
-          description: value.description,
-          watermarkFree: value.watermarkFree || false,
-          priceMonthly: value.priceMonthly || null
-        })),
-      pricing: {
-        subscription: {
-          name: tiers.base.name,
-          priceMonthly: tiers.base.priceMonthly,
-          monthlyLimit: tiers.base.monthlyLimit,
-          description: tiers.base.description
-        },
-        credit: {
-          pricePerCredit: tiers.credit.pricePerCredit,
-          description: tiers.credit.description
-        }
-      }
-    };
+// GET /api/billing/history, GET /api/billing/receipt (shared with api/billing/history.js and api/billing/receipt.js)
+app.use(createBillingRouter());
 
-    res.json(response);
-  } catch (error) {
-    console.error('Error in /api/me:', error.message);
-    res.status(500).json({
-      error: 'Failed to get user info',
-      details: error.message
-    });
-  }
-});
+// GET /api/provenance/key (shared with api/provenance/key.js)
+app.use(createProvenanceRouter());
+
+// GET/POST /api/verify - was this image made here? (shared with api/verify.js)
+app.use(createVerifyRouter());
 
 /**
  * GET /api/generations
@@ -1532,7 +434,7 @@ app.get('/api/generations', requireAuth, async (req, res) => {
     const userId = req.user.id;
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
-    const history = generations.getGenerations(userId, limit);
+    const history = await generations.getGenerations(userId, limit);
 
     res.json({
       success: true,
@@ -1559,28 +461,114 @@ app.get('/api/generation/:id', async (req, res) => {
     const { viewToken } = req.query;
     const userId = req.user?.id || null;
 
-    // Use secure validation that handles both authenticated and anonymous generations
-    const { authorized, generation, error } = generations.validateGenerationAccess(id, userId, viewToken);
+    // Use secure validation that handles both authenticated and anonymous generations
+    const { authorized, generation, error } = await generations.validateGenerationAccess(id, userId, viewToken);
+
+    if (!authorized) {
+      const statusCode = error === 'Generation not found' ? 404 : 403;
+      return res.status(statusCode).json({
+        error: error
+      });
+    }
+
+    // Don't expose the viewToken in the response
+    res.json({
+      success: true,
+      generation: toPublicGeneration(generation)
+    });
+  } catch (error) {
+    console.error('Error in /api/generation/:id:', error.message);
+    res.status(500).json({
+      error: 'Failed to get generation',
+      details: error.message
+    });
+  }
+});
+
+// How often open progress streams re-read the record (covers updates made by
+// other instances, which the in-process emitter never sees)
+const GENERATION_EVENTS_POLL_MS = 2000;
+// Comment line sent periodically so proxies don't close idle streams
+const GENERATION_EVENTS_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/generation/:id/events
+ * Server-sent events stream of status transitions for a generation
+ * (queued -> validating -> generating -> watermarking -> completed/failed)
+ * Query: ?viewToken=xxx (required for anonymous generations)
+ *
+ * Each transition is sent as `event: status` with the public generation record
+ * as JSON data. The stream closes after a completed or failed status.
+ */
+app.get('/api/generation/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { viewToken } = req.query;
+    const userId = req.user?.id || null;
+
+    const { authorized, generation, error } = await generations.validateGenerationAccess(id, userId, viewToken);
+
+    if (!authorized) {
+      const statusCode = error === 'Generation not found' ? 404 : 403;
+      return res.status(statusCode).json({
+        error: error
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let lastStatus = null;
+    let closed = false;
+    let unsubscribe = () => { };
+    let pollTimer = null;
+    let heartbeatTimer = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+      res.end();
+    };
+
+    const send = (record) => {
+      if (closed || !record || record.status === lastStatus) return;
+      lastStatus = record.status;
+      res.write(`event: status\ndata: ${JSON.stringify(toPublicGeneration(record))}\n\n`);
+      if (generations.isTerminal(record.status)) {
+        close();
+      }
+    };
+
+    req.on('close', close);
+
+    unsubscribe = generations.subscribe(id, send);
+    send(generation);
+    if (closed) return;
 
-    if (!authorized) {
-      const statusCode = error === 'Generation not found' ? 404 : 403;
-      return res.status(statusCode).json({
-        error: error
-      });
+    if (generations.isPersistent()) {
+      pollTimer = setInterval(async () => {
+        send(await generations.getGeneration(id));
+      }, GENERATION_EVENTS_POLL_MS);
     }
 
-    // Don't expose the viewToken in the response
-    const safeGeneration = { ...generation };
-    delete safeGeneration.viewToken;
-
-    res.json({
-      success: true,
-      generation: safeGeneration
-    });
+    heartbeatTimer = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, GENERATION_EVENTS_HEARTBEAT_MS);
   } catch (error) {
-    console.error('Error in /api/generation/:id:', error.message);
+    console.error('Error in /api/generation/:id/events:', error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
-      error: 'Failed to get generation',
+      error: 'Failed to stream generation status',
       details: error.message
     });
   }
@@ -1625,7 +613,7 @@ app.get('/output/:filename', outputLimiter, async (req, res) => {
     }
 
     // Find the generation record for this image
-    const generation = generations.findByResultUrl(resultUrl);
+    const generation = await generations.findByResultUrl(resultUrl);
 
     if (!generation) {
       // If no generation record, deny access (legacy images or direct file access attempt)
@@ -1636,7 +624,7 @@ app.get('/output/:filename', outputLimiter, async (req, res) => {
     }
 
     // Validate access using the generation access rules
-    const { authorized, error } = generations.validateGenerationAccess(
+    const { authorized, error } = await generations.validateGenerationAccess(
       generation.id,
       userId,
       viewToken
@@ -1666,35 +654,20 @@ app.get('/api/config', (req, res) => {
       url: supabaseConfig.url,
       anonKey: supabaseConfig.anonKey
     },
-    tiers: Object.entries(tiers)
-      .filter(([key]) => key !== 'credit')  // Don't include credit as a tier
-      .map(([key, value]) => ({
-        id: key,
-        name: value.name,
-        limit: value.limit === Infinity ? 'unlimited' : value.limit,
-        monthlyLimit: value.monthlyLimit === Infinity ? 'unlimited' : value.monthlyLimit,
-        description: value.description,
-        watermarkFree: value.watermarkFree || false,
-        priceMonthly: value.priceMonthly || null
-      })),
-    pricing: {
-      subscription: {
-        name: tiers.base.name,
-        priceMonthly: tiers.base.priceMonthly,
-        monthlyLimit: tiers.base.monthlyLimit,
-        description: tiers.base.description
-      },
-      credit: {
-        pricePerCredit: tiers.credit.pricePerCredit,
-        description: tiers.credit.description
-      }
+    // Tiers and prices from the pricing catalog
+    ...pricing.getPublicPricing(),
+    features: {
+      // POST /api/generate accepts async=true and returns 202 + progress stream
+      asyncGeneration: true,
+      // POST /api/generate needs a selfie matching the uploaded face
+      selfConsent: isSelfConsentRequired()
     }
   });
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
-  const photos = getEpsteinPhotos();
+  const photos = templates.listTemplates();
   const anonymousStats = getAnonymousStats();
 
   res.json({
@@ -1746,6 +719,53 @@ app.post('/api/dev/debug', (req, res) => {
   res.json({ allowed: true, enabled });
 });
 
+/**
+ * GET /api/dev/fake-provider
+ * Show the fake image provider's pending scenarios (local dev only)
+ */
+app.get('/api/dev/fake-provider', (req, res) => {
+  if (isProduction || !isLocalRequest(req)) {
+    return res.status(404).json({ allowed: false });
+  }
+
+  const fakeProvider = providers.getProvider('fake');
+  res.json({
+    allowed: true,
+    active: providers.getProviderOverride() === 'fake',
+    scenarios: fakeProvider.SCENARIOS,
+    queued: fakeProvider.getScenarioQueue()
+  });
+});
+
+/**
+ * POST /api/dev/fake-provider
+ * Script the next fake provider responses (local dev only)
+ * Body: { scenarios: string[] } - e.g. ['rate_limit', 'success']; empty clears the queue
+ */
+app.post('/api/dev/fake-provider', (req, res) => {
+  if (isProduction || !isLocalRequest(req)) {
+    return res.status(403).json({ allowed: false });
+  }
+
+  const fakeProvider = providers.getProvider('fake');
+  const scenarios = req.body?.scenarios;
+
+  if (scenarios !== undefined && !Array.isArray(scenarios)) {
+    return res.status(400).json({ error: 'scenarios must be an array' });
+  }
+
+  try {
+    fakeProvider.clearScenarios();
+    if (scenarios?.length) {
+      fakeProvider.queueScenarios(scenarios);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.json({ allowed: true, queued: fakeProvider.getScenarioQueue() });
+});
+
 // ===== ADMIN DEBUG MODE ROUTES =====
 
 /**
@@ -1799,8 +819,7 @@ app.post('/api/admin/logout', (req, res) => {
   // Get token from cookie or header for backwards compatibility
   const token = req.cookies?.adminToken || req.headers['x-admin-token'];
 
-  if (token && adminSessions.has(token)) {
-    adminSessions.delete(token);
+  if (token && invalidateAdminSession(token)) {
     console.log('[ADMIN] Session invalidated');
   }
 
@@ -1820,13 +839,7 @@ app.post('/api/admin/logout', (req, res) => {
  * Get full debug info (requires valid admin token)
  * Header: X-Admin-Token
  */
-app.get('/api/admin/debug', (req, res) => {
-  if (!req.isAdmin) {
-    return res.status(401).json({
-      error: 'Admin authentication required'
-    });
-  }
-
+app.get('/api/admin/debug', requireAdmin, (req, res) => {
   const debugInfo = getAdminDebugInfo();
 
   // Add rate limit info
@@ -1869,25 +882,482 @@ app.get('/api/admin/debug', (req, res) => {
 app.get('/api/admin/status', (req, res) => {
   res.json({
     isAdmin: req.isAdmin,
-    adminConfigured: !!ADMIN_PASSWORD
+    adminConfigured: isAdminConfigured()
   });
 });
 
-// Global error handler - catches all unhandled errors and returns JSON
-// MUST be after all routes and middleware
-app.use((err, req, res, next) => {
-  console.error('[Global Error Handler]', err.message);
-  const status = err.status || err.statusCode || 500;
-  res.status(status).json({
-    error: err.message || 'Internal server error',
-    code: err.code || 'INTERNAL_ERROR'
+/**
+ * GET /api/admin/protected-figures
+ * List the protected public figures uploads are screened against
+ * Header: X-Admin-Token
+ */
+app.get('/api/admin/protected-figures', requireAdmin, async (req, res, next) => {
+  try {
+    res.json(await screening.getProtectedIndexInfo());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/protected-figures/reload
+ * Rebuild the protected-figure index after editing the reference folder
+ * Header: X-Admin-Token
+ */
+app.post('/api/admin/protected-figures/reload', requireAdmin, async (req, res, next) => {
+  try {
+    res.json(await screening.reloadProtectedIndex());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/pricing
+ * The pricing catalog in use, its version and where it was loaded from
+ * Header: X-Admin-Token
+ */
+app.get('/api/admin/pricing', requireAdmin, (req, res) => {
+  res.json({ ...pricing.getVersion(), catalog: pricing.getCatalog() });
+});
+
+/**
+ * POST /api/admin/pricing/reload
+ * Re-read the pricing catalog (file, then the newest active database version)
+ * An invalid catalog is refused and the current one stays in use.
+ * Header: X-Admin-Token
+ */
+app.post('/api/admin/pricing/reload', requireAdmin, async (req, res) => {
+  try {
+    const loaded = await pricing.reload();
+    console.log(`[admin] Reloaded pricing catalog: v${loaded.version} from ${loaded.source}`);
+    res.json(loaded);
+  } catch (error) {
+    res.status(400).json({ error: error.message, ...pricing.getVersion() });
+  }
+});
+
+/**
+ * GET /api/admin/credits/:userId
+ * A user's credit ledger (newest first) and the balance it adds up to
+ * Header: X-Admin-Token
+ * Query: ?limit=N (default 50, max 500)
+ */
+app.get('/api/admin/credits/:userId', requireAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const [balance, entries] = await Promise.all([
+      credits.getBalance(req.params.userId),
+      credits.getLedger(req.params.userId, { limit })
+    ]);
+    res.json({ userId: req.params.userId, balance, entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/credits/:userId/adjust
+ * Manually add or remove credits (recorded as an 'adjustment' ledger entry)
+ * Header: X-Admin-Token
+ * Body: { amount: number (non-zero integer, negative removes), note: string }
+ */
+app.post('/api/admin/credits/:userId/adjust', requireAdmin, async (req, res, next) => {
+  const amount = Number(req.body?.amount);
+  const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+  if (!Number.isInteger(amount) || amount === 0) {
+    return res.status(400).json({ error: 'amount must be a non-zero integer' });
+  }
+  if (!note) {
+    return res.status(400).json({ error: 'note is required for credit adjustments' });
+  }
+
+  try {
+    const result = await credits.adjustCredits(req.params.userId, amount, { note });
+    if (!result.applied) {
+      return res.status(409).json({ error: `Adjustment refused: ${result.reason}`, balance: result.balance });
+    }
+    console.log(`[admin] Adjusted credits for ${req.params.userId} by ${amount}: ${note}`);
+    res.json({ success: true, balance: result.balance, entryId: result.entryId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/webhook-events
+ * Stored Stripe webhook events (newest first), e.g. ?status=dead for the dead-letter queue
+ * Header: X-Admin-Token
+ * Query: ?status=received|processing|processed|failed|dead, ?limit=N (default 50, max 500)
+ */
+app.get('/api/admin/webhook-events', requireAdmin, async (req, res, next) => {
+  const status = req.query.status || null;
+  if (status && !Object.values(webhookEvents.STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(webhookEvents.STATUS).join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const events = await webhookEvents.listEvents({ status, limit });
+    res.json({ events });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/webhook-events/:eventId/replay
+ * Run a failed or dead-lettered webhook event again now
+ * Header: X-Admin-Token
+ */
+app.post('/api/admin/webhook-events/:eventId/replay', requireAdmin, async (req, res, next) => {
+  try {
+    const existing = await webhookEvents.getEvent(req.params.eventId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    if (existing.status !== webhookEvents.STATUS.FAILED && existing.status !== webhookEvents.STATUS.DEAD) {
+      return res.status(409).json({ error: `Only failed or dead events can be replayed (event is ${existing.status})` });
+    }
+
+    const event = await webhookEvents.replayEvent(req.params.eventId, stripeService.processWebhookEvent);
+    console.log(`[admin] Replayed webhook event ${req.params.eventId}: ${event.status}`);
+    res.json({ event });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/emails
+ * Emails in the outbox (newest first, without bodies), e.g. ?status=dead for undeliverable ones
+ * Header: X-Admin-Token
+ * Query: ?status=pending|sending|sent|failed|dead, ?limit=N (default 50, max 500)
+ */
+app.get('/api/admin/emails', requireAdmin, async (req, res, next) => {
+  const status = req.query.status || null;
+  if (status && !Object.values(emailService.STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.values(emailService.STATUS).join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const emails = await emailService.listEmails({ status, limit });
+    res.json({ emails });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/emails/:id/retry
+ * Deliver a failed or dead-lettered email again now
+ * Header: X-Admin-Token
+ */
+app.post('/api/admin/emails/:id/retry', requireAdmin, async (req, res, next) => {
+  try {
+    const existing = await emailService.getEmail(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (existing.status !== emailService.STATUS.FAILED && existing.status !== emailService.STATUS.DEAD) {
+      return res.status(409).json({ error: `Only failed or dead emails can be retried (email is ${existing.status})` });
+    }
+
+    const email = await emailService.retryEmail(req.params.id);
+    console.log(`[admin] Retried email ${req.params.id}: ${email.status}`);
+    res.json({ email });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/gift-codes
+ * Gift codes (newest first) - by default the outstanding ones: unredeemed and
+ * unexpired, or held for an anonymous session
+ * Header: X-Admin-Token
+ * Query: ?status=outstanding|expired|active|held|redeemed|all, ?limit=N (default 50, max 500)
+ */
+app.get('/api/admin/gift-codes', requireAdmin, async (req, res, next) => {
+  const statuses = ['outstanding', 'expired', ...Object.values(gifts.STATUS), 'all'];
+  const status = req.query.status || 'outstanding';
+  if (!statuses.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${statuses.join(', ')}` });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const giftCodes = await gifts.listGiftCodes({ status: status === 'all' ? null : status, limit });
+    res.json({ giftCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// HTTP status for each refused template catalog change
+const TEMPLATE_REJECTION_STATUS = {
+  [templates.REJECTION.UNKNOWN_TEMPLATE]: 404,
+  [templates.REJECTION.UNKNOWN_VERSION]: 404,
+  [templates.REJECTION.DUPLICATE_ID]: 409,
+  [templates.REJECTION.CONFLICT]: 409,
+  [templates.REJECTION.LOCAL_IMAGE]: 409,
+};
+
+/**
+ * Send the result of a template catalog change
+ * @param {object} res - Express response
+ * @param {object} result - From services/templates.js (publishCatalog() shape)
+ */
+function sendTemplateResult(res, result) {
+  if (!result.published) {
+    return res.status(TEMPLATE_REJECTION_STATUS[result.reason] || 400).json({
+      error: 'Template catalog change refused',
+      reason: result.reason,
+      ...(result.errors ? { errors: result.errors } : {})
+    });
+  }
+  res.json({ ...result, ...templates.getCatalogInfo() });
+}
+
+/**
+ * GET /api/admin/templates
+ * Every template (disabled ones too) with its prompts, in gallery order
+ * Header: X-Admin-Token
+ */
+app.get('/api/admin/templates', requireAdmin, (req, res) => {
+  res.json({
+    ...templates.getCatalogInfo(),
+    modelTypes: templates.PROMPT_KEYS.filter(key => key !== 'default'),
+    templates: templates.listTemplates({ includeDisabled: true })
   });
 });
 
+/**
+ * GET /api/admin/templates/variants
+ * Prompt variant report: success rate (completed vs SAFETY_BLOCK, NO_FACE,
+ * GENERATION_FAILED) and average latency per template and variant
+ * Header: X-Admin-Token
+ * Query: ?days=N (default 30, max 365)
+ */
+app.get('/api/admin/templates/variants', requireAdmin, async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    // Generations record the template's image path; label rows with its ID
+    const templateIds = new Map(templates.listTemplates({ includeDisabled: true }).map(template => [template.path, template.id]));
+    const variants = (await generations.getPromptVariantReport({ since })).map(row => ({
+      template: templateIds.get(row.epsteinPhoto) || null,
+      ...row
+    }));
+
+    res.json({ since, variants });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/templates/versions
+ * Published template catalog versions, newest first
+ * Header: X-Admin-Token
+ */
+app.get('/api/admin/templates/versions', requireAdmin, async (req, res, next) => {
+  try {
+    res.json({ versions: await templates.listVersions() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/templates/reload
+ * Re-read the template catalog (file, then the newest active database version)
+ * An invalid catalog is refused and the current one stays in use.
+ * Header: X-Admin-Token
+ */
+app.post('/api/admin/templates/reload', requireAdmin, async (req, res) => {
+  try {
+    const loaded = await templates.reload();
+    console.log(`[admin] Reloaded template catalog: v${loaded.version} from ${loaded.source}`);
+    res.json(loaded);
+  } catch (error) {
+    res.status(400).json({ error: error.message, ...templates.getCatalogInfo() });
+  }
+});
+
+/**
+ * POST /api/admin/templates
+ * Add a template (starts disabled at the end of the gallery) - only without
+ * Supabase; otherwise 409 local_image (the image would be on this server only)
+ * Header: X-Admin-Token
+ * Body: multipart - image (JPEG, PNG or WebP), id, title, caption?, source?,
+ *   targetPerson?, prompt? (the template's default prompt)
+ */
+app.post('/api/admin/templates', requireAdmin, upload.single('image'), handleMulterError, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'image is required' });
+  }
+
+  const { id, title, caption, source, targetPerson, prompt } = req.body;
+  try {
+    const result = await templates.addTemplate(
+      { id, title, caption, source, targetPerson, prompts: prompt ? { default: prompt } : {} },
+      req.file.buffer
+    );
+    sendTemplateResult(res, result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/templates/order
+ * Reorder the gallery
+ * Header: X-Admin-Token
+ * Body: { ids: string[] } - every template ID, in the new order
+ */
+app.post('/api/admin/templates/order', requireAdmin, async (req, res, next) => {
+  try {
+    sendTemplateResult(res, await templates.reorderTemplates(req.body?.ids));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/templates/rollback
+ * Restore an earlier catalog version (published again as the next version)
+ * Header: X-Admin-Token
+ * Body: { version: number }
+ */
+app.post('/api/admin/templates/rollback', requireAdmin, async (req, res, next) => {
+  try {
+    sendTemplateResult(res, await templates.rollbackTo(req.body?.version));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/templates/:id
+ * Edit a template - prompts, enabled, title, caption, ...
+ * Header: X-Admin-Token
+ * Body: any of { title, caption, source, enabled, targetPerson, thumbnail,
+ *   notes, prompts: { default?, quick?, premium? } } plus an optional note
+ */
+app.post('/api/admin/templates/:id', requireAdmin, async (req, res, next) => {
+  const changes = {};
+  templates.EDITABLE_FIELDS
+    .filter(field => req.body?.[field] !== undefined)
+    .forEach(field => { changes[field] = req.body[field]; });
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: `Nothing to change (fields: ${templates.EDITABLE_FIELDS.join(', ')})` });
+  }
+
+  try {
+    const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : undefined;
+    sendTemplateResult(res, await templates.updateTemplate(req.params.id, changes, { note }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/templates/:id/preview
+ * Test generation with a template (disabled ones too) and, optionally, a
+ * draft prompt - nothing is published, recorded or charged
+ * Header: X-Admin-Token
+ * Body: multipart - userPhoto, modelType? ('quick'), provider? ('fake' | 'real'),
+ *   variant? (prompt variant ID), subject? (who is replaced, for templates with
+ *   subjects), prompt? (default: the template's prompt for the model, variant
+ *   and subject; may use the catalog's {{> sections}} and {{vars}})
+ */
+app.post('/api/admin/templates/:id/preview', requireAdmin, upload.single('userPhoto'), handleMulterError, async (req, res, next) => {
+  const template = templates.getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'userPhoto is required' });
+  }
+
+  const modelType = req.body.modelType || 'quick';
+  if (!tiers.models[modelType]) {
+    return res.status(400).json({ error: `modelType must be one of: ${Object.keys(tiers.models).join(', ')}` });
+  }
+  const providerMode = req.body.provider || 'fake';
+  if (!['fake', 'real'].includes(providerMode)) {
+    return res.status(400).json({ error: 'provider must be fake or real' });
+  }
+
+  const subject = req.body.subject || null;
+  if (subject && !templates.getSubject(template, subject)) {
+    return res.status(400).json({ error: `Template ${template.id} has no subject ${subject}` });
+  }
+
+  // A draft prompt is compiled with the template's sections and variables
+  const variant = req.body.variant || templates.DEFAULT_VARIANT;
+  let prompt;
+  try {
+    prompt = req.body.prompt?.trim()
+      ? templates.compileTemplatePrompt(template, req.body.prompt, subject)
+      : templates.getPrompt(template, modelType, variant, subject);
+  } catch (error) {
+    return res.status(400).json({ error: `Prompt does not compile: ${error.message}` });
+  }
+
+  try {
+    // 'real' is the model's configured provider, even when IMAGE_PROVIDER is set
+    const providerName = providerMode === 'fake' ? 'fake' : tiers.models[modelType].provider;
+
+    const startTime = Date.now();
+    const output = await providers.generateImage(
+      modelType,
+      await templates.readTemplateImage(template),
+      { buffer: req.file.buffer, mimeType: req.file.mimetype },
+      prompt,
+      { timeout: GENERATION_TIMEOUT, provider: providerName }
+    );
+
+    console.log(`[admin] Template preview: ${template.id} (${modelType} via ${providerName})`);
+    res.json({
+      template: template.id,
+      modelType,
+      provider: providerName,
+      variant,
+      subject,
+      prompt,
+      elapsedTime: Date.now() - startTime,
+      image: output.image ? `data:${output.mimeType || 'image/png'};base64,${output.image.toString('base64')}` : null,
+      text: output.text || '',
+      finishReason: output.finishReason,
+      blockReason: output.safety?.blockReason || null
+    });
+  } catch (error) {
+    if (error.isTimeout) {
+      return res.status(504).json({ error: 'Preview timed out' });
+    }
+    next(error);
+  }
+});
+
+// Global error handler - catches all unhandled errors and returns JSON
+// MUST be after all routes and middleware
+app.use(errorHandler);
+
 // Start server
-app.listen(PORT, () => {
-  const photos = getEpsteinPhotos();
+app.listen(PORT, async () => {
+  // Switch to the database pricing and template catalogs, if any are active
+  await Promise.all([pricing.ready(), templates.ready()]);
+
+  const photos = templates.listTemplates();
   console.log(`\n🎺 Pimp My Epstein Server`);
   console.log(`   http://localhost:${PORT}`);
   console.log(`   ${photos.length} Epstein photos loaded\n`);
+  if (providers.getProviderOverride()) {
+    console.log(`   Image provider override: ${providers.getProviderOverride()}\n`);
+  }
 });
@@ -0,0 +1,217 @@
+/**
+ * Billing History Service
+ *
+ * What a signed-in user bought and what they spent, for the billing history
+ * on the upgrade page:
+ * - Purchases: credit packs, watermark removals and gift packs (completed
+ *   Stripe checkouts) and subscription payments (paid Stripe invoices).
+ *   Stripe is the source of truth; when it can't be reached (or the user has
+ *   no Stripe customer yet) the history falls back to what we recorded
+ *   locally - processed_sessions rows and the credit ledger's purchase grants,
+ *   which carry no amounts.
+ * - Spend: the credits each generation used, from the credit ledger
+ *   (services/credits.js), with refunded generations marked.
+ *
+ * A receipt (HTML or PDF, rendered by lib/receipts.js) is available for each
+ * Stripe purchase that belongs to the user.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+const { getProfile } = require('./profiles');
+const credits = require('./credits');
+const stripeService = require('./stripe');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Ledger entries read for the spend history (spends and their refunds)
+const LEDGER_LIMIT = 200;
+
+// Checkout session (cs_...) or invoice (in_...) IDs
+const PURCHASE_ID_PATTERN = /^(cs|in)_[A-Za-z0-9_]+$/;
+
+const HISTORY_SOURCE = {
+  STRIPE: 'stripe',
+  LOCAL: 'local',
+};
+
+/**
+ * Describe a locally recorded purchase (no amount - that lives in Stripe)
+ * @param {string} id - Checkout session ID
+ * @param {string} type - Checkout type (credit, watermark_removal, gift, subscription)
+ * @param {number} creditsAdded
+ * @param {string} paidAt - ISO timestamp
+ * @returns {object} Purchase
+ */
+function toLocalPurchase(id, type, creditsAdded, paidAt) {
+  const descriptions = {
+    subscription: 'Subscription',
+    watermark_removal: 'Watermark removal + 1 premium generation',
+    gift: 'Gift pack',
+  };
+
+  return {
+    id,
+    source: HISTORY_SOURCE.LOCAL,
+    type,
+    description: descriptions[type] || `${creditsAdded} credit${creditsAdded === 1 ? '' : 's'}`,
+    credits: creditsAdded,
+    amount: null,
+    currency: null,
+    paidAt,
+    reference: id,
+    invoiceUrl: null,
+  };
+}
+
+/**
+ * Purchases we recorded ourselves, newest first: processed checkout sessions
+ * and ledger grants from checkouts (one per session)
+ * @param {string} userId
+ * @param {Array<object>} ledger - The user's ledger entries
+ * @param {number} limit
+ * @returns {Promise<Array<object>>}
+ */
+async function getLocalPurchases(userId, ledger, limit) {
+  const purchases = new Map();
+
+  if (supabaseAdmin) {
+    const { data, error } = await supabaseAdmin
+      .from('processed_sessions')
+      .select('session_id, session_type, credits_added, processed_at')
+      .eq('user_id', userId)
+      .order('processed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[billing] Error fetching processed sessions:', error.message);
+    }
+
+    for (const row of data || []) {
+      purchases.set(row.session_id, toLocalPurchase(row.session_id, row.session_type, row.credits_added || 0, row.processed_at));
+    }
+  }
+
+  for (const entry of ledger) {
+    if (entry.entryType === credits.ENTRY_TYPE.GRANT && entry.stripeSessionId && !purchases.has(entry.stripeSessionId)) {
+      purchases.set(entry.stripeSessionId, toLocalPurchase(entry.stripeSessionId, 'credit', entry.amount, entry.createdAt));
+    }
+  }
+
+  return [...purchases.values()]
+    .sort((a, b) => String(b.paidAt).localeCompare(String(a.paidAt)))
+    .slice(0, limit);
+}
+
+/**
+ * Credits spent per generation, newest first
+ * @param {Array<object>} ledger - The user's ledger entries, newest first
+ * @returns {Array<{ generationId: string, credits: number, spentAt: string, refunded: boolean }>}
+ */
+function getSpend(ledger) {
+  const refunded = new Set(ledger
+    .filter(entry => entry.entryType === credits.ENTRY_TYPE.REFUND && entry.generationId)
+    .map(entry => entry.generationId));
+
+  return ledger
+    .filter(entry => entry.entryType === credits.ENTRY_TYPE.SPEND && entry.generationId)
+    .map(entry => ({
+      generationId: entry.generationId,
+      credits: -entry.amount,
+      spentAt: entry.createdAt,
+      refunded: refunded.has(entry.generationId),
+    }));
+}
+
+/**
+ * Get the Stripe customer a user pays as
+ * @param {string} userId
+ * @returns {Promise<string|null>}
+ */
+async function getCustomerId(userId) {
+  const profile = await getProfile(userId);
+  return profile?.stripe_customer_id || stripeService.getUser(userId).stripe_customer_id || null;
+}
+
+/**
+ * Get a user's billing history
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.limit - Maximum purchases (default 50, max 100)
+ * @returns {Promise<{ purchases: Array<object>, purchasesSource: string, spend: Array<object>, creditsSpent: number }>}
+ *   purchasesSource is 'stripe', or 'local' when the purchases come from our
+ *   own records (no amounts)
+ */
+async function getBillingHistory(userId, options = {}) {
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const ledger = await credits.getLedger(userId, { limit: LEDGER_LIMIT });
+  const customerId = await getCustomerId(userId);
+
+  let purchases = null;
+  let purchasesSource = HISTORY_SOURCE.STRIPE;
+
+  if (customerId) {
+    try {
+      purchases = (await stripeService.listCustomerPurchases(customerId, { limit })).slice(0, limit);
+    } catch (err) {
+      console.error('[billing] Error listing Stripe purchases:', err.message);
+    }
+  }
+
+  if (!purchases) {
+    purchases = await getLocalPurchases(userId, ledger, limit);
+    purchasesSource = HISTORY_SOURCE.LOCAL;
+  }
+
+  const spend = getSpend(ledger);
+
+  return {
+    purchases,
+    purchasesSource,
+    spend,
+    creditsSpent: spend.filter(item => !item.refunded).reduce((total, item) => total + item.credits, 0),
+  };
+}
+
+/**
+ * Get a receipt for one of a user's purchases
+ * A purchase belongs to the user who started the checkout, or who pays as
+ * the invoice's Stripe customer.
+ * @param {string} userId
+ * @param {string} purchaseId - Checkout session ID (cs_...) or invoice ID (in_...)
+ * @returns {Promise<object|null>} The purchase plus billedTo (email), or null
+ *   if there's no such paid purchase for this user
+ */
+async function getReceipt(userId, purchaseId) {
+  if (typeof purchaseId !== 'string' || !PURCHASE_ID_PATTERN.test(purchaseId)) {
+    return null;
+  }
+
+  let record;
+  try {
+    record = await stripeService.getPurchase(purchaseId);
+  } catch (err) {
+    if (err.code === 'resource_missing') {
+      return null;
+    }
+    throw err;
+  }
+
+  if (!record) {
+    return null;
+  }
+
+  const customerId = await getCustomerId(userId);
+  const owned = record.userId === userId || (!!customerId && record.customerId === customerId);
+  if (!owned) {
+    return null;
+  }
+
+  return { ...record.purchase, billedTo: record.email };
+}
+
+module.exports = {
+  HISTORY_SOURCE,
+  getBillingHistory,
+  getReceipt,
+};
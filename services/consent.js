@@ -0,0 +1,277 @@
+/**
+ * Self-Consent Service
+ * Checks that the face in an uploaded photo belongs to the person generating.
+ *
+ * When SELF_CONSENT_REQUIRED=true, /api/generate needs a `selfie` captured
+ * with the camera in the same browser session alongside `userPhoto`. The
+ * largest face in the upload must match the (single) face in the selfie,
+ * otherwise generation is refused - so nobody can fabricate a photo of a
+ * third party from a picture they found online.
+ *
+ * The selfie must come with a capture nonce the camera asked the server for
+ * (POST /api/selfie-nonce) before taking it - signed, bound to the visitor
+ * (user ID or anon_id) and to the capture session (the capture_session cookie
+ * set with it, so only the browser that asked for it can use it), valid for
+ * CAPTURE_NONCE_TTL_MS and used once - and it must not be a copy of the
+ * upload itself: posting the same picture twice would otherwise match
+ * perfectly.
+ *
+ * Used nonces are kept until they expire, in the Supabase used_capture_nonces
+ * table (in memory without Supabase, or if the insert fails), so a replayed
+ * nonce is refused on every instance.
+ *
+ * CAPTURE_NONCE_SECRET signs the nonces. Without it an ephemeral secret is
+ * generated per process - fine for local dev, but on serverless a nonce only
+ * verifies on the instance that issued it.
+ *
+ * Faces are compared locally (lib/faceEmbedding.js). Neither image nor any
+ * face descriptor is stored.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const { detectFaces, faceDistance, MAX_FACE_DISTANCE } = require('../lib/faceEmbedding');
+const { hammingDistance } = require('../lib/imageHash');
+
+// Face regions this close (Hamming distance of their perceptual hashes, of 64
+// bits) are one picture re-encoded, resized, padded or recoloured - two
+// captures never line up this well
+const MAX_SAME_IMAGE_DISTANCE = 6;
+
+// How long a selfie's capture nonce stays valid - the browser keeps the
+// selfie for the session (across the Stripe redirect)
+const CAPTURE_NONCE_TTL_MS = 30 * 60 * 1000;
+
+// Cookie holding the capture session a nonce was issued to
+const CAPTURE_SESSION_COOKIE = 'capture_session';
+
+// Supabase table of used nonces
+const USED_NONCES_TABLE = 'used_capture_nonces';
+
+// In-memory fallback of used nonces
+// Structure: { nonceId: expiresAt (ms) }
+const usedNonces = new Map();
+
+// Why a consent check failed (returned to the client as `details.reason`)
+const CONSENT_FAILURE = {
+  SELFIE_REQUIRED: 'selfie_required',
+  INVALID_CAPTURE: 'invalid_capture',
+  SAME_IMAGE: 'same_image',
+  NO_FACE_IN_SELFIE: 'no_face_in_selfie',
+  MULTIPLE_FACES_IN_SELFIE: 'multiple_faces_in_selfie',
+  NO_FACE_IN_PHOTO: 'no_face_in_photo',
+  FACE_MISMATCH: 'face_mismatch',
+};
+
+const FAILURE_MESSAGES = {
+  [CONSENT_FAILURE.SELFIE_REQUIRED]: 'Take a quick selfie with your camera to confirm the photo is of you.',
+  [CONSENT_FAILURE.INVALID_CAPTURE]: 'Your selfie has expired. Take a new one with your camera.',
+  [CONSENT_FAILURE.SAME_IMAGE]: 'Your selfie is the same picture as your photo. Take a new selfie with your camera.',
+  [CONSENT_FAILURE.NO_FACE_IN_SELFIE]: 'We couldn\'t see your face in the selfie. Face the camera in good light and try again.',
+  [CONSENT_FAILURE.MULTIPLE_FACES_IN_SELFIE]: 'Your selfie has more than one face in it. Make sure only you are in frame.',
+  [CONSENT_FAILURE.NO_FACE_IN_PHOTO]: 'We couldn\'t find a face in your photo to compare with your selfie.',
+  [CONSENT_FAILURE.FACE_MISMATCH]: 'The photo doesn\'t look like the person in your selfie. You can only use photos of yourself.',
+};
+
+/**
+ * Whether generation requires a matching selfie
+ * @returns {boolean}
+ */
+function isSelfConsentRequired() {
+  return process.env.SELF_CONSENT_REQUIRED === 'true';
+}
+
+function failure(reason, extra = {}) {
+  return { consented: false, reason, message: FAILURE_MESSAGES[reason], ...extra };
+}
+
+let nonceSecret = null;
+
+function getNonceSecret() {
+  if (!nonceSecret) {
+    if (process.env.CAPTURE_NONCE_SECRET) {
+      nonceSecret = process.env.CAPTURE_NONCE_SECRET;
+    } else {
+      console.warn('Warning: CAPTURE_NONCE_SECRET not configured. Using an ephemeral capture nonce secret.');
+      nonceSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return nonceSecret;
+}
+
+function signNonce(owner, session, issuedAt, random) {
+  return crypto.createHmac('sha256', getNonceSecret())
+    .update(`${owner}.${session}.${issuedAt}.${random}`)
+    .digest('base64url');
+}
+
+/**
+ * Start a capture session - one per nonce (the route sets it as the
+ * CAPTURE_SESSION_COOKIE cookie)
+ * @returns {string}
+ */
+function createCaptureSession() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Issue a capture nonce - the camera asks for one before taking a selfie
+ * @param {string} owner - User ID, or anon_id for anonymous visitors
+ * @param {string} session - From createCaptureSession()
+ * @param {number} now - Issue time (ms, default now)
+ * @returns {object} { nonce, expiresAt }
+ */
+function issueCaptureNonce(owner, session, now = Date.now()) {
+  const random = crypto.randomBytes(12).toString('base64url');
+  return {
+    nonce: `${now}.${random}.${signNonce(owner, session, now, random)}`,
+    expiresAt: new Date(now + CAPTURE_NONCE_TTL_MS).toISOString(),
+  };
+}
+
+/**
+ * Whether a capture nonce was issued by this server to this owner and
+ * capture session, and hasn't expired (it may still have been used - see
+ * useCaptureNonce())
+ * @param {string} nonce - From issueCaptureNonce()
+ * @param {string|null} owner - User ID, or anon_id for anonymous visitors
+ * @param {string|null} session - The capture_session cookie
+ * @returns {boolean}
+ */
+function isValidCaptureNonce(nonce, owner, session) {
+  if (typeof nonce !== 'string' || !owner || typeof session !== 'string' || !session) {
+    return false;
+  }
+
+  const [issuedAt, random, signature, ...rest] = nonce.split('.');
+  if (rest.length > 0 || !/^\d+$/.test(issuedAt) || !random || !signature) {
+    return false;
+  }
+
+  const age = Date.now() - Number(issuedAt);
+  if (age < 0 || age > CAPTURE_NONCE_TTL_MS) {
+    return false;
+  }
+
+  // SECURITY: timingSafeEqual throws if buffer lengths differ, so check length first
+  const expected = Buffer.from(signNonce(owner, session, issuedAt, random));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Record a valid capture nonce as used
+ * @param {string} nonce - Passed isValidCaptureNonce()
+ * @returns {Promise<boolean>} false if it was used before (a replay)
+ */
+async function useCaptureNonce(nonce) {
+  const [issuedAt, nonceId] = nonce.split('.');
+  const expiresAt = Number(issuedAt) + CAPTURE_NONCE_TTL_MS;
+
+  if (supabaseAdmin) {
+    const { error } = await supabaseAdmin
+      .from(USED_NONCES_TABLE)
+      .insert({ nonce_id: nonceId, expires_at: new Date(expiresAt).toISOString() });
+
+    if (!error) {
+      // Expired nonces are refused anyway - no need to keep them
+      const { error: pruneError } = await supabaseAdmin
+        .from(USED_NONCES_TABLE)
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+      if (pruneError) {
+        console.error('[consent] Error pruning used capture nonces:', pruneError.message);
+      }
+      return true;
+    }
+    // Unique violation - already used
+    if (error.code === '23505') {
+      return false;
+    }
+    console.error('[consent] Error recording used capture nonce, using memory:', error.message);
+  }
+
+  const now = Date.now();
+  for (const [id, expiry] of usedNonces) {
+    if (expiry < now) {
+      usedNonces.delete(id);
+    }
+  }
+  if (usedNonces.has(nonceId)) {
+    return false;
+  }
+  usedNonces.set(nonceId, expiresAt);
+  return true;
+}
+
+/**
+ * Compare the uploaded photo against a live selfie
+ * @param {Buffer} photoBuffer - The uploaded userPhoto
+ * @param {Buffer|null} selfieBuffer - Camera capture from the same session
+ * @param {object} capture - How the selfie was taken
+ * @param {string} capture.nonce - Capture nonce the camera was issued (used up
+ *   by this check, whatever its outcome)
+ * @param {string} capture.owner - User ID, or anon_id for anonymous visitors
+ * @param {string} capture.session - The capture_session cookie
+ * @returns {Promise<object>} { consented: true, distance } or
+ *   { consented: false, reason, message[, distance] }
+ */
+async function checkSelfConsent(photoBuffer, selfieBuffer, capture = {}) {
+  if (!selfieBuffer) {
+    return failure(CONSENT_FAILURE.SELFIE_REQUIRED);
+  }
+  if (!isValidCaptureNonce(capture.nonce, capture.owner, capture.session)) {
+    return failure(CONSENT_FAILURE.INVALID_CAPTURE);
+  }
+  if (!(await useCaptureNonce(capture.nonce))) {
+    return failure(CONSENT_FAILURE.INVALID_CAPTURE);
+  }
+
+  const selfieFaces = await detectFaces(selfieBuffer);
+  if (selfieFaces.length === 0) {
+    return failure(CONSENT_FAILURE.NO_FACE_IN_SELFIE);
+  }
+  if (selfieFaces.length > 1) {
+    return failure(CONSENT_FAILURE.MULTIPLE_FACES_IN_SELFIE);
+  }
+
+  // The largest face is the one the model swaps in
+  const [photoFace] = await detectFaces(photoBuffer);
+  if (!photoFace) {
+    return failure(CONSENT_FAILURE.NO_FACE_IN_PHOTO);
+  }
+
+  // The same picture posted as both would match perfectly
+  if (hammingDistance(selfieFaces[0].cropHash, photoFace.cropHash) <= MAX_SAME_IMAGE_DISTANCE) {
+    return failure(CONSENT_FAILURE.SAME_IMAGE);
+  }
+
+  const distance = faceDistance(selfieFaces[0].descriptor, photoFace.descriptor);
+  if (distance > MAX_FACE_DISTANCE) {
+    return failure(CONSENT_FAILURE.FACE_MISMATCH, { distance });
+  }
+
+  return { consented: true, distance };
+}
+
+/**
+ * Clear the in-memory used nonces (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  usedNonces.clear();
+}
+
+module.exports = {
+  isSelfConsentRequired,
+  createCaptureSession,
+  issueCaptureNonce,
+  isValidCaptureNonce,
+  useCaptureNonce,
+  checkSelfConsent,
+  clearAll,
+  CONSENT_FAILURE,
+  CAPTURE_NONCE_TTL_MS,
+  CAPTURE_SESSION_COOKIE,
+  MAX_SAME_IMAGE_DISTANCE,
+};
@@ -0,0 +1,330 @@
+/**
+ * Credit Ledger Service
+ *
+ * Every change to a user's credits is an append-only ledger entry:
+ * - grant:      credits bought (linked to the Stripe checkout session)
+ * - referral:   credits earned through a referral (services/referrals.js)
+ * - gift:       credits from a redeemed gift code (services/gifts.js)
+ * - spend:      credits used by a generation (linked to the generation)
+ * - refund:     credits given back for a generation
+ * - expiry:     credits that lapsed
+ * - adjustment: manual correction by an admin (or the migrated opening balance)
+ *
+ * The balance is the sum of a user's entries. profiles.credit_balance is kept
+ * as a cache of that sum so usage checks stay a single profile read - it is
+ * only ever changed together with a new entry, never written directly.
+ *
+ * Storage:
+ * - Primary: Supabase credit_ledger table via the apply_credit_entry RPC
+ *   (locks the profile row, appends the entry and updates the cache in one
+ *   transaction)
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ *
+ * Entries are idempotent per link: a checkout session grants at most once, and
+ * a generation spends (or is refunded) at most once, however often the webhook,
+ * /api/verify-session or a retry asks.
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+
+// Supabase table name
+const TABLE_NAME = 'credit_ledger';
+
+// In-memory fallback store (used only when Supabase is not configured)
+// Structure: { userId: [entry, ...] } (oldest first)
+const ledgers = new Map();
+
+const ENTRY_TYPE = {
+  GRANT: 'grant',
+  REFERRAL: 'referral',
+  GIFT: 'gift',
+  SPEND: 'spend',
+  REFUND: 'refund',
+  EXPIRY: 'expiry',
+  ADJUSTMENT: 'adjustment',
+};
+
+// Why an entry was not applied
+const REFUSAL = {
+  DUPLICATE: 'duplicate',
+  INSUFFICIENT: 'insufficient',
+  NO_PROFILE: 'no_profile',
+};
+
+// Default page size for getLedger()
+const DEFAULT_LEDGER_LIMIT = 50;
+
+/**
+ * Check whether the ledger is persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Map a Supabase row (snake_case) to a ledger entry (camelCase)
+ * @param {object} row - Row from the credit_ledger table
+ * @returns {object} Ledger entry
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    entryType: row.entry_type,
+    amount: row.amount,
+    balanceAfter: row.balance_after,
+    stripeSessionId: row.stripe_session_id || null,
+    generationId: row.generation_id || null,
+    note: row.note || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+function sumEntries(entries) {
+  return entries.reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * Append an entry in the in-memory store (same rules as apply_credit_entry)
+ */
+function applyInMemory(userId, entryType, amount, links) {
+  const entries = ledgers.get(userId) || [];
+  const balance = sumEntries(entries);
+
+  const duplicate = entries.some(entry => entry.entryType === entryType && (
+    (links.stripeSessionId && entry.stripeSessionId === links.stripeSessionId) ||
+    (links.generationId && entry.generationId === links.generationId)
+  ));
+  if (duplicate) {
+    return { applied: false, balance, reason: REFUSAL.DUPLICATE, entryId: null };
+  }
+  if (balance + amount < 0) {
+    return { applied: false, balance, reason: REFUSAL.INSUFFICIENT, entryId: null };
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    userId,
+    entryType,
+    amount,
+    balanceAfter: balance + amount,
+    stripeSessionId: links.stripeSessionId || null,
+    generationId: links.generationId || null,
+    note: links.note || null,
+    createdBy: links.createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  entries.push(entry);
+  ledgers.set(userId, entries);
+  return { applied: true, balance: entry.balanceAfter, reason: null, entryId: entry.id };
+}
+
+/**
+ * Append a ledger entry and update the cached balance atomically
+ * @param {string} userId - The user's ID
+ * @param {string} entryType - One of ENTRY_TYPE
+ * @param {number} amount - Signed credit change (non-zero integer)
+ * @param {object} links - What caused the entry
+ * @param {string} links.stripeSessionId - Checkout session (grants)
+ * @param {string} links.generationId - Generation (spends, refunds)
+ * @param {string} links.customerId - Stripe customer, saved on the profile (grants)
+ * @param {string} links.note - Free-text reason
+ * @param {string} links.createdBy - 'stripe', 'system' or 'admin'
+ * @returns {Promise<object>} { applied, balance, reason, entryId } - applied is
+ *   false (balance unchanged) for duplicates, insufficient credits or unknown users
+ */
+async function recordEntry(userId, entryType, amount, links = {}) {
+  if (!userId) {
+    throw new Error('userId is required for credit ledger entries');
+  }
+  if (!Object.values(ENTRY_TYPE).includes(entryType)) {
+    throw new Error(`Unknown credit ledger entry type: ${entryType}`);
+  }
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new Error(`Credit amount must be a non-zero integer, got ${amount}`);
+  }
+
+  if (!isPersistent()) {
+    return applyInMemory(userId, entryType, amount, links);
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('apply_credit_entry', {
+      p_user_id: userId,
+      p_entry_type: entryType,
+      p_amount: amount,
+      p_stripe_session_id: links.stripeSessionId || null,
+      p_generation_id: links.generationId || null,
+      p_note: links.note || null,
+      p_created_by: links.createdBy || null,
+      p_customer_id: links.customerId || null,
+    })
+    .single();
+
+  if (error) {
+    console.error('[credits] Error applying ledger entry:', error.message);
+    throw new Error(`Failed to record credit ${entryType}: ${error.message}`);
+  }
+
+  return {
+    applied: data.applied,
+    balance: data.balance,
+    reason: data.reason || null,
+    entryId: data.entry_id || null,
+  };
+}
+
+/**
+ * Guard for the one-directional helpers below (only adjustments take a sign)
+ */
+function requirePositive(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error(`Credit amount must be a positive integer, got ${amount}`);
+  }
+  return amount;
+}
+
+/**
+ * Credit a purchase
+ * @param {string} userId
+ * @param {number} amount - Credits bought (positive)
+ * @param {object} links - { stripeSessionId, customerId, note }
+ */
+async function grantCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.GRANT, requirePositive(amount), { createdBy: 'stripe', ...links });
+}
+
+/**
+ * Credit a referral reward
+ * Not linked to a session - services/referrals.js rewards each referral once.
+ * @param {string} userId
+ * @param {number} amount - Credits earned (positive)
+ * @param {object} links - { note }
+ */
+async function grantReferralCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.REFERRAL, requirePositive(amount), { createdBy: 'system', ...links });
+}
+
+/**
+ * Credit a redeemed gift code
+ * Linked to the checkout session that bought the gift, so each gift is
+ * credited once (the buyer's own session never gets a gift entry).
+ * @param {string} userId - The redeemer
+ * @param {number} amount - Credits in the gift (positive)
+ * @param {object} links - { stripeSessionId, note }
+ */
+async function grantGiftCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.GIFT, requirePositive(amount), { createdBy: 'system', ...links });
+}
+
+/**
+ * Charge credits for a generation
+ * @param {string} userId
+ * @param {number} amount - Credits used (positive)
+ * @param {object} links - { generationId, note }
+ */
+async function spendCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.SPEND, -requirePositive(amount), { createdBy: 'system', ...links });
+}
+
+/**
+ * Give back credits charged for a generation
+ * @param {string} userId
+ * @param {number} amount - Credits returned (positive)
+ * @param {object} links - { generationId, note }
+ */
+async function refundCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.REFUND, requirePositive(amount), { createdBy: 'system', ...links });
+}
+
+/**
+ * Remove lapsed credits
+ * @param {string} userId
+ * @param {number} amount - Credits expired (positive)
+ * @param {object} links - { note }
+ */
+async function expireCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.EXPIRY, -requirePositive(amount), { createdBy: 'system', ...links });
+}
+
+/**
+ * Manual correction
+ * @param {string} userId
+ * @param {number} amount - Signed change
+ * @param {object} links - { note, createdBy }
+ */
+async function adjustCredits(userId, amount, links = {}) {
+  return recordEntry(userId, ENTRY_TYPE.ADJUSTMENT, amount, { createdBy: 'admin', ...links });
+}
+
+/**
+ * Get a user's ledger, newest first
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.limit - Maximum number of entries (default 50)
+ * @returns {Promise<Array<object>>}
+ */
+async function getLedger(userId, options = {}) {
+  const limit = options.limit || DEFAULT_LEDGER_LIMIT;
+
+  if (!isPersistent()) {
+    return (ledgers.get(userId) || []).slice(-limit).reverse().map(entry => ({ ...entry }));
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('[credits] Error fetching ledger:', error.message);
+    return [];
+  }
+
+  return data.map(toEntry);
+}
+
+/**
+ * Get a user's balance as recorded by the ledger
+ * (the sum of all entries, equal to the last entry's balanceAfter)
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function getBalance(userId) {
+  if (!isPersistent()) {
+    return sumEntries(ledgers.get(userId) || []);
+  }
+
+  const [latest] = await getLedger(userId, { limit: 1 });
+  return latest ? latest.balanceAfter : 0;
+}
+
+/**
+ * Clear all in-memory ledgers (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  ledgers.clear();
+}
+
+module.exports = {
+  recordEntry,
+  grantCredits,
+  grantReferralCredits,
+  grantGiftCredits,
+  spendCredits,
+  refundCredits,
+  expireCredits,
+  adjustCredits,
+  getLedger,
+  getBalance,
+  clearAll,
+  isPersistent,
+  ENTRY_TYPE,
+  REFUSAL,
+};
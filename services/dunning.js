@@ -0,0 +1,235 @@
+/**
+ * Dunning Service
+ * Handles subscriptions whose renewal payment failed (Stripe status past_due)
+ *
+ * - A failed renewal starts a grace period (DUNNING_GRACE_DAYS, default 7)
+ *   and emails the subscriber to update their card
+ * - During the grace period the subscriber keeps their plan's limits, but
+ *   outputs are watermarked again (see usage.checkUsage)
+ * - When the grace period runs out the account falls back to free:
+ *   usage.getUserTier stops honouring the plan right away, and
+ *   expireGracePeriods() (run periodically by server.js) records the
+ *   downgrade on the profile and tells the subscriber
+ * - A successful payment ends the grace period (or undoes the downgrade)
+ *
+ * Stripe keeps retrying the invoice on its own schedule; its later events
+ * (invoice.paid, customer.subscription.updated/deleted) settle the outcome.
+ *
+ * Storage:
+ * - Primary: Supabase profiles table (subscription_status, grace_period_ends_at)
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+const emailService = require('./email');
+
+// In-memory fallback store (used only when Supabase is not configured)
+// Structure: { userId: { userId, email, tier, subscriptionStatus, gracePeriodEndsAt } }
+const accounts = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_PERIOD_DAYS = 7;
+
+// Days a past-due subscriber keeps their plan before falling back to free
+const GRACE_PERIOD_DAYS = (() => {
+  const days = parseFloat(process.env.DUNNING_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_PERIOD_DAYS;
+})();
+
+/**
+ * Check whether dunning state is persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Email a subscriber about a dunning step (through the outbox - services/email.js)
+ * @param {string} template - payment_failed, downgraded or payment_recovered
+ * @param {string} userId
+ * @param {string|null} email - Default: the profile's email
+ * @param {object} data - Template data
+ */
+async function notify(template, userId, email, data = {}) {
+  return emailService.sendEmail(template, { to: email, userId, data });
+}
+
+/**
+ * When a grace period starting now would end
+ * @param {Date} now
+ * @returns {string} ISO timestamp
+ */
+function getGracePeriodEnd(now = new Date()) {
+  return new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Whether a profile is past due and still within its grace period
+ * @param {object|null} profile - Profile row (subscription_status, grace_period_ends_at)
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isInGracePeriod(profile, now = new Date()) {
+  return profile?.subscription_status === 'past_due' &&
+    !!profile.grace_period_ends_at &&
+    new Date(profile.grace_period_ends_at).getTime() > now.getTime();
+}
+
+/**
+ * Start the grace period of a subscriber whose renewal payment failed
+ * Only the first failure starts it - Stripe's retries of the same invoice
+ * don't extend it or send another email.
+ * @param {string} userId
+ * @param {object} options
+ * @param {string|null} options.email - Falls back to the profile's email
+ * @param {Date} options.now
+ * @returns {Promise<{ started: boolean, gracePeriodEndsAt: string|null }>}
+ */
+async function startGracePeriod(userId, { email = null, now = new Date() } = {}) {
+  const gracePeriodEndsAt = getGracePeriodEnd(now);
+
+  if (!isPersistent()) {
+    const account = accounts.get(userId) || { userId, email: null, tier: null, subscriptionStatus: null, gracePeriodEndsAt: null };
+    account.email = email || account.email;
+    account.subscriptionStatus = 'past_due';
+    accounts.set(userId, account);
+
+    if (account.gracePeriodEndsAt) {
+      return { started: false, gracePeriodEndsAt: account.gracePeriodEndsAt };
+    }
+    account.gracePeriodEndsAt = gracePeriodEndsAt;
+    await notify('payment_failed', userId, account.email, { gracePeriodEndsAt });
+    return { started: true, gracePeriodEndsAt };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .update({ subscription_status: 'past_due', grace_period_ends_at: gracePeriodEndsAt, updated_at: now.toISOString() })
+    .eq('id', userId)
+    .is('grace_period_ends_at', null)
+    .select('id, email, grace_period_ends_at');
+
+  if (error) {
+    throw new Error(`Failed to start grace period: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    // Already in (or past) a grace period, or no such profile
+    return { started: false, gracePeriodEndsAt: null };
+  }
+
+  console.log(`[dunning] Payment failed for user ${userId}, grace period ends ${gracePeriodEndsAt}`);
+  await notify('payment_failed', userId, email || data[0].email, { gracePeriodEndsAt });
+  return { started: true, gracePeriodEndsAt };
+}
+
+/**
+ * End a subscriber's grace period after a successful payment
+ * Also undoes a downgrade when the payment comes after the grace period.
+ * @param {string} userId
+ * @param {object} options
+ * @param {string|null} options.tier - Tier to restore (the paid plan's), if known
+ * @param {string|null} options.email - Falls back to the profile's email
+ * @returns {Promise<{ ended: boolean }>}
+ */
+async function endGracePeriod(userId, { tier = null, email = null } = {}) {
+  if (!isPersistent()) {
+    const account = accounts.get(userId);
+    if (!account?.gracePeriodEndsAt) {
+      return { ended: false };
+    }
+    account.subscriptionStatus = 'active';
+    account.gracePeriodEndsAt = null;
+    if (tier) {
+      account.tier = tier;
+    }
+    await notify('payment_recovered', userId, email || account.email);
+    return { ended: true };
+  }
+
+  const updates = { subscription_status: 'active', grace_period_ends_at: null, updated_at: new Date().toISOString() };
+  if (tier) {
+    updates.tier = tier;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('profiles')
+    .update(updates)
+    .eq('id', userId)
+    .not('grace_period_ends_at', 'is', null)
+    .select('id, email');
+
+  if (error) {
+    throw new Error(`Failed to end grace period: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    return { ended: false };
+  }
+
+  console.log(`[dunning] Payment recovered for user ${userId}`);
+  await notify('payment_recovered', userId, email || data[0].email);
+  return { ended: true };
+}
+
+/**
+ * Downgrade past-due subscribers whose grace period has run out
+ * Each account is downgraded (and emailed) once.
+ * @param {Date} now
+ * @returns {Promise<{ downgraded: number, userIds: string[] }>}
+ */
+async function expireGracePeriods(now = new Date()) {
+  let expired;
+
+  if (!isPersistent()) {
+    expired = Array.from(accounts.values()).filter(account =>
+      account.subscriptionStatus === 'past_due' &&
+      account.gracePeriodEndsAt &&
+      new Date(account.gracePeriodEndsAt).getTime() <= now.getTime() &&
+      account.tier !== 'free'
+    );
+    for (const account of expired) {
+      account.tier = 'free';
+    }
+    expired = expired.map(account => ({ id: account.userId, email: account.email }));
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .update({ tier: 'free', updated_at: now.toISOString() })
+      .eq('subscription_status', 'past_due')
+      .lte('grace_period_ends_at', now.toISOString())
+      .neq('tier', 'free')
+      .select('id, email');
+
+    if (error) {
+      throw new Error(`Failed to expire grace periods: ${error.message}`);
+    }
+    expired = data || [];
+  }
+
+  for (const account of expired) {
+    console.log(`[dunning] Grace period over for user ${account.id}, downgraded to free`);
+    await notify('downgraded', account.id, account.email);
+  }
+
+  return { downgraded: expired.length, userIds: expired.map(account => account.id) };
+}
+
+/**
+ * Clear in-memory dunning state (for testing)
+ */
+function clearAll() {
+  accounts.clear();
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  isPersistent,
+  getGracePeriodEnd,
+  isInGracePeriod,
+  startGracePeriod,
+  endGracePeriod,
+  expireGracePeriods,
+  clearAll,
+};
@@ -0,0 +1,546 @@
+/**
+ * Transactional Email Service
+ *
+ * Every email goes through an outbox: the rendered message (lib/emailTemplates.js)
+ * is stored first, then delivered through the mailer (lib/mailer.js), with its
+ * delivery status:
+ * - pending: stored, not delivered yet
+ * - sending: a delivery is running (leased, so a crashed run is retried)
+ * - sent:    delivered to the transport
+ * - failed:  the transport threw - retried automatically with backoff
+ * - dead:    failed MAX_ATTEMPTS times - left for an admin to retry
+ *
+ * Messages with a dedupe key (e.g. the receipt of a checkout session) are
+ * stored once, so webhook redeliveries and retries never send them twice.
+ *
+ * Storage:
+ * - Primary: Supabase email_outbox table
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const mailer = require('../lib/mailer');
+const { renderTemplate } = require('../lib/emailTemplates');
+const pricing = require('./pricing');
+const { getProfile } = require('./profiles');
+
+// Supabase table name
+const TABLE_NAME = 'email_outbox';
+
+// In-memory fallback store (used only when Supabase is not configured)
+// Structure: { id: record }, plus dedupe key -> id
+const emails = new Map();
+const dedupeIndex = new Map();
+
+const STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  DEAD: 'dead',
+};
+
+// Failed deliveries before an email is dead-lettered
+const MAX_ATTEMPTS = 5;
+
+// Delay before the first automatic retry, doubled after every failure
+const RETRY_BASE_DELAY_MS = parseInt(process.env.EMAIL_RETRY_BASE_DELAY_MS, 10) || 60 * 1000;
+
+// How long a delivery may hold an email before a retry can take it over
+const SENDING_LEASE_MS = 2 * 60 * 1000;
+
+// Default page size for listEmails()
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * Check whether the outbox is persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Map a Supabase row (snake_case) to an outbox record (camelCase)
+ * @param {object} row - Row from the email_outbox table
+ * @returns {object} Outbox record
+ */
+function toRecord(row) {
+  return {
+    id: row.id,
+    dedupeKey: row.dedupe_key || null,
+    template: row.template,
+    userId: row.user_id || null,
+    recipient: row.recipient,
+    subject: row.subject,
+    textBody: row.text_body,
+    htmlBody: row.html_body || null,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error || null,
+    nextAttemptAt: row.next_attempt_at || null,
+    lockedUntil: row.locked_until || null,
+    sentAt: row.sent_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Whether an email may be delivered now
+ * @param {object} record
+ * @param {boolean} allowDead - Admin retry may resend dead-lettered emails
+ */
+function isClaimable(record, allowDead = false) {
+  if (record.status === STATUS.PENDING || record.status === STATUS.FAILED) {
+    return true;
+  }
+  if (record.status === STATUS.SENDING) {
+    return new Date(record.lockedUntil).getTime() <= Date.now();
+  }
+  return allowDead && record.status === STATUS.DEAD;
+}
+
+/**
+ * Store a rendered email (once per dedupe key)
+ * @param {object} email - { dedupeKey, template, userId, recipient, subject, textBody, htmlBody }
+ * @returns {Promise<{ duplicate: boolean, record: object }>}
+ */
+async function enqueue(email) {
+  if (!isPersistent()) {
+    if (email.dedupeKey && dedupeIndex.has(email.dedupeKey)) {
+      return { duplicate: true, record: { ...emails.get(dedupeIndex.get(email.dedupeKey)) } };
+    }
+    const record = {
+      id: crypto.randomUUID(),
+      ...email,
+      status: STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      lockedUntil: null,
+      sentAt: null,
+      createdAt: new Date().toISOString(),
+    };
+    emails.set(record.id, record);
+    if (email.dedupeKey) {
+      dedupeIndex.set(email.dedupeKey, record.id);
+    }
+    return { duplicate: false, record: { ...record } };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .insert({
+      dedupe_key: email.dedupeKey,
+      template: email.template,
+      user_id: email.userId,
+      recipient: email.recipient,
+      subject: email.subject,
+      text_body: email.textBody,
+      html_body: email.htmlBody,
+      status: STATUS.PENDING,
+    })
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    // Already queued under this dedupe key
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('dedupe_key', email.dedupeKey)
+      .single();
+    if (fetchError) {
+      throw new Error(`Failed to load queued email: ${fetchError.message}`);
+    }
+    return { duplicate: true, record: toRecord(existing) };
+  }
+
+  if (error) {
+    throw new Error(`Failed to queue email: ${error.message}`);
+  }
+
+  return { duplicate: false, record: toRecord(data) };
+}
+
+/**
+ * Take the lease on an email for one delivery attempt
+ * @param {object} record - As last read
+ * @param {boolean} allowDead
+ * @returns {Promise<object|null>} The leased record, or null if another run has it
+ */
+async function claimEmail(record, allowDead = false) {
+  if (!isClaimable(record, allowDead)) {
+    return null;
+  }
+
+  const updates = {
+    status: STATUS.SENDING,
+    attempts: record.attempts + 1,
+    lockedUntil: new Date(Date.now() + SENDING_LEASE_MS).toISOString(),
+  };
+
+  if (!isPersistent()) {
+    const stored = emails.get(record.id);
+    if (!stored || stored.attempts !== record.attempts || !isClaimable(stored, allowDead)) {
+      return null;
+    }
+    Object.assign(stored, updates);
+    return { ...stored };
+  }
+
+  // Only the run that read these attempts/status wins the lease
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update({ status: updates.status, attempts: updates.attempts, locked_until: updates.lockedUntil })
+    .eq('id', record.id)
+    .eq('attempts', record.attempts)
+    .eq('status', record.status)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to claim email ${record.id}: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? toRecord(data[0]) : null;
+}
+
+/**
+ * Record how a delivery attempt ended
+ * @param {object} record - The leased record
+ * @param {string|null} errorMessage - null when delivered
+ * @returns {Promise<object>} Updated record
+ */
+async function finishEmail(record, errorMessage) {
+  const now = Date.now();
+  let updates;
+
+  if (!errorMessage) {
+    updates = { status: STATUS.SENT, lastError: null, sentAt: new Date(now).toISOString(), nextAttemptAt: null, lockedUntil: null };
+  } else {
+    const dead = record.attempts >= MAX_ATTEMPTS;
+    updates = {
+      status: dead ? STATUS.DEAD : STATUS.FAILED,
+      lastError: errorMessage,
+      nextAttemptAt: dead ? null : new Date(now + RETRY_BASE_DELAY_MS * 2 ** (record.attempts - 1)).toISOString(),
+      lockedUntil: null,
+    };
+  }
+
+  if (!isPersistent()) {
+    const stored = emails.get(record.id);
+    Object.assign(stored, updates);
+    return { ...stored };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update({
+      status: updates.status,
+      last_error: updates.lastError,
+      sent_at: updates.sentAt,
+      next_attempt_at: updates.nextAttemptAt,
+      locked_until: updates.lockedUntil,
+    })
+    .eq('id', record.id)
+    .select()
+    .single();
+
+  if (error) {
+    // The lease runs out and the email is retried
+    console.error(`[email] Error saving outcome for ${record.id}:`, error.message);
+    return { ...record, ...updates };
+  }
+
+  return toRecord(data);
+}
+
+/**
+ * Deliver a stored email through the mailer (one attempt)
+ * @param {object} record - As last read
+ * @param {boolean} allowDead
+ * @returns {Promise<object>} The record after the attempt (unchanged if another run had it)
+ */
+async function deliverEmail(record, allowDead = false) {
+  const claimed = await claimEmail(record, allowDead);
+  if (!claimed) {
+    return record;
+  }
+
+  let errorMessage = null;
+  try {
+    await mailer.sendMail({
+      id: claimed.id,
+      to: claimed.recipient,
+      subject: claimed.subject,
+      text: claimed.textBody,
+      html: claimed.htmlBody,
+      template: claimed.template,
+    });
+  } catch (err) {
+    errorMessage = err.message;
+    console.error(`[email] ${claimed.template} to ${claimed.recipient} failed (attempt ${claimed.attempts}): ${errorMessage}`);
+  }
+
+  return finishEmail(claimed, errorMessage);
+}
+
+/**
+ * Send a templated email through the outbox
+ * Never throws - email must not break the flow that triggered it; failed
+ * deliveries stay in the outbox and are retried.
+ * @param {string} template - Template name (lib/emailTemplates.js)
+ * @param {object} options
+ * @param {string|null} options.to - Recipient (default: the user's profile email)
+ * @param {string|null} options.userId
+ * @param {object} options.data - Template data
+ * @param {string|null} options.dedupeKey - Send at most once per key
+ * @returns {Promise<{ queued: boolean, duplicate: boolean, status: string|null, id: string|null, error?: string }>}
+ */
+async function sendEmail(template, { to = null, userId = null, data = {}, dedupeKey = null } = {}) {
+  try {
+    const recipient = to || (userId ? (await getProfile(userId))?.email : null);
+    if (!recipient) {
+      console.warn(`[email] No recipient for ${template}${userId ? ` (user ${userId})` : ''}`);
+      return { queued: false, duplicate: false, status: null, id: null, error: 'No recipient' };
+    }
+
+    const { subject, text, html } = renderTemplate(template, data);
+    const { duplicate, record } = await enqueue({
+      dedupeKey,
+      template,
+      userId,
+      recipient,
+      subject,
+      textBody: text,
+      htmlBody: html,
+    });
+
+    if (duplicate) {
+      return { queued: true, duplicate: true, status: record.status, id: record.id };
+    }
+
+    const delivered = await deliverEmail(record);
+    return { queued: true, duplicate: false, status: delivered.status, id: delivered.id };
+  } catch (err) {
+    console.error(`[email] Failed to send ${template}:`, err.message);
+    return { queued: false, duplicate: false, status: null, id: null, error: err.message };
+  }
+}
+
+/**
+ * Email the receipt for a completed Stripe checkout (once per session)
+ * Covers subscriptions, credit packs and watermark removals - including
+ * anonymous watermark removals, which only have the email given at checkout.
+ * @param {object} session - Stripe checkout session
+ * @returns {Promise<object>} sendEmail() result
+ */
+async function sendCheckoutReceipt(session) {
+  const checkoutType = session.metadata?.type || (session.mode === 'payment' ? 'credit' : 'subscription');
+  const data = {
+    amount: session.amount_total || 0,
+    currency: session.currency || 'usd',
+    paidAt: session.created ? session.created * 1000 : Date.now(),
+    reference: session.id,
+  };
+  let template;
+
+  // Gift packs: the receipt carries the gift code, so services/gifts.js sends it
+  if (checkoutType === 'gift') {
+    return { queued: false, duplicate: false, status: null, id: null };
+  }
+
+  if (checkoutType === 'credit') {
+    template = 'credit_receipt';
+    const quantity = parseInt(session.metadata?.quantity || '1', 10);
+    data.credits = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
+  } else if (checkoutType === 'watermark_removal') {
+    template = 'watermark_removal_receipt';
+  } else {
+    template = 'subscription_receipt';
+    const plan = pricing.getPlan(session.metadata?.plan) || pricing.getDefaultPlan();
+    data.planName = plan.name;
+    data.interval = plan.interval;
+  }
+
+  return sendEmail(template, {
+    to: session.customer_details?.email || session.customer_email || null,
+    userId: session.metadata?.userId || null,
+    data,
+    dedupeKey: `receipt:${session.id}`,
+  });
+}
+
+/**
+ * Tell a subscriber their subscription is canceled (at period end)
+ * Sent from the cancel route and for cancellations made in the Stripe portal;
+ * the dedupe key makes that one email per cancellation.
+ * @param {object} options
+ * @param {string|null} options.userId
+ * @param {string|null} options.to - Default: the user's profile email
+ * @param {string} options.subscriptionId
+ * @param {string} options.cancelAt - ISO timestamp the subscription ends
+ * @returns {Promise<object>} sendEmail() result
+ */
+async function sendCancellationNotice({ userId = null, to = null, subscriptionId, cancelAt }) {
+  return sendEmail('subscription_canceled', {
+    to,
+    userId,
+    data: { cancelAt },
+    dedupeKey: `subscription_canceled:${subscriptionId}:${cancelAt}`,
+  });
+}
+
+/**
+ * Get a stored email
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getEmail(id) {
+  if (!isPersistent()) {
+    const record = emails.get(id);
+    return record ? { ...record } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[email] Error fetching email:', error.message);
+    return null;
+  }
+
+  return data ? toRecord(data) : null;
+}
+
+/**
+ * List stored emails, newest first
+ * @param {object} options
+ * @param {string|string[]} options.status - Only emails with this status (or these statuses)
+ * @param {number} options.limit - Maximum number of emails (default 50)
+ * @returns {Promise<Array<object>>} Records without their bodies
+ */
+async function listEmails(options = {}) {
+  const limit = options.limit || DEFAULT_LIST_LIMIT;
+  const statuses = options.status ? [].concat(options.status) : null;
+  const withoutBodies = ({ textBody, htmlBody, ...record }) => record;
+
+  if (!isPersistent()) {
+    return Array.from(emails.values())
+      .filter(record => !statuses || statuses.includes(record.status))
+      .reverse()
+      .slice(0, limit)
+      .map(withoutBodies);
+  }
+
+  let query = supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (statuses) {
+    query = query.in('status', statuses);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('[email] Error listing emails:', error.message);
+    return [];
+  }
+
+  return data.map(row => withoutBodies(toRecord(row)));
+}
+
+/**
+ * Deliver a failed or dead-lettered email again now (admin retry)
+ * @param {string} id
+ * @returns {Promise<object|null>} Updated record (without bodies), or null if
+ *   there is no such email. Emails that aren't failed/dead are returned unchanged.
+ */
+async function retryEmail(id) {
+  const stored = await getEmail(id);
+  if (!stored) {
+    return null;
+  }
+
+  const record = stored.status === STATUS.FAILED || stored.status === STATUS.DEAD
+    ? await deliverEmail(stored, true)
+    : stored;
+  const { textBody, htmlBody, ...result } = record;
+  return result;
+}
+
+/**
+ * Retry failed emails whose backoff has passed (and deliveries whose lease ran out)
+ * @param {object} options
+ * @param {number} options.limit - Maximum emails per sweep (default 20)
+ * @returns {Promise<{ retried: number, sent: number }>}
+ */
+async function retryDueEmails(options = {}) {
+  const limit = options.limit || 20;
+  const now = new Date(Date.now()).toISOString();
+  let due;
+
+  if (!isPersistent()) {
+    due = Array.from(emails.values())
+      .filter(record =>
+        (record.status === STATUS.FAILED && record.nextAttemptAt <= now) ||
+        (record.status === STATUS.SENDING && record.lockedUntil <= now))
+      .slice(0, limit)
+      .map(record => ({ ...record }));
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('*')
+      .or(`and(status.eq.${STATUS.FAILED},next_attempt_at.lte.${now}),and(status.eq.${STATUS.SENDING},locked_until.lte.${now})`)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('[email] Error finding emails to retry:', error.message);
+      return { retried: 0, sent: 0 };
+    }
+    due = data.map(toRecord);
+  }
+
+  let retried = 0;
+  let sent = 0;
+  for (const record of due) {
+    const result = await deliverEmail(record);
+    if (result.attempts !== record.attempts) {
+      retried++;
+      if (result.status === STATUS.SENT) {
+        sent++;
+      }
+    }
+  }
+
+  return { retried, sent };
+}
+
+/**
+ * Clear all in-memory emails (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  emails.clear();
+  dedupeIndex.clear();
+}
+
+module.exports = {
+  STATUS,
+  MAX_ATTEMPTS,
+  isPersistent,
+  sendEmail,
+  sendCheckoutReceipt,
+  sendCancellationNotice,
+  getEmail,
+  listEmails,
+  retryEmail,
+  retryDueEmails,
+  clearAll,
+};
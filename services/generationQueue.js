@@ -0,0 +1,145 @@
+/**
+ * Generation Job Queue
+ *
+ * In-process FIFO queue for job-mode generations (POST /api/generate with async=true).
+ * The route returns 202 as soon as a job is queued; workers pick jobs off the queue
+ * and report progress through services/generations.js status updates.
+ *
+ * At most GENERATION_QUEUE_MAX jobs wait for a worker; enqueue() refuses more
+ * (the route answers 503 and gives the user's quota back) rather than let the
+ * backlog - and everyone's wait - grow without bound.
+ *
+ * Jobs live in memory, so this is only for long-running servers (server.js).
+ * Serverless handlers (api/*.js) keep the synchronous request/response flow.
+ */
+
+// Maximum number of jobs processed at the same time
+const DEFAULT_CONCURRENCY = 2;
+
+// Maximum number of jobs waiting for a worker
+const DEFAULT_MAX_QUEUED = 50;
+
+// Pending jobs: [{ id, task, enqueuedAt }]
+const queue = [];
+
+// Jobs currently being processed (generation ID -> start timestamp)
+const running = new Map();
+
+let concurrency = parseInt(process.env.GENERATION_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+let maxQueued = parseMaxQueued(process.env.GENERATION_QUEUE_MAX);
+
+/**
+ * Parse a maximum queue length (0 = no job may wait)
+ * @param {string|number} value
+ * @returns {number} DEFAULT_MAX_QUEUED unless value is a non-negative integer
+ */
+function parseMaxQueued(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_MAX_QUEUED;
+}
+
+/**
+ * Number of jobs waiting for a worker (queued jobs about to start don't count)
+ */
+function waitingCount() {
+  return Math.max(0, queue.length + running.size - concurrency);
+}
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ */
+function drain() {
+  while (running.size < concurrency && queue.length > 0) {
+    const job = queue.shift();
+    running.set(job.id, Date.now());
+
+    Promise.resolve()
+      .then(() => job.task())
+      .catch((error) => {
+        // Tasks are expected to record their own failures; this is a last resort
+        console.error(`[queue] Job ${job.id} crashed:`, error.message);
+      })
+      .finally(() => {
+        running.delete(job.id);
+        drain();
+      });
+  }
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} id - Generation ID the job belongs to
+ * @param {function} task - Async function that performs the work
+ * @returns {number|null} Position in the queue (0 = starting now), or null
+ *   when the queue is full (the task is not run)
+ */
+function enqueue(id, task) {
+  if (typeof task !== 'function') {
+    throw new Error('Queue task must be a function');
+  }
+  // Refused only if it would have to wait behind maxQueued others
+  if (queue.length + running.size >= concurrency && waitingCount() >= maxQueued) {
+    return null;
+  }
+
+  queue.push({ id, task, enqueuedAt: Date.now() });
+  const position = running.size < concurrency ? 0 : queue.length;
+  // Defer so the caller can send its 202 before work starts
+  setImmediate(drain);
+  return position;
+}
+
+/**
+ * Get queue statistics (for admin/debug output)
+ * @returns {object} { queued, running, concurrency, maxQueued }
+ */
+function getStats() {
+  return {
+    queued: queue.length,
+    running: running.size,
+    concurrency,
+    maxQueued,
+  };
+}
+
+/**
+ * Change the number of concurrent workers (useful for testing)
+ * @param {number} value - New concurrency (minimum 1)
+ */
+function setConcurrency(value) {
+  concurrency = Math.max(1, parseInt(value, 10) || DEFAULT_CONCURRENCY);
+  setImmediate(drain);
+}
+
+/**
+ * Change the maximum number of waiting jobs (useful for testing)
+ * @param {number} value - New maximum (0 = no job may wait)
+ */
+function setMaxQueued(value) {
+  maxQueued = parseMaxQueued(value);
+}
+
+/**
+ * Wait until the queue is empty and no jobs are running (useful for testing)
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if idle, false if the timeout was reached
+ */
+async function waitForIdle(timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (queue.length > 0 || running.size > 0) {
+    if (Date.now() > deadline) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return true;
+}
+
+module.exports = {
+  enqueue,
+  getStats,
+  setConcurrency,
+  setMaxQueued,
+  waitForIdle,
+};
@@ -1,27 +1,56 @@
 /**
  * Generation History Service
  *
- * Tracks face swap generations for logged-in users.
- * Currently uses in-memory storage - swap for Supabase in production.
+ * Tracks face swap generations for all users (anonymous generations carry a viewToken).
+ *
+ * Storage:
+ * - Primary: Supabase generations table (persistent, shared across instances)
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ *
+ * All functions are async so callers behave the same regardless of backend.
+ *
+ * Status changes are also published on an in-process event emitter so
+ * job-mode clients can stream progress (see subscribe()).
  */
 
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { supabaseAdmin } = require('../lib/supabase');
+const { hammingDistance, isValidHash } = require('../lib/imageHash');
+const { ERROR_CODES } = require('../lib/errors');
 
-// In-memory store (replace with Supabase for production)
+// Supabase table name
+const TABLE_NAME = 'generations';
+
+// In-memory fallback store (used only when Supabase is not configured)
 const generations = new Map();
 
+// Status change notifications (one event per update, keyed by generation ID)
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open progress stream
+
 // Generation statuses
+// Synchronous requests start as PENDING; job-mode requests start as QUEUED and
+// move through VALIDATING -> GENERATING -> WATERMARKING before finishing.
 const STATUS = {
   PENDING: 'pending',
+  QUEUED: 'queued',
+  VALIDATING: 'validating',
+  GENERATING: 'generating',
+  WATERMARKING: 'watermarking',
   COMPLETED: 'completed',
   FAILED: 'failed',
 };
 
+// Statuses after which a generation never changes again
+const TERMINAL_STATUSES = [STATUS.COMPLETED, STATUS.FAILED];
+
 /**
  * Generate a unique ID for a generation
+ * UUID format matches the generations.id column in Supabase
  */
 function generateId() {
-  return crypto.randomBytes(16).toString('hex');
+  return crypto.randomUUID();
 }
 
 /**
@@ -31,13 +60,128 @@ function generateViewToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * Check whether generations are persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Check whether a status is final (completed or failed)
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Publish a status change to subscribers of this generation
+ * @param {object} generation - The updated generation record
+ */
+function publish(generation) {
+  if (generation) {
+    events.emit(generation.id, { ...generation });
+  }
+}
+
+/**
+ * Validate UUID format before querying the uuid column
+ * (Postgres rejects malformed UUIDs with an error instead of returning no rows)
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  return typeof id === 'string' &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+}
+
+/**
+ * Map a Supabase row (snake_case) to a generation record (camelCase)
+ * @param {object} row - Row from the generations table
+ * @returns {object} Generation record
+ */
+function toRecord(row) {
+  return {
+    id: row.id,
+    userId: row.user_id || null,
+    epsteinPhoto: row.epstein_photo,
+    modelType: row.model_type || null,
+    promptVariant: row.prompt_variant || null,
+    viewToken: row.view_token || null,
+    status: row.status,
+    resultUrl: row.result_url || null,
+    perceptualHash: row.perceptual_hash || null,
+    latencyMs: row.latency_ms ?? null,
+    errorCode: row.error_code || null,
+    errorMessage: row.error_message || null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at || null,
+  };
+}
+
+/**
+ * Apply updates to a generation in whichever store is active
+ * @param {string} id - The generation ID
+ * @param {object} updates - Fields to update (camelCase)
+ * @returns {Promise<object|null>} The updated generation or null if not found
+ */
+async function updateGeneration(id, updates) {
+  if (!isPersistent()) {
+    const generation = generations.get(id);
+    if (!generation) {
+      return null;
+    }
+
+    Object.assign(generation, updates);
+    generations.set(id, generation);
+    publish(generation);
+    return generation;
+  }
+
+  if (!isValidId(id)) {
+    return null;
+  }
+
+  const row = {};
+  if ('status' in updates) row.status = updates.status;
+  if ('resultUrl' in updates) row.result_url = updates.resultUrl;
+  if ('perceptualHash' in updates) row.perceptual_hash = updates.perceptualHash;
+  if ('promptVariant' in updates) row.prompt_variant = updates.promptVariant;
+  if ('latencyMs' in updates) row.latency_ms = updates.latencyMs;
+  if ('errorCode' in updates) row.error_code = updates.errorCode;
+  if ('errorMessage' in updates) row.error_message = updates.errorMessage;
+  if ('completedAt' in updates) row.completed_at = updates.completedAt;
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update(row)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('[generations] Error updating generation:', error.message);
+    return null;
+  }
+
+  const updated = data ? toRecord(data) : null;
+  publish(updated);
+  return updated;
+}
+
 /**
  * Create a new pending generation record
  * @param {string} userId - The user's ID (null for anonymous)
  * @param {string} epsteinPhoto - The Epstein photo path used
- * @returns {object} The created generation record (includes viewToken for anonymous users)
+ * @param {object} options - Optional generation details
+ * @param {'quick' | 'premium'} options.modelType - Model type used for this generation
+ * @param {string} options.status - Initial status (default PENDING, QUEUED for job mode)
+ * @returns {Promise<object>} The created generation record (includes viewToken for anonymous users)
  */
-function createGeneration(userId, epsteinPhoto) {
+async function createGeneration(userId, epsteinPhoto, options = {}) {
   const id = generateId();
   // Generate a viewToken for anonymous generations to prevent IDOR
   const viewToken = userId ? null : generateViewToken();
@@ -45,37 +189,97 @@ function createGeneration(userId, epsteinPhoto) {
     id,
     userId,
     epsteinPhoto,
+    modelType: options.modelType || null,
+    promptVariant: null,
     viewToken, // Required to view anonymous generations
-    status: STATUS.PENDING,
+    status: options.status || STATUS.PENDING,
     resultUrl: null,
+    perceptualHash: null,
+    latencyMs: null,
     errorCode: null,
     errorMessage: null,
     createdAt: new Date().toISOString(),
     completedAt: null,
   };
 
-  generations.set(id, generation);
-  return generation;
+  if (!isPersistent()) {
+    generations.set(id, generation);
+    return generation;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .insert({
+      id,
+      user_id: userId || null,
+      epstein_photo: epsteinPhoto,
+      model_type: generation.modelType,
+      view_token: viewToken,
+      status: generation.status,
+      created_at: generation.createdAt,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[generations] Error creating generation:', error.message);
+    throw new Error(`Failed to create generation record: ${error.message}`);
+  }
+
+  return toRecord(data);
 }
 
 /**
- * Mark a generation as completed with result URL
+ * Move a generation to an intermediate status (validating, generating, watermarking)
  * @param {string} id - The generation ID
- * @param {string} resultUrl - The URL/path to the generated image
- * @returns {object|null} The updated generation or null if not found
+ * @param {string} status - One of STATUS
+ * @returns {Promise<object|null>} The updated generation or null if not found
  */
-function completeGeneration(id, resultUrl) {
-  const generation = generations.get(id);
-  if (!generation) {
-    return null;
+async function setStatus(id, status) {
+  if (!Object.values(STATUS).includes(status)) {
+    throw new Error(`Unknown generation status: ${status}`);
   }
+  return updateGeneration(id, { status });
+}
 
-  generation.status = STATUS.COMPLETED;
-  generation.resultUrl = resultUrl;
-  generation.completedAt = new Date().toISOString();
+/**
+ * Pick the prompt variant and provider latency out of result details
+ * @param {object} details - { promptVariant?, latencyMs? }
+ * @returns {object} Updates (camelCase) for the fields that were given
+ */
+function promptDetails(details) {
+  const updates = {};
+  if (details.promptVariant) {
+    updates.promptVariant = details.promptVariant;
+  }
+  if (Number.isInteger(details.latencyMs)) {
+    updates.latencyMs = details.latencyMs;
+  }
+  return updates;
+}
 
-  generations.set(id, generation);
-  return generation;
+/**
+ * Mark a generation as completed with result URL
+ * @param {string} id - The generation ID
+ * @param {string|null} resultUrl - The URL/path to the generated image (null when
+ *   the image was only returned inline)
+ * @param {object} details - Optional result details
+ * @param {string} details.perceptualHash - dHash of the output (lib/imageHash.js), used by /api/verify
+ * @param {string} details.promptVariant - Template prompt variant used (services/templates.js)
+ * @param {number} details.latencyMs - How long the image provider took
+ * @returns {Promise<object|null>} The updated generation or null if not found
+ */
+async function completeGeneration(id, resultUrl, details = {}) {
+  const updates = {
+    status: STATUS.COMPLETED,
+    resultUrl,
+    completedAt: new Date().toISOString(),
+    ...promptDetails(details),
+  };
+  if (details.perceptualHash) {
+    updates.perceptualHash = details.perceptualHash;
+  }
+  return updateGeneration(id, updates);
 }
 
 /**
@@ -83,30 +287,43 @@ function completeGeneration(id, resultUrl) {
  * @param {string} id - The generation ID
  * @param {string} errorCode - Error code (e.g., 'SAFETY_BLOCK', 'API_ERROR')
  * @param {string} errorMessage - Human-readable error message
- * @returns {object|null} The updated generation or null if not found
+ * @param {object} details - Optional: { promptVariant, latencyMs } when the
+ *   provider was already called (see completeGeneration)
+ * @returns {Promise<object|null>} The updated generation or null if not found
  */
-function failGeneration(id, errorCode, errorMessage) {
-  const generation = generations.get(id);
-  if (!generation) {
-    return null;
-  }
-
-  generation.status = STATUS.FAILED;
-  generation.errorCode = errorCode;
-  generation.errorMessage = errorMessage;
-  generation.completedAt = new Date().toISOString();
-
-  generations.set(id, generation);
-  return generation;
+async function failGeneration(id, errorCode, errorMessage, details = {}) {
+  return updateGeneration(id, {
+    status: STATUS.FAILED,
+    errorCode,
+    errorMessage,
+    completedAt: new Date().toISOString(),
+    ...promptDetails(details),
+  });
 }
 
 /**
  * Get a user's generation history
  * @param {string} userId - The user's ID
  * @param {number} limit - Maximum number of records to return (default 10)
- * @returns {array} Array of generation records, newest first
+ * @returns {Promise<array>} Array of generation records, newest first
  */
-function getGenerations(userId, limit = 10) {
+async function getGenerations(userId, limit = 10) {
+  if (isPersistent()) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[generations] Error fetching history:', error.message);
+      return [];
+    }
+
+    return (data || []).map(toRecord);
+  }
+
   const userGenerations = [];
 
   for (const generation of generations.values()) {
@@ -126,10 +343,29 @@ function getGenerations(userId, limit = 10) {
 /**
  * Get a single generation by ID
  * @param {string} id - The generation ID
- * @returns {object|null} The generation record or null if not found
+ * @returns {Promise<object|null>} The generation record or null if not found
  */
-function getGeneration(id) {
-  return generations.get(id) || null;
+async function getGeneration(id) {
+  if (!isPersistent()) {
+    return generations.get(id) || null;
+  }
+
+  if (!isValidId(id)) {
+    return null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[generations] Error fetching generation:', error.message);
+    return null;
+  }
+
+  return data ? toRecord(data) : null;
 }
 
 /**
@@ -139,10 +375,10 @@ function getGeneration(id) {
  * @param {string} id - The generation ID
  * @param {string|null} userId - The requesting user's ID (null if anonymous)
  * @param {string|null} viewToken - The view token provided in the request
- * @returns {object} { authorized: boolean, generation: object|null, error: string|null }
+ * @returns {Promise<object>} { authorized: boolean, generation: object|null, error: string|null }
  */
-function validateGenerationAccess(id, userId, viewToken) {
-  const generation = generations.get(id);
+async function validateGenerationAccess(id, userId, viewToken) {
+  const generation = await getGeneration(id);
 
   if (!generation) {
     return { authorized: false, generation: null, error: 'Generation not found' };
@@ -189,9 +425,30 @@ function validateGenerationAccess(id, userId, viewToken) {
 /**
  * Find generation by result URL (for secure image serving)
  * @param {string} resultUrl - The result URL path (e.g., '/output/epstein_xxx.png')
- * @returns {object|null} The generation record or null if not found
+ * @returns {Promise<object|null>} The generation record or null if not found
  */
-function findByResultUrl(resultUrl) {
+async function findByResultUrl(resultUrl) {
+  if (isPersistent()) {
+    if (!resultUrl) {
+      return null;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('result_url', resultUrl)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[generations] Error finding generation by result URL:', error.message);
+      return null;
+    }
+
+    return data ? toRecord(data) : null;
+  }
+
   for (const generation of generations.values()) {
     if (generation.resultUrl === resultUrl) {
       return generation;
@@ -201,7 +458,185 @@ function findByResultUrl(resultUrl) {
 }
 
 /**
- * Clear all generations (useful for testing)
+ * Find the completed generation whose output looks most like an image
+ * Used by /api/verify when an image has lost its provenance manifest.
+ * Anyone can ask, so the match carries only what verification shows.
+ * @param {string} perceptualHash - dHash of the image to look up
+ * @param {number} maxDistance - Maximum Hamming distance to count as a match
+ * @returns {Promise<object|null>} { generation: { id, epsteinPhoto, createdAt }, distance }
+ *   or null if nothing is close enough
+ */
+async function findByPerceptualHash(perceptualHash, maxDistance) {
+  if (!isValidHash(perceptualHash)) {
+    return null;
+  }
+
+  if (!isPersistent()) {
+    let best = null;
+    for (const generation of generations.values()) {
+      if (!generation.perceptualHash) continue;
+      const distance = hammingDistance(perceptualHash, generation.perceptualHash);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        const { id, epsteinPhoto, createdAt } = generation;
+        best = { generation: { id, epsteinPhoto, createdAt }, distance };
+      }
+    }
+    return best;
+  }
+
+  // Hamming distance is computed in Postgres (bit_count on the XOR of both hashes)
+  const { data, error } = await supabaseAdmin.rpc('find_generation_by_perceptual_hash', {
+    p_hash: perceptualHash,
+    p_max_distance: maxDistance
+  });
+
+  // If RPC doesn't exist yet, fall back to an exact match
+  if (error && error.message.includes('function')) {
+    console.warn('find_generation_by_perceptual_hash RPC not found - only exact matches are found');
+    const { data: exact, error: exactError } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('id, epstein_photo, created_at')
+      .eq('perceptual_hash', perceptualHash)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (exactError) {
+      console.error('[generations] Error finding generation by perceptual hash:', exactError.message);
+      return null;
+    }
+    return exact ? { generation: toHashMatch(exact), distance: 0 } : null;
+  }
+
+  if (error) {
+    console.error('[generations] Error finding generation by perceptual hash:', error.message);
+    return null;
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  return row ? { generation: toHashMatch(row), distance: row.distance } : null;
+}
+
+/**
+ * The part of a generation a perceptual hash match reveals
+ * @param {object} row - Database row (snake_case)
+ * @returns {{ id: string, epsteinPhoto: string, createdAt: string }}
+ */
+function toHashMatch(row) {
+  return { id: row.id, epsteinPhoto: row.epstein_photo, createdAt: row.created_at };
+}
+
+/**
+ * Compare prompt variants: outcomes and provider latency per template
+ * photo and variant. Success rate is completed out of completed plus the
+ * failures a prompt can cause (SAFETY_BLOCK, NO_FACE, GENERATION_FAILED);
+ * other failures (rate limits, timeouts, ...) are counted separately.
+ * Average latency is the image provider's time for completed generations.
+ * @param {object} options
+ * @param {string} options.since - ISO date; only generations created since (default 30 days ago)
+ * @param {number} options.limit - Most recent generations to look at (default 10000)
+ * @returns {Promise<Array<object>>} { epsteinPhoto, promptVariant, total,
+ *   completed, safetyBlocked, noFace, generationFailed, otherFailures,
+ *   successRate (null if none counted), avgLatencyMs (null if none completed) },
+ *   sorted by photo then variant
+ */
+async function getPromptVariantReport(options = {}) {
+  const since = options.since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const limit = options.limit || 10000;
+  let records;
+
+  if (!isPersistent()) {
+    records = Array.from(generations.values())
+      .filter(generation => generation.promptVariant && isTerminal(generation.status) && generation.createdAt >= since)
+      .slice(-limit);
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('epstein_photo, prompt_variant, status, error_code, latency_ms')
+      .not('prompt_variant', 'is', null)
+      .in('status', TERMINAL_STATUSES)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[generations] Error loading prompt variant report:', error.message);
+      throw new Error(`Failed to load prompt variant report: ${error.message}`);
+    }
+    records = data.map(row => ({
+      epsteinPhoto: row.epstein_photo,
+      promptVariant: row.prompt_variant,
+      status: row.status,
+      errorCode: row.error_code,
+      latencyMs: row.latency_ms,
+    }));
+  }
+
+  const groups = new Map();
+  for (const record of records) {
+    const key = `${record.epsteinPhoto}\n${record.promptVariant}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        epsteinPhoto: record.epsteinPhoto,
+        promptVariant: record.promptVariant,
+        total: 0,
+        completed: 0,
+        safetyBlocked: 0,
+        noFace: 0,
+        generationFailed: 0,
+        otherFailures: 0,
+        latencyTotal: 0,
+        latencyCount: 0,
+      });
+    }
+    const group = groups.get(key);
+    group.total++;
+
+    if (record.status === STATUS.COMPLETED) {
+      group.completed++;
+      if (Number.isInteger(record.latencyMs)) {
+        group.latencyTotal += record.latencyMs;
+        group.latencyCount++;
+      }
+    } else if (record.errorCode === ERROR_CODES.SAFETY_BLOCK) {
+      group.safetyBlocked++;
+    } else if (record.errorCode === ERROR_CODES.NO_FACE) {
+      group.noFace++;
+    } else if (record.errorCode === ERROR_CODES.GENERATION_FAILED) {
+      group.generationFailed++;
+    } else {
+      group.otherFailures++;
+    }
+  }
+
+  return Array.from(groups.values())
+    .map(({ latencyTotal, latencyCount, ...group }) => {
+      const counted = group.completed + group.safetyBlocked + group.noFace + group.generationFailed;
+      return {
+        ...group,
+        successRate: counted > 0 ? group.completed / counted : null,
+        avgLatencyMs: latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : null,
+      };
+    })
+    .sort((a, b) => a.epsteinPhoto.localeCompare(b.epsteinPhoto) || a.promptVariant.localeCompare(b.promptVariant));
+}
+
+/**
+ * Subscribe to status changes for a single generation
+ * Only sees updates made by this process; cross-instance listeners
+ * should also poll getGeneration().
+ * @param {string} id - The generation ID
+ * @param {function} listener - Called with the updated generation record
+ * @returns {function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+  events.on(id, listener);
+  return () => events.removeListener(id, listener);
+}
+
+/**
+ * Clear all in-memory generations (useful for testing)
+ * Does not touch Supabase.
  */
 function clearAll() {
   generations.clear();
@@ -215,6 +650,12 @@ module.exports = {
   getGeneration,
   validateGenerationAccess,
   findByResultUrl,
+  findByPerceptualHash,
+  getPromptVariantReport,
+  setStatus,
+  subscribe,
+  isTerminal,
   clearAll,
+  isPersistent,
   STATUS,
 };
@@ -0,0 +1,568 @@
+/**
+ * Gift Code Service
+ *
+ * A gift pack is bought through Stripe checkout like a credit pack, but the
+ * credits don't go to the buyer: the completed checkout issues a gift code
+ * (emailed to the buyer, and to the recipient if they gave an address), and
+ * whoever redeems the code gets the credits ('gift' credit ledger entries).
+ *
+ * A gift code is one of:
+ * - active:   issued, not redeemed yet (until expires_at)
+ * - held:     redeemed by an anonymous visitor - the credits are granted to
+ *             the account they sign in to from that browser (claimHeldGifts)
+ * - redeemed: credits granted to redeemed_by
+ *
+ * Codes are single-use: every step is a conditional status update, so two
+ * concurrent redemptions can't both win. Expired codes can't be redeemed;
+ * a held code was redeemed in time, so it can still be claimed.
+ *
+ * Storage:
+ * - Primary: Supabase gift_codes table
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const credits = require('./credits');
+const emailService = require('./email');
+const pricing = require('./pricing');
+
+// Supabase table name
+const TABLE_NAME = 'gift_codes';
+
+// In-memory fallback store (used only when Supabase is not configured)
+// Structure: { code: gift }
+const gifts = new Map();
+
+const STATUS = {
+  ACTIVE: 'active',
+  HELD: 'held',
+  REDEEMED: 'redeemed',
+};
+
+// Why a redemption was refused
+const REJECTION = {
+  INVALID_CODE: 'invalid_code',
+  UNKNOWN_CODE: 'unknown_code',
+  EXPIRED: 'expired',
+  ALREADY_REDEEMED: 'already_redeemed',
+};
+
+// Gift packs without expiresInDays in the catalog
+const DEFAULT_EXPIRY_DAYS = 365;
+
+// Longest personal message stored with a gift (Stripe metadata values are capped at 500)
+const MAX_MESSAGE_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Codes: XXXX-XXXX-XXXX without look-alikes (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const CODE_REGEX = new RegExp(`^[${CODE_ALPHABET}]{${CODE_GROUPS * CODE_GROUP_LENGTH}}$`);
+
+/**
+ * Check whether gift codes are persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Convert a Supabase row to a gift object
+ */
+function toGift(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    stripeSessionId: row.stripe_session_id,
+    purchaserId: row.purchaser_id,
+    purchaserEmail: row.purchaser_email,
+    recipientEmail: row.recipient_email,
+    message: row.message,
+    credits: row.credits,
+    status: row.status,
+    expiresAt: row.expires_at,
+    redeemedBy: row.redeemed_by,
+    redeemedAnonId: row.redeemed_anon_id,
+    redeemedAt: row.redeemed_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Generate a random code
+ * @returns {string}
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Normalize a code from a link or form (case, spaces and dashes don't matter)
+ * @param {string} code
+ * @returns {string|null} The code (XXXX-XXXX-XXXX), or null if it can't be one
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const chars = code.replace(/[\s-]/g, '').toUpperCase();
+  if (!CODE_REGEX.test(chars)) {
+    return null;
+  }
+  return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+}
+
+/**
+ * Build the link that opens the redeem page with a code filled in
+ * @param {string} code
+ * @returns {string}
+ */
+function getRedeemLink(code) {
+  return `${process.env.APP_URL || 'http://localhost:3000'}/redeem.html?code=${code}`;
+}
+
+/**
+ * Whether a gift's code has expired
+ * @param {object} gift
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isExpired(gift, now = new Date()) {
+  return !!gift.expiresAt && new Date(gift.expiresAt).getTime() <= now.getTime();
+}
+
+/**
+ * Find a gift by its checkout session
+ * @param {string} sessionId
+ * @returns {Promise<object|null>}
+ */
+async function getGiftBySession(sessionId) {
+  if (!isPersistent()) {
+    const gift = Array.from(gifts.values()).find(entry => entry.stripeSessionId === sessionId);
+    return gift ? { ...gift } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('stripe_session_id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[gifts] Error fetching gift by session:', error.message);
+    throw new Error(`Failed to get gift: ${error.message}`);
+  }
+  return data ? toGift(data) : null;
+}
+
+/**
+ * Find a gift by its code
+ * @param {string} code - Any spelling of the code (see normalizeCode)
+ * @returns {Promise<object|null>}
+ */
+async function getGiftCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  if (!isPersistent()) {
+    const gift = gifts.get(normalized);
+    return gift ? { ...gift } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('code', normalized)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[gifts] Error fetching gift code:', error.message);
+    throw new Error(`Failed to get gift code: ${error.message}`);
+  }
+  return data ? toGift(data) : null;
+}
+
+/**
+ * Store a new gift, retrying on the (unlikely) clash with another code
+ * @returns {Promise<{ created: boolean, gift: object }>} created is false when
+ *   another delivery of the same checkout stored it first
+ */
+async function insertGift(fields) {
+  if (!isPersistent()) {
+    const existing = await getGiftBySession(fields.stripeSessionId);
+    if (existing) {
+      return { created: false, gift: existing };
+    }
+    let code = generateCode();
+    while (gifts.has(code)) {
+      code = generateCode();
+    }
+    const gift = {
+      id: crypto.randomUUID(),
+      code,
+      ...fields,
+      status: STATUS.ACTIVE,
+      redeemedBy: null,
+      redeemedAnonId: null,
+      redeemedAt: null,
+      createdAt: new Date().toISOString(),
+    };
+    gifts.set(code, gift);
+    return { created: true, gift: { ...gift } };
+  }
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .insert({
+        code: generateCode(),
+        stripe_session_id: fields.stripeSessionId,
+        purchaser_id: fields.purchaserId,
+        purchaser_email: fields.purchaserEmail,
+        recipient_email: fields.recipientEmail,
+        message: fields.message,
+        credits: fields.credits,
+        status: STATUS.ACTIVE,
+        expires_at: fields.expiresAt,
+      })
+      .select('*')
+      .single();
+
+    if (!error) {
+      return { created: true, gift: toGift(data) };
+    }
+    if (error.code !== '23505') {
+      console.error('[gifts] Error creating gift code:', error.message);
+      throw new Error(`Failed to create gift code: ${error.message}`);
+    }
+
+    // Unique violation: either this checkout already has its code, or the
+    // random code is taken
+    const existing = await getGiftBySession(fields.stripeSessionId);
+    if (existing) {
+      return { created: false, gift: existing };
+    }
+  }
+
+  throw new Error('Failed to create gift code: no unique code found');
+}
+
+/**
+ * Issue the gift code for a completed gift pack checkout
+ * Safe to call again for the same session (webhook retries, /api/verify-session):
+ * the session always gets the same code, and each email goes out once.
+ * @param {object} session - Stripe checkout session (metadata.type 'gift')
+ * @returns {Promise<{ created: boolean, gift: object }>}
+ */
+async function issueGiftCode(session) {
+  if (!session?.id) {
+    throw new Error('Checkout session is required to issue a gift code');
+  }
+
+  const giftPack = pricing.getProduct('gift_pack');
+  if (!giftPack) {
+    throw new Error("Pricing catalog has no product 'gift_pack'");
+  }
+
+  const parsedQuantity = parseInt(session.metadata?.quantity || '1', 10);
+  const quantity = Number.isFinite(parsedQuantity) && parsedQuantity > 0 ? parsedQuantity : 1;
+  const expiryDays = giftPack.expiresInDays || DEFAULT_EXPIRY_DAYS;
+
+  const { created, gift } = await insertGift({
+    stripeSessionId: session.id,
+    purchaserId: session.metadata?.userId || null,
+    purchaserEmail: session.customer_details?.email || session.customer_email || null,
+    recipientEmail: session.metadata?.recipientEmail || null,
+    message: (session.metadata?.giftMessage || '').slice(0, MAX_MESSAGE_LENGTH) || null,
+    credits: giftPack.credits * quantity,
+    expiresAt: new Date(Date.now() + expiryDays * DAY_MS).toISOString(),
+  });
+
+  if (created) {
+    console.log(`[gifts] Issued gift code for session ${session.id}: ${gift.credits} credits`);
+  }
+
+  // Sent on every call - the outbox's dedupe keys make it once per gift
+  const data = {
+    code: gift.code,
+    credits: gift.credits,
+    expiresAt: gift.expiresAt,
+    redeemLink: getRedeemLink(gift.code),
+    recipientEmail: gift.recipientEmail,
+    message: gift.message,
+    amount: session.amount_total || 0,
+    currency: session.currency || 'usd',
+    paidAt: session.created ? session.created * 1000 : Date.now(),
+    reference: session.id,
+  };
+  await emailService.sendEmail('gift_receipt', {
+    to: gift.purchaserEmail,
+    userId: gift.purchaserId,
+    data,
+    dedupeKey: `receipt:${session.id}`,
+  });
+  if (gift.recipientEmail) {
+    await emailService.sendEmail('gift_received', {
+      to: gift.recipientEmail,
+      data,
+      dedupeKey: `gift_received:${gift.code}`,
+    });
+  }
+
+  return { created, gift };
+}
+
+/**
+ * Move a gift from one status to another, only if it's still in the first
+ * @param {object} gift
+ * @param {string} fromStatus
+ * @param {object} updates - Columns to set (snake_case)
+ * @returns {Promise<object|null>} The updated gift, or null if another request won
+ */
+async function transition(gift, fromStatus, updates) {
+  if (!isPersistent()) {
+    const current = gifts.get(gift.code);
+    if (!current || current.status !== fromStatus) {
+      return null;
+    }
+    current.status = updates.status;
+    if ('redeemed_by' in updates) current.redeemedBy = updates.redeemed_by;
+    if ('redeemed_anon_id' in updates) current.redeemedAnonId = updates.redeemed_anon_id;
+    if ('redeemed_at' in updates) current.redeemedAt = updates.redeemed_at;
+    return { ...current };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update(updates)
+    .eq('id', gift.id)
+    .eq('status', fromStatus)
+    .select('*');
+
+  if (error) {
+    console.error('[gifts] Error updating gift code:', error.message);
+    throw new Error(`Failed to update gift code: ${error.message}`);
+  }
+  return data && data.length > 0 ? toGift(data[0]) : null;
+}
+
+/**
+ * Grant a gift's credits to the user who redeemed it
+ * Undoes the status change if the grant fails, so the code can be tried again.
+ */
+async function creditGift(gift, userId, previous) {
+  try {
+    const grant = await credits.grantGiftCredits(userId, gift.credits, {
+      stripeSessionId: gift.stripeSessionId,
+      note: `Gift code ${gift.code}`,
+    });
+    if (!grant.applied && grant.reason !== credits.REFUSAL.DUPLICATE) {
+      throw new Error(`gift credits refused: ${grant.reason}`);
+    }
+    return grant.balance;
+  } catch (error) {
+    await transition(gift, STATUS.REDEEMED, previous);
+    throw error;
+  }
+}
+
+/**
+ * Redeem a gift code
+ * Signed-in users get the credits right away; anonymous visitors hold the
+ * code until they sign in (claimHeldGifts). A code held by an anonymous
+ * session can still be redeemed by a signed-in user who has it.
+ * @param {string} code - As typed by the user
+ * @param {object} redeemer
+ * @param {string|null} redeemer.userId - Authenticated user
+ * @param {string|null} redeemer.anonId - Anonymous session (when not signed in)
+ * @param {Date} redeemer.now
+ * @returns {Promise<object>} { redeemed, held, reason, credits, balance, gift } -
+ *   reason is one of REJECTION when redeemed is false
+ */
+async function redeemGiftCode(code, { userId = null, anonId = null, now = new Date() } = {}) {
+  if (!userId && !anonId) {
+    throw new Error('userId or anonId is required to redeem a gift code');
+  }
+
+  const refuse = (reason, gift = null) => ({ redeemed: false, held: false, reason, credits: 0, balance: null, gift });
+
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return refuse(REJECTION.INVALID_CODE);
+  }
+
+  const gift = await getGiftCode(normalized);
+  if (!gift) {
+    return refuse(REJECTION.UNKNOWN_CODE);
+  }
+
+  if (gift.status === STATUS.REDEEMED || (gift.status === STATUS.HELD && !userId)) {
+    return refuse(REJECTION.ALREADY_REDEEMED, gift);
+  }
+  if (gift.status === STATUS.ACTIVE && isExpired(gift, now)) {
+    return refuse(REJECTION.EXPIRED, gift);
+  }
+
+  if (!userId) {
+    const held = await transition(gift, STATUS.ACTIVE, {
+      status: STATUS.HELD,
+      redeemed_anon_id: anonId,
+      redeemed_at: now.toISOString(),
+    });
+    if (!held) {
+      return refuse(REJECTION.ALREADY_REDEEMED, gift);
+    }
+    console.log(`[gifts] Gift code ${gift.code} held for anonymous session ${anonId}`);
+    return { redeemed: true, held: true, reason: null, credits: held.credits, balance: null, gift: held };
+  }
+
+  const previous = { status: gift.status, redeemed_by: null, redeemed_at: gift.redeemedAt };
+  const redeemed = await transition(gift, gift.status, {
+    status: STATUS.REDEEMED,
+    redeemed_by: userId,
+    redeemed_at: gift.redeemedAt || now.toISOString(),
+  });
+  if (!redeemed) {
+    return refuse(REJECTION.ALREADY_REDEEMED, gift);
+  }
+
+  const balance = await creditGift(redeemed, userId, previous);
+  console.log(`[gifts] Gift code ${gift.code} redeemed by user ${userId}: ${redeemed.credits} credits`);
+  return { redeemed: true, held: false, reason: null, credits: redeemed.credits, balance, gift: redeemed };
+}
+
+/**
+ * Grant the gifts an anonymous session redeemed to the account it signed in to
+ * @param {string} anonId - Anonymous session (anon_id cookie)
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<{ claimed: number, credits: number, balance: number|null }>}
+ */
+async function claimHeldGifts(anonId, userId) {
+  if (!anonId || !userId) {
+    return { claimed: 0, credits: 0, balance: null };
+  }
+
+  let held;
+  if (!isPersistent()) {
+    held = Array.from(gifts.values())
+      .filter(gift => gift.status === STATUS.HELD && gift.redeemedAnonId === anonId)
+      .map(gift => ({ ...gift }));
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('*')
+      .eq('status', STATUS.HELD)
+      .eq('redeemed_anon_id', anonId);
+
+    if (error) {
+      console.error('[gifts] Error fetching held gifts:', error.message);
+      throw new Error(`Failed to get held gifts: ${error.message}`);
+    }
+    held = (data || []).map(toGift);
+  }
+
+  let claimed = 0;
+  let total = 0;
+  let balance = null;
+
+  for (const gift of held) {
+    const redeemed = await transition(gift, STATUS.HELD, { status: STATUS.REDEEMED, redeemed_by: userId });
+    if (!redeemed) {
+      continue;
+    }
+    balance = await creditGift(redeemed, userId, { status: STATUS.HELD, redeemed_by: null });
+    claimed++;
+    total += redeemed.credits;
+    console.log(`[gifts] Held gift code ${gift.code} claimed by user ${userId}: ${redeemed.credits} credits`);
+  }
+
+  return { claimed, credits: total, balance };
+}
+
+/**
+ * List gift codes for admins (newest first)
+ * @param {object} options
+ * @param {string|null} options.status - 'outstanding' (default: active and
+ *   unexpired, or held), 'expired', one of STATUS, or null for all
+ * @param {number} options.limit
+ * @param {Date} options.now
+ * @returns {Promise<object[]>}
+ */
+async function listGiftCodes({ status = 'outstanding', limit = 50, now = new Date() } = {}) {
+  const nowIso = now.toISOString();
+
+  if (!isPersistent()) {
+    const matches = gift => {
+      switch (status) {
+        case 'outstanding':
+          return (gift.status === STATUS.ACTIVE && !isExpired(gift, now)) || gift.status === STATUS.HELD;
+        case 'expired':
+          return gift.status === STATUS.ACTIVE && isExpired(gift, now);
+        case null:
+          return true;
+        default:
+          return gift.status === status;
+      }
+    };
+    return Array.from(gifts.values())
+      .filter(matches)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(gift => ({ ...gift }));
+  }
+
+  let query = supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status === 'outstanding') {
+    query = query.or(`and(status.eq.${STATUS.ACTIVE},expires_at.gt.${nowIso}),status.eq.${STATUS.HELD}`);
+  } else if (status === 'expired') {
+    query = query.eq('status', STATUS.ACTIVE).lte('expires_at', nowIso);
+  } else if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[gifts] Error listing gift codes:', error.message);
+    throw new Error(`Failed to list gift codes: ${error.message}`);
+  }
+  return (data || []).map(toGift);
+}
+
+/**
+ * Clear all in-memory gift codes (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  gifts.clear();
+}
+
+module.exports = {
+  issueGiftCode,
+  redeemGiftCode,
+  claimHeldGifts,
+  getGiftCode,
+  getGiftBySession,
+  listGiftCodes,
+  normalizeCode,
+  getRedeemLink,
+  clearAll,
+  isPersistent,
+  STATUS,
+  REJECTION,
+  MAX_MESSAGE_LENGTH,
+  TABLE_NAME,
+};
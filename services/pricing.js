@@ -0,0 +1,696 @@
+/**
+ * Pricing Catalog Service
+ *
+ * One versioned catalog holds everything we charge for and everything each
+ * tier gets - tier limits, credit costs, prices and their Stripe price IDs.
+ * Usage checks, quota reservations, the Stripe session builders, /api/config,
+ * /api/me and the upgrade page all read it from here.
+ *
+ * Catalog shape (see config/pricing.json):
+ *   {
+ *     version: 4,                    // integer, bumped on every change
+ *     currency: 'usd',
+ *     credits: { quickCost, premiumCost },
+ *     referrals: { referrerCredits, refereeCredits },   // 0 = no reward
+ *     tiers: {
+ *       free: { name, description, limit (null = unlimited), monthlyLimit,
+ *               quickLimit, premiumLimit, sharedPool, watermarkFree,
+ *               canPurchaseCredits, features? },
+ *       paid: { aliasOf: 'base' }    // legacy tier names
+ *     },
+ *     plans: {                       // subscriptions for sale, one Stripe price each
+ *       base_annual: { tier, name, amount (cents), interval,
+ *                      stripePriceId | stripePriceEnv }
+ *     },
+ *     defaultPlan: 'base_monthly',
+ *     products: { credit_pack: {...}, watermark_removal: {...},
+ *                 gift_pack: { ..., expiresInDays } }   // gift_pack is optional
+ *   }
+ *
+ * A subscriber's tier is the tier of the plan whose Stripe price they pay for
+ * (getPlanByStripePrice), so plans can be added or repriced here alone.
+ *
+ * Sources:
+ * - config/pricing.json (or PRICING_CATALOG_PATH) - read and validated when
+ *   this module loads; an invalid file stops the server from starting
+ * - Supabase pricing_catalogs table - the newest active version replaces the
+ *   file catalog once ready() has run (at server start / first serverless
+ *   request). An invalid row is logged and ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { supabaseAdmin } = require('../lib/supabase');
+
+// Supabase table name
+const TABLE_NAME = 'pricing_catalogs';
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+// Tiers the code assigns by name (anonymous visitors, signups, subscribers)
+const REQUIRED_TIERS = ['anonymous', 'free', 'base'];
+
+// Products the checkout flows sell
+const REQUIRED_PRODUCTS = ['credit_pack', 'watermark_removal'];
+
+const PRICE_INTERVALS = ['month', 'year'];
+
+// Stripe subscription statuses that keep the subscriber on their plan's tier
+const ENTITLED_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+let catalog = null;
+let catalogSource = null;
+let readyPromise = null;
+const listeners = [];
+
+function getCatalogPath() {
+  return process.env.PRICING_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check a Stripe price reference (stripePriceId or stripePriceEnv)
+ */
+function validateStripePrice(entry, where, errors) {
+  if (entry.stripePriceId !== undefined && !isNonEmptyString(entry.stripePriceId)) {
+    errors.push(`${where}.stripePriceId must be a non-empty string`);
+  }
+  if (entry.stripePriceEnv !== undefined) {
+    const names = [].concat(entry.stripePriceEnv);
+    if (names.length === 0 || !names.every(isNonEmptyString)) {
+      errors.push(`${where}.stripePriceEnv must be an environment variable name or a list of them`);
+    }
+  }
+}
+
+/**
+ * Validate a catalog
+ * @param {object} candidate - Parsed catalog
+ * @returns {string[]} Problems found (empty when the catalog is usable)
+ */
+function validateCatalog(candidate) {
+  const errors = [];
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return ['catalog must be an object'];
+  }
+
+  if (!isPositiveInteger(candidate.version)) {
+    errors.push('version must be a positive integer');
+  }
+  if (typeof candidate.currency !== 'string' || !/^[a-z]{3}$/.test(candidate.currency)) {
+    errors.push('currency must be a lowercase ISO currency code (e.g. "usd")');
+  }
+
+  const creditCosts = candidate.credits || {};
+  for (const field of ['quickCost', 'premiumCost']) {
+    if (!isPositiveInteger(creditCosts[field])) {
+      errors.push(`credits.${field} must be a positive integer`);
+    }
+  }
+
+  const referralRewards = candidate.referrals || {};
+  for (const field of ['referrerCredits', 'refereeCredits']) {
+    if (!isNonNegativeInteger(referralRewards[field])) {
+      errors.push(`referrals.${field} must be a non-negative integer`);
+    }
+  }
+
+  const tiers = candidate.tiers;
+  if (!tiers || typeof tiers !== 'object' || Array.isArray(tiers)) {
+    errors.push('tiers must be an object keyed by tier ID');
+  } else {
+    for (const id of REQUIRED_TIERS) {
+      if (!tiers[id]) {
+        errors.push(`tiers.${id} is required`);
+      }
+    }
+
+    for (const [id, tier] of Object.entries(tiers)) {
+      const where = `tiers.${id}`;
+      if (!/^[a-z][a-z0-9_]*$/.test(id)) {
+        errors.push(`${where}: tier IDs must be lowercase letters, digits and underscores`);
+      }
+      if (!tier || typeof tier !== 'object') {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+
+      if (tier.aliasOf !== undefined) {
+        const target = tiers[tier.aliasOf];
+        if (!target || target.aliasOf !== undefined) {
+          errors.push(`${where}.aliasOf must name a tier that is not itself an alias`);
+        }
+        continue;
+      }
+
+      if (!isNonEmptyString(tier.name)) {
+        errors.push(`${where}.name is required`);
+      }
+      if (typeof tier.description !== 'string') {
+        errors.push(`${where}.description is required`);
+      }
+      if (tier.limit !== null && !isNonNegativeInteger(tier.limit)) {
+        errors.push(`${where}.limit must be a non-negative integer or null (unlimited)`);
+      }
+      for (const field of ['monthlyLimit', 'quickLimit', 'premiumLimit']) {
+        if (!isNonNegativeInteger(tier[field])) {
+          errors.push(`${where}.${field} must be a non-negative integer`);
+        }
+      }
+      for (const field of ['sharedPool', 'watermarkFree', 'canPurchaseCredits']) {
+        if (typeof tier[field] !== 'boolean') {
+          errors.push(`${where}.${field} must be true or false`);
+        }
+      }
+      if (tier.features !== undefined && (!Array.isArray(tier.features) || !tier.features.every(isNonEmptyString))) {
+        errors.push(`${where}.features must be a list of strings`);
+      }
+
+      if (tier.price !== undefined) {
+        errors.push(`${where}.price: subscription prices are listed under plans`);
+      }
+    }
+
+    if (tiers.anonymous && tiers.anonymous.canPurchaseCredits) {
+      errors.push('tiers.anonymous.canPurchaseCredits must be false (credits belong to an account)');
+    }
+  }
+
+  const plans = candidate.plans;
+  if (!plans || typeof plans !== 'object' || Array.isArray(plans) || Object.keys(plans).length === 0) {
+    errors.push('plans must be an object keyed by plan ID, with at least one plan');
+  } else {
+    for (const [id, plan] of Object.entries(plans)) {
+      const where = `plans.${id}`;
+      if (!plan || typeof plan !== 'object') {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+      const tier = tiers && tiers[plan.tier];
+      if (!tier || tier.aliasOf !== undefined || plan.tier === 'anonymous' || plan.tier === 'free') {
+        errors.push(`${where}.tier must name a paid tier that is not an alias`);
+      }
+      if (!isNonEmptyString(plan.name)) {
+        errors.push(`${where}.name is required`);
+      }
+      if (!isPositiveInteger(plan.amount)) {
+        errors.push(`${where}.amount must be a positive integer (cents)`);
+      }
+      if (!PRICE_INTERVALS.includes(plan.interval)) {
+        errors.push(`${where}.interval must be one of: ${PRICE_INTERVALS.join(', ')}`);
+      }
+      validateStripePrice(plan, where, errors);
+    }
+
+    if (!plans[candidate.defaultPlan]) {
+      errors.push('defaultPlan must name one of the plans');
+    }
+  }
+
+  const products = candidate.products;
+  if (!products || typeof products !== 'object' || Array.isArray(products)) {
+    errors.push('products must be an object keyed by product ID');
+  } else {
+    for (const id of REQUIRED_PRODUCTS) {
+      if (!products[id]) {
+        errors.push(`products.${id} is required`);
+      }
+    }
+
+    for (const [id, product] of Object.entries(products)) {
+      const where = `products.${id}`;
+      if (!product || typeof product !== 'object') {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+      if (!isNonEmptyString(product.name)) {
+        errors.push(`${where}.name is required`);
+      }
+      if (!isPositiveInteger(product.amount)) {
+        errors.push(`${where}.amount must be a positive integer (cents)`);
+      }
+      if (!isPositiveInteger(product.credits)) {
+        errors.push(`${where}.credits must be a positive integer`);
+      }
+      if (product.features !== undefined && (!Array.isArray(product.features) || !product.features.every(isNonEmptyString))) {
+        errors.push(`${where}.features must be a list of strings`);
+      }
+      if (product.expiresInDays !== undefined && !isPositiveInteger(product.expiresInDays)) {
+        errors.push(`${where}.expiresInDays must be a positive integer`);
+      }
+      validateStripePrice(product, where, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Deep-freeze a catalog so consumers can't change prices by accident
+ */
+function freeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(freeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Validate and switch to a catalog
+ * @param {object} candidate - Parsed catalog
+ * @param {string} source - Where it came from (for logs and /api/admin/pricing)
+ * @throws {Error} If the catalog is invalid (the current one stays in use)
+ */
+function setCatalog(candidate, source) {
+  const errors = validateCatalog(candidate);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pricing catalog (${source}): ${errors.join('; ')}`);
+  }
+
+  catalog = freeze(JSON.parse(JSON.stringify(candidate)));
+  catalogSource = source;
+
+  console.log(`[pricing] Using pricing catalog v${catalog.version} from ${source}`);
+  listeners.forEach(listener => listener(catalog));
+}
+
+/**
+ * Read and apply the catalog file
+ * @throws {Error} If the file is missing, unparsable or invalid
+ */
+function loadCatalogFile(filePath = getCatalogPath()) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read pricing catalog ${filePath}: ${error.message}`);
+  }
+  setCatalog(parsed, filePath);
+}
+
+/**
+ * Apply the newest active catalog from Supabase, if there is one
+ * @returns {Promise<boolean>} Whether a database catalog is now in use
+ */
+async function refreshFromDatabase() {
+  if (!supabaseAdmin) {
+    return false;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('version, catalog')
+    .eq('active', true)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[pricing] Error loading pricing catalog:', error.message);
+    return false;
+  }
+  if (!data) {
+    return false;
+  }
+
+  try {
+    // The row's version column is authoritative
+    setCatalog({ ...data.catalog, version: data.version }, `${TABLE_NAME} v${data.version}`);
+    return true;
+  } catch (error) {
+    console.error(`[pricing] ${error.message} - keeping v${catalog.version}`);
+    return false;
+  }
+}
+
+/**
+ * Wait for the database catalog check (runs once per process)
+ * Never rejects - the file catalog stays in use if the database can't be read.
+ * @returns {Promise<void>}
+ */
+function ready() {
+  if (!readyPromise) {
+    readyPromise = refreshFromDatabase()
+      .catch(error => console.error('[pricing] Error loading pricing catalog:', error.message))
+      .then(() => {});
+  }
+  return readyPromise;
+}
+
+/**
+ * Re-read the catalog file and the database (admin reload)
+ * @returns {Promise<{ version: number, source: string }>}
+ * @throws {Error} If the file is invalid (the current catalog stays in use)
+ */
+async function reload() {
+  loadCatalogFile();
+  readyPromise = null;
+  await ready();
+  return { version: catalog.version, source: catalogSource };
+}
+
+/**
+ * Call a function with every catalog that gets applied
+ * @param {function} listener - (catalog) => void
+ */
+function onCatalogChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Get the catalog in use (frozen)
+ * @returns {object}
+ */
+function getCatalog() {
+  return catalog;
+}
+
+/**
+ * Get the version of the catalog in use
+ * @returns {{ version: number, source: string }}
+ */
+function getVersion() {
+  return { version: catalog.version, source: catalogSource };
+}
+
+/**
+ * Resolve a Stripe price reference to a price ID
+ * @returns {{ priceId: string|null, envName: string|null }}
+ */
+function resolveStripePrice(entry) {
+  if (!entry) {
+    return { priceId: null, envName: null };
+  }
+  if (entry.stripePriceId) {
+    return { priceId: entry.stripePriceId, envName: null };
+  }
+  const names = entry.stripePriceEnv ? [].concat(entry.stripePriceEnv) : [];
+  for (const name of names) {
+    const value = (process.env[name] || '').trim();
+    if (value) {
+      return { priceId: value, envName: name };
+    }
+  }
+  return { priceId: null, envName: names[0] || null };
+}
+
+/**
+ * Convert cents to the decimal amounts the API has always returned
+ */
+function toDecimal(amount) {
+  return Math.round(amount) / 100;
+}
+
+/**
+ * Get a tier's settings, following aliases
+ * @param {string} tierId - e.g. 'free', 'base', 'paid'
+ * @returns {object|null} { id, name, description, limit (Infinity = unlimited),
+ *   monthlyLimit, quickLimit, premiumLimit, sharedPool, watermarkFree,
+ *   canPurchaseCredits, priceMonthly (null if not for sale), plans (plan IDs), features }
+ */
+function getTier(tierId) {
+  let tier = catalog.tiers[tierId];
+  if (!tier) {
+    return null;
+  }
+  const baseTierId = tier.aliasOf || tierId;
+  if (tier.aliasOf) {
+    tier = catalog.tiers[tier.aliasOf];
+  }
+
+  // Shown price: the tier's monthly plan, else its first plan per month
+  const plans = getPlans().filter(plan => plan.tier === baseTierId);
+  const shownPlan = plans.find(plan => plan.interval === 'month') || plans[0];
+  const priceMonthly = shownPlan ? shownPlan.priceMonthly : null;
+
+  return {
+    id: tierId,
+    name: tier.name,
+    description: tier.description,
+    limit: tier.limit === null ? Infinity : tier.limit,
+    monthlyLimit: tier.monthlyLimit,
+    quickLimit: tier.quickLimit,
+    premiumLimit: tier.premiumLimit,
+    sharedPool: tier.sharedPool,
+    watermarkFree: tier.watermarkFree,
+    canPurchaseCredits: tier.canPurchaseCredits,
+    priceMonthly,
+    plans: plans.map(plan => plan.id),
+    features: tier.features || [],
+  };
+}
+
+/**
+ * Get a subscription plan
+ * @param {string} planId - e.g. 'base_monthly', 'base_annual'
+ * @returns {object|null} { id, tier, name, amount (cents), price, interval,
+ *   priceMonthly, priceId }
+ */
+function getPlan(planId) {
+  const plan = catalog.plans[planId];
+  if (!plan) {
+    return null;
+  }
+
+  return {
+    id: planId,
+    tier: plan.tier,
+    name: plan.name,
+    amount: plan.amount,
+    price: toDecimal(plan.amount),
+    interval: plan.interval,
+    priceMonthly: toDecimal(plan.interval === 'year' ? plan.amount / 12 : plan.amount),
+    priceId: resolveStripePrice(plan).priceId,
+  };
+}
+
+/**
+ * Get all subscription plans, in catalog order
+ * @returns {Array<object>} See getPlan()
+ */
+function getPlans() {
+  return Object.keys(catalog.plans).map(getPlan);
+}
+
+/**
+ * Get the plan sold by default (the upgrade page's first choice)
+ * @returns {object} See getPlan()
+ */
+function getDefaultPlan() {
+  return getPlan(catalog.defaultPlan);
+}
+
+/**
+ * Find the plan a Stripe price belongs to
+ * @param {string} priceId - Stripe price ID (price_...)
+ * @returns {object|null} See getPlan()
+ */
+function getPlanByStripePrice(priceId) {
+  if (!priceId) {
+    return null;
+  }
+  return getPlans().find(plan => plan.priceId === priceId) || null;
+}
+
+/**
+ * Get the tier a Stripe subscription entitles its customer to
+ * @param {string} priceId - Stripe price of the subscription's item
+ * @param {string} status - Stripe subscription status
+ * @returns {string} The plan's tier ('base' for prices outside the catalog),
+ *   or 'free' when the subscription isn't active
+ */
+function getSubscriptionTier(priceId, status) {
+  if (!ENTITLED_SUBSCRIPTION_STATUSES.includes(status)) {
+    return 'free';
+  }
+  const plan = getPlanByStripePrice(priceId);
+  return plan ? plan.tier : 'base';
+}
+
+/**
+ * Get the IDs of all tiers (including aliases)
+ * @returns {string[]}
+ */
+function getTierIds() {
+  return Object.keys(catalog.tiers);
+}
+
+/**
+ * Get the credit cost of a generation
+ * @param {'quick' | 'premium'} modelType
+ * @returns {number}
+ */
+function getCreditCost(modelType) {
+  return modelType === 'premium' ? catalog.credits.premiumCost : catalog.credits.quickCost;
+}
+
+/**
+ * Get the credits granted for a referral (after the referee's first paid purchase)
+ * @returns {{ referrer: number, referee: number }}
+ */
+function getReferralRewards() {
+  return {
+    referrer: catalog.referrals.referrerCredits,
+    referee: catalog.referrals.refereeCredits,
+  };
+}
+
+/**
+ * Get a product's settings
+ * @param {string} productId - e.g. 'credit_pack', 'watermark_removal', 'gift_pack'
+ * @returns {object|null} { id, name, description, amount (cents), price, credits, priceId, features,
+ *   expiresInDays (null = never) }
+ */
+function getProduct(productId) {
+  const product = catalog.products[productId];
+  if (!product) {
+    return null;
+  }
+
+  return {
+    id: productId,
+    name: product.name,
+    description: product.description || '',
+    amount: product.amount,
+    price: toDecimal(product.amount),
+    credits: product.credits,
+    priceId: resolveStripePrice(product).priceId,
+    features: product.features || [],
+    expiresInDays: product.expiresInDays || null,
+  };
+}
+
+/**
+ * Get the Stripe price ID for a subscription plan or a product
+ * @param {'plan' | 'product'} kind
+ * @param {string} id - Plan or product ID
+ * @returns {string}
+ * @throws {Error} "<ENV_NAME> not configured" when no price ID is set
+ */
+function requireStripePriceId(kind, id) {
+  const entry = kind === 'plan' ? catalog.plans[id] : catalog.products[id];
+  if (!entry) {
+    throw new Error(`Pricing catalog has no ${kind} '${id}' for sale`);
+  }
+
+  const { priceId, envName } = resolveStripePrice(entry);
+  if (!priceId) {
+    throw new Error(`${envName || `Stripe price for ${kind} '${id}'`} not configured`);
+  }
+  return priceId;
+}
+
+/**
+ * Tier and pricing details that are safe to show to clients
+ * (/api/config, /api/me, the upgrade page) - no Stripe price IDs
+ * @returns {object} { tiers, pricing } - pricing carries the catalog version
+ */
+function getPublicPricing() {
+  const tiers = getTierIds()
+    .map(getTier)
+    .map(tier => ({
+      id: tier.id,
+      name: tier.name,
+      limit: tier.limit === Infinity ? 'unlimited' : tier.limit,
+      monthlyLimit: tier.monthlyLimit === Infinity ? 'unlimited' : tier.monthlyLimit,
+      quickLimit: tier.quickLimit,
+      premiumLimit: tier.premiumLimit,
+      description: tier.description,
+      watermarkFree: tier.watermarkFree || false,
+      priceMonthly: tier.priceMonthly || null,
+      plans: tier.plans,
+      features: tier.features
+    }));
+
+  const plans = getPlans().map(({ priceId, ...plan }) => plan);
+  const defaultPlan = getDefaultPlan();
+  const subscriptionTier = getTier(defaultPlan.tier);
+  const creditPack = getProduct('credit_pack');
+  const watermarkRemoval = getProduct('watermark_removal');
+  const giftPack = getProduct('gift_pack');
+
+  return {
+    tiers,
+    pricing: {
+      version: catalog.version,
+      currency: catalog.currency,
+      // The default plan (kept for clients that only offer one subscription)
+      subscription: {
+        plan: defaultPlan.id,
+        name: subscriptionTier.name,
+        priceMonthly: defaultPlan.priceMonthly,
+        monthlyLimit: subscriptionTier.monthlyLimit,
+        description: subscriptionTier.description,
+        features: subscriptionTier.features
+      },
+      plans,
+      credit: {
+        pricePerPack: creditPack.price,
+        creditsPerPack: creditPack.credits,
+        pricePerCredit: toDecimal(creditPack.amount / creditPack.credits),
+        quickCost: catalog.credits.quickCost,
+        premiumCost: catalog.credits.premiumCost,
+        description: creditPack.description,
+        features: creditPack.features
+      },
+      watermarkRemoval: {
+        price: watermarkRemoval.price,
+        credits: watermarkRemoval.credits,
+        description: watermarkRemoval.description
+      },
+      referral: {
+        referrerCredits: catalog.referrals.referrerCredits,
+        refereeCredits: catalog.referrals.refereeCredits
+      },
+      // null when the catalog doesn't sell gift packs
+      gift: giftPack ? {
+        pricePerPack: giftPack.price,
+        creditsPerPack: giftPack.credits,
+        expiresInDays: giftPack.expiresInDays,
+        description: giftPack.description
+      } : null
+    }
+  };
+}
+
+// Validate the catalog file at startup
+loadCatalogFile();
+
+module.exports = {
+  validateCatalog,
+  setCatalog,
+  loadCatalogFile,
+  refreshFromDatabase,
+  ready,
+  reload,
+  onCatalogChange,
+  getCatalog,
+  getVersion,
+  getTier,
+  getTierIds,
+  getPlan,
+  getPlans,
+  getDefaultPlan,
+  getPlanByStripePrice,
+  getSubscriptionTier,
+  getCreditCost,
+  getReferralRewards,
+  getProduct,
+  requireStripePriceId,
+  getPublicPricing,
+  TABLE_NAME,
+  ENTITLED_SUBSCRIPTION_STATUSES,
+};
@@ -0,0 +1,68 @@
+/**
+ * Profile Service
+ * Reads and updates user profiles in Supabase
+ *
+ * Uses supabaseAdmin (service role key) to bypass RLS policies.
+ * Both helpers are no-ops when Supabase isn't configured.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+/**
+ * Get user profile from Supabase
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} User profile or null
+ */
+async function getProfile(userId) {
+  if (!supabaseAdmin || !userId) return null;
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (error) {
+      console.error('Error fetching profile:', error.message);
+      return null;
+    }
+
+    return data;
+  } catch (err) {
+    console.error('Profile fetch error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Update user profile in Supabase
+ * @param {string} userId - User ID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateProfile(userId, updates) {
+  if (!supabaseAdmin || !userId) return false;
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('profiles')
+      .update(updates)
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error updating profile:', error.message);
+      return false;
+    }
+
+    return true;
+  } catch (err) {
+    console.error('Profile update error:', err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  getProfile,
+  updateProfile,
+};
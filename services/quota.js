@@ -0,0 +1,356 @@
+/**
+ * Quota Reservation Service
+ *
+ * /api/generate reserves one generation's worth of quota before the provider
+ * is called, and settles the reservation afterwards:
+ * - reserve: checked against usage AND other requests' active holds, so
+ *   parallel requests can't all pass the same "1 left" check
+ * - commit:  generation completed - count the usage / spend the credits
+ * - release: generation failed or was refused - give the hold back
+ * - expire:  nobody settled it within RESERVATION_TTL_MS (worker died) - the
+ *   hold stops counting on its own
+ *
+ * Pools: 'quick' / 'premium' (free & anonymous quotas), 'monthly' (shared-pool
+ * tiers such as base/paid) and 'credits' (once the quota is used up).
+ *
+ * Storage:
+ * - Primary: Supabase quota_reservations table via the reserve/commit/release
+ *   RPCs (the owner's profile row is locked while holds are counted)
+ * - Fallback: In-memory Map (for when Supabase is not configured, or the RPC
+ *   fails - still safe within one process, since a reservation is checked and
+ *   stored without yielding to other requests)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const pricing = require('./pricing');
+const usage = require('./usage');
+const { WINDOW_SECONDS } = require('../lib/anon');
+
+// How long an unsettled hold keeps counting. Must outlast queue wait plus
+// GENERATION_TIMEOUT_MS, or slow jobs could be overspent.
+const RESERVATION_TTL_MS = parseInt(process.env.QUOTA_RESERVATION_TTL_MS, 10) || 15 * 60 * 1000;
+
+// In-memory fallback store (used when Supabase is not configured)
+// Structure: { reservationId: reservation }
+const reservations = new Map();
+
+const POOL = {
+  QUICK: 'quick',
+  PREMIUM: 'premium',
+  MONTHLY: 'monthly',
+  CREDITS: 'credits',
+};
+
+const STATUS = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+};
+
+// Why a reservation was refused or could not be settled
+const REFUSAL = {
+  EXHAUSTED: 'exhausted',
+  NOT_FOUND: 'not_found',
+  ALREADY_COMMITTED: 'already_committed',
+  ALREADY_RELEASED: 'already_released',
+};
+
+/**
+ * Check whether reservations are persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Mark lapsed in-memory holds as expired, and forget holds one TTL after they
+ * lapsed (settled or not)
+ */
+function expireStale(now = Date.now()) {
+  for (const [id, reservation] of reservations.entries()) {
+    if (reservation.expiresAt + RESERVATION_TTL_MS <= now) {
+      reservations.delete(id);
+    } else if (reservation.status === STATUS.ACTIVE && reservation.expiresAt <= now) {
+      reservation.status = STATUS.EXPIRED;
+    }
+  }
+}
+
+/**
+ * Whether an in-memory hold belongs to the same owner
+ * Anonymous holds match on the session OR the IP, like anonymous usage does
+ * (clearing the cookie between parallel requests doesn't get around them).
+ */
+function sameOwner(reservation, owner) {
+  if (owner.userId) {
+    return reservation.userId === owner.userId;
+  }
+  return !reservation.userId && (
+    (owner.anonId && reservation.anonId === owner.anonId) ||
+    (owner.ipAddress && reservation.ipAddress === owner.ipAddress)
+  );
+}
+
+/**
+ * Count an owner's active in-memory holds per pool
+ * @returns {{ quick: number, premium: number, monthly: number, credits: number }}
+ *   credits is the number of credits held, the others are generations
+ */
+function getPending(owner) {
+  const pending = { quick: 0, premium: 0, monthly: 0, credits: 0 };
+  for (const reservation of reservations.values()) {
+    if (reservation.status === STATUS.ACTIVE && sameOwner(reservation, owner)) {
+      pending[reservation.pool] += reservation.pool === POOL.CREDITS ? reservation.creditCost : 1;
+    }
+  }
+  return pending;
+}
+
+/**
+ * Pool a generation draws from when it isn't paid with credits
+ */
+function getQuotaPool(tier, modelType) {
+  return pricing.getTier(tier).sharedPool ? POOL.MONTHLY : modelType;
+}
+
+/**
+ * Reserve in memory
+ * NOTE: Must not await between reading the pending holds and storing the new
+ * one - that's what makes it atomic within the process.
+ */
+function reserveInMemory(owner, profile, modelType) {
+  const now = Date.now();
+  expireStale(now);
+
+  const check = usage.checkModelUsage(owner.userId, profile, modelType, owner.ipAddress, owner.anonId, getPending(owner));
+  if (!check.canGenerate) {
+    return { reserved: false, reason: REFUSAL.EXHAUSTED, reservation: null };
+  }
+
+  const reservation = {
+    id: crypto.randomUUID(),
+    userId: owner.userId,
+    anonId: owner.userId ? null : owner.anonId,
+    ipAddress: owner.userId ? null : owner.ipAddress,
+    modelType,
+    pool: check.useCredit ? POOL.CREDITS : getQuotaPool(usage.getUserTier(owner.userId, profile), modelType),
+    creditCost: check.useCredit ? check.creditCost : 0,
+    status: STATUS.ACTIVE,
+    expiresAt: now + RESERVATION_TTL_MS,
+    persistent: false,
+  };
+  reservations.set(reservation.id, reservation);
+
+  return { reserved: true, reason: null, reservation: { ...reservation } };
+}
+
+/**
+ * Take a hold on one pool through the reserve_generation_quota RPC
+ * @returns {Promise<object>} { reserved, reason, reservationId, expiresAt }
+ */
+async function reserveInDb(owner, pool, limit, creditCost) {
+  const { data, error } = await supabaseAdmin
+    .rpc('reserve_generation_quota', {
+      p_user_id: owner.userId,
+      p_anon_id: owner.userId ? null : owner.anonId,
+      p_pool: pool,
+      p_limit: limit,
+      p_credit_cost: creditCost,
+      p_ttl_seconds: Math.ceil(RESERVATION_TTL_MS / 1000),
+      p_window_seconds: WINDOW_SECONDS,
+    })
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to reserve ${pool} quota: ${error.message}`);
+  }
+
+  return {
+    reserved: data.reserved,
+    reason: data.reason || null,
+    reservationId: data.reservation_id || null,
+    expiresAt: data.hold_expires_at ? new Date(data.hold_expires_at).getTime() : null,
+  };
+}
+
+/**
+ * Reserve one generation for a user or anonymous session
+ * Tries the tier's quota first, then credits (for tiers that can buy them).
+ * @param {object} owner - Who is generating
+ * @param {string|null} owner.userId
+ * @param {string|null} owner.anonId - Anonymous session ID (from cookie)
+ * @param {string|null} owner.ipAddress
+ * @param {object|null} profile - User profile (for tier, counts and credits)
+ * @param {'quick' | 'premium'} modelType
+ * @returns {Promise<object>} { reserved, reason, reservation } - reservation is
+ *   passed back to commitReservation() / releaseReservation()
+ */
+async function reserve(owner, profile, modelType) {
+  owner = { userId: owner.userId || null, anonId: owner.anonId || null, ipAddress: owner.ipAddress || null };
+
+  if (!isPersistent() || (!owner.userId && !owner.anonId)) {
+    return reserveInMemory(owner, profile, modelType);
+  }
+
+  const tier = usage.getUserTier(owner.userId, profile);
+  const tierConfig = pricing.getTier(tier);
+  const pool = getQuotaPool(tier, modelType);
+  const limit = pool === POOL.MONTHLY ? tierConfig.monthlyLimit
+    : modelType === 'premium' ? tierConfig.premiumLimit : tierConfig.quickLimit;
+
+  try {
+    let creditCost = 0;
+    let result = await reserveInDb(owner, pool, limit, 0);
+    if (!result.reserved && result.reason === REFUSAL.EXHAUSTED && owner.userId && tierConfig.canPurchaseCredits) {
+      creditCost = usage.getCreditCost(modelType);
+      result = await reserveInDb(owner, POOL.CREDITS, 0, creditCost);
+    }
+
+    // Profile not in Supabase (e.g. in-memory dev users) - hold it locally
+    if (!result.reserved && result.reason !== REFUSAL.EXHAUSTED) {
+      return reserveInMemory(owner, profile, modelType);
+    }
+    if (!result.reserved) {
+      return { reserved: false, reason: result.reason, reservation: null };
+    }
+
+    return {
+      reserved: true,
+      reason: null,
+      reservation: {
+        id: result.reservationId,
+        userId: owner.userId,
+        anonId: owner.userId ? null : owner.anonId,
+        ipAddress: owner.userId ? null : owner.ipAddress,
+        modelType,
+        pool: creditCost ? POOL.CREDITS : pool,
+        creditCost,
+        status: STATUS.ACTIVE,
+        expiresAt: result.expiresAt,
+        persistent: true,
+      },
+    };
+  } catch (err) {
+    // Don't block generations on a database problem - fall back to holding
+    // in memory (still stops parallel requests to this instance)
+    console.error('[quota] Error reserving quota:', err.message);
+    return reserveInMemory(owner, profile, modelType);
+  }
+}
+
+/**
+ * Commit a reservation once its generation completed
+ * For Supabase holds this also counts the usage (profile counters, credit
+ * spend through the ledger) in the same transaction; anonymous usage must be
+ * counted with incrementAnonUsage() first. In-memory holds are only marked -
+ * the caller counts the usage before committing.
+ * Expired holds still commit (the generation did happen).
+ * @param {object} reservation - From reserve()
+ * @param {string|null} generationId - Generation being paid for
+ * @returns {Promise<object>} { committed, reason, counts } - counts (Supabase
+ *   user holds only) is { quickCount, premiumCount, monthlyCount, totalCount, credits }
+ */
+async function commitReservation(reservation, generationId = null) {
+  if (!reservation.persistent) {
+    const stored = reservations.get(reservation.id);
+    if (!stored) {
+      return { committed: false, reason: REFUSAL.NOT_FOUND, counts: null };
+    }
+    if (stored.status === STATUS.COMMITTED || stored.status === STATUS.RELEASED) {
+      return { committed: false, reason: `already_${stored.status}`, counts: null };
+    }
+    stored.status = STATUS.COMMITTED;
+    stored.generationId = generationId;
+    return { committed: true, reason: null, counts: null };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('commit_generation_quota', {
+      p_reservation_id: reservation.id,
+      p_generation_id: generationId,
+    })
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to commit quota reservation: ${error.message}`);
+  }
+
+  if (data.reason && data.committed) {
+    console.warn(`[quota] Credit charge for ${generationId || 'generation'} not applied: ${data.reason}`);
+  }
+
+  return {
+    committed: data.committed,
+    reason: data.reason || null,
+    counts: data.committed && reservation.userId ? {
+      quickCount: data.new_quick,
+      premiumCount: data.new_premium,
+      monthlyCount: data.new_monthly,
+      totalCount: data.new_total,
+      credits: data.new_credits,
+    } : null,
+  };
+}
+
+/**
+ * Give a reservation back (generation failed or was refused)
+ * @param {object} reservation - From reserve()
+ * @returns {Promise<boolean>} false if it was already settled
+ */
+async function releaseReservation(reservation) {
+  if (!reservation.persistent) {
+    const stored = reservations.get(reservation.id);
+    if (!stored || stored.status !== STATUS.ACTIVE) {
+      return false;
+    }
+    stored.status = STATUS.RELEASED;
+    return true;
+  }
+
+  const { data, error } = await supabaseAdmin.rpc('release_generation_quota', {
+    p_reservation_id: reservation.id,
+  });
+
+  if (error) {
+    // The hold will expire on its own
+    console.error('[quota] Error releasing reservation:', error.message);
+    return false;
+  }
+
+  return data === true;
+}
+
+/**
+ * Get an in-memory reservation's current state (for debugging/tests)
+ * @param {string} reservationId
+ * @returns {object|null}
+ */
+function getReservation(reservationId) {
+  expireStale();
+  const stored = reservations.get(reservationId);
+  return stored ? { ...stored } : null;
+}
+
+/**
+ * Clear all in-memory reservations (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  reservations.clear();
+}
+
+module.exports = {
+  reserve,
+  commitReservation,
+  releaseReservation,
+  getReservation,
+  clearAll,
+  isPersistent,
+  POOL,
+  STATUS,
+  REFUSAL,
+  RESERVATION_TTL_MS,
+};
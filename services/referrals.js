@@ -0,0 +1,633 @@
+/**
+ * Referral Service
+ *
+ * Every signed-in user has a referral code (and link, /?ref=<code>). A new
+ * user who signs up through a link claims the referral; when that referee
+ * makes their first paid purchase, both sides get credits (the amounts come
+ * from the pricing catalog's referrals section).
+ *
+ * A referral is one of:
+ * - pending:  claimed, waiting for the referee's first paid purchase
+ * - rewarded: credits granted to both sides (once per referral)
+ * - rejected: refused by a fraud check - kept so repeat attempts count
+ *
+ * Fraud checks use the anonymous-session signals from lib/anon.js (IP prefix,
+ * User-Agent hash, fingerprint hash, anon_id cookie):
+ * - no self-referrals, and no referrals from the referrer's own device
+ * - only new accounts, without an earlier purchase, can be referred
+ * - per IP prefix and per referrer caps on claims, and a lifetime cap on
+ *   rewarded referrals per referrer
+ * Free (100% discount) checkouts never reward a referral.
+ *
+ * Storage:
+ * - Primary: Supabase referral_codes and referrals tables
+ * - Fallback: In-memory Maps (for when Supabase is not configured, e.g. local dev/tests)
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+const { hashValue, getIpPrefix } = require('../lib/anon');
+const credits = require('./credits');
+const pricing = require('./pricing');
+
+// Supabase table names
+const CODES_TABLE = 'referral_codes';
+const TABLE_NAME = 'referrals';
+
+// In-memory fallback stores (used only when Supabase is not configured)
+// codes: { userId: codeRecord }, referrals: { refereeId: referral }
+const codes = new Map();
+const referrals = new Map();
+
+const STATUS = {
+  PENDING: 'pending',
+  REWARDED: 'rewarded',
+  REJECTED: 'rejected',
+};
+
+// Why a claim or reward was refused
+const REJECTION = {
+  SELF: 'self_referral',
+  SAME_DEVICE: 'same_device',
+  ACCOUNT_TOO_OLD: 'account_too_old',
+  EXISTING_CUSTOMER: 'existing_customer',
+  IP_CAP: 'ip_cap',
+  REFERRER_DAILY_CAP: 'referrer_daily_cap',
+  REFERRER_CAP: 'referrer_cap',
+};
+
+// Only accounts younger than this can claim a referral
+const CLAIM_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Claims from one IP prefix (any referrer) per day
+const MAX_CLAIMS_PER_IP_PREFIX = 3;
+
+// Claims of one referrer's code per day
+const MAX_CLAIMS_PER_REFERRER_PER_DAY = 10;
+
+// Rewarded referrals per referrer, ever
+const MAX_REWARDS_PER_REFERRER = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Codes: 8 characters without look-alikes (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_REGEX = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+/**
+ * Check whether referrals are persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Map a Supabase row (snake_case) to a referral (camelCase)
+ * @param {object} row - Row from the referrals table
+ * @returns {object} Referral
+ */
+function toReferral(row) {
+  return {
+    id: row.id,
+    referrerId: row.referrer_id,
+    refereeId: row.referee_id,
+    code: row.code,
+    status: row.status,
+    rejectReason: row.reject_reason || null,
+    ipPrefix: row.ip_prefix || null,
+    uaHash: row.ua_hash || null,
+    fpHash: row.fp_hash || null,
+    anonId: row.anon_id || null,
+    stripeSessionId: row.stripe_session_id || null,
+    referrerCredits: row.referrer_credits || 0,
+    refereeCredits: row.referee_credits || 0,
+    createdAt: row.created_at,
+    rewardedAt: row.rewarded_at || null,
+  };
+}
+
+/**
+ * Hash the request signals the same way lib/anon.js stores them
+ * @param {object} signals - { ipAddress, userAgent, fingerprint, anonId }
+ * @returns {object} { ipPrefix, uaHash, fpHash, anonId }
+ */
+function toSignals(signals = {}) {
+  return {
+    ipPrefix: getIpPrefix(signals.ipAddress) || null,
+    uaHash: hashValue(signals.userAgent) || null,
+    fpHash: signals.fingerprint ? hashValue(signals.fingerprint) : null,
+    anonId: signals.anonId || null,
+  };
+}
+
+/**
+ * Whether two sets of hashed signals come from the same device
+ */
+function isSameDevice(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  return (a.fpHash && a.fpHash === b.fpHash) ||
+    (a.anonId && a.anonId === b.anonId) ||
+    (a.ipPrefix && a.uaHash && a.ipPrefix === b.ipPrefix && a.uaHash === b.uaHash) ||
+    false;
+}
+
+/**
+ * Generate a random referral code
+ * @returns {string}
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalize a code from a link or form (case-insensitive)
+ * @param {string} code
+ * @returns {string|null} The code, or null if it can't be one
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.trim().toUpperCase();
+  return CODE_REGEX.test(normalized) ? normalized : null;
+}
+
+/**
+ * Build the shareable link for a code
+ * @param {string} code
+ * @returns {string}
+ */
+function getReferralLink(code) {
+  return `${process.env.APP_URL || 'http://localhost:3000'}/?ref=${code}`;
+}
+
+/**
+ * Get a user's referral code, creating it on first use
+ * Also records the signals of the request (the referrer's device), so
+ * referrals claimed from that device are refused.
+ * @param {string} userId
+ * @param {object} signals - { ipAddress, userAgent, fingerprint, anonId }
+ * @returns {Promise<string>}
+ */
+async function getReferralCode(userId, signals = {}) {
+  if (!userId) {
+    throw new Error('userId is required for a referral code');
+  }
+  const hashed = toSignals(signals);
+
+  if (!isPersistent()) {
+    const existing = codes.get(userId);
+    const record = existing || { userId, code: generateCode(), createdAt: new Date().toISOString() };
+    codes.set(userId, { ...record, ...hashed, updatedAt: new Date().toISOString() });
+    return record.code;
+  }
+
+  const { data: existing, error } = await supabaseAdmin
+    .from(CODES_TABLE)
+    .select('code')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[referrals] Error fetching referral code:', error.message);
+    throw new Error(`Failed to get referral code: ${error.message}`);
+  }
+
+  const row = {
+    ip_prefix: hashed.ipPrefix,
+    ua_hash: hashed.uaHash,
+    fp_hash: hashed.fpHash,
+    anon_id: hashed.anonId,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (existing) {
+    const { error: updateError } = await supabaseAdmin
+      .from(CODES_TABLE)
+      .update(row)
+      .eq('user_id', userId);
+    if (updateError) {
+      console.error('[referrals] Error updating referral code signals:', updateError.message);
+    }
+    return existing.code;
+  }
+
+  // Retry on the (unlikely) clash with another user's code
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const code = generateCode();
+    const { error: insertError } = await supabaseAdmin
+      .from(CODES_TABLE)
+      .insert({ user_id: userId, code, ...row });
+
+    if (!insertError) {
+      return code;
+    }
+    if (insertError.code !== '23505') {
+      console.error('[referrals] Error creating referral code:', insertError.message);
+      throw new Error(`Failed to create referral code: ${insertError.message}`);
+    }
+
+    // A concurrent request may have created this user's code
+    const { data: created } = await supabaseAdmin
+      .from(CODES_TABLE)
+      .select('code')
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (created) {
+      return created.code;
+    }
+  }
+
+  throw new Error('Failed to create referral code: no unique code found');
+}
+
+/**
+ * Find the owner of a code, with their recorded device signals
+ * @param {string} code - Normalized code
+ * @returns {Promise<object|null>} { userId, code, ipPrefix, uaHash, fpHash, anonId }
+ */
+async function findCode(code) {
+  if (!isPersistent()) {
+    const record = Array.from(codes.values()).find(entry => entry.code === code);
+    return record ? { ...record } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(CODES_TABLE)
+    .select('*')
+    .eq('code', code)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[referrals] Error looking up referral code:', error.message);
+    throw new Error(`Failed to look up referral code: ${error.message}`);
+  }
+
+  return data ? {
+    userId: data.user_id,
+    code: data.code,
+    ipPrefix: data.ip_prefix || null,
+    uaHash: data.ua_hash || null,
+    fpHash: data.fp_hash || null,
+    anonId: data.anon_id || null,
+  } : null;
+}
+
+/**
+ * Count referrals matching a filter
+ * @param {object} filter - { ipPrefix, referrerId, status, since (ISO) }
+ * @returns {Promise<number>}
+ */
+async function countReferrals(filter) {
+  if (!isPersistent()) {
+    return Array.from(referrals.values()).filter(referral =>
+      (!filter.ipPrefix || referral.ipPrefix === filter.ipPrefix) &&
+      (!filter.referrerId || referral.referrerId === filter.referrerId) &&
+      (!filter.status || referral.status === filter.status) &&
+      (!filter.since || referral.createdAt >= filter.since)
+    ).length;
+  }
+
+  let query = supabaseAdmin.from(TABLE_NAME).select('id', { count: 'exact', head: true });
+  if (filter.ipPrefix) query = query.eq('ip_prefix', filter.ipPrefix);
+  if (filter.referrerId) query = query.eq('referrer_id', filter.referrerId);
+  if (filter.status) query = query.eq('status', filter.status);
+  if (filter.since) query = query.gte('created_at', filter.since);
+
+  const { count, error } = await query;
+  if (error) {
+    console.error('[referrals] Error counting referrals:', error.message);
+    throw new Error(`Failed to count referrals: ${error.message}`);
+  }
+  return count || 0;
+}
+
+/**
+ * Decide whether a claim is refused, and why
+ * @returns {Promise<string|null>} One of REJECTION, or null to accept
+ */
+async function checkClaim(refereeId, owner, hashed, referee) {
+  if (owner.userId === refereeId) {
+    return REJECTION.SELF;
+  }
+  if (isSameDevice(owner, hashed)) {
+    return REJECTION.SAME_DEVICE;
+  }
+
+  const createdAt = referee.accountCreatedAt ? new Date(referee.accountCreatedAt).getTime() : NaN;
+  if (!Number.isFinite(createdAt) || Date.now() - createdAt > CLAIM_WINDOW_MS) {
+    return REJECTION.ACCOUNT_TOO_OLD;
+  }
+  if (referee.isExistingCustomer) {
+    return REJECTION.EXISTING_CUSTOMER;
+  }
+
+  const since = new Date(Date.now() - DAY_MS).toISOString();
+  if (hashed.ipPrefix && await countReferrals({ ipPrefix: hashed.ipPrefix, since }) >= MAX_CLAIMS_PER_IP_PREFIX) {
+    return REJECTION.IP_CAP;
+  }
+  if (await countReferrals({ referrerId: owner.userId, since }) >= MAX_CLAIMS_PER_REFERRER_PER_DAY) {
+    return REJECTION.REFERRER_DAILY_CAP;
+  }
+  if (await countReferrals({ referrerId: owner.userId, status: STATUS.REWARDED }) >= MAX_REWARDS_PER_REFERRER) {
+    return REJECTION.REFERRER_CAP;
+  }
+  return null;
+}
+
+/**
+ * Get the referral a user was referred by
+ * @param {string} refereeId
+ * @returns {Promise<object|null>}
+ */
+async function getReferral(refereeId) {
+  if (!isPersistent()) {
+    const referral = referrals.get(refereeId);
+    return referral ? { ...referral } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('referee_id', refereeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[referrals] Error fetching referral:', error.message);
+    return null;
+  }
+
+  return data ? toReferral(data) : null;
+}
+
+/**
+ * Claim a referral for a newly signed-up user
+ * A user can be referred once; refused claims are stored as rejected.
+ * @param {string} refereeId - The new user
+ * @param {string} code - Referral code from the link
+ * @param {object} options
+ * @param {object} options.signals - { ipAddress, userAgent, fingerprint, anonId }
+ * @param {string} options.accountCreatedAt - When the referee signed up
+ * @param {boolean} options.isExistingCustomer - The referee has bought before
+ * @returns {Promise<{ claimed: boolean, reason: string|null, referral: object|null }>}
+ *   reason is 'invalid_code', 'unknown_code', 'already_referred' or one of REJECTION
+ */
+async function claimReferral(refereeId, code, options = {}) {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return { claimed: false, reason: 'invalid_code', referral: null };
+  }
+
+  const existing = await getReferral(refereeId);
+  if (existing) {
+    return { claimed: false, reason: 'already_referred', referral: existing };
+  }
+
+  const owner = await findCode(normalized);
+  if (!owner) {
+    return { claimed: false, reason: 'unknown_code', referral: null };
+  }
+
+  const hashed = toSignals(options.signals);
+  const rejectReason = await checkClaim(refereeId, owner, hashed, options);
+  const referral = {
+    id: crypto.randomUUID(),
+    referrerId: owner.userId,
+    refereeId,
+    code: normalized,
+    status: rejectReason ? STATUS.REJECTED : STATUS.PENDING,
+    rejectReason,
+    ...hashed,
+    stripeSessionId: null,
+    referrerCredits: 0,
+    refereeCredits: 0,
+    createdAt: new Date().toISOString(),
+    rewardedAt: null,
+  };
+
+  if (!isPersistent()) {
+    if (referrals.has(refereeId)) {
+      return { claimed: false, reason: 'already_referred', referral: { ...referrals.get(refereeId) } };
+    }
+    referrals.set(refereeId, referral);
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .insert({
+        id: referral.id,
+        referrer_id: referral.referrerId,
+        referee_id: referral.refereeId,
+        code: referral.code,
+        status: referral.status,
+        reject_reason: referral.rejectReason,
+        ip_prefix: referral.ipPrefix,
+        ua_hash: referral.uaHash,
+        fp_hash: referral.fpHash,
+        anon_id: referral.anonId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique referee_id: a concurrent claim got there first
+      if (error.code === '23505') {
+        return { claimed: false, reason: 'already_referred', referral: await getReferral(refereeId) };
+      }
+      console.error('[referrals] Error storing referral:', error.message);
+      throw new Error(`Failed to store referral: ${error.message}`);
+    }
+    Object.assign(referral, toReferral(data));
+  }
+
+  if (rejectReason) {
+    console.warn(`[referrals] Refused referral of ${refereeId} by ${owner.userId}: ${rejectReason}`);
+    return { claimed: false, reason: rejectReason, referral: { ...referral } };
+  }
+
+  console.log(`[referrals] ${refereeId} was referred by ${owner.userId}`);
+  return { claimed: true, reason: null, referral: { ...referral } };
+}
+
+/**
+ * Move a pending referral to rewarded (only one caller can)
+ * @returns {Promise<object|null>} The referral, or null if it wasn't pending
+ */
+async function markRewarded(refereeId, sessionId, rewards) {
+  const rewardedAt = new Date().toISOString();
+
+  if (!isPersistent()) {
+    const referral = referrals.get(refereeId);
+    if (!referral || referral.status !== STATUS.PENDING) {
+      return null;
+    }
+    Object.assign(referral, {
+      status: STATUS.REWARDED,
+      stripeSessionId: sessionId,
+      referrerCredits: rewards.referrer,
+      refereeCredits: rewards.referee,
+      rewardedAt,
+    });
+    return { ...referral };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update({
+      status: STATUS.REWARDED,
+      stripe_session_id: sessionId,
+      referrer_credits: rewards.referrer,
+      referee_credits: rewards.referee,
+      rewarded_at: rewardedAt,
+    })
+    .eq('referee_id', refereeId)
+    .eq('status', STATUS.PENDING)
+    .select();
+
+  if (error) {
+    console.error('[referrals] Error marking referral rewarded:', error.message);
+    throw new Error(`Failed to reward referral: ${error.message}`);
+  }
+  return data && data.length > 0 ? toReferral(data[0]) : null;
+}
+
+/**
+ * Put a referral back to pending after its credits couldn't be granted
+ */
+async function revertReward(refereeId) {
+  if (!isPersistent()) {
+    const referral = referrals.get(refereeId);
+    if (referral) {
+      Object.assign(referral, { status: STATUS.PENDING, stripeSessionId: null, referrerCredits: 0, refereeCredits: 0, rewardedAt: null });
+    }
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update({ status: STATUS.PENDING, stripe_session_id: null, referrer_credits: 0, referee_credits: 0, rewarded_at: null })
+    .eq('referee_id', refereeId)
+    .eq('status', STATUS.REWARDED);
+
+  if (error) {
+    console.error('[referrals] Error reverting referral reward:', error.message);
+  }
+}
+
+/**
+ * Reward the referral of a user who just paid
+ * Called for every completed checkout (webhooks and /api/verify-session);
+ * only the referee's first paid one rewards, and only once.
+ * @param {string} refereeId - The user who paid
+ * @param {object} purchase
+ * @param {string} purchase.sessionId - Stripe checkout session ID
+ * @param {number} purchase.amountTotal - Amount charged, in cents
+ * @returns {Promise<{ rewarded: boolean, reason: string|null, referral: object|null }>}
+ *   reason is 'not_referred', 'not_pending', 'not_paid' or 'no_reward'
+ */
+async function rewardReferral(refereeId, purchase = {}) {
+  if (!refereeId) {
+    return { rewarded: false, reason: 'not_referred', referral: null };
+  }
+
+  const referral = await getReferral(refereeId);
+  if (!referral) {
+    return { rewarded: false, reason: 'not_referred', referral: null };
+  }
+  if (referral.status !== STATUS.PENDING) {
+    return { rewarded: false, reason: 'not_pending', referral };
+  }
+  // Promotion codes can bring a checkout down to zero - that's not a purchase
+  if (!(purchase.amountTotal > 0)) {
+    return { rewarded: false, reason: 'not_paid', referral };
+  }
+
+  const rewards = pricing.getReferralRewards();
+  if (rewards.referrer === 0 && rewards.referee === 0) {
+    return { rewarded: false, reason: 'no_reward', referral };
+  }
+
+  const rewarded = await markRewarded(refereeId, purchase.sessionId || null, rewards);
+  if (!rewarded) {
+    return { rewarded: false, reason: 'not_pending', referral: await getReferral(refereeId) };
+  }
+
+  try {
+    if (rewards.referee > 0) {
+      await credits.grantReferralCredits(refereeId, rewards.referee, { note: `Referral bonus (referred by ${rewarded.referrerId})` });
+    }
+    if (rewards.referrer > 0) {
+      await credits.grantReferralCredits(rewarded.referrerId, rewards.referrer, { note: `Referral reward (${refereeId})` });
+    }
+  } catch (error) {
+    // Leave it pending, so the next delivery of the purchase tries again
+    await revertReward(refereeId);
+    throw error;
+  }
+
+  console.log(`[referrals] Rewarded referral of ${refereeId} by ${rewarded.referrerId}: ${rewards.referee} + ${rewards.referrer} credits`);
+  return { rewarded: true, reason: null, referral: rewarded };
+}
+
+/**
+ * Summarize a referrer's referrals
+ * @param {string} referrerId
+ * @returns {Promise<{ pending: number, rewarded: number, creditsEarned: number }>}
+ */
+async function getReferralStats(referrerId) {
+  let rows;
+
+  if (!isPersistent()) {
+    rows = Array.from(referrals.values()).filter(referral => referral.referrerId === referrerId);
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('status, referrer_credits')
+      .eq('referrer_id', referrerId);
+
+    if (error) {
+      console.error('[referrals] Error fetching referral stats:', error.message);
+      return { pending: 0, rewarded: 0, creditsEarned: 0 };
+    }
+    rows = data.map(row => ({ status: row.status, referrerCredits: row.referrer_credits || 0 }));
+  }
+
+  return {
+    pending: rows.filter(row => row.status === STATUS.PENDING).length,
+    rewarded: rows.filter(row => row.status === STATUS.REWARDED).length,
+    creditsEarned: rows.reduce((total, row) => total + (row.status === STATUS.REWARDED ? row.referrerCredits : 0), 0),
+  };
+}
+
+/**
+ * Clear all in-memory codes and referrals (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  codes.clear();
+  referrals.clear();
+}
+
+module.exports = {
+  getReferralCode,
+  getReferralLink,
+  normalizeCode,
+  claimReferral,
+  rewardReferral,
+  getReferral,
+  getReferralStats,
+  clearAll,
+  isPersistent,
+  STATUS,
+  REJECTION,
+  CLAIM_WINDOW_MS,
+  MAX_CLAIMS_PER_IP_PREFIX,
+  MAX_CLAIMS_PER_REFERRER_PER_DAY,
+  MAX_REWARDS_PER_REFERRER,
+  TABLE_NAME,
+  CODES_TABLE,
+};
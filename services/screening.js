@@ -0,0 +1,231 @@
+/**
+ * Screening Service
+ * Refuses uploads that appear to show a minor or a protected public figure,
+ * before any provider call is made.
+ *
+ * - Minors: every face large enough to judge must have an apparent age of
+ *   at least MIN_APPARENT_AGE. The estimate is +/- several years, so the
+ *   threshold sits well above 18.
+ * - Protected figures: faces are compared against a local index of reference
+ *   photos, one folder per person, managed by admins:
+ *
+ *     config/protected-figures/        (or PROTECTED_FIGURES_DIR)
+ *       jane-doe/press-photo.jpg
+ *       jane-doe/portrait.png
+ *
+ *   Descriptors are cached in index.json inside that folder and recomputed
+ *   for any photo added or changed since. Reload with
+ *   POST /api/admin/protected-figures/reload after editing the folder.
+ *
+ * Faces are analysed locally (lib/faceEmbedding.js); uploads are not stored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectFaces, faceDistance, MAX_FACE_DISTANCE } = require('../lib/faceEmbedding');
+
+const DEFAULT_FIGURES_DIR = path.join(__dirname, '..', 'config', 'protected-figures');
+const INDEX_FILE = 'index.json';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Apparent age below this is treated as a minor
+const MIN_APPARENT_AGE = 21;
+
+// Age estimates on tiny background faces are noise - only judge faces at
+// least this many pixels across (in the downscaled detection image)
+const MIN_AGE_FACE_SIZE = 48;
+
+// Why an upload was refused (returned to the client as `details.reason`)
+const SCREENING_FAILURE = {
+  MINOR: 'minor',
+  PROTECTED_FIGURE: 'protected_figure',
+};
+
+const FAILURE_MESSAGES = {
+  [SCREENING_FAILURE.MINOR]: 'This photo appears to show someone under 18. Only photos of adults can be used.',
+  [SCREENING_FAILURE.PROTECTED_FIGURE]: 'This photo appears to show a public figure who can\'t be used. Please upload a photo of yourself.',
+};
+
+let indexPromise = null;
+
+function getFiguresDir() {
+  return process.env.PROTECTED_FIGURES_DIR || DEFAULT_FIGURES_DIR;
+}
+
+function readCachedIndex(dir) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+    return new Map((cached.entries || []).map(entry => [`${entry.name}/${entry.file}`, entry]));
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Build the protected-figure index from the reference folder
+ * Reuses cached descriptors for unchanged files.
+ * @returns {Promise<object>} { dir, entries: [{ name, file, descriptor }], skipped: [{ name, file, reason }] }
+ */
+async function buildIndex() {
+  const dir = getFiguresDir();
+  const index = { dir, entries: [], skipped: [] };
+
+  let people;
+  try {
+    people = fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+  } catch {
+    return index; // No folder - nobody is protected
+  }
+
+  const cached = readCachedIndex(dir);
+  let changed = false;
+
+  for (const person of people) {
+    const personDir = path.join(dir, person.name);
+    const files = fs.readdirSync(personDir)
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    for (const file of files) {
+      const stat = fs.statSync(path.join(personDir, file));
+      const hit = cached.get(`${person.name}/${file}`);
+      if (hit && hit.size === stat.size && hit.mtimeMs === stat.mtimeMs) {
+        index.entries.push({ ...hit, descriptor: Float32Array.from(hit.descriptor) });
+        continue;
+      }
+
+      changed = true;
+      let faces;
+      try {
+        faces = await detectFaces(fs.readFileSync(path.join(personDir, file)));
+      } catch (error) {
+        index.skipped.push({ name: person.name, file, reason: `unreadable: ${error.message}` });
+        continue;
+      }
+      // A reference photo must show exactly the one person it's filed under
+      if (faces.length !== 1) {
+        index.skipped.push({ name: person.name, file, reason: faces.length ? 'multiple faces' : 'no face' });
+        continue;
+      }
+      index.entries.push({
+        name: person.name,
+        file,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        descriptor: faces[0].descriptor,
+      });
+    }
+  }
+
+  if (changed || cached.size !== index.entries.length) {
+    try {
+      fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify({
+        entries: index.entries.map(entry => ({ ...entry, descriptor: Array.from(entry.descriptor) })),
+      }));
+    } catch (error) {
+      // Read-only filesystem (serverless) - the index is rebuilt per instance
+      console.warn(`[screening] Could not write ${INDEX_FILE}: ${error.message}`);
+    }
+  }
+
+  for (const skipped of index.skipped) {
+    console.warn(`[screening] Skipped ${skipped.name}/${skipped.file}: ${skipped.reason}`);
+  }
+  console.log(`[screening] Protected-figure index: ${index.entries.length} photo(s) from ${dir}`);
+  return index;
+}
+
+/**
+ * Get the protected-figure index (built once, on first use)
+ * @returns {Promise<object>}
+ */
+function getProtectedIndex() {
+  if (!indexPromise) {
+    indexPromise = buildIndex().catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+  return indexPromise;
+}
+
+/**
+ * Rebuild the index after the reference folder changed
+ * @returns {Promise<object>} Summary (see getProtectedIndexInfo)
+ */
+async function reloadProtectedIndex() {
+  indexPromise = null;
+  return getProtectedIndexInfo();
+}
+
+/**
+ * Admin summary of the index - names and files only, no descriptors
+ * @returns {Promise<object>} { dir, figures: [{ name, photos }], skipped }
+ */
+async function getProtectedIndexInfo() {
+  const index = await getProtectedIndex();
+  const figures = new Map();
+  for (const entry of index.entries) {
+    figures.set(entry.name, (figures.get(entry.name) || 0) + 1);
+  }
+  return {
+    dir: index.dir,
+    figures: [...figures].map(([name, photos]) => ({ name, photos })),
+    skipped: index.skipped,
+  };
+}
+
+/**
+ * Decide whether detected faces may be used
+ * @param {Array<object>} faces - From detectFaces()
+ * @param {Array<object>} entries - Protected-figure index entries
+ * @returns {object} { allowed: true } or { allowed: false, reason, message[, figure, distance, age] }
+ */
+function classifyFaces(faces, entries) {
+  for (const face of faces) {
+    if (face.sizePx >= MIN_AGE_FACE_SIZE && face.age < MIN_APPARENT_AGE) {
+      return {
+        allowed: false,
+        reason: SCREENING_FAILURE.MINOR,
+        message: FAILURE_MESSAGES[SCREENING_FAILURE.MINOR],
+        age: face.age,
+      };
+    }
+
+    for (const entry of entries) {
+      const distance = faceDistance(face.descriptor, entry.descriptor);
+      if (distance <= MAX_FACE_DISTANCE) {
+        return {
+          allowed: false,
+          reason: SCREENING_FAILURE.PROTECTED_FIGURE,
+          message: FAILURE_MESSAGES[SCREENING_FAILURE.PROTECTED_FIGURE],
+          figure: entry.name,
+          distance,
+        };
+      }
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Screen an uploaded photo
+ * @param {Buffer} photoBuffer - The uploaded userPhoto
+ * @returns {Promise<object>} See classifyFaces(). `figure`, `distance` and `age`
+ *   are for server logs only - don't send them to the client.
+ */
+async function screenUpload(photoBuffer) {
+  const [faces, index] = await Promise.all([detectFaces(photoBuffer), getProtectedIndex()]);
+  return classifyFaces(faces, index.entries);
+}
+
+module.exports = {
+  screenUpload,
+  classifyFaces,
+  reloadProtectedIndex,
+  getProtectedIndexInfo,
+  SCREENING_FAILURE,
+  MIN_APPARENT_AGE,
+  MIN_AGE_FACE_SIZE,
+};
@@ -2,13 +2,44 @@
  * Stripe Payment Service
  * Handles subscriptions and credit purchases for Pimp My Epstein
  *
- * Pricing Model:
- * - Base subscription: $14.99/month for 100 watermark-free images
- * - Credits: $3.00 per additional watermark-free image
+ * Prices and their Stripe price IDs come from the pricing catalog
+ * (services/pricing.js):
+ * - Subscription plans: Base monthly/annual, Pro - each plan is a Stripe price
+ *   and a tier; a subscriber's tier follows the price they pay for
+ * - Credits: credit packs, plus credits for 1 premium generation with each
+ *   watermark removal
+ * - Gift packs: credits for someone else - the checkout issues a gift code
+ *   (services/gifts.js) instead of crediting the buyer
+ *
+ * Purchased credits are granted through the credit ledger (services/credits.js),
+ * once per checkout session.
+ *
+ * Every checkout except gift packs accepts Stripe promotion codes (created in
+ * the Stripe Dashboard). A completed paid checkout also rewards the buyer's
+ * pending referral, if any (services/referrals.js).
+ *
+ * A failed renewal payment puts the subscriber in the dunning grace period
+ * (services/dunning.js); a successful payment ends it.
+ *
+ * Receipts and cancellation notices are emailed through the outbox
+ * (services/email.js), once per checkout session / cancellation.
+ * listCustomerPurchases() and getPurchase() read past purchases back from
+ * Stripe for the billing history (services/billing.js).
+ *
+ * Webhook events go through the event store (services/webhookEvents.js) with
+ * processWebhookEvent() as their handler - for both the Express route and the
+ * Vercel function (api/webhook/stripe.js). Events that can't be applied (a
+ * subscription of an unknown user, refused credits) fail and are retried.
  */
 
 const Stripe = require('stripe');
-const tiers = require('../config/tiers');
+const pricing = require('./pricing');
+const credits = require('./credits');
+const referrals = require('./referrals');
+const dunning = require('./dunning');
+const emailService = require('./email');
+const gifts = require('./gifts');
+const { supabaseAdmin } = require('../lib/supabase');
 
 // Initialize Stripe with secret key
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -48,17 +79,50 @@ function getUser(userId) {
 }
 
 /**
- * Create a Stripe Checkout session for Base subscription ($14.99/mo)
+ * Grant a checkout session's credits through the ledger
+ * Safe to call again for the same session (webhook retries, /api/verify-session):
+ * only the first call adds credits.
+ * @param {string} userId - Internal user ID
+ * @param {number} quantity - Credits bought
+ * @param {object} session - Stripe checkout session
+ * @returns {Promise<{ creditsAdded: number, creditBalance: number|null, refusal: string|null }>}
+ *   refusal: why the grant was refused (null when granted or already granted)
+ */
+async function grantSessionCredits(userId, quantity, session) {
+  const customerId = session.customer?.id || session.customer || null;
+  const grant = await credits.grantCredits(userId, quantity, {
+    stripeSessionId: session.id,
+    customerId,
+    note: `Checkout (${session.metadata?.type || session.mode})`
+  });
+
+  const user = getUser(userId);
+  user.stripe_customer_id = customerId;
+  if (grant.balance !== null) {
+    user.credit_balance = grant.balance;
+  }
+
+  if (!grant.applied) {
+    console.log(`Credits for session ${session.id} not granted to user ${userId}: ${grant.reason}`);
+  }
+  return {
+    creditsAdded: grant.applied ? quantity : 0,
+    creditBalance: grant.balance,
+    // Already granted (a retry, or /api/verify-session) isn't a failure
+    refusal: grant.applied || grant.reason === credits.REFUSAL.DUPLICATE ? null : grant.reason
+  };
+}
+
+/**
+ * Create a Stripe Checkout session for a subscription plan
  * @param {string} userId - Internal user ID
  * @param {string} email - User's email address
+ * @param {string} [planId] - Catalog plan ID (default: the catalog's default plan)
  * @returns {Promise<{url: string, sessionId: string}>}
  */
-async function createCheckoutSession(userId, email) {
-  // Use new price ID or fall back to legacy
-  const priceId = process.env.STRIPE_PRICE_BASE || process.env.STRIPE_PRICE_ID;
-  if (!priceId) {
-    throw new Error('STRIPE_PRICE_BASE not configured');
-  }
+async function createCheckoutSession(userId, email, planId = pricing.getDefaultPlan().id) {
+  // Throws e.g. "STRIPE_PRICE_BASE not configured" when the plan's price isn't set
+  const priceId = pricing.requireStripePriceId('plan', planId);
 
   // Get or create user
   const user = getUser(userId);
@@ -89,15 +153,18 @@ async function createCheckoutSession(userId, email) {
       },
     ],
     mode: 'subscription',
+    allow_promotion_codes: true,
     success_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?session_id={CHECKOUT_SESSION_ID}`,
     cancel_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?canceled=true`,
     metadata: {
       userId,
-      type: 'subscription'
+      type: 'subscription',
+      plan: planId
     },
     subscription_data: {
       metadata: {
-        userId
+        userId,
+        plan: planId
       }
     }
   });
@@ -109,17 +176,14 @@ async function createCheckoutSession(userId, email) {
 }
 
 /**
- * Create a Stripe Checkout session for credit purchase ($3.00 per credit)
+ * Create a Stripe Checkout session for a credit purchase
  * @param {string} userId - Internal user ID
  * @param {string} email - User's email address
  * @param {number} quantity - Number of credits to purchase (default: 1)
  * @returns {Promise<{url: string, sessionId: string}>}
  */
 async function createCreditCheckoutSession(userId, email, quantity = 1) {
-  const priceId = process.env.STRIPE_PRICE_CREDIT;
-  if (!priceId) {
-    throw new Error('STRIPE_PRICE_CREDIT not configured');
-  }
+  const priceId = pricing.requireStripePriceId('product', 'credit_pack');
 
   // Get or create user
   const user = getUser(userId);
@@ -150,6 +214,7 @@ async function createCreditCheckoutSession(userId, email, quantity = 1) {
       },
     ],
     mode: 'payment',  // One-time payment, not subscription
+    allow_promotion_codes: true,
     success_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?credits_purchased=${quantity}&session_id={CHECKOUT_SESSION_ID}`,
     cancel_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?canceled=true`,
     metadata: {
@@ -166,7 +231,64 @@ async function createCreditCheckoutSession(userId, email, quantity = 1) {
 }
 
 /**
- * Create a Stripe Checkout session for watermark removal + 1 premium generation ($2.99)
+ * Create a Stripe Checkout session for gift packs
+ * No promotion codes: a free checkout would mint free gift codes.
+ * @param {string} userId - Internal user ID (the buyer)
+ * @param {string} email - Buyer's email address (the gift code is sent here)
+ * @param {object} options
+ * @param {number} options.quantity - Gift packs in the one gift code
+ * @param {string|null} options.recipientEmail - Also email the code to the recipient
+ * @param {string|null} options.message - Personal message for the recipient
+ * @returns {Promise<{url: string, sessionId: string}>}
+ */
+async function createGiftCheckoutSession(userId, email, { quantity = 1, recipientEmail = null, message = null } = {}) {
+  const priceId = pricing.requireStripePriceId('product', 'gift_pack');
+
+  const user = getUser(userId);
+  user.email = email;
+
+  let customerId = user.stripe_customer_id;
+
+  if (!customerId) {
+    const customer = await stripe.customers.create({
+      email,
+      metadata: {
+        userId
+      }
+    });
+    customerId = customer.id;
+    user.stripe_customer_id = customerId;
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    customer: customerId,
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price: priceId,
+        quantity: quantity,
+      },
+    ],
+    mode: 'payment',
+    success_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?gift_purchased=true&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${process.env.APP_URL || 'http://localhost:3000'}/upgrade.html?canceled=true`,
+    metadata: {
+      userId,
+      type: 'gift',
+      quantity: quantity.toString(),
+      recipientEmail: recipientEmail || '',
+      giftMessage: message || ''
+    }
+  });
+
+  return {
+    url: session.url,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Create a Stripe Checkout session for watermark removal + 1 premium generation
  * Supports both authenticated and anonymous users
  *
  * @param {Object} options - Session options
@@ -181,10 +303,7 @@ async function createCreditCheckoutSession(userId, email, quantity = 1) {
 async function createWatermarkRemovalSession(options) {
   const { userId, email, anonId, generationId, viewToken, purchaseToken } = options;
 
-  const priceId = (process.env.STRIPE_PRICE_WATERMARK || '').trim();
-  if (!priceId) {
-    throw new Error('STRIPE_PRICE_WATERMARK not configured');
-  }
+  const priceId = pricing.requireStripePriceId('product', 'watermark_removal');
 
   const sessionConfig = {
     payment_method_types: ['card'],
@@ -195,6 +314,7 @@ async function createWatermarkRemovalSession(options) {
       },
     ],
     mode: 'payment',  // One-time payment
+    allow_promotion_codes: true,
     success_url: `${process.env.APP_URL || 'http://localhost:3000'}/?watermark_removed=true&session_id={CHECKOUT_SESSION_ID}`,
     cancel_url: `${process.env.APP_URL || 'http://localhost:3000'}/?canceled=true`,
     metadata: {
@@ -263,6 +383,56 @@ async function createCustomerPortalSession(customerId) {
   };
 }
 
+/**
+ * Move a subscription to another plan
+ * Upgrades (a higher price per month) are prorated and invoiced right away;
+ * downgrades are prorated as a credit on the next invoice. The new tier is
+ * applied by the customer.subscription.updated webhook that follows.
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {string} planId - Catalog plan ID to switch to
+ * @returns {Promise<{success: boolean, message: string, plan?: string, tier?: string, proration?: string}>}
+ */
+async function changeSubscriptionPlan(subscriptionId, planId) {
+  if (!subscriptionId) {
+    throw new Error('Subscription ID required');
+  }
+
+  const plan = pricing.getPlan(planId);
+  const priceId = pricing.requireStripePriceId('plan', planId);
+
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  const item = subscription.items?.data?.[0];
+  if (!item || !pricing.ENTITLED_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+    return { success: false, message: 'No active subscription found' };
+  }
+  if (item.price?.id === priceId) {
+    return { success: false, message: `Already subscribed to ${plan.name}` };
+  }
+
+  // Compare prices per month, so monthly and annual plans compare fairly
+  const currentMonthly = (item.price?.unit_amount || 0) / (item.price?.recurring?.interval === 'year' ? 12 : 1);
+  const newMonthly = plan.interval === 'year' ? plan.amount / 12 : plan.amount;
+  const proration = newMonthly > currentMonthly ? 'always_invoice' : 'create_prorations';
+
+  await stripe.subscriptions.update(subscriptionId, {
+    items: [{ id: item.id, price: priceId }],
+    proration_behavior: proration,
+    cancel_at_period_end: false,
+    metadata: {
+      ...subscription.metadata,
+      plan: planId
+    }
+  });
+
+  return {
+    success: true,
+    message: `Subscription changed to ${plan.name}`,
+    plan: planId,
+    tier: plan.tier,
+    proration
+  };
+}
+
 /**
  * Handle Stripe webhook events
  * @param {object} event - Stripe webhook event
@@ -272,7 +442,7 @@ async function handleWebhook(event) {
   switch (event.type) {
     case 'checkout.session.completed': {
       const session = event.data.object;
-      const userId = session.metadata?.userId;
+      const userId = session.metadata?.userId || await findProfileIdByCustomer(session.customer);
       const customerId = session.customer;
       const sessionMode = session.mode;
       const metadataType = session.metadata?.type;
@@ -280,103 +450,137 @@ async function handleWebhook(event) {
 
       // Handle credit purchases
       if (checkoutType === 'credit') {
-        const quantity = parseInt(session.metadata?.quantity || '1', 10);
+        const parsedQuantity = parseInt(session.metadata?.quantity || '1', 10);
+        const quantity = Number.isFinite(parsedQuantity) && parsedQuantity > 0 ? parsedQuantity : 1;
+        let creditsAdded = quantity;
 
         if (userId) {
-          const user = getUser(userId);
-          user.stripe_customer_id = customerId;
-          user.credit_balance = (user.credit_balance || 0) + quantity;
+          const grant = await grantSessionCredits(userId, quantity, session);
+          if (grant.refusal) {
+            return { success: false, message: `Credits not granted: ${grant.refusal}`, userId };
+          }
+          creditsAdded = grant.creditsAdded;
 
-          console.log(`Added ${quantity} credits to user ${userId}. New balance: ${user.credit_balance}`);
+          console.log(`Added ${creditsAdded} credits to user ${userId}. New balance: ${grant.creditBalance}`);
         }
 
         return {
           success: true,
-          message: `${quantity} credit(s) added`,
+          message: `${creditsAdded} credit(s) added`,
           userId,
-          creditsAdded: quantity,
+          creditsAdded,
           stripe_customer_id: customerId,
           checkoutType: 'credit'
         };
       }
 
-      // Handle watermark removal purchase ($2.99 = 1 premium generation, watermark-free)
+      // Handle gift packs (a gift code, emailed to the buyer - not credits)
+      if (checkoutType === 'gift') {
+        const { gift } = await gifts.issueGiftCode(session);
+
+        return {
+          success: true,
+          message: `Gift code issued (${gift.credits} credits)`,
+          userId,
+          creditsAdded: 0,
+          giftCredits: gift.credits,
+          stripe_customer_id: customerId,
+          checkoutType: 'gift'
+        };
+      }
+
+      // Handle watermark removal purchase (credits for 1 premium generation, watermark-free)
       if (checkoutType === 'watermark_removal') {
+        const watermarkCredits = pricing.getProduct('watermark_removal').credits;
+        let creditsAdded = watermarkCredits;
+
         if (userId) {
-          const user = getUser(userId);
-          user.stripe_customer_id = customerId;
-          // Add 2 credits (enough for 1 premium generation which costs 2 credits)
-          user.credit_balance = (user.credit_balance || 0) + 2;
+          // Enough credits for 1 premium generation
+          const grant = await grantSessionCredits(userId, watermarkCredits, session);
+          if (grant.refusal) {
+            return { success: false, message: `Credits not granted: ${grant.refusal}`, userId };
+          }
+          creditsAdded = grant.creditsAdded;
 
-          console.log(`Watermark removal purchased by user ${userId}. Added 2 credits for premium generation. Balance: ${user.credit_balance}`);
+          console.log(`Watermark removal purchased by user ${userId}. Added ${creditsAdded} credits for premium generation. Balance: ${grant.creditBalance}`);
         }
 
         return {
           success: true,
           message: 'Watermark removal + premium generation unlocked',
           userId,
-          creditsAdded: 2,
+          creditsAdded,
           stripe_customer_id: customerId,
           checkoutType: 'watermark_removal'
         };
       }
 
-      // Handle subscription checkout
+      // Handle subscription checkout (sessions without a plan predate plans)
       const subscriptionId = session.subscription;
       const monthlyResetAt = getNextResetDate().toISOString();
+      const plan = pricing.getPlan(session.metadata?.plan) || pricing.getDefaultPlan();
 
       if (userId) {
         const user = getUser(userId);
-        user.tier = 'base';  // Use 'base' for new subscriptions
+        user.tier = plan.tier;
         user.stripe_customer_id = customerId;
         user.stripe_subscription_id = subscriptionId;
         // Set monthly reset date
         user.monthly_generation_count = 0;
         user.monthly_reset_at = monthlyResetAt;
 
-        console.log(`Upgraded user ${userId} to base tier`);
+        console.log(`Upgraded user ${userId} to ${plan.tier} tier (${plan.id})`);
       }
 
       return {
         success: true,
         message: 'Subscription activated',
         userId,
-        tier: 'base',
+        tier: plan.tier,
         stripe_customer_id: customerId,
         stripe_subscription_id: subscriptionId,
+        stripe_price_id: plan.priceId,
+        subscription_status: 'active',
         monthly_generation_count: 0,
         monthly_reset_at: monthlyResetAt,
         checkoutType: 'subscription'
       };
     }
 
+    // Status changes, and plan changes (the price of the subscription item)
     case 'customer.subscription.updated': {
       const subscription = event.data.object;
-      const userId = subscription.metadata?.userId;
+      const userId = subscription.metadata?.userId || await findProfileIdByCustomer(subscription.customer);
+      const priceId = subscription.items?.data?.[0]?.price?.id || null;
       let tier = null;
 
-      if (userId) {
-        const user = getUser(userId);
+      // Past due keeps its tier through the grace period (services/dunning.js)
+      if (['active', 'trialing', 'canceled', 'unpaid'].includes(subscription.status)) {
+        tier = pricing.getSubscriptionTier(priceId, subscription.status);
+      }
 
-        // Check subscription status
-        if (subscription.status === 'active') {
-          user.tier = 'base';
-          tier = 'base';
-        } else if (['canceled', 'unpaid', 'past_due'].includes(subscription.status)) {
-          user.tier = 'free';
-          tier = 'free';
-        }
+      // Failed (retried, then dead-lettered for an admin) rather than
+      // leaving someone's tier out of date
+      if (!userId) {
+        return { success: false, message: 'Could not identify user' };
+      }
 
-        console.log(`Updated user ${userId} subscription status: ${subscription.status}`);
+      const user = getUser(userId);
+      if (tier) {
+        user.tier = tier;
       }
 
+      console.log(`Updated user ${userId} subscription status: ${subscription.status} (tier: ${tier || user.tier})`);
+
       return {
         success: true,
         message: 'Subscription updated',
         userId,
         tier,
         stripe_customer_id: subscription.customer,
-        stripe_subscription_id: subscription.id
+        stripe_subscription_id: subscription.id,
+        stripe_price_id: priceId,
+        subscription_status: subscription.status
       };
     }
 
@@ -400,45 +604,51 @@ async function handleWebhook(event) {
         }
       }
 
-      return { success: true, message: 'Invoice paid processed' };
+      return {
+        success: true,
+        message: 'Invoice paid processed',
+        userId: subscriptionId ? await getUserIdForInvoice(invoice) : null
+      };
     }
 
     case 'customer.subscription.deleted': {
       const subscription = event.data.object;
-      const userId = subscription.metadata?.userId;
+      const userId = subscription.metadata?.userId || await findProfileIdByCustomer(subscription.customer);
 
-      if (userId) {
-        const user = getUser(userId);
-        user.tier = 'free';
-        user.stripe_subscription_id = null;
-
-        console.log(`Canceled subscription for user ${userId}`);
+      if (!userId) {
+        return { success: false, message: 'Could not identify user' };
       }
 
+      const user = getUser(userId);
+      user.tier = 'free';
+      user.stripe_subscription_id = null;
+
+      console.log(`Canceled subscription for user ${userId}`);
+
       return {
         success: true,
         message: 'Subscription canceled',
         userId,
         tier: 'free',
         stripe_customer_id: subscription.customer,
-        stripe_subscription_id: null  // Clear subscription ID on cancel
+        stripe_subscription_id: null,  // Clear subscription ID on cancel
+        stripe_price_id: null,
+        subscription_status: subscription.status || 'canceled',
+        grace_period_ends_at: null
       };
     }
 
     case 'invoice.payment_failed': {
       const invoice = event.data.object;
-      const customerId = invoice.customer;
+      // A failed first payment never activated a subscription - nothing to dun
+      const isRenewal = !!invoice.subscription && invoice.billing_reason !== 'subscription_create';
+      const userId = isRenewal ? await getUserIdForInvoice(invoice) : null;
 
-      // Find user by customer ID
-      for (const [userId, user] of users.entries()) {
-        if (user.stripe_customer_id === customerId) {
-          console.log(`Payment failed for user ${userId}`);
-          // Could send email notification here
-          break;
-        }
+      if (userId) {
+        console.log(`Payment failed for user ${userId}`);
       }
 
-      return { success: true, message: 'Payment failure recorded' };
+      return { success: true, message: 'Payment failure recorded', userId };
     }
 
     default:
@@ -446,6 +656,147 @@ async function handleWebhook(event) {
   }
 }
 
+/**
+ * Handle a webhook event and save the result to the user's Supabase profile
+ * Handler for the webhook event store: throws when the profile can't be
+ * updated, so the event is marked failed and retried.
+ * @param {object} event - Stripe webhook event
+ * @returns {Promise<object>} handleWebhook() result
+ */
+async function processWebhookEvent(event) {
+  const result = await handleWebhook(event);
+
+  // Not applied (e.g. credits not granted) - no profile update, referral
+  // reward or receipt until a retry succeeds
+  if (!result.success) {
+    return result;
+  }
+
+  // If we have a userId, update Supabase profile
+  // Use supabaseAdmin to bypass RLS since webhooks have no user context
+  if (result.userId && supabaseAdmin) {
+    // Build update object with tier, Stripe IDs, and billing fields
+    const updateData = {};
+
+    if (result.tier) {
+      updateData.tier = result.tier;
+    }
+
+    // Include stripe_customer_id if present in result
+    if (result.stripe_customer_id) {
+      updateData.stripe_customer_id = result.stripe_customer_id;
+    }
+
+    // Include stripe_subscription_id (can be null to clear it on cancel)
+    if ('stripe_subscription_id' in result) {
+      updateData.stripe_subscription_id = result.stripe_subscription_id;
+    }
+
+    // The subscription's price decides the tier (see usage.getUserTier)
+    if ('stripe_price_id' in result) {
+      updateData.stripe_price_id = result.stripe_price_id;
+    }
+
+    if (result.subscription_status) {
+      updateData.subscription_status = result.subscription_status;
+    }
+
+    // Cleared when the subscription ends (set by services/dunning.js)
+    if ('grace_period_ends_at' in result) {
+      updateData.grace_period_ends_at = result.grace_period_ends_at;
+    }
+
+    if ('monthly_generation_count' in result) {
+      updateData.monthly_generation_count = result.monthly_generation_count;
+    }
+
+    if (result.monthly_reset_at) {
+      updateData.monthly_reset_at = result.monthly_reset_at;
+    }
+
+    // Purchased credits were already granted through the credit ledger
+    // (handleWebhook), which keeps credit_balance up to date
+
+    if (Object.keys(updateData).length > 0) {
+      updateData.updated_at = new Date().toISOString();
+
+      const { error } = await supabaseAdmin
+        .from('profiles')
+        .update(updateData)
+        .eq('id', result.userId);
+
+      if (error) {
+        throw new Error(`Failed to update Supabase profile: ${error.message}`);
+      }
+      console.log(`Updated Supabase profile for user ${result.userId}:`, updateData);
+    }
+  }
+
+  // First paid purchase of a referred user rewards both sides (once)
+  if (event.type === 'checkout.session.completed' && result.userId) {
+    const session = event.data.object;
+    await referrals.rewardReferral(result.userId, { sessionId: session.id, amountTotal: session.amount_total });
+  }
+
+  await applyDunning(event, result);
+
+  // Receipt for every completed checkout (anonymous ones too)
+  if (event.type === 'checkout.session.completed') {
+    await emailService.sendCheckoutReceipt(event.data.object);
+  }
+
+  // Cancellations - from /api/cancel-subscription or the Stripe portal
+  if (event.type === 'customer.subscription.updated' && result.userId && event.data.object.cancel_at_period_end) {
+    const subscription = event.data.object;
+    await emailService.sendCancellationNotice({
+      userId: result.userId,
+      subscriptionId: subscription.id,
+      cancelAt: new Date((subscription.cancel_at || subscription.current_period_end) * 1000).toISOString()
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Start or end the dunning grace period for a handled event
+ * @param {object} event - Stripe webhook event
+ * @param {object} result - handleWebhook() result
+ */
+async function applyDunning(event, result) {
+  if (!result.userId) {
+    return;
+  }
+
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'invoice.payment_failed':
+      await dunning.startGracePeriod(result.userId, { email: object.customer_email || null });
+      break;
+
+    case 'invoice.paid': {
+      const priceId = object.lines?.data?.[0]?.price?.id || null;
+      await dunning.endGracePeriod(result.userId, {
+        tier: pricing.getPlanByStripePrice(priceId)?.tier || null,
+        email: object.customer_email || null
+      });
+      break;
+    }
+
+    case 'customer.subscription.updated':
+      if (object.status === 'past_due') {
+        await dunning.startGracePeriod(result.userId);
+      } else if (pricing.ENTITLED_SUBSCRIPTION_STATUSES.includes(object.status)) {
+        await dunning.endGracePeriod(result.userId, { tier: result.tier });
+      }
+      break;
+
+    default:
+      break;
+  }
+}
+
 /**
  * Cancel a user's subscription
  * @param {string} customerId - Stripe customer ID
@@ -476,6 +827,7 @@ async function cancelSubscription(customerId) {
   return {
     success: true,
     message: 'Subscription will cancel at end of billing period',
+    subscriptionId: subscription.id,
     cancelAt: new Date(subscription.current_period_end * 1000).toISOString()
   };
 }
@@ -569,6 +921,39 @@ async function getUserIdForCustomer(customerId) {
   }
 }
 
+/**
+ * Get the userId an invoice's subscription belongs to
+ * @param {object} invoice - Stripe invoice
+ * @returns {Promise<string|null>}
+ */
+async function getUserIdForInvoice(invoice) {
+  const metadataUserId = invoice.subscription_details?.metadata?.userId;
+  if (metadataUserId) {
+    return metadataUserId;
+  }
+
+  return await findProfileIdByCustomer(invoice.customer) || getUserIdForCustomer(invoice.customer);
+}
+
+/**
+ * Find the profile a Stripe customer ID is saved on
+ * For webhook events without a userId in their metadata
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<string|null>} null without Supabase or a matching profile
+ */
+async function findProfileIdByCustomer(customerId) {
+  if (!supabaseAdmin || !customerId) {
+    return null;
+  }
+
+  const { data } = await supabaseAdmin
+    .from('profiles')
+    .select('id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+  return data?.id || null;
+}
+
 /**
  * Verify a completed checkout session and return the details
  * Used as fallback when webhooks don't work (e.g., local development)
@@ -584,7 +969,8 @@ async function verifyCheckoutSession(sessionId) {
     expand: ['subscription', 'customer']
   });
 
-  if (session.payment_status !== 'paid') {
+  // no_payment_required: a promotion code covered the whole amount
+  if (session.payment_status !== 'paid' && session.payment_status !== 'no_payment_required') {
     return {
       success: false,
       message: 'Payment not completed',
@@ -593,6 +979,7 @@ async function verifyCheckoutSession(sessionId) {
   }
 
   const userId = session.metadata?.userId;
+  const amountTotal = session.amount_total || 0;
   const checkoutType = session.metadata?.type || (session.mode === 'payment' ? 'credit' : 'subscription');
 
   if (checkoutType === 'credit') {
@@ -602,43 +989,204 @@ async function verifyCheckoutSession(sessionId) {
       type: 'credit',
       userId,
       customerId: session.customer?.id || session.customer,
+      amountTotal,
       creditsAdded: quantity
     };
   }
 
-  // Watermark removal purchase (2 credits for 1 premium generation)
+  // Gift pack - the caller issues the code from the session
+  if (checkoutType === 'gift') {
+    return {
+      success: true,
+      type: 'gift',
+      userId,
+      customerId: session.customer?.id || session.customer,
+      amountTotal,
+      creditsAdded: 0,
+      session
+    };
+  }
+
+  // Watermark removal purchase (credits for 1 premium generation)
   if (checkoutType === 'watermark_removal') {
     return {
       success: true,
       type: 'watermark_removal',
       userId,
       customerId: session.customer?.id || session.customer,
-      creditsAdded: 2,  // 2 credits = 1 premium generation
+      amountTotal,
+      creditsAdded: pricing.getProduct('watermark_removal').credits,
       generationId: session.metadata?.generationId
     };
   }
 
-  // Subscription checkout
+  // Subscription checkout - the tier follows the subscription's price
+  const priceId = session.subscription?.items?.data?.[0]?.price?.id
+    || pricing.getPlan(session.metadata?.plan)?.priceId
+    || null;
+  const plan = pricing.getPlanByStripePrice(priceId) || pricing.getPlan(session.metadata?.plan) || pricing.getDefaultPlan();
+
   return {
     success: true,
     type: 'subscription',
     userId,
     customerId: session.customer?.id || session.customer,
     subscriptionId: session.subscription?.id || session.subscription,
-    tier: 'base'
+    amountTotal,
+    priceId,
+    plan: plan.id,
+    tier: plan.tier
+  };
+}
+
+/**
+ * Describe what a one-time checkout bought (credit pack, watermark removal,
+ * gift pack) as a purchase in the customer's billing history
+ * @param {object} session - Stripe checkout session (mode 'payment')
+ * @returns {object} Purchase
+ */
+function toCheckoutPurchase(session) {
+  const checkoutType = session.metadata?.type || 'credit';
+  const quantity = parseInt(session.metadata?.quantity || '1', 10) || 1;
+  let credits;
+  let description;
+
+  if (checkoutType === 'watermark_removal') {
+    credits = pricing.getProduct('watermark_removal').credits;
+    description = 'Watermark removal + 1 premium generation';
+  } else if (checkoutType === 'gift') {
+    // The credits went to whoever redeems the gift code
+    const pack = pricing.getProduct('gift_pack');
+    credits = 0;
+    description = pack ? `Gift pack (${pack.credits * quantity} credits)` : 'Gift pack';
+  } else {
+    credits = quantity;
+    description = `${quantity} credit${quantity === 1 ? '' : 's'}`;
+  }
+
+  return {
+    id: session.id,
+    source: 'checkout',
+    type: checkoutType,
+    description,
+    credits,
+    amount: session.amount_total || 0,
+    currency: session.currency || 'usd',
+    paidAt: new Date(session.created * 1000).toISOString(),
+    reference: session.id,
+    invoiceUrl: null
+  };
+}
+
+/**
+ * Describe a paid subscription invoice as a purchase in the customer's
+ * billing history
+ * @param {object} invoice - Stripe invoice
+ * @returns {object} Purchase
+ */
+function toInvoicePurchase(invoice) {
+  const line = invoice.lines?.data?.[0];
+  const plan = pricing.getPlanByStripePrice(line?.price?.id);
+  const paidAt = invoice.status_transitions?.paid_at || invoice.created;
+
+  return {
+    id: invoice.id,
+    source: 'invoice',
+    type: 'subscription',
+    description: plan ? `${plan.name} (billed every ${plan.interval})` : (line?.description || 'Subscription'),
+    credits: 0,
+    amount: invoice.amount_paid || 0,
+    currency: invoice.currency || 'usd',
+    paidAt: new Date(paidAt * 1000).toISOString(),
+    reference: invoice.number || invoice.id,
+    invoiceUrl: invoice.hosted_invoice_url || null
   };
 }
 
+/**
+ * List a customer's purchases, newest first: completed one-time checkouts
+ * and paid subscription invoices. Subscription checkouts aren't listed -
+ * their first payment is the subscription's first invoice.
+ * @param {string} customerId - Stripe customer ID
+ * @param {object} options
+ * @param {number} options.limit - Maximum per source (default 50, Stripe's max is 100)
+ * @returns {Promise<Array<object>>} Purchases
+ */
+async function listCustomerPurchases(customerId, options = {}) {
+  if (!customerId) {
+    return [];
+  }
+
+  const limit = Math.min(options.limit || 50, 100);
+  const [sessions, invoices] = await Promise.all([
+    stripe.checkout.sessions.list({ customer: customerId, status: 'complete', limit }),
+    stripe.invoices.list({ customer: customerId, status: 'paid', limit })
+  ]);
+
+  const purchases = [
+    ...sessions.data
+      .filter(session => session.mode === 'payment')
+      .filter(session => session.payment_status === 'paid' || session.payment_status === 'no_payment_required')
+      .map(toCheckoutPurchase),
+    ...invoices.data.map(toInvoicePurchase)
+  ];
+
+  return purchases.sort((a, b) => b.paidAt.localeCompare(a.paidAt));
+}
+
+/**
+ * Retrieve one purchase (for a receipt) with who it belongs to
+ * @param {string} purchaseId - Checkout session ID (cs_...) or invoice ID (in_...)
+ * @returns {Promise<{ purchase: object, customerId: string|null, userId: string|null, email: string|null }|null>}
+ *   null if there's no such paid purchase
+ */
+async function getPurchase(purchaseId) {
+  if (purchaseId?.startsWith('in_')) {
+    const invoice = await stripe.invoices.retrieve(purchaseId);
+    if (invoice.status !== 'paid') {
+      return null;
+    }
+    return {
+      purchase: toInvoicePurchase(invoice),
+      customerId: invoice.customer?.id || invoice.customer || null,
+      userId: invoice.subscription_details?.metadata?.userId || null,
+      email: invoice.customer_email || null
+    };
+  }
+
+  if (purchaseId?.startsWith('cs_')) {
+    const session = await stripe.checkout.sessions.retrieve(purchaseId);
+    const paid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+    if (session.mode !== 'payment' || session.status !== 'complete' || !paid) {
+      return null;
+    }
+    return {
+      purchase: toCheckoutPurchase(session),
+      customerId: session.customer?.id || session.customer || null,
+      userId: session.metadata?.userId || null,
+      email: session.customer_details?.email || session.customer_email || null
+    };
+  }
+
+  return null;
+}
+
 module.exports = {
   createCheckoutSession,
   createCreditCheckoutSession,
+  createGiftCheckoutSession,
   createWatermarkRemovalSession,
   createCustomerPortalSession,
+  changeSubscriptionPlan,
   handleWebhook,
+  processWebhookEvent,
   cancelSubscription,
   getSubscriptionStatus,
   constructWebhookEvent,
   getUserIdForCustomer,
   getUser,
-  verifyCheckoutSession
+  grantSessionCredits,
+  verifyCheckoutSession,
+  listCustomerPurchases,
+  getPurchase
 };
@@ -0,0 +1,1176 @@
+/**
+ * Template Catalog Service
+ *
+ * The gallery's scenes ("templates") and everything we know about each one -
+ * title, historical context, attribution, which person the user replaces and
+ * the prompt for each image model. /api/photos lists the enabled templates
+ * and /api/generate only accepts those (the catalog is its whitelist).
+ *
+ * Catalog shape (see config/templates.json):
+ *   {
+ *     version: 1,                    // integer, bumped on every change
+ *     defaultPrompt: [lines],        // for templates without a prompt of their own
+ *     promptSections?: { name: prompt },   // shared named sections ({{> name}})
+ *     promptVars?: { name: string },       // default variable values ({{name}})
+ *     requiredSections?: [names],    // sections every prompt must include (lint)
+ *     templates: [{
+ *       id,                          // lowercase letters, digits, underscores
+ *       image,                       // file in public/epstein-photos
+ *       title, caption,              // gallery title and historical context
+ *       source,                      // attribution (null = not recorded yet)
+ *       enabled,                     // disabled templates are hidden and refused
+ *       sortOrder,                   // gallery order, lowest first
+ *       targetPerson,                // who the user replaces (null = nobody)
+ *       thumbnail?,                  // gallery image path (default: the image)
+ *       notes?,                      // for maintainers (e.g. why it's disabled)
+ *       promptSections?, promptVars?,  // override the shared ones of the same name
+ *       prompts: { default?, quick?, premium? },  // per image model (config/tiers.js)
+ *       variants?: [{                // prompt wordings being compared
+ *         id,                        // lowercase letters, digits, underscores
+ *         weight,                    // share of generations (0 = paused)
+ *         prompts: { default?, quick?, premium? }
+ *       }],
+ *       subjects?: [{                // people the user can choose to replace
+ *         id,                        // lowercase letters, digits, underscores
+ *         label,                     // shown in the gallery (no <, > or ")
+ *         box: { x, y, width, height },  // where they are, as fractions of the image
+ *         targetPerson,              // {{targetPerson}} when they are chosen
+ *         promptSections?, promptVars?   // their prompt blocks (override the template's)
+ *       }]
+ *     }]
+ *   }
+ * A prompt is a string or a list of lines. A template's prompt for a model is
+ * prompts[model], else prompts.default, else the catalog's defaultPrompt.
+ *
+ * Prompts are compiled (lib/promptTemplates.js) before use: {{> name}}
+ * includes a named section and {{name}} a variable. The template's own
+ * sections and variables come first, then the catalog's; {{targetPerson}} is
+ * the template's targetPerson when it has one. Every prompt must compile -
+ * an unknown section or a variable without a value makes the catalog invalid.
+ * A prompt missing one of requiredSections only fails lintCatalog()
+ * (npm run lint:prompts).
+ *
+ * Subjects: in a scene with several people who could be replaced, the user
+ * picks one in the gallery and /api/generate passes its ID. The subject's
+ * targetPerson, sections and variables come before the template's, so one
+ * prompt can describe whoever was chosen. The first subject is the default.
+ *
+ * Prompt variants: each generation picks one of the template's variants by
+ * weight (chooseVariant()) and records its ID, so the admin variant report
+ * can compare outcomes per wording. A variant's prompts come first; anything
+ * it leaves out falls back to the template's prompts as above. Templates
+ * without variants use DEFAULT_VARIANT (the template's own prompts).
+ *
+ * Sources:
+ * - config/templates.json (or TEMPLATE_CATALOG_PATH) - read and validated
+ *   when this module loads; an invalid file stops the server from starting
+ * - Supabase template_catalogs table - the newest active version replaces the
+ *   file catalog once ready() has run (at server start / first serverless
+ *   request). ready() looks again when the last check is older than
+ *   TEMPLATE_CATALOG_RECHECK_MS (default a minute), so every instance picks
+ *   up versions published by another within that time. An invalid row is
+ *   logged and ignored.
+ *
+ * Admin edits (new templates, prompt and field changes, gallery order) each
+ * publish the next catalog version, so any earlier version can be restored
+ * with rollbackTo() - which publishes it again as a new version. Uploaded
+ * images are written to public/epstein-photos on the server that received
+ * them, so addTemplate() only works without Supabase (versions kept in
+ * memory, one server). With Supabase every instance loads the published
+ * catalog, so new images have to be committed to public/epstein-photos and
+ * deployed first - then added to the catalog file or enabled by an edit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../lib/supabase');
+const { models } = require('../config/tiers');
+const { compilePrompt } = require('../lib/promptTemplates');
+
+// Supabase table name
+const TABLE_NAME = 'template_catalogs';
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'templates.json');
+
+// Template images (served at /epstein-photos/)
+const PHOTOS_DIR = path.join(__dirname, '..', 'public', 'epstein-photos');
+const PHOTOS_URL_PATH = '/epstein-photos';
+
+const IMAGE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*\.(jpg|jpeg|png|webp|avif)$/i;
+
+// prompts keys: one per image model, plus the fallback for all of them
+const PROMPT_KEYS = ['default', ...Object.keys(models)];
+
+// Variant recorded for templates that don't declare variants
+const DEFAULT_VARIANT = 'default';
+
+// Fields admins can change on a template (id and image are fixed)
+const EDITABLE_FIELDS = [
+  'title', 'caption', 'source', 'enabled', 'targetPerson', 'thumbnail', 'notes',
+  'prompts', 'variants', 'promptSections', 'promptVars', 'subjects',
+];
+
+// Editable fields a template can leave out (null removes them)
+const OPTIONAL_FIELDS = ['thumbnail', 'notes', 'variants', 'promptSections', 'promptVars', 'subjects'];
+
+// Section and variable names ({{> name}}, {{name}})
+const PROMPT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Characters refused in subject labels (the gallery shows them)
+const UNSAFE_LABEL_PATTERN = /[<>"]/;
+
+// Uploaded image formats (sharp format -> file extension)
+const UPLOAD_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+};
+
+// Why an admin change was refused
+const REJECTION = {
+  UNKNOWN_TEMPLATE: 'unknown_template',
+  UNKNOWN_VERSION: 'unknown_version',
+  DUPLICATE_ID: 'duplicate_id',
+  INVALID_IMAGE: 'invalid_image',
+  INVALID_ORDER: 'invalid_order',
+  INVALID_CATALOG: 'invalid_catalog',
+  // Another version was published at the same time
+  CONFLICT: 'conflict',
+  // The uploaded image would only exist on this server
+  LOCAL_IMAGE: 'local_image',
+};
+
+// How often ready() checks the database for a newer catalog version
+const DEFAULT_RECHECK_MS = 60 * 1000;
+
+// Catalog in use (templates resolved), and as published (what edits start from)
+let catalog = null;
+let publishedCatalog = null;
+let catalogSource = null;
+let readyPromise = null;
+let checkedAt = 0;
+
+// The file's catalog (a rollback target even though it isn't stored)
+let fileCatalog = null;
+
+// In-memory version history (used only when Supabase is not configured)
+const versions = [];
+
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+function getCatalogPath() {
+  return process.env.TEMPLATE_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+}
+
+function getRecheckInterval() {
+  const ms = parseInt(process.env.TEMPLATE_CATALOG_RECHECK_MS, 10);
+  return Number.isInteger(ms) && ms >= 0 ? ms : DEFAULT_RECHECK_MS;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPrompt(value) {
+  return isNonEmptyString(value) || (Array.isArray(value) && value.length > 0 && value.every(line => typeof line === 'string'));
+}
+
+/**
+ * Validate a catalog
+ * @param {object} candidate - Parsed catalog
+ * @param {object} options
+ * @param {string} options.photosDir - Where enabled templates' images must exist
+ * @returns {string[]} Problems found (empty when the catalog is usable)
+ */
+function validateCatalog(candidate, options = {}) {
+  const photosDir = options.photosDir || PHOTOS_DIR;
+  const errors = [];
+
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return ['catalog must be an object'];
+  }
+
+  if (!Number.isInteger(candidate.version) || candidate.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  if (!isPrompt(candidate.defaultPrompt)) {
+    errors.push('defaultPrompt must be a string or a list of lines');
+  }
+  validatePromptSections(candidate.promptSections, 'promptSections', errors);
+  validatePromptVars(candidate.promptVars, 'promptVars', errors);
+  if (candidate.requiredSections !== undefined) {
+    const required = candidate.requiredSections;
+    if (!Array.isArray(required) || !required.every(name => typeof name === 'string' && PROMPT_NAME_PATTERN.test(name))) {
+      errors.push('requiredSections must be a list of section names');
+    }
+  }
+
+  if (!Array.isArray(candidate.templates) || candidate.templates.length === 0) {
+    errors.push('templates must be a list with at least one template');
+    return errors;
+  }
+
+  const ids = new Set();
+  const images = new Set();
+
+  candidate.templates.forEach((template, index) => {
+    const where = `templates[${index}]`;
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (typeof template.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(template.id)) {
+      errors.push(`${where}.id must be lowercase letters, digits and underscores`);
+    } else if (ids.has(template.id)) {
+      errors.push(`${where}.id "${template.id}" is used twice`);
+    }
+    ids.add(template.id);
+
+    if (typeof template.image !== 'string' || !IMAGE_PATTERN.test(template.image)) {
+      errors.push(`${where}.image must be an image filename (jpg, jpeg, png, webp or avif)`);
+    } else {
+      if (images.has(template.image)) {
+        errors.push(`${where}.image "${template.image}" is used twice`);
+      }
+      if (template.enabled === true && !fs.existsSync(path.join(photosDir, template.image))) {
+        errors.push(`${where}.image "${template.image}" is enabled but not in ${photosDir}`);
+      }
+    }
+    images.add(template.image);
+
+    if (!isNonEmptyString(template.title)) {
+      errors.push(`${where}.title is required`);
+    }
+    if (typeof template.caption !== 'string') {
+      errors.push(`${where}.caption is required`);
+    }
+    if (template.source !== null && !isNonEmptyString(template.source)) {
+      errors.push(`${where}.source must be a string or null`);
+    }
+    if (typeof template.enabled !== 'boolean') {
+      errors.push(`${where}.enabled must be true or false`);
+    }
+    if (!Number.isInteger(template.sortOrder)) {
+      errors.push(`${where}.sortOrder must be an integer`);
+    }
+    if (template.targetPerson !== null && !isNonEmptyString(template.targetPerson)) {
+      errors.push(`${where}.targetPerson must be a string or null`);
+    }
+    if (template.thumbnail !== undefined && (typeof template.thumbnail !== 'string' || !template.thumbnail.startsWith('/'))) {
+      errors.push(`${where}.thumbnail must be a path starting with /`);
+    }
+    if (template.notes !== undefined && typeof template.notes !== 'string') {
+      errors.push(`${where}.notes must be a string`);
+    }
+
+    validatePrompts(template.prompts, `${where}.prompts`, errors);
+
+    if (template.variants !== undefined) {
+      validateVariants(template.variants, `${where}.variants`, errors);
+    }
+    validatePromptSections(template.promptSections, `${where}.promptSections`, errors);
+    validatePromptVars(template.promptVars, `${where}.promptVars`, errors);
+    if (template.promptVars && 'targetPerson' in template.promptVars) {
+      errors.push(`${where}.promptVars.targetPerson: set the template's targetPerson instead`);
+    }
+
+    if (template.subjects !== undefined) {
+      validateSubjects(template.subjects, `${where}.subjects`, errors);
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Every prompt a generation could use must compile
+  const compileErrors = new Set();
+  try {
+    compilePrompt(candidate.defaultPrompt, promptContext(candidate, {}));
+  } catch (error) {
+    compileErrors.add(`defaultPrompt: ${error.message}`);
+  }
+  candidate.templates.forEach((template, index) => {
+    for (const { modelType, variantId, subject, source } of listPromptSources(candidate, template)) {
+      try {
+        compilePrompt(source, promptContext(candidate, template, subject));
+      } catch (error) {
+        const variant = variantId === DEFAULT_VARIANT ? '' : `, variant ${variantId}`;
+        const chosen = subject ? `, subject ${subject.id}` : '';
+        compileErrors.add(`templates[${index}] prompt (${modelType}${variant}${chosen}): ${error.message}`);
+      }
+    }
+  });
+
+  return Array.from(compileErrors);
+}
+
+/**
+ * Validate a template's replaceable subjects
+ * @param {Array} subjects
+ * @param {string} where - Path for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function validateSubjects(subjects, where, errors) {
+  if (!Array.isArray(subjects) || subjects.length === 0) {
+    errors.push(`${where} must be a list with at least one subject`);
+    return;
+  }
+
+  const ids = new Set();
+  subjects.forEach((subject, index) => {
+    const at = `${where}[${index}]`;
+    if (!subject || typeof subject !== 'object' || Array.isArray(subject)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    if (typeof subject.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(subject.id)) {
+      errors.push(`${at}.id must be lowercase letters, digits and underscores`);
+    } else if (ids.has(subject.id)) {
+      errors.push(`${at}.id "${subject.id}" is used twice`);
+    } else {
+      ids.add(subject.id);
+    }
+    if (!isNonEmptyString(subject.label)) {
+      errors.push(`${at}.label must be a non-empty string`);
+    } else if (UNSAFE_LABEL_PATTERN.test(subject.label)) {
+      // Shown in the gallery - no markup
+      errors.push(`${at}.label must not contain <, > or "`);
+    }
+    if (!isNonEmptyString(subject.targetPerson)) {
+      errors.push(`${at}.targetPerson must be a non-empty string`);
+    }
+    if (!isBox(subject.box)) {
+      errors.push(`${at}.box must be { x, y, width, height } inside the image (fractions from 0 to 1)`);
+    }
+
+    validatePromptSections(subject.promptSections, `${at}.promptSections`, errors);
+    validatePromptVars(subject.promptVars, `${at}.promptVars`, errors);
+    if (subject.promptVars && 'targetPerson' in subject.promptVars) {
+      errors.push(`${at}.promptVars.targetPerson: set the subject's targetPerson instead`);
+    }
+  });
+}
+
+/**
+ * Whether a bounding box lies inside the image (fractions of its size)
+ * @param {object} box - { x, y, width, height }
+ * @returns {boolean}
+ */
+function isBox(box) {
+  if (!box || typeof box !== 'object' || Array.isArray(box)) {
+    return false;
+  }
+  const { x, y, width, height } = box;
+  if (![x, y, width, height].every(value => typeof value === 'number' && Number.isFinite(value))) {
+    return false;
+  }
+  return x >= 0 && y >= 0 && width > 0 && height > 0 && x + width <= 1 && y + height <= 1;
+}
+
+/**
+ * Validate named prompt sections (optional)
+ * @param {object} sections - name -> string or lines
+ * @param {string} where - Path for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function validatePromptSections(sections, where, errors) {
+  if (sections === undefined) {
+    return;
+  }
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+    errors.push(`${where} must be an object of named sections`);
+    return;
+  }
+  for (const [name, section] of Object.entries(sections)) {
+    if (!PROMPT_NAME_PATTERN.test(name)) {
+      errors.push(`${where}.${name}: section names are letters, digits and underscores`);
+    } else if (!isPrompt(section)) {
+      errors.push(`${where}.${name} must be a string or a list of lines`);
+    }
+  }
+}
+
+/**
+ * Validate prompt variables (optional)
+ * @param {object} vars - name -> string
+ * @param {string} where - Path for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function validatePromptVars(vars, where, errors) {
+  if (vars === undefined) {
+    return;
+  }
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+    errors.push(`${where} must be an object of variables`);
+    return;
+  }
+  for (const [name, value] of Object.entries(vars)) {
+    if (!PROMPT_NAME_PATTERN.test(name)) {
+      errors.push(`${where}.${name}: variable names are letters, digits and underscores`);
+    } else if (!isNonEmptyString(value)) {
+      errors.push(`${where}.${name} must be a non-empty string`);
+    }
+  }
+}
+
+/**
+ * Where a template's prompt for a model and variant comes from (uncompiled)
+ * @param {object} source - Catalog (or a candidate) with defaultPrompt
+ * @param {object} template
+ * @param {string} modelType
+ * @param {string} variantId
+ * @returns {string|string[]}
+ */
+function getPromptSource(source, template, modelType, variantId) {
+  const variant = (template.variants || []).find(entry => entry.id === variantId);
+  return variant?.prompts[modelType] || variant?.prompts.default ||
+    template.prompts[modelType] || template.prompts.default || source.defaultPrompt;
+}
+
+/**
+ * Every prompt a template can generate with: one per model, variant and
+ * subject
+ * @param {object} source - Catalog (or a candidate)
+ * @param {object} template
+ * @returns {Array<{ modelType: string, variantId: string, subject: object|null, source: string|string[] }>}
+ */
+function listPromptSources(source, template) {
+  const variantIds = template.variants ? template.variants.map(variant => variant.id) : [DEFAULT_VARIANT];
+  const subjects = template.subjects || [null];
+  return variantIds.flatMap(variantId => subjects.flatMap(subject => Object.keys(models).map(modelType => ({
+    modelType,
+    variantId,
+    subject,
+    source: getPromptSource(source, template, modelType, variantId),
+  }))));
+}
+
+/**
+ * Sections and variables for compiling a template's prompts
+ * @param {object} source - Catalog (or a candidate) with the shared ones
+ * @param {object} template
+ * @param {object|null} subject - The chosen subject, if the template has any
+ * @returns {object} compilePrompt() context
+ */
+function promptContext(source, template, subject = null) {
+  return {
+    sections: [subject?.promptSections, template.promptSections, source.promptSections],
+    vars: [
+      subject?.promptVars,
+      { targetPerson: subject?.targetPerson },
+      template.promptVars,
+      { targetPerson: template.targetPerson },
+      source.promptVars,
+    ],
+  };
+}
+
+/**
+ * Validate a prompts object (keyed by model)
+ * @param {object} prompts
+ * @param {string} where - Path for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function validatePrompts(prompts, where, errors) {
+  if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+    errors.push(`${where} must be an object keyed by model (${PROMPT_KEYS.join(', ')})`);
+    return;
+  }
+  for (const [key, prompt] of Object.entries(prompts)) {
+    if (!PROMPT_KEYS.includes(key)) {
+      errors.push(`${where}.${key}: prompts are keyed by ${PROMPT_KEYS.join(', ')}`);
+    } else if (!isPrompt(prompt)) {
+      errors.push(`${where}.${key} must be a string or a list of lines`);
+    }
+  }
+}
+
+/**
+ * Validate a template's prompt variants
+ * @param {Array<object>} variants
+ * @param {string} where - Path for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+function validateVariants(variants, where, errors) {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    errors.push(`${where} must be a list with at least one variant (or left out)`);
+    return;
+  }
+
+  const ids = new Set();
+  variants.forEach((variant, index) => {
+    const at = `${where}[${index}]`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof variant.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(variant.id)) {
+      errors.push(`${at}.id must be lowercase letters, digits and underscores`);
+    } else if (ids.has(variant.id)) {
+      errors.push(`${at}.id "${variant.id}" is used twice`);
+    }
+    ids.add(variant.id);
+
+    if (typeof variant.weight !== 'number' || !Number.isFinite(variant.weight) || variant.weight < 0) {
+      errors.push(`${at}.weight must be a number, 0 or more`);
+    }
+    validatePrompts(variant.prompts, `${at}.prompts`, errors);
+  });
+
+  if (!variants.some(variant => variant?.weight > 0)) {
+    errors.push(`${where} needs at least one variant with a weight above 0`);
+  }
+}
+
+/**
+ * Add the derived fields (image path, thumbnail) to a catalog entry
+ */
+function resolveTemplate(template) {
+  const imagePath = `${PHOTOS_URL_PATH}/${template.image}`;
+  return {
+    ...template,
+    path: imagePath,
+    thumbnail: template.thumbnail || imagePath,
+    notes: template.notes || null,
+  };
+}
+
+/**
+ * Validate and switch to a catalog
+ * @param {object} candidate - Parsed catalog
+ * @param {string} source - Where it came from (for logs)
+ * @throws {Error} If the catalog is invalid (the current one stays in use)
+ */
+function setCatalog(candidate, source) {
+  const errors = validateCatalog(candidate);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template catalog (${source}): ${errors.join('; ')}`);
+  }
+
+  const templates = candidate.templates
+    .map(resolveTemplate)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.id.localeCompare(b.id));
+
+  catalog = {
+    version: candidate.version,
+    defaultPrompt: candidate.defaultPrompt,
+    promptSections: candidate.promptSections || {},
+    promptVars: candidate.promptVars || {},
+    requiredSections: candidate.requiredSections || [],
+    templates,
+  };
+  publishedCatalog = JSON.parse(JSON.stringify(candidate));
+  catalogSource = source;
+
+  console.log(`[templates] Using template catalog v${catalog.version} from ${source}`);
+}
+
+/**
+ * Read and apply the catalog file
+ * @throws {Error} If the file is missing, unparsable or invalid
+ */
+function loadCatalogFile(filePath = getCatalogPath()) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read template catalog ${filePath}: ${error.message}`);
+  }
+  setCatalog(parsed, filePath);
+  fileCatalog = parsed;
+}
+
+/**
+ * Apply the newest active catalog from Supabase, if there is one
+ * @returns {Promise<boolean>} Whether a database catalog is now in use
+ */
+async function refreshFromDatabase() {
+  if (!isPersistent()) {
+    return false;
+  }
+
+  // Cheap check first - the catalog itself is only fetched when a newer
+  // version was published
+  const latest = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('version')
+    .eq('active', true)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latest.error) {
+    console.error('[templates] Error checking template catalog version:', latest.error.message);
+    return false;
+  }
+  if (!latest.data) {
+    return false;
+  }
+  if (catalogSource === `${TABLE_NAME} v${latest.data.version}`) {
+    return true;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('version, catalog')
+    .eq('active', true)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[templates] Error loading template catalog:', error.message);
+    return false;
+  }
+  if (!data) {
+    return false;
+  }
+
+  try {
+    // The row's version column is authoritative
+    setCatalog({ ...data.catalog, version: data.version }, `${TABLE_NAME} v${data.version}`);
+    return true;
+  } catch (error) {
+    console.error(`[templates] ${error.message} - keeping v${catalog.version}`);
+    return false;
+  }
+}
+
+/**
+ * Wait for the database catalog check (runs again once the last one is older
+ * than TEMPLATE_CATALOG_RECHECK_MS)
+ * Never rejects - the current catalog stays in use if the database can't be read.
+ * @returns {Promise<void>}
+ */
+function ready() {
+  if (!readyPromise || Date.now() - checkedAt >= getRecheckInterval()) {
+    checkedAt = Date.now();
+    readyPromise = refreshFromDatabase()
+      .catch(error => console.error('[templates] Error loading template catalog:', error.message))
+      .then(() => {});
+  }
+  return readyPromise;
+}
+
+/**
+ * Re-read the catalog file and the database (admin reload - picks up
+ * versions published by another server)
+ * @returns {Promise<{ version: number, source: string, count: number, recheckSeconds: number }>}
+ * @throws {Error} If the file is invalid (the current catalog stays in use)
+ */
+async function reload() {
+  loadCatalogFile();
+  readyPromise = null;
+  await ready();
+  return getCatalogInfo();
+}
+
+/**
+ * List templates in gallery order
+ * @param {object} options
+ * @param {boolean} options.includeDisabled - Also list disabled templates (default false)
+ * @returns {Array<object>}
+ */
+function listTemplates(options = {}) {
+  return catalog.templates
+    .filter(template => options.includeDisabled || template.enabled)
+    .map(template => ({ ...template }));
+}
+
+/**
+ * Get a template by ID
+ * @param {string} id
+ * @returns {object|null} The template (enabled or not)
+ */
+function getTemplate(id) {
+  const template = catalog.templates.find(entry => entry.id === id);
+  return template ? { ...template } : null;
+}
+
+/**
+ * Get the enabled template for a gallery image path - the /api/generate
+ * whitelist check
+ * @param {string} photoPath - e.g. '/epstein-photos/epstein_bill_silk.jpg'
+ *   (the leading slash is optional)
+ * @returns {object|null} null unless it's an enabled template's image
+ */
+function getTemplateByPath(photoPath) {
+  if (typeof photoPath !== 'string') {
+    return null;
+  }
+  const normalizedPath = photoPath.startsWith('/') ? photoPath : `/${photoPath}`;
+  const template = catalog.templates.find(entry => entry.enabled && entry.path === normalizedPath);
+  return template ? { ...template } : null;
+}
+
+/**
+ * Pick a prompt variant for a generation, by weight
+ * @param {object} template - From the catalog
+ * @param {function} random - Returns a number in [0, 1) (default Math.random)
+ * @returns {string} Variant ID (DEFAULT_VARIANT when the template has none)
+ */
+function chooseVariant(template, random = Math.random) {
+  const variants = (template.variants || []).filter(variant => variant.weight > 0);
+  if (variants.length === 0) {
+    return DEFAULT_VARIANT;
+  }
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant.id;
+    }
+  }
+  return variants[variants.length - 1].id;
+}
+
+/**
+ * Find one of a template's replaceable subjects
+ * @param {object} template - From the catalog
+ * @param {string|null} subjectId - null for the default (first) subject
+ * @returns {object|null} null if the template has no subject by that ID (or
+ *   no subjects at all)
+ */
+function getSubject(template, subjectId = null) {
+  const subjects = template.subjects || [];
+  if (subjectId === null) {
+    return subjects[0] || null;
+  }
+  return subjects.find(subject => subject.id === subjectId) || null;
+}
+
+/**
+ * Get a template's prompt for an image model
+ * @param {object} template - From the catalog
+ * @param {string} modelType - Key of tiers.models ('quick', 'premium')
+ * @param {string} variantId - Prompt variant (from chooseVariant()); an
+ *   unknown or missing variant uses the template's own prompts
+ * @param {string|null} subjectId - Who the user replaces (getSubject()); an
+ *   unknown or missing subject uses the default one
+ * @returns {string}
+ */
+function getPrompt(template, modelType, variantId = DEFAULT_VARIANT, subjectId = null) {
+  return compileTemplatePrompt(template, getPromptSource(catalog, template, modelType, variantId), subjectId);
+}
+
+/**
+ * Compile prompt text with a template's sections and variables (e.g. a draft
+ * prompt being previewed)
+ * @param {object} template - From the catalog
+ * @param {string|string[]} source - Prompt text or lines
+ * @param {string|null} subjectId - As for getPrompt()
+ * @returns {string}
+ * @throws {Error} On an unknown section or a variable without a value
+ */
+function compileTemplatePrompt(template, source, subjectId = null) {
+  const subject = getSubject(template, subjectId) || getSubject(template);
+  return compilePrompt(source, promptContext(catalog, template, subject)).text;
+}
+
+/**
+ * Find prompts that don't include every required section
+ * @param {object} candidate - Catalog to check (default: the one in use, as published)
+ * @returns {Array<{ template: string, variant: string, subject: string|null, modelTypes: string[], missing: string[] }>}
+ *   One entry per prompt with missing sections (models sharing a prompt are grouped)
+ * @throws {Error} If a prompt doesn't compile (validateCatalog() reports those)
+ */
+function lintCatalog(candidate = publishedCatalog) {
+  const required = candidate.requiredSections || [];
+  const problems = [];
+
+  for (const template of candidate.templates) {
+    const byPrompt = new Map();
+    for (const { modelType, variantId, subject, source } of listPromptSources(candidate, template)) {
+      const { sections } = compilePrompt(source, promptContext(candidate, template, subject));
+      const missing = required.filter(name => !sections.includes(name));
+      if (missing.length === 0) {
+        continue;
+      }
+
+      const subjectId = subject ? subject.id : null;
+      const key = `${variantId}\n${subjectId}\n${missing.join(',')}\n${JSON.stringify(source)}`;
+      if (byPrompt.has(key)) {
+        byPrompt.get(key).modelTypes.push(modelType);
+      } else {
+        byPrompt.set(key, { template: template.id, variant: variantId, subject: subjectId, modelTypes: [modelType], missing });
+      }
+    }
+    problems.push(...byPrompt.values());
+  }
+
+  return problems;
+}
+
+/**
+ * The fields of a template the gallery shows (no prompts or notes)
+ * @param {object} template
+ * @returns {object}
+ */
+function toPublicTemplate(template) {
+  return {
+    id: template.id,
+    title: template.title,
+    caption: template.caption,
+    source: template.source,
+    targetPerson: template.targetPerson,
+    path: template.path,
+    thumbnail: template.thumbnail,
+    // Who the user can choose to replace (no prompt blocks)
+    subjects: (template.subjects || []).map(({ id, label, box }) => ({ id, label, box })),
+    // Kept for existing gallery clients
+    name: template.title,
+    filename: template.image,
+  };
+}
+
+/**
+ * Read a template's image
+ * @param {object} template - From the catalog
+ * @returns {Promise<{ buffer: Buffer, mimeType: string }>}
+ */
+async function readTemplateImage(template) {
+  const buffer = await fs.promises.readFile(path.join(PHOTOS_DIR, template.image));
+  return { buffer, mimeType: IMAGE_MIME_TYPES[path.extname(template.image).toLowerCase()] || 'image/jpeg' };
+}
+
+/**
+ * Map a Supabase row to a version summary
+ */
+function toVersion(row) {
+  return {
+    version: row.version,
+    note: row.note || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Get a stored catalog version
+ * @param {number} version
+ * @returns {Promise<object|null>} The catalog as published, or null
+ */
+async function getStoredCatalog(version) {
+  if (!isPersistent()) {
+    const stored = versions.find(entry => entry.version === version);
+    return stored ? JSON.parse(JSON.stringify(stored.catalog)) : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('version, catalog')
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[templates] Error fetching template catalog version:', error.message);
+    throw new Error(`Failed to fetch template catalog v${version}: ${error.message}`);
+  }
+
+  return data ? { ...data.catalog, version: data.version } : null;
+}
+
+/**
+ * List published catalog versions, newest first
+ * The file catalog is listed too when no stored version has its number.
+ * @param {object} options
+ * @param {number} options.limit - Maximum number of versions (default 50)
+ * @returns {Promise<Array<{ version: number, note: string|null, createdBy: string|null, createdAt: string|null, inUse: boolean }>>}
+ */
+async function listVersions(options = {}) {
+  const limit = options.limit || 50;
+  let stored;
+
+  if (!isPersistent()) {
+    stored = versions.slice().reverse().slice(0, limit).map(toVersion);
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('version, note, created_by, created_at')
+      .order('version', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[templates] Error listing template catalog versions:', error.message);
+      return [];
+    }
+    stored = data.map(toVersion);
+  }
+
+  if (fileCatalog && !stored.some(entry => entry.version === fileCatalog.version)) {
+    stored.push({ version: fileCatalog.version, note: 'Catalog file', createdBy: null, createdAt: null });
+  }
+
+  return stored.map(entry => ({ ...entry, inUse: entry.version === catalog.version }));
+}
+
+/**
+ * Get the newest stored version number (0 if none)
+ * @returns {Promise<number>}
+ */
+async function getLatestStoredVersion() {
+  if (!isPersistent()) {
+    return versions.length > 0 ? versions[versions.length - 1].version : 0;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('version')
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read template catalog versions: ${error.message}`);
+  }
+  return data ? data.version : 0;
+}
+
+/**
+ * Publish a catalog as the next version and switch to it
+ * @param {object} candidate - Catalog (its version is replaced)
+ * @param {object} options
+ * @param {string} options.note - What changed
+ * @param {string} options.createdBy - Who changed it (default 'admin')
+ * @returns {Promise<{ published: boolean, version?: number, reason?: string, errors?: string[] }>}
+ */
+async function publishCatalog(candidate, options = {}) {
+  const { note = null, createdBy = 'admin' } = options;
+
+  const errors = validateCatalog(candidate);
+  if (errors.length > 0) {
+    return { published: false, reason: REJECTION.INVALID_CATALOG, errors };
+  }
+
+  const version = Math.max(catalog.version, await getLatestStoredVersion()) + 1;
+  const next = { ...candidate, version };
+
+  if (!isPersistent()) {
+    versions.push({ version, catalog: JSON.parse(JSON.stringify(next)), note, created_by: createdBy, created_at: new Date().toISOString() });
+  } else {
+    const { error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .insert({ version, catalog: next, active: true, note, created_by: createdBy });
+
+    if (error?.code === '23505') {
+      return { published: false, reason: REJECTION.CONFLICT };
+    }
+    if (error) {
+      console.error('[templates] Error publishing template catalog:', error.message);
+      throw new Error(`Failed to publish template catalog: ${error.message}`);
+    }
+  }
+
+  setCatalog(next, isPersistent() ? `${TABLE_NAME} v${version}` : `admin edit v${version}`);
+  console.log(`[templates] Published template catalog v${version}${note ? `: ${note}` : ''}`);
+  return { published: true, version };
+}
+
+/**
+ * The catalog in use, as published, for an edit to start from
+ */
+function editableCatalog() {
+  return JSON.parse(JSON.stringify(publishedCatalog));
+}
+
+/**
+ * Add a template from an uploaded image
+ * New templates start disabled at the end of the gallery - preview, then
+ * enable them with updateTemplate(). Refused with Supabase: the image would
+ * be on this server's disk only, while every instance loads the catalog.
+ * @param {object} fields - { id, title, caption?, source?, targetPerson?, prompts? }
+ * @param {Buffer} imageBuffer - JPEG, PNG or WebP
+ * @param {object} options - { createdBy }
+ * @returns {Promise<object>} publishCatalog() result, plus the template when published
+ */
+async function addTemplate(fields, imageBuffer, options = {}) {
+  if (typeof fields.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(fields.id)) {
+    return { published: false, reason: REJECTION.INVALID_CATALOG, errors: ['id must be lowercase letters, digits and underscores'] };
+  }
+  if (catalog.templates.some(template => template.id === fields.id)) {
+    return { published: false, reason: REJECTION.DUPLICATE_ID };
+  }
+  if (isPersistent()) {
+    return {
+      published: false,
+      reason: REJECTION.LOCAL_IMAGE,
+      errors: ['uploaded images are only saved on this server - commit the image to public/epstein-photos and deploy it first'],
+    };
+  }
+
+  let format = null;
+  try {
+    format = (await sharp(imageBuffer).metadata()).format;
+  } catch (error) {
+    // Not an image - refused below
+  }
+  if (!UPLOAD_FORMATS[format]) {
+    return { published: false, reason: REJECTION.INVALID_IMAGE };
+  }
+
+  const image = `${fields.id}.${UPLOAD_FORMATS[format]}`;
+  const imagePath = path.join(PHOTOS_DIR, image);
+
+  const candidate = editableCatalog();
+  candidate.templates.push({
+    id: fields.id,
+    image,
+    title: fields.title,
+    caption: fields.caption || '',
+    source: fields.source || null,
+    enabled: false,
+    sortOrder: Math.max(0, ...candidate.templates.map(template => template.sortOrder)) + 10,
+    targetPerson: fields.targetPerson || null,
+    prompts: fields.prompts || {},
+  });
+
+  try {
+    await fs.promises.writeFile(imagePath, imageBuffer, { flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return { published: false, reason: REJECTION.DUPLICATE_ID };
+    }
+    throw error;
+  }
+
+  const result = await publishCatalog(candidate, { note: `Added ${fields.id}`, ...options }).catch(async error => {
+    await fs.promises.unlink(imagePath).catch(() => {});
+    throw error;
+  });
+  if (!result.published) {
+    await fs.promises.unlink(imagePath).catch(() => {});
+    return result;
+  }
+  return { ...result, template: getTemplate(fields.id) };
+}
+
+/**
+ * Change a template's fields (prompts, enabled, title, ...)
+ * @param {string} id
+ * @param {object} changes - Any of EDITABLE_FIELDS; prompts and variants
+ *   replace all of them, null removes thumbnail, notes or variants
+ * @param {object} options - { note, createdBy }
+ * @returns {Promise<object>} publishCatalog() result, plus the template when published
+ */
+async function updateTemplate(id, changes, options = {}) {
+  const candidate = editableCatalog();
+  const template = candidate.templates.find(entry => entry.id === id);
+  if (!template) {
+    return { published: false, reason: REJECTION.UNKNOWN_TEMPLATE };
+  }
+
+  const changed = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  changed.forEach(field => {
+    if (changes[field] === null && OPTIONAL_FIELDS.includes(field)) {
+      delete template[field];
+    } else {
+      template[field] = changes[field];
+    }
+  });
+
+  const result = await publishCatalog(candidate, { note: `Updated ${id} (${changed.join(', ') || 'no changes'})`, ...options });
+  return result.published ? { ...result, template: getTemplate(id) } : result;
+}
+
+/**
+ * Set the gallery order
+ * @param {string[]} ids - Every template ID, in the new order
+ * @param {object} options - { createdBy }
+ * @returns {Promise<object>} publishCatalog() result
+ */
+async function reorderTemplates(ids, options = {}) {
+  const candidate = editableCatalog();
+  const known = candidate.templates.map(template => template.id);
+
+  if (!Array.isArray(ids) || ids.length !== known.length || new Set(ids).size !== ids.length || !ids.every(id => known.includes(id))) {
+    return { published: false, reason: REJECTION.INVALID_ORDER };
+  }
+
+  candidate.templates.forEach(template => { template.sortOrder = (ids.indexOf(template.id) + 1) * 10; });
+  return publishCatalog(candidate, { note: 'Reordered the gallery', ...options });
+}
+
+/**
+ * Restore an earlier catalog version (published again as the next version)
+ * @param {number} version
+ * @param {object} options - { createdBy }
+ * @returns {Promise<object>} publishCatalog() result
+ */
+async function rollbackTo(version, options = {}) {
+  let candidate = Number.isInteger(version) ? await getStoredCatalog(version) : null;
+  if (!candidate && fileCatalog && version === fileCatalog.version) {
+    candidate = JSON.parse(JSON.stringify(fileCatalog));
+  }
+  if (!candidate) {
+    return { published: false, reason: REJECTION.UNKNOWN_VERSION };
+  }
+
+  return publishCatalog(candidate, { note: `Rollback to v${version}`, ...options });
+}
+
+/**
+ * Clear the in-memory version history (for testing)
+ */
+function clearVersions() {
+  versions.length = 0;
+}
+
+/**
+ * Get the catalog version and where it was read from
+ * (recheckSeconds: how long other servers may take to pick up a new version)
+ * @returns {{ version: number, source: string, count: number, recheckSeconds: number }}
+ */
+function getCatalogInfo() {
+  return {
+    version: catalog.version,
+    source: catalogSource,
+    count: catalog.templates.length,
+    recheckSeconds: Math.ceil(getRecheckInterval() / 1000),
+  };
+}
+
+// Load the catalog file now: a broken catalog should stop the server at
+// startup, not fail the first generation.
+loadCatalogFile();
+
+module.exports = {
+  PHOTOS_DIR,
+  PROMPT_KEYS,
+  DEFAULT_VARIANT,
+  EDITABLE_FIELDS,
+  REJECTION,
+  validateCatalog,
+  loadCatalogFile,
+  ready,
+  reload,
+  listTemplates,
+  getTemplate,
+  getTemplateByPath,
+  chooseVariant,
+  getSubject,
+  getPrompt,
+  compileTemplatePrompt,
+  lintCatalog,
+  readTemplateImage,
+  toPublicTemplate,
+  getCatalogInfo,
+  listVersions,
+  publishCatalog,
+  addTemplate,
+  updateTemplate,
+  reorderTemplates,
+  rollbackTo,
+  clearVersions,
+};
@@ -6,11 +6,12 @@
  * - Quick (gemini-2.5-flash-image-preview): Fast, good quality
  * - Premium (gemini-3-pro-image-preview): Best quality
  *
- * Quotas:
+ * Quotas (limits and credit costs come from the pricing catalog - services/pricing.js):
  * - Anonymous: 3 quick only (watermarked)
  * - Free (registered): 5 quick + 1 premium (separate quotas, watermarked)
  * - Base ($14.99/mo): 50 total from shared pool (any model, watermark-free)
  * - Credits: 1 credit = quick, 2 credits = premium
+ *   (balances change only through the credit ledger - services/credits.js)
  *
  * Anonymous Tracking:
  * - Primary: Supabase usage_counters table (persistent, survives cold starts)
@@ -18,7 +19,9 @@
  * - Session ID: httpOnly cookie with anon_id (XSS-proof)
  */
 
-const tiers = require('../config/tiers');
+const pricing = require('./pricing');
+const credits = require('./credits');
+const dunning = require('./dunning');
 
 // In-memory fallback for anonymous users (used when Supabase unavailable)
 // Structure: { quickCount: number, premiumCount: number, createdAt: number }
@@ -60,6 +63,9 @@ setInterval(cleanupExpiredEntries, CLEANUP_INTERVAL);
 
 /**
  * Get user's subscription tier
+ * Subscribers get the tier of the plan whose Stripe price they pay for
+ * (profile.stripe_price_id); otherwise the profile's tier column decides.
+ * Past-due subscribers keep it only until their grace period ends (services/dunning.js).
  */
 function getUserTier(userId, profile = null) {
   if (!userId) {
@@ -67,8 +73,23 @@ function getUserTier(userId, profile = null) {
   }
 
   if (profile) {
-    if (profile.tier === 'base' || profile.tier === 'paid' || profile.subscription_status === 'active') {
-      return profile.tier === 'base' ? 'base' : 'paid';
+    const pastDue = profile.subscription_status === 'past_due';
+    if (pastDue && !dunning.isInGracePeriod(profile)) {
+      return 'free';
+    }
+
+    const plan = pricing.getPlanByStripePrice(profile.stripe_price_id);
+    if (plan && (pastDue || !profile.subscription_status || pricing.ENTITLED_SUBSCRIPTION_STATUSES.includes(profile.subscription_status))) {
+      return plan.tier;
+    }
+
+    if (profile.tier && profile.tier !== 'anonymous' && profile.tier !== 'free' && pricing.getTier(profile.tier)) {
+      return profile.tier;
+    }
+
+    // Legacy profiles: an active subscription without a paid tier recorded
+    if (profile.subscription_status === 'active') {
+      return 'paid';
     }
   }
 
@@ -106,13 +127,30 @@ function getCreditBalance(profile) {
   return profile?.credit_balance || 0;
 }
 
+/**
+ * Charge a generation's credits to the credit ledger
+ * Called once the generation succeeded; the ledger refuses a second charge
+ * for the same generation and never lets the balance go negative.
+ * @param {string} userId
+ * @param {number} creditCost - Credits to spend (from incrementUsage().usedCredits)
+ * @param {string|null} generationId - Generation being paid for
+ * @returns {Promise<{ success: boolean, newCredits: number|null, reason: string|null }>}
+ */
+async function chargeCredits(userId, creditCost, generationId = null) {
+  const result = await credits.spendCredits(userId, creditCost, { generationId });
+  if (!result.applied) {
+    console.warn(`[usage] Credit charge for ${generationId || 'generation'} not applied: ${result.reason}`);
+  }
+  return { success: result.applied, newCredits: result.balance, reason: result.reason };
+}
+
 /**
  * Get credit cost for a model type
  * @param {'quick' | 'premium'} modelType
  * @returns {number}
  */
 function getCreditCost(modelType) {
-  return modelType === 'premium' ? tiers.credit.premiumCost : tiers.credit.quickCost;
+  return pricing.getCreditCost(modelType);
 }
 
 /**
@@ -174,21 +212,24 @@ function updateAnonCache(anonId, quickCount, premiumCount) {
  * @param {'quick' | 'premium'} modelType
  * @param {string|null} ipAddress
  * @param {string|null} anonId - Anonymous session ID (from cookie)
+ * @param {object|null} pending - Generations/credits held by in-flight requests
+ *   (services/quota.js), counted as already used: { quick, premium, monthly, credits }
  * @returns {{ canGenerate: boolean, reason: string, useCredit: boolean, creditCost: number }}
  */
-function checkModelUsage(userId, profile, modelType, ipAddress = null, anonId = null) {
+function checkModelUsage(userId, profile, modelType, ipAddress = null, anonId = null, pending = null) {
   const tier = getUserTier(userId, profile);
-  const tierConfig = tiers[tier];
+  const tierConfig = pricing.getTier(tier);
   const creditCost = getCreditCost(modelType);
-  const credits = getCreditBalance(profile);
+  const credits = getCreditBalance(profile) - (pending?.credits || 0);
 
-  // Base/paid tier: shared pool of 50 (any model)
-  if (tier === 'base' || tier === 'paid') {
+  // Shared-pool tiers (base/paid): one monthly pool for any model
+  if (tierConfig.sharedPool) {
     let monthlyUsed = profile?.monthly_generation_count || 0;
 
     if (shouldResetMonthlyUsage(profile)) {
       monthlyUsed = 0;
     }
+    monthlyUsed += pending?.monthly || 0;
 
     if (monthlyUsed < tierConfig.monthlyLimit) {
       const remaining = tierConfig.monthlyLimit - monthlyUsed;
@@ -230,6 +271,8 @@ function checkModelUsage(userId, profile, modelType, ipAddress = null, anonId =
     quickUsed = profile.quick_count || 0;
     premiumUsed = profile.premium_count || 0;
   }
+  quickUsed += pending?.quick || 0;
+  premiumUsed += pending?.premium || 0;
 
   const quickLimit = tierConfig.quickLimit;
   const premiumLimit = tierConfig.premiumLimit;
@@ -300,7 +343,8 @@ function checkModelUsage(userId, profile, modelType, ipAddress = null, anonId =
  */
 function checkUsage(userId, profile = null, ipAddress = null, modelType = 'quick', anonId = null) {
   const tier = getUserTier(userId, profile);
-  const tierConfig = tiers[tier];
+  const tierConfig = pricing.getTier(tier);
+  const inGracePeriod = dunning.isInGracePeriod(profile);
 
   let used = 0;
   let monthlyUsed = 0;
@@ -333,7 +377,7 @@ function checkUsage(userId, profile = null, ipAddress = null, modelType = 'quick
 
   // For base/paid tier, use shared monthly pool for remaining calculations
   // For free/anonymous, use separate quick/premium quotas
-  const isSharedPool = tier === 'base' || tier === 'paid';
+  const isSharedPool = tierConfig.sharedPool;
   const sharedRemaining = Math.max(0, monthlyLimit - monthlyUsed);
 
   return {
@@ -363,8 +407,9 @@ function checkUsage(userId, profile = null, ipAddress = null, modelType = 'quick
     useCredit: modelUsage.useCredit,
     creditCost: modelUsage.creditCost,
     reason: modelUsage.reason,
-    // Watermark (base/paid = no watermark)
-    watermarkFree: tierConfig.watermarkFree,
+    // Watermark (base/paid = no watermark, except while a failed payment is in its grace period)
+    watermarkFree: tierConfig.watermarkFree && !inGracePeriod,
+    gracePeriodEndsAt: inGracePeriod ? profile.grace_period_ends_at : null,
     // Reset info
     needsMonthlyReset: shouldResetMonthlyUsage(profile),
     monthlyResetAt: profile?.monthly_reset_at || null
@@ -383,7 +428,7 @@ function checkUsage(userId, profile = null, ipAddress = null, modelType = 'quick
  */
 function incrementUsage(userId, profile = null, ipAddress = null, modelType = 'quick', useCredit = false, creditCost = 0, anonId = null) {
   const tier = getUserTier(userId, profile);
-  const tierConfig = tiers[tier];
+  const tierConfig = pricing.getTier(tier);
   const now = Date.now();
 
   if (tier === 'anonymous') {
@@ -481,8 +526,8 @@ function incrementUsage(userId, profile = null, ipAddress = null, modelType = 'q
     };
   }
 
-  // Base/paid tier: increment shared monthly pool
-  if (tier === 'base' || tier === 'paid') {
+  // Shared-pool tiers (base/paid): increment the monthly pool
+  if (tierConfig.sharedPool) {
     return {
       success: true,
       newCount: currentCount + 1,
@@ -552,5 +597,6 @@ module.exports = {
   shouldResetMonthlyUsage,
   getNextResetDate,
   getCreditBalance,
-  getCreditCost
+  getCreditCost,
+  chargeCredits
 };
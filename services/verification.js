@@ -0,0 +1,144 @@
+/**
+ * Image Verification Service
+ * Answers "did this image come from Pimp My Epstein?" for /api/verify
+ *
+ * 1. Signed provenance manifest (lib/provenance.js) - proves origin and
+ *    detects tampering via the content hash
+ * 2. Invisible watermark (lib/invisibleWatermark.js) - carries the generation
+ *    ID through manifest stripping, recompression, resizing and cropping
+ * 3. Perceptual hash lookup against completed generations - for copies whose
+ *    manifest was stripped (screenshots, re-encoding by social platforms)
+ */
+
+const generations = require('./generations');
+const { verifyProvenance } = require('../lib/provenance');
+const { computePerceptualHash } = require('../lib/imageHash');
+const { decodeInvisibleWatermark } = require('../lib/invisibleWatermark');
+
+// Max Hamming distance (of 64 bits) to treat an image as a copy of an output
+const MAX_HASH_DISTANCE = 10;
+
+const METHOD = {
+  MANIFEST: 'manifest',
+  WATERMARK: 'watermark',
+  PERCEPTUAL_HASH: 'perceptual_hash',
+};
+
+/**
+ * Public view of a generation - never includes user IDs, view tokens or result URLs
+ */
+function toPublicSource(source) {
+  return {
+    generationId: source.generationId,
+    template: source.template,
+    model: source.model || null,
+    createdAt: source.createdAt,
+  };
+}
+
+/**
+ * Verify an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<object>} Verification result:
+ *   { produced, method, tampered, source, manifest, watermark, match, message }
+ *   (watermark is null when an intact manifest made decoding unnecessary)
+ */
+async function verifyImage(buffer) {
+  const provenance = verifyProvenance(buffer);
+  const manifestInfo = {
+    present: provenance.present,
+    signatureValid: provenance.signatureValid,
+    contentIntact: provenance.contentIntact,
+  };
+
+  if (provenance.signatureValid && provenance.contentIntact) {
+    const { manifest } = provenance;
+    return {
+      produced: true,
+      method: METHOD.MANIFEST,
+      tampered: false,
+      source: toPublicSource(manifest),
+      manifest: { ...manifestInfo, statement: manifest.statement },
+      watermark: null,
+      match: null,
+      message: 'Generated by this service as a parody composite. This is not a real photograph.',
+    };
+  }
+
+  // A signed manifest that doesn't match the pixels proves nothing about this
+  // image - it may have been copied onto an unrelated photo - so only the
+  // checks below can tie it to one of our outputs
+  const manifestMismatch = provenance.signatureValid && !provenance.contentIntact;
+
+  // No usable manifest - read the invisible watermark
+  // (throws if the image can't be decoded)
+  const decoded = await decodeInvisibleWatermark(buffer);
+  const watermarkInfo = { present: decoded.found };
+
+  if (decoded.found) {
+    // The mark alone identifies our output - the record adds details if we still have it
+    const generation = await generations.getGeneration(decoded.generationId);
+    return {
+      produced: true,
+      method: METHOD.WATERMARK,
+      // The mark survives edits by design, so only a mismatched manifest tells us it was changed
+      tampered: manifestMismatch ? true : null,
+      source: toPublicSource({
+        generationId: decoded.generationId,
+        template: generation?.epsteinPhoto || null,
+        createdAt: generation?.createdAt || null,
+      }),
+      manifest: manifestInfo,
+      watermark: watermarkInfo,
+      match: null,
+      message: 'Carries the invisible watermark of a parody composite generated by this service. Its provenance data has been removed or replaced.',
+    };
+  }
+
+  // No watermark either - look for a stored output that looks the same
+  const perceptualHash = await computePerceptualHash(buffer);
+  const found = await generations.findByPerceptualHash(perceptualHash, MAX_HASH_DISTANCE);
+
+  if (found) {
+    const { generation, distance } = found;
+    return {
+      produced: true,
+      method: METHOD.PERCEPTUAL_HASH,
+      // Without a manifest we can't tell re-encoding from editing - only that it differs
+      tampered: manifestMismatch ? true : (distance > 0 ? null : false),
+      source: toPublicSource({
+        generationId: generation.id,
+        template: generation.epsteinPhoto,
+        createdAt: generation.createdAt,
+      }),
+      manifest: manifestInfo,
+      watermark: watermarkInfo,
+      match: { distance, maxDistance: MAX_HASH_DISTANCE },
+      message: 'Matches a parody composite generated by this service. Its provenance data has been removed or replaced.',
+    };
+  }
+
+  let message = 'No record of this image. It was not generated by this service, or it has been altered beyond recognition.';
+  if (manifestMismatch) {
+    message = 'Contains a provenance manifest signed by this service, but the image does not match it. It has been altered or the manifest was copied from another image.';
+  } else if (provenance.present) {
+    message = 'Contains a provenance manifest that was not signed by this service.';
+  }
+
+  return {
+    produced: false,
+    method: null,
+    tampered: manifestMismatch ? true : null,
+    source: null,
+    manifest: manifestInfo,
+    watermark: watermarkInfo,
+    match: null,
+    message,
+  };
+}
+
+module.exports = {
+  verifyImage,
+  MAX_HASH_DISTANCE,
+  METHOD,
+};
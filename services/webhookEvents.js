@@ -0,0 +1,435 @@
+/**
+ * Stripe Webhook Event Store
+ *
+ * Every incoming Stripe event is stored by its event ID before it is handled,
+ * with its processing status:
+ * - received:   stored, not handled yet
+ * - processing: a handler is running it (leased, so a crashed run is retried)
+ * - processed:  handled - redeliveries are answered from the stored result
+ * - failed:     the handler threw or returned success: false - retried
+ *               automatically with backoff
+ * - dead:       failed MAX_ATTEMPTS times - left for an admin to replay
+ *
+ * Handlers therefore run at most once per event once they succeed, whatever
+ * the event type, however often Stripe redelivers it.
+ *
+ * Storage:
+ * - Primary: Supabase stripe_webhook_events table (claimed through the
+ *   claim_webhook_event RPC, so two deliveries can't run the same event at once)
+ * - Fallback: In-memory Map (for when Supabase is not configured, e.g. local dev/tests)
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+// Supabase table name
+const TABLE_NAME = 'stripe_webhook_events';
+
+// In-memory fallback store (used only when Supabase is not configured)
+// Structure: { eventId: record }
+const events = new Map();
+
+const STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  DEAD: 'dead',
+};
+
+// Failed attempts before an event is dead-lettered
+const MAX_ATTEMPTS = 5;
+
+// Delay before the first automatic retry, doubled after every failure
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 60 * 1000;
+
+// How long a run may hold an event before another delivery can take it over
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Default page size for listEvents()
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * Check whether events are persisted in Supabase
+ * @returns {boolean}
+ */
+function isPersistent() {
+  return !!supabaseAdmin;
+}
+
+/**
+ * Map a Supabase row (snake_case) to an event record (camelCase)
+ * @param {object} row - Row from the stripe_webhook_events table
+ * @returns {object} Event record
+ */
+function toRecord(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error || null,
+    result: row.result || null,
+    payload: row.payload,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at || null,
+    nextAttemptAt: row.next_attempt_at || null,
+    lockedUntil: row.locked_until || null,
+  };
+}
+
+/**
+ * Whether a stored event may be (re)run now
+ * @param {object} record
+ * @param {boolean} allowDead - Admin replay may run dead-lettered events
+ */
+function isClaimable(record, allowDead) {
+  if (record.status === STATUS.RECEIVED || record.status === STATUS.FAILED) {
+    return true;
+  }
+  if (record.status === STATUS.PROCESSING) {
+    return new Date(record.lockedUntil).getTime() <= Date.now();
+  }
+  return allowDead && record.status === STATUS.DEAD;
+}
+
+/**
+ * Store an event (first delivery only) and take the lease on it if it may run
+ * @param {object} event - Stripe event
+ * @param {boolean} allowDead - Also claim dead-lettered events (admin replay)
+ * @returns {Promise<{ claimed: boolean, record: object }>}
+ */
+async function claimEvent(event, allowDead = false) {
+  const lockedUntil = new Date(Date.now() + PROCESSING_LEASE_MS).toISOString();
+
+  if (!isPersistent()) {
+    if (!events.has(event.id)) {
+      events.set(event.id, {
+        id: event.id,
+        type: event.type,
+        status: STATUS.RECEIVED,
+        attempts: 0,
+        lastError: null,
+        result: null,
+        payload: event,
+        receivedAt: new Date().toISOString(),
+        processedAt: null,
+        nextAttemptAt: null,
+        lockedUntil: null,
+      });
+    }
+
+    const record = events.get(event.id);
+    if (!isClaimable(record, allowDead)) {
+      return { claimed: false, record: { ...record } };
+    }
+    record.status = STATUS.PROCESSING;
+    record.attempts += 1;
+    record.lockedUntil = lockedUntil;
+    return { claimed: true, record: { ...record } };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .rpc('claim_webhook_event', {
+      p_event_id: event.id,
+      p_event_type: event.type,
+      p_payload: event,
+      p_lease_seconds: Math.ceil(PROCESSING_LEASE_MS / 1000),
+      p_allow_dead: allowDead,
+    })
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store webhook event ${event.id}: ${error.message}`);
+  }
+
+  return { claimed: data.claimed, record: toRecord(data) };
+}
+
+/**
+ * Record how a run ended
+ * @param {object} record - The claimed record
+ * @param {object} outcome - { result } on success, { error } on failure
+ * @returns {Promise<object>} Updated record
+ */
+async function finishEvent(record, outcome) {
+  const now = Date.now();
+  let updates;
+
+  if (!outcome.error) {
+    updates = {
+      status: STATUS.PROCESSED,
+      result: outcome.result,
+      lastError: null,
+      processedAt: new Date(now).toISOString(),
+      nextAttemptAt: null,
+      lockedUntil: null,
+    };
+  } else {
+    const dead = record.attempts >= MAX_ATTEMPTS;
+    updates = {
+      status: dead ? STATUS.DEAD : STATUS.FAILED,
+      lastError: outcome.error,
+      nextAttemptAt: dead ? null : new Date(now + RETRY_BASE_DELAY_MS * 2 ** (record.attempts - 1)).toISOString(),
+      lockedUntil: null,
+    };
+  }
+
+  if (!isPersistent()) {
+    const stored = events.get(record.id);
+    Object.assign(stored, updates);
+    return { ...stored };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .update({
+      status: updates.status,
+      result: updates.result,
+      last_error: updates.lastError,
+      processed_at: updates.processedAt,
+      next_attempt_at: updates.nextAttemptAt,
+      locked_until: updates.lockedUntil,
+    })
+    .eq('id', record.id)
+    .select()
+    .single();
+
+  if (error) {
+    // The lease runs out and the event is retried - handlers are idempotent
+    console.error(`[webhookEvents] Error saving outcome for ${record.id}:`, error.message);
+    return { ...record, ...updates };
+  }
+
+  return toRecord(data);
+}
+
+/**
+ * Run a handler on a claimed event and record the outcome
+ */
+async function runClaimed(record, event, handler) {
+  let outcome;
+  try {
+    const result = await handler(event);
+    outcome = result && result.success === false
+      ? { error: result.message || 'Handler reported failure' }
+      : { result: result || null };
+  } catch (err) {
+    outcome = { error: err.message };
+  }
+
+  if (outcome.error) {
+    console.error(`[webhookEvents] ${event.type} ${event.id} failed (attempt ${record.attempts}): ${outcome.error}`);
+  }
+
+  return finishEvent(record, outcome);
+}
+
+/**
+ * Process an incoming webhook event exactly once
+ * @param {object} event - Verified Stripe event
+ * @param {function} handler - Async (event) => result; throwing or returning
+ *   { success: false, message } marks the event failed
+ * @returns {Promise<object>} { processed, duplicate, status, result, error }
+ *   - duplicate: the event was already processed (result is the stored one)
+ *     or is being processed by another delivery right now
+ */
+async function processEvent(event, handler) {
+  const claim = await claimEvent(event);
+
+  if (!claim.claimed) {
+    const { record } = claim;
+    return {
+      processed: record.status === STATUS.PROCESSED,
+      duplicate: true,
+      status: record.status,
+      result: record.result,
+      error: record.lastError,
+    };
+  }
+
+  const record = await runClaimed(claim.record, event, handler);
+  return {
+    processed: record.status === STATUS.PROCESSED,
+    duplicate: false,
+    status: record.status,
+    result: record.result,
+    error: record.lastError,
+  };
+}
+
+/**
+ * Build the HTTP response for Stripe from a processEvent() outcome
+ * Stripe redelivers on non-2xx responses, which is what we want while an event
+ * is failing or still running elsewhere - but not once it is dead-lettered.
+ * @param {object} outcome - From processEvent()
+ * @returns {{ statusCode: number, body: object }}
+ */
+function toWebhookResponse(outcome) {
+  switch (outcome.status) {
+    case STATUS.PROCESSED:
+      return { statusCode: 200, body: { received: true, duplicate: outcome.duplicate, ...outcome.result } };
+    case STATUS.FAILED:
+      return { statusCode: 500, body: { received: true, status: outcome.status, error: outcome.error } };
+    case STATUS.DEAD:
+      return { statusCode: 200, body: { received: true, status: outcome.status, error: outcome.error } };
+    default:
+      return { statusCode: 409, body: { received: true, status: outcome.status } };
+  }
+}
+
+/**
+ * Get a stored event
+ * @param {string} eventId
+ * @returns {Promise<object|null>}
+ */
+async function getEvent(eventId) {
+  if (!isPersistent()) {
+    const record = events.get(eventId);
+    return record ? { ...record } : null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[webhookEvents] Error fetching event:', error.message);
+    return null;
+  }
+
+  return data ? toRecord(data) : null;
+}
+
+/**
+ * List stored events, newest first
+ * @param {object} options
+ * @param {string|string[]} options.status - Only events with this status (or these statuses)
+ * @param {number} options.limit - Maximum number of events (default 50)
+ * @returns {Promise<Array<object>>} Records without their payload
+ */
+async function listEvents(options = {}) {
+  const limit = options.limit || DEFAULT_LIST_LIMIT;
+  const statuses = options.status ? [].concat(options.status) : null;
+  const withoutPayload = ({ payload, ...record }) => record;
+
+  if (!isPersistent()) {
+    return Array.from(events.values())
+      .filter(record => !statuses || statuses.includes(record.status))
+      .reverse()
+      .slice(0, limit)
+      .map(withoutPayload);
+  }
+
+  let query = supabaseAdmin
+    .from(TABLE_NAME)
+    .select('*')
+    .order('received_at', { ascending: false })
+    .limit(limit);
+  if (statuses) {
+    query = query.in('status', statuses);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('[webhookEvents] Error listing events:', error.message);
+    return [];
+  }
+
+  return data.map(row => withoutPayload(toRecord(row)));
+}
+
+/**
+ * Run a failed or dead-lettered event again now (admin replay)
+ * @param {string} eventId
+ * @param {function} handler - Same handler the webhook route uses
+ * @returns {Promise<object|null>} Updated record (without payload), or null if
+ *   there is no such event. Events that aren't failed/dead are returned unchanged.
+ */
+async function replayEvent(eventId, handler) {
+  const stored = await getEvent(eventId);
+  if (!stored) {
+    return null;
+  }
+  if (stored.status !== STATUS.FAILED && stored.status !== STATUS.DEAD) {
+    const { payload, ...record } = stored;
+    return record;
+  }
+
+  const claim = await claimEvent(stored.payload, true);
+  const record = claim.claimed ? await runClaimed(claim.record, stored.payload, handler) : claim.record;
+  const { payload, ...result } = record;
+  return result;
+}
+
+/**
+ * Retry failed events whose backoff has passed (and runs whose lease ran out)
+ * @param {function} handler - Same handler the webhook route uses
+ * @param {object} options
+ * @param {number} options.limit - Maximum events per sweep (default 20)
+ * @returns {Promise<{ retried: number, processed: number }>}
+ */
+async function retryDueEvents(handler, options = {}) {
+  const limit = options.limit || 20;
+  const now = new Date(Date.now()).toISOString();
+  let due;
+
+  if (!isPersistent()) {
+    due = Array.from(events.values())
+      .filter(record =>
+        (record.status === STATUS.FAILED && record.nextAttemptAt <= now) ||
+        (record.status === STATUS.PROCESSING && record.lockedUntil <= now))
+      .slice(0, limit)
+      .map(record => record.payload);
+  } else {
+    const { data, error } = await supabaseAdmin
+      .from(TABLE_NAME)
+      .select('payload')
+      .or(`and(status.eq.${STATUS.FAILED},next_attempt_at.lte.${now}),and(status.eq.${STATUS.PROCESSING},locked_until.lte.${now})`)
+      .order('received_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('[webhookEvents] Error finding events to retry:', error.message);
+      return { retried: 0, processed: 0 };
+    }
+    due = data.map(row => row.payload);
+  }
+
+  let retried = 0;
+  let processed = 0;
+  for (const event of due) {
+    const outcome = await processEvent(event, handler);
+    if (!outcome.duplicate) {
+      retried++;
+      if (outcome.processed) {
+        processed++;
+      }
+    }
+  }
+
+  return { retried, processed };
+}
+
+/**
+ * Clear all in-memory events (useful for testing)
+ * Does not touch Supabase.
+ */
+function clearAll() {
+  events.clear();
+}
+
+module.exports = {
+  processEvent,
+  toWebhookResponse,
+  replayEvent,
+  retryDueEvents,
+  getEvent,
+  listEvents,
+  clearAll,
+  isPersistent,
+  STATUS,
+  MAX_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+};
@@ -0,0 +1,191 @@
+-- Migration: Append-only credit ledger
+-- Every change to a user's credits (purchase grant, generation spend, refund,
+-- expiry, admin adjustment) is recorded as one row, linked to the Stripe
+-- checkout session or generation that caused it. profiles.credit_balance stays
+-- as a cached balance, maintained only by apply_credit_entry() below.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('grant', 'spend', 'refund', 'expiry', 'adjustment')),
+  amount INTEGER NOT NULL CHECK (amount <> 0), -- Signed: grants/refunds > 0, spends/expiries < 0
+  balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+  stripe_session_id TEXT,
+  generation_id UUID,
+  note TEXT,
+  created_by TEXT, -- 'stripe', 'system' or 'admin'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_id ON credit_ledger(user_id, created_at DESC);
+
+-- One grant per checkout session (webhook retries and /api/verify-session
+-- can both try to apply the same purchase)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_stripe_session
+  ON credit_ledger(stripe_session_id, entry_type)
+  WHERE stripe_session_id IS NOT NULL;
+
+-- One spend (and at most one refund) per generation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_generation
+  ON credit_ledger(generation_id, entry_type)
+  WHERE generation_id IS NOT NULL;
+
+ALTER TABLE credit_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own history; only the backend writes
+CREATE POLICY "Users can view own credit ledger"
+  ON credit_ledger
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role has full access to credit_ledger"
+  ON credit_ledger
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Opening balances for credits bought before the ledger existed
+INSERT INTO credit_ledger (user_id, entry_type, amount, balance_after, note, created_by)
+SELECT p.id, 'adjustment', p.credit_balance, p.credit_balance, 'Opening balance (before credit ledger)', 'system'
+FROM profiles p
+WHERE p.credit_balance > 0
+  AND NOT EXISTS (SELECT 1 FROM credit_ledger l WHERE l.user_id = p.id);
+
+-- RPC function to append a ledger entry and update the cached balance atomically
+-- Returns applied = false (with the unchanged balance) and a reason when the
+-- entry was refused:
+--   'duplicate'    - this session/generation already has an entry of this type
+--   'insufficient' - the balance would go negative
+--   'no_profile'   - unknown user
+CREATE OR REPLACE FUNCTION apply_credit_entry(
+  p_user_id UUID,
+  p_entry_type TEXT,
+  p_amount INTEGER,
+  p_stripe_session_id TEXT DEFAULT NULL,
+  p_generation_id UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL,
+  p_created_by TEXT DEFAULT NULL,
+  p_customer_id TEXT DEFAULT NULL
+)
+RETURNS TABLE(applied BOOLEAN, balance INTEGER, reason TEXT, entry_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_balance INTEGER;
+  new_entry_id UUID;
+BEGIN
+  -- Lock the profile row so entries for one user apply one at a time
+  SELECT credit_balance INTO current_balance
+  FROM profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, 'no_profile'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM credit_ledger
+    WHERE entry_type = p_entry_type
+      AND ((p_stripe_session_id IS NOT NULL AND stripe_session_id = p_stripe_session_id)
+        OR (p_generation_id IS NOT NULL AND generation_id = p_generation_id))
+  ) THEN
+    RETURN QUERY SELECT FALSE, current_balance, 'duplicate'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF current_balance + p_amount < 0 THEN
+    RETURN QUERY SELECT FALSE, current_balance, 'insufficient'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO credit_ledger (user_id, entry_type, amount, balance_after, stripe_session_id, generation_id, note, created_by)
+  VALUES (p_user_id, p_entry_type, p_amount, current_balance + p_amount, p_stripe_session_id, p_generation_id, p_note, p_created_by)
+  RETURNING id INTO new_entry_id;
+
+  UPDATE profiles
+  SET
+    credit_balance = current_balance + p_amount,
+    stripe_customer_id = COALESCE(p_customer_id, stripe_customer_id),
+    updated_at = NOW()
+  WHERE id = p_user_id;
+
+  RETURN QUERY SELECT TRUE, current_balance + p_amount, NULL::TEXT, new_entry_id;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION apply_credit_entry(UUID, TEXT, INTEGER, TEXT, UUID, TEXT, TEXT, TEXT)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_credit_entry(UUID, TEXT, INTEGER, TEXT, UUID, TEXT, TEXT, TEXT)
+  TO service_role;
+
+-- Older credit RPCs now go through the ledger too, so nothing changes the
+-- balance without leaving a row behind
+CREATE OR REPLACE FUNCTION increment_credits(
+  p_user_id UUID,
+  p_credits_to_add INTEGER,
+  p_customer_id TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT balance FROM apply_credit_entry(p_user_id, 'grant', p_credits_to_add, NULL, NULL, 'increment_credits', 'system', p_customer_id);
+$$;
+
+CREATE OR REPLACE FUNCTION use_credits_for_generation(
+  target_user_id UUID,
+  model_type TEXT
+)
+RETURNS TABLE(new_balance INTEGER, success BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  result RECORD;
+BEGIN
+  SELECT * INTO result
+  FROM apply_credit_entry(target_user_id, 'spend', CASE WHEN model_type = 'quick' THEN -1 ELSE -2 END);
+
+  IF result.applied THEN
+    UPDATE profiles SET generation_count = generation_count + 1 WHERE id = target_user_id;
+  END IF;
+
+  RETURN QUERY SELECT result.balance, result.applied;
+END;
+$$;
+
+-- Both were callable by API clients before (use_credits_for_generation was
+-- granted to authenticated) - now only the server can move credits
+REVOKE EXECUTE ON FUNCTION increment_credits(UUID, INTEGER, TEXT)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_credits(UUID, INTEGER, TEXT)
+  TO service_role;
+REVOKE EXECUTE ON FUNCTION use_credits_for_generation(UUID, TEXT)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION use_credits_for_generation(UUID, TEXT)
+  TO service_role;
+
+-- Profiles whose cached balance disagrees with their ledger (should be empty)
+CREATE OR REPLACE VIEW credit_balance_drift AS
+SELECT
+  p.id AS user_id,
+  p.credit_balance AS cached_balance,
+  COALESCE(SUM(l.amount), 0)::INTEGER AS ledger_balance
+FROM profiles p
+LEFT JOIN credit_ledger l ON l.user_id = p.id
+GROUP BY p.id, p.credit_balance
+HAVING p.credit_balance <> COALESCE(SUM(l.amount), 0);
+
+-- The view runs with its owner's rights - keep it away from API clients
+REVOKE ALL ON credit_balance_drift FROM anon, authenticated;
+
+COMMENT ON TABLE credit_ledger IS 'Append-only history of credit changes; profiles.credit_balance is a cache of SUM(amount)';
+COMMENT ON FUNCTION apply_credit_entry IS 'Atomically appends a credit ledger entry and updates the cached balance; refuses duplicates and negative balances';
@@ -0,0 +1,21 @@
+-- Migration: Add dunning grace periods
+-- A failed subscription renewal (Stripe status past_due) starts a grace period:
+-- the subscriber keeps their plan, with watermarked outputs, until
+-- grace_period_ends_at, then falls back to the free tier (services/dunning.js).
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMPTZ;
+
+-- Index for the sweep that downgrades expired grace periods
+CREATE INDEX IF NOT EXISTS idx_profiles_grace_period_ends_at
+  ON profiles(grace_period_ends_at)
+  WHERE grace_period_ends_at IS NOT NULL;
+
+COMMENT ON COLUMN profiles.grace_period_ends_at IS 'End of the dunning grace period after a failed renewal payment - null when payments are up to date';
+
+-- Verify the changes
+SELECT column_name, data_type, is_nullable, column_default
+FROM information_schema.columns
+WHERE table_name = 'profiles'
+ORDER BY ordinal_position;
@@ -0,0 +1,45 @@
+-- Migration: Email outbox
+-- Every transactional email (receipts, cancellation and dunning notices) is
+-- stored rendered before it is delivered, with a delivery status, so failed
+-- sends are retried automatically and a dedupe key keeps webhook redeliveries
+-- from sending the same email twice (services/email.js).
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  dedupe_key TEXT UNIQUE, -- e.g. receipt:<checkout session ID>; NULL = no dedupe
+  template TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ, -- When a failed email is retried
+  locked_until TIMESTAMPTZ,    -- Lease held by the run delivering it
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing by status, newest first
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, created_at DESC);
+
+-- Retry sweep
+CREATE INDEX IF NOT EXISTS idx_email_outbox_retry
+  ON email_outbox(next_attempt_at)
+  WHERE status = 'failed';
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to email_outbox"
+  ON email_outbox
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE TRIGGER update_email_outbox_updated_at
+  BEFORE UPDATE ON email_outbox
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,13 @@
+-- Migration: Add job-mode generation statuses
+-- POST /api/generate can now queue work and return 202; the worker moves the
+-- record through queued -> validating -> generating -> watermarking before it
+-- ends as completed or failed.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE generations
+DROP CONSTRAINT IF EXISTS generations_status_check;
+
+ALTER TABLE generations
+ADD CONSTRAINT generations_status_check CHECK (status IN (
+  'pending', 'queued', 'validating', 'generating', 'watermarking', 'completed', 'failed'
+));
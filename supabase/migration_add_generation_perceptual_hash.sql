@@ -0,0 +1,56 @@
+-- Migration: Store a perceptual hash of every generated image
+-- /api/verify reads the signed provenance manifest embedded in an image; when
+-- that has been stripped (screenshots, social media re-encoding) it falls back
+-- to matching the image's 64-bit dHash (lib/imageHash.js) against past outputs.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE generations
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT; -- 16 hex chars, set on completion
+
+CREATE INDEX IF NOT EXISTS idx_generations_perceptual_hash
+  ON generations(perceptual_hash)
+  WHERE perceptual_hash IS NOT NULL;
+
+-- RPC function to find the closest completed generation by Hamming distance
+-- Returns at most one row (the closest, oldest first on ties) with its distance,
+-- and only what verification shows - never user IDs, view tokens or result URLs
+-- NOTE: Scans every hashed generation - fine at current volume; switch to
+-- banded (LSH) lookups if it becomes slow.
+-- Its result columns were narrowed - drop any earlier version first
+DROP FUNCTION IF EXISTS find_generation_by_perceptual_hash(TEXT, INTEGER);
+CREATE OR REPLACE FUNCTION find_generation_by_perceptual_hash(
+  p_hash TEXT,
+  p_max_distance INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  epstein_photo TEXT,
+  created_at TIMESTAMPTZ,
+  distance INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT * FROM (
+    SELECT
+      g.id, g.epstein_photo, g.created_at,
+      bit_count(('x' || g.perceptual_hash)::bit(64) # ('x' || p_hash)::bit(64))::INTEGER AS distance
+    FROM generations g
+    WHERE g.perceptual_hash IS NOT NULL
+      AND g.status = 'completed'
+  ) candidates
+  WHERE candidates.distance <= p_max_distance
+  ORDER BY candidates.distance ASC, candidates.created_at ASC
+  LIMIT 1;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION find_generation_by_perceptual_hash(TEXT, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_generation_by_perceptual_hash(TEXT, INTEGER)
+  TO service_role;
+
+COMMENT ON COLUMN generations.perceptual_hash IS '64-bit dHash of the output image (hex), used by /api/verify';
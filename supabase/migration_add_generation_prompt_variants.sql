@@ -0,0 +1,17 @@
+-- Migration: Record the prompt variant and provider latency of each generation
+-- Templates can declare weighted prompt variants (config/templates.json); each
+-- generation records which one it used and how long the image provider took,
+-- for the admin variant report (GET /api/admin/templates/variants).
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE generations
+ADD COLUMN IF NOT EXISTS prompt_variant TEXT, -- Template prompt variant ID ('default' without variants)
+ADD COLUMN IF NOT EXISTS latency_ms INTEGER; -- Image provider time, set with the outcome
+
+-- Variant report (recent finished generations with a variant)
+CREATE INDEX IF NOT EXISTS idx_generations_prompt_variant
+  ON generations(created_at DESC)
+  WHERE prompt_variant IS NOT NULL;
+
+COMMENT ON COLUMN generations.prompt_variant IS 'Template prompt variant used (services/templates.js chooseVariant)';
+COMMENT ON COLUMN generations.latency_ms IS 'Image provider latency in milliseconds';
@@ -0,0 +1,18 @@
+-- Migration: Persist generation records in Supabase
+-- services/generations.js previously kept generations in an in-memory Map, so
+-- /api/generations, /api/generation/:id and /output/:filename access checks were
+-- lost on restart and not shared across Vercel instances.
+
+-- Add columns needed by the generations service
+ALTER TABLE generations
+ADD COLUMN IF NOT EXISTS view_token TEXT,          -- Required to view anonymous generations
+ADD COLUMN IF NOT EXISTS model_type TEXT,          -- 'quick' or 'premium'
+ADD COLUMN IF NOT EXISTS error_code TEXT,          -- e.g. 'SAFETY_BLOCK', 'TIMEOUT'
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ; -- Set on completion or failure
+
+-- Index for secure image serving (/output/:filename looks up by result_url)
+CREATE INDEX IF NOT EXISTS idx_generations_result_url
+  ON generations(result_url)
+  WHERE result_url IS NOT NULL;
+
+COMMENT ON COLUMN generations.view_token IS 'Secret token required to view anonymous generations (never returned by the API)';
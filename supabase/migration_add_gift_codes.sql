@@ -0,0 +1,45 @@
+-- Migration: Gift codes
+-- A gift pack checkout issues a single-use gift code instead of crediting the
+-- buyer. Whoever redeems it gets the credits ('gift' credit ledger entries,
+-- linked to the checkout session that bought it). Anonymous visitors hold a
+-- code for their anon_id until they sign in (services/gifts.js).
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS gift_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE, -- XXXX-XXXX-XXXX
+  stripe_session_id TEXT NOT NULL UNIQUE, -- One code per gift pack checkout
+  purchaser_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  purchaser_email TEXT,
+  recipient_email TEXT,
+  message TEXT,
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'held', 'redeemed')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  redeemed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  redeemed_anon_id UUID, -- Anonymous session holding the code until sign-in
+  redeemed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing of outstanding codes
+CREATE INDEX IF NOT EXISTS idx_gift_codes_status ON gift_codes(status, created_at DESC);
+
+-- Claiming held codes on sign-in
+CREATE INDEX IF NOT EXISTS idx_gift_codes_held
+  ON gift_codes(redeemed_anon_id)
+  WHERE status = 'held';
+
+ALTER TABLE gift_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to gift_codes"
+  ON gift_codes
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Redeemed gifts are their own credit ledger entry type
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_entry_type_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_entry_type_check
+  CHECK (entry_type IN ('grant', 'referral', 'gift', 'spend', 'refund', 'expiry', 'adjustment'));
+
+COMMENT ON TABLE gift_codes IS 'Single-use gift codes issued by gift pack checkouts';
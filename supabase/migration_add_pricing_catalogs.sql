@@ -0,0 +1,27 @@
+-- Migration: Versioned pricing catalogs
+-- Tier limits, credit costs and prices (see config/pricing.json for the
+-- shape). The newest active version replaces the bundled config/pricing.json
+-- when the server starts, or on POST /api/admin/pricing/reload. A catalog that
+-- fails validation is logged and ignored.
+-- To change prices: insert the next version with active = TRUE, then reload.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS pricing_catalogs (
+  version INTEGER PRIMARY KEY CHECK (version > 0),
+  catalog JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  note TEXT, -- What changed in this version
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Loading the newest active version
+CREATE INDEX IF NOT EXISTS idx_pricing_catalogs_active ON pricing_catalogs(version DESC) WHERE active;
+
+ALTER TABLE pricing_catalogs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to pricing_catalogs"
+  ON pricing_catalogs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE pricing_catalogs IS 'Versioned pricing catalogs; the newest active one is used';
@@ -0,0 +1,238 @@
+-- Migration: Reserve-then-commit generation quota
+-- /api/generate takes a hold on one generation's worth of quota (or credits)
+-- before calling the image provider. Concurrent requests see each other's
+-- holds, so five parallel requests with one credit left get one generation,
+-- not five. The hold is committed (usage counted, credits spent) when the
+-- generation completes, released when it fails, and expires on its own if
+-- the worker dies in between.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS quota_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  anon_id UUID,
+  pool TEXT NOT NULL CHECK (pool IN ('quick', 'premium', 'monthly', 'credits')),
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'committed', 'released', 'expired')),
+  generation_id UUID,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ,
+  CHECK (user_id IS NOT NULL OR anon_id IS NOT NULL)
+);
+
+-- Only active holds are ever counted
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_user_active ON quota_reservations(user_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_quota_reservations_anon_active ON quota_reservations(anon_id) WHERE status = 'active';
+
+ALTER TABLE quota_reservations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to quota_reservations"
+  ON quota_reservations
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- RPC function to take a hold on one generation from a pool
+-- Pools: 'quick' / 'premium' (free & anonymous quotas), 'monthly' (base/paid
+-- shared pool), 'credits'. The caller passes the pool's limit from
+-- config/tiers.js; counts and holds are read here under a lock on the owner
+-- (the profile row, or the anonymous session ID).
+-- Returns reserved = false with reason 'exhausted' or 'no_profile'.
+CREATE OR REPLACE FUNCTION reserve_generation_quota(
+  p_user_id UUID,
+  p_anon_id UUID,
+  p_pool TEXT,
+  p_limit INTEGER,
+  p_credit_cost INTEGER DEFAULT 0,
+  p_ttl_seconds INTEGER DEFAULT 900,
+  p_window_seconds INTEGER DEFAULT 86400
+)
+RETURNS TABLE(reserved BOOLEAN, reservation_id UUID, hold_expires_at TIMESTAMPTZ, reason TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  profile_row profiles%ROWTYPE;
+  counter_row usage_counters%ROWTYPE;
+  used INTEGER := 0;
+  available_credits INTEGER := 0;
+  held INTEGER;
+  held_credits INTEGER;
+  new_id UUID;
+  new_expires_at TIMESTAMPTZ;
+BEGIN
+  IF p_user_id IS NOT NULL THEN
+    SELECT * INTO profile_row FROM profiles WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TIMESTAMPTZ, 'no_profile'::TEXT;
+      RETURN;
+    END IF;
+
+    used := CASE p_pool
+      WHEN 'quick' THEN profile_row.quick_count
+      WHEN 'premium' THEN profile_row.premium_count
+      WHEN 'monthly' THEN
+        CASE WHEN profile_row.monthly_reset_at <= NOW() THEN 0 ELSE profile_row.monthly_generation_count END
+      ELSE 0
+    END;
+    available_credits := profile_row.credit_balance;
+  ELSE
+    -- Anonymous sessions may not have a usage_counters row yet - serialize on the ID instead
+    PERFORM pg_advisory_xact_lock(hashtext('quota:' || p_anon_id::TEXT));
+
+    SELECT * INTO counter_row FROM usage_counters WHERE anon_id = p_anon_id;
+
+    IF FOUND AND NOW() - counter_row.window_started_at <= (p_window_seconds || ' seconds')::interval THEN
+      used := CASE p_pool
+        WHEN 'quick' THEN counter_row.quick_count
+        WHEN 'premium' THEN counter_row.premium_count
+        ELSE 0
+      END;
+    END IF;
+  END IF;
+
+  -- Holds left behind by a worker that died never commit or release - let them lapse
+  UPDATE quota_reservations r
+  SET status = 'expired', settled_at = NOW()
+  WHERE r.status = 'active'
+    AND r.expires_at <= NOW()
+    AND ((p_user_id IS NOT NULL AND r.user_id = p_user_id) OR (p_user_id IS NULL AND r.anon_id = p_anon_id));
+
+  SELECT COUNT(*), COALESCE(SUM(r.credit_cost), 0)
+  INTO held, held_credits
+  FROM quota_reservations r
+  WHERE r.status = 'active'
+    AND r.pool = p_pool
+    AND ((p_user_id IS NOT NULL AND r.user_id = p_user_id) OR (p_user_id IS NULL AND r.anon_id = p_anon_id));
+
+  IF (p_pool = 'credits' AND available_credits - held_credits < p_credit_cost)
+     OR (p_pool <> 'credits' AND used + held >= p_limit) THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TIMESTAMPTZ, 'exhausted'::TEXT;
+    RETURN;
+  END IF;
+
+  new_expires_at := NOW() + (p_ttl_seconds || ' seconds')::interval;
+
+  INSERT INTO quota_reservations (user_id, anon_id, pool, credit_cost, expires_at)
+  VALUES (
+    p_user_id,
+    CASE WHEN p_user_id IS NULL THEN p_anon_id END,
+    p_pool,
+    CASE WHEN p_pool = 'credits' THEN p_credit_cost ELSE 0 END,
+    new_expires_at
+  )
+  RETURNING id INTO new_id;
+
+  RETURN QUERY SELECT TRUE, new_id, new_expires_at, NULL::TEXT;
+END;
+$$;
+
+-- RPC function to turn a hold into usage once the generation completed
+-- Profile counters are incremented in place (never from a snapshot read
+-- earlier in the request) and credit holds are spent through the credit
+-- ledger. Anonymous usage is counted by increment_usage_counter() (which also
+-- records the abuse signals) just before this marks the hold committed.
+-- Expired holds still commit - the generation did happen.
+-- Returns committed = false (reason 'not_found', 'already_committed' or
+-- 'already_released') when there is nothing to commit. On success, reason
+-- carries the ledger's refusal if a credit spend couldn't be applied.
+CREATE OR REPLACE FUNCTION commit_generation_quota(
+  p_reservation_id UUID,
+  p_generation_id UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  committed BOOLEAN,
+  new_quick INTEGER,
+  new_premium INTEGER,
+  new_monthly INTEGER,
+  new_total INTEGER,
+  new_credits INTEGER,
+  reason TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  hold quota_reservations%ROWTYPE;
+  spend RECORD;
+  charge_reason TEXT;
+BEGIN
+  SELECT * INTO hold FROM quota_reservations WHERE id = p_reservation_id FOR UPDATE;
+
+  IF NOT FOUND OR hold.status IN ('committed', 'released') THEN
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER,
+      COALESCE('already_' || hold.status, 'not_found');
+    RETURN;
+  END IF;
+
+  IF hold.user_id IS NOT NULL THEN
+    IF hold.pool = 'credits' THEN
+      SELECT * INTO spend
+      FROM apply_credit_entry(hold.user_id, 'spend', -hold.credit_cost, NULL, p_generation_id, NULL, 'system');
+      charge_reason := spend.reason;
+    END IF;
+
+    UPDATE profiles p
+    SET
+      generation_count = p.generation_count + 1,
+      quick_count = p.quick_count + CASE WHEN hold.pool = 'quick' THEN 1 ELSE 0 END,
+      premium_count = p.premium_count + CASE WHEN hold.pool = 'premium' THEN 1 ELSE 0 END,
+      monthly_generation_count = CASE
+        WHEN hold.pool <> 'monthly' THEN p.monthly_generation_count
+        WHEN p.monthly_reset_at <= NOW() THEN 1
+        ELSE p.monthly_generation_count + 1
+      END,
+      monthly_reset_at = CASE
+        WHEN hold.pool = 'monthly' AND p.monthly_reset_at <= NOW() THEN NOW() + INTERVAL '1 month'
+        ELSE p.monthly_reset_at
+      END,
+      updated_at = NOW()
+    WHERE p.id = hold.user_id
+    RETURNING p.quick_count, p.premium_count, p.monthly_generation_count, p.generation_count, p.credit_balance
+    INTO new_quick, new_premium, new_monthly, new_total, new_credits;
+  END IF;
+
+  UPDATE quota_reservations
+  SET status = 'committed', generation_id = p_generation_id, settled_at = NOW()
+  WHERE id = p_reservation_id;
+
+  RETURN QUERY SELECT TRUE, new_quick, new_premium, new_monthly, new_total, new_credits, charge_reason;
+END;
+$$;
+
+-- RPC function to give a hold back (generation failed or was refused)
+-- Returns false if the hold was already settled
+CREATE OR REPLACE FUNCTION release_generation_quota(p_reservation_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE quota_reservations
+  SET status = 'released', settled_at = NOW()
+  WHERE id = p_reservation_id AND status = 'active';
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION reserve_generation_quota(UUID, UUID, TEXT, INTEGER, INTEGER, INTEGER, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_generation_quota(UUID, UUID, TEXT, INTEGER, INTEGER, INTEGER, INTEGER)
+  TO service_role;
+REVOKE EXECUTE ON FUNCTION commit_generation_quota(UUID, UUID)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION commit_generation_quota(UUID, UUID)
+  TO service_role;
+REVOKE EXECUTE ON FUNCTION release_generation_quota(UUID)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION release_generation_quota(UUID)
+  TO service_role;
+
+COMMENT ON TABLE quota_reservations IS 'Holds on generation quota/credits taken before a provider call; committed on completion, released on failure, expired if abandoned';
@@ -0,0 +1,64 @@
+-- Migration: Referral codes and referrals
+-- Each user has one referral code. A new user who signs up through a code's
+-- link claims a referral; their first paid purchase grants credits to both
+-- sides ('referral' credit ledger entries). Claims store the same hashed
+-- abuse signals as usage_counters (IP prefix, UA hash, fingerprint hash).
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS referral_codes (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  -- The referrer's own device (last seen), to refuse referrals from it
+  ip_prefix TEXT,
+  ua_hash TEXT,
+  fp_hash TEXT,
+  anon_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS referrals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  referee_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE, -- Referred once
+  code TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'rejected')),
+  reject_reason TEXT, -- Fraud check that refused the claim
+  ip_prefix TEXT,
+  ua_hash TEXT,
+  fp_hash TEXT,
+  anon_id UUID,
+  stripe_session_id TEXT, -- The purchase that rewarded it
+  referrer_credits INTEGER NOT NULL DEFAULT 0,
+  referee_credits INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rewarded_at TIMESTAMPTZ
+);
+
+-- Referrer stats and per-referrer caps
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON referrals(referrer_id, created_at DESC);
+
+-- Per-IP-prefix claim cap
+CREATE INDEX IF NOT EXISTS idx_referrals_ip_prefix ON referrals(ip_prefix, created_at DESC)
+  WHERE ip_prefix IS NOT NULL;
+
+ALTER TABLE referral_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to referral_codes"
+  ON referral_codes
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to referrals"
+  ON referrals
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Referral rewards are their own credit ledger entry type
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_entry_type_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_entry_type_check
+  CHECK (entry_type IN ('grant', 'referral', 'spend', 'refund', 'expiry', 'adjustment'));
+
+COMMENT ON TABLE referral_codes IS 'One referral code per user';
+COMMENT ON TABLE referrals IS 'Who referred whom; rewarded once, on the referee''s first paid purchase';
@@ -0,0 +1,26 @@
+-- Migration: Add subscription plans
+-- Tiers now come from the pricing catalog (config/pricing.json), which can add
+-- tiers such as 'pro', so profiles.tier only has to look like a tier ID.
+-- stripe_price_id records the Stripe price the user subscribes to; the app
+-- resolves it to a plan (and that plan's tier) through the catalog.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_tier_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_tier_check
+  CHECK (tier ~ '^[a-z][a-z0-9_]*$' AND tier <> 'anonymous');
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS stripe_price_id TEXT;
+
+-- Index for finding the subscribers of a price (repricing, plan migrations)
+CREATE INDEX IF NOT EXISTS idx_profiles_stripe_price_id
+  ON profiles(stripe_price_id)
+  WHERE stripe_price_id IS NOT NULL;
+
+COMMENT ON COLUMN profiles.stripe_price_id IS 'Stripe price of the current subscription - maps to a plan in the pricing catalog';
+
+-- Verify the changes
+SELECT column_name, data_type, is_nullable, column_default
+FROM information_schema.columns
+WHERE table_name = 'profiles'
+ORDER BY ordinal_position;
@@ -0,0 +1,30 @@
+-- Migration: Versioned template catalogs
+-- Gallery templates and their prompts (see config/templates.json for the
+-- shape). Every admin change (/admin-templates.html) inserts the next version
+-- with active = TRUE; a rollback re-publishes an earlier version's catalog as
+-- a new version. The newest active version replaces the bundled
+-- config/templates.json when the server starts, or on
+-- POST /api/admin/templates/reload. A catalog that fails validation is logged
+-- and ignored.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS template_catalogs (
+  version INTEGER PRIMARY KEY CHECK (version > 0),
+  catalog JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  note TEXT, -- What changed in this version
+  created_by TEXT, -- Who published it
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Loading the newest active version
+CREATE INDEX IF NOT EXISTS idx_template_catalogs_active ON template_catalogs(version DESC) WHERE active;
+
+ALTER TABLE template_catalogs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to template_catalogs"
+  ON template_catalogs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE template_catalogs IS 'Versioned gallery template catalogs; the newest active one is used';
@@ -0,0 +1,24 @@
+-- Migration: Used selfie capture nonces
+-- A capture nonce (POST /api/selfie-nonce) is good for one /api/generate
+-- self-consent check. Each one used is recorded here until it expires, so a
+-- replay is refused on every instance (services/consent.js); expired rows are
+-- deleted as new ones come in.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS used_capture_nonces (
+  nonce_id TEXT PRIMARY KEY, -- The nonce's random part
+  expires_at TIMESTAMPTZ NOT NULL, -- When the nonce stops verifying anyway
+  used_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Pruning expired nonces
+CREATE INDEX IF NOT EXISTS idx_used_capture_nonces_expires ON used_capture_nonces(expires_at);
+
+ALTER TABLE used_capture_nonces ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to used_capture_nonces"
+  ON used_capture_nonces
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE used_capture_nonces IS 'Selfie capture nonces already used, kept until they expire';
@@ -0,0 +1,125 @@
+-- Migration: Stripe webhook event store
+-- Every incoming Stripe event is stored by its event ID with a processing
+-- status, so each event is handled once whatever its type (processed_sessions
+-- only covered checkout sessions), failed handlers are retried automatically,
+-- and events that keep failing are kept for an admin to replay.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event ID (evt_...)
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  result JSONB,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  next_attempt_at TIMESTAMPTZ, -- When a failed event is retried
+  locked_until TIMESTAMPTZ,    -- Lease held by the run processing it
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing by status, newest first
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status ON stripe_webhook_events(status, received_at DESC);
+
+-- Retry sweep
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_retry
+  ON stripe_webhook_events(next_attempt_at)
+  WHERE status = 'failed';
+
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to stripe_webhook_events"
+  ON stripe_webhook_events
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE TRIGGER update_stripe_webhook_events_updated_at
+  BEFORE UPDATE ON stripe_webhook_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- RPC function to store an event (first delivery only) and lease it for processing
+-- The lease is taken when the event hasn't run yet, its last run failed, or a
+-- previous run's lease ran out (the process died). Dead-lettered events are
+-- only taken when p_allow_dead is set (admin replay).
+-- Returns the stored row; claimed = false means someone else has it or it is
+-- already processed/dead.
+CREATE OR REPLACE FUNCTION claim_webhook_event(
+  p_event_id TEXT,
+  p_event_type TEXT,
+  p_payload JSONB,
+  p_lease_seconds INTEGER DEFAULT 300,
+  p_allow_dead BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE(
+  claimed BOOLEAN,
+  id TEXT,
+  type TEXT,
+  payload JSONB,
+  status TEXT,
+  attempts INTEGER,
+  last_error TEXT,
+  result JSONB,
+  received_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+  next_attempt_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  event_row stripe_webhook_events%ROWTYPE;
+  was_claimed BOOLEAN := FALSE;
+BEGIN
+  INSERT INTO stripe_webhook_events (id, type, payload)
+  VALUES (p_event_id, p_event_type, p_payload)
+  ON CONFLICT ON CONSTRAINT stripe_webhook_events_pkey DO NOTHING;
+
+  UPDATE stripe_webhook_events e
+  SET
+    status = 'processing',
+    attempts = e.attempts + 1,
+    locked_until = NOW() + (p_lease_seconds || ' seconds')::interval
+  WHERE e.id = p_event_id
+    AND (
+      e.status IN ('received', 'failed')
+      OR (e.status = 'processing' AND e.locked_until <= NOW())
+      OR (p_allow_dead AND e.status = 'dead')
+    )
+  RETURNING * INTO event_row;
+
+  was_claimed := FOUND;
+
+  IF NOT was_claimed THEN
+    SELECT * INTO event_row FROM stripe_webhook_events e WHERE e.id = p_event_id;
+  END IF;
+
+  RETURN QUERY SELECT
+    was_claimed,
+    event_row.id,
+    event_row.type,
+    event_row.payload,
+    event_row.status,
+    event_row.attempts,
+    event_row.last_error,
+    event_row.result,
+    event_row.received_at,
+    event_row.processed_at,
+    event_row.next_attempt_at,
+    event_row.locked_until;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB, INTEGER, BOOLEAN)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB, INTEGER, BOOLEAN)
+  TO service_role;
+
+COMMENT ON TABLE stripe_webhook_events IS 'Every Stripe webhook event received, with processing status; failed events are retried, dead ones await admin replay';
@@ -13,16 +13,21 @@ CREATE TABLE profiles (
   monthly_generation_count INTEGER NOT NULL DEFAULT 0,
   monthly_reset_at TIMESTAMPTZ,
   credit_balance INTEGER NOT NULL DEFAULT 0,
-  tier TEXT NOT NULL DEFAULT 'free' CHECK (tier IN ('free', 'base', 'paid')),
+  -- Tier IDs come from the pricing catalog (config/pricing.json)
+  tier TEXT NOT NULL DEFAULT 'free' CHECK (tier ~ '^[a-z][a-z0-9_]*$' AND tier <> 'anonymous'),
   subscription_status TEXT,
   stripe_customer_id TEXT,
   stripe_subscription_id TEXT,
+  stripe_price_id TEXT, -- Stripe price of the subscription, maps to a catalog plan
+  grace_period_ends_at TIMESTAMPTZ, -- Dunning: end of the grace period after a failed renewal
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 -- Index for faster lookups by stripe_customer_id
 CREATE INDEX idx_profiles_stripe_customer_id ON profiles(stripe_customer_id) WHERE stripe_customer_id IS NOT NULL;
+CREATE INDEX idx_profiles_stripe_price_id ON profiles(stripe_price_id) WHERE stripe_price_id IS NOT NULL;
+CREATE INDEX idx_profiles_grace_period_ends_at ON profiles(grace_period_ends_at) WHERE grace_period_ends_at IS NOT NULL;
 
 -- ============================================================================
 -- GENERATIONS TABLE
@@ -31,10 +36,19 @@ CREATE TABLE generations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
   epstein_photo TEXT NOT NULL,
+  model_type TEXT,
+  view_token TEXT,
   result_url TEXT,
-  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  perceptual_hash TEXT, -- 64-bit dHash of the output (hex), used by /api/verify
+  prompt_variant TEXT, -- Template prompt variant used ('default' without variants)
+  latency_ms INTEGER, -- Image provider time, set with the outcome
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'queued', 'validating', 'generating', 'watermarking', 'completed', 'failed'
+  )),
+  error_code TEXT,
   error_message TEXT,
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
 );
 
 -- Index for faster lookups by user
@@ -43,6 +57,15 @@ CREATE INDEX idx_generations_user_id ON generations(user_id) WHERE user_id IS NO
 -- Index for status-based queries
 CREATE INDEX idx_generations_status ON generations(status);
 
+-- Index for secure image serving (/output/:filename looks up by result_url)
+CREATE INDEX idx_generations_result_url ON generations(result_url) WHERE result_url IS NOT NULL;
+
+-- Index for exact perceptual hash matches (/api/verify)
+CREATE INDEX idx_generations_perceptual_hash ON generations(perceptual_hash) WHERE perceptual_hash IS NOT NULL;
+
+-- Index for the prompt variant report (recent generations with a variant)
+CREATE INDEX idx_generations_prompt_variant ON generations(created_at DESC) WHERE prompt_variant IS NOT NULL;
+
 -- ============================================================================
 -- USAGE COUNTERS TABLE (ANONYMOUS/PER-SESSION)
 -- ============================================================================
@@ -62,6 +85,233 @@ CREATE TABLE usage_counters (
 CREATE UNIQUE INDEX idx_usage_counters_anon_id ON usage_counters(anon_id) WHERE anon_id IS NOT NULL;
 CREATE INDEX idx_usage_counters_user_id ON usage_counters(user_id) WHERE user_id IS NOT NULL;
 
+-- ============================================================================
+-- CREDIT LEDGER TABLE
+-- ============================================================================
+-- Append-only history of credit changes. profiles.credit_balance is a cache of
+-- SUM(amount), maintained only by apply_credit_entry().
+CREATE TABLE credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('grant', 'referral', 'gift', 'spend', 'refund', 'expiry', 'adjustment')),
+  amount INTEGER NOT NULL CHECK (amount <> 0), -- Signed: grants/refunds > 0, spends/expiries < 0
+  balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+  stripe_session_id TEXT,
+  generation_id UUID,
+  note TEXT,
+  created_by TEXT, -- 'stripe', 'system' or 'admin'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_credit_ledger_user_id ON credit_ledger(user_id, created_at DESC);
+
+-- One grant per checkout session, one spend/refund per generation
+CREATE UNIQUE INDEX idx_credit_ledger_stripe_session ON credit_ledger(stripe_session_id, entry_type) WHERE stripe_session_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_credit_ledger_generation ON credit_ledger(generation_id, entry_type) WHERE generation_id IS NOT NULL;
+
+-- ============================================================================
+-- QUOTA RESERVATIONS TABLE
+-- ============================================================================
+-- Holds on generation quota/credits taken before a provider call; committed
+-- when the generation completes, released when it fails, expired if abandoned.
+CREATE TABLE quota_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+  anon_id UUID,
+  pool TEXT NOT NULL CHECK (pool IN ('quick', 'premium', 'monthly', 'credits')),
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'committed', 'released', 'expired')),
+  generation_id UUID,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ,
+  CHECK (user_id IS NOT NULL OR anon_id IS NOT NULL)
+);
+
+-- Only active holds are ever counted
+CREATE INDEX idx_quota_reservations_user_active ON quota_reservations(user_id) WHERE status = 'active';
+CREATE INDEX idx_quota_reservations_anon_active ON quota_reservations(anon_id) WHERE status = 'active';
+
+-- ============================================================================
+-- STRIPE WEBHOOK EVENTS TABLE
+-- ============================================================================
+-- Every Stripe event received, by event ID, with its processing status; failed
+-- events are retried, dead-lettered ones wait for an admin replay.
+CREATE TABLE stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event ID (evt_...)
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  result JSONB,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  next_attempt_at TIMESTAMPTZ, -- When a failed event is retried
+  locked_until TIMESTAMPTZ,    -- Lease held by the run processing it
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing by status, newest first
+CREATE INDEX idx_stripe_webhook_events_status ON stripe_webhook_events(status, received_at DESC);
+
+-- Retry sweep
+CREATE INDEX idx_stripe_webhook_events_retry
+  ON stripe_webhook_events(next_attempt_at)
+  WHERE status = 'failed';
+
+-- ============================================================================
+-- PRICING CATALOGS TABLE
+-- ============================================================================
+-- Versioned tier limits, credit costs and prices (shape: config/pricing.json);
+-- the newest active version replaces the bundled file.
+CREATE TABLE pricing_catalogs (
+  version INTEGER PRIMARY KEY CHECK (version > 0),
+  catalog JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  note TEXT, -- What changed in this version
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Loading the newest active version
+CREATE INDEX idx_pricing_catalogs_active ON pricing_catalogs(version DESC) WHERE active;
+
+-- ============================================================================
+-- REFERRALS TABLES
+-- ============================================================================
+-- One referral code per user; a referral is rewarded once, on the referee's
+-- first paid purchase (credits for both sides as 'referral' ledger entries).
+CREATE TABLE referral_codes (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  -- The referrer's own device (last seen), to refuse referrals from it
+  ip_prefix TEXT,
+  ua_hash TEXT,
+  fp_hash TEXT,
+  anon_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE referrals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  referee_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE, -- Referred once
+  code TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'rejected')),
+  reject_reason TEXT, -- Fraud check that refused the claim
+  ip_prefix TEXT,
+  ua_hash TEXT,
+  fp_hash TEXT,
+  anon_id UUID,
+  stripe_session_id TEXT, -- The purchase that rewarded it
+  referrer_credits INTEGER NOT NULL DEFAULT 0,
+  referee_credits INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rewarded_at TIMESTAMPTZ
+);
+
+-- Referrer stats and per-referrer caps
+CREATE INDEX idx_referrals_referrer_id ON referrals(referrer_id, created_at DESC);
+
+-- Per-IP-prefix claim cap
+CREATE INDEX idx_referrals_ip_prefix ON referrals(ip_prefix, created_at DESC) WHERE ip_prefix IS NOT NULL;
+
+-- ============================================================================
+-- EMAIL OUTBOX TABLE
+-- ============================================================================
+-- Transactional emails, stored rendered before delivery; failed sends are
+-- retried, dedupe_key sends each receipt/notice once (services/email.js)
+CREATE TABLE email_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  dedupe_key TEXT UNIQUE, -- e.g. receipt:<checkout session ID>; NULL = no dedupe
+  template TEXT NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ, -- When a failed email is retried
+  locked_until TIMESTAMPTZ,    -- Lease held by the run delivering it
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing by status, newest first
+CREATE INDEX idx_email_outbox_status ON email_outbox(status, created_at DESC);
+
+-- Retry sweep
+CREATE INDEX idx_email_outbox_retry
+  ON email_outbox(next_attempt_at)
+  WHERE status = 'failed';
+
+-- ============================================================================
+-- GIFT CODES TABLE
+-- ============================================================================
+-- Single-use codes issued by gift pack checkouts; redeeming one grants its
+-- credits ('gift' ledger entries). Anonymous visitors hold a code for their
+-- anon_id until they sign in (services/gifts.js)
+CREATE TABLE gift_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE, -- XXXX-XXXX-XXXX
+  stripe_session_id TEXT NOT NULL UNIQUE, -- One code per gift pack checkout
+  purchaser_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  purchaser_email TEXT,
+  recipient_email TEXT,
+  message TEXT,
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'held', 'redeemed')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  redeemed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  redeemed_anon_id UUID, -- Anonymous session holding the code until sign-in
+  redeemed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Admin listing of outstanding codes
+CREATE INDEX idx_gift_codes_status ON gift_codes(status, created_at DESC);
+
+-- Claiming held codes on sign-in
+CREATE INDEX idx_gift_codes_held
+  ON gift_codes(redeemed_anon_id)
+  WHERE status = 'held';
+
+-- ============================================================================
+-- TEMPLATE CATALOGS TABLE
+-- ============================================================================
+-- Versioned gallery templates and prompts (shape: config/templates.json); the
+-- newest active version replaces the bundled file. Admin edits and rollbacks
+-- each insert the next version.
+CREATE TABLE template_catalogs (
+  version INTEGER PRIMARY KEY CHECK (version > 0),
+  catalog JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  note TEXT, -- What changed in this version
+  created_by TEXT, -- Who published it
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Loading the newest active version
+CREATE INDEX idx_template_catalogs_active ON template_catalogs(version DESC) WHERE active;
+
+-- ============================================================================
+-- USED CAPTURE NONCES TABLE
+-- ============================================================================
+-- Selfie capture nonces already used by a self-consent check, kept until they
+-- expire so a replay is refused on every instance (services/consent.js)
+CREATE TABLE used_capture_nonces (
+  nonce_id TEXT PRIMARY KEY, -- The nonce's random part
+  expires_at TIMESTAMPTZ NOT NULL, -- When the nonce stops verifying anyway
+  used_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Pruning expired nonces
+CREATE INDEX idx_used_capture_nonces_expires ON used_capture_nonces(expires_at);
+
 -- ============================================================================
 -- ROW LEVEL SECURITY
 -- ============================================================================
@@ -70,6 +320,16 @@ CREATE INDEX idx_usage_counters_user_id ON usage_counters(user_id) WHERE user_id
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE generations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE usage_counters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quota_reservations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pricing_catalogs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referral_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_catalogs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE used_capture_nonces ENABLE ROW LEVEL SECURITY;
 
 -- PROFILES POLICIES
 
@@ -118,6 +378,70 @@ CREATE POLICY "Service role has full access to usage_counters"
   FOR ALL
   USING (auth.role() = 'service_role');
 
+-- CREDIT LEDGER POLICIES
+CREATE POLICY "Users can view own credit ledger"
+  ON credit_ledger
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role has full access to credit_ledger"
+  ON credit_ledger
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- QUOTA RESERVATIONS POLICIES
+CREATE POLICY "Service role has full access to quota_reservations"
+  ON quota_reservations
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- STRIPE WEBHOOK EVENTS POLICIES
+CREATE POLICY "Service role has full access to stripe_webhook_events"
+  ON stripe_webhook_events
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- PRICING CATALOGS POLICIES
+CREATE POLICY "Service role has full access to pricing_catalogs"
+  ON pricing_catalogs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- REFERRALS POLICIES
+CREATE POLICY "Service role has full access to referral_codes"
+  ON referral_codes
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to referrals"
+  ON referrals
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- EMAIL OUTBOX POLICIES
+CREATE POLICY "Service role has full access to email_outbox"
+  ON email_outbox
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- GIFT CODES POLICIES
+CREATE POLICY "Service role has full access to gift_codes"
+  ON gift_codes
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- TEMPLATE CATALOGS POLICIES
+CREATE POLICY "Service role has full access to template_catalogs"
+  ON template_catalogs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- USED CAPTURE NONCES POLICIES
+CREATE POLICY "Service role has full access to used_capture_nonces"
+  ON used_capture_nonces
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
 -- ============================================================================
 -- AUTO-CREATE PROFILE ON USER SIGNUP
 -- ============================================================================
@@ -256,6 +580,434 @@ BEGIN
 END;
 $$;
 
+-- ============================================================================
+-- FUNCTION TO MATCH IMAGES BY PERCEPTUAL HASH
+-- ============================================================================
+
+-- RPC function to find the closest completed generation by Hamming distance
+-- Returns at most one row (the closest, oldest first on ties) with its distance,
+-- and only what verification shows - never user IDs, view tokens or result URLs
+-- NOTE: Scans every hashed generation - fine at current volume; switch to
+-- banded (LSH) lookups if it becomes slow.
+CREATE OR REPLACE FUNCTION find_generation_by_perceptual_hash(
+  p_hash TEXT,
+  p_max_distance INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  id UUID,
+  epstein_photo TEXT,
+  created_at TIMESTAMPTZ,
+  distance INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT * FROM (
+    SELECT
+      g.id, g.epstein_photo, g.created_at,
+      bit_count(('x' || g.perceptual_hash)::bit(64) # ('x' || p_hash)::bit(64))::INTEGER AS distance
+    FROM generations g
+    WHERE g.perceptual_hash IS NOT NULL
+      AND g.status = 'completed'
+  ) candidates
+  WHERE candidates.distance <= p_max_distance
+  ORDER BY candidates.distance ASC, candidates.created_at ASC
+  LIMIT 1;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION find_generation_by_perceptual_hash(TEXT, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_generation_by_perceptual_hash(TEXT, INTEGER)
+  TO service_role;
+
+-- ============================================================================
+-- FUNCTIONS FOR THE CREDIT LEDGER
+-- ============================================================================
+
+-- RPC function to append a ledger entry and update the cached balance atomically
+-- Returns applied = false (with the unchanged balance) and a reason when the
+-- entry was refused:
+--   'duplicate'    - this session/generation already has an entry of this type
+--   'insufficient' - the balance would go negative
+--   'no_profile'   - unknown user
+CREATE OR REPLACE FUNCTION apply_credit_entry(
+  p_user_id UUID,
+  p_entry_type TEXT,
+  p_amount INTEGER,
+  p_stripe_session_id TEXT DEFAULT NULL,
+  p_generation_id UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL,
+  p_created_by TEXT DEFAULT NULL,
+  p_customer_id TEXT DEFAULT NULL
+)
+RETURNS TABLE(applied BOOLEAN, balance INTEGER, reason TEXT, entry_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_balance INTEGER;
+  new_entry_id UUID;
+BEGIN
+  -- Lock the profile row so entries for one user apply one at a time
+  SELECT credit_balance INTO current_balance
+  FROM profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, 'no_profile'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM credit_ledger
+    WHERE entry_type = p_entry_type
+      AND ((p_stripe_session_id IS NOT NULL AND stripe_session_id = p_stripe_session_id)
+        OR (p_generation_id IS NOT NULL AND generation_id = p_generation_id))
+  ) THEN
+    RETURN QUERY SELECT FALSE, current_balance, 'duplicate'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  IF current_balance + p_amount < 0 THEN
+    RETURN QUERY SELECT FALSE, current_balance, 'insufficient'::TEXT, NULL::UUID;
+    RETURN;
+  END IF;
+
+  INSERT INTO credit_ledger (user_id, entry_type, amount, balance_after, stripe_session_id, generation_id, note, created_by)
+  VALUES (p_user_id, p_entry_type, p_amount, current_balance + p_amount, p_stripe_session_id, p_generation_id, p_note, p_created_by)
+  RETURNING id INTO new_entry_id;
+
+  UPDATE profiles
+  SET
+    credit_balance = current_balance + p_amount,
+    stripe_customer_id = COALESCE(p_customer_id, stripe_customer_id),
+    updated_at = NOW()
+  WHERE id = p_user_id;
+
+  RETURN QUERY SELECT TRUE, current_balance + p_amount, NULL::TEXT, new_entry_id;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION apply_credit_entry(UUID, TEXT, INTEGER, TEXT, UUID, TEXT, TEXT, TEXT)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_credit_entry(UUID, TEXT, INTEGER, TEXT, UUID, TEXT, TEXT, TEXT)
+  TO service_role;
+
+-- Profiles whose cached balance disagrees with their ledger (should be empty)
+CREATE OR REPLACE VIEW credit_balance_drift AS
+SELECT
+  p.id AS user_id,
+  p.credit_balance AS cached_balance,
+  COALESCE(SUM(l.amount), 0)::INTEGER AS ledger_balance
+FROM profiles p
+LEFT JOIN credit_ledger l ON l.user_id = p.id
+GROUP BY p.id, p.credit_balance
+HAVING p.credit_balance <> COALESCE(SUM(l.amount), 0);
+
+-- The view runs with its owner's rights - keep it away from API clients
+REVOKE ALL ON credit_balance_drift FROM anon, authenticated;
+
+-- ============================================================================
+-- FUNCTIONS FOR QUOTA RESERVATIONS
+-- ============================================================================
+
+-- RPC function to take a hold on one generation from a pool
+-- Pools: 'quick' / 'premium' (free & anonymous quotas), 'monthly' (base/paid
+-- shared pool), 'credits'. The caller passes the pool's limit from
+-- config/tiers.js; counts and holds are read here under a lock on the owner
+-- (the profile row, or the anonymous session ID).
+-- Returns reserved = false with reason 'exhausted' or 'no_profile'.
+CREATE OR REPLACE FUNCTION reserve_generation_quota(
+  p_user_id UUID,
+  p_anon_id UUID,
+  p_pool TEXT,
+  p_limit INTEGER,
+  p_credit_cost INTEGER DEFAULT 0,
+  p_ttl_seconds INTEGER DEFAULT 900,
+  p_window_seconds INTEGER DEFAULT 86400
+)
+RETURNS TABLE(reserved BOOLEAN, reservation_id UUID, hold_expires_at TIMESTAMPTZ, reason TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  profile_row profiles%ROWTYPE;
+  counter_row usage_counters%ROWTYPE;
+  used INTEGER := 0;
+  available_credits INTEGER := 0;
+  held INTEGER;
+  held_credits INTEGER;
+  new_id UUID;
+  new_expires_at TIMESTAMPTZ;
+BEGIN
+  IF p_user_id IS NOT NULL THEN
+    SELECT * INTO profile_row FROM profiles WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TIMESTAMPTZ, 'no_profile'::TEXT;
+      RETURN;
+    END IF;
+
+    used := CASE p_pool
+      WHEN 'quick' THEN profile_row.quick_count
+      WHEN 'premium' THEN profile_row.premium_count
+      WHEN 'monthly' THEN
+        CASE WHEN profile_row.monthly_reset_at <= NOW() THEN 0 ELSE profile_row.monthly_generation_count END
+      ELSE 0
+    END;
+    available_credits := profile_row.credit_balance;
+  ELSE
+    -- Anonymous sessions may not have a usage_counters row yet - serialize on the ID instead
+    PERFORM pg_advisory_xact_lock(hashtext('quota:' || p_anon_id::TEXT));
+
+    SELECT * INTO counter_row FROM usage_counters WHERE anon_id = p_anon_id;
+
+    IF FOUND AND NOW() - counter_row.window_started_at <= (p_window_seconds || ' seconds')::interval THEN
+      used := CASE p_pool
+        WHEN 'quick' THEN counter_row.quick_count
+        WHEN 'premium' THEN counter_row.premium_count
+        ELSE 0
+      END;
+    END IF;
+  END IF;
+
+  -- Holds left behind by a worker that died never commit or release - let them lapse
+  UPDATE quota_reservations r
+  SET status = 'expired', settled_at = NOW()
+  WHERE r.status = 'active'
+    AND r.expires_at <= NOW()
+    AND ((p_user_id IS NOT NULL AND r.user_id = p_user_id) OR (p_user_id IS NULL AND r.anon_id = p_anon_id));
+
+  SELECT COUNT(*), COALESCE(SUM(r.credit_cost), 0)
+  INTO held, held_credits
+  FROM quota_reservations r
+  WHERE r.status = 'active'
+    AND r.pool = p_pool
+    AND ((p_user_id IS NOT NULL AND r.user_id = p_user_id) OR (p_user_id IS NULL AND r.anon_id = p_anon_id));
+
+  IF (p_pool = 'credits' AND available_credits - held_credits < p_credit_cost)
+     OR (p_pool <> 'credits' AND used + held >= p_limit) THEN
+    RETURN QUERY SELECT FALSE, NULL::UUID, NULL::TIMESTAMPTZ, 'exhausted'::TEXT;
+    RETURN;
+  END IF;
+
+  new_expires_at := NOW() + (p_ttl_seconds || ' seconds')::interval;
+
+  INSERT INTO quota_reservations (user_id, anon_id, pool, credit_cost, expires_at)
+  VALUES (
+    p_user_id,
+    CASE WHEN p_user_id IS NULL THEN p_anon_id END,
+    p_pool,
+    CASE WHEN p_pool = 'credits' THEN p_credit_cost ELSE 0 END,
+    new_expires_at
+  )
+  RETURNING id INTO new_id;
+
+  RETURN QUERY SELECT TRUE, new_id, new_expires_at, NULL::TEXT;
+END;
+$$;
+
+-- RPC function to turn a hold into usage once the generation completed
+-- Profile counters are incremented in place (never from a snapshot read
+-- earlier in the request) and credit holds are spent through the credit
+-- ledger. Anonymous usage is counted by increment_usage_counter() (which also
+-- records the abuse signals) just before this marks the hold committed.
+-- Expired holds still commit - the generation did happen.
+-- Returns committed = false (reason 'not_found', 'already_committed' or
+-- 'already_released') when there is nothing to commit. On success, reason
+-- carries the ledger's refusal if a credit spend couldn't be applied.
+CREATE OR REPLACE FUNCTION commit_generation_quota(
+  p_reservation_id UUID,
+  p_generation_id UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  committed BOOLEAN,
+  new_quick INTEGER,
+  new_premium INTEGER,
+  new_monthly INTEGER,
+  new_total INTEGER,
+  new_credits INTEGER,
+  reason TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  hold quota_reservations%ROWTYPE;
+  spend RECORD;
+  charge_reason TEXT;
+BEGIN
+  SELECT * INTO hold FROM quota_reservations WHERE id = p_reservation_id FOR UPDATE;
+
+  IF NOT FOUND OR hold.status IN ('committed', 'released') THEN
+    RETURN QUERY SELECT FALSE, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER, NULL::INTEGER,
+      COALESCE('already_' || hold.status, 'not_found');
+    RETURN;
+  END IF;
+
+  IF hold.user_id IS NOT NULL THEN
+    IF hold.pool = 'credits' THEN
+      SELECT * INTO spend
+      FROM apply_credit_entry(hold.user_id, 'spend', -hold.credit_cost, NULL, p_generation_id, NULL, 'system');
+      charge_reason := spend.reason;
+    END IF;
+
+    UPDATE profiles p
+    SET
+      generation_count = p.generation_count + 1,
+      quick_count = p.quick_count + CASE WHEN hold.pool = 'quick' THEN 1 ELSE 0 END,
+      premium_count = p.premium_count + CASE WHEN hold.pool = 'premium' THEN 1 ELSE 0 END,
+      monthly_generation_count = CASE
+        WHEN hold.pool <> 'monthly' THEN p.monthly_generation_count
+        WHEN p.monthly_reset_at <= NOW() THEN 1
+        ELSE p.monthly_generation_count + 1
+      END,
+      monthly_reset_at = CASE
+        WHEN hold.pool = 'monthly' AND p.monthly_reset_at <= NOW() THEN NOW() + INTERVAL '1 month'
+        ELSE p.monthly_reset_at
+      END,
+      updated_at = NOW()
+    WHERE p.id = hold.user_id
+    RETURNING p.quick_count, p.premium_count, p.monthly_generation_count, p.generation_count, p.credit_balance
+    INTO new_quick, new_premium, new_monthly, new_total, new_credits;
+  END IF;
+
+  UPDATE quota_reservations
+  SET status = 'committed', generation_id = p_generation_id, settled_at = NOW()
+  WHERE id = p_reservation_id;
+
+  RETURN QUERY SELECT TRUE, new_quick, new_premium, new_monthly, new_total, new_credits, charge_reason;
+END;
+$$;
+
+-- RPC function to give a hold back (generation failed or was refused)
+-- Returns false if the hold was already settled
+CREATE OR REPLACE FUNCTION release_generation_quota(p_reservation_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE quota_reservations
+  SET status = 'released', settled_at = NOW()
+  WHERE id = p_reservation_id AND status = 'active';
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION reserve_generation_quota(UUID, UUID, TEXT, INTEGER, INTEGER, INTEGER, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_generation_quota(UUID, UUID, TEXT, INTEGER, INTEGER, INTEGER, INTEGER)
+  TO service_role;
+REVOKE EXECUTE ON FUNCTION commit_generation_quota(UUID, UUID)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION commit_generation_quota(UUID, UUID)
+  TO service_role;
+REVOKE EXECUTE ON FUNCTION release_generation_quota(UUID)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION release_generation_quota(UUID)
+  TO service_role;
+
+-- ============================================================================
+-- FUNCTION FOR STRIPE WEBHOOK EVENTS
+-- ============================================================================
+
+-- RPC function to store an event (first delivery only) and lease it for processing
+-- The lease is taken when the event hasn't run yet, its last run failed, or a
+-- previous run's lease ran out (the process died). Dead-lettered events are
+-- only taken when p_allow_dead is set (admin replay).
+-- Returns the stored row; claimed = false means someone else has it or it is
+-- already processed/dead.
+CREATE OR REPLACE FUNCTION claim_webhook_event(
+  p_event_id TEXT,
+  p_event_type TEXT,
+  p_payload JSONB,
+  p_lease_seconds INTEGER DEFAULT 300,
+  p_allow_dead BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE(
+  claimed BOOLEAN,
+  id TEXT,
+  type TEXT,
+  payload JSONB,
+  status TEXT,
+  attempts INTEGER,
+  last_error TEXT,
+  result JSONB,
+  received_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+  next_attempt_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  event_row stripe_webhook_events%ROWTYPE;
+  was_claimed BOOLEAN := FALSE;
+BEGIN
+  INSERT INTO stripe_webhook_events (id, type, payload)
+  VALUES (p_event_id, p_event_type, p_payload)
+  ON CONFLICT ON CONSTRAINT stripe_webhook_events_pkey DO NOTHING;
+
+  UPDATE stripe_webhook_events e
+  SET
+    status = 'processing',
+    attempts = e.attempts + 1,
+    locked_until = NOW() + (p_lease_seconds || ' seconds')::interval
+  WHERE e.id = p_event_id
+    AND (
+      e.status IN ('received', 'failed')
+      OR (e.status = 'processing' AND e.locked_until <= NOW())
+      OR (p_allow_dead AND e.status = 'dead')
+    )
+  RETURNING * INTO event_row;
+
+  was_claimed := FOUND;
+
+  IF NOT was_claimed THEN
+    SELECT * INTO event_row FROM stripe_webhook_events e WHERE e.id = p_event_id;
+  END IF;
+
+  RETURN QUERY SELECT
+    was_claimed,
+    event_row.id,
+    event_row.type,
+    event_row.payload,
+    event_row.status,
+    event_row.attempts,
+    event_row.last_error,
+    event_row.result,
+    event_row.received_at,
+    event_row.processed_at,
+    event_row.next_attempt_at,
+    event_row.locked_until;
+END;
+$$;
+
+-- Lock down execute permissions - revoke from PUBLIC (and the API roles
+-- Supabase grants new functions to), grant only to service_role
+REVOKE EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB, INTEGER, BOOLEAN)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB, INTEGER, BOOLEAN)
+  TO service_role;
+
 -- ============================================================================
 -- UPDATED_AT TRIGGER
 -- ============================================================================
@@ -276,3 +1028,15 @@ CREATE TRIGGER update_profiles_updated_at
   BEFORE UPDATE ON profiles
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for stripe_webhook_events table
+CREATE TRIGGER update_stripe_webhook_events_updated_at
+  BEFORE UPDATE ON stripe_webhook_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger for email_outbox table
+CREATE TRIGGER update_email_outbox_updated_at
+  BEFORE UPDATE ON email_outbox
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -326,6 +326,24 @@ async function runAPITests() {
     assertEqual(response.status, 404, 'Expected 404 status');
   });
 
+  // -------------------------------------------
+  // Generation Progress Stream Tests
+  // -------------------------------------------
+  console.log('\nGeneration events (/api/generation/:id/events):');
+
+  await test('returns 404 for non-existent generation', async () => {
+    const response = await fetch(`${BASE_URL}/api/generation/nonexistent-id-12345/events`);
+    assertEqual(response.status, 404, 'Expected 404 status');
+    const data = await response.json();
+    assertExists(data.error, 'Expected error message');
+  });
+
+  await test('config advertises job-mode generation', async () => {
+    const response = await fetch(`${BASE_URL}/api/config`);
+    const data = await response.json();
+    assertEqual(data.features?.asyncGeneration, true, 'Expected features.asyncGeneration to be true');
+  });
+
   // -------------------------------------------
   // Subscription Endpoint Tests
   // -------------------------------------------
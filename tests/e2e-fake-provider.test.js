@@ -0,0 +1,416 @@
+/**
+ * End-to-End Tests with the Fake Image Provider
+ *
+ * Runs the full /api/generate pipeline (validation, provider call, error
+ * mapping, watermarking, provenance, output access, usage accounting) and
+ * /api/verify without network.
+ * Run with: node tests/e2e-fake-provider.test.js
+ *
+ * Starts its own server on FAKE_E2E_PORT (default 3100) with
+ * IMAGE_PROVIDER=fake, and scripts failures via POST /api/dev/fake-provider.
+ *
+ * Keep the number of generate calls under the suspicious-activity limit
+ * (10 per IP per 5 minutes).
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+const fake = require('../providers/fake');
+const { readProvenance, canonicalJson } = require('../lib/provenance');
+
+// Configuration
+const PORT = process.env.FAKE_E2E_PORT || 3100;
+const BASE_URL = `http://localhost:${PORT}`;
+const PROJECT_ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 15000;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+// Shared state
+let server = null;
+let cookies = '';
+let galleryPhoto = null;
+let userPhotoBuffer = null;
+let firstGeneration = null; // First successful generation (reused to stay under the anonymous limit)
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Start the server with the fake provider and wait until it answers
+ */
+async function startServer() {
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: PROJECT_ROOT,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      NODE_ENV: 'test',
+      IMAGE_PROVIDER: 'fake',
+      FAKE_PROVIDER_SCENARIO: '',
+      GENERATION_TIMEOUT_MS: '500',
+    },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${BASE_URL}/api/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not start on port ${PORT}`);
+}
+
+/**
+ * Stop the server started by startServer()
+ */
+function stopServer() {
+  if (server && server.exitCode === null) {
+    server.kill();
+  }
+}
+
+/**
+ * fetch() that keeps the anon_id cookie between requests
+ */
+async function request(urlPath, options = {}) {
+  const response = await fetch(`${BASE_URL}${urlPath}`, {
+    ...options,
+    headers: { ...(options.headers || {}), Cookie: cookies },
+  });
+  const setCookie = response.headers.get('set-cookie');
+  const anonCookie = setCookie && setCookie.match(/anon_id=[^;]+/);
+  if (anonCookie) {
+    cookies = anonCookie[0];
+  }
+  return response;
+}
+
+/**
+ * Queue fake provider scenarios on the server
+ */
+async function queueScenarios(scenarios) {
+  const response = await request('/api/dev/fake-provider', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scenarios }),
+  });
+  assert.strictEqual(response.status, 200, `Queueing scenarios failed: ${response.status}`);
+}
+
+/**
+ * POST /api/generate with the shared test photos
+ */
+async function generate(extraFields = {}) {
+  const formData = new FormData();
+  formData.append('userPhoto', new Blob([userPhotoBuffer], { type: 'image/png' }), 'me.png');
+  formData.append('epsteinPhoto', galleryPhoto.path);
+  formData.append('modelType', 'quick');
+  for (const [key, value] of Object.entries(extraFields)) {
+    formData.append(key, value);
+  }
+  const response = await request('/api/generate', { method: 'POST', body: formData });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Get the current anonymous usage from /api/me
+ */
+async function getUsage() {
+  const response = await request('/api/me');
+  return (await response.json()).usage;
+}
+
+// ============================================
+// SETUP
+// ============================================
+
+async function runSetup() {
+  console.log('\n=== Setup ===\n');
+
+  await test('server starts with IMAGE_PROVIDER=fake', async () => {
+    await startServer();
+  });
+
+  await test('dev endpoint reports the fake provider as active', async () => {
+    const response = await request('/api/dev/fake-provider');
+    const data = await response.json();
+    assert.strictEqual(data.active, true);
+    assert.ok(data.scenarios.includes('rate_limit'));
+    assert.deepStrictEqual(data.queued, []);
+  });
+
+  await test('dev endpoint rejects unknown scenarios', async () => {
+    const response = await request('/api/dev/fake-provider', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scenarios: ['meteor'] }),
+    });
+    assert.strictEqual(response.status, 400);
+  });
+
+  await test('gallery has at least one photo', async () => {
+    const response = await request('/api/photos');
+    const { photos } = await response.json();
+    assert.ok(photos.length > 0, 'No gallery photos found');
+    galleryPhoto = photos[0];
+
+    userPhotoBuffer = await sharp({
+      create: { width: 512, height: 512, channels: 3, background: { r: 210, g: 160, b: 130 } },
+    }).png().toBuffer();
+  });
+}
+
+// ============================================
+// SUCCESS PATH
+// ============================================
+
+async function runSuccessTests() {
+  console.log('\n=== Success Path ===\n');
+
+  let generation = null;
+
+  await test('generate returns a watermarked composite and charges usage', async () => {
+    const before = await getUsage();
+    const { status, body } = await generate();
+
+    assert.strictEqual(status, 200, `Expected 200, got ${status}: ${JSON.stringify(body)}`);
+    assert.strictEqual(body.success, true);
+    assert.ok(body.imageUrl.startsWith('/output/'));
+    assert.ok(body.viewToken, 'Anonymous result should include a viewToken');
+    assert.strictEqual(body.usage.used, before.used + 1);
+    generation = body;
+    firstGeneration = body;
+  });
+
+  await test('output is served with the viewToken and differs from the raw composite', async () => {
+    assert.ok(generation, 'Requires a successful generation');
+    const response = await request(`${generation.imageUrl}?viewToken=${generation.viewToken}`);
+    assert.strictEqual(response.status, 200);
+
+    const served = Buffer.from(await response.arrayBuffer());
+    const templateBuffer = fs.readFileSync(path.join(PROJECT_ROOT, 'public', galleryPhoto.path));
+    const raw = await fake.generate(
+      { buffer: templateBuffer, mimeType: 'image/jpeg' },
+      { buffer: userPhotoBuffer, mimeType: 'image/png' },
+      'prompt'
+    );
+    const [servedMeta, rawMeta] = await Promise.all([sharp(served).metadata(), sharp(raw.image).metadata()]);
+
+    assert.strictEqual(servedMeta.format, 'png');
+    assert.strictEqual(servedMeta.width, rawMeta.width);
+    assert.strictEqual(servedMeta.height, rawMeta.height);
+    assert.ok(!served.equals(raw.image), 'Watermark should change the composite');
+  });
+
+  await test('output carries a provenance manifest signed with the published key', async () => {
+    assert.ok(generation, 'Requires a successful generation');
+    const response = await request(`${generation.imageUrl}?viewToken=${generation.viewToken}`);
+    const envelope = readProvenance(Buffer.from(await response.arrayBuffer()));
+    assert.ok(envelope, 'No provenance manifest embedded');
+
+    const { manifest, signature } = envelope;
+    assert.strictEqual(manifest.aiGenerated, true);
+    assert.strictEqual(manifest.generationId, generation.generationId);
+    assert.strictEqual(manifest.template, galleryPhoto.path);
+    assert.strictEqual(manifest.provider, 'fake');
+
+    const key = await (await request('/api/provenance/key')).json();
+    assert.strictEqual(signature.keyId, key.keyId);
+    assert.ok(crypto.verify(null, Buffer.from(canonicalJson(manifest)),
+      crypto.createPublicKey(key.publicKey), Buffer.from(signature.value, 'base64')), 'Signature does not verify');
+  });
+
+  await test('job mode completes and charges usage once', async () => {
+    const before = await getUsage();
+    const { status, body } = await generate({ async: 'true' });
+    assert.strictEqual(status, 202);
+
+    let record = null;
+    for (let i = 0; i < 50; i++) {
+      const response = await request(body.statusUrl);
+      record = (await response.json()).generation;
+      if (record.status === 'completed' || record.status === 'failed') break;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    assert.strictEqual(record.status, 'completed');
+    assert.ok(record.resultUrl, 'Completed job should have a result URL');
+    assert.strictEqual((await getUsage()).used, before.used + 1);
+  });
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+async function runVerifyTests() {
+  console.log('\n=== Verification ===\n');
+
+  const generation = firstGeneration;
+  let output = null;
+
+  async function verifyUpload(buffer, type = 'image/png') {
+    const formData = new FormData();
+    formData.append('image', new Blob([buffer], { type }), 'check.png');
+    const response = await request('/api/verify', { method: 'POST', body: formData });
+    return { status: response.status, body: await response.json() };
+  }
+
+  await test('uploaded output verifies via its manifest', async () => {
+    assert.ok(generation, 'Requires a successful generation');
+    const response = await request(`${generation.imageUrl}?viewToken=${generation.viewToken}`);
+    output = Buffer.from(await response.arrayBuffer());
+
+    const { status, body } = await verifyUpload(output);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.produced, true);
+    assert.strictEqual(body.method, 'manifest');
+    assert.strictEqual(body.tampered, false);
+    assert.strictEqual(body.source.generationId, generation.generationId);
+    assert.strictEqual(body.source.template, galleryPhoto.path);
+  });
+
+  await test('output URL verifies without uploading', async () => {
+    const response = await request(`/api/verify?url=${encodeURIComponent(generation.imageUrl)}`);
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.produced, true);
+    assert.strictEqual(body.source.generationId, generation.generationId);
+  });
+
+  // The fake provider is deterministic, so later generations produce the same
+  // image - only the invisible watermark tells them apart
+  await test('re-encoded, cropped copy without the manifest is identified by its invisible watermark', async () => {
+    const { width, height } = await sharp(output).metadata();
+    const copy = await sharp(output)
+      .extract({ left: 20, top: 20, width: Math.round(width * 0.9), height: Math.round(height * 0.9) })
+      .resize(600)
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    const { body } = await verifyUpload(copy, 'image/jpeg');
+    assert.strictEqual(body.produced, true);
+    assert.strictEqual(body.method, 'watermark');
+    assert.strictEqual(body.watermark.present, true);
+    assert.strictEqual(body.source.generationId, generation.generationId);
+  });
+
+  await test('unrelated photo is reported as not produced here', async () => {
+    const { body } = await verifyUpload(userPhotoBuffer);
+    assert.strictEqual(body.produced, false);
+  });
+
+  await test('URLs outside this site are rejected', async () => {
+    const response = await request(`/api/verify?url=${encodeURIComponent('https://example.com/output/x.png')}`);
+    assert.strictEqual(response.status, 400);
+  });
+
+  await test('non-image uploads are rejected', async () => {
+    const { status, body } = await verifyUpload(Buffer.from('not an image'));
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_FORMAT');
+  });
+}
+
+// ============================================
+// FAILURE PATHS
+// ============================================
+
+async function runFailureTests() {
+  console.log('\n=== Failure Paths ===\n');
+
+  const cases = [
+    { scenario: 'rate_limit', status: 429, code: 'RATE_LIMITED' },
+    { scenario: 'timeout', status: 504, code: 'TIMEOUT' },
+    { scenario: 'hang', status: 504, code: 'TIMEOUT' },
+    { scenario: 'safety', status: 400, code: 'SAFETY_BLOCK' },
+    { scenario: 'blocked', status: 400, code: 'SAFETY_BLOCK' },
+    { scenario: 'no_face', status: 400, code: 'NO_FACE' },
+  ];
+
+  const before = await getUsage();
+
+  for (const { scenario, status, code } of cases) {
+    await test(`${scenario} -> ${status} ${code}`, async () => {
+      await queueScenarios([scenario]);
+      const result = await generate();
+      assert.strictEqual(result.status, status, `Got ${result.status}: ${JSON.stringify(result.body)}`);
+      assert.strictEqual(result.body.code, code);
+    });
+  }
+
+  await test('failed generations are not charged', async () => {
+    assert.strictEqual((await getUsage()).used, before.used);
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Fake Provider End-to-End Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  try {
+    await runSetup();
+    if (galleryPhoto) {
+      await runSuccessTests();
+      await runVerifyTests();
+      await runFailureTests();
+    }
+  } finally {
+    stopServer();
+  }
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,359 @@
+/**
+ * Entry Point Parity Tests
+ *
+ * Runs the same request suite against both deployments of the shared routes:
+ * - server.js (spawned on ENTRY_POINTS_PORT, default 3101)
+ * - the Vercel functions in api/ (mounted in-process on a plain HTTP server)
+ *
+ * Validation rules, error codes and auth checks must match exactly; only the
+ * generated image URL differs (/output/ file vs inline data URL).
+ * Run with: node tests/entry-points.test.js
+ *
+ * Both use IMAGE_PROVIDER=fake, so no network or API key is needed.
+ */
+
+// Must be set before the api/ handlers (and providers) are loaded
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_SCENARIO = '';
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+
+const generations = require('../services/generations');
+const { listTemplates } = require('../services/templates');
+const { readProvenance } = require('../lib/provenance');
+
+// Configuration
+const SERVER_PORT = process.env.ENTRY_POINTS_PORT || 3101;
+const PROJECT_ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 15000;
+const ALLOWED_ORIGIN = 'http://localhost:3000';
+
+// Vercel functions under test (vercel.json routes /api/<name> to api/<name>.js)
+const VERCEL_FUNCTIONS = ['generate', 'me', 'create-checkout', 'change-plan', 'buy-credits', 'subscription', 'verify-session', 'verify', 'referral', 'referral/claim', 'buy-gift', 'redeem', 'redeem/claim', 'billing/history', 'billing/receipt', 'photos', 'selfie-nonce'];
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+// Shared state
+let server = null;
+let vercelServer = null;
+let galleryPhoto = null;
+let userPhotoBuffer = null;
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Spawn server.js with the fake provider and wait until it answers
+ */
+async function startServer() {
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: PROJECT_ROOT,
+    env: { ...process.env, PORT: String(SERVER_PORT) },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`http://localhost:${SERVER_PORT}/api/health`);
+      if (response.ok) return `http://localhost:${SERVER_PORT}`;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not start on port ${SERVER_PORT}`);
+}
+
+/**
+ * Serve the api/ handlers the way vercel.json routes them
+ */
+async function startVercelFunctions() {
+  const handlers = Object.fromEntries(
+    VERCEL_FUNCTIONS.map(name => [name, require(`../api/${name}.js`)])
+  );
+
+  vercelServer = http.createServer((req, res) => {
+    const match = req.url.match(/^\/api\/([a-z-]+(?:\/[a-z-]+)?)(?:\?|$)/);
+    const handler = match && handlers[match[1]];
+    if (!handler) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    handler(req, res);
+  });
+
+  await new Promise(resolve => vercelServer.listen(0, '127.0.0.1', resolve));
+  return `http://localhost:${vercelServer.address().port}`;
+}
+
+function stopServers() {
+  if (server && server.exitCode === null) {
+    server.kill();
+  }
+  if (vercelServer) {
+    vercelServer.close();
+  }
+}
+
+/**
+ * Create a client for one entry point that keeps its own anon_id cookie
+ */
+function createClient(name, baseUrl, imageUrlPrefix) {
+  let cookies = '';
+
+  async function request(urlPath, options = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      ...options,
+      headers: { ...(options.headers || {}), Cookie: cookies },
+    });
+    const setCookie = response.headers.get('set-cookie');
+    const anonCookie = setCookie && setCookie.match(/anon_id=[^;]+/);
+    if (anonCookie) {
+      cookies = anonCookie[0];
+    }
+    return response;
+  }
+
+  async function json(urlPath, options = {}) {
+    const response = await request(urlPath, options);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function generate({ photo = userPhotoBuffer, type = 'image/png', epsteinPhoto = galleryPhoto.path } = {}) {
+    const formData = new FormData();
+    if (photo) {
+      formData.append('userPhoto', new Blob([photo], { type }), 'me.png');
+    }
+    formData.append('epsteinPhoto', epsteinPhoto);
+    formData.append('modelType', 'quick');
+    return json('/api/generate', { method: 'POST', body: formData });
+  }
+
+  return { name, imageUrlPrefix, request, json, generate };
+}
+
+function postJson(body) {
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  };
+}
+
+// ============================================
+// SHARED SUITE
+// ============================================
+
+async function runSuite(client) {
+  console.log(`\n=== ${client.name} ===\n`);
+
+  const prefix = `[${client.name}]`;
+
+  await test(`${prefix} GET /api/me works anonymously and sets anon_id`, async () => {
+    const response = await client.request('/api/me');
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.authenticated, false);
+    assert.strictEqual(body.usage.tier, 'anonymous');
+    assert.ok(/anon_id=/.test(response.headers.get('set-cookie') || ''), 'anon_id cookie not set');
+  });
+
+  const authRoutes = [
+    ['POST', '/api/create-checkout'],
+    ['POST', '/api/change-plan'],
+    ['POST', '/api/buy-credits'],
+    ['GET', '/api/subscription'],
+    ['POST', '/api/verify-session'],
+    ['GET', '/api/referral'],
+    ['POST', '/api/referral/claim'],
+    ['POST', '/api/buy-gift'],
+    ['POST', '/api/redeem/claim'],
+    ['GET', '/api/billing/history'],
+    ['GET', '/api/billing/receipt?id=cs_test_123'],
+  ];
+
+  for (const [method, urlPath] of authRoutes) {
+    await test(`${prefix} ${method} ${urlPath} requires auth`, async () => {
+      const options = method === 'POST' ? postJson({ sessionId: 'cs_test_123', quantity: 5 }) : {};
+      const { status, body } = await client.json(urlPath, options);
+      assert.strictEqual(status, 401);
+      assert.strictEqual(body.error, 'Authentication required');
+    });
+  }
+
+  await test(`${prefix} GET /api/photos lists the enabled templates without prompts`, async () => {
+    const { status, body } = await client.json('/api/photos');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.photos.map(photo => photo.id), listTemplates().map(template => template.id));
+    assert.ok(body.photos.every(photo => photo.title && photo.path && photo.prompts === undefined));
+  });
+
+  await test(`${prefix} POST /api/redeem works anonymously and refuses an invalid code`, async () => {
+    const { status, body } = await client.json('/api/redeem', postJson({ code: 'not a gift code' }));
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.reason, 'invalid_code');
+  });
+
+  await test(`${prefix} generate without a photo -> 400 INVALID_FORMAT`, async () => {
+    const { status, body } = await client.generate({ photo: null });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_FORMAT');
+  });
+
+  await test(`${prefix} generate with a non-image upload -> 400 INVALID_FORMAT`, async () => {
+    const { status, body } = await client.generate({ photo: Buffer.from('not an image'), type: 'text/plain' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_FORMAT');
+  });
+
+  await test(`${prefix} generate with a tiny photo -> 400 IMAGE_TOO_SMALL`, async () => {
+    const photo = await sharp({
+      create: { width: 100, height: 100, channels: 3, background: { r: 200, g: 150, b: 120 } },
+    }).png().toBuffer();
+    const { status, body } = await client.generate({ photo });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'IMAGE_TOO_SMALL');
+  });
+
+  await test(`${prefix} generate with an oversized photo -> 400 IMAGE_TOO_LARGE`, async () => {
+    const photo = await sharp({
+      create: { width: 5000, height: 300, channels: 3, background: { r: 200, g: 150, b: 120 } },
+    }).png().toBuffer();
+    const { status, body } = await client.generate({ photo });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'IMAGE_TOO_LARGE');
+  });
+
+  await test(`${prefix} generate blocks path traversal -> 400 GENERATION_FAILED`, async () => {
+    const { status, body } = await client.generate({ epsteinPhoto: '../../.env' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'GENERATION_FAILED');
+  });
+
+  await test(`${prefix} generate succeeds and charges usage`, async () => {
+    const before = (await client.json('/api/me')).body.usage;
+    const { status, body } = await client.generate();
+    assert.strictEqual(status, 200, `Expected 200, got ${status}: ${JSON.stringify(body)}`);
+    assert.strictEqual(body.success, true);
+    assert.ok(body.imageUrl.startsWith(client.imageUrlPrefix), `Unexpected imageUrl: ${body.imageUrl.slice(0, 40)}`);
+    assert.strictEqual(body.usage.used, before.used + 1);
+    assert.strictEqual((await client.json('/api/me')).body.usage.used, before.used + 1);
+
+    // Both deployments embed the signed provenance manifest
+    const image = body.imageUrl.startsWith('data:')
+      ? Buffer.from(body.imageUrl.split(',')[1], 'base64')
+      : Buffer.from(await (await client.request(`${body.imageUrl}?viewToken=${body.viewToken}`)).arrayBuffer());
+    assert.strictEqual(readProvenance(image)?.manifest.generationId, body.generationId);
+
+    // The api/ functions run in-process, so their record can be checked:
+    // the data URL is only returned, never stored in the indexed result_url
+    if (body.imageUrl.startsWith('data:')) {
+      const stored = await generations.getGeneration(body.generationId);
+      assert.strictEqual(stored.status, 'completed');
+      assert.strictEqual(stored.resultUrl, null);
+      assert.ok(stored.perceptualHash, 'perceptual hash not stored');
+    }
+  });
+
+  await test(`${prefix} verify without an image -> 400 INVALID_FORMAT`, async () => {
+    const { status, body } = await client.json('/api/verify', postJson({}));
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_FORMAT');
+  });
+
+  await test(`${prefix} security headers are set`, async () => {
+    const response = await client.request('/api/me');
+    assert.strictEqual(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+    assert.strictEqual(response.headers.get('x-powered-by'), null);
+  });
+
+  await test(`${prefix} CORS allows the app origin with credentials`, async () => {
+    const response = await client.request('/api/me', { headers: { Origin: ALLOWED_ORIGIN } });
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+    assert.strictEqual(response.headers.get('access-control-allow-credentials'), 'true');
+  });
+
+  await test(`${prefix} CORS rejects unknown origins`, async () => {
+    const response = await client.request('/api/me', { headers: { Origin: 'https://evil.example' } });
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Entry Point Parity Tests');
+  console.log('='.repeat(60));
+
+  galleryPhoto = listTemplates()[0];
+  userPhotoBuffer = await sharp({
+    create: { width: 512, height: 512, channels: 3, background: { r: 210, g: 160, b: 130 } },
+  }).png().toBuffer();
+
+  try {
+    if (!galleryPhoto) {
+      throw new Error('No gallery photos found');
+    }
+
+    const serverUrl = await startServer();
+    const vercelUrl = await startVercelFunctions();
+
+    await runSuite(createClient('server.js', serverUrl, '/output/'));
+    await runSuite(createClient('api/*.js', vercelUrl, 'data:image/png;base64,'));
+  } catch (error) {
+    failed++;
+    results.push({ name: 'setup', status: 'FAIL', error: error.message });
+    console.log(`  ✗ setup: ${error.message}`);
+  } finally {
+    stopServers();
+  }
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -398,17 +398,17 @@ async function runFullFlowTests() {
     generations.clearAll();
 
     // 1. Create generation
-    const gen = generations.createGeneration('flow-user-1', '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration('flow-user-1', '/epstein-photos/test.jpg');
     assertEqual(gen.status, 'pending', 'Should start as pending');
 
     // 2. Simulate successful API response
-    const completed = generations.completeGeneration(gen.id, '/output/result.png');
+    const completed = await generations.completeGeneration(gen.id, '/output/result.png');
     assertEqual(completed.status, 'completed', 'Should be completed');
     assertExists(completed.resultUrl, 'Should have resultUrl');
     assertExists(completed.completedAt, 'Should have completedAt');
 
     // 3. Verify retrieval
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.id, gen.id, 'Should retrieve same generation');
   });
 
@@ -416,16 +416,16 @@ async function runFullFlowTests() {
     generations.clearAll();
 
     // 1. Create generation
-    const gen = generations.createGeneration('flow-user-2', '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration('flow-user-2', '/epstein-photos/test.jpg');
 
     // 2. Simulate API failure
-    const failed = generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
+    const failed = await generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
     assertEqual(failed.status, 'failed', 'Should be failed');
     assertEqual(failed.errorCode, 'SAFETY_BLOCK', 'Should have error code');
     assertExists(failed.completedAt, 'Should have completedAt');
 
     // 3. Verify retrieval
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.status, 'failed', 'Retrieved should be failed');
   });
 
@@ -452,23 +452,23 @@ async function runFullFlowTests() {
     generations.clearAll();
 
     const userId = 'history-user';
-    generations.createGeneration(userId, '/epstein-photos/1.jpg');
-    generations.createGeneration(userId, '/epstein-photos/2.jpg');
-    generations.createGeneration(userId, '/epstein-photos/3.jpg');
+    await generations.createGeneration(userId, '/epstein-photos/1.jpg');
+    await generations.createGeneration(userId, '/epstein-photos/2.jpg');
+    await generations.createGeneration(userId, '/epstein-photos/3.jpg');
 
-    const history = generations.getGenerations(userId);
+    const history = await generations.getGenerations(userId);
     assertEqual(history.length, 3, 'Should have 3 generations');
   });
 
   await test('separates generations by user', async () => {
     generations.clearAll();
 
-    generations.createGeneration('user-A', '/epstein-photos/a.jpg');
-    generations.createGeneration('user-B', '/epstein-photos/b.jpg');
-    generations.createGeneration('user-A', '/epstein-photos/a2.jpg');
+    await generations.createGeneration('user-A', '/epstein-photos/a.jpg');
+    await generations.createGeneration('user-B', '/epstein-photos/b.jpg');
+    await generations.createGeneration('user-A', '/epstein-photos/a2.jpg');
 
-    const historyA = generations.getGenerations('user-A');
-    const historyB = generations.getGenerations('user-B');
+    const historyA = await generations.getGenerations('user-A');
+    const historyB = await generations.getGenerations('user-B');
 
     assertEqual(historyA.length, 2, 'User A should have 2');
     assertEqual(historyB.length, 1, 'User B should have 1');
@@ -534,20 +534,20 @@ async function runErrorHandlingTests() {
   await test('NO_FACE error is stored and retrievable', async () => {
     generations.clearAll();
 
-    const gen = generations.createGeneration('error-test-user', '/epstein-photos/test.jpg');
-    generations.failGeneration(gen.id, 'NO_FACE', 'No face detected in the photo');
+    const gen = await generations.createGeneration('error-test-user', '/epstein-photos/test.jpg');
+    await generations.failGeneration(gen.id, 'NO_FACE', 'No face detected in the photo');
 
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.errorCode, 'NO_FACE', 'Error code should be stored');
     assertEqual(retrieved.errorMessage, 'No face detected in the photo', 'Error message should be stored');
     assertEqual(retrieved.status, 'failed', 'Status should be failed');
   });
 
   await test('TIMEOUT error is stored correctly', async () => {
-    const gen = generations.createGeneration('timeout-user', '/epstein-photos/test.jpg');
-    generations.failGeneration(gen.id, 'TIMEOUT', 'Request took too long');
+    const gen = await generations.createGeneration('timeout-user', '/epstein-photos/test.jpg');
+    await generations.failGeneration(gen.id, 'TIMEOUT', 'Request took too long');
 
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.errorCode, 'TIMEOUT', 'Should store TIMEOUT');
   });
 
@@ -557,17 +557,17 @@ async function runErrorHandlingTests() {
     const userId = 'mixed-history-user';
 
     // Successful generation
-    const success = generations.createGeneration(userId, '/epstein-photos/1.jpg');
-    generations.completeGeneration(success.id, '/output/success.png');
+    const success = await generations.createGeneration(userId, '/epstein-photos/1.jpg');
+    await generations.completeGeneration(success.id, '/output/success.png');
 
     // Failed generation
-    const failed = generations.createGeneration(userId, '/epstein-photos/2.jpg');
-    generations.failGeneration(failed.id, 'SAFETY_BLOCK', 'Blocked');
+    const failed = await generations.createGeneration(userId, '/epstein-photos/2.jpg');
+    await generations.failGeneration(failed.id, 'SAFETY_BLOCK', 'Blocked');
 
     // Pending generation
-    generations.createGeneration(userId, '/epstein-photos/3.jpg');
+    await generations.createGeneration(userId, '/epstein-photos/3.jpg');
 
-    const history = generations.getGenerations(userId);
+    const history = await generations.getGenerations(userId);
     assertEqual(history.length, 3, 'Should have all 3 generations');
 
     const statuses = history.map(g => g.status);
@@ -584,24 +584,24 @@ async function runErrorHandlingTests() {
     const userId = 'concurrent-user';
 
     // Create multiple at once
-    const gen1 = generations.createGeneration(userId, '/epstein-photos/1.jpg');
-    const gen2 = generations.createGeneration(userId, '/epstein-photos/2.jpg');
-    const gen3 = generations.createGeneration(userId, '/epstein-photos/3.jpg');
+    const gen1 = await generations.createGeneration(userId, '/epstein-photos/1.jpg');
+    const gen2 = await generations.createGeneration(userId, '/epstein-photos/2.jpg');
+    const gen3 = await generations.createGeneration(userId, '/epstein-photos/3.jpg');
 
     // All should be pending
-    assertEqual(generations.getGeneration(gen1.id).status, 'pending');
-    assertEqual(generations.getGeneration(gen2.id).status, 'pending');
-    assertEqual(generations.getGeneration(gen3.id).status, 'pending');
+    assertEqual((await generations.getGeneration(gen1.id)).status, 'pending');
+    assertEqual((await generations.getGeneration(gen2.id)).status, 'pending');
+    assertEqual((await generations.getGeneration(gen3.id)).status, 'pending');
 
     // Complete out of order
-    generations.completeGeneration(gen2.id, '/output/2.png');
-    generations.failGeneration(gen1.id, 'ERROR', 'Failed');
-    generations.completeGeneration(gen3.id, '/output/3.png');
+    await generations.completeGeneration(gen2.id, '/output/2.png');
+    await generations.failGeneration(gen1.id, 'ERROR', 'Failed');
+    await generations.completeGeneration(gen3.id, '/output/3.png');
 
     // Verify states
-    assertEqual(generations.getGeneration(gen1.id).status, 'failed');
-    assertEqual(generations.getGeneration(gen2.id).status, 'completed');
-    assertEqual(generations.getGeneration(gen3.id).status, 'completed');
+    assertEqual((await generations.getGeneration(gen1.id)).status, 'failed');
+    assertEqual((await generations.getGeneration(gen2.id)).status, 'completed');
+    assertEqual((await generations.getGeneration(gen3.id)).status, 'completed');
   });
 }
 
@@ -633,10 +633,10 @@ async function runEdgeCaseTests() {
     generations.clearAll();
 
     const longPath = '/epstein-photos/' + 'a'.repeat(500) + '.jpg';
-    const gen = generations.createGeneration('long-path-user', longPath);
+    const gen = await generations.createGeneration('long-path-user', longPath);
 
     assertEqual(gen.epsteinPhoto, longPath, 'Should store long path');
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.epsteinPhoto, longPath, 'Should retrieve long path');
   });
 
@@ -644,7 +644,7 @@ async function runEdgeCaseTests() {
     generations.clearAll();
 
     const specialPath = '/epstein-photos/test-photo_2024 (1).jpg';
-    const gen = generations.createGeneration('special-path-user', specialPath);
+    const gen = await generations.createGeneration('special-path-user', specialPath);
 
     assertEqual(gen.epsteinPhoto, specialPath, 'Should store special characters');
   });
@@ -657,7 +657,7 @@ async function runEdgeCaseTests() {
 
     // Create 100 rapid generations
     for (let i = 0; i < 100; i++) {
-      const gen = generations.createGeneration(userId, `/epstein-photos/${i}.jpg`);
+      const gen = await generations.createGeneration(userId, `/epstein-photos/${i}.jpg`);
       ids.push(gen.id);
     }
 
@@ -666,45 +666,45 @@ async function runEdgeCaseTests() {
     assertEqual(uniqueIds.size, 100, 'All IDs should be unique');
 
     // All should be retrievable
-    ids.forEach(id => {
-      const gen = generations.getGeneration(id);
+    for (const id of ids) {
+      const gen = await generations.getGeneration(id);
       assertExists(gen, `Generation ${id} should exist`);
-    });
+    }
   });
 
   await test('getGenerations with limit larger than available', async () => {
     generations.clearAll();
 
-    generations.createGeneration('limit-user', '/epstein-photos/1.jpg');
-    generations.createGeneration('limit-user', '/epstein-photos/2.jpg');
+    await generations.createGeneration('limit-user', '/epstein-photos/1.jpg');
+    await generations.createGeneration('limit-user', '/epstein-photos/2.jpg');
 
-    const result = generations.getGenerations('limit-user', 100);
+    const result = await generations.getGenerations('limit-user', 100);
     assertEqual(result.length, 2, 'Should return all available (2)');
   });
 
   await test('getGenerations with limit of 0', async () => {
     generations.clearAll();
 
-    generations.createGeneration('zero-limit-user', '/epstein-photos/1.jpg');
+    await generations.createGeneration('zero-limit-user', '/epstein-photos/1.jpg');
 
-    const result = generations.getGenerations('zero-limit-user', 0);
+    const result = await generations.getGenerations('zero-limit-user', 0);
     assertEqual(result.length, 0, 'Should return empty array with limit 0');
   });
 
   console.log('\nNull/undefined handling:');
 
   await test('completeGeneration with null id returns null', async () => {
-    const result = generations.completeGeneration(null, '/output/test.png');
+    const result = await generations.completeGeneration(null, '/output/test.png');
     assertEqual(result, null, 'Should return null');
   });
 
   await test('failGeneration with null id returns null', async () => {
-    const result = generations.failGeneration(null, 'ERROR', 'Test');
+    const result = await generations.failGeneration(null, 'ERROR', 'Test');
     assertEqual(result, null, 'Should return null');
   });
 
   await test('getGeneration with null id returns null', async () => {
-    const result = generations.getGeneration(null);
+    const result = await generations.getGeneration(null);
     assertEqual(result, null, 'Should return null');
   });
 
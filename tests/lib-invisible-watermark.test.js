@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for lib/invisibleWatermark.js - Invisible Robust Watermark
+ *
+ * Run with: node tests/lib-invisible-watermark.test.js
+ *
+ * Tests cover:
+ * - Round trip of the generation ID and "AI parody" marker
+ * - Survival of JPEG recompression, resizing and moderate cropping
+ * - No false positives on unmarked photos
+ * - Visibility (PSNR), dimensions and alpha preserved
+ * - Small images (upscaled before marking), invalid IDs and undecodable input
+ */
+
+const assert = require('assert');
+const path = require('path');
+const sharp = require('sharp');
+
+const { embedInvisibleWatermark, decodeInvisibleWatermark } = require('../lib/invisibleWatermark');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+const GENERATION_ID = '6f1c2f4e-8d1a-4a57-9a43-0c2d8c1e5b11';
+
+// A real template photo - outputs are template-sized composites
+const PHOTO_PATH = path.join(__dirname, '..', 'public', 'epstein-photos', 'epstein_bill_silk.jpg');
+
+function loadPhoto() {
+  return sharp(PHOTO_PATH).png().toBuffer();
+}
+
+/**
+ * Crop a fraction off the left/top and right/bottom edges
+ */
+async function crop(buffer, fraction) {
+  const { width, height } = await sharp(buffer).metadata();
+  const left = Math.round(width * fraction * 0.6);
+  const top = Math.round(height * fraction * 0.4);
+  return sharp(buffer)
+    .extract({ left, top, width: Math.round(width * (1 - fraction)), height: Math.round(height * (1 - fraction)) })
+    .png()
+    .toBuffer();
+}
+
+async function assertDecodes(buffer) {
+  const result = await decodeInvisibleWatermark(buffer);
+  assert.strictEqual(result.found, true, 'Watermark not found');
+  assert.strictEqual(result.generationId, GENERATION_ID);
+  assert.strictEqual(result.aiParody, true);
+}
+
+// ============================================
+// EMBEDDING
+// ============================================
+
+async function runEmbedTests(marked, original) {
+  console.log('\n=== Embedding ===\n');
+
+  await test('decodes the generation ID and AI parody marker', async () => {
+    await assertDecodes(marked);
+  });
+
+  await test('different generation IDs decode to themselves', async () => {
+    const otherId = 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d';
+    const other = await embedInvisibleWatermark(original, otherId);
+    assert.strictEqual((await decodeInvisibleWatermark(other)).generationId, otherId);
+  });
+
+  await test('is invisible (PSNR above 34 dB) and keeps dimensions', async () => {
+    const before = await sharp(original).raw().toBuffer({ resolveWithObject: true });
+    const after = await sharp(marked).raw().toBuffer({ resolveWithObject: true });
+    assert.strictEqual(after.info.width, before.info.width);
+    assert.strictEqual(after.info.height, before.info.height);
+
+    let squaredError = 0;
+    for (let i = 0; i < before.data.length; i++) {
+      squaredError += (before.data[i] - after.data[i]) ** 2;
+    }
+    const psnr = 10 * Math.log10((255 * 255) / (squaredError / before.data.length));
+    assert.ok(psnr > 34, `PSNR ${psnr.toFixed(1)} dB`);
+  });
+
+  await test('keeps the alpha channel', async () => {
+    const withAlpha = await sharp(original).ensureAlpha().png().toBuffer();
+    const result = await embedInvisibleWatermark(withAlpha, GENERATION_ID);
+    assert.strictEqual((await sharp(result).metadata()).hasAlpha, true);
+    await assertDecodes(result);
+  });
+
+  await test('small images are upscaled, marked and detected', async () => {
+    const small = await sharp(original).resize(300).png().toBuffer();
+    const result = await embedInvisibleWatermark(small, GENERATION_ID);
+    assert.strictEqual((await sharp(result).metadata()).width, 512);
+    await assertDecodes(result);
+    await assertDecodes(await sharp(result).jpeg({ quality: 70 }).toBuffer());
+  });
+
+  await test('rejects generation IDs that are not UUIDs', async () => {
+    await assert.rejects(() => embedInvisibleWatermark(original, 'gen_123'), /UUID/);
+  });
+}
+
+// ============================================
+// ROBUSTNESS
+// ============================================
+
+async function runRobustnessTests(marked) {
+  console.log('\n=== Robustness ===\n');
+
+  await test('survives JPEG recompression (quality 60)', async () => {
+    await assertDecodes(await sharp(marked).jpeg({ quality: 60 }).toBuffer());
+  });
+
+  await test('survives WebP recompression (quality 70)', async () => {
+    await assertDecodes(await sharp(marked).webp({ quality: 70 }).toBuffer());
+  });
+
+  await test('survives resizing to half size', async () => {
+    await assertDecodes(await sharp(marked).resize(496).png().toBuffer());
+  });
+
+  await test('survives upscaling and JPEG recompression', async () => {
+    await assertDecodes(await sharp(marked).resize(1400).jpeg({ quality: 80 }).toBuffer());
+  });
+
+  await test('survives cropping 10% of each dimension', async () => {
+    await assertDecodes(await crop(marked, 0.1));
+  });
+
+  await test('survives cropping 20%, resizing and JPEG recompression together', async () => {
+    const cropped = await crop(marked, 0.2);
+    await assertDecodes(await sharp(cropped).resize(640).jpeg({ quality: 75 }).toBuffer());
+  });
+
+  await test('survives brightness and contrast changes', async () => {
+    await assertDecodes(await sharp(marked).linear(1.15, -10).png().toBuffer());
+  });
+}
+
+// ============================================
+// DECODING
+// ============================================
+
+async function runDecodeTests(original) {
+  console.log('\n=== Decoding ===\n');
+
+  await test('unmarked photos have no watermark', async () => {
+    const result = await decodeInvisibleWatermark(original);
+    assert.deepStrictEqual(result, { found: false, generationId: null, aiParody: false });
+  });
+
+  await test('unmarked photos have no watermark after cropping', async () => {
+    const result = await decodeInvisibleWatermark(await crop(original, 0.15));
+    assert.strictEqual(result.found, false);
+  });
+
+  await test('undecodable input throws', async () => {
+    await assert.rejects(() => decodeInvisibleWatermark(Buffer.from('definitely not an image')));
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Invisible Watermark Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  const original = await loadPhoto();
+  const marked = await embedInvisibleWatermark(original, GENERATION_ID);
+
+  await runEmbedTests(marked, original);
+  await runRobustnessTests(marked);
+  await runDecodeTests(original);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for lib/provenance.js - Signed Provenance Manifests
+ *
+ * Run with: node tests/lib-provenance.test.js
+ *
+ * Tests cover:
+ * - Manifest contents (AI-generated parody, template, model, generation ID)
+ * - PNG structure after embedding (still decodes, XMP visible to sharp)
+ * - Signature and content hash verification, including tampering
+ * - Signing key loading from PROVENANCE_PRIVATE_KEY
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Use a fixed key so keyId checks are deterministic
+const TEST_KEY = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.PROVENANCE_PRIVATE_KEY = TEST_KEY.replace(/\n/g, '\\n');
+
+const provenance = require('../lib/provenance');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+const DETAILS = {
+  generationId: '6f1c2f4e-8d1a-4a57-9a43-0c2d8c1e5b11',
+  template: '/epstein-photos/clinton-1993-1.jpg',
+  model: 'fake-composite-v1',
+  provider: 'fake',
+};
+
+function createImage(format = 'png') {
+  return sharp({
+    create: { width: 96, height: 64, channels: 3, background: { r: 180, g: 120, b: 90 } },
+  })[format]().toBuffer();
+}
+
+// ============================================
+// EMBEDDING
+// ============================================
+
+async function runEmbedTests() {
+  console.log('\n=== Embedding ===\n');
+
+  await test('manifest marks the image as an AI-generated parody composite', async () => {
+    const { manifest } = await provenance.embedProvenance(await createImage(), DETAILS);
+    assert.strictEqual(manifest.aiGenerated, true);
+    assert.strictEqual(manifest.parody, true);
+    assert.ok(/parody/i.test(manifest.statement));
+    assert.strictEqual(manifest.digitalSourceType, provenance.DIGITAL_SOURCE_TYPE);
+  });
+
+  await test('manifest records template, model, provider, generation ID and timestamp', async () => {
+    const { manifest } = await provenance.embedProvenance(await createImage(), DETAILS);
+    assert.strictEqual(manifest.template, DETAILS.template);
+    assert.strictEqual(manifest.model, DETAILS.model);
+    assert.strictEqual(manifest.provider, DETAILS.provider);
+    assert.strictEqual(manifest.generationId, DETAILS.generationId);
+    assert.ok(!Number.isNaN(Date.parse(manifest.createdAt)));
+    assert.ok(/^sha256:[0-9a-f]{64}$/.test(manifest.contentHash));
+  });
+
+  await test('output is still a valid PNG with the same pixels', async () => {
+    const original = await createImage();
+    const { buffer } = await provenance.embedProvenance(original, DETAILS);
+    const [before, after] = await Promise.all([
+      sharp(original).raw().toBuffer(),
+      sharp(buffer).raw().toBuffer(),
+    ]);
+    assert.ok(before.equals(after));
+  });
+
+  await test('XMP packet is readable by standard tools', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const { xmp } = await sharp(buffer).metadata();
+    assert.ok(xmp, 'No XMP found');
+    assert.ok(xmp.toString().includes('trainedAlgorithmicMedia'));
+    assert.ok(xmp.toString().includes(DETAILS.generationId));
+  });
+
+  await test('non-PNG input is converted to PNG', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage('jpeg'), DETAILS);
+    assert.strictEqual((await sharp(buffer).metadata()).format, 'png');
+    assert.ok(provenance.readProvenance(buffer));
+  });
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+async function runVerifyTests() {
+  console.log('\n=== Verification ===\n');
+
+  await test('freshly embedded manifest verifies', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const result = provenance.verifyProvenance(buffer);
+    assert.strictEqual(result.present, true);
+    assert.strictEqual(result.signatureValid, true);
+    assert.strictEqual(result.contentIntact, true);
+    assert.strictEqual(result.manifest.generationId, DETAILS.generationId);
+  });
+
+  await test('images without a manifest report present: false', async () => {
+    const result = provenance.verifyProvenance(await createImage());
+    assert.strictEqual(result.present, false);
+    assert.strictEqual(provenance.readProvenance(Buffer.from('not an image')), null);
+  });
+
+  await test('edited pixels break the content hash but not the signature', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const tampered = Buffer.from(buffer);
+    tampered[tampered.length - 20] ^= 0xff; // inside IDAT
+    const result = provenance.verifyProvenance(tampered);
+    assert.strictEqual(result.signatureValid, true);
+    assert.strictEqual(result.contentIntact, false);
+  });
+
+  await test('manifest copied onto another image fails the content hash', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const other = await sharp({
+      create: { width: 96, height: 64, channels: 3, background: { r: 0, g: 0, b: 0 } },
+    }).png().toBuffer();
+    const { buffer: otherSigned } = await provenance.embedProvenance(other, DETAILS);
+    // Swap the manifest: keep the first image's chunk on the second image's pixels
+    const envelope = provenance.readProvenance(buffer);
+    const forged = Buffer.from(otherSigned.toString('latin1').replace(
+      JSON.stringify(provenance.readProvenance(otherSigned)),
+      JSON.stringify(envelope)
+    ), 'latin1');
+    const result = provenance.verifyProvenance(forged);
+    assert.strictEqual(result.present, true);
+    assert.strictEqual(result.signatureValid, true);
+    assert.strictEqual(result.contentIntact, false);
+  });
+
+  await test('edited manifest fields fail the signature', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const forged = Buffer.from(buffer.toString('latin1').replace('"parody":true', '"parody":null'), 'latin1');
+    const result = provenance.verifyProvenance(forged);
+    assert.strictEqual(result.present, true);
+    assert.strictEqual(result.signatureValid, false);
+  });
+
+  await test('canonicalJson is independent of key order', () => {
+    assert.strictEqual(
+      provenance.canonicalJson({ b: 1, a: { d: [1, 2], c: 'x' } }),
+      provenance.canonicalJson({ a: { c: 'x', d: [1, 2] }, b: 1 })
+    );
+  });
+}
+
+// ============================================
+// SIGNING KEY
+// ============================================
+
+async function runKeyTests() {
+  console.log('\n=== Signing Key ===\n');
+
+  await test('public key comes from PROVENANCE_PRIVATE_KEY (escaped newlines)', () => {
+    const info = provenance.getPublicKeyInfo();
+    const expected = crypto.createPublicKey(TEST_KEY).export({ type: 'spki', format: 'pem' });
+    assert.strictEqual(info.algorithm, 'Ed25519');
+    assert.strictEqual(info.publicKey, expected);
+    assert.strictEqual(info.ephemeral, false);
+    assert.ok(/^[0-9a-f]{16}$/.test(info.keyId));
+  });
+
+  await test('manifest signature verifies with the published public key alone', async () => {
+    const { buffer } = await provenance.embedProvenance(await createImage(), DETAILS);
+    const { manifest, signature } = provenance.readProvenance(buffer);
+    const { publicKey, keyId } = provenance.getPublicKeyInfo();
+    assert.strictEqual(signature.keyId, keyId);
+    assert.ok(crypto.verify(null, Buffer.from(provenance.canonicalJson(manifest)),
+      crypto.createPublicKey(publicKey), Buffer.from(signature.value, 'base64')));
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Provenance Manifest Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runEmbedTests();
+  await runVerifyTests();
+  await runKeyTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,121 @@
+/**
+ * Snapshot Tests for Compiled Prompts
+ *
+ * Compiles every prompt in the shipped catalog (config/templates.json) -
+ * each template, model, prompt variant and subject - and compares it with
+ * tests/fixtures/prompt-snapshots.json, so a change to a shared section or
+ * variable shows up as a diff of the prompts the models actually get.
+ * Run with: node tests/prompt-snapshots.test.js
+ * Update the snapshots after an intended change with:
+ *   UPDATE_SNAPSHOTS=1 node tests/prompt-snapshots.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const templates = require('../services/templates');
+
+const SHIPPED_CATALOG_PATH = path.join(__dirname, '..', 'config', 'templates.json');
+const SNAPSHOT_PATH = path.join(__dirname, 'fixtures', 'prompt-snapshots.json');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Every compiled prompt, keyed 'template/model' (plus '/variant' for
+ * variants and '@subject' for subjects), as lines
+ */
+function compileAll() {
+  const models = templates.PROMPT_KEYS.filter(key => key !== 'default');
+  const compiled = {};
+  for (const template of templates.listTemplates({ includeDisabled: true })) {
+    const variantIds = template.variants ? template.variants.map(variant => variant.id) : [templates.DEFAULT_VARIANT];
+    const subjectIds = template.subjects ? template.subjects.map(subject => subject.id) : [null];
+    for (const variantId of variantIds) {
+      for (const subjectId of subjectIds) {
+        for (const model of models) {
+          const key = [template.id, model, variantId === templates.DEFAULT_VARIANT ? null : variantId].filter(Boolean).join('/') +
+            (subjectId ? `@${subjectId}` : '');
+          compiled[key] = templates.getPrompt(template, model, variantId, subjectId).split('\n');
+        }
+      }
+    }
+  }
+  return compiled;
+}
+
+async function runSnapshotTests() {
+  console.log('\nCompiled prompts:');
+
+  templates.loadCatalogFile(SHIPPED_CATALOG_PATH);
+  const compiled = compileAll();
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(SNAPSHOT_PATH, JSON.stringify(compiled, null, 2) + '\n');
+    console.log(`  Wrote ${Object.keys(compiled).length} prompts to ${SNAPSHOT_PATH}`);
+  }
+
+  const snapshots = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+
+  await test('the same prompts are compiled', async () => {
+    assert.deepStrictEqual(Object.keys(compiled).sort(), Object.keys(snapshots).sort());
+  });
+
+  for (const key of Object.keys(compiled)) {
+    await test(`${key} matches its snapshot`, async () => {
+      assert.ok(snapshots[key], 'no snapshot (run with UPDATE_SNAPSHOTS=1)');
+      assert.deepStrictEqual(compiled[key], snapshots[key]);
+    });
+  }
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Prompt Snapshot Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runSnapshotTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,378 @@
+/**
+ * Unit Tests for Image Providers
+ *
+ * Tests for providers/index.js, providers/gemini.js and providers/fake.js
+ * Run with: node tests/providers.test.js
+ *
+ * Tests cover:
+ * - Provider registry and model resolution from tiers.models
+ * - generateImage() option passing and timeout handling
+ * - Gemini response normalization (no network calls)
+ * - Fake provider determinism and output format
+ * - Fake provider scripted failure scenarios and IMAGE_PROVIDER override
+ */
+
+const assert = require('assert');
+const sharp = require('sharp');
+
+const providers = require('../providers');
+const gemini = require('../providers/gemini');
+const fake = require('../providers/fake');
+const tiers = require('../config/tiers');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Create a solid-color test image
+ */
+async function createImage(width, height, color, format = 'png') {
+  const buffer = await sharp({
+    create: { width, height, channels: 3, background: color },
+  })[format]().toBuffer();
+  return { buffer, mimeType: `image/${format === 'jpeg' ? 'jpeg' : format}` };
+}
+
+// ============================================
+// REGISTRY TESTS
+// ============================================
+
+async function runRegistryTests() {
+  console.log('\n=== Provider Registry Tests ===\n');
+
+  await test('getProvider() returns the built-in providers', async () => {
+    assert.strictEqual(providers.getProvider('gemini').name, 'gemini');
+    assert.strictEqual(providers.getProvider('fake').name, 'fake');
+  });
+
+  await test('getProvider() throws for unknown providers', async () => {
+    assert.throws(() => providers.getProvider('nope'), /Unknown image provider: nope/);
+  });
+
+  await test('every model in tiers.models has a registered provider', async () => {
+    for (const [type, model] of Object.entries(tiers.models)) {
+      const { modelConfig, provider } = providers.resolveModel(type);
+      assert.strictEqual(modelConfig, model);
+      assert.strictEqual(provider.name, model.provider);
+    }
+  });
+
+  await test('resolveModel() throws for unknown model types', async () => {
+    assert.throws(() => providers.resolveModel('ultra'), /Unknown model type: ultra/);
+  });
+
+  await test('registerProvider() requires a generate() function', async () => {
+    assert.throws(() => providers.registerProvider('broken', {}), /must implement generate/);
+  });
+
+  await test('generateImage() calls the provider configured for the model', async () => {
+    const calls = [];
+    providers.registerProvider('recording', {
+      generate: async (templateImage, userImage, prompt, options) => {
+        calls.push({ templateImage, userImage, prompt, options });
+        return { image: null, mimeType: null, text: 'ok', finishReason: 'STOP', safety: { blockReason: null, ratings: [] } };
+      },
+    });
+
+    const original = tiers.models.quick.provider;
+    tiers.models.quick.provider = 'recording';
+    try {
+      const result = await providers.generateImage('quick', 'template', 'user', 'prompt', { extra: 1 });
+      assert.strictEqual(result.text, 'ok');
+    } finally {
+      tiers.models.quick.provider = original;
+    }
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].prompt, 'prompt');
+    assert.strictEqual(calls[0].options.modelId, tiers.models.quick.modelId);
+    assert.strictEqual(calls[0].options.extra, 1);
+  });
+
+  await test('IMAGE_PROVIDER overrides the provider for every model', async () => {
+    const original = process.env.IMAGE_PROVIDER;
+    process.env.IMAGE_PROVIDER = 'fake';
+    try {
+      assert.strictEqual(providers.getProviderOverride(), 'fake');
+      for (const type of Object.keys(tiers.models)) {
+        assert.strictEqual(providers.resolveModel(type).provider.name, 'fake');
+      }
+    } finally {
+      if (original === undefined) {
+        delete process.env.IMAGE_PROVIDER;
+      } else {
+        process.env.IMAGE_PROVIDER = original;
+      }
+    }
+  });
+
+  await test('an explicit provider name wins over IMAGE_PROVIDER and the model', async () => {
+    const calls = [];
+    providers.registerProvider('explicit', {
+      generate: async (templateImage, userImage, prompt, options) => {
+        calls.push(options);
+        return { image: null, mimeType: null, text: 'ok', finishReason: 'STOP', safety: { blockReason: null, ratings: [] } };
+      },
+    });
+
+    const original = process.env.IMAGE_PROVIDER;
+    process.env.IMAGE_PROVIDER = 'fake';
+    try {
+      assert.strictEqual(providers.resolveModel('premium', 'explicit').provider.name, 'explicit');
+      await providers.generateImage('premium', 'template', 'user', 'prompt', { provider: 'explicit' });
+    } finally {
+      if (original === undefined) {
+        delete process.env.IMAGE_PROVIDER;
+      } else {
+        process.env.IMAGE_PROVIDER = original;
+      }
+    }
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].provider, undefined);
+    assert.strictEqual(calls[0].modelId, tiers.models.premium.modelId);
+  });
+
+  await test('generateImage() rejects with isTimeout when the provider is too slow', async () => {
+    providers.registerProvider('slow', {
+      generate: () => new Promise(resolve => setTimeout(() => resolve({}), 200)),
+    });
+
+    const original = tiers.models.quick.provider;
+    tiers.models.quick.provider = 'slow';
+    try {
+      await assert.rejects(
+        () => providers.generateImage('quick', 'template', 'user', 'prompt', { timeout: 20 }),
+        (error) => error.isTimeout === true
+      );
+    } finally {
+      tiers.models.quick.provider = original;
+    }
+  });
+}
+
+// ============================================
+// GEMINI ADAPTER TESTS
+// ============================================
+
+async function runGeminiTests() {
+  console.log('\n=== Gemini Adapter Tests ===\n');
+
+  await test('normalizeResponse() extracts the image and text parts', async () => {
+    const result = gemini.normalizeResponse({
+      candidates: [{
+        finishReason: 'STOP',
+        content: {
+          parts: [
+            { text: 'Here is your image' },
+            { inlineData: { mimeType: 'image/png', data: Buffer.from('png-bytes').toString('base64') } },
+          ],
+        },
+      }],
+    });
+
+    assert.ok(Buffer.isBuffer(result.image));
+    assert.strictEqual(result.image.toString(), 'png-bytes');
+    assert.strictEqual(result.mimeType, 'image/png');
+    assert.strictEqual(result.text, 'Here is your image');
+    assert.strictEqual(result.finishReason, 'STOP');
+    assert.strictEqual(result.safety.blockReason, null);
+  });
+
+  await test('normalizeResponse() reports SAFETY finish reason without an image', async () => {
+    const result = gemini.normalizeResponse({
+      candidates: [{ finishReason: 'SAFETY', safetyRatings: [{ category: 'HARM', probability: 'HIGH' }] }],
+    });
+
+    assert.strictEqual(result.image, null);
+    assert.strictEqual(result.finishReason, 'SAFETY');
+    assert.strictEqual(result.safety.ratings.length, 1);
+  });
+
+  await test('normalizeResponse() reports promptFeedback.blockReason', async () => {
+    const result = gemini.normalizeResponse({ promptFeedback: { blockReason: 'OTHER' } });
+
+    assert.strictEqual(result.image, null);
+    assert.strictEqual(result.text, '');
+    assert.strictEqual(result.safety.blockReason, 'OTHER');
+  });
+}
+
+// ============================================
+// FAKE ADAPTER TESTS
+// ============================================
+
+async function runFakeTests() {
+  console.log('\n=== Fake Adapter Tests ===\n');
+
+  const template = await createImage(800, 600, { r: 40, g: 60, b: 80 }, 'jpeg');
+  const user = await createImage(300, 300, { r: 200, g: 150, b: 120 });
+
+  await test('returns a PNG image with a STOP finish reason', async () => {
+    const result = await fake.generate(template, user, 'prompt', { modelId: 'test-model' });
+    const metadata = await sharp(result.image).metadata();
+
+    assert.strictEqual(metadata.format, 'png');
+    assert.strictEqual(metadata.width, 800);
+    assert.strictEqual(metadata.height, 600);
+    assert.strictEqual(result.finishReason, 'STOP');
+    assert.strictEqual(result.safety.blockReason, null);
+  });
+
+  await test('is deterministic for the same inputs', async () => {
+    const first = await fake.generate(template, user, 'prompt');
+    const second = await fake.generate(template, user, 'prompt');
+    assert.ok(first.image.equals(second.image), 'Outputs should be byte-identical');
+  });
+
+  await test('includes the user photo in the output', async () => {
+    const result = await fake.generate(template, user, 'prompt');
+    const withOtherUser = await fake.generate(template, await createImage(300, 300, { r: 0, g: 255, b: 0 }), 'prompt');
+    assert.ok(!result.image.equals(withOtherUser.image), 'Different user photos should change the output');
+  });
+
+  await test('caps the output size for large templates', async () => {
+    const large = await createImage(3000, 2000, { r: 10, g: 10, b: 10 });
+    const result = await fake.generate(large, user, 'prompt');
+    const metadata = await sharp(result.image).metadata();
+
+    assert.ok(metadata.width <= 1024 && metadata.height <= 1024, `Got ${metadata.width}x${metadata.height}`);
+  });
+
+  console.log('\nScripted scenarios:');
+
+  await test('queueScenarios() rejects unknown scenario names', async () => {
+    assert.throws(() => fake.queueScenarios(['success', 'explode']), /Unknown fake provider scenario: explode/);
+    assert.deepStrictEqual(fake.getScenarioQueue(), []);
+  });
+
+  await test('queued scenarios are consumed in order, then success', async () => {
+    fake.queueScenarios(['no_image', 'safety']);
+
+    assert.strictEqual((await fake.generate(template, user, 'prompt')).image, null);
+    assert.strictEqual((await fake.generate(template, user, 'prompt')).finishReason, 'SAFETY');
+    assert.ok(Buffer.isBuffer((await fake.generate(template, user, 'prompt')).image));
+    assert.deepStrictEqual(fake.getScenarioQueue(), []);
+  });
+
+  await test('clearScenarios() empties the queue', async () => {
+    fake.queueScenarios(['error', 'error']);
+    fake.clearScenarios();
+    assert.deepStrictEqual(fake.getScenarioQueue(), []);
+  });
+
+  await test('FAKE_PROVIDER_SCENARIO sets the default scenario', async () => {
+    process.env.FAKE_PROVIDER_SCENARIO = 'no_face';
+    try {
+      const result = await fake.generate(template, user, 'prompt');
+      assert.strictEqual(result.image, null);
+      assert.ok(/no face/i.test(result.text));
+    } finally {
+      delete process.env.FAKE_PROVIDER_SCENARIO;
+    }
+  });
+
+  await test('rate_limit throws a 429 SDK-style error', async () => {
+    fake.queueScenarios('rate_limit');
+    await assert.rejects(
+      () => fake.generate(template, user, 'prompt'),
+      (error) => error.status === 429 && /\[429\] Too Many Requests/.test(error.message)
+    );
+  });
+
+  await test('timeout throws a 504 deadline error', async () => {
+    fake.queueScenarios('timeout');
+    await assert.rejects(
+      () => fake.generate(template, user, 'prompt'),
+      (error) => error.status === 504 && /Deadline Exceeded/.test(error.message)
+    );
+  });
+
+  await test('hang is cut off by the generateImage() timeout', async () => {
+    const original = process.env.IMAGE_PROVIDER;
+    process.env.IMAGE_PROVIDER = 'fake';
+    fake.queueScenarios('hang');
+    try {
+      await assert.rejects(
+        () => providers.generateImage('quick', template, user, 'prompt', { timeout: 20 }),
+        (error) => error.isTimeout === true
+      );
+    } finally {
+      if (original === undefined) {
+        delete process.env.IMAGE_PROVIDER;
+      } else {
+        process.env.IMAGE_PROVIDER = original;
+      }
+    }
+  });
+
+  await test('blocked reports a prompt blockReason', async () => {
+    fake.queueScenarios('blocked');
+    const result = await fake.generate(template, user, 'prompt');
+    assert.strictEqual(result.image, null);
+    assert.strictEqual(result.safety.blockReason, 'OTHER');
+  });
+
+  await test('multiple_faces returns text mentioning multiple faces', async () => {
+    fake.queueScenarios('multiple_faces');
+    const result = await fake.generate(template, user, 'prompt');
+    assert.strictEqual(result.image, null);
+    assert.ok(/multiple faces/i.test(result.text));
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Image Provider Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runRegistryTests();
+  await runGeminiTests();
+  await runFakeTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -32,8 +32,26 @@ const TEST_FILES = [
   { name: 'unit', file: 'unit.test.js', description: 'Unit Tests', category: 'unit' },
   { name: 'services-usage', file: 'services-usage.test.js', description: 'Usage Service Tests', category: 'unit' },
   { name: 'services-generations', file: 'services-generations.test.js', description: 'Generations Service Tests', category: 'unit' },
+  { name: 'services-verification', file: 'services-verification.test.js', description: 'Image Verification Tests', category: 'unit' },
+  { name: 'services-generation-queue', file: 'services-generation-queue.test.js', description: 'Generation Job Queue Tests', category: 'unit' },
+  { name: 'providers', file: 'providers.test.js', description: 'Image Provider Tests', category: 'unit' },
   { name: 'services-stripe', file: 'services-stripe.test.js', description: 'Stripe Service Tests', category: 'unit' },
+  { name: 'services-credits', file: 'services-credits.test.js', description: 'Credit Ledger Tests', category: 'unit' },
+  { name: 'services-quota', file: 'services-quota.test.js', description: 'Quota Reservation Tests', category: 'unit' },
+  { name: 'services-webhook-events', file: 'services-webhook-events.test.js', description: 'Webhook Event Store Tests', category: 'unit' },
+  { name: 'services-pricing', file: 'services-pricing.test.js', description: 'Pricing Catalog Tests', category: 'unit' },
+  { name: 'services-referrals', file: 'services-referrals.test.js', description: 'Referral Tests', category: 'unit' },
+  { name: 'services-dunning', file: 'services-dunning.test.js', description: 'Dunning Tests', category: 'unit' },
+  { name: 'services-email', file: 'services-email.test.js', description: 'Transactional Email Tests', category: 'unit' },
+  { name: 'services-gifts', file: 'services-gifts.test.js', description: 'Gift Code Tests', category: 'unit' },
+  { name: 'services-billing', file: 'services-billing.test.js', description: 'Billing History Tests', category: 'unit' },
+  { name: 'services-templates', file: 'services-templates.test.js', description: 'Template Catalog Tests', category: 'unit' },
+  { name: 'prompt-snapshots', file: 'prompt-snapshots.test.js', description: 'Compiled Prompt Snapshot Tests', category: 'unit' },
   { name: 'lib-supabase', file: 'lib-supabase.test.js', description: 'Supabase Library Tests', category: 'unit' },
+  { name: 'lib-provenance', file: 'lib-provenance.test.js', description: 'Provenance Manifest Tests', category: 'unit' },
+  { name: 'lib-invisible-watermark', file: 'lib-invisible-watermark.test.js', description: 'Invisible Watermark Tests', category: 'unit' },
+  { name: 'services-consent', file: 'services-consent.test.js', description: 'Self-Consent Verification Tests', category: 'unit' },
+  { name: 'services-screening', file: 'services-screening.test.js', description: 'Upload Screening Tests', category: 'unit' },
 
   // Middleware tests
   { name: 'middleware-auth', file: 'middleware-auth.test.js', description: 'Auth Middleware Tests', category: 'middleware' },
@@ -42,6 +60,7 @@ const TEST_FILES = [
   // Integration tests (test modules working together)
   { name: 'integration', file: 'integration.test.js', description: 'Integration Tests', category: 'integration' },
   { name: 'error-handling', file: 'error-handling.test.js', description: 'Error Handling Tests', category: 'integration' },
+  { name: 'entry-points', file: 'entry-points.test.js', description: 'Server vs Vercel Entry Point Parity Tests', category: 'integration' },
 
   // Security tests
   { name: 'security-rate-limit', file: 'security-rate-limit.test.js', description: 'Rate Limit Security Tests', category: 'security' },
@@ -59,6 +78,7 @@ const TEST_FILES = [
 
   // E2E tests (full workflow tests)
   { name: 'e2e-full', file: 'e2e-full.test.js', description: 'End-to-End Tests', category: 'e2e', requiresServer: true },
+  { name: 'e2e-fake-provider', file: 'e2e-fake-provider.test.js', description: 'Fake Provider End-to-End Tests', category: 'e2e' },
 ];
 
 // ============================================
@@ -0,0 +1,244 @@
+/**
+ * Unit Tests for Billing History
+ *
+ * Tests for services/billing.js and lib/receipts.js
+ * Run with: node tests/services-billing.test.js
+ *
+ * Tests cover:
+ * - Purchases from Stripe, and the fallback to local records
+ * - Per-generation credit spend, with refunds
+ * - Receipts only for the user's own purchases
+ * - HTML and PDF receipt rendering
+ *
+ * Uses the in-memory stores (Supabase not configured); the Stripe lookups
+ * are replaced on services/stripe.js.
+ */
+
+const assert = require('assert');
+
+const billing = require('../services/billing');
+const credits = require('../services/credits');
+const stripeService = require('../services/stripe');
+const { renderReceiptHtml, renderReceiptPdf } = require('../lib/receipts');
+
+const { HISTORY_SOURCE } = billing;
+
+const originalListCustomerPurchases = stripeService.listCustomerPurchases;
+const originalGetPurchase = stripeService.getPurchase;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * A purchase as services/stripe.js lists it
+ */
+function stripePurchase(overrides = {}) {
+  return {
+    id: 'cs_test_credits',
+    source: 'checkout',
+    type: 'credit',
+    description: '5 credits',
+    credits: 5,
+    amount: 499,
+    currency: 'usd',
+    paidAt: '2026-03-01T00:00:00.000Z',
+    reference: 'cs_test_credits',
+    invoiceUrl: null,
+    ...overrides
+  };
+}
+
+/**
+ * Reset the stores and Stripe lookups between tests
+ */
+function reset() {
+  credits.clearAll();
+  stripeService.listCustomerPurchases = originalListCustomerPurchases;
+  stripeService.getPurchase = originalGetPurchase;
+}
+
+async function runHistoryTests() {
+  console.log('\nHistory:');
+
+  await test('without a Stripe customer, purchases come from the ledger grants', async () => {
+    reset();
+    await credits.grantCredits('local-user', 3, { stripeSessionId: 'cs_local_1' });
+    await credits.adjustCredits('local-user', 2, { note: 'support' });
+
+    const history = await billing.getBillingHistory('local-user');
+
+    assert.strictEqual(history.purchasesSource, HISTORY_SOURCE.LOCAL);
+    assert.strictEqual(history.purchases.length, 1);
+    assert.strictEqual(history.purchases[0].id, 'cs_local_1');
+    assert.strictEqual(history.purchases[0].credits, 3);
+    assert.strictEqual(history.purchases[0].amount, null);
+  });
+
+  await test('with a Stripe customer, purchases come from Stripe', async () => {
+    reset();
+    stripeService.getUser('stripe-user').stripe_customer_id = 'cus_history';
+    let askedFor = null;
+    stripeService.listCustomerPurchases = async customerId => {
+      askedFor = customerId;
+      return [stripePurchase(), stripePurchase({ id: 'in_test_1', source: 'invoice', type: 'subscription', credits: 0 })];
+    };
+
+    const history = await billing.getBillingHistory('stripe-user');
+
+    assert.strictEqual(askedFor, 'cus_history');
+    assert.strictEqual(history.purchasesSource, HISTORY_SOURCE.STRIPE);
+    assert.deepStrictEqual(history.purchases.map(purchase => purchase.id), ['cs_test_credits', 'in_test_1']);
+  });
+
+  await test('falls back to local records when Stripe fails', async () => {
+    reset();
+    stripeService.getUser('outage-user').stripe_customer_id = 'cus_outage';
+    stripeService.listCustomerPurchases = async () => { throw new Error('Stripe unavailable'); };
+    await credits.grantCredits('outage-user', 5, { stripeSessionId: 'cs_outage_1' });
+
+    const history = await billing.getBillingHistory('outage-user');
+
+    assert.strictEqual(history.purchasesSource, HISTORY_SOURCE.LOCAL);
+    assert.deepStrictEqual(history.purchases.map(purchase => purchase.id), ['cs_outage_1']);
+  });
+
+  await test('lists the credits each generation spent, refunds marked', async () => {
+    reset();
+    await credits.grantCredits('spender', 5, { stripeSessionId: 'cs_spender' });
+    await credits.spendCredits('spender', 1, { generationId: 'gen-kept' });
+    await credits.spendCredits('spender', 1, { generationId: 'gen-failed' });
+    await credits.refundCredits('spender', 1, { generationId: 'gen-failed' });
+
+    const history = await billing.getBillingHistory('spender');
+
+    assert.deepStrictEqual(
+      history.spend.map(item => [item.generationId, item.credits, item.refunded]),
+      [['gen-failed', 1, true], ['gen-kept', 1, false]]
+    );
+    assert.strictEqual(history.creditsSpent, 1);
+  });
+}
+
+async function runReceiptTests() {
+  console.log('\nReceipts:');
+
+  await test('the user who checked out gets the receipt', async () => {
+    reset();
+    stripeService.getPurchase = async () => ({
+      purchase: stripePurchase(), customerId: 'cus_other', userId: 'buyer', email: 'buyer@example.com'
+    });
+
+    const receipt = await billing.getReceipt('buyer', 'cs_test_credits');
+
+    assert.strictEqual(receipt.id, 'cs_test_credits');
+    assert.strictEqual(receipt.billedTo, 'buyer@example.com');
+  });
+
+  await test('an invoice belongs to the user paying as its customer', async () => {
+    reset();
+    stripeService.getUser('subscriber').stripe_customer_id = 'cus_subscriber';
+    stripeService.getPurchase = async () => ({
+      purchase: stripePurchase({ id: 'in_test_2', source: 'invoice' }), customerId: 'cus_subscriber', userId: null, email: null
+    });
+
+    assert.strictEqual((await billing.getReceipt('subscriber', 'in_test_2')).id, 'in_test_2');
+    assert.strictEqual(await billing.getReceipt('someone-else', 'in_test_2'), null);
+  });
+
+  await test('refuses malformed and unknown purchase IDs', async () => {
+    reset();
+    let lookups = 0;
+    stripeService.getPurchase = async () => {
+      lookups++;
+      const error = new Error('No such checkout session');
+      error.code = 'resource_missing';
+      throw error;
+    };
+
+    assert.strictEqual(await billing.getReceipt('buyer', '../cs_test'), null);
+    assert.strictEqual(await billing.getReceipt('buyer', 'pi_test_123'), null);
+    assert.strictEqual(lookups, 0);
+    assert.strictEqual(await billing.getReceipt('buyer', 'cs_test_missing'), null);
+    assert.strictEqual(lookups, 1);
+  });
+
+  await test('the HTML receipt has the purchase lines, escaped', async () => {
+    const html = renderReceiptHtml({ ...stripePurchase(), description: '<b>5 credits</b>', billedTo: 'buyer@example.com' });
+
+    assert.ok(html.includes('&lt;b&gt;5 credits&lt;/b&gt;'));
+    assert.ok(html.includes('$4.99'));
+    assert.ok(html.includes('March 1, 2026'));
+    assert.ok(html.includes('buyer@example.com'));
+  });
+
+  await test('the PDF receipt is a well-formed one-page PDF', async () => {
+    const pdf = renderReceiptPdf({ ...stripePurchase(), description: 'Gift pack (5 credits)' }).toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.ok(pdf.includes('(Gift pack \\(5 credits\\)) Tj'));
+    assert.ok(pdf.includes('($4.99) Tj'));
+
+    // Every cross-reference entry points at its object
+    const xrefOffset = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+    assert.ok(pdf.startsWith('xref\n', xrefOffset));
+    const entries = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm);
+    assert.strictEqual(entries.length, 6);
+    entries.forEach((entry, index) => {
+      assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, parseInt(entry, 10)), `object ${index + 1} offset`);
+    });
+  });
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Billing History Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runHistoryTests();
+  await runReceiptTests();
+
+  reset();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
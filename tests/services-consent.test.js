@@ -0,0 +1,388 @@
+/**
+ * Unit Tests for Self-Consent Verification
+ *
+ * Tests for services/consent.js, lib/faceEmbedding.js and the gate in /api/generate
+ * Run with: node tests/services-consent.test.js
+ *
+ * Tests cover:
+ * - Matching faces pass, a different person is refused
+ * - The same picture posted as photo and selfie is refused
+ * - Capture nonces: missing, expired, forged, issued to someone else or to
+ *   another capture session, or used before
+ * - Selfies with no face or several faces, photos with no face
+ * - SELF_CONSENT_REQUIRED switches the gate on
+ * - /api/generate (Vercel handler, fake provider) refuses without a matching,
+ *   freshly captured selfie and generates with one
+ *
+ * Uses real gallery photos - face detection runs locally on the WASM backend.
+ * There's only one photo of the test face in the repo, so a tilted copy stands
+ * in for a second capture.
+ */
+
+// Must be set before the api/ handler (and providers) are loaded
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_SCENARIO = '';
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const consent = require('../services/consent');
+const { detectFaces, faceDistance, MAX_FACE_DISTANCE } = require('../lib/faceEmbedding');
+const { hammingDistance } = require('../lib/imageHash');
+const { listTemplates } = require('../services/templates');
+const { ERROR_CODES } = require('../lib/errors');
+
+const PHOTOS_DIR = path.join(__dirname, '..', 'public', 'epstein-photos');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Who the capture nonces in the unit tests are issued to, and in which capture session
+const OWNER = crypto.randomUUID();
+const SESSION = consent.createCaptureSession();
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * A fresh capture nonce for OWNER in SESSION
+ */
+function capture() {
+  return { nonce: consent.issueCaptureNonce(OWNER, SESSION).nonce, owner: OWNER, session: SESSION };
+}
+
+/**
+ * Test images
+ * - photo: a padded, re-encoded single-face photo
+ * - selfie: the same photo tilted (a second capture of the same face)
+ * - copy: the photo resized and re-encoded (the same picture)
+ * - stranger: one face cropped from another photo
+ * - group: a photo with two faces
+ * - noFace: a gradient
+ */
+async function loadImages() {
+  const portrait = fs.readFileSync(path.join(PHOTOS_DIR, 'epstein_JAIL.webp'));
+  const airplane = fs.readFileSync(path.join(PHOTOS_DIR, 'epstein_chomsky_airplane.webp'));
+  const { width, height } = await sharp(airplane).metadata();
+
+  return {
+    selfie: await sharp(portrait).rotate(10, { background: '#808080' }).jpeg({ quality: 70 }).toBuffer(),
+    photo: await sharp(portrait)
+      .extend({ top: 100, bottom: 100, left: 100, right: 100, background: '#808080' })
+      .jpeg({ quality: 60 })
+      .toBuffer(),
+    copy: await sharp(portrait).resize(480).jpeg({ quality: 80 }).toBuffer(),
+    stranger: await sharp(airplane)
+      .extract({ left: Math.round(width * 0.14), top: Math.round(height * 0.1), width: Math.round(width * 0.3), height: Math.round(height * 0.6) })
+      .png()
+      .toBuffer(),
+    group: fs.readFileSync(path.join(PHOTOS_DIR, 'epstein_bill_silk.jpg')),
+    noFace: fs.readFileSync(path.join(FIXTURES_DIR, 'gradient-256.png')),
+  };
+}
+
+// ============================================
+// FACE EMBEDDINGS
+// ============================================
+
+async function runFaceEmbeddingTests(images) {
+  console.log('\n=== Face Embeddings ===\n');
+
+  await test('finds one face in a portrait with a 128-d descriptor', async () => {
+    const faces = await detectFaces(images.selfie);
+    assert.strictEqual(faces.length, 1);
+    assert.strictEqual(faces[0].descriptor.length, 128);
+    assert.ok(faces[0].box.width > 0 && faces[0].box.width <= 1);
+  });
+
+  await test('finds every face in a group photo, largest first', async () => {
+    const faces = await detectFaces(images.group);
+    assert.strictEqual(faces.length, 2);
+    assert.ok(faces[0].box.width * faces[0].box.height >= faces[1].box.width * faces[1].box.height);
+  });
+
+  await test('finds no face in a gradient', async () => {
+    assert.deepStrictEqual(await detectFaces(images.noFace), []);
+  });
+
+  await test('same face is close, different faces are far apart', async () => {
+    const [selfie] = await detectFaces(images.selfie);
+    const [photo] = await detectFaces(images.photo);
+    const [stranger] = await detectFaces(images.stranger);
+    assert.ok(faceDistance(selfie.descriptor, photo.descriptor) < MAX_FACE_DISTANCE);
+    assert.ok(faceDistance(selfie.descriptor, stranger.descriptor) > MAX_FACE_DISTANCE);
+  });
+
+  await test('copies of one picture share a face crop hash, another capture doesn\'t', async () => {
+    const [photo] = await detectFaces(images.photo);
+    const [copy] = await detectFaces(images.copy);
+    const [selfie] = await detectFaces(images.selfie);
+    assert.ok(hammingDistance(photo.cropHash, copy.cropHash) <= consent.MAX_SAME_IMAGE_DISTANCE);
+    assert.ok(hammingDistance(photo.cropHash, selfie.cropHash) > consent.MAX_SAME_IMAGE_DISTANCE);
+  });
+}
+
+// ============================================
+// CONSENT CHECK
+// ============================================
+
+async function runConsentTests(images) {
+  console.log('\n=== Consent Check ===\n');
+
+  await test('photo matching the selfie is consented', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.selfie, capture());
+    assert.strictEqual(result.consented, true);
+    assert.ok(result.distance < MAX_FACE_DISTANCE);
+  });
+
+  await test('photo of someone else is refused', async () => {
+    const result = await consent.checkSelfConsent(images.stranger, images.selfie, capture());
+    assert.strictEqual(result.consented, false);
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.FACE_MISMATCH);
+    assert.ok(result.message);
+  });
+
+  await test('the same picture as photo and selfie is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.photo, capture());
+    assert.strictEqual(result.consented, false);
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.SAME_IMAGE);
+  });
+
+  await test('a re-encoded copy of the photo as selfie is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.copy, capture());
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.SAME_IMAGE);
+  });
+
+  await test('selfie without a capture nonce is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.selfie, { owner: OWNER, session: SESSION });
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+  });
+
+  await test('capture nonce issued to someone else is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.selfie, { ...capture(), owner: crypto.randomUUID() });
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+  });
+
+  await test('capture nonce from another capture session is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.selfie, { ...capture(), session: consent.createCaptureSession() });
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+    assert.strictEqual(consent.isValidCaptureNonce(capture().nonce, OWNER, null), false);
+  });
+
+  await test('a capture nonce is used once - reusing it is refused', async () => {
+    const reused = capture();
+    assert.strictEqual((await consent.checkSelfConsent(images.photo, images.selfie, reused)).consented, true);
+
+    const replay = await consent.checkSelfConsent(images.photo, images.selfie, reused);
+    assert.strictEqual(replay.consented, false);
+    assert.strictEqual(replay.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+  });
+
+  await test('expired or forged capture nonces are refused', () => {
+    const { nonce } = consent.issueCaptureNonce(OWNER, SESSION, Date.now() - consent.CAPTURE_NONCE_TTL_MS - 1000);
+    assert.strictEqual(consent.isValidCaptureNonce(nonce, OWNER, SESSION), false);
+
+    const [, random, signature] = capture().nonce.split('.');
+    assert.strictEqual(consent.isValidCaptureNonce(`${Date.now() + 60000}.${random}.${signature}`, OWNER, SESSION), false);
+    assert.strictEqual(consent.isValidCaptureNonce('not-a-nonce', OWNER, SESSION), false);
+    assert.strictEqual(consent.isValidCaptureNonce(capture().nonce, OWNER, SESSION), true);
+  });
+
+  await test('missing selfie is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, null, capture());
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.SELFIE_REQUIRED);
+  });
+
+  await test('selfie without a face is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.noFace, capture());
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.NO_FACE_IN_SELFIE);
+  });
+
+  await test('selfie with several faces is refused', async () => {
+    const result = await consent.checkSelfConsent(images.photo, images.group, capture());
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.MULTIPLE_FACES_IN_SELFIE);
+  });
+
+  await test('photo without a face is refused', async () => {
+    const result = await consent.checkSelfConsent(images.noFace, images.selfie, capture());
+    assert.strictEqual(result.reason, consent.CONSENT_FAILURE.NO_FACE_IN_PHOTO);
+  });
+
+  await test('SELF_CONSENT_REQUIRED switches the gate on', () => {
+    const original = process.env.SELF_CONSENT_REQUIRED;
+    delete process.env.SELF_CONSENT_REQUIRED;
+    assert.strictEqual(consent.isSelfConsentRequired(), false);
+    process.env.SELF_CONSENT_REQUIRED = 'true';
+    assert.strictEqual(consent.isSelfConsentRequired(), true);
+    process.env.SELF_CONSENT_REQUIRED = original === undefined ? '' : original;
+  });
+}
+
+// ============================================
+// GENERATE ROUTE
+// ============================================
+
+async function runGenerateRouteTests(images) {
+  console.log('\n=== /api/generate Gate ===\n');
+
+  process.env.SELF_CONSENT_REQUIRED = 'true';
+  const generateHandler = require('../api/generate');
+  const nonceHandler = require('../api/selfie-nonce');
+  const server = http.createServer((req, res) => {
+    (req.url.startsWith('/api/selfie-nonce') ? nonceHandler : generateHandler)(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const [galleryPhoto] = listTemplates();
+
+  // The nonce is bound to the anon_id and capture_session cookies it sets
+  const cookies = {};
+  const cookieHeader = () => Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+
+  async function getNonce() {
+    const response = await fetch(`${baseUrl}/api/selfie-nonce`, { method: 'POST', headers: { Cookie: cookieHeader() } });
+    for (const setCookie of response.headers.getSetCookie()) {
+      const [, name, value] = setCookie.match(/^([^=]+)=([^;]*)/);
+      cookies[name] = value;
+    }
+    return (await response.json()).nonce;
+  }
+
+  async function generate(userPhoto, selfie, selfieNonce = null) {
+    const formData = new FormData();
+    formData.append('userPhoto', new Blob([userPhoto], { type: 'image/jpeg' }), 'photo.jpg');
+    if (selfie) {
+      formData.append('selfie', new Blob([selfie], { type: 'image/jpeg' }), 'selfie.jpg');
+    }
+    if (selfieNonce) {
+      formData.append('selfieNonce', selfieNonce);
+    }
+    formData.append('epsteinPhoto', galleryPhoto.path);
+    const response = await fetch(`${baseUrl}/api/generate`, { method: 'POST', body: formData, headers: { Cookie: cookieHeader() } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  try {
+    await test('generation without a selfie is refused with SELF_CONSENT_FAILED', async () => {
+      const { status, body } = await generate(images.photo, null);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.code, ERROR_CODES.SELF_CONSENT_FAILED);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.SELFIE_REQUIRED);
+    });
+
+    await test('generation from a stranger\'s photo is refused with 403', async () => {
+      const { status, body } = await generate(images.stranger, images.selfie, await getNonce());
+      assert.strictEqual(status, 403);
+      assert.strictEqual(body.code, ERROR_CODES.SELF_CONSENT_FAILED);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.FACE_MISMATCH);
+    });
+
+    await test('selfie without a capture nonce is refused', async () => {
+      const { status, body } = await generate(images.photo, images.selfie);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+    });
+
+    await test('the same image as photo and selfie is refused with 403', async () => {
+      const { status, body } = await generate(images.photo, images.photo, await getNonce());
+      assert.strictEqual(status, 403);
+      assert.strictEqual(body.code, ERROR_CODES.SELF_CONSENT_FAILED);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.SAME_IMAGE);
+    });
+
+    await test('selfie with disguised content is rejected as INVALID_FORMAT', async () => {
+      const { status, body } = await generate(images.photo, Buffer.from('not an image'));
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.code, ERROR_CODES.INVALID_FORMAT);
+    });
+
+    await test('generation with a matching selfie succeeds', async () => {
+      const { status, body } = await generate(images.photo, images.selfie, await getNonce());
+      assert.strictEqual(status, 200, JSON.stringify(body));
+      assert.strictEqual(body.success, true);
+      assert.ok(body.imageUrl.startsWith('data:image/png;base64,'));
+    });
+
+    await test('a replayed capture nonce is refused', async () => {
+      const nonce = await getNonce();
+      assert.strictEqual((await generate(images.photo, images.selfie, nonce)).status, 200);
+
+      const { status, body } = await generate(images.photo, images.selfie, nonce);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+    });
+
+    await test('a nonce only works in the capture session it was issued to', async () => {
+      const earlier = await getNonce();
+      await getNonce();
+
+      const { status, body } = await generate(images.photo, images.selfie, earlier);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.details.reason, consent.CONSENT_FAILURE.INVALID_CAPTURE);
+    });
+  } finally {
+    server.close();
+    delete process.env.SELF_CONSENT_REQUIRED;
+  }
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Self-Consent Verification Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  const images = await loadImages();
+
+  await runFaceEmbeddingTests(images);
+  await runConsentTests(images);
+  await runGenerateRouteTests(images);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
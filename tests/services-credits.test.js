@@ -0,0 +1,271 @@
+/**
+ * Unit Tests for the Credit Ledger
+ *
+ * Tests for services/credits.js and the code that writes ledger entries
+ * (usage charging, Stripe checkout grants)
+ * Run with: node tests/services-credits.test.js
+ *
+ * Tests cover:
+ * - Grants, spends, refunds, expiries and adjustments keep a running balance
+ * - One grant per checkout session, one spend/refund per generation
+ * - The balance never goes negative
+ * - Stripe checkout webhooks grant through the ledger (retries add nothing)
+ * - The rate limit middleware charges credits to the ledger, linked to the
+ *   generation, instead of writing credit_balance
+ *
+ * Uses the in-memory store (Supabase not configured).
+ */
+
+const assert = require('assert');
+
+const credits = require('../services/credits');
+const usage = require('../services/usage');
+const stripeService = require('../services/stripe');
+const { createRateLimitMiddleware } = require('../middleware/rateLimit');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+// ============================================
+// LEDGER
+// ============================================
+
+async function runLedgerTests() {
+  console.log('\n=== Ledger Entries ===\n');
+
+  await test('uses the in-memory store without Supabase', () => {
+    assert.strictEqual(credits.isPersistent(), false);
+  });
+
+  await test('grant adds credits and records the session', async () => {
+    credits.clearAll();
+    const result = await credits.grantCredits('user-a', 3, { stripeSessionId: 'cs_1' });
+    assert.strictEqual(result.applied, true);
+    assert.strictEqual(result.balance, 3);
+    assert.ok(result.entryId);
+
+    const [entry] = await credits.getLedger('user-a');
+    assert.strictEqual(entry.entryType, credits.ENTRY_TYPE.GRANT);
+    assert.strictEqual(entry.amount, 3);
+    assert.strictEqual(entry.balanceAfter, 3);
+    assert.strictEqual(entry.stripeSessionId, 'cs_1');
+    assert.strictEqual(entry.createdBy, 'stripe');
+  });
+
+  await test('the same checkout session is only granted once', async () => {
+    const result = await credits.grantCredits('user-a', 3, { stripeSessionId: 'cs_1' });
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.reason, credits.REFUSAL.DUPLICATE);
+    assert.strictEqual(result.balance, 3);
+    assert.strictEqual(await credits.getBalance('user-a'), 3);
+  });
+
+  await test('spend deducts credits and links the generation', async () => {
+    const result = await credits.spendCredits('user-a', 2, { generationId: 'gen-1' });
+    assert.strictEqual(result.applied, true);
+    assert.strictEqual(result.balance, 1);
+
+    const [entry] = await credits.getLedger('user-a');
+    assert.strictEqual(entry.amount, -2);
+    assert.strictEqual(entry.generationId, 'gen-1');
+  });
+
+  await test('a generation is only charged once', async () => {
+    const result = await credits.spendCredits('user-a', 1, { generationId: 'gen-1' });
+    assert.strictEqual(result.reason, credits.REFUSAL.DUPLICATE);
+    assert.strictEqual(await credits.getBalance('user-a'), 1);
+  });
+
+  await test('spending more than the balance is refused', async () => {
+    const result = await credits.spendCredits('user-a', 2, { generationId: 'gen-2' });
+    assert.strictEqual(result.applied, false);
+    assert.strictEqual(result.reason, credits.REFUSAL.INSUFFICIENT);
+    assert.strictEqual(await credits.getBalance('user-a'), 1);
+  });
+
+  await test('refund returns a generation\'s credits once', async () => {
+    assert.strictEqual((await credits.refundCredits('user-a', 2, { generationId: 'gen-1' })).balance, 3);
+    assert.strictEqual((await credits.refundCredits('user-a', 2, { generationId: 'gen-1' })).reason, credits.REFUSAL.DUPLICATE);
+  });
+
+  await test('expiry removes credits', async () => {
+    const result = await credits.expireCredits('user-a', 1, { note: 'Promo credits lapsed' });
+    assert.strictEqual(result.balance, 2);
+  });
+
+  await test('adjustments go either way but never below zero', async () => {
+    assert.strictEqual((await credits.adjustCredits('user-a', 5, { note: 'Goodwill' })).balance, 7);
+    assert.strictEqual((await credits.adjustCredits('user-a', -8, { note: 'Too much' })).reason, credits.REFUSAL.INSUFFICIENT);
+    assert.strictEqual((await credits.adjustCredits('user-a', -7, { note: 'Chargeback' })).balance, 0);
+  });
+
+  await test('ledger explains the balance, newest first', async () => {
+    const entries = await credits.getLedger('user-a');
+    assert.deepStrictEqual(
+      entries.map(e => [e.entryType, e.amount, e.balanceAfter]),
+      [
+        ['adjustment', -7, 0],
+        ['adjustment', 5, 7],
+        ['expiry', -1, 2],
+        ['refund', 2, 3],
+        ['spend', -2, 1],
+        ['grant', 3, 3],
+      ]
+    );
+    assert.strictEqual(entries.reduce((sum, e) => sum + e.amount, 0), await credits.getBalance('user-a'));
+    assert.strictEqual((await credits.getLedger('user-a', { limit: 2 })).length, 2);
+  });
+
+  await test('users have separate ledgers', async () => {
+    assert.strictEqual(await credits.getBalance('user-b'), 0);
+    assert.deepStrictEqual(await credits.getLedger('user-b'), []);
+  });
+
+  await test('rejects invalid amounts, types and users', async () => {
+    await assert.rejects(() => credits.grantCredits('user-a', 0), /positive integer/);
+    await assert.rejects(() => credits.spendCredits('user-a', -2), /positive integer/);
+    await assert.rejects(() => credits.grantCredits('user-a', 1.5), /positive integer/);
+    await assert.rejects(() => credits.adjustCredits('user-a', 0), /non-zero integer/);
+    await assert.rejects(() => credits.recordEntry('user-a', 'bonus', 1), /Unknown credit ledger entry type/);
+    await assert.rejects(() => credits.grantCredits(null, 1), /userId is required/);
+  });
+}
+
+// ============================================
+// WRITERS
+// ============================================
+
+async function runWriterTests() {
+  console.log('\n=== Ledger Writers ===\n');
+
+  await test('usage.chargeCredits spends through the ledger', async () => {
+    credits.clearAll();
+    await credits.grantCredits('user-c', 3, { stripeSessionId: 'cs_c' });
+    const charge = await usage.chargeCredits('user-c', 2, 'gen-c');
+    assert.deepStrictEqual(charge, { success: true, newCredits: 1, reason: null });
+    assert.strictEqual((await usage.chargeCredits('user-c', 2, 'gen-d')).reason, credits.REFUSAL.INSUFFICIENT);
+  });
+
+  await test('credit checkout webhook grants once per session', async () => {
+    const event = {
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_webhook',
+          mode: 'payment',
+          customer: 'cus_1',
+          metadata: { userId: 'user-d', type: 'credit', quantity: '4' }
+        }
+      }
+    };
+
+    const first = await stripeService.handleWebhook(event);
+    assert.strictEqual(first.creditsAdded, 4);
+    const retry = await stripeService.handleWebhook(event);
+    assert.strictEqual(retry.creditsAdded, 0);
+
+    assert.strictEqual(await credits.getBalance('user-d'), 4);
+    assert.strictEqual(stripeService.getUser('user-d').credit_balance, 4);
+    const [entry] = await credits.getLedger('user-d');
+    assert.strictEqual(entry.stripeSessionId, 'cs_webhook');
+  });
+
+  await test('watermark removal checkout grants 2 credits through the ledger', async () => {
+    const result = await stripeService.handleWebhook({
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_watermark',
+          mode: 'payment',
+          customer: 'cus_2',
+          metadata: { userId: 'user-e', type: 'watermark_removal' }
+        }
+      }
+    });
+    assert.strictEqual(result.creditsAdded, 2);
+    assert.strictEqual(await credits.getBalance('user-e'), 2);
+  });
+
+  await test('rate limit middleware charges credits to the ledger per generation', async () => {
+    credits.clearAll();
+    await credits.grantCredits('user-f', 3, { stripeSessionId: 'cs_f' });
+
+    // Free user with the quick quota used up - pays with credits
+    const profile = { id: 'user-f', tier: 'free', quick_count: 5, premium_count: 0, generation_count: 5, credit_balance: 3 };
+    const profileUpdates = [];
+    const middleware = createRateLimitMiddleware({
+      getProfile: async () => profile,
+      updateProfile: async (userId, updates) => profileUpdates.push(updates)
+    });
+
+    const req = { user: { id: 'user-f' }, body: { modelType: 'quick' }, headers: {}, ip: '203.0.113.9' };
+    let sent = null;
+    const res = { json: data => { sent = data; return data; } };
+    await middleware(req, res, () => {});
+
+    await res.json({ success: true, generationId: 'gen-f' });
+
+    assert.strictEqual(sent.usage.tier, 'free');
+    assert.strictEqual(await credits.getBalance('user-f'), 2);
+    const [entry] = await credits.getLedger('user-f');
+    assert.strictEqual(entry.entryType, credits.ENTRY_TYPE.SPEND);
+    assert.strictEqual(entry.generationId, 'gen-f');
+    assert.strictEqual(profileUpdates.length, 1);
+    assert.ok(!('credit_balance' in profileUpdates[0]), 'credit_balance is only written by the ledger');
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Credit Ledger Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runLedgerTests();
+  await runWriterTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,311 @@
+/**
+ * Unit Tests for Dunning
+ *
+ * Tests for services/dunning.js and the code that puts failed subscription
+ * renewals through the grace period
+ * Run with: node tests/services-dunning.test.js
+ *
+ * Tests cover:
+ * - Grace period: started once per failure, emailed once, ended by a payment
+ * - Tiers during and after the grace period (watermarked while past due)
+ * - The expiry sweep downgrades (and emails) each account once
+ * - stripeService.processWebhookEvent for invoice and subscription events
+ *
+ * Uses the in-memory stores (Supabase not configured).
+ */
+
+// Stripe price of the Pro plan (read from the environment by the catalog)
+process.env.STRIPE_PRICE_PRO = process.env.STRIPE_PRICE_PRO || 'price_dunning_pro';
+
+const assert = require('assert');
+
+const mailer = require('../lib/mailer');
+const dunning = require('../services/dunning');
+const emailService = require('../services/email');
+const pricing = require('../services/pricing');
+const { getUserTier, checkUsage } = require('../services/usage');
+const stripeService = require('../services/stripe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Route mail into an array for the rest of the test
+ * @returns {object[]} Sent messages
+ */
+function captureMail() {
+  const sent = [];
+  mailer.setTransport({ name: 'memory', async send(message) { sent.push(message); } });
+  emailService.clearAll();
+  return sent;
+}
+
+/**
+ * Profile of a Pro subscriber with the given billing state
+ */
+function proProfile(overrides = {}) {
+  return {
+    id: 'user-profile',
+    tier: 'pro',
+    stripe_price_id: pricing.getPlan('pro_monthly').priceId,
+    subscription_status: 'active',
+    grace_period_ends_at: null,
+    ...overrides
+  };
+}
+
+async function runGracePeriodTests() {
+  console.log('\nGrace period:');
+
+  await test('a failed payment starts the grace period and emails once', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+    const now = new Date('2026-03-01T00:00:00Z');
+
+    const first = await dunning.startGracePeriod('user-1', { email: 'one@example.com', now });
+    const retry = await dunning.startGracePeriod('user-1', { email: 'one@example.com', now: new Date(now.getTime() + DAY_MS) });
+
+    assert.strictEqual(first.started, true);
+    assert.strictEqual(first.gracePeriodEndsAt, new Date(now.getTime() + dunning.GRACE_PERIOD_DAYS * DAY_MS).toISOString());
+    assert.strictEqual(retry.started, false);
+    assert.strictEqual(retry.gracePeriodEndsAt, first.gracePeriodEndsAt);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'payment_failed');
+    assert.strictEqual(sent[0].to, 'one@example.com');
+  });
+
+  await test('isInGracePeriod only while past due and before the end', async () => {
+    const endsAt = '2026-03-08T00:00:00Z';
+    const profile = proProfile({ subscription_status: 'past_due', grace_period_ends_at: endsAt });
+
+    assert.strictEqual(dunning.isInGracePeriod(profile, new Date('2026-03-07T23:59:00Z')), true);
+    assert.strictEqual(dunning.isInGracePeriod(profile, new Date(endsAt)), false);
+    assert.strictEqual(dunning.isInGracePeriod({ ...profile, subscription_status: 'active' }, new Date('2026-03-02T00:00:00Z')), false);
+    assert.strictEqual(dunning.isInGracePeriod({ ...profile, grace_period_ends_at: null }), false);
+    assert.strictEqual(dunning.isInGracePeriod(null), false);
+  });
+
+  await test('past-due subscribers keep their plan, watermarked, during the grace period', async () => {
+    const endsAt = new Date(Date.now() + DAY_MS).toISOString();
+    const profile = proProfile({ subscription_status: 'past_due', grace_period_ends_at: endsAt });
+    const usage = checkUsage('user-profile', profile, null, 'quick');
+
+    assert.strictEqual(getUserTier('user-profile', profile), 'pro');
+    assert.strictEqual(usage.tier, 'pro');
+    assert.strictEqual(usage.watermarkFree, false);
+    assert.strictEqual(usage.gracePeriodEndsAt, endsAt);
+  });
+
+  await test('past-due subscribers fall back to free when the grace period ends', async () => {
+    const expired = proProfile({ subscription_status: 'past_due', grace_period_ends_at: new Date(Date.now() - 1000).toISOString() });
+    const noGrace = proProfile({ subscription_status: 'past_due' });
+
+    assert.strictEqual(getUserTier('user-profile', expired), 'free');
+    assert.strictEqual(getUserTier('user-profile', noGrace), 'free');
+    assert.strictEqual(checkUsage('user-profile', expired, null, 'quick').gracePeriodEndsAt, null);
+  });
+
+  await test('active subscribers are watermark-free', async () => {
+    const usage = checkUsage('user-profile', proProfile(), null, 'quick');
+
+    assert.strictEqual(usage.tier, 'pro');
+    assert.strictEqual(usage.watermarkFree, true);
+    assert.strictEqual(usage.gracePeriodEndsAt, null);
+  });
+
+  await test('the sweep downgrades expired grace periods once', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+    const start = new Date('2026-03-01T00:00:00Z');
+    await dunning.startGracePeriod('user-2', { email: 'two@example.com', now: start });
+    await dunning.startGracePeriod('user-3', { email: 'three@example.com', now: new Date(start.getTime() + 3 * DAY_MS) });
+
+    const early = await dunning.expireGracePeriods(new Date(start.getTime() + DAY_MS));
+    const due = await dunning.expireGracePeriods(new Date(start.getTime() + dunning.GRACE_PERIOD_DAYS * DAY_MS));
+    const again = await dunning.expireGracePeriods(new Date(start.getTime() + dunning.GRACE_PERIOD_DAYS * DAY_MS + 1));
+
+    assert.strictEqual(early.downgraded, 0);
+    assert.deepStrictEqual(due.userIds, ['user-2']);
+    assert.strictEqual(again.downgraded, 0);
+    assert.deepStrictEqual(sent.map(m => m.template), ['payment_failed', 'payment_failed', 'downgraded']);
+    assert.strictEqual(sent[2].to, 'two@example.com');
+  });
+
+  await test('a successful payment ends the grace period once', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+    await dunning.startGracePeriod('user-4', { email: 'four@example.com' });
+
+    const first = await dunning.endGracePeriod('user-4', { tier: 'pro' });
+    const second = await dunning.endGracePeriod('user-4', { tier: 'pro' });
+    const sweep = await dunning.expireGracePeriods(new Date(Date.now() + 365 * DAY_MS));
+
+    assert.strictEqual(first.ended, true);
+    assert.strictEqual(second.ended, false);
+    assert.strictEqual(sweep.downgraded, 0);
+    assert.deepStrictEqual(sent.map(m => m.template), ['payment_failed', 'payment_recovered']);
+  });
+
+  await test('ending a grace period that never started is a no-op', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+
+    assert.strictEqual((await dunning.endGracePeriod('user-never')).ended, false);
+    assert.strictEqual(sent.length, 0);
+  });
+}
+
+async function runWebhookTests() {
+  console.log('\nWebhook events:');
+
+  /**
+   * Invoice event for a subscription (userId in the subscription's metadata)
+   */
+  function invoiceEvent(type, userId, overrides = {}) {
+    return {
+      id: `evt_${type}_${userId}`,
+      type,
+      data: {
+        object: {
+          id: `in_${userId}`,
+          customer: `cus_${userId}`,
+          customer_email: `${userId}@example.com`,
+          subscription: `sub_${userId}`,
+          billing_reason: 'subscription_cycle',
+          subscription_details: { metadata: { userId } },
+          lines: { data: [{ price: { id: pricing.getPlan('pro_monthly').priceId } }] },
+          ...overrides
+        }
+      }
+    };
+  }
+
+  await test('invoice.payment_failed on a renewal starts the grace period', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+
+    const result = await stripeService.processWebhookEvent(invoiceEvent('invoice.payment_failed', 'user-5'));
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.userId, 'user-5');
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'payment_failed');
+    assert.strictEqual(sent[0].to, 'user-5@example.com');
+  });
+
+  await test('invoice.payment_failed on a first payment does not start one', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+
+    const result = await stripeService.processWebhookEvent(
+      invoiceEvent('invoice.payment_failed', 'user-6', { billing_reason: 'subscription_create' })
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual((await dunning.expireGracePeriods(new Date(Date.now() + 365 * DAY_MS))).downgraded, 0);
+  });
+
+  await test('invoice.paid ends the grace period', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+
+    await stripeService.processWebhookEvent(invoiceEvent('invoice.payment_failed', 'user-7'));
+    await stripeService.processWebhookEvent(invoiceEvent('invoice.paid', 'user-7'));
+
+    assert.deepStrictEqual(sent.map(m => m.template), ['payment_failed', 'payment_recovered']);
+  });
+
+  await test('customer.subscription.updated to past_due keeps the tier and starts the grace period', async () => {
+    dunning.clearAll();
+    const sent = captureMail();
+
+    const result = await stripeService.processWebhookEvent({
+      id: 'evt_sub_past_due',
+      type: 'customer.subscription.updated',
+      data: {
+        object: {
+          id: 'sub_user-8',
+          customer: 'cus_user-8',
+          status: 'past_due',
+          metadata: { userId: 'user-8' },
+          items: { data: [{ price: { id: pricing.getPlan('pro_monthly').priceId } }] }
+        }
+      }
+    });
+
+    assert.strictEqual(result.tier, null);
+    assert.strictEqual(result.subscription_status, 'past_due');
+    // No email address known for this user - the grace period still starts
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual((await dunning.startGracePeriod('user-8')).started, false);
+  });
+
+  await test('customer.subscription.deleted clears the grace period', async () => {
+    const result = await stripeService.processWebhookEvent({
+      id: 'evt_sub_deleted',
+      type: 'customer.subscription.deleted',
+      data: { object: { id: 'sub_user-9', customer: 'cus_user-9', status: 'canceled', metadata: { userId: 'user-9' } } }
+    });
+
+    assert.strictEqual(result.tier, 'free');
+    assert.strictEqual(result.grace_period_ends_at, null);
+  });
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Dunning Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await pricing.ready();
+
+  await runGracePeriodTests();
+  await runWebhookTests();
+
+  mailer.setTransport(null);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,458 @@
+/**
+ * Unit Tests for Transactional Email
+ *
+ * Tests for lib/mailer.js, lib/emailTemplates.js, services/email.js and the
+ * Stripe code that sends receipts and cancellation notices
+ * Run with: node tests/services-email.test.js
+ *
+ * Tests cover:
+ * - Mailer transports: console, Maildir, SMTP (nodemailer) and custom ones
+ * - Templates: every template renders text and HTML; HTML is escaped
+ * - Outbox: delivered once per dedupe key, failures retried with backoff,
+ *   dead-lettered after MAX_ATTEMPTS, admin retry
+ * - stripeService.processWebhookEvent: receipts for every checkout type,
+ *   cancellation notices once per cancellation
+ *
+ * Uses the in-memory stores (Supabase not configured).
+ */
+
+// Retry failed emails right away
+process.env.EMAIL_RETRY_BASE_DELAY_MS = '1';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mailer = require('../lib/mailer');
+const { renderTemplate, TEMPLATE_NAMES, formatAmount } = require('../lib/emailTemplates');
+const emailService = require('../services/email');
+const pricing = require('../services/pricing');
+const credits = require('../services/credits');
+const stripeService = require('../services/stripe');
+
+const { STATUS } = emailService;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Route mail into an array (and start from an empty outbox)
+ * @returns {object[]} Sent messages
+ */
+function captureMail() {
+  const sent = [];
+  mailer.setTransport({ name: 'memory', async send(message) { sent.push(message); } });
+  emailService.clearAll();
+  return sent;
+}
+
+/**
+ * Transport that fails the first `failures` sends
+ */
+function flakyTransport(failures) {
+  const sent = [];
+  let calls = 0;
+  mailer.setTransport({
+    name: 'flaky',
+    async send(message) {
+      calls++;
+      if (calls <= failures) {
+        throw new Error('SMTP down');
+      }
+      sent.push(message);
+    }
+  });
+  emailService.clearAll();
+  return sent;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runMailerTests() {
+  console.log('\nMailer:');
+
+  await test('uses the console transport by default', async () => {
+    mailer.setTransport(null);
+    assert.strictEqual(mailer.getTransport().name, 'console');
+  });
+
+  await test('sends through a custom transport', async () => {
+    const sent = captureMail();
+    const result = await mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hello', html: '<p>Hello</p>', template: 'test' });
+
+    assert.strictEqual(result.transport, 'memory');
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].id, result.id);
+    assert.strictEqual(sent[0].to, 'a@example.com');
+    assert.strictEqual(sent[0].html, '<p>Hello</p>');
+    assert.ok(sent[0].from.includes('@'));
+  });
+
+  await test('Maildir transport delivers one file per message into new/', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-test-'));
+    try {
+      mailer.setTransport(mailer.createMaildirTransport(dir));
+      await mailer.sendMail({ to: 'b@example.com', subject: 'Receipt', text: 'Thanks', html: '<p>Thanks</p>' });
+
+      const files = fs.readdirSync(path.join(dir, 'new'));
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(fs.readdirSync(path.join(dir, 'tmp')).length, 0);
+      const eml = fs.readFileSync(path.join(dir, 'new', files[0]), 'utf8');
+      assert.ok(eml.includes('To: b@example.com'));
+      assert.ok(eml.includes('Subject: Receipt'));
+      assert.ok(eml.includes('multipart/alternative'));
+      assert.ok(eml.includes('Content-Type: text/html'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('SMTP transport hands messages to nodemailer', async () => {
+    mailer.setTransport(mailer.createSmtpTransport({ jsonTransport: true }));
+    const result = await mailer.sendMail({ to: 'c@example.com', subject: 'x', text: 'y' });
+
+    assert.strictEqual(result.transport, 'smtp');
+  });
+
+  await test('SMTP transport needs a server', async () => {
+    const saved = { url: process.env.SMTP_URL, host: process.env.SMTP_HOST };
+    delete process.env.SMTP_URL;
+    delete process.env.SMTP_HOST;
+    try {
+      assert.throws(() => mailer.createSmtpTransport(), /SMTP_URL or SMTP_HOST/);
+    } finally {
+      if (saved.url !== undefined) process.env.SMTP_URL = saved.url;
+      if (saved.host !== undefined) process.env.SMTP_HOST = saved.host;
+    }
+  });
+
+  await test('a failing transport rejects', async () => {
+    mailer.setTransport({ name: 'broken', async send() { throw new Error('SMTP down'); } });
+    await assert.rejects(mailer.sendMail({ to: 'd@example.com', subject: 'x', text: 'y' }), /SMTP down/);
+  });
+
+  await test('messages without a recipient are refused', async () => {
+    const sent = captureMail();
+    await assert.rejects(mailer.sendMail({ to: null, subject: 'x', text: 'y' }), /No recipient/);
+    assert.strictEqual(sent.length, 0);
+  });
+
+  await test('rejects transports without send()', async () => {
+    assert.throws(() => mailer.setTransport({ name: 'nope' }), /send/);
+  });
+}
+
+async function runTemplateTests() {
+  console.log('\nTemplates:');
+
+  const sampleData = {
+    planName: 'Base Monthly',
+    interval: 'month',
+    credits: 3,
+    amount: 1499,
+    currency: 'usd',
+    paidAt: Date.UTC(2026, 2, 3),
+    reference: 'cs_test_123',
+    cancelAt: '2026-04-03T00:00:00Z',
+    gracePeriodEndsAt: '2026-03-10T00:00:00Z'
+  };
+
+  await test('every template renders a subject, text and HTML', async () => {
+    for (const name of TEMPLATE_NAMES) {
+      const { subject, text, html } = renderTemplate(name, sampleData);
+      assert.ok(subject, `${name} has no subject`);
+      assert.ok(text.length > 0, `${name} has no text`);
+      assert.ok(html.startsWith('<!DOCTYPE html>'), `${name} has no HTML`);
+    }
+  });
+
+  await test('receipts show the amount, date and reference', async () => {
+    const { text } = renderTemplate('subscription_receipt', sampleData);
+
+    assert.ok(text.includes('$14.99'));
+    assert.ok(text.includes('March 3, 2026'));
+    assert.ok(text.includes('cs_test_123'));
+    assert.ok(text.includes('Base Monthly'));
+  });
+
+  await test('HTML escapes template data and links URLs', async () => {
+    const { html } = renderTemplate('subscription_receipt', { ...sampleData, planName: '<script>x</script>' });
+
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('&lt;script&gt;'));
+    assert.ok(html.includes('<a href="'));
+  });
+
+  await test('formats amounts in the currency', async () => {
+    assert.strictEqual(formatAmount(299, 'usd'), '$2.99');
+    assert.strictEqual(formatAmount(0), '$0.00');
+  });
+
+  await test('unknown templates throw', async () => {
+    assert.throws(() => renderTemplate('nope'), /Unknown email template/);
+  });
+}
+
+async function runOutboxTests() {
+  console.log('\nOutbox:');
+
+  await test('sendEmail renders, stores and delivers', async () => {
+    const sent = captureMail();
+    const result = await emailService.sendEmail('payment_recovered', { to: 'e@example.com', userId: 'user-e' });
+    const stored = await emailService.getEmail(result.id);
+
+    assert.strictEqual(result.queued, true);
+    assert.strictEqual(result.status, STATUS.SENT);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].id, result.id);
+    assert.strictEqual(stored.status, STATUS.SENT);
+    assert.strictEqual(stored.attempts, 1);
+    assert.ok(stored.sentAt);
+  });
+
+  await test('a dedupe key sends the email once', async () => {
+    const sent = captureMail();
+    const first = await emailService.sendEmail('downgraded', { to: 'f@example.com', dedupeKey: 'k1' });
+    const second = await emailService.sendEmail('downgraded', { to: 'f@example.com', dedupeKey: 'k1' });
+
+    assert.strictEqual(first.duplicate, false);
+    assert.strictEqual(second.duplicate, true);
+    assert.strictEqual(second.id, first.id);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  await test('emails without a recipient are not queued', async () => {
+    const sent = captureMail();
+    const result = await emailService.sendEmail('downgraded', { userId: 'user-without-profile' });
+
+    assert.strictEqual(result.queued, false);
+    assert.strictEqual(sent.length, 0);
+    assert.strictEqual((await emailService.listEmails()).length, 0);
+  });
+
+  await test('failed deliveries are retried by the sweep', async () => {
+    const sent = flakyTransport(1);
+    const result = await emailService.sendEmail('downgraded', { to: 'g@example.com' });
+    const failedRecord = await emailService.getEmail(result.id);
+
+    assert.strictEqual(result.status, STATUS.FAILED);
+    assert.strictEqual(failedRecord.lastError, 'SMTP down');
+    assert.ok(failedRecord.nextAttemptAt);
+
+    await wait(5);
+    const sweep = await emailService.retryDueEmails();
+
+    assert.deepStrictEqual(sweep, { retried: 1, sent: 1 });
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].id, result.id);
+    assert.strictEqual((await emailService.getEmail(result.id)).status, STATUS.SENT);
+  });
+
+  await test('emails are dead-lettered after MAX_ATTEMPTS failures', async () => {
+    flakyTransport(Infinity);
+    const result = await emailService.sendEmail('downgraded', { to: 'h@example.com' });
+
+    for (let i = 1; i < emailService.MAX_ATTEMPTS; i++) {
+      await wait(2 ** i + 2);
+      await emailService.retryDueEmails();
+    }
+    const record = await emailService.getEmail(result.id);
+
+    assert.strictEqual(record.status, STATUS.DEAD);
+    assert.strictEqual(record.attempts, emailService.MAX_ATTEMPTS);
+    assert.strictEqual(record.nextAttemptAt, null);
+    assert.deepStrictEqual(await emailService.retryDueEmails(), { retried: 0, sent: 0 });
+  });
+
+  await test('admin retry delivers a dead email', async () => {
+    flakyTransport(Infinity);
+    const result = await emailService.sendEmail('downgraded', { to: 'i@example.com' });
+    for (let i = 1; i < emailService.MAX_ATTEMPTS; i++) {
+      await wait(2 ** i + 2);
+      await emailService.retryDueEmails();
+    }
+
+    const sent = [];
+    mailer.setTransport({ name: 'memory', async send(message) { sent.push(message); } });
+    const retried = await emailService.retryEmail(result.id);
+
+    assert.strictEqual(retried.status, STATUS.SENT);
+    assert.strictEqual(retried.textBody, undefined);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(await emailService.retryEmail('missing'), null);
+  });
+
+  await test('listEmails filters by status and leaves out bodies', async () => {
+    captureMail();
+    await emailService.sendEmail('downgraded', { to: 'j@example.com' });
+    flakyTransport(1);
+    await emailService.sendEmail('downgraded', { to: 'k@example.com' });
+
+    const failedEmails = await emailService.listEmails({ status: STATUS.FAILED });
+
+    assert.strictEqual(failedEmails.length, 1);
+    assert.strictEqual(failedEmails[0].recipient, 'k@example.com');
+    assert.strictEqual(failedEmails[0].htmlBody, undefined);
+  });
+}
+
+async function runStripeTests() {
+  console.log('\nStripe lifecycle emails:');
+
+  /**
+   * checkout.session.completed event
+   */
+  function checkoutEvent(id, session) {
+    return {
+      id: `evt_${id}`,
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id,
+          amount_total: 300,
+          currency: 'usd',
+          created: 1772496000,
+          customer_details: { email: 'buyer@example.com' },
+          ...session
+        }
+      }
+    };
+  }
+
+  await test('a credit purchase is receipted once per checkout session', async () => {
+    const sent = captureMail();
+    credits.clearAll();
+    const event = checkoutEvent('cs_credit_mail', { mode: 'payment', customer: 'cus_m', metadata: { userId: 'user-mail', type: 'credit', quantity: '3' } });
+
+    await stripeService.processWebhookEvent(event);
+    await stripeService.processWebhookEvent(event);
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'credit_receipt');
+    assert.strictEqual(sent[0].to, 'buyer@example.com');
+    assert.ok(sent[0].text.includes('3 credits'));
+    assert.ok(sent[0].text.includes('$3.00'));
+  });
+
+  await test('subscription receipts name the plan', async () => {
+    const sent = captureMail();
+    await stripeService.processWebhookEvent(checkoutEvent('cs_sub_mail', {
+      mode: 'subscription',
+      amount_total: 14388,
+      customer: 'cus_sub_mail',
+      subscription: 'sub_mail',
+      metadata: { userId: 'user-sub-mail', plan: 'base_annual' }
+    }));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'subscription_receipt');
+    assert.ok(sent[0].text.includes(pricing.getPlan('base_annual').name));
+    assert.ok(sent[0].text.includes('$143.88'));
+  });
+
+  await test('anonymous watermark removals are receipted to the checkout email', async () => {
+    const sent = captureMail();
+    await stripeService.processWebhookEvent(checkoutEvent('cs_wm_mail', {
+      mode: 'payment',
+      amount_total: 299,
+      customer_details: { email: 'anon@example.com' },
+      metadata: { type: 'watermark_removal', generationId: 'gen_1' }
+    }));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'watermark_removal_receipt');
+    assert.strictEqual(sent[0].to, 'anon@example.com');
+  });
+
+  await test('a cancellation is emailed once, from the route or the webhook', async () => {
+    const sent = captureMail();
+    const periodEnd = 1775174400;
+    const cancelAt = new Date(periodEnd * 1000).toISOString();
+
+    const fromRoute = await emailService.sendCancellationNotice({
+      userId: 'user-cancel',
+      to: 'cancel@example.com',
+      subscriptionId: 'sub_cancel',
+      cancelAt
+    });
+    await stripeService.processWebhookEvent({
+      id: 'evt_cancel',
+      type: 'customer.subscription.updated',
+      data: {
+        object: {
+          id: 'sub_cancel',
+          customer: 'cus_cancel',
+          status: 'active',
+          cancel_at_period_end: true,
+          cancel_at: periodEnd,
+          current_period_end: periodEnd,
+          metadata: { userId: 'user-cancel' },
+          items: { data: [] }
+        }
+      }
+    });
+
+    assert.strictEqual(fromRoute.status, STATUS.SENT);
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].template, 'subscription_canceled');
+    assert.ok(sent[0].text.includes('April 3, 2026'));
+  });
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Transactional Email Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await pricing.ready();
+
+  await runMailerTests();
+  await runTemplateTests();
+  await runOutboxTests();
+  await runStripeTests();
+
+  mailer.setTransport(null);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,303 @@
+/**
+ * Unit Tests for Generation Job Queue
+ *
+ * Tests for services/generationQueue.js
+ * Run with: node tests/services-generation-queue.test.js
+ *
+ * Tests cover:
+ * - enqueue() runs tasks asynchronously (after the caller returns)
+ * - FIFO ordering and the concurrency limit
+ * - Crashing tasks don't stall the queue
+ * - A full queue refuses jobs; POST /api/generate answers 503 without
+ *   charging the user
+ * - getStats() reporting
+ */
+
+// Must be set before the generate route (and providers) are loaded
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_SCENARIO = '';
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const http = require('http');
+const sharp = require('sharp');
+
+const generationQueue = require('../services/generationQueue');
+const generations = require('../services/generations');
+const { createServerlessHandler } = require('../lib/http');
+const { createGenerateRouter } = require('../routes/generate');
+const { listTemplates } = require('../services/templates');
+const { ERROR_CODES } = require('../lib/errors');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Create a task that waits until released
+ */
+function createDeferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(`start:${name}`);
+    await done;
+    log.push(`end:${name}`);
+  };
+  return { task, release };
+}
+
+// ============================================
+// QUEUE TESTS
+// ============================================
+
+async function runQueueTests() {
+  console.log('\n=== Generation Queue Tests ===\n');
+
+  console.log('enqueue():');
+
+  await test('does not run the task synchronously', async () => {
+    let ran = false;
+    generationQueue.enqueue('job-sync-check', async () => { ran = true; });
+    assert.strictEqual(ran, false, 'Task should start after the caller returns');
+
+    assert.strictEqual(await generationQueue.waitForIdle(), true);
+    assert.strictEqual(ran, true);
+  });
+
+  await test('rejects non-function tasks', async () => {
+    assert.throws(() => generationQueue.enqueue('job-bad', null), /must be a function/);
+  });
+
+  await test('runs jobs in FIFO order with concurrency 1', async () => {
+    generationQueue.setConcurrency(1);
+    const log = [];
+
+    for (const name of ['a', 'b', 'c']) {
+      generationQueue.enqueue(`job-${name}`, async () => { log.push(name); });
+    }
+
+    assert.strictEqual(await generationQueue.waitForIdle(), true);
+    assert.deepStrictEqual(log, ['a', 'b', 'c']);
+  });
+
+  await test('never runs more jobs than the concurrency limit', async () => {
+    generationQueue.setConcurrency(2);
+    const log = [];
+    const first = createDeferredTask(log, 'first');
+    const second = createDeferredTask(log, 'second');
+    const third = createDeferredTask(log, 'third');
+
+    generationQueue.enqueue('job-first', first.task);
+    generationQueue.enqueue('job-second', second.task);
+    generationQueue.enqueue('job-third', third.task);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepStrictEqual(log, ['start:first', 'start:second']);
+    assert.deepStrictEqual(generationQueue.getStats(), { queued: 1, running: 2, concurrency: 2, maxQueued: 50 });
+
+    first.release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(log.includes('start:third'), 'Third job should start when a slot frees up');
+
+    second.release();
+    third.release();
+    assert.strictEqual(await generationQueue.waitForIdle(), true);
+  });
+
+  await test('returns the queue position when all workers are busy', async () => {
+    generationQueue.setConcurrency(1);
+    const log = [];
+    const blocker = createDeferredTask(log, 'blocker');
+
+    const firstPosition = generationQueue.enqueue('job-blocker', blocker.task);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const secondPosition = generationQueue.enqueue('job-waiting', async () => { });
+
+    assert.strictEqual(firstPosition, 0);
+    assert.strictEqual(secondPosition, 1);
+
+    blocker.release();
+    assert.strictEqual(await generationQueue.waitForIdle(), true);
+  });
+
+  await test('a crashing task does not stall later jobs', async () => {
+    generationQueue.setConcurrency(1);
+    let ranAfterCrash = false;
+
+    generationQueue.enqueue('job-crash', async () => { throw new Error('boom'); });
+    generationQueue.enqueue('job-after-crash', async () => { ranAfterCrash = true; });
+
+    assert.strictEqual(await generationQueue.waitForIdle(), true);
+    assert.strictEqual(ranAfterCrash, true);
+  });
+
+  console.log('\nQueue limit:');
+
+  await test('refuses a job that would wait behind GENERATION_QUEUE_MAX others', async () => {
+    generationQueue.setConcurrency(1);
+    generationQueue.setMaxQueued(1);
+    const log = [];
+    const blocker = createDeferredTask(log, 'blocker');
+    let refusedRan = false;
+
+    try {
+      assert.strictEqual(generationQueue.enqueue('job-running', blocker.task), 0);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.strictEqual(generationQueue.enqueue('job-waiting', async () => { }), 1);
+      assert.strictEqual(generationQueue.enqueue('job-refused', async () => { refusedRan = true; }), null);
+
+      blocker.release();
+      assert.strictEqual(await generationQueue.waitForIdle(), true);
+      assert.strictEqual(refusedRan, false);
+      // Room again once the backlog has drained
+      assert.strictEqual(generationQueue.enqueue('job-later', async () => { }), 0);
+      assert.strictEqual(await generationQueue.waitForIdle(), true);
+    } finally {
+      blocker.release();
+      generationQueue.setMaxQueued(undefined);
+    }
+  });
+
+  await test('a job that starts right away is accepted even with no waiting room', async () => {
+    generationQueue.setConcurrency(2);
+    generationQueue.setMaxQueued(0);
+    try {
+      assert.strictEqual(generationQueue.enqueue('job-free-worker', async () => { }), 0);
+      assert.strictEqual(await generationQueue.waitForIdle(), true);
+    } finally {
+      generationQueue.setMaxQueued(undefined);
+    }
+  });
+
+  console.log('\ngetStats():');
+
+  await test('reports an idle queue', async () => {
+    generationQueue.setConcurrency(3);
+    assert.deepStrictEqual(generationQueue.getStats(), { queued: 0, running: 0, concurrency: 3, maxQueued: 50 });
+  });
+
+  await test('setConcurrency() enforces a minimum of 1', async () => {
+    generationQueue.setConcurrency(-5);
+    assert.strictEqual(generationQueue.getStats().concurrency, 1);
+  });
+}
+
+// ============================================
+// GENERATE ROUTE
+// ============================================
+
+async function runRouteTests() {
+  console.log('\n=== POST /api/generate (job mode) ===\n');
+
+  const handler = createServerlessHandler(createGenerateRouter({ outputMode: 'inline', jobMode: true }));
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const [galleryPhoto] = listTemplates();
+  const userPhoto = await sharp({
+    create: { width: 512, height: 512, channels: 3, background: { r: 210, g: 160, b: 130 } },
+  }).png().toBuffer();
+
+  const log = [];
+  const blocker = createDeferredTask(log, 'blocker');
+  let cookie = '';
+
+  async function generateJob() {
+    const formData = new FormData();
+    formData.append('userPhoto', new Blob([userPhoto], { type: 'image/png' }), 'me.png');
+    formData.append('epsteinPhoto', galleryPhoto.path);
+    formData.append('async', 'true');
+    const response = await fetch(`${baseUrl}/api/generate`, { method: 'POST', body: formData, headers: { Cookie: cookie } });
+    cookie = (response.headers.get('set-cookie') || '').match(/anon_id=[^;]+/)?.[0] || cookie;
+    return { response, body: await response.json() };
+  }
+
+  try {
+    await test('a full queue answers 503 and fails the generation', async () => {
+      generationQueue.setConcurrency(1);
+      generationQueue.setMaxQueued(0);
+      generationQueue.enqueue('job-busy', blocker.task);
+
+      const { response, body } = await generateJob();
+      assert.strictEqual(response.status, 503, JSON.stringify(body));
+      assert.strictEqual(body.code, ERROR_CODES.RATE_LIMITED);
+      assert.ok(Number(response.headers.get('retry-after')) > 0);
+
+      const refused = (await generations.getGenerations(null, 100)).filter(entry => entry.status === generations.STATUS.FAILED);
+      assert.strictEqual(refused.length, 1);
+      assert.strictEqual(refused[0].errorCode, ERROR_CODES.RATE_LIMITED);
+    });
+
+    await test('refused jobs don\'t use up the quota', async () => {
+      // Anonymous visitors get 3 quick generations - refused ones give theirs back
+      for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await generateJob()).response.status, 503);
+      }
+
+      blocker.release();
+      assert.strictEqual(await generationQueue.waitForIdle(), true);
+      const { response, body } = await generateJob();
+      assert.strictEqual(response.status, 202, JSON.stringify(body));
+    });
+  } finally {
+    blocker.release();
+    generationQueue.setMaxQueued(undefined);
+    await generationQueue.waitForIdle();
+    server.close();
+  }
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Generation Queue Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runQueueTests();
+  await runRouteTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
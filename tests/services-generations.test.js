@@ -10,7 +10,10 @@
  * - failGeneration error code and message handling
  * - validateGenerationAccess ownership and viewToken validation
  * - findByResultUrl lookups
+ * - findByPerceptualHash nearest-match lookups
  * - Timing-safe comparison for viewToken validation
+ * - Job status transitions and subscribe() notifications
+ * - Supabase persistence (mocked client)
  */
 
 const assert = require('assert');
@@ -27,9 +30,9 @@ const results = [];
 /**
  * Simple test runner
  */
-function test(name, fn) {
+async function test(name, fn) {
   try {
-    fn();
+    await fn();
     passed++;
     results.push({ name, status: 'PASS' });
     console.log(`  ✓ ${name}`);
@@ -102,53 +105,53 @@ function assertThrows(fn, message) {
 // createGeneration WITH viewToken TESTS
 // ============================================
 
-function runCreateGenerationViewTokenTests() {
+async function runCreateGenerationViewTokenTests() {
   console.log('\n=== createGeneration viewToken Tests ===\n');
 
   generations.clearAll();
 
   console.log('Anonymous user viewToken handling:');
 
-  test('anonymous user (null userId) gets a viewToken', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('anonymous user (null userId) gets a viewToken', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     assertExists(gen.viewToken, 'Anonymous generation should have viewToken');
     assertType(gen.viewToken, 'string', 'viewToken should be a string');
   });
 
-  test('anonymous viewToken is 64 characters (32 bytes hex)', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('anonymous viewToken is 64 characters (32 bytes hex)', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     assertEqual(gen.viewToken.length, 64, 'viewToken should be 64 hex chars');
   });
 
-  test('anonymous viewToken is valid hex', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('anonymous viewToken is valid hex', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     const isHex = /^[0-9a-f]+$/.test(gen.viewToken);
     assertTrue(isHex, 'viewToken should be valid hex');
   });
 
-  test('each anonymous generation gets unique viewToken', () => {
-    const gen1 = generations.createGeneration(null, '/epstein-photos/test1.jpg');
-    const gen2 = generations.createGeneration(null, '/epstein-photos/test2.jpg');
+  await test('each anonymous generation gets unique viewToken', async () => {
+    const gen1 = await generations.createGeneration(null, '/epstein-photos/test1.jpg');
+    const gen2 = await generations.createGeneration(null, '/epstein-photos/test2.jpg');
     assertNotEqual(gen1.viewToken, gen2.viewToken, 'viewTokens should be unique');
   });
 
   console.log('\nAuthenticated user viewToken handling:');
 
-  test('authenticated user (with userId) gets null viewToken', () => {
-    const gen = generations.createGeneration('user-123', '/epstein-photos/test.jpg');
+  await test('authenticated user (with userId) gets null viewToken', async () => {
+    const gen = await generations.createGeneration('user-123', '/epstein-photos/test.jpg');
     assertNull(gen.viewToken, 'Authenticated user should not have viewToken');
   });
 
-  test('userId is set for authenticated users', () => {
-    const gen = generations.createGeneration('user-456', '/epstein-photos/test.jpg');
+  await test('userId is set for authenticated users', async () => {
+    const gen = await generations.createGeneration('user-456', '/epstein-photos/test.jpg');
     assertEqual(gen.userId, 'user-456', 'userId should be set');
     assertNull(gen.viewToken, 'viewToken should be null');
   });
 
   console.log('\nGeneration record structure:');
 
-  test('anonymous generation has all required fields', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/photo.jpg');
+  await test('anonymous generation has all required fields', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/photo.jpg');
     assertExists(gen.id, 'Should have id');
     assertNull(gen.userId, 'userId should be null for anonymous');
     assertExists(gen.viewToken, 'Should have viewToken');
@@ -166,45 +169,45 @@ function runCreateGenerationViewTokenTests() {
 // completeGeneration TESTS
 // ============================================
 
-function runCompleteGenerationTests() {
+async function runCompleteGenerationTests() {
   console.log('\n=== completeGeneration Tests ===\n');
 
   generations.clearAll();
 
   console.log('Status updates:');
 
-  test('updates status from pending to completed', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('updates status from pending to completed', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     assertEqual(gen.status, generations.STATUS.PENDING, 'Should start pending');
 
-    const updated = generations.completeGeneration(gen.id, '/output/result.png');
+    const updated = await generations.completeGeneration(gen.id, '/output/result.png');
     assertEqual(updated.status, generations.STATUS.COMPLETED, 'Should be completed');
   });
 
-  test('sets resultUrl correctly', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const updated = generations.completeGeneration(gen.id, '/output/swapped_abc123.png');
+  await test('sets resultUrl correctly', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const updated = await generations.completeGeneration(gen.id, '/output/swapped_abc123.png');
     assertEqual(updated.resultUrl, '/output/swapped_abc123.png', 'resultUrl should match');
   });
 
-  test('handles various resultUrl formats', () => {
-    const gen1 = generations.createGeneration('user-1', '/epstein-photos/a.jpg');
-    const updated1 = generations.completeGeneration(gen1.id, '/output/result.png');
+  await test('handles various resultUrl formats', async () => {
+    const gen1 = await generations.createGeneration('user-1', '/epstein-photos/a.jpg');
+    const updated1 = await generations.completeGeneration(gen1.id, '/output/result.png');
     assertEqual(updated1.resultUrl, '/output/result.png');
 
-    const gen2 = generations.createGeneration('user-1', '/epstein-photos/b.jpg');
-    const updated2 = generations.completeGeneration(gen2.id, 'https://cdn.example.com/images/result.png');
+    const gen2 = await generations.createGeneration('user-1', '/epstein-photos/b.jpg');
+    const updated2 = await generations.completeGeneration(gen2.id, 'https://cdn.example.com/images/result.png');
     assertEqual(updated2.resultUrl, 'https://cdn.example.com/images/result.png');
   });
 
   console.log('\nTimestamp handling:');
 
-  test('sets completedAt timestamp', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('sets completedAt timestamp', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     assertNull(gen.completedAt, 'completedAt should be null initially');
 
     const before = new Date().toISOString();
-    const updated = generations.completeGeneration(gen.id, '/output/result.png');
+    const updated = await generations.completeGeneration(gen.id, '/output/result.png');
     const after = new Date().toISOString();
 
     assertExists(updated.completedAt, 'completedAt should be set');
@@ -212,26 +215,26 @@ function runCompleteGenerationTests() {
     assertTrue(updated.completedAt <= after, 'completedAt should be <= end time');
   });
 
-  test('createdAt is preserved after completion', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('createdAt is preserved after completion', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     const originalCreatedAt = gen.createdAt;
 
-    const updated = generations.completeGeneration(gen.id, '/output/result.png');
+    const updated = await generations.completeGeneration(gen.id, '/output/result.png');
     assertEqual(updated.createdAt, originalCreatedAt, 'createdAt should not change');
   });
 
   console.log('\nError handling:');
 
-  test('returns null for non-existent generation id', () => {
-    const result = generations.completeGeneration('non-existent-id-12345', '/output/result.png');
+  await test('returns null for non-existent generation id', async () => {
+    const result = await generations.completeGeneration('non-existent-id-12345', '/output/result.png');
     assertNull(result, 'Should return null for non-existent id');
   });
 
-  test('returned generation is retrievable', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    generations.completeGeneration(gen.id, '/output/result.png');
+  await test('returned generation is retrievable', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    await generations.completeGeneration(gen.id, '/output/result.png');
 
-    const retrieved = generations.getGeneration(gen.id);
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.status, generations.STATUS.COMPLETED, 'Retrieved should be completed');
     assertEqual(retrieved.resultUrl, '/output/result.png', 'Retrieved should have resultUrl');
   });
@@ -241,20 +244,20 @@ function runCompleteGenerationTests() {
 // failGeneration TESTS
 // ============================================
 
-function runFailGenerationTests() {
+async function runFailGenerationTests() {
   console.log('\n=== failGeneration Tests ===\n');
 
   generations.clearAll();
 
   console.log('Error code recording:');
 
-  test('records errorCode correctly', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
+  await test('records errorCode correctly', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
     assertEqual(updated.errorCode, 'SAFETY_BLOCK', 'errorCode should be set');
   });
 
-  test('records common error codes', () => {
+  await test('records common error codes', async () => {
     const errorCodes = [
       'NO_FACE',
       'MULTIPLE_FACES',
@@ -267,61 +270,61 @@ function runFailGenerationTests() {
       'API_ERROR'
     ];
 
-    errorCodes.forEach(code => {
-      const gen = generations.createGeneration('user-errors', '/epstein-photos/test.jpg');
-      const updated = generations.failGeneration(gen.id, code, `Test message for ${code}`);
+    for (const code of errorCodes) {
+      const gen = await generations.createGeneration('user-errors', '/epstein-photos/test.jpg');
+      const updated = await generations.failGeneration(gen.id, code, `Test message for ${code}`);
       assertEqual(updated.errorCode, code, `Should record ${code}`);
-    });
+    }
   });
 
   console.log('\nError message recording:');
 
-  test('records errorMessage correctly', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('records errorMessage correctly', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     const message = 'No face detected in the uploaded image';
-    const updated = generations.failGeneration(gen.id, 'NO_FACE', message);
+    const updated = await generations.failGeneration(gen.id, 'NO_FACE', message);
     assertEqual(updated.errorMessage, message, 'errorMessage should be set');
   });
 
-  test('preserves detailed error messages', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('preserves detailed error messages', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     const detailedMessage = 'API returned error code 429: Rate limit exceeded. Please try again in 60 seconds.';
-    const updated = generations.failGeneration(gen.id, 'RATE_LIMITED', detailedMessage);
+    const updated = await generations.failGeneration(gen.id, 'RATE_LIMITED', detailedMessage);
     assertEqual(updated.errorMessage, detailedMessage, 'Detailed message should be preserved');
   });
 
-  test('handles empty error message', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'UNKNOWN', '');
+  await test('handles empty error message', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'UNKNOWN', '');
     assertEqual(updated.errorMessage, '', 'Empty message should be accepted');
   });
 
   console.log('\nStatus and timestamp handling:');
 
-  test('updates status to failed', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+  await test('updates status to failed', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     assertEqual(gen.status, generations.STATUS.PENDING, 'Should start pending');
 
-    const updated = generations.failGeneration(gen.id, 'ERROR', 'Something went wrong');
+    const updated = await generations.failGeneration(gen.id, 'ERROR', 'Something went wrong');
     assertEqual(updated.status, generations.STATUS.FAILED, 'Should be failed');
   });
 
-  test('sets completedAt on failure', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'ERROR', 'Test');
+  await test('sets completedAt on failure', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'ERROR', 'Test');
     assertExists(updated.completedAt, 'completedAt should be set on failure');
   });
 
-  test('resultUrl remains null on failure', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'ERROR', 'Test');
+  await test('resultUrl remains null on failure', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'ERROR', 'Test');
     assertNull(updated.resultUrl, 'resultUrl should remain null');
   });
 
   console.log('\nError handling:');
 
-  test('returns null for non-existent generation id', () => {
-    const result = generations.failGeneration('does-not-exist', 'ERROR', 'Test');
+  await test('returns null for non-existent generation id', async () => {
+    const result = await generations.failGeneration('does-not-exist', 'ERROR', 'Test');
     assertNull(result, 'Should return null for non-existent id');
   });
 }
@@ -330,74 +333,74 @@ function runFailGenerationTests() {
 // validateGenerationAccess TESTS
 // ============================================
 
-function runValidateGenerationAccessTests() {
+async function runValidateGenerationAccessTests() {
   console.log('\n=== validateGenerationAccess Tests ===\n');
 
   generations.clearAll();
 
   console.log('Ownership validation for authenticated users:');
 
-  test('owner can access their own generation', () => {
-    const gen = generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, 'user-owner', null);
+  await test('owner can access their own generation', async () => {
+    const gen = await generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, 'user-owner', null);
     assertTrue(result.authorized, 'Owner should be authorized');
     assertExists(result.generation, 'Generation should be returned');
     assertNull(result.error, 'No error expected');
   });
 
-  test('non-owner cannot access authenticated generation', () => {
-    const gen = generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, 'user-other', null);
+  await test('non-owner cannot access authenticated generation', async () => {
+    const gen = await generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, 'user-other', null);
     assertFalse(result.authorized, 'Non-owner should not be authorized');
     assertNull(result.generation, 'Generation should not be returned');
     assertEqual(result.error, 'Not authorized to view this generation', 'Should have error message');
   });
 
-  test('anonymous user cannot access authenticated generation', () => {
-    const gen = generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, null, null);
+  await test('anonymous user cannot access authenticated generation', async () => {
+    const gen = await generations.createGeneration('user-owner', '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, null, null);
     assertFalse(result.authorized, 'Anonymous should not access authenticated gen');
     assertNull(result.generation, 'Generation should not be returned');
   });
 
   console.log('\nviewToken validation for anonymous generations:');
 
-  test('correct viewToken grants access to anonymous generation', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, null, gen.viewToken);
+  await test('correct viewToken grants access to anonymous generation', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, null, gen.viewToken);
     assertTrue(result.authorized, 'Correct viewToken should grant access');
     assertExists(result.generation, 'Generation should be returned');
     assertNull(result.error, 'No error expected');
   });
 
-  test('incorrect viewToken denies access', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('incorrect viewToken denies access', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     const wrongToken = crypto.randomBytes(32).toString('hex');
-    const result = generations.validateGenerationAccess(gen.id, null, wrongToken);
+    const result = await generations.validateGenerationAccess(gen.id, null, wrongToken);
     assertFalse(result.authorized, 'Wrong viewToken should deny access');
     assertNull(result.generation, 'Generation should not be returned');
     assertEqual(result.error, 'Invalid view token', 'Should have error message');
   });
 
-  test('missing viewToken denies access to anonymous generation', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, null, null);
+  await test('missing viewToken denies access to anonymous generation', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, null, null);
     assertFalse(result.authorized, 'Missing viewToken should deny access');
     assertEqual(result.error, 'View token required for anonymous generations');
   });
 
-  test('empty string viewToken denies access', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
-    const result = generations.validateGenerationAccess(gen.id, null, '');
+  await test('empty string viewToken denies access', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
+    const result = await generations.validateGenerationAccess(gen.id, null, '');
     assertFalse(result.authorized, 'Empty viewToken should deny access');
   });
 
-  test('authenticated user cannot use viewToken to access anonymous generation', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('authenticated user cannot use viewToken to access anonymous generation', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     // An authenticated user with a userId but providing the viewToken
     // The code checks userId first for authenticated gens - anonymous gens have no userId
     // so this should fall through to viewToken validation
-    const result = generations.validateGenerationAccess(gen.id, 'some-user', gen.viewToken);
+    const result = await generations.validateGenerationAccess(gen.id, 'some-user', gen.viewToken);
     // Since generation.userId is null, we go to Case 2 (anonymous generation)
     // viewToken is provided and correct, so should succeed
     assertTrue(result.authorized, 'Valid viewToken should work regardless of requesting userId');
@@ -405,8 +408,8 @@ function runValidateGenerationAccessTests() {
 
   console.log('\nNon-existent generation handling:');
 
-  test('non-existent generation returns not found', () => {
-    const result = generations.validateGenerationAccess('fake-id-12345', 'user-1', null);
+  await test('non-existent generation returns not found', async () => {
+    const result = await generations.validateGenerationAccess('fake-id-12345', 'user-1', null);
     assertFalse(result.authorized, 'Should not be authorized');
     assertNull(result.generation, 'Generation should be null');
     assertEqual(result.error, 'Generation not found', 'Should indicate not found');
@@ -414,22 +417,22 @@ function runValidateGenerationAccessTests() {
 
   console.log('\nEdge cases:');
 
-  test('viewToken from different generation does not grant access', () => {
-    const gen1 = generations.createGeneration(null, '/epstein-photos/test1.jpg');
-    const gen2 = generations.createGeneration(null, '/epstein-photos/test2.jpg');
+  await test('viewToken from different generation does not grant access', async () => {
+    const gen1 = await generations.createGeneration(null, '/epstein-photos/test1.jpg');
+    const gen2 = await generations.createGeneration(null, '/epstein-photos/test2.jpg');
 
     // Try to use gen1's token to access gen2
-    const result = generations.validateGenerationAccess(gen2.id, null, gen1.viewToken);
+    const result = await generations.validateGenerationAccess(gen2.id, null, gen1.viewToken);
     assertFalse(result.authorized, 'Token from different gen should not work');
   });
 
-  test('case-sensitive viewToken validation', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('case-sensitive viewToken validation', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
     const uppercaseToken = gen.viewToken.toUpperCase();
 
     // If original has lowercase chars, uppercase version should fail
     if (gen.viewToken !== uppercaseToken) {
-      const result = generations.validateGenerationAccess(gen.id, null, uppercaseToken);
+      const result = await generations.validateGenerationAccess(gen.id, null, uppercaseToken);
       assertFalse(result.authorized, 'viewToken should be case-sensitive');
     }
   });
@@ -439,37 +442,37 @@ function runValidateGenerationAccessTests() {
 // TIMING-SAFE COMPARISON TESTS
 // ============================================
 
-function runTimingSafeComparisonTests() {
+async function runTimingSafeComparisonTests() {
   console.log('\n=== Timing-Safe Comparison Tests ===\n');
 
   generations.clearAll();
 
   console.log('Timing-safe viewToken validation:');
 
-  test('uses crypto.timingSafeEqual for viewToken comparison', () => {
+  await test('uses crypto.timingSafeEqual for viewToken comparison', async () => {
     // We verify this by checking the source code implementation
     // The actual timing attack resistance is hard to test directly
     // but we can verify correct tokens work and incorrect ones fail
 
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
 
     // Correct token should work
-    const correctResult = generations.validateGenerationAccess(gen.id, null, gen.viewToken);
+    const correctResult = await generations.validateGenerationAccess(gen.id, null, gen.viewToken);
     assertTrue(correctResult.authorized, 'Correct token should work');
 
     // Token with same length but wrong content should fail
     const wrongToken = 'a'.repeat(64);
-    const wrongResult = generations.validateGenerationAccess(gen.id, null, wrongToken);
+    const wrongResult = await generations.validateGenerationAccess(gen.id, null, wrongToken);
     assertFalse(wrongResult.authorized, 'Wrong token should fail');
   });
 
-  test('handles tokens of different lengths safely', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('handles tokens of different lengths safely', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
 
     // Short token - timingSafeEqual throws if lengths differ
     // The implementation should handle this gracefully
     try {
-      const result = generations.validateGenerationAccess(gen.id, null, 'short');
+      const result = await generations.validateGenerationAccess(gen.id, null, 'short');
       // If we get here, the implementation handles length mismatch
       assertFalse(result.authorized, 'Short token should not authorize');
     } catch (error) {
@@ -480,13 +483,13 @@ function runTimingSafeComparisonTests() {
     }
   });
 
-  test('handles very long tokens safely', () => {
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+  await test('handles very long tokens safely', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
 
     // Very long token
     const longToken = 'a'.repeat(1000);
     try {
-      const result = generations.validateGenerationAccess(gen.id, null, longToken);
+      const result = await generations.validateGenerationAccess(gen.id, null, longToken);
       assertFalse(result.authorized, 'Long token should not authorize');
     } catch (error) {
       // Length mismatch error is acceptable
@@ -494,18 +497,18 @@ function runTimingSafeComparisonTests() {
     }
   });
 
-  test('timing-safe comparison prevents timing attacks', () => {
+  await test('timing-safe comparison prevents timing attacks', async () => {
     // This is a documentation test - actual timing attack testing
     // requires statistical analysis over many iterations
     // We document that crypto.timingSafeEqual is used in the implementation
 
-    const gen = generations.createGeneration(null, '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg');
 
     // The implementation at line 167-170 uses:
     // crypto.timingSafeEqual(Buffer.from(viewToken), Buffer.from(generation.viewToken))
     // This prevents timing attacks by ensuring comparison takes constant time
 
-    const result = generations.validateGenerationAccess(gen.id, null, gen.viewToken);
+    const result = await generations.validateGenerationAccess(gen.id, null, gen.viewToken);
     assertTrue(result.authorized, 'Verification that timing-safe code path works');
   });
 }
@@ -514,171 +517,277 @@ function runTimingSafeComparisonTests() {
 // findByResultUrl TESTS
 // ============================================
 
-function runFindByResultUrlTests() {
+async function runFindByResultUrlTests() {
   console.log('\n=== findByResultUrl Tests ===\n');
 
   generations.clearAll();
 
   console.log('Basic lookups:');
 
-  test('finds generation by exact resultUrl', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    generations.completeGeneration(gen.id, '/output/epstein_abc123.png');
+  await test('finds generation by exact resultUrl', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    await generations.completeGeneration(gen.id, '/output/epstein_abc123.png');
 
-    const found = generations.findByResultUrl('/output/epstein_abc123.png');
+    const found = await generations.findByResultUrl('/output/epstein_abc123.png');
     assertExists(found, 'Should find the generation');
     assertEqual(found.id, gen.id, 'Should be the same generation');
   });
 
-  test('returns null for non-existent resultUrl', () => {
-    const found = generations.findByResultUrl('/output/does_not_exist.png');
+  await test('returns null for non-existent resultUrl', async () => {
+    const found = await generations.findByResultUrl('/output/does_not_exist.png');
     assertNull(found, 'Should return null for non-existent URL');
   });
 
-  test('pending generations have null resultUrl', () => {
+  await test('pending generations have null resultUrl', async () => {
     generations.clearAll();
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
     // Generation is still pending, has no resultUrl
 
     // findByResultUrl with null will match any generation with null resultUrl
     // This is expected behavior - pending/failed generations have null resultUrl
-    const found = generations.findByResultUrl(null);
+    const found = await generations.findByResultUrl(null);
     assertExists(found, 'Should find generation with null resultUrl');
     assertEqual(found.id, gen.id, 'Should be the pending generation');
   });
 
   console.log('\nURL format handling:');
 
-  test('handles various URL formats', () => {
-    const gen1 = generations.createGeneration('user-1', '/epstein-photos/a.jpg');
-    generations.completeGeneration(gen1.id, '/output/result1.png');
+  await test('handles various URL formats', async () => {
+    const gen1 = await generations.createGeneration('user-1', '/epstein-photos/a.jpg');
+    await generations.completeGeneration(gen1.id, '/output/result1.png');
 
-    const gen2 = generations.createGeneration('user-1', '/epstein-photos/b.jpg');
-    generations.completeGeneration(gen2.id, 'https://cdn.example.com/images/result2.png');
+    const gen2 = await generations.createGeneration('user-1', '/epstein-photos/b.jpg');
+    await generations.completeGeneration(gen2.id, 'https://cdn.example.com/images/result2.png');
 
-    const gen3 = generations.createGeneration('user-1', '/epstein-photos/c.jpg');
-    generations.completeGeneration(gen3.id, 'output/result3.png');
+    const gen3 = await generations.createGeneration('user-1', '/epstein-photos/c.jpg');
+    await generations.completeGeneration(gen3.id, 'output/result3.png');
 
-    assertEqual(generations.findByResultUrl('/output/result1.png').id, gen1.id);
-    assertEqual(generations.findByResultUrl('https://cdn.example.com/images/result2.png').id, gen2.id);
-    assertEqual(generations.findByResultUrl('output/result3.png').id, gen3.id);
+    assertEqual((await generations.findByResultUrl('/output/result1.png')).id, gen1.id);
+    assertEqual((await generations.findByResultUrl('https://cdn.example.com/images/result2.png')).id, gen2.id);
+    assertEqual((await generations.findByResultUrl('output/result3.png')).id, gen3.id);
   });
 
-  test('URL matching is exact (no partial matches)', () => {
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    generations.completeGeneration(gen.id, '/output/result.png');
+  await test('URL matching is exact (no partial matches)', async () => {
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    await generations.completeGeneration(gen.id, '/output/result.png');
 
     // Partial matches should not work
-    assertNull(generations.findByResultUrl('/output/result'), 'Partial should not match');
-    assertNull(generations.findByResultUrl('result.png'), 'Suffix should not match');
-    assertNull(generations.findByResultUrl('/output/'), 'Prefix should not match');
+    assertNull(await generations.findByResultUrl('/output/result'), 'Partial should not match');
+    assertNull(await generations.findByResultUrl('result.png'), 'Suffix should not match');
+    assertNull(await generations.findByResultUrl('/output/'), 'Prefix should not match');
   });
 
   console.log('\nMultiple generations:');
 
-  test('returns correct generation when multiple exist', () => {
+  await test('returns correct generation when multiple exist', async () => {
     generations.clearAll();
 
-    const gen1 = generations.createGeneration('user-1', '/epstein-photos/a.jpg');
-    const gen2 = generations.createGeneration('user-1', '/epstein-photos/b.jpg');
-    const gen3 = generations.createGeneration('user-1', '/epstein-photos/c.jpg');
+    const gen1 = await generations.createGeneration('user-1', '/epstein-photos/a.jpg');
+    const gen2 = await generations.createGeneration('user-1', '/epstein-photos/b.jpg');
+    const gen3 = await generations.createGeneration('user-1', '/epstein-photos/c.jpg');
 
-    generations.completeGeneration(gen1.id, '/output/first.png');
-    generations.completeGeneration(gen2.id, '/output/second.png');
-    generations.completeGeneration(gen3.id, '/output/third.png');
+    await generations.completeGeneration(gen1.id, '/output/first.png');
+    await generations.completeGeneration(gen2.id, '/output/second.png');
+    await generations.completeGeneration(gen3.id, '/output/third.png');
 
-    assertEqual(generations.findByResultUrl('/output/second.png').id, gen2.id);
+    assertEqual((await generations.findByResultUrl('/output/second.png')).id, gen2.id);
   });
 
-  test('returns first match if duplicates exist (edge case)', () => {
+  await test('returns first match if duplicates exist (edge case)', async () => {
     generations.clearAll();
 
     // In practice, resultUrls should be unique, but test the behavior
-    const gen1 = generations.createGeneration('user-1', '/epstein-photos/a.jpg');
-    generations.completeGeneration(gen1.id, '/output/duplicate.png');
+    const gen1 = await generations.createGeneration('user-1', '/epstein-photos/a.jpg');
+    await generations.completeGeneration(gen1.id, '/output/duplicate.png');
 
     // Create another with same resultUrl (shouldn't happen in practice)
-    const gen2 = generations.createGeneration('user-1', '/epstein-photos/b.jpg');
-    generations.completeGeneration(gen2.id, '/output/duplicate.png');
+    const gen2 = await generations.createGeneration('user-1', '/epstein-photos/b.jpg');
+    await generations.completeGeneration(gen2.id, '/output/duplicate.png');
 
     // Should find one of them
-    const found = generations.findByResultUrl('/output/duplicate.png');
+    const found = await generations.findByResultUrl('/output/duplicate.png');
     assertExists(found, 'Should find at least one');
     assertTrue(found.id === gen1.id || found.id === gen2.id, 'Should be one of the duplicates');
   });
 
   console.log('\nFailed generations:');
 
-  test('failed generations have null resultUrl and are findable by null', () => {
+  await test('failed generations have null resultUrl and are findable by null', async () => {
     generations.clearAll();
-    const gen = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    generations.failGeneration(gen.id, 'ERROR', 'Test failure');
+    const gen = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    await generations.failGeneration(gen.id, 'ERROR', 'Test failure');
 
     // Failed generation has null resultUrl, so findByResultUrl(null) matches it
-    const found = generations.findByResultUrl(null);
+    const found = await generations.findByResultUrl(null);
     assertExists(found, 'Failed gen is findable by null URL');
     assertEqual(found.id, gen.id, 'Should be the failed generation');
     assertNull(found.resultUrl, 'Failed gen should have null resultUrl');
   });
 }
 
+// ============================================
+// JOB STATUS TESTS
+// ============================================
+
+async function runJobStatusTests() {
+  console.log('\n=== Job Status Tests ===\n');
+
+  generations.clearAll();
+
+  console.log('Status transitions:');
+
+  await test('createGeneration() defaults to pending status', async () => {
+    const gen = await generations.createGeneration('user-status', '/epstein-photos/test.jpg');
+    assert.strictEqual(gen.status, generations.STATUS.PENDING);
+  });
+
+  await test('createGeneration() accepts an initial queued status', async () => {
+    const gen = await generations.createGeneration('user-status', '/epstein-photos/test.jpg', {
+      status: generations.STATUS.QUEUED,
+    });
+    assert.strictEqual(gen.status, 'queued');
+  });
+
+  await test('setStatus() moves through intermediate statuses', async () => {
+    const gen = await generations.createGeneration('user-status', '/epstein-photos/test.jpg', {
+      status: generations.STATUS.QUEUED,
+    });
+
+    for (const status of ['validating', 'generating', 'watermarking']) {
+      const updated = await generations.setStatus(gen.id, status);
+      assert.strictEqual(updated.status, status);
+    }
+    assert.strictEqual((await generations.getGeneration(gen.id)).status, 'watermarking');
+  });
+
+  await test('setStatus() rejects unknown statuses', async () => {
+    const gen = await generations.createGeneration('user-status', '/epstein-photos/test.jpg');
+    await assert.rejects(() => generations.setStatus(gen.id, 'bogus'), /Unknown generation status/);
+  });
+
+  await test('setStatus() returns null for non-existent generation', async () => {
+    assert.strictEqual(await generations.setStatus('non-existent-id', 'generating'), null);
+  });
+
+  await test('isTerminal() is true only for completed and failed', async () => {
+    assert.strictEqual(generations.isTerminal('completed'), true);
+    assert.strictEqual(generations.isTerminal('failed'), true);
+    for (const status of ['pending', 'queued', 'validating', 'generating', 'watermarking']) {
+      assert.strictEqual(generations.isTerminal(status), false, `${status} should not be terminal`);
+    }
+  });
+
+  console.log('\nsubscribe():');
+
+  await test('subscribers receive every status change in order', async () => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/test.jpg', {
+      status: generations.STATUS.QUEUED,
+    });
+    const seen = [];
+    const unsubscribe = generations.subscribe(gen.id, (record) => seen.push(record.status));
+
+    await generations.setStatus(gen.id, 'validating');
+    await generations.setStatus(gen.id, 'generating');
+    await generations.setStatus(gen.id, 'watermarking');
+    await generations.completeGeneration(gen.id, '/output/subscribed.png');
+    unsubscribe();
+
+    assert.deepStrictEqual(seen, ['validating', 'generating', 'watermarking', 'completed']);
+  });
+
+  await test('subscribers only receive updates for their generation', async () => {
+    const genA = await generations.createGeneration('user-a', '/epstein-photos/a.jpg');
+    const genB = await generations.createGeneration('user-b', '/epstein-photos/b.jpg');
+    const seen = [];
+    const unsubscribe = generations.subscribe(genA.id, (record) => seen.push(record.id));
+
+    await generations.failGeneration(genB.id, 'TIMEOUT', 'Request timed out');
+    await generations.failGeneration(genA.id, 'NO_FACE', 'No face detected');
+    unsubscribe();
+
+    assert.deepStrictEqual(seen, [genA.id]);
+  });
+
+  await test('published records are copies (listeners cannot mutate the store)', async () => {
+    const gen = await generations.createGeneration('user-copy', '/epstein-photos/test.jpg');
+    const unsubscribe = generations.subscribe(gen.id, (record) => { record.status = 'tampered'; });
+
+    await generations.setStatus(gen.id, 'generating');
+    unsubscribe();
+
+    assert.strictEqual((await generations.getGeneration(gen.id)).status, 'generating');
+  });
+
+  await test('unsubscribe() stops further notifications', async () => {
+    const gen = await generations.createGeneration('user-unsub', '/epstein-photos/test.jpg');
+    let calls = 0;
+    const unsubscribe = generations.subscribe(gen.id, () => calls++);
+
+    await generations.setStatus(gen.id, 'validating');
+    unsubscribe();
+    await generations.setStatus(gen.id, 'generating');
+
+    assert.strictEqual(calls, 1);
+  });
+}
+
 // ============================================
 // INTEGRATION TESTS
 // ============================================
 
-function runIntegrationTests() {
+async function runIntegrationTests() {
   console.log('\n=== Integration Tests ===\n');
 
   generations.clearAll();
 
   console.log('Full workflow tests:');
 
-  test('complete anonymous generation workflow', () => {
+  await test('complete anonymous generation workflow', async () => {
     // 1. Create anonymous generation
-    const gen = generations.createGeneration(null, '/epstein-photos/victim.jpg');
+    const gen = await generations.createGeneration(null, '/epstein-photos/victim.jpg');
     assertExists(gen.viewToken, 'Should have viewToken');
     assertEqual(gen.status, generations.STATUS.PENDING);
 
     // 2. Complete the generation
-    generations.completeGeneration(gen.id, '/output/swapped.png');
+    await generations.completeGeneration(gen.id, '/output/swapped.png');
 
     // 3. Validate access with viewToken
-    const accessResult = generations.validateGenerationAccess(gen.id, null, gen.viewToken);
+    const accessResult = await generations.validateGenerationAccess(gen.id, null, gen.viewToken);
     assertTrue(accessResult.authorized, 'Should be authorized with viewToken');
     assertEqual(accessResult.generation.status, generations.STATUS.COMPLETED);
 
     // 4. Find by resultUrl
-    const found = generations.findByResultUrl('/output/swapped.png');
+    const found = await generations.findByResultUrl('/output/swapped.png');
     assertEqual(found.id, gen.id, 'Should find by resultUrl');
   });
 
-  test('complete authenticated generation workflow', () => {
+  await test('complete authenticated generation workflow', async () => {
     // 1. Create authenticated generation
-    const gen = generations.createGeneration('user-auth-test', '/epstein-photos/victim.jpg');
+    const gen = await generations.createGeneration('user-auth-test', '/epstein-photos/victim.jpg');
     assertNull(gen.viewToken, 'Authenticated should not have viewToken');
     assertEqual(gen.status, generations.STATUS.PENDING);
 
     // 2. Complete the generation
-    generations.completeGeneration(gen.id, '/output/auth-result.png');
+    await generations.completeGeneration(gen.id, '/output/auth-result.png');
 
     // 3. Validate access with userId
-    const accessResult = generations.validateGenerationAccess(gen.id, 'user-auth-test', null);
+    const accessResult = await generations.validateGenerationAccess(gen.id, 'user-auth-test', null);
     assertTrue(accessResult.authorized, 'Owner should be authorized');
     assertEqual(accessResult.generation.status, generations.STATUS.COMPLETED);
 
     // 4. Non-owner cannot access
-    const otherResult = generations.validateGenerationAccess(gen.id, 'other-user', null);
+    const otherResult = await generations.validateGenerationAccess(gen.id, 'other-user', null);
     assertFalse(otherResult.authorized, 'Non-owner should not be authorized');
   });
 
-  test('failed generation workflow', () => {
-    const gen = generations.createGeneration('user-fail-test', '/epstein-photos/victim.jpg');
+  await test('failed generation workflow', async () => {
+    const gen = await generations.createGeneration('user-fail-test', '/epstein-photos/victim.jpg');
 
     // Fail the generation
-    generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content violates policy');
+    await generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content violates policy');
 
     // Can still retrieve and validate access
-    const accessResult = generations.validateGenerationAccess(gen.id, 'user-fail-test', null);
+    const accessResult = await generations.validateGenerationAccess(gen.id, 'user-fail-test', null);
     assertTrue(accessResult.authorized, 'Owner can still access failed generation');
     assertEqual(accessResult.generation.status, generations.STATUS.FAILED);
     assertEqual(accessResult.generation.errorCode, 'SAFETY_BLOCK');
@@ -687,50 +796,402 @@ function runIntegrationTests() {
     assertNull(accessResult.generation.resultUrl, 'Failed gen has no resultUrl');
   });
 
-  test('generation history isolation', () => {
-    const gen1 = generations.createGeneration('user-A', '/epstein-photos/a.jpg');
-    const gen2 = generations.createGeneration('user-B', '/epstein-photos/b.jpg');
-    const gen3 = generations.createGeneration(null, '/epstein-photos/c.jpg');
+  await test('generation history isolation', async () => {
+    const gen1 = await generations.createGeneration('user-A', '/epstein-photos/a.jpg');
+    const gen2 = await generations.createGeneration('user-B', '/epstein-photos/b.jpg');
+    const gen3 = await generations.createGeneration(null, '/epstein-photos/c.jpg');
 
     // User A can only access their generation
     assertTrue(
-      generations.validateGenerationAccess(gen1.id, 'user-A', null).authorized
+      (await generations.validateGenerationAccess(gen1.id, 'user-A', null)).authorized
     );
     assertFalse(
-      generations.validateGenerationAccess(gen2.id, 'user-A', null).authorized
+      (await generations.validateGenerationAccess(gen2.id, 'user-A', null)).authorized
     );
     assertFalse(
-      generations.validateGenerationAccess(gen3.id, 'user-A', null).authorized
+      (await generations.validateGenerationAccess(gen3.id, 'user-A', null)).authorized
     );
 
     // Anonymous can only access anonymous with token
     assertTrue(
-      generations.validateGenerationAccess(gen3.id, null, gen3.viewToken).authorized
+      (await generations.validateGenerationAccess(gen3.id, null, gen3.viewToken)).authorized
     );
     assertFalse(
-      generations.validateGenerationAccess(gen1.id, null, gen3.viewToken).authorized
+      (await generations.validateGenerationAccess(gen1.id, null, gen3.viewToken)).authorized
     );
   });
 }
 
+// ============================================
+// FIND BY PERCEPTUAL HASH TESTS
+// ============================================
+
+async function runFindByPerceptualHashTests() {
+  console.log('\n=== findByPerceptualHash Tests ===\n');
+
+  generations.clearAll();
+
+  const a = await generations.createGeneration(null, '/epstein-photos/hash-a.jpg');
+  await generations.completeGeneration(a.id, '/output/hash-a.png', { perceptualHash: 'ffff0000ffff0000' });
+  const b = await generations.createGeneration(null, '/epstein-photos/hash-b.jpg');
+  await generations.completeGeneration(b.id, '/output/hash-b.png', { perceptualHash: '0000ffff0000ffff' });
+
+  await test('completeGeneration() stores the perceptual hash', async () => {
+    assert.strictEqual((await generations.getGeneration(a.id)).perceptualHash, 'ffff0000ffff0000');
+  });
+
+  await test('exact hash returns distance 0', async () => {
+    const found = await generations.findByPerceptualHash('ffff0000ffff0000', 10);
+    assert.strictEqual(found.generation.id, a.id);
+    assert.strictEqual(found.distance, 0);
+  });
+
+  await test('a match reveals no view token, user or result URL', async () => {
+    const found = await generations.findByPerceptualHash('ffff0000ffff0000', 10);
+    assert.deepStrictEqual(Object.keys(found.generation).sort(), ['createdAt', 'epsteinPhoto', 'id']);
+    assert.strictEqual(found.generation.epsteinPhoto, '/epstein-photos/hash-a.jpg');
+  });
+
+  await test('near hash returns the closest generation and its distance', async () => {
+    const found = await generations.findByPerceptualHash('0000ffff0000fff0', 10);
+    assert.strictEqual(found.generation.id, b.id);
+    assert.strictEqual(found.distance, 4);
+  });
+
+  await test('hashes beyond maxDistance are not matched', async () => {
+    assert.strictEqual(await generations.findByPerceptualHash('ffff0000ffff0fff', 10), null);
+  });
+
+  await test('invalid hashes return null', async () => {
+    assert.strictEqual(await generations.findByPerceptualHash('not-a-hash', 10), null);
+    assert.strictEqual(await generations.findByPerceptualHash(null, 10), null);
+  });
+
+  generations.clearAll();
+}
+
+// ============================================
+// PROMPT VARIANT REPORT TESTS
+// ============================================
+
+async function runPromptVariantReportTests() {
+  console.log('\n=== Prompt Variant Report Tests ===\n');
+
+  generations.clearAll();
+
+  // Two variants of one template: 'a' completes twice and is blocked once;
+  // 'b' fails for no face and hits a rate limit (not a prompt outcome)
+  const finish = async (variant, latencyMs, errorCode = null) => {
+    const gen = await generations.createGeneration(null, '/epstein-photos/variants.jpg');
+    return errorCode
+      ? generations.failGeneration(gen.id, errorCode, 'Failed', { promptVariant: variant, latencyMs })
+      : generations.completeGeneration(gen.id, `/output/${gen.id}.png`, { promptVariant: variant, latencyMs });
+  };
+  await finish('a', 1000);
+  await finish('a', 3000);
+  await finish('a', 500, 'SAFETY_BLOCK');
+  await finish('b', 2000, 'NO_FACE');
+  await finish('b', null, 'RATE_LIMITED');
+  // Never reached the provider (no variant) - left out of the report
+  const invalid = await generations.createGeneration(null, '/epstein-photos/variants.jpg');
+  await generations.failGeneration(invalid.id, 'GENERATION_FAILED', 'Invalid photo selection');
+
+  await test('groups finished generations by photo and variant, skipping those without one', async () => {
+    const report = await generations.getPromptVariantReport();
+    assert.deepStrictEqual(report.map(row => [row.epsteinPhoto, row.promptVariant, row.total]), [
+      ['/epstein-photos/variants.jpg', 'a', 3],
+      ['/epstein-photos/variants.jpg', 'b', 2]
+    ]);
+  });
+
+  await test('success rate counts completed against prompt failures only', async () => {
+    const [a, b] = await generations.getPromptVariantReport();
+
+    assert.strictEqual(a.completed, 2);
+    assert.strictEqual(a.safetyBlocked, 1);
+    assert.strictEqual(a.successRate, 2 / 3);
+    assert.strictEqual(b.noFace, 1);
+    assert.strictEqual(b.otherFailures, 1);
+    assert.strictEqual(b.successRate, 0);
+  });
+
+  await test('average latency covers completed generations', async () => {
+    const [a, b] = await generations.getPromptVariantReport();
+
+    assert.strictEqual(a.avgLatencyMs, 2000);
+    assert.strictEqual(b.avgLatencyMs, null);
+  });
+
+  await test('only generations created since the given date are counted', async () => {
+    const future = new Date(Date.now() + 60000).toISOString();
+    assert.deepStrictEqual(await generations.getPromptVariantReport({ since: future }), []);
+  });
+
+  generations.clearAll();
+}
+
+// ============================================
+// SUPABASE PERSISTENCE TESTS
+// ============================================
+
+/**
+ * Minimal chainable Supabase query builder over an in-memory rows array.
+ * Supports the subset of the query API used by services/generations.js.
+ */
+function createMockSupabaseAdmin() {
+  const rows = [];
+  const calls = [];
+
+  function query(table) {
+    let op = 'select';
+    let payload = null;
+    const filters = [];
+    let orderBy = null;
+    let limitCount = null;
+
+    function run() {
+      calls.push({ table, op, filters: filters.slice() });
+      if (op === 'insert') {
+        const row = { ...payload };
+        rows.push(row);
+        return [row];
+      }
+      let matched = rows.filter(r => filters.every(([col, val]) => r[col] === val));
+      if (op === 'update') {
+        matched.forEach(r => Object.assign(r, payload));
+      }
+      if (orderBy) {
+        const { column, ascending } = orderBy;
+        matched = matched.slice().sort((a, b) =>
+          ascending ? a[column].localeCompare(b[column]) : b[column].localeCompare(a[column])
+        );
+      }
+      if (limitCount !== null) {
+        matched = matched.slice(0, limitCount);
+      }
+      return matched;
+    }
+
+    const builder = {
+      insert(row) { op = 'insert'; payload = row; return builder; },
+      update(row) { op = 'update'; payload = row; return builder; },
+      select() { return builder; },
+      eq(column, value) { filters.push([column, value]); return builder; },
+      order(column, opts = {}) { orderBy = { column, ascending: opts.ascending !== false }; return builder; },
+      limit(n) { limitCount = n; return builder; },
+      single: async () => {
+        const data = run();
+        return data.length === 1
+          ? { data: { ...data[0] }, error: null }
+          : { data: null, error: { message: 'Expected a single row' } };
+      },
+      maybeSingle: async () => {
+        const data = run();
+        return { data: data[0] ? { ...data[0] } : null, error: null };
+      },
+      then(resolve, reject) {
+        return Promise.resolve({ data: run().map(r => ({ ...r })), error: null }).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+
+  // Set mock.rpcHandler to emulate RPCs; by default they are missing
+  const mock = {
+    rows,
+    calls,
+    from: query,
+    rpcHandler: null,
+    rpc: async (name, params) => {
+      calls.push({ rpc: name, params });
+      return mock.rpcHandler
+        ? mock.rpcHandler(name, params)
+        : { data: null, error: { message: `Could not find the function public.${name}` } };
+    },
+  };
+  return mock;
+}
+
+/**
+ * Load a fresh copy of the generations service backed by a mock Supabase client
+ */
+function loadPersistentGenerations(mockAdmin) {
+  const supabasePath = require.resolve('../lib/supabase');
+  const servicePath = require.resolve('../services/generations');
+  const originalSupabase = require.cache[supabasePath];
+  const originalService = require.cache[servicePath];
+
+  require.cache[supabasePath] = {
+    id: supabasePath,
+    filename: supabasePath,
+    loaded: true,
+    exports: { supabaseAdmin: mockAdmin, supabase: null },
+  };
+  delete require.cache[servicePath];
+
+  const service = require('../services/generations');
+
+  // Restore the original modules for the rest of the suite
+  if (originalSupabase) {
+    require.cache[supabasePath] = originalSupabase;
+  } else {
+    delete require.cache[supabasePath];
+  }
+  require.cache[servicePath] = originalService;
+
+  return service;
+}
+
+async function runSupabasePersistenceTests() {
+  console.log('\n=== Supabase Persistence Tests ===\n');
+
+  const mockAdmin = createMockSupabaseAdmin();
+  const persisted = loadPersistentGenerations(mockAdmin);
+
+  await test('isPersistent() is true when Supabase is configured', async () => {
+    assert.strictEqual(persisted.isPersistent(), true);
+    assert.strictEqual(generations.isPersistent(), false, 'Default service should use memory fallback');
+  });
+
+  await test('createGeneration() inserts a row with view_token and model_type', async () => {
+    const gen = await persisted.createGeneration(null, '/epstein-photos/a.jpg', { modelType: 'premium' });
+    const row = mockAdmin.rows.find(r => r.id === gen.id);
+
+    assert.ok(row, 'Row should be inserted');
+    assert.strictEqual(row.view_token, gen.viewToken);
+    assert.strictEqual(row.model_type, 'premium');
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(gen.modelType, 'premium');
+    assert.strictEqual(gen.epsteinPhoto, '/epstein-photos/a.jpg');
+  });
+
+  await test('completeGeneration() sets result_url and completed_at', async () => {
+    const gen = await persisted.createGeneration('user-db-1', '/epstein-photos/b.jpg');
+    const updated = await persisted.completeGeneration(gen.id, '/output/db-complete.png');
+    const row = mockAdmin.rows.find(r => r.id === gen.id);
+
+    assert.strictEqual(updated.status, 'completed');
+    assert.strictEqual(row.result_url, '/output/db-complete.png');
+    assert.ok(row.completed_at, 'completed_at should be set');
+    assert.strictEqual(updated.completedAt, row.completed_at);
+  });
+
+  await test('completeGeneration() stores prompt_variant and latency_ms', async () => {
+    const gen = await persisted.createGeneration('user-db-variant', '/epstein-photos/b.jpg');
+    const updated = await persisted.completeGeneration(gen.id, '/output/db-variant.png', { promptVariant: 'warm', latencyMs: 1234 });
+    const row = mockAdmin.rows.find(r => r.id === gen.id);
+
+    assert.strictEqual(row.prompt_variant, 'warm');
+    assert.strictEqual(row.latency_ms, 1234);
+    assert.strictEqual(updated.promptVariant, 'warm');
+    assert.strictEqual(updated.latencyMs, 1234);
+  });
+
+  await test('failGeneration() stores error_code and error_message', async () => {
+    const gen = await persisted.createGeneration('user-db-1', '/epstein-photos/c.jpg');
+    const updated = await persisted.failGeneration(gen.id, 'SAFETY_BLOCK', 'Blocked');
+    const row = mockAdmin.rows.find(r => r.id === gen.id);
+
+    assert.strictEqual(updated.status, 'failed');
+    assert.strictEqual(row.error_code, 'SAFETY_BLOCK');
+    assert.strictEqual(row.error_message, 'Blocked');
+    assert.ok(row.completed_at, 'completed_at should be set on failure');
+  });
+
+  await test('getGenerations() only returns rows for the requested user', async () => {
+    await persisted.createGeneration('user-db-2', '/epstein-photos/d.jpg');
+    const history = await persisted.getGenerations('user-db-1');
+
+    assert.strictEqual(history.length, 2);
+    assert.ok(history.every(g => g.userId === 'user-db-1'));
+  });
+
+  await test('validateGenerationAccess() reads from Supabase', async () => {
+    const gen = await persisted.createGeneration(null, '/epstein-photos/e.jpg');
+    const ok = await persisted.validateGenerationAccess(gen.id, null, gen.viewToken);
+    const bad = await persisted.validateGenerationAccess(gen.id, null, 'x'.repeat(64));
+
+    assert.strictEqual(ok.authorized, true);
+    assert.strictEqual(bad.authorized, false);
+  });
+
+  await test('findByResultUrl() looks up by result_url', async () => {
+    const found = await persisted.findByResultUrl('/output/db-complete.png');
+    const missing = await persisted.findByResultUrl('/output/missing.png');
+
+    assert.ok(found, 'Generation should be found');
+    assert.strictEqual(found.userId, 'user-db-1');
+    assert.strictEqual(missing, null);
+  });
+
+  await test('completeGeneration() stores perceptual_hash', async () => {
+    const gen = await persisted.createGeneration(null, '/epstein-photos/f.jpg');
+    const updated = await persisted.completeGeneration(gen.id, '/output/db-hash.png', { perceptualHash: '0123456789abcdef' });
+    const row = mockAdmin.rows.find(r => r.id === gen.id);
+
+    assert.strictEqual(row.perceptual_hash, '0123456789abcdef');
+    assert.strictEqual(updated.perceptualHash, '0123456789abcdef');
+  });
+
+  await test('findByPerceptualHash() uses the RPC and maps its row', async () => {
+    const row = mockAdmin.rows.find(r => r.perceptual_hash === '0123456789abcdef');
+    mockAdmin.rpcHandler = (name, params) => ({
+      data: [{ id: row.id, epstein_photo: row.epstein_photo, created_at: row.created_at, distance: 3 }],
+      error: null
+    });
+
+    const found = await persisted.findByPerceptualHash('0123456789abcdee', 10);
+    const call = mockAdmin.calls[mockAdmin.calls.length - 1];
+    mockAdmin.rpcHandler = null;
+
+    assert.strictEqual(call.rpc, 'find_generation_by_perceptual_hash');
+    assert.deepStrictEqual(call.params, { p_hash: '0123456789abcdee', p_max_distance: 10 });
+    assert.deepStrictEqual(found.generation, { id: row.id, epsteinPhoto: row.epstein_photo, createdAt: row.created_at });
+    assert.strictEqual(found.distance, 3);
+  });
+
+  await test('findByPerceptualHash() falls back to exact matches without the RPC', async () => {
+    const exact = await persisted.findByPerceptualHash('0123456789abcdef', 10);
+    const near = await persisted.findByPerceptualHash('0123456789abcdee', 10);
+
+    const row = mockAdmin.rows.find(r => r.perceptual_hash === '0123456789abcdef');
+    assert.strictEqual(exact.distance, 0);
+    assert.strictEqual(exact.generation.id, row.id);
+    assert.strictEqual(exact.generation.viewToken, undefined);
+    assert.strictEqual(near, null);
+  });
+
+  await test('Invalid (non-UUID) ids return null without querying', async () => {
+    const before = mockAdmin.calls.length;
+
+    assert.strictEqual(await persisted.getGeneration('not-a-uuid'), null);
+    assert.strictEqual(await persisted.completeGeneration('not-a-uuid', '/output/x.png'), null);
+    assert.strictEqual(mockAdmin.calls.length, before);
+  });
+}
+
 // ============================================
 // MAIN TEST RUNNER
 // ============================================
 
-function main() {
+async function main() {
   console.log('='.repeat(60));
   console.log('Generations Service Unit Tests');
   console.log('='.repeat(60));
   console.log('');
 
   // Run all test suites
-  runCreateGenerationViewTokenTests();
-  runCompleteGenerationTests();
-  runFailGenerationTests();
-  runValidateGenerationAccessTests();
-  runTimingSafeComparisonTests();
-  runFindByResultUrlTests();
-  runIntegrationTests();
+  await runCreateGenerationViewTokenTests();
+  await runCompleteGenerationTests();
+  await runFailGenerationTests();
+  await runValidateGenerationAccessTests();
+  await runTimingSafeComparisonTests();
+  await runFindByResultUrlTests();
+  await runFindByPerceptualHashTests();
+  await runPromptVariantReportTests();
+  await runJobStatusTests();
+  await runIntegrationTests();
+  await runSupabasePersistenceTests();
 
   // Clean up
   generations.clearAll();
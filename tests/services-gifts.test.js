@@ -0,0 +1,359 @@
+/**
+ * Unit Tests for Gift Codes
+ *
+ * Tests for services/gifts.js and the checkout code that issues gift codes
+ * Run with: node tests/services-gifts.test.js
+ *
+ * Tests cover:
+ * - Issuing: one code per gift pack checkout, credits from the catalog,
+ *   receipt (with the code) to the buyer and an email to the recipient
+ * - Redeeming: credits to the redeemer's ledger, single use, expiry,
+ *   invalid and unknown codes
+ * - Anonymous redemptions held until sign-in (claimHeldGifts)
+ * - Admin listing of outstanding and expired codes
+ * - stripeService.processWebhookEvent for gift pack checkouts
+ *
+ * Uses the in-memory stores (Supabase not configured).
+ */
+
+const assert = require('assert');
+
+const mailer = require('../lib/mailer');
+const gifts = require('../services/gifts');
+const credits = require('../services/credits');
+const emailService = require('../services/email');
+const pricing = require('../services/pricing');
+const stripeService = require('../services/stripe');
+
+const { STATUS, REJECTION } = gifts;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Route mail into an array for the rest of the test
+ * @returns {object[]} Sent messages
+ */
+function captureMail() {
+  const sent = [];
+  mailer.setTransport({ name: 'memory', async send(message) { sent.push(message); } });
+  emailService.clearAll();
+  return sent;
+}
+
+let sessionCounter = 0;
+
+/**
+ * Completed gift pack checkout session
+ */
+function giftSession(metadata = {}) {
+  sessionCounter++;
+  return {
+    id: `cs_gift_${sessionCounter}`,
+    mode: 'payment',
+    amount_total: 500,
+    currency: 'usd',
+    created: 1772323200,
+    customer: 'cus_buyer',
+    customer_details: { email: 'buyer@example.com' },
+    metadata: { userId: 'buyer', type: 'gift', quantity: '1', ...metadata }
+  };
+}
+
+/**
+ * Issue a fresh gift code
+ */
+async function issue(metadata = {}) {
+  return (await gifts.issueGiftCode(giftSession(metadata))).gift;
+}
+
+/**
+ * A moment after a gift's code expires
+ */
+function afterExpiry(gift) {
+  return new Date(new Date(gift.expiresAt).getTime() + 1000);
+}
+
+/**
+ * Reset the stores between tests
+ */
+function reset() {
+  gifts.clearAll();
+  credits.clearAll();
+  return captureMail();
+}
+
+async function runIssueTests() {
+  console.log('\nIssuing:');
+
+  await test('a gift pack checkout issues one code with the catalog credits', async () => {
+    reset();
+    const session = giftSession({ quantity: '2' });
+
+    const first = await gifts.issueGiftCode(session);
+    const retry = await gifts.issueGiftCode(session);
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(retry.created, false);
+    assert.strictEqual(retry.gift.code, first.gift.code);
+    assert.match(first.gift.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.strictEqual(first.gift.credits, 2 * pricing.getProduct('gift_pack').credits);
+    assert.strictEqual(first.gift.status, STATUS.ACTIVE);
+    assert.strictEqual(first.gift.purchaserId, 'buyer');
+  });
+
+  await test('codes expire after the catalog expiresInDays', async () => {
+    reset();
+    const before = Date.now();
+    const gift = await issue();
+    const days = pricing.getProduct('gift_pack').expiresInDays;
+
+    const expiresAt = new Date(gift.expiresAt).getTime();
+    assert.ok(expiresAt >= before + days * DAY_MS && expiresAt <= Date.now() + days * DAY_MS);
+  });
+
+  await test('the buyer gets the code once, the recipient too when given', async () => {
+    const sent = reset();
+    const session = giftSession({ recipientEmail: 'friend@example.com', giftMessage: 'Happy birthday!' });
+
+    await gifts.issueGiftCode(session);
+    await gifts.issueGiftCode(session);
+    const { gift } = await gifts.issueGiftCode(session);
+
+    assert.deepStrictEqual(sent.map(m => m.template), ['gift_receipt', 'gift_received']);
+    assert.strictEqual(sent[0].to, 'buyer@example.com');
+    assert.ok(sent[0].text.includes(gift.code));
+    assert.strictEqual(sent[1].to, 'friend@example.com');
+    assert.ok(sent[1].text.includes(gift.code));
+    assert.ok(sent[1].text.includes('Happy birthday!'));
+    assert.ok(sent[1].text.includes(gifts.getRedeemLink(gift.code)));
+  });
+
+  await test('the generic checkout receipt skips gift packs', async () => {
+    const sent = reset();
+
+    const result = await emailService.sendCheckoutReceipt(giftSession());
+
+    assert.strictEqual(result.queued, false);
+    assert.strictEqual(sent.length, 0);
+  });
+}
+
+async function runRedeemTests() {
+  console.log('\nRedeeming:');
+
+  await test('redeeming adds the credits to the redeemer once', async () => {
+    reset();
+    const gift = await issue();
+
+    const first = await gifts.redeemGiftCode(gift.code.toLowerCase(), { userId: 'friend' });
+    const second = await gifts.redeemGiftCode(gift.code, { userId: 'someone-else' });
+
+    assert.strictEqual(first.redeemed, true);
+    assert.strictEqual(first.held, false);
+    assert.strictEqual(first.credits, gift.credits);
+    assert.strictEqual(first.balance, gift.credits);
+    assert.strictEqual(second.redeemed, false);
+    assert.strictEqual(second.reason, REJECTION.ALREADY_REDEEMED);
+    assert.strictEqual(await credits.getBalance('friend'), gift.credits);
+    assert.strictEqual(await credits.getBalance('someone-else'), 0);
+    assert.strictEqual(await credits.getBalance('buyer'), 0);
+
+    const [entry] = await credits.getLedger('friend');
+    assert.strictEqual(entry.entryType, credits.ENTRY_TYPE.GIFT);
+    assert.strictEqual((await gifts.getGiftCode(gift.code)).redeemedBy, 'friend');
+  });
+
+  await test('concurrent redemptions of one code credit one user', async () => {
+    reset();
+    const gift = await issue();
+
+    const outcomes = await Promise.all(['a', 'b', 'c'].map(userId => gifts.redeemGiftCode(gift.code, { userId })));
+
+    assert.strictEqual(outcomes.filter(outcome => outcome.redeemed).length, 1);
+    const balances = await Promise.all(['a', 'b', 'c'].map(userId => credits.getBalance(userId)));
+    assert.strictEqual(balances.reduce((total, balance) => total + balance, 0), gift.credits);
+  });
+
+  await test('spaces, dashes and case in a typed code are ignored', async () => {
+    reset();
+    const gift = await issue();
+    const typed = ` ${gift.code.replace(/-/g, ' ').toLowerCase()} `;
+
+    assert.strictEqual((await gifts.redeemGiftCode(typed, { userId: 'friend' })).redeemed, true);
+  });
+
+  await test('invalid, unknown and expired codes are refused', async () => {
+    reset();
+    const gift = await issue();
+
+    assert.strictEqual((await gifts.redeemGiftCode('not a code', { userId: 'friend' })).reason, REJECTION.INVALID_CODE);
+    assert.strictEqual((await gifts.redeemGiftCode('AAAA-BBBB-CCCC', { userId: 'friend' })).reason, REJECTION.UNKNOWN_CODE);
+
+    const expired = await gifts.redeemGiftCode(gift.code, { userId: 'friend', now: afterExpiry(gift) });
+    assert.strictEqual(expired.redeemed, false);
+    assert.strictEqual(expired.reason, REJECTION.EXPIRED);
+    assert.strictEqual(await credits.getBalance('friend'), 0);
+    assert.strictEqual((await gifts.getGiftCode(gift.code)).status, STATUS.ACTIVE);
+  });
+}
+
+async function runAnonymousTests() {
+  console.log('\nAnonymous redemptions:');
+
+  const anonId = '11111111-2222-4333-8444-555555555555';
+
+  await test('an anonymous redemption holds the code until sign-in', async () => {
+    reset();
+    const gift = await issue();
+
+    const held = await gifts.redeemGiftCode(gift.code, { anonId });
+    const again = await gifts.redeemGiftCode(gift.code, { anonId: '99999999-2222-4333-8444-555555555555' });
+
+    assert.strictEqual(held.redeemed, true);
+    assert.strictEqual(held.held, true);
+    assert.strictEqual(held.balance, null);
+    assert.strictEqual(again.reason, REJECTION.ALREADY_REDEEMED);
+    assert.strictEqual((await gifts.getGiftCode(gift.code)).status, STATUS.HELD);
+
+    const claim = await gifts.claimHeldGifts(anonId, 'new-user');
+    const claimAgain = await gifts.claimHeldGifts(anonId, 'new-user');
+
+    assert.strictEqual(claim.claimed, 1);
+    assert.strictEqual(claim.credits, gift.credits);
+    assert.strictEqual(claimAgain.claimed, 0);
+    assert.strictEqual(await credits.getBalance('new-user'), gift.credits);
+    assert.strictEqual((await gifts.getGiftCode(gift.code)).status, STATUS.REDEEMED);
+  });
+
+  await test('a held code can still be redeemed by a signed-in user who has it', async () => {
+    reset();
+    const gift = await issue();
+    await gifts.redeemGiftCode(gift.code, { anonId });
+
+    const result = await gifts.redeemGiftCode(gift.code, { userId: 'signed-in' });
+    const claim = await gifts.claimHeldGifts(anonId, 'other-user');
+
+    assert.strictEqual(result.redeemed, true);
+    assert.strictEqual(await credits.getBalance('signed-in'), gift.credits);
+    assert.strictEqual(claim.claimed, 0);
+    assert.strictEqual(await credits.getBalance('other-user'), 0);
+  });
+
+  await test('claiming without held gifts is a no-op', async () => {
+    reset();
+
+    assert.deepStrictEqual(await gifts.claimHeldGifts(anonId, 'user'), { claimed: 0, credits: 0, balance: null });
+    assert.deepStrictEqual(await gifts.claimHeldGifts(null, 'user'), { claimed: 0, credits: 0, balance: null });
+  });
+}
+
+async function runListTests() {
+  console.log('\nAdmin listing:');
+
+  await test('outstanding codes are unredeemed and unexpired, or held', async () => {
+    reset();
+    const active = await issue();
+    const held = await issue();
+    const redeemed = await issue();
+    await gifts.redeemGiftCode(held.code, { anonId: '11111111-2222-4333-8444-555555555555' });
+    await gifts.redeemGiftCode(redeemed.code, { userId: 'friend' });
+
+    const outstanding = (await gifts.listGiftCodes()).map(gift => gift.code).sort();
+    const all = await gifts.listGiftCodes({ status: null });
+    const redeemedOnly = await gifts.listGiftCodes({ status: STATUS.REDEEMED });
+
+    assert.deepStrictEqual(outstanding, [active.code, held.code].sort());
+    assert.strictEqual(all.length, 3);
+    assert.deepStrictEqual(redeemedOnly.map(gift => gift.code), [redeemed.code]);
+
+    const later = afterExpiry(active);
+    const expired = await gifts.listGiftCodes({ status: 'expired', now: later });
+    assert.deepStrictEqual(expired.map(gift => gift.code), [active.code]);
+    assert.deepStrictEqual((await gifts.listGiftCodes({ now: later })).map(gift => gift.code), [held.code]);
+  });
+}
+
+async function runWebhookTests() {
+  console.log('\nWebhook events:');
+
+  await test('checkout.session.completed for a gift pack issues a code, not credits', async () => {
+    const sent = reset();
+    const session = giftSession();
+
+    const result = await stripeService.processWebhookEvent({
+      id: 'evt_gift_checkout',
+      type: 'checkout.session.completed',
+      data: { object: session }
+    });
+
+    const gift = await gifts.getGiftBySession(session.id);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.checkoutType, 'gift');
+    assert.strictEqual(result.creditsAdded, 0);
+    assert.ok(gift);
+    assert.strictEqual(result.giftCredits, gift.credits);
+    assert.strictEqual(await credits.getBalance('buyer'), 0);
+    assert.deepStrictEqual(sent.map(m => m.template), ['gift_receipt']);
+  });
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Gift Code Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await pricing.ready();
+
+  await runIssueTests();
+  await runRedeemTests();
+  await runAnonymousTests();
+  await runListTests();
+  await runWebhookTests();
+
+  mailer.setTransport(null);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,473 @@
+/**
+ * Unit Tests for the Pricing Catalog
+ *
+ * Tests for services/pricing.js and the code that reads it
+ * Run with: node tests/services-pricing.test.js
+ *
+ * Tests cover:
+ * - The bundled config/pricing.json is valid and matches the old hard-coded tiers
+ * - Validation refuses broken catalogs and keeps the current one in use
+ * - Tier aliases, credit costs and Stripe price IDs
+ * - Subscription plans: a subscriber's tier follows the Stripe price they
+ *   pay for (usage checks, checkout and subscription webhooks)
+ * - A catalog change reaches usage checks, config/tiers.js and the
+ *   public pricing, without code changes (including a brand new tier)
+ *
+ * Uses the in-memory store (Supabase not configured).
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const pricing = require('../services/pricing');
+const tiers = require('../config/tiers');
+const usage = require('../services/usage');
+const stripeService = require('../services/stripe');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Run fn with environment variables set (undefined = unset), then restore them
+ */
+async function withEnv(vars, fn) {
+  const saved = {};
+  for (const [name, value] of Object.entries(vars)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name]; else process.env[name] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name]; else process.env[name] = value;
+    }
+  }
+}
+
+/**
+ * A mutable copy of the bundled catalog
+ */
+function bundledCatalog() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'pricing.json'), 'utf8'));
+}
+
+// ============================================
+// BUNDLED CATALOG
+// ============================================
+
+async function runBundledTests() {
+  console.log('\n=== Bundled Catalog ===\n');
+
+  await test('config/pricing.json is valid', () => {
+    assert.deepStrictEqual(pricing.validateCatalog(bundledCatalog()), []);
+    assert.strictEqual(pricing.getVersion().version, bundledCatalog().version);
+  });
+
+  await test('tier limits match the documented quotas', () => {
+    assert.strictEqual(pricing.getTier('anonymous').quickLimit, 3);
+    assert.strictEqual(pricing.getTier('anonymous').premiumLimit, 0);
+    assert.strictEqual(pricing.getTier('free').quickLimit, 5);
+    assert.strictEqual(pricing.getTier('free').premiumLimit, 1);
+    assert.strictEqual(pricing.getTier('base').monthlyLimit, 50);
+    assert.strictEqual(pricing.getTier('base').limit, Infinity);
+    assert.strictEqual(pricing.getTier('base').priceMonthly, 14.99);
+    assert.strictEqual(pricing.getTier('pro').premiumLimit, 150);
+  });
+
+  await test('legacy paid tier is an alias of base', () => {
+    const paid = pricing.getTier('paid');
+    const base = pricing.getTier('base');
+    assert.strictEqual(paid.id, 'paid');
+    assert.strictEqual(paid.monthlyLimit, base.monthlyLimit);
+    assert.strictEqual(paid.sharedPool, true);
+    assert.strictEqual(paid.priceMonthly, base.priceMonthly);
+  });
+
+  await test('credit costs and products', () => {
+    assert.strictEqual(pricing.getCreditCost('quick'), 1);
+    assert.strictEqual(pricing.getCreditCost('premium'), 2);
+    assert.strictEqual(pricing.getProduct('credit_pack').price, 3);
+    assert.strictEqual(pricing.getProduct('credit_pack').credits, 3);
+    assert.strictEqual(pricing.getProduct('watermark_removal').price, 2.99);
+    assert.strictEqual(pricing.getProduct('watermark_removal').credits, 2);
+    assert.strictEqual(pricing.getProduct('nope'), null);
+  });
+
+  await test('config/tiers.js keeps its shape', () => {
+    assert.strictEqual(tiers.free.quickLimit, 5);
+    assert.strictEqual(tiers.base.limit, Infinity);
+    assert.strictEqual(tiers.credit.premiumCost, 2);
+    assert.strictEqual(tiers.credit.pricePerPack, 3);
+    assert.ok(tiers.models.quick.modelId);
+  });
+
+  await test('the catalog cannot be changed in place', () => {
+    const catalog = pricing.getCatalog();
+    assert.ok(Object.isFrozen(catalog.tiers.free));
+    assert.throws(() => { 'use strict'; catalog.tiers.free.quickLimit = 99; });
+    assert.strictEqual(pricing.getTier('free').quickLimit, 5);
+  });
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+async function runValidationTests() {
+  console.log('\n=== Validation ===\n');
+
+  await test('refuses a catalog without a version', () => {
+    const catalog = bundledCatalog();
+    delete catalog.version;
+    assert.ok(pricing.validateCatalog(catalog).some(e => e.startsWith('version')));
+  });
+
+  await test('refuses a missing required tier or product', () => {
+    const catalog = bundledCatalog();
+    delete catalog.tiers.free;
+    delete catalog.products.watermark_removal;
+    const errors = pricing.validateCatalog(catalog);
+    assert.ok(errors.includes('tiers.free is required'));
+    assert.ok(errors.includes('products.watermark_removal is required'));
+  });
+
+  await test('refuses decimal prices (amounts are in cents)', () => {
+    const catalog = bundledCatalog();
+    catalog.plans.base_monthly.amount = 14.99;
+    catalog.products.credit_pack.amount = 3;
+    const errors = pricing.validateCatalog(catalog);
+    assert.deepStrictEqual(errors, ['plans.base_monthly.amount must be a positive integer (cents)']);
+  });
+
+  await test('refuses plans for free or alias tiers, and an unknown default plan', () => {
+    const catalog = bundledCatalog();
+    catalog.plans.free_monthly = { tier: 'free', name: 'Free', amount: 100, interval: 'month', stripePriceId: 'price_x' };
+    catalog.plans.paid_weekly = { tier: 'paid', name: 'Paid', amount: 100, interval: 'week', stripePriceId: 'price_y' };
+    catalog.defaultPlan = 'gold';
+    catalog.tiers.base.price = { amount: 1499, interval: 'month' };
+    const errors = pricing.validateCatalog(catalog);
+    assert.ok(errors.includes('plans.free_monthly.tier must name a paid tier that is not an alias'));
+    assert.ok(errors.includes('plans.paid_weekly.tier must name a paid tier that is not an alias'));
+    assert.ok(errors.includes('plans.paid_weekly.interval must be one of: month, year'));
+    assert.ok(errors.includes('defaultPlan must name one of the plans'));
+    assert.ok(errors.includes('tiers.base.price: subscription prices are listed under plans'));
+  });
+
+  await test('refuses bad limits, flags and aliases', () => {
+    const catalog = bundledCatalog();
+    catalog.tiers.free.quickLimit = -1;
+    catalog.tiers.free.sharedPool = 'yes';
+    catalog.tiers.paid.aliasOf = 'gold';
+    catalog.tiers.anonymous.canPurchaseCredits = true;
+    catalog.referrals.refereeCredits = -1;
+    const errors = pricing.validateCatalog(catalog);
+    assert.ok(errors.includes('referrals.refereeCredits must be a non-negative integer'));
+    assert.ok(errors.includes('tiers.free.quickLimit must be a non-negative integer'));
+    assert.ok(errors.includes('tiers.free.sharedPool must be true or false'));
+    assert.ok(errors.includes('tiers.paid.aliasOf must name a tier that is not itself an alias'));
+    assert.ok(errors.some(e => e.startsWith('tiers.anonymous.canPurchaseCredits')));
+  });
+
+  await test('setCatalog refuses an invalid catalog and keeps the current one', () => {
+    const catalog = bundledCatalog();
+    catalog.version = 99;
+    catalog.credits.premiumCost = 0;
+    assert.throws(() => pricing.setCatalog(catalog, 'test'), /credits\.premiumCost/);
+    assert.strictEqual(pricing.getVersion().version, bundledCatalog().version);
+    assert.strictEqual(pricing.getCreditCost('premium'), 2);
+  });
+
+  await test('loadCatalogFile reports unreadable and invalid files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+    const file = path.join(dir, 'pricing.json');
+    try {
+      assert.throws(() => pricing.loadCatalogFile(file), /Could not read pricing catalog/);
+      fs.writeFileSync(file, JSON.stringify({ version: 2 }));
+      assert.throws(() => pricing.loadCatalogFile(file), /Invalid pricing catalog/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.strictEqual(pricing.getVersion().version, bundledCatalog().version);
+  });
+}
+
+// ============================================
+// CATALOG CHANGES
+// ============================================
+
+async function runChangeTests() {
+  console.log('\n=== Catalog Changes ===\n');
+
+  await test('a new catalog version changes usage checks and config/tiers.js', () => {
+    const catalog = bundledCatalog();
+    catalog.version = 100;
+    catalog.tiers.free.quickLimit = 10;
+    catalog.credits.premiumCost = 3;
+    pricing.setCatalog(catalog, 'test');
+
+    assert.strictEqual(pricing.getVersion().version, 100);
+    assert.strictEqual(tiers.free.quickLimit, 10);
+    assert.strictEqual(tiers.credit.premiumCost, 3);
+
+    const profile = { quick_count: 7, premium_count: 1, credit_balance: 2 };
+    assert.strictEqual(usage.checkModelUsage('user-1', profile, 'quick').canGenerate, true);
+    // 2 credits no longer pay for a premium generation
+    assert.strictEqual(usage.checkModelUsage('user-1', profile, 'premium').canGenerate, false);
+  });
+
+  await test('a tier added to the catalog works without code changes', () => {
+    const catalog = bundledCatalog();
+    catalog.version = 101;
+    catalog.tiers.gold = {
+      name: 'Gold',
+      description: '200 watermark-free images per month',
+      limit: null,
+      monthlyLimit: 200,
+      quickLimit: 200,
+      premiumLimit: 200,
+      sharedPool: true,
+      watermarkFree: true,
+      canPurchaseCredits: true
+    };
+    catalog.plans.gold_monthly = { tier: 'gold', name: 'Gold Monthly', amount: 4999, interval: 'month', stripePriceId: 'price_gold_test' };
+    pricing.setCatalog(catalog, 'test');
+
+    assert.strictEqual(tiers.gold.monthlyLimit, 200);
+    assert.strictEqual(pricing.requireStripePriceId('plan', 'gold_monthly'), 'price_gold_test');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'base', stripe_price_id: 'price_gold_test' }), 'gold');
+
+    const goldTier = pricing.getPublicPricing().tiers.find(t => t.id === 'gold');
+    assert.strictEqual(goldTier.priceMonthly, 49.99);
+    assert.deepStrictEqual(goldTier.plans, ['gold_monthly']);
+    assert.strictEqual(goldTier.limit, 'unlimited');
+  });
+
+  await test('tiers sold only annually are shown per month', () => {
+    const catalog = bundledCatalog();
+    delete catalog.plans.base_monthly;
+    catalog.defaultPlan = 'base_annual';
+    pricing.setCatalog(catalog, 'test');
+    assert.strictEqual(pricing.getTier('base').priceMonthly, 11.99);
+    assert.strictEqual(pricing.getPublicPricing().pricing.subscription.priceMonthly, 11.99);
+  });
+
+  await test('reload goes back to the catalog file', async () => {
+    const loaded = await pricing.reload();
+    assert.strictEqual(loaded.version, bundledCatalog().version);
+    assert.strictEqual(tiers.free.quickLimit, 5);
+    assert.strictEqual(tiers.gold, undefined);
+  });
+}
+
+// ============================================
+// SUBSCRIPTION PLANS
+// ============================================
+
+const PLAN_PRICES = {
+  STRIPE_PRICE_BASE: 'price_base_monthly',
+  STRIPE_PRICE_ID: undefined,
+  STRIPE_PRICE_BASE_ANNUAL: 'price_base_annual',
+  STRIPE_PRICE_PRO: 'price_pro_monthly'
+};
+
+async function runPlanTests() {
+  console.log('\n=== Subscription Plans ===\n');
+
+  await test('bundled plans: Base monthly and annual, Pro', () => {
+    assert.deepStrictEqual(pricing.getPlans().map(p => p.id), ['base_monthly', 'base_annual', 'pro_monthly']);
+    assert.strictEqual(pricing.getDefaultPlan().id, 'base_monthly');
+
+    const annual = pricing.getPlan('base_annual');
+    assert.strictEqual(annual.tier, 'base');
+    assert.strictEqual(annual.price, 143.88);
+    assert.strictEqual(annual.priceMonthly, 11.99);
+    assert.strictEqual(pricing.getPlan('pro_monthly').tier, 'pro');
+    assert.strictEqual(pricing.getPlan('gold'), null);
+  });
+
+  await test('plans are found by their Stripe price', () => withEnv(PLAN_PRICES, () => {
+    assert.strictEqual(pricing.getPlanByStripePrice('price_base_annual').id, 'base_annual');
+    assert.strictEqual(pricing.getPlanByStripePrice('price_pro_monthly').id, 'pro_monthly');
+    assert.strictEqual(pricing.getPlanByStripePrice('price_unknown'), null);
+    assert.strictEqual(pricing.getPlanByStripePrice(null), null);
+  }));
+
+  await test('subscription tier follows the price while the subscription is active', () => withEnv(PLAN_PRICES, () => {
+    assert.strictEqual(pricing.getSubscriptionTier('price_pro_monthly', 'active'), 'pro');
+    assert.strictEqual(pricing.getSubscriptionTier('price_base_annual', 'trialing'), 'base');
+    assert.strictEqual(pricing.getSubscriptionTier('price_pro_monthly', 'past_due'), 'free');
+    // Prices outside the catalog (e.g. retired ones) keep the Base tier
+    assert.strictEqual(pricing.getSubscriptionTier('price_retired', 'active'), 'base');
+  }));
+
+  await test('getUserTier resolves the tier from the subscribed price', () => withEnv(PLAN_PRICES, () => {
+    const proProfile = { tier: 'base', stripe_price_id: 'price_pro_monthly', subscription_status: 'active' };
+    assert.strictEqual(usage.getUserTier('user-1', proProfile), 'pro');
+    assert.strictEqual(usage.getUserTier('user-1', { ...proProfile, subscription_status: null }), 'pro');
+    assert.strictEqual(usage.getUserTier('user-1', { ...proProfile, tier: 'free', subscription_status: 'canceled' }), 'free');
+
+    // Pro's larger shared pool applies
+    const usedProfile = { ...proProfile, monthly_generation_count: 100, monthly_reset_at: new Date(Date.now() + 86400000).toISOString() };
+    assert.strictEqual(usage.checkModelUsage('user-1', usedProfile, 'premium').canGenerate, true);
+  }));
+
+  await test('getUserTier keeps legacy profiles and ignores unknown tiers', () => {
+    assert.strictEqual(usage.getUserTier(null, { tier: 'pro' }), 'anonymous');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'base' }), 'base');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'paid' }), 'paid');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'free', subscription_status: 'active' }), 'paid');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'pro' }), 'pro');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'gold' }), 'free');
+    assert.strictEqual(usage.getUserTier('user-1', { tier: 'anonymous' }), 'free');
+  });
+
+  await test('checkout completion records the plan\'s tier and price', () => withEnv(PLAN_PRICES, async () => {
+    const result = await stripeService.handleWebhook({
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_plan', mode: 'subscription', customer: 'cus_plan', subscription: 'sub_plan', metadata: { userId: 'plan-user', type: 'subscription', plan: 'pro_monthly' } } }
+    });
+    assert.strictEqual(result.tier, 'pro');
+    assert.strictEqual(result.stripe_price_id, 'price_pro_monthly');
+    assert.strictEqual(stripeService.getUser('plan-user').tier, 'pro');
+
+    // Sessions from before plans get the default plan
+    const legacy = await stripeService.handleWebhook({
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_legacy', mode: 'subscription', customer: 'cus_legacy', subscription: 'sub_legacy', metadata: { userId: 'legacy-user' } } }
+    });
+    assert.strictEqual(legacy.tier, 'base');
+    assert.strictEqual(legacy.stripe_price_id, 'price_base_monthly');
+  }));
+
+  await test('subscription updates move the user to the new plan\'s tier', () => withEnv(PLAN_PRICES, async () => {
+    const subscriptionEvent = (priceId, status) => ({
+      type: 'customer.subscription.updated',
+      data: { object: { id: 'sub_plan', customer: 'cus_plan', status, metadata: { userId: 'plan-user' }, items: { data: [{ id: 'si_1', price: { id: priceId } }] } } }
+    });
+
+    const downgrade = await stripeService.handleWebhook(subscriptionEvent('price_base_annual', 'active'));
+    assert.strictEqual(downgrade.tier, 'base');
+    assert.strictEqual(downgrade.stripe_price_id, 'price_base_annual');
+    assert.strictEqual(downgrade.subscription_status, 'active');
+
+    const upgrade = await stripeService.handleWebhook(subscriptionEvent('price_pro_monthly', 'active'));
+    assert.strictEqual(upgrade.tier, 'pro');
+    assert.strictEqual(stripeService.getUser('plan-user').tier, 'pro');
+
+    const unpaid = await stripeService.handleWebhook(subscriptionEvent('price_pro_monthly', 'unpaid'));
+    assert.strictEqual(unpaid.tier, 'free');
+  }));
+
+  await test('plans are sold by plan ID', () => withEnv(PLAN_PRICES, () => {
+    assert.strictEqual(pricing.requireStripePriceId('plan', 'base_annual'), 'price_base_annual');
+    assert.strictEqual(pricing.requireStripePriceId('plan', 'pro_monthly'), 'price_pro_monthly');
+  }));
+}
+
+// ============================================
+// STRIPE PRICES & PUBLIC PRICING
+// ============================================
+
+async function runPublicTests() {
+  console.log('\n=== Stripe Prices & Public Pricing ===\n');
+
+  await test('Stripe price IDs come from the variables the catalog names', async () => {
+    await withEnv({ STRIPE_PRICE_BASE: undefined, STRIPE_PRICE_ID: 'price_legacy' }, () => {
+      assert.strictEqual(pricing.requireStripePriceId('plan', 'base_monthly'), 'price_legacy');
+    });
+    await withEnv({ STRIPE_PRICE_BASE: 'price_base', STRIPE_PRICE_ID: 'price_legacy' }, () => {
+      assert.strictEqual(pricing.requireStripePriceId('plan', 'base_monthly'), 'price_base');
+    });
+    await withEnv({ STRIPE_PRICE_BASE: undefined, STRIPE_PRICE_ID: undefined }, () => {
+      assert.throws(() => pricing.requireStripePriceId('plan', 'base_monthly'), /^Error: STRIPE_PRICE_BASE not configured$/);
+    });
+  });
+
+  await test('unknown plans and products cannot be sold', () => {
+    assert.throws(() => pricing.requireStripePriceId('plan', 'free'), /no plan 'free' for sale/);
+    assert.throws(() => pricing.requireStripePriceId('product', 'gift'), /no product 'gift' for sale/);
+  });
+
+  await test('public pricing lists every tier and leaves out Stripe price IDs', () => {
+    const { tiers: publicTiers, pricing: publicPricing } = pricing.getPublicPricing();
+
+    assert.deepStrictEqual(publicTiers.map(t => t.id), ['anonymous', 'free', 'base', 'pro', 'paid']);
+    for (const tier of publicTiers) {
+      assert.ok(tier.name && tier.description !== undefined && tier.limit !== undefined);
+    }
+    assert.strictEqual(publicPricing.version, bundledCatalog().version);
+    assert.strictEqual(publicPricing.subscription.priceMonthly, 14.99);
+    assert.strictEqual(publicPricing.subscription.plan, 'base_monthly');
+    assert.deepStrictEqual(publicPricing.plans.map(p => [p.id, p.tier, p.interval]), [
+      ['base_monthly', 'base', 'month'],
+      ['base_annual', 'base', 'year'],
+      ['pro_monthly', 'pro', 'month']
+    ]);
+    assert.strictEqual(publicPricing.credit.pricePerCredit, 1);
+    assert.strictEqual(publicPricing.watermarkRemoval.price, 2.99);
+    assert.deepStrictEqual(publicPricing.referral, { referrerCredits: 2, refereeCredits: 2 });
+    assert.ok(!JSON.stringify(publicPricing).includes('stripePrice'));
+    assert.ok(!JSON.stringify(publicTiers).includes('priceId'));
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Pricing Catalog Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runBundledTests();
+  await runValidationTests();
+  await runChangeTests();
+  await runPlanTests();
+  await runPublicTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
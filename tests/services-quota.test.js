@@ -0,0 +1,337 @@
+/**
+ * Unit Tests for Quota Reservations
+ *
+ * Tests for services/quota.js, the reservation hooks in the rate limit
+ * middleware and the quota gate in /api/generate
+ * Run with: node tests/services-quota.test.js
+ *
+ * Tests cover:
+ * - Holds count against the quota/credits, so parallel requests can't all
+ *   spend the last generation
+ * - Released and expired holds stop counting; committed ones are counted usage
+ * - Credits are held once the quota is used up; base/paid hold the monthly pool
+ * - Anonymous holds match on the session or the IP
+ * - /api/generate (Vercel handler, fake provider): parallel requests with one
+ *   generation left get one generation; failed generations give it back
+ *
+ * Uses the in-memory store (Supabase not configured).
+ */
+
+// Must be set before the api/ handler (and providers) are loaded
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_SCENARIO = '';
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const quota = require('../services/quota');
+const usage = require('../services/usage');
+const credits = require('../services/credits');
+const fakeProvider = require('../providers/fake');
+const { createRateLimitMiddleware } = require('../middleware/rateLimit');
+const { listTemplates } = require('../services/templates');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+// Free user with one quick generation left and no credits
+function freeProfile(overrides = {}) {
+  return { id: 'user-a', tier: 'free', quick_count: 4, premium_count: 0, generation_count: 4, credit_balance: 0, ...overrides };
+}
+
+// ============================================
+// RESERVATIONS
+// ============================================
+
+async function runReservationTests() {
+  console.log('\n=== Reservations ===\n');
+
+  const owner = { userId: 'user-a' };
+
+  await test('uses the in-memory store without Supabase', () => {
+    assert.strictEqual(quota.isPersistent(), false);
+  });
+
+  await test('parallel reservations for the last generation: only one is held', async () => {
+    quota.clearAll();
+    const attempts = await Promise.all([1, 2, 3, 4, 5].map(() => quota.reserve(owner, freeProfile(), 'quick')));
+    const held = attempts.filter(a => a.reserved);
+    assert.strictEqual(held.length, 1);
+    assert.strictEqual(held[0].reservation.pool, quota.POOL.QUICK);
+    attempts.filter(a => !a.reserved).forEach(a => assert.strictEqual(a.reason, quota.REFUSAL.EXHAUSTED));
+  });
+
+  await test('a released hold frees the generation', async () => {
+    quota.clearAll();
+    const first = await quota.reserve(owner, freeProfile(), 'quick');
+    assert.strictEqual(await quota.releaseReservation(first.reservation), true);
+    assert.strictEqual(await quota.releaseReservation(first.reservation), false);
+    assert.strictEqual((await quota.reserve(owner, freeProfile(), 'quick')).reserved, true);
+  });
+
+  await test('a committed hold is settled once', async () => {
+    quota.clearAll();
+    const { reservation } = await quota.reserve(owner, freeProfile(), 'quick');
+    assert.deepStrictEqual(await quota.commitReservation(reservation, 'gen-1'), { committed: true, reason: null, counts: null });
+    assert.strictEqual((await quota.commitReservation(reservation, 'gen-1')).reason, quota.REFUSAL.ALREADY_COMMITTED);
+    assert.strictEqual(await quota.releaseReservation(reservation), false);
+    assert.strictEqual(quota.getReservation(reservation.id).generationId, 'gen-1');
+  });
+
+  await test('a hold nobody settles expires', async () => {
+    quota.clearAll();
+    const { reservation } = await quota.reserve(owner, freeProfile(), 'quick');
+    assert.strictEqual((await quota.reserve(owner, freeProfile(), 'quick')).reserved, false);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + quota.RESERVATION_TTL_MS + 1;
+    try {
+      assert.strictEqual(quota.getReservation(reservation.id).status, quota.STATUS.EXPIRED);
+      assert.strictEqual((await quota.reserve(owner, freeProfile(), 'quick')).reserved, true);
+      // The generation did happen - a late commit still counts
+      assert.strictEqual((await quota.commitReservation(reservation, 'gen-late')).committed, true);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  await test('credits are held once the quota is used up', async () => {
+    quota.clearAll();
+    const profile = freeProfile({ quick_count: 5, credit_balance: 1 });
+    const attempts = await Promise.all([1, 2, 3].map(() => quota.reserve(owner, profile, 'quick')));
+    const held = attempts.filter(a => a.reserved);
+    assert.strictEqual(held.length, 1);
+    assert.strictEqual(held[0].reservation.pool, quota.POOL.CREDITS);
+    assert.strictEqual(held[0].reservation.creditCost, 1);
+  });
+
+  await test('premium holds use the premium quota, then 2 credits', async () => {
+    quota.clearAll();
+    const profile = freeProfile({ credit_balance: 3 });
+    const pools = [];
+    for (let i = 0; i < 3; i++) {
+      const attempt = await quota.reserve(owner, profile, 'premium');
+      pools.push(attempt.reserved ? attempt.reservation.pool : attempt.reason);
+    }
+    assert.deepStrictEqual(pools, [quota.POOL.PREMIUM, quota.POOL.CREDITS, quota.REFUSAL.EXHAUSTED]);
+  });
+
+  await test('base tier holds the shared monthly pool', async () => {
+    quota.clearAll();
+    const profile = { id: 'user-b', tier: 'base', monthly_generation_count: 49, credit_balance: 0 };
+    const first = await quota.reserve({ userId: 'user-b' }, profile, 'premium');
+    assert.strictEqual(first.reservation.pool, quota.POOL.MONTHLY);
+    assert.strictEqual((await quota.reserve({ userId: 'user-b' }, profile, 'quick')).reserved, false);
+  });
+
+  await test('users hold separately', async () => {
+    quota.clearAll();
+    assert.strictEqual((await quota.reserve(owner, freeProfile(), 'quick')).reserved, true);
+    assert.strictEqual((await quota.reserve({ userId: 'user-c' }, freeProfile({ id: 'user-c' }), 'quick')).reserved, true);
+  });
+
+  await test('anonymous holds match the session or the IP', async () => {
+    quota.clearAll();
+    usage.resetAnonymousUsage('198.51.100.7');
+    const reserveAnon = anonId => quota.reserve({ anonId, ipAddress: '198.51.100.7' }, null, 'quick');
+
+    // Anonymous: 3 quick - a new cookie per request doesn't get a fourth
+    const attempts = await Promise.all(['anon-1', 'anon-2', 'anon-3', 'anon-4'].map(reserveAnon));
+    assert.strictEqual(attempts.filter(a => a.reserved).length, 3);
+    assert.strictEqual((await quota.reserve({ anonId: 'anon-5', ipAddress: '198.51.100.8' }, null, 'quick')).reserved, true);
+  });
+}
+
+// ============================================
+// RATE LIMIT MIDDLEWARE
+// ============================================
+
+async function runMiddlewareTests() {
+  console.log('\n=== Rate Limit Middleware ===\n');
+
+  // Run the middleware for a free user and return its req/res
+  async function start(profile) {
+    const profileUpdates = [];
+    const middleware = createRateLimitMiddleware({
+      getProfile: async () => profile,
+      updateProfile: async (userId, updates) => profileUpdates.push(updates)
+    });
+    const req = { user: { id: profile.id }, body: {}, headers: {}, ip: '203.0.113.9' };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json: data => data
+    };
+    await middleware(req, res, () => {});
+    return { req, res, profileUpdates };
+  }
+
+  await test('refused reservation returns the 429 body', async () => {
+    quota.clearAll();
+    const profile = freeProfile();
+    const first = await start(profile);
+    const second = await start(profile);
+
+    assert.deepStrictEqual(await first.req.reserveUsage('quick'), { reserved: true, body: null });
+    const refused = await second.req.reserveUsage('quick');
+    assert.strictEqual(refused.reserved, false);
+    assert.strictEqual(refused.body.code, 'RATE_LIMITED');
+    assert.strictEqual(refused.body.tier, 'free');
+  });
+
+  await test('error responses release the hold', async () => {
+    quota.clearAll();
+    const profile = freeProfile();
+    const first = await start(profile);
+    await first.req.reserveUsage('quick');
+    await first.res.status(500).json({ error: 'Generation failed' });
+
+    const second = await start(profile);
+    assert.strictEqual((await second.req.reserveUsage('quick')).reserved, true);
+  });
+
+  await test('success commits the hold and counts the usage', async () => {
+    quota.clearAll();
+    const profile = freeProfile();
+    const { req, res, profileUpdates } = await start(profile);
+    await req.reserveUsage('quick');
+    const body = await res.json({ success: true, generationId: 'gen-m' });
+
+    assert.strictEqual(profileUpdates.length, 1);
+    assert.strictEqual(profileUpdates[0].quick_count, 5);
+    assert.strictEqual(body.usage.quickRemaining, 0);
+  });
+
+  await test('credit holds are charged to the ledger on commit', async () => {
+    quota.clearAll();
+    credits.clearAll();
+    await credits.grantCredits('user-a', 2, { stripeSessionId: 'cs_quota' });
+    const profile = freeProfile({ quick_count: 5, premium_count: 1, credit_balance: 2 });
+    const { req, res } = await start(profile);
+    await req.reserveUsage('premium');
+
+    // The held credits aren't available to a parallel request
+    assert.strictEqual((await (await start(profile)).req.reserveUsage('quick')).reserved, false);
+
+    await res.json({ success: true, generationId: 'gen-credit' });
+    assert.strictEqual(await credits.getBalance('user-a'), 0);
+    const [entry] = await credits.getLedger('user-a');
+    assert.strictEqual(entry.generationId, 'gen-credit');
+  });
+}
+
+// ============================================
+// GENERATE ROUTE
+// ============================================
+
+async function runGenerateRouteTests() {
+  console.log('\n=== /api/generate Quota Gate ===\n');
+
+  const handler = require('../api/generate');
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const [galleryPhoto] = listTemplates();
+  const userPhoto = fs.readFileSync(path.join(FIXTURES_DIR, 'gradient-256.png'));
+
+  async function generate() {
+    const formData = new FormData();
+    formData.append('userPhoto', new Blob([userPhoto], { type: 'image/png' }), 'photo.png');
+    formData.append('epsteinPhoto', galleryPhoto.path);
+    const response = await fetch(`${baseUrl}/api/generate`, { method: 'POST', body: formData });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Anonymous visitor from this IP with one quick generation left
+  function oneLeft() {
+    quota.clearAll();
+    usage.resetAnonymousUsage('127.0.0.1');
+    usage.incrementUsage(null, null, '127.0.0.1', 'quick');
+    usage.incrementUsage(null, null, '127.0.0.1', 'quick');
+  }
+
+  try {
+    await test('failed generation gives the last generation back', async () => {
+      oneLeft();
+      fakeProvider.queueScenarios('error');
+      const failedAttempt = await generate();
+      assert.strictEqual(failedAttempt.status, 500);
+
+      const retry = await generate();
+      assert.strictEqual(retry.status, 200, JSON.stringify(retry.body));
+      assert.strictEqual(retry.body.usage.quickRemaining, 0);
+    });
+
+    await test('parallel requests with one generation left get one generation', async () => {
+      oneLeft();
+      const responses = await Promise.all([1, 2, 3, 4].map(() => generate()));
+      const statuses = responses.map(r => r.status).sort();
+      assert.deepStrictEqual(statuses, [200, 429, 429, 429]);
+      responses.filter(r => r.status === 429).forEach(r => assert.strictEqual(r.body.code, 'RATE_LIMITED'));
+    });
+  } finally {
+    fakeProvider.clearScenarios();
+    server.close();
+  }
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Quota Reservation Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runReservationTests();
+  await runMiddlewareTests();
+  await runGenerateRouteTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,330 @@
+/**
+ * Unit Tests for Referrals
+ *
+ * Tests for services/referrals.js and the checkout code that rewards referrals
+ * Run with: node tests/services-referrals.test.js
+ *
+ * Tests cover:
+ * - Referral codes and links (one per user, created on first use)
+ * - Claims: one per referee; self-referrals, same-device referrals, old
+ *   accounts and existing customers are refused; per IP prefix and per
+ *   referrer caps
+ * - Rewards: both sides get credits on the referee's first paid purchase,
+ *   once; free (fully discounted) checkouts don't count
+ * - stripeService.processWebhookEvent rewards after a completed checkout
+ *
+ * Uses the in-memory stores (Supabase not configured).
+ */
+
+const assert = require('assert');
+
+const referrals = require('../services/referrals');
+const credits = require('../services/credits');
+const pricing = require('../services/pricing');
+const stripeService = require('../services/stripe');
+
+const { STATUS, REJECTION } = referrals;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+let ipCounter = 0;
+
+/**
+ * Signals of a distinct device (a new IP prefix each call unless given)
+ */
+function device(overrides = {}) {
+  ipCounter++;
+  return {
+    ipAddress: `10.${Math.floor(ipCounter / 250)}.${ipCounter % 250}.7`,
+    userAgent: `Mozilla/5.0 (device ${ipCounter})`,
+    fingerprint: null,
+    anonId: null,
+    ...overrides
+  };
+}
+
+/**
+ * Claim options for a brand new account on its own device
+ */
+function newAccount(overrides = {}) {
+  return {
+    signals: device(),
+    accountCreatedAt: new Date().toISOString(),
+    isExistingCustomer: false,
+    ...overrides
+  };
+}
+
+/**
+ * Ledger entries of one type for a user
+ */
+async function ledgerAmounts(userId, entryType) {
+  const entries = await credits.getLedger(userId);
+  return entries.filter(entry => entry.entryType === entryType).map(entry => entry.amount);
+}
+
+function reset() {
+  referrals.clearAll();
+  credits.clearAll();
+}
+
+// ============================================
+// CODES
+// ============================================
+
+async function runCodeTests() {
+  console.log('\n=== Referral Codes ===\n');
+
+  await test('each user gets one stable code and a link', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    assert.strictEqual(await referrals.getReferralCode('referrer-1', device()), code);
+    assert.notStrictEqual(await referrals.getReferralCode('referrer-2', device()), code);
+    assert.strictEqual(referrals.normalizeCode(code), code);
+    assert.ok(referrals.getReferralLink(code).endsWith(`/?ref=${code}`));
+  });
+
+  await test('codes are matched case-insensitively and malformed ones refused', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    assert.strictEqual(referrals.normalizeCode(` ${code.toLowerCase()} `), code);
+    assert.strictEqual(referrals.normalizeCode('short'), null);
+    assert.strictEqual(referrals.normalizeCode('<script>x'), null);
+    assert.strictEqual(referrals.normalizeCode(null), null);
+  });
+}
+
+// ============================================
+// CLAIMS
+// ============================================
+
+async function runClaimTests() {
+  console.log('\n=== Claims ===\n');
+
+  await test('a new user claims a referral once', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+
+    const first = await referrals.claimReferral('referee-1', code, newAccount());
+    assert.strictEqual(first.claimed, true);
+    assert.strictEqual(first.referral.status, STATUS.PENDING);
+    assert.strictEqual(first.referral.referrerId, 'referrer-1');
+
+    const other = await referrals.getReferralCode('referrer-2', device());
+    const second = await referrals.claimReferral('referee-1', other, newAccount());
+    assert.strictEqual(second.claimed, false);
+    assert.strictEqual(second.reason, 'already_referred');
+    assert.strictEqual((await referrals.getReferral('referee-1')).referrerId, 'referrer-1');
+  });
+
+  await test('unknown and malformed codes are not stored', async () => {
+    reset();
+    assert.strictEqual((await referrals.claimReferral('referee-1', 'ABCDEFGH', newAccount())).reason, 'unknown_code');
+    assert.strictEqual((await referrals.claimReferral('referee-1', '', newAccount())).reason, 'invalid_code');
+    assert.strictEqual(await referrals.getReferral('referee-1'), null);
+  });
+
+  await test('self-referrals are refused and recorded', async () => {
+    reset();
+    const code = await referrals.getReferralCode('user-1', device());
+    const result = await referrals.claimReferral('user-1', code, newAccount());
+    assert.strictEqual(result.claimed, false);
+    assert.strictEqual(result.reason, REJECTION.SELF);
+    assert.strictEqual((await referrals.getReferral('user-1')).status, STATUS.REJECTED);
+  });
+
+  await test('referrals from the referrer\'s own device are refused', async () => {
+    reset();
+    const referrerDevice = device({ fingerprint: 'fp-referrer', anonId: '6f1c2a9e-1111-4aaa-8bbb-123456789abc' });
+    const code = await referrals.getReferralCode('referrer-1', referrerDevice);
+
+    const sameFingerprint = await referrals.claimReferral('referee-1', code, newAccount({ signals: device({ fingerprint: 'fp-referrer' }) }));
+    assert.strictEqual(sameFingerprint.reason, REJECTION.SAME_DEVICE);
+
+    const sameAnonId = await referrals.claimReferral('referee-2', code, newAccount({ signals: device({ anonId: referrerDevice.anonId }) }));
+    assert.strictEqual(sameAnonId.reason, REJECTION.SAME_DEVICE);
+
+    // Same /24 and browser
+    const sameBrowser = await referrals.claimReferral('referee-3', code, newAccount({
+      signals: device({ ipAddress: referrerDevice.ipAddress.replace(/\.7$/, '.99'), userAgent: referrerDevice.userAgent })
+    }));
+    assert.strictEqual(sameBrowser.reason, REJECTION.SAME_DEVICE);
+  });
+
+  await test('only new accounts without purchases can be referred', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+
+    assert.strictEqual((await referrals.claimReferral('old-user', code, newAccount({ accountCreatedAt: eightDaysAgo }))).reason, REJECTION.ACCOUNT_TOO_OLD);
+    assert.strictEqual((await referrals.claimReferral('no-date', code, newAccount({ accountCreatedAt: undefined }))).reason, REJECTION.ACCOUNT_TOO_OLD);
+    assert.strictEqual((await referrals.claimReferral('customer', code, newAccount({ isExistingCustomer: true }))).reason, REJECTION.EXISTING_CUSTOMER);
+  });
+
+  await test('claims from one IP prefix are capped', async () => {
+    reset();
+    const sharedIp = { ipAddress: '203.0.113.5' };
+    for (let i = 0; i < referrals.MAX_CLAIMS_PER_IP_PREFIX; i++) {
+      const code = await referrals.getReferralCode(`referrer-${i}`, device());
+      const result = await referrals.claimReferral(`referee-${i}`, code, newAccount({ signals: device(sharedIp) }));
+      assert.strictEqual(result.claimed, true);
+    }
+
+    const code = await referrals.getReferralCode('referrer-x', device());
+    const refused = await referrals.claimReferral('referee-x', code, newAccount({ signals: device({ ipAddress: '203.0.113.200' }) }));
+    assert.strictEqual(refused.reason, REJECTION.IP_CAP);
+  });
+
+  await test('claims of one referrer\'s code are capped per day', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    for (let i = 0; i < referrals.MAX_CLAIMS_PER_REFERRER_PER_DAY; i++) {
+      assert.strictEqual((await referrals.claimReferral(`referee-${i}`, code, newAccount())).claimed, true);
+    }
+    const refused = await referrals.claimReferral('referee-extra', code, newAccount());
+    assert.strictEqual(refused.reason, REJECTION.REFERRER_DAILY_CAP);
+  });
+}
+
+// ============================================
+// REWARDS
+// ============================================
+
+async function runRewardTests() {
+  console.log('\n=== Rewards ===\n');
+
+  const rewards = pricing.getReferralRewards();
+
+  await test('the referee\'s first paid purchase rewards both sides once', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    await referrals.claimReferral('referee-1', code, newAccount());
+
+    const result = await referrals.rewardReferral('referee-1', { sessionId: 'cs_first', amountTotal: 300 });
+    assert.strictEqual(result.rewarded, true);
+    assert.strictEqual(result.referral.status, STATUS.REWARDED);
+    assert.strictEqual(result.referral.stripeSessionId, 'cs_first');
+    assert.deepStrictEqual(await ledgerAmounts('referee-1', credits.ENTRY_TYPE.REFERRAL), [rewards.referee]);
+    assert.deepStrictEqual(await ledgerAmounts('referrer-1', credits.ENTRY_TYPE.REFERRAL), [rewards.referrer]);
+
+    const again = await referrals.rewardReferral('referee-1', { sessionId: 'cs_second', amountTotal: 1499 });
+    assert.strictEqual(again.rewarded, false);
+    assert.strictEqual(again.reason, 'not_pending');
+    assert.strictEqual(await credits.getBalance('referrer-1'), rewards.referrer);
+
+    assert.deepStrictEqual(await referrals.getReferralStats('referrer-1'), { pending: 0, rewarded: 1, creditsEarned: rewards.referrer });
+  });
+
+  await test('free checkouts (100% promotion codes) do not reward', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    await referrals.claimReferral('referee-1', code, newAccount());
+
+    const result = await referrals.rewardReferral('referee-1', { sessionId: 'cs_free', amountTotal: 0 });
+    assert.strictEqual(result.reason, 'not_paid');
+    assert.strictEqual((await referrals.getReferral('referee-1')).status, STATUS.PENDING);
+    assert.strictEqual(await credits.getBalance('referrer-1'), 0);
+  });
+
+  await test('users who weren\'t referred, or whose claim was refused, get nothing', async () => {
+    reset();
+    assert.strictEqual((await referrals.rewardReferral('nobody', { sessionId: 'cs_1', amountTotal: 300 })).reason, 'not_referred');
+
+    const code = await referrals.getReferralCode('user-1', device());
+    await referrals.claimReferral('user-1', code, newAccount());
+    assert.strictEqual((await referrals.rewardReferral('user-1', { sessionId: 'cs_2', amountTotal: 300 })).reason, 'not_pending');
+    assert.strictEqual(await credits.getBalance('user-1'), 0);
+  });
+
+  await test('a failed credit grant leaves the referral pending for the retry', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    await referrals.claimReferral('referee-1', code, newAccount());
+
+    const original = credits.grantReferralCredits;
+    credits.grantReferralCredits = async () => { throw new Error('ledger unavailable'); };
+    try {
+      await assert.rejects(() => referrals.rewardReferral('referee-1', { sessionId: 'cs_1', amountTotal: 300 }), /ledger unavailable/);
+    } finally {
+      credits.grantReferralCredits = original;
+    }
+    assert.strictEqual((await referrals.getReferral('referee-1')).status, STATUS.PENDING);
+
+    assert.strictEqual((await referrals.rewardReferral('referee-1', { sessionId: 'cs_1', amountTotal: 300 })).rewarded, true);
+  });
+
+  await test('a completed checkout webhook rewards the buyer\'s referral', async () => {
+    reset();
+    const code = await referrals.getReferralCode('referrer-1', device());
+    await referrals.claimReferral('referee-1', code, newAccount());
+
+    const event = {
+      id: 'evt_referral',
+      type: 'checkout.session.completed',
+      data: { object: { id: 'cs_webhook', mode: 'payment', customer: 'cus_1', amount_total: 300, metadata: { userId: 'referee-1', type: 'credit', quantity: '3' } } }
+    };
+    await stripeService.processWebhookEvent(event);
+
+    assert.strictEqual((await referrals.getReferral('referee-1')).status, STATUS.REWARDED);
+    // The purchase itself plus the referral bonus
+    assert.strictEqual(await credits.getBalance('referee-1'), 3 + rewards.referee);
+    assert.strictEqual(await credits.getBalance('referrer-1'), rewards.referrer);
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Referral Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runCodeTests();
+  await runClaimTests();
+  await runRewardTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
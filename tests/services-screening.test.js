@@ -0,0 +1,285 @@
+/**
+ * Unit Tests for Upload Screening
+ *
+ * Tests for services/screening.js and the gate in /api/generate
+ * Run with: node tests/services-screening.test.js
+ *
+ * Tests cover:
+ * - Protected-figure index built from a reference folder (skips bad photos,
+ *   caches descriptors, reloads)
+ * - Uploads matching a protected figure are refused, others allowed
+ * - Apparent minors are refused; small background faces aren't age-judged
+ * - /api/generate (Vercel handler, fake provider) refuses with PROTECTED_SUBJECT,
+ *   and corrupt uploads with INVALID_FORMAT
+ *
+ * Uses real gallery photos - face detection runs locally on the WASM backend.
+ * There's no photo of a child in the repo, so the minor rule is tested on
+ * synthetic face records.
+ */
+
+// Must be set before the api/ handler (and providers) are loaded
+process.env.IMAGE_PROVIDER = 'fake';
+process.env.FAKE_PROVIDER_SCENARIO = '';
+process.env.NODE_ENV = 'test';
+
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const PHOTOS_DIR = path.join(__dirname, '..', 'public', 'epstein-photos');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Reference folder with one protected figure (and two unusable photos)
+const FIGURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'protected-figures-'));
+fs.mkdirSync(path.join(FIGURES_DIR, 'jail-portrait'));
+fs.copyFileSync(path.join(PHOTOS_DIR, 'epstein_JAIL.webp'), path.join(FIGURES_DIR, 'jail-portrait', 'reference.webp'));
+fs.mkdirSync(path.join(FIGURES_DIR, 'unusable'));
+fs.copyFileSync(path.join(PHOTOS_DIR, 'epstein_bill_silk.jpg'), path.join(FIGURES_DIR, 'unusable', 'group.jpg'));
+fs.copyFileSync(path.join(FIXTURES_DIR, 'gradient-256.png'), path.join(FIGURES_DIR, 'unusable', 'gradient.png'));
+process.env.PROTECTED_FIGURES_DIR = FIGURES_DIR;
+
+const screening = require('../services/screening');
+const { listTemplates } = require('../services/templates');
+const { ERROR_CODES } = require('../lib/errors');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Flip a byte near the end of the IDAT data - the header (and so the magic-byte
+ * and dimension checks) still looks fine, but decoding fails
+ */
+function corruptPng(png) {
+  const corrupt = Buffer.from(png);
+  corrupt[corrupt.length - 20] ^= 0xff;
+  return corrupt;
+}
+
+/**
+ * Test images
+ * - protected: a re-encoded, padded copy of the protected reference photo
+ * - stranger: one face cropped from another photo
+ * - noFace: a gradient
+ * - corrupt: the gradient with a damaged pixel stream (valid PNG header)
+ */
+async function loadImages() {
+  const portrait = fs.readFileSync(path.join(PHOTOS_DIR, 'epstein_JAIL.webp'));
+  const airplane = fs.readFileSync(path.join(PHOTOS_DIR, 'epstein_chomsky_airplane.webp'));
+  const { width, height } = await sharp(airplane).metadata();
+
+  return {
+    protected: await sharp(portrait)
+      .extend({ top: 100, bottom: 100, left: 100, right: 100, background: '#808080' })
+      .jpeg({ quality: 60 })
+      .toBuffer(),
+    stranger: await sharp(airplane)
+      .extract({ left: Math.round(width * 0.14), top: Math.round(height * 0.1), width: Math.round(width * 0.3), height: Math.round(height * 0.6) })
+      .png()
+      .toBuffer(),
+    noFace: fs.readFileSync(path.join(FIXTURES_DIR, 'gradient-256.png')),
+    corrupt: corruptPng(fs.readFileSync(path.join(FIXTURES_DIR, 'gradient-256.png'))),
+  };
+}
+
+// ============================================
+// PROTECTED-FIGURE INDEX
+// ============================================
+
+async function runIndexTests() {
+  console.log('\n=== Protected-Figure Index ===\n');
+
+  await test('indexes single-face reference photos per person', async () => {
+    const info = await screening.getProtectedIndexInfo();
+    assert.strictEqual(info.dir, FIGURES_DIR);
+    assert.deepStrictEqual(info.figures, [{ name: 'jail-portrait', photos: 1 }]);
+  });
+
+  await test('skips reference photos without exactly one face', async () => {
+    const info = await screening.getProtectedIndexInfo();
+    const skipped = Object.fromEntries(info.skipped.map(s => [s.file, s.reason]));
+    assert.deepStrictEqual(skipped, { 'group.jpg': 'multiple faces', 'gradient.png': 'no face' });
+  });
+
+  await test('caches descriptors in index.json without exposing them', async () => {
+    const cached = JSON.parse(fs.readFileSync(path.join(FIGURES_DIR, 'index.json'), 'utf8'));
+    assert.strictEqual(cached.entries.length, 1);
+    assert.strictEqual(cached.entries[0].descriptor.length, 128);
+    const info = await screening.getProtectedIndexInfo();
+    assert.ok(!JSON.stringify(info).includes('descriptor'));
+  });
+
+  await test('reload picks up added and removed people', async () => {
+    fs.mkdirSync(path.join(FIGURES_DIR, 'second-person'));
+    fs.copyFileSync(path.join(PHOTOS_DIR, 'epstein_JAIL.webp'), path.join(FIGURES_DIR, 'second-person', 'a.webp'));
+    let info = await screening.reloadProtectedIndex();
+    assert.deepStrictEqual(info.figures.map(f => f.name).sort(), ['jail-portrait', 'second-person']);
+
+    fs.rmSync(path.join(FIGURES_DIR, 'second-person'), { recursive: true });
+    info = await screening.reloadProtectedIndex();
+    assert.deepStrictEqual(info.figures.map(f => f.name), ['jail-portrait']);
+  });
+}
+
+// ============================================
+// SCREENING
+// ============================================
+
+async function runScreeningTests(images) {
+  console.log('\n=== Screening ===\n');
+
+  await test('upload matching a protected figure is refused', async () => {
+    const result = await screening.screenUpload(images.protected);
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.reason, screening.SCREENING_FAILURE.PROTECTED_FIGURE);
+    assert.strictEqual(result.figure, 'jail-portrait');
+    assert.ok(result.message && !result.message.includes('jail-portrait'));
+  });
+
+  await test('adult who is not protected is allowed', async () => {
+    assert.deepStrictEqual(await screening.screenUpload(images.stranger), { allowed: true });
+  });
+
+  await test('photo without a face is allowed', async () => {
+    assert.deepStrictEqual(await screening.screenUpload(images.noFace), { allowed: true });
+  });
+
+  await test('undecodable upload throws INVALID_FORMAT', async () => {
+    await assert.rejects(() => screening.screenUpload(images.corrupt), { code: ERROR_CODES.INVALID_FORMAT });
+  });
+
+  const adult = { age: 40, sizePx: 200, descriptor: new Float32Array(128).fill(1) };
+
+  await test('apparent minor is refused', () => {
+    const result = screening.classifyFaces([adult, { ...adult, age: 12 }], []);
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.reason, screening.SCREENING_FAILURE.MINOR);
+  });
+
+  await test('apparent age just under the margin is refused', () => {
+    const result = screening.classifyFaces([{ ...adult, age: screening.MIN_APPARENT_AGE - 0.5 }], []);
+    assert.strictEqual(result.reason, screening.SCREENING_FAILURE.MINOR);
+  });
+
+  await test('small background faces are not age-judged', () => {
+    const result = screening.classifyFaces([adult, { ...adult, age: 12, sizePx: screening.MIN_AGE_FACE_SIZE - 1 }], []);
+    assert.strictEqual(result.allowed, true);
+  });
+
+  await test('any face matching the index is refused, not only the largest', () => {
+    const entry = { name: 'someone', descriptor: new Float32Array(128) };
+    const match = { ...adult, descriptor: new Float32Array(128).fill(0.01) };
+    const result = screening.classifyFaces([adult, match], [entry]);
+    assert.strictEqual(result.reason, screening.SCREENING_FAILURE.PROTECTED_FIGURE);
+    assert.strictEqual(result.figure, 'someone');
+  });
+}
+
+// ============================================
+// GENERATE ROUTE
+// ============================================
+
+async function runGenerateRouteTests(images) {
+  console.log('\n=== /api/generate Gate ===\n');
+
+  const handler = require('../api/generate');
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const [galleryPhoto] = listTemplates();
+
+  async function generate(userPhoto) {
+    const formData = new FormData();
+    formData.append('userPhoto', new Blob([userPhoto], { type: 'image/jpeg' }), 'photo.jpg');
+    formData.append('epsteinPhoto', galleryPhoto.path);
+    const response = await fetch(`${baseUrl}/api/generate`, { method: 'POST', body: formData });
+    return { status: response.status, body: await response.json() };
+  }
+
+  try {
+    await test('protected figure is refused with PROTECTED_SUBJECT', async () => {
+      const { status, body } = await generate(images.protected);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.code, ERROR_CODES.PROTECTED_SUBJECT);
+      assert.deepStrictEqual(body.details, { reason: screening.SCREENING_FAILURE.PROTECTED_FIGURE });
+    });
+
+    await test('corrupt upload is refused with INVALID_FORMAT, not a server error', async () => {
+      const { status, body } = await generate(images.corrupt);
+      assert.strictEqual(status, 400, JSON.stringify(body));
+      assert.strictEqual(body.code, ERROR_CODES.INVALID_FORMAT);
+    });
+
+    await test('other uploads generate as usual', async () => {
+      const { status, body } = await generate(images.stranger);
+      assert.strictEqual(status, 200, JSON.stringify(body));
+      assert.strictEqual(body.success, true);
+    });
+  } finally {
+    server.close();
+  }
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Upload Screening Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  try {
+    const images = await loadImages();
+
+    await runIndexTests();
+    await runScreeningTests(images);
+    await runGenerateRouteTests(images);
+  } finally {
+    fs.rmSync(FIGURES_DIR, { recursive: true, force: true });
+  }
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
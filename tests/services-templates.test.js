@@ -0,0 +1,723 @@
+/**
+ * Unit Tests for the Template Catalog
+ *
+ * Tests for services/templates.js
+ * Run with: node tests/services-templates.test.js
+ *
+ * Tests cover:
+ * - The shipped catalog (config/templates.json) loads and lists enabled
+ *   templates in gallery order
+ * - Whitelist lookups by image path (disabled and unknown images refused)
+ * - Per-model prompts and the default prompt fallback
+ * - Weighted prompt variants
+ * - Prompt sections, includes and variables (lib/promptTemplates.js), and
+ *   the required-sections lint
+ * - Replaceable subjects: validation, per-subject prompt blocks, what the
+ *   gallery sees
+ * - Catalog validation
+ * - What the gallery sees (no prompts or notes)
+ * - Admin edits: each publishes a new version, invalid edits are refused,
+ *   reordering, uploads and rollbacks (in-memory versions - Supabase not
+ *   configured)
+ * - Database catalogs (mock Supabase client): versions published elsewhere
+ *   are picked up once the last check is stale
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const templates = require('../services/templates');
+const { compilePrompt } = require('../lib/promptTemplates');
+
+const { REJECTION } = templates;
+
+const SHIPPED_CATALOG_PATH = path.join(__dirname, '..', 'config', 'templates.json');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * A small valid catalog over the shipped images
+ */
+function sampleCatalog() {
+  return {
+    version: 7,
+    defaultPrompt: ['Default prompt', 'second line'],
+    templates: [
+      {
+        id: 'silk', image: 'epstein_bill_silk.jpg', title: 'Silk', caption: '', source: null,
+        enabled: true, sortOrder: 20, targetPerson: 'The man on the left',
+        prompts: { default: 'Silk prompt', premium: ['Silk premium', 'prompt'] }
+      },
+      {
+        id: 'jail', image: 'epstein_JAIL.webp', title: 'Jail', caption: 'Booking photo', source: 'Public record',
+        enabled: true, sortOrder: 10, targetPerson: null, thumbnail: '/epstein-photos/thumbs/jail.webp',
+        prompts: {}
+      },
+      {
+        id: 'hidden', image: 'not-shipped.webp', title: 'Hidden', caption: '', source: null,
+        enabled: false, sortOrder: 0, targetPerson: null, notes: 'Disabled for testing',
+        prompts: { default: 'Hidden prompt' }
+      }
+    ]
+  };
+}
+
+/**
+ * Load a catalog through a temporary file
+ */
+function useCatalog(catalog) {
+  const filePath = path.join(os.tmpdir(), `templates-test-${process.pid}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(catalog));
+  try {
+    templates.loadCatalogFile(filePath);
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+}
+
+async function runShippedCatalogTests() {
+  console.log('\nShipped catalog:');
+
+  await test('lists only enabled templates, each with an image on disk', async () => {
+    templates.loadCatalogFile(SHIPPED_CATALOG_PATH);
+    const listed = templates.listTemplates();
+
+    assert.ok(listed.length > 0);
+    assert.ok(listed.every(template => template.enabled));
+    assert.ok(listed.every(template => fs.existsSync(path.join(templates.PHOTOS_DIR, template.image))));
+    assert.ok(templates.listTemplates({ includeDisabled: true }).some(template => !template.enabled));
+  });
+
+  await test('every template resolves a prompt for every model', async () => {
+    const models = templates.PROMPT_KEYS.filter(key => key !== 'default');
+    for (const template of templates.listTemplates({ includeDisabled: true })) {
+      for (const model of models) {
+        assert.ok(templates.getPrompt(template, model).length > 0, `${template.id} (${model})`);
+      }
+    }
+  });
+}
+
+async function runLookupTests() {
+  console.log('\nLookups:');
+
+  await test('lists templates by sortOrder', async () => {
+    useCatalog(sampleCatalog());
+
+    assert.deepStrictEqual(templates.listTemplates().map(template => template.id), ['jail', 'silk']);
+    assert.deepStrictEqual(templates.listTemplates({ includeDisabled: true }).map(template => template.id), ['hidden', 'jail', 'silk']);
+  });
+
+  await test('finds enabled templates by image path, with or without the leading slash', async () => {
+    useCatalog(sampleCatalog());
+
+    assert.strictEqual(templates.getTemplateByPath('/epstein-photos/epstein_bill_silk.jpg').id, 'silk');
+    assert.strictEqual(templates.getTemplateByPath('epstein-photos/epstein_bill_silk.jpg').id, 'silk');
+  });
+
+  await test('refuses disabled, unknown and traversal paths', async () => {
+    useCatalog(sampleCatalog());
+
+    assert.strictEqual(templates.getTemplateByPath('/epstein-photos/not-shipped.webp'), null);
+    assert.strictEqual(templates.getTemplateByPath('/epstein-photos/unknown.jpg'), null);
+    assert.strictEqual(templates.getTemplateByPath('/epstein-photos/../../.env'), null);
+    assert.strictEqual(templates.getTemplateByPath(undefined), null);
+    assert.strictEqual(templates.getTemplate('hidden').enabled, false);
+  });
+
+  await test('uses the model prompt, then the template default, then the catalog default', async () => {
+    useCatalog(sampleCatalog());
+    const silk = templates.getTemplate('silk');
+
+    assert.strictEqual(templates.getPrompt(silk, 'premium'), 'Silk premium\nprompt');
+    assert.strictEqual(templates.getPrompt(silk, 'quick'), 'Silk prompt');
+    assert.strictEqual(templates.getPrompt(templates.getTemplate('jail'), 'quick'), 'Default prompt\nsecond line');
+  });
+
+  await test('the gallery sees no prompts or notes, and thumbnails default to the image', async () => {
+    useCatalog(sampleCatalog());
+    const [jail, silk] = templates.listTemplates().map(templates.toPublicTemplate);
+
+    assert.strictEqual(jail.thumbnail, '/epstein-photos/thumbs/jail.webp');
+    assert.strictEqual(silk.thumbnail, '/epstein-photos/epstein_bill_silk.jpg');
+    assert.strictEqual(silk.path, '/epstein-photos/epstein_bill_silk.jpg');
+    assert.strictEqual(jail.source, 'Public record');
+    assert.strictEqual(silk.prompts, undefined);
+    assert.strictEqual(silk.notes, undefined);
+  });
+}
+
+/**
+ * The sample catalog with two prompt variants on 'silk'
+ */
+function variantCatalog() {
+  const catalog = sampleCatalog();
+  catalog.templates[0].variants = [
+    { id: 'warm', weight: 3, prompts: { quick: 'Warm quick prompt' } },
+    { id: 'cool', weight: 1, prompts: { default: ['Cool prompt'] } },
+    { id: 'paused', weight: 0, prompts: { default: 'Paused prompt' } }
+  ];
+  return catalog;
+}
+
+async function runVariantTests() {
+  console.log('\nPrompt variants:');
+
+  await test('picks variants by weight, never a paused one', async () => {
+    useCatalog(variantCatalog());
+    const silk = templates.getTemplate('silk');
+
+    // Weights 3:1 - the first three quarters pick 'warm', the rest 'cool'
+    assert.strictEqual(templates.chooseVariant(silk, () => 0), 'warm');
+    assert.strictEqual(templates.chooseVariant(silk, () => 0.74), 'warm');
+    assert.strictEqual(templates.chooseVariant(silk, () => 0.75), 'cool');
+    assert.strictEqual(templates.chooseVariant(silk, () => 0.999), 'cool');
+  });
+
+  await test('templates without variants use the default variant', async () => {
+    useCatalog(variantCatalog());
+    assert.strictEqual(templates.chooseVariant(templates.getTemplate('jail')), templates.DEFAULT_VARIANT);
+  });
+
+  await test('a variant\'s prompts come first, then the template\'s', async () => {
+    useCatalog(variantCatalog());
+    const silk = templates.getTemplate('silk');
+
+    assert.strictEqual(templates.getPrompt(silk, 'quick', 'warm'), 'Warm quick prompt');
+    assert.strictEqual(templates.getPrompt(silk, 'premium', 'warm'), 'Silk premium\nprompt');
+    assert.strictEqual(templates.getPrompt(silk, 'premium', 'cool'), 'Cool prompt');
+    assert.strictEqual(templates.getPrompt(silk, 'quick', templates.DEFAULT_VARIANT), 'Silk prompt');
+    assert.strictEqual(templates.getPrompt(silk, 'quick', 'removed'), 'Silk prompt');
+  });
+
+  await test('refuses duplicate, unweighted and malformed variants', async () => {
+    const catalog = variantCatalog();
+    catalog.templates[0].variants.push({ id: 'warm', weight: -1, prompts: { turbo: 'x' } });
+    catalog.templates[1].variants = [{ id: 'only', weight: 0, prompts: {} }];
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.some(error => error.includes('templates[0].variants[3].id "warm" is used twice')));
+    assert.ok(errors.some(error => error.includes('templates[0].variants[3].weight')));
+    assert.ok(errors.some(error => error.includes('templates[0].variants[3].prompts.turbo')));
+    assert.ok(errors.some(error => error.includes('templates[1].variants needs at least one variant with a weight above 0')));
+  });
+
+  await test('the gallery never sees variants', async () => {
+    useCatalog(variantCatalog());
+    assert.strictEqual(templates.toPublicTemplate(templates.getTemplate('silk')).variants, undefined);
+  });
+}
+
+/**
+ * The sample catalog with shared sections and variables
+ */
+function sectionCatalog() {
+  const catalog = sampleCatalog();
+  catalog.requiredSections = ['faces'];
+  catalog.promptSections = { faces: ['FACES:', 'Keep {{who}}\'s face.'], intro: 'Combine the images.' };
+  catalog.promptVars = { who: 'the new person', era: 'the 1990s', targetPerson: 'someone' };
+  catalog.defaultPrompt = ['{{> intro}}', 'Replace {{targetPerson}}.', '{{> faces}}'];
+  catalog.templates[0].prompts = { default: ['{{> intro}}', 'Replace {{targetPerson}} in {{era}}.', '{{> faces}}'] };
+  catalog.templates[0].promptVars = { era: 'the 2000s' };
+  catalog.templates[2].promptSections = { faces: 'Hidden faces.' };
+  catalog.templates[2].prompts = { default: ['{{> faces}}'], premium: 'No faces section' };
+  return catalog;
+}
+
+async function runPromptTemplateTests() {
+  console.log('\nPrompt sections and variables:');
+
+  await test('compiles nested sections and variables, listing the sections used', async () => {
+    const compiled = compilePrompt(['{{> outer }}', 'End {{ name }}'], {
+      sections: [{ inner: 'Inner {{name}}' }, { outer: ['Outer', '{{>inner}}'], inner: 'Shadowed' }],
+      vars: [{ name: 'A' }, { name: 'B' }]
+    });
+
+    assert.strictEqual(compiled.text, 'Outer\nInner A\nEnd A');
+    assert.deepStrictEqual(compiled.sections, ['outer', 'inner']);
+  });
+
+  await test('refuses unknown sections, missing variables and cycles', async () => {
+    assert.throws(() => compilePrompt('{{> nope}}'), /unknown section "nope"/);
+    assert.throws(() => compilePrompt('{{who}}', { vars: [{ who: null }] }), /\{\{who\}\} has no value/);
+    assert.throws(
+      () => compilePrompt('{{> a}}', { sections: [{ a: '{{> b}}', b: '{{> a}}' }] }),
+      /section "a" includes itself \(a > b > a\)/
+    );
+  });
+
+  await test('the template\'s sections and variables override the catalog\'s', async () => {
+    useCatalog(sectionCatalog());
+
+    assert.strictEqual(
+      templates.getPrompt(templates.getTemplate('silk'), 'quick'),
+      'Combine the images.\nReplace The man on the left in the 2000s.\nFACES:\nKeep the new person\'s face.'
+    );
+    assert.strictEqual(templates.getPrompt(templates.getTemplate('hidden'), 'quick'), 'Hidden faces.');
+    // No targetPerson on the template: the catalog's variable
+    assert.strictEqual(
+      templates.getPrompt(templates.getTemplate('jail'), 'quick'),
+      'Combine the images.\nReplace someone.\nFACES:\nKeep the new person\'s face.'
+    );
+  });
+
+  await test('compiles a draft prompt for a template', async () => {
+    useCatalog(sectionCatalog());
+    assert.strictEqual(templates.compileTemplatePrompt(templates.getTemplate('silk'), 'Draft {{era}}'), 'Draft the 2000s');
+    assert.throws(() => templates.compileTemplatePrompt(templates.getTemplate('silk'), '{{> missing}}'), /unknown section/);
+  });
+
+  await test('refuses prompts that do not compile and malformed sections', async () => {
+    const catalog = sectionCatalog();
+    catalog.templates[1].prompts = { quick: 'Uses {{lighting}}' };
+    catalog.templates[0].variants = [{ id: 'warm', weight: 1, prompts: { default: '{{> warm}}' } }];
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.includes('templates[1] prompt (quick): {{lighting}} has no value'));
+    assert.ok(errors.includes('templates[0] prompt (quick, variant warm): unknown section "warm"'));
+
+    const malformed = sectionCatalog();
+    malformed.promptSections['bad-name'] = 'x';
+    malformed.templates[0].promptVars = { targetPerson: 'someone else', era: '' };
+    malformed.requiredSections = 'faces';
+    const malformedErrors = templates.validateCatalog(malformed);
+    assert.ok(malformedErrors.some(error => error.includes('promptSections.bad-name')));
+    assert.ok(malformedErrors.some(error => error.includes('templates[0].promptVars.era must be a non-empty string')));
+    assert.ok(malformedErrors.some(error => error.includes('templates[0].promptVars.targetPerson')));
+    assert.ok(malformedErrors.includes('requiredSections must be a list of section names'));
+  });
+
+  await test('the lint lists prompts missing a required section', async () => {
+    assert.deepStrictEqual(templates.lintCatalog(sectionCatalog()), [
+      { template: 'hidden', variant: templates.DEFAULT_VARIANT, subject: null, modelTypes: ['premium'], missing: ['faces'] }
+    ]);
+  });
+
+  await test('the shipped catalog passes the lint', async () => {
+    const shipped = JSON.parse(fs.readFileSync(SHIPPED_CATALOG_PATH, 'utf8'));
+    assert.deepStrictEqual(templates.validateCatalog(shipped), []);
+    assert.deepStrictEqual(templates.lintCatalog(shipped), []);
+  });
+}
+
+/**
+ * The section catalog with two people to choose from in 'silk'
+ */
+function subjectCatalog() {
+  const catalog = sectionCatalog();
+  catalog.templates[0].prompts = { default: ['Replace {{targetPerson}}, {{pose}}.', '{{> faces}}'] };
+  catalog.templates[0].promptVars = { pose: 'standing' };
+  catalog.templates[0].subjects = [
+    { id: 'left', label: 'Left man', box: { x: 0, y: 0.1, width: 0.5, height: 0.9 }, targetPerson: 'the man on the left' },
+    {
+      id: 'right', label: 'Right man', box: { x: 0.5, y: 0, width: 0.5, height: 1 }, targetPerson: 'the man on the right',
+      promptSections: { faces: 'Keep the right face.' }, promptVars: { pose: 'sitting' }
+    }
+  ];
+  return catalog;
+}
+
+async function runSubjectTests() {
+  console.log('\nSubjects:');
+
+  await test('finds subjects by ID, the first one by default', async () => {
+    useCatalog(subjectCatalog());
+    const silk = templates.getTemplate('silk');
+
+    assert.strictEqual(templates.getSubject(silk).id, 'left');
+    assert.strictEqual(templates.getSubject(silk, 'right').id, 'right');
+    assert.strictEqual(templates.getSubject(silk, 'middle'), null);
+    assert.strictEqual(templates.getSubject(templates.getTemplate('jail')), null);
+  });
+
+  await test('the chosen subject\'s prompt blocks come before the template\'s', async () => {
+    useCatalog(subjectCatalog());
+    const silk = templates.getTemplate('silk');
+
+    assert.strictEqual(templates.getPrompt(silk, 'quick'),
+      'Replace the man on the left, standing.\nFACES:\nKeep the new person\'s face.');
+    assert.strictEqual(templates.getPrompt(silk, 'quick', templates.DEFAULT_VARIANT, 'right'),
+      'Replace the man on the right, sitting.\nKeep the right face.');
+    // An unknown subject falls back to the default one
+    assert.strictEqual(templates.getPrompt(silk, 'quick', templates.DEFAULT_VARIANT, 'middle'),
+      templates.getPrompt(silk, 'quick'));
+  });
+
+  await test('the gallery sees each subject\'s label and box, not its prompt blocks', async () => {
+    useCatalog(subjectCatalog());
+    const silk = templates.toPublicTemplate(templates.getTemplate('silk'));
+
+    assert.deepStrictEqual(silk.subjects[1], { id: 'right', label: 'Right man', box: { x: 0.5, y: 0, width: 0.5, height: 1 } });
+    assert.deepStrictEqual(templates.toPublicTemplate(templates.getTemplate('jail')).subjects, []);
+  });
+
+  await test('refuses duplicate IDs, boxes outside the image and incomplete subjects', async () => {
+    const catalog = subjectCatalog();
+    catalog.templates[0].subjects.push(
+      { id: 'left', label: 'Again', box: { x: 0.6, y: 0, width: 0.5, height: 1 }, targetPerson: 'someone' },
+      { id: 'extra', label: '', box: { x: 0, y: 0, width: 0, height: 1 }, promptVars: { targetPerson: 'someone' } }
+    );
+    catalog.templates[1].subjects = [];
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.includes('templates[0].subjects[2].id "left" is used twice'));
+    assert.ok(errors.some(error => error.startsWith('templates[0].subjects[2].box must be')));
+    assert.ok(errors.includes('templates[0].subjects[3].label must be a non-empty string'));
+    assert.ok(errors.includes('templates[0].subjects[3].targetPerson must be a non-empty string'));
+    assert.ok(errors.some(error => error.startsWith('templates[0].subjects[3].box must be')));
+    assert.ok(errors.some(error => error.startsWith('templates[0].subjects[3].promptVars.targetPerson')));
+    assert.ok(errors.includes('templates[1].subjects must be a list with at least one subject'));
+  });
+
+  await test('refuses markup characters in subject labels and IDs', async () => {
+    const catalog = subjectCatalog();
+    catalog.templates[0].subjects[0].label = '<img src=x onerror=alert(1)>';
+    catalog.templates[0].subjects[1].label = 'Right "man"';
+    catalog.templates[0].subjects[1].id = 'right"><script>';
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.includes('templates[0].subjects[0].label must not contain <, > or "'));
+    assert.ok(errors.includes('templates[0].subjects[1].label must not contain <, > or "'));
+    assert.ok(errors.includes('templates[0].subjects[1].id must be lowercase letters, digits and underscores'));
+  });
+
+  await test('every subject\'s prompt must compile and is linted', async () => {
+    const catalog = subjectCatalog();
+    catalog.templates[0].subjects[1].promptSections = { faces: '{{> right_only}}' };
+    assert.ok(templates.validateCatalog(catalog).includes('templates[0] prompt (quick, subject right): unknown section "right_only"'));
+
+    const unlinted = subjectCatalog();
+    unlinted.templates[0].subjects[1].promptSections = { faces: 'Keep the right face.' };
+    unlinted.templates[0].prompts = { default: 'Replace {{targetPerson}}.' };
+    unlinted.templates[2].prompts = { default: '{{> faces}}' };
+    assert.deepStrictEqual(templates.lintCatalog(unlinted).map(problem => [problem.template, problem.subject]),
+      [['silk', 'left'], ['silk', 'right']]);
+  });
+}
+
+async function runValidationTests() {
+  console.log('\nValidation:');
+
+  await test('accepts the sample catalog', async () => {
+    assert.deepStrictEqual(templates.validateCatalog(sampleCatalog()), []);
+  });
+
+  await test('refuses duplicate IDs and images', async () => {
+    const catalog = sampleCatalog();
+    catalog.templates.push({ ...catalog.templates[0] });
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.some(error => error.includes('"silk" is used twice')));
+    assert.ok(errors.some(error => error.includes('"epstein_bill_silk.jpg" is used twice')));
+  });
+
+  await test('refuses enabled templates whose image is missing', async () => {
+    const catalog = sampleCatalog();
+    catalog.templates[2].enabled = true;
+
+    assert.ok(templates.validateCatalog(catalog).some(error => error.includes('"not-shipped.webp" is enabled but not in')));
+  });
+
+  await test('refuses bad fields and unknown prompt models', async () => {
+    const catalog = sampleCatalog();
+    Object.assign(catalog.templates[0], { image: '../secret.txt', enabled: 'yes', prompts: { turbo: 'x' } });
+
+    const errors = templates.validateCatalog(catalog);
+    assert.ok(errors.some(error => error.includes('templates[0].image')));
+    assert.ok(errors.some(error => error.includes('templates[0].enabled')));
+    assert.ok(errors.some(error => error.includes('templates[0].prompts.turbo')));
+  });
+
+  await test('an invalid catalog file is refused and the current catalog stays', async () => {
+    useCatalog(sampleCatalog());
+
+    assert.throws(() => useCatalog({ version: 0, templates: [] }), /Invalid template catalog/);
+    assert.strictEqual(templates.getCatalogInfo().version, 7);
+  });
+}
+
+async function runAdminEditTests() {
+  console.log('\nAdmin edits:');
+
+  await test('an edit publishes the next version with the change', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+
+    const result = await templates.updateTemplate('silk', { prompts: { default: 'Edited prompt' } });
+
+    assert.strictEqual(result.published, true);
+    assert.strictEqual(result.version, 8);
+    assert.strictEqual(templates.getPrompt(templates.getTemplate('silk'), 'premium'), 'Edited prompt');
+    assert.strictEqual(templates.getCatalogInfo().version, 8);
+  });
+
+  await test('refuses invalid edits and unknown templates, keeping the current version', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+
+    const invalid = await templates.updateTemplate('hidden', { enabled: true });
+    assert.strictEqual(invalid.reason, REJECTION.INVALID_CATALOG);
+    assert.ok(invalid.errors.some(error => error.includes('"not-shipped.webp" is enabled but not in')));
+
+    assert.strictEqual((await templates.updateTemplate('missing', { title: 'x' })).reason, REJECTION.UNKNOWN_TEMPLATE);
+    assert.strictEqual(templates.getCatalogInfo().version, 7);
+  });
+
+  await test('reorders the gallery, refusing anything but every ID once', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+
+    assert.strictEqual((await templates.reorderTemplates(['silk', 'jail'])).reason, REJECTION.INVALID_ORDER);
+    assert.strictEqual((await templates.reorderTemplates(['silk', 'silk', 'jail'])).reason, REJECTION.INVALID_ORDER);
+
+    const result = await templates.reorderTemplates(['silk', 'hidden', 'jail']);
+    assert.strictEqual(result.published, true);
+    assert.deepStrictEqual(templates.listTemplates().map(template => template.id), ['silk', 'jail']);
+  });
+
+  await test('an edit can add and remove prompt variants', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+
+    await templates.updateTemplate('jail', { variants: [{ id: 'new_wording', weight: 1, prompts: { default: 'New wording' } }] });
+    assert.strictEqual(templates.chooseVariant(templates.getTemplate('jail')), 'new_wording');
+
+    await templates.updateTemplate('jail', { variants: null });
+    assert.strictEqual(templates.getTemplate('jail').variants, undefined);
+  });
+
+  await test('rolls back a bad prompt by publishing the earlier version again', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+    await templates.updateTemplate('silk', { prompts: { default: 'Good prompt' } });
+    await templates.updateTemplate('silk', { prompts: { default: 'Bad prompt' } });
+
+    const result = await templates.rollbackTo(8);
+
+    assert.strictEqual(result.version, 10);
+    assert.strictEqual(templates.getPrompt(templates.getTemplate('silk'), 'quick'), 'Good prompt');
+    assert.strictEqual((await templates.rollbackTo(99)).reason, REJECTION.UNKNOWN_VERSION);
+
+    const versions = await templates.listVersions();
+    assert.deepStrictEqual(versions.map(entry => entry.version), [10, 9, 8, 7]);
+    assert.strictEqual(versions[0].note, 'Rollback to v8');
+    assert.deepStrictEqual(versions.filter(entry => entry.inUse).map(entry => entry.version), [10]);
+  });
+
+  await test('adds an uploaded template, disabled at the end of the gallery', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+    const id = `upload_test_${process.pid}`;
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer();
+
+    try {
+      const result = await templates.addTemplate({ id, title: 'Uploaded', prompts: { default: 'Upload prompt' } }, image);
+
+      assert.strictEqual(result.published, true);
+      assert.strictEqual(result.template.image, `${id}.png`);
+      assert.strictEqual(result.template.enabled, false);
+      assert.strictEqual(result.template.sortOrder, 30);
+      assert.ok(fs.existsSync(path.join(templates.PHOTOS_DIR, `${id}.png`)));
+
+      assert.strictEqual((await templates.addTemplate({ id, title: 'Again' }, image)).reason, REJECTION.DUPLICATE_ID);
+      assert.strictEqual((await templates.addTemplate({ id: `${id}_text`, title: 'Text' }, Buffer.from('not an image'))).reason, REJECTION.INVALID_IMAGE);
+    } finally {
+      fs.rmSync(path.join(templates.PHOTOS_DIR, `${id}.png`), { force: true });
+    }
+  });
+
+  await test('an upload refused by validation leaves no file behind', async () => {
+    useCatalog(sampleCatalog());
+    templates.clearVersions();
+    const id = `upload_invalid_${process.pid}`;
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer();
+
+    const result = await templates.addTemplate({ id, title: '' }, image);
+
+    assert.strictEqual(result.reason, REJECTION.INVALID_CATALOG);
+    assert.ok(!fs.existsSync(path.join(templates.PHOTOS_DIR, `${id}.png`)));
+  });
+}
+
+/**
+ * Mock Supabase client serving the newest active row of template_catalogs
+ * Records the columns of every select.
+ */
+function createMockSupabaseAdmin() {
+  const mock = { rows: [], selects: [] };
+  mock.from = () => {
+    let columns = '';
+    const query = {
+      select(selected) {
+        columns = selected;
+        mock.selects.push(selected);
+        return query;
+      },
+      eq: () => query,
+      order: () => query,
+      limit: () => query,
+      async maybeSingle() {
+        const newest = mock.rows.filter(row => row.active).sort((a, b) => b.version - a.version)[0];
+        if (!newest) {
+          return { data: null, error: null };
+        }
+        const data = Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, newest[column]]));
+        return { data, error: null };
+      },
+    };
+    return query;
+  };
+  return mock;
+}
+
+/**
+ * Load a fresh copy of the templates service backed by a mock Supabase client
+ */
+function loadPersistentTemplates(mockAdmin) {
+  const supabasePath = require.resolve('../lib/supabase');
+  const servicePath = require.resolve('../services/templates');
+  const originalSupabase = require.cache[supabasePath];
+  const originalService = require.cache[servicePath];
+
+  require.cache[supabasePath] = {
+    id: supabasePath,
+    filename: supabasePath,
+    loaded: true,
+    exports: { supabaseAdmin: mockAdmin, supabase: null },
+  };
+  delete require.cache[servicePath];
+
+  const service = require('../services/templates');
+
+  // Restore the original modules for the rest of the suite
+  if (originalSupabase) {
+    require.cache[supabasePath] = originalSupabase;
+  } else {
+    delete require.cache[supabasePath];
+  }
+  require.cache[servicePath] = originalService;
+
+  return service;
+}
+
+async function runDatabaseRefreshTests() {
+  console.log('\nDatabase catalogs:');
+
+  const mockAdmin = createMockSupabaseAdmin();
+  const persisted = loadPersistentTemplates(mockAdmin);
+  const published = (version, title) => {
+    const catalog = sampleCatalog();
+    catalog.templates[0].title = title;
+    return { version, catalog, active: true };
+  };
+
+  try {
+    await test('ready() picks up a version published elsewhere once the last check is stale', async () => {
+      process.env.TEMPLATE_CATALOG_RECHECK_MS = '60000';
+      mockAdmin.rows.push(published(20, 'First'));
+      await persisted.ready();
+      assert.strictEqual(persisted.getCatalogInfo().version, 20);
+
+      // Another server publishes v21 - not seen until the check is stale
+      mockAdmin.rows.push(published(21, 'Second'));
+      await persisted.ready();
+      assert.strictEqual(persisted.getCatalogInfo().version, 20);
+
+      process.env.TEMPLATE_CATALOG_RECHECK_MS = '0';
+      await persisted.ready();
+      assert.strictEqual(persisted.getCatalogInfo().version, 21);
+      assert.strictEqual(persisted.getTemplate('silk').title, 'Second');
+    });
+
+    await test('an unchanged version is checked without fetching the catalog again', async () => {
+      mockAdmin.selects.length = 0;
+      await persisted.ready();
+      assert.deepStrictEqual(mockAdmin.selects, ['version']);
+    });
+
+    await test('an uploaded image is refused instead of published from one server\'s disk', async () => {
+      const id = `upload_shared_${process.pid}`;
+      const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer();
+
+      const result = await persisted.addTemplate({ id, title: 'Uploaded' }, image);
+
+      assert.strictEqual(result.published, false);
+      assert.strictEqual(result.reason, persisted.REJECTION.LOCAL_IMAGE);
+      assert.ok(!fs.existsSync(path.join(persisted.PHOTOS_DIR, `${id}.png`)));
+      assert.strictEqual(persisted.getTemplate(id), null);
+    });
+
+    await test('the catalog info tells admins how long other servers may lag', async () => {
+      process.env.TEMPLATE_CATALOG_RECHECK_MS = '90000';
+      assert.strictEqual(persisted.getCatalogInfo().recheckSeconds, 90);
+      delete process.env.TEMPLATE_CATALOG_RECHECK_MS;
+      assert.strictEqual(persisted.getCatalogInfo().recheckSeconds, 60);
+    });
+  } finally {
+    delete process.env.TEMPLATE_CATALOG_RECHECK_MS;
+  }
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Template Catalog Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runShippedCatalogTests();
+  await runLookupTests();
+  await runVariantTests();
+  await runPromptTemplateTests();
+  await runSubjectTests();
+  await runValidationTests();
+  await runAdminEditTests();
+  await runDatabaseRefreshTests();
+
+  templates.clearVersions();
+  templates.loadCatalogFile(SHIPPED_CATALOG_PATH);
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,305 @@
+/**
+ * Unit Tests for Image Verification
+ *
+ * Tests for services/verification.js and lib/imageHash.js
+ * Run with: node tests/services-verification.test.js
+ *
+ * Tests cover:
+ * - Perceptual hash stability under re-encoding and resizing
+ * - Verification via the signed provenance manifest (intact, tampered and
+ *   copied onto another image)
+ * - Fallback to the invisible watermark when the manifest is stripped
+ * - Fallback to perceptual hash lookup for images without a watermark
+ * - Unknown images, foreign manifests and undecodable input
+ * - No private generation fields in results
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+
+const generations = require('../services/generations');
+const verification = require('../services/verification');
+const { embedProvenance, canonicalJson } = require('../lib/provenance');
+const { computePerceptualHash, hammingDistance, isValidHash } = require('../lib/imageHash');
+const { embedInvisibleWatermark } = require('../lib/invisibleWatermark');
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Image with some structure (flat images all hash to 0)
+ */
+function createImage(seed = 0) {
+  const width = 256;
+  const height = 192;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      pixels[i] = (x * 3 + seed * 50) % 256;
+      pixels[i + 1] = (y * 5 + ((x >> 4) % 2) * 80 + seed * 30) % 256;
+      pixels[i + 2] = ((x ^ y) + seed * 70) % 256;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+/**
+ * Create a completed generation whose output is a signed image
+ * (createImage() is too small for the invisible watermark, so copies can
+ * only be found by perceptual hash)
+ */
+async function createSignedGeneration(seed) {
+  const record = await generations.createGeneration(null, `/epstein-photos/verify-${seed}.jpg`, { modelType: 'quick' });
+  const { buffer } = await embedProvenance(await createImage(seed), {
+    generationId: record.id,
+    template: record.epsteinPhoto,
+    model: 'fake-composite-v1',
+    provider: 'fake',
+  });
+  await generations.completeGeneration(record.id, `/output/verify-${seed}.png`, {
+    perceptualHash: await computePerceptualHash(buffer),
+  });
+  return { record, buffer };
+}
+
+/**
+ * Create a completed generation whose output carries the invisible watermark
+ */
+async function createWatermarkedGeneration() {
+  const record = await generations.createGeneration(null, '/epstein-photos/epstein_bill_silk.jpg', { modelType: 'quick' });
+  const photo = await sharp(path.join(__dirname, '..', 'public', 'epstein-photos', 'epstein_bill_silk.jpg')).png().toBuffer();
+  const buffer = await embedInvisibleWatermark(photo, record.id);
+  await generations.completeGeneration(record.id, `/output/epstein_${record.id}.png`);
+  return { record, buffer };
+}
+
+/**
+ * The iTXt chunks embedProvenance inserted after a PNG's IHDR
+ */
+function provenanceChunks(png) {
+  let end = 33;
+  while (png.toString('latin1', end + 4, end + 8) === 'iTXt') {
+    end += 12 + png.readUInt32BE(end);
+  }
+  return png.subarray(33, end);
+}
+
+// ============================================
+// PERCEPTUAL HASH
+// ============================================
+
+async function runImageHashTests() {
+  console.log('\n=== Perceptual Hash ===\n');
+
+  await test('hash is 16 hex characters and deterministic', async () => {
+    const image = await createImage(1);
+    const [a, b] = await Promise.all([computePerceptualHash(image), computePerceptualHash(image)]);
+    assert.ok(isValidHash(a), `Unexpected hash: ${a}`);
+    assert.strictEqual(a, b);
+  });
+
+  await test('JPEG re-encoding and resizing stay within the match distance', async () => {
+    const image = await createImage(1);
+    const copy = await sharp(image).resize(180).jpeg({ quality: 60 }).toBuffer();
+    const distance = hammingDistance(await computePerceptualHash(image), await computePerceptualHash(copy));
+    assert.ok(distance <= verification.MAX_HASH_DISTANCE, `Distance ${distance}`);
+  });
+
+  await test('different images are far apart', async () => {
+    const distance = hammingDistance(
+      await computePerceptualHash(await createImage(1)),
+      await computePerceptualHash(await createImage(2))
+    );
+    assert.ok(distance > verification.MAX_HASH_DISTANCE, `Distance ${distance}`);
+  });
+
+  await test('hammingDistance counts differing bits', () => {
+    assert.strictEqual(hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.strictEqual(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.strictEqual(hammingDistance('000000000000000f', '0000000000000001'), 3);
+  });
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+async function runVerifyTests() {
+  console.log('\n=== Verification ===\n');
+
+  generations.clearAll();
+  const { record, buffer } = await createSignedGeneration(3);
+
+  await test('signed output verifies via the manifest', async () => {
+    const result = await verification.verifyImage(buffer);
+    assert.strictEqual(result.produced, true);
+    assert.strictEqual(result.method, verification.METHOD.MANIFEST);
+    assert.strictEqual(result.tampered, false);
+    assert.strictEqual(result.source.generationId, record.id);
+    assert.strictEqual(result.source.template, record.epsteinPhoto);
+    assert.strictEqual(result.source.model, 'fake-composite-v1');
+    assert.ok(/parody/i.test(result.manifest.statement));
+  });
+
+  await test('edited output is reported as tampered, not verified by its manifest', async () => {
+    // Paint over a corner and put the original manifest back
+    const patch = await sharp({ create: { width: 24, height: 24, channels: 3, background: '#ff0000' } }).png().toBuffer();
+    const edited = await sharp(buffer).composite([{ input: patch, left: 0, top: 0 }]).png().toBuffer();
+    const tampered = Buffer.concat([edited.subarray(0, 33), provenanceChunks(buffer), edited.subarray(33)]);
+    const result = await verification.verifyImage(tampered);
+    assert.notStrictEqual(result.method, verification.METHOD.MANIFEST);
+    assert.strictEqual(result.tampered, true);
+    assert.strictEqual(result.manifest.signatureValid, true);
+    assert.strictEqual(result.manifest.contentIntact, false);
+  });
+
+  await test('signed manifest copied onto another image does not verify it', async () => {
+    const plain = await createImage(6);
+    const forged = Buffer.concat([plain.subarray(0, 33), provenanceChunks(buffer), plain.subarray(33)]);
+    const result = await verification.verifyImage(forged);
+    assert.strictEqual(result.produced, false);
+    assert.strictEqual(result.source, null);
+    assert.strictEqual(result.tampered, true);
+    assert.strictEqual(result.manifest.signatureValid, true);
+    assert.strictEqual(result.manifest.contentIntact, false);
+  });
+
+  await test('stripped copy is found by perceptual hash', async () => {
+    const copy = await sharp(buffer).resize(200).jpeg({ quality: 70 }).toBuffer();
+    const result = await verification.verifyImage(copy);
+    assert.strictEqual(result.produced, true);
+    assert.strictEqual(result.method, verification.METHOD.PERCEPTUAL_HASH);
+    assert.strictEqual(result.source.generationId, record.id);
+    assert.strictEqual(result.manifest.present, false);
+    assert.strictEqual(result.watermark.present, false);
+    assert.ok(result.match.distance <= verification.MAX_HASH_DISTANCE);
+  });
+
+  await test('stripped, cropped copy is identified by its invisible watermark', async () => {
+    const marked = await createWatermarkedGeneration();
+    const { width, height } = await sharp(marked.buffer).metadata();
+    const copy = await sharp(marked.buffer)
+      .extract({ left: 40, top: 30, width: Math.round(width * 0.85), height: Math.round(height * 0.85) })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+
+    const result = await verification.verifyImage(copy);
+    assert.strictEqual(result.produced, true);
+    assert.strictEqual(result.method, verification.METHOD.WATERMARK);
+    assert.strictEqual(result.tampered, null);
+    assert.strictEqual(result.source.generationId, marked.record.id);
+    assert.strictEqual(result.source.template, marked.record.epsteinPhoto);
+    assert.strictEqual(result.watermark.present, true);
+  });
+
+  await test('watermark identifies outputs whose record is gone', async () => {
+    const marked = await createWatermarkedGeneration();
+    generations.clearAll();
+    const copy = await sharp(marked.buffer).jpeg({ quality: 80 }).toBuffer();
+    const result = await verification.verifyImage(copy);
+    assert.strictEqual(result.produced, true);
+    assert.strictEqual(result.method, verification.METHOD.WATERMARK);
+    assert.strictEqual(result.source.generationId, marked.record.id);
+    assert.strictEqual(result.source.template, null);
+  });
+
+  await test('unknown image is not produced by the service', async () => {
+    const result = await verification.verifyImage(await createImage(4));
+    assert.strictEqual(result.produced, false);
+    assert.strictEqual(result.method, null);
+    assert.strictEqual(result.source, null);
+  });
+
+  await test('manifest signed by another key is not trusted', async () => {
+    // Same structure as ours, but signed with a stranger's key
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const manifest = { aiGenerated: true, generationId: record.id, template: '/epstein-photos/x.jpg' };
+    const signature = crypto.sign(null, Buffer.from(canonicalJson(manifest)), privateKey).toString('base64');
+    const keyword = Buffer.from('pme:provenance\0\0\0\0\0', 'latin1');
+    const text = Buffer.from(JSON.stringify({ manifest, signature: { algorithm: 'Ed25519', keyId: 'feedfacefeedface', value: signature } }));
+    const data = Buffer.concat([keyword, text]);
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write('iTXt', 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(require('zlib').crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    const plain = await createImage(5);
+    const forged = Buffer.concat([plain.subarray(0, 33), chunk, plain.subarray(33)]);
+
+    const result = await verification.verifyImage(forged);
+    assert.strictEqual(result.produced, false);
+    assert.strictEqual(result.manifest.present, true);
+    assert.strictEqual(result.manifest.signatureValid, false);
+  });
+
+  await test('results never expose private generation fields', async () => {
+    const copy = await sharp(buffer).jpeg().toBuffer();
+    const result = await verification.verifyImage(copy);
+    const json = JSON.stringify(result);
+    assert.ok(!json.includes('viewToken') && !json.includes('resultUrl') && !json.includes('userId'));
+  });
+
+  await test('undecodable input throws', async () => {
+    await assert.rejects(() => verification.verifyImage(Buffer.from('definitely not an image')));
+  });
+
+  generations.clearAll();
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Image Verification Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runImageHashTests();
+  await runVerifyTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -0,0 +1,474 @@
+/**
+ * Unit Tests for the Stripe Webhook Event Store
+ *
+ * Tests for services/webhookEvents.js and the webhook handlers that use it
+ * Run with: node tests/services-webhook-events.test.js
+ *
+ * Tests cover:
+ * - Each event is handled once by event ID, whatever its type; redeliveries
+ *   get the stored result
+ * - Failed handlers (throwing or success: false) are retried with backoff and
+ *   dead-lettered after MAX_ATTEMPTS
+ * - Admin replay of failed/dead events
+ * - Response mapping for Stripe (500 while failing, 200 once processed or dead)
+ * - stripeService.processWebhookEvent (receipts only for applied checkouts)
+ *   and the Vercel webhook handler, which uses it
+ *
+ * Uses the in-memory store (Supabase not configured).
+ */
+
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_webhook_events';
+
+const assert = require('assert');
+const { Readable } = require('stream');
+const Stripe = require('stripe');
+
+const webhookEvents = require('../services/webhookEvents');
+const credits = require('../services/credits');
+const emailService = require('../services/email');
+const stripeService = require('../services/stripe');
+const webhookHandler = require('../api/webhook/stripe');
+
+const { STATUS, MAX_ATTEMPTS, RETRY_BASE_DELAY_MS } = webhookEvents;
+
+// Test results tracking
+let passed = 0;
+let failed = 0;
+const results = [];
+
+/**
+ * Simple test runner
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    results.push({ name, status: 'PASS' });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    results.push({ name, status: 'FAIL', error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+/**
+ * Build a Stripe-like event
+ */
+function makeEvent(id, type = 'customer.subscription.updated', object = {}) {
+  return { id, type, data: { object } };
+}
+
+/**
+ * Handler that counts its calls and fails while `failing` is set
+ */
+function countingHandler() {
+  const handler = async (event) => {
+    handler.calls.push(event.id);
+    if (handler.failing === 'throw') {
+      throw new Error('handler blew up');
+    }
+    if (handler.failing) {
+      return { success: false, message: 'could not apply' };
+    }
+    return { success: true, message: `handled ${event.type}` };
+  };
+  handler.calls = [];
+  handler.failing = false;
+  return handler;
+}
+
+/**
+ * Run fn with Date.now moved forward by ms
+ */
+async function later(ms, fn) {
+  const realNow = Date.now;
+  Date.now = () => realNow() + ms;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+// ============================================
+// PROCESSING
+// ============================================
+
+async function runProcessingTests() {
+  console.log('\n=== Processing ===\n');
+
+  await test('uses the in-memory store without Supabase', () => {
+    assert.strictEqual(webhookEvents.isPersistent(), false);
+  });
+
+  await test('a new event is handled and stored as processed', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    const outcome = await webhookEvents.processEvent(makeEvent('evt_1'), handler);
+
+    assert.strictEqual(outcome.processed, true);
+    assert.strictEqual(outcome.duplicate, false);
+    assert.strictEqual(outcome.status, STATUS.PROCESSED);
+    assert.strictEqual(outcome.result.message, 'handled customer.subscription.updated');
+
+    const stored = await webhookEvents.getEvent('evt_1');
+    assert.strictEqual(stored.status, STATUS.PROCESSED);
+    assert.strictEqual(stored.attempts, 1);
+    assert.ok(stored.processedAt);
+    assert.strictEqual(stored.payload.id, 'evt_1');
+  });
+
+  await test('redeliveries of any event type are answered from the stored result', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    const types = ['customer.subscription.updated', 'customer.subscription.deleted', 'invoice.payment_failed'];
+
+    for (const [i, type] of types.entries()) {
+      await webhookEvents.processEvent(makeEvent(`evt_type_${i}`, type), handler);
+      const again = await webhookEvents.processEvent(makeEvent(`evt_type_${i}`, type), handler);
+      assert.strictEqual(again.duplicate, true);
+      assert.strictEqual(again.processed, true);
+      assert.strictEqual(again.result.message, `handled ${type}`);
+    }
+
+    assert.deepStrictEqual(handler.calls, ['evt_type_0', 'evt_type_1', 'evt_type_2']);
+  });
+
+  await test('a delivery arriving while the event is running is not handled twice', async () => {
+    webhookEvents.clearAll();
+    let release;
+    const slow = async () => {
+      await new Promise(resolve => { release = resolve; });
+      return { success: true };
+    };
+    const handler = countingHandler();
+
+    const first = webhookEvents.processEvent(makeEvent('evt_parallel'), slow);
+    const second = await webhookEvents.processEvent(makeEvent('evt_parallel'), handler);
+    release();
+    await first;
+
+    assert.strictEqual(second.duplicate, true);
+    assert.strictEqual(second.status, STATUS.PROCESSING);
+    assert.strictEqual(handler.calls.length, 0);
+  });
+
+  await test('a run whose lease ran out can be taken over', async () => {
+    webhookEvents.clearAll();
+    // Never settles, like a process that died mid-event
+    webhookEvents.processEvent(makeEvent('evt_stuck'), () => new Promise(() => {}));
+    const handler = countingHandler();
+
+    const outcome = await later(10 * 60 * 1000, () =>
+      webhookEvents.processEvent(makeEvent('evt_stuck'), handler));
+    assert.strictEqual(outcome.status, STATUS.PROCESSED);
+    assert.deepStrictEqual(handler.calls, ['evt_stuck']);
+  });
+}
+
+// ============================================
+// FAILURES, RETRIES & DEAD LETTERS
+// ============================================
+
+async function runFailureTests() {
+  console.log('\n=== Failures, Retries & Dead Letters ===\n');
+
+  await test('a handler returning success: false marks the event failed with a backoff', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = true;
+
+    const before = Date.now();
+    const outcome = await webhookEvents.processEvent(makeEvent('evt_fail'), handler);
+    assert.strictEqual(outcome.processed, false);
+    assert.strictEqual(outcome.status, STATUS.FAILED);
+    assert.strictEqual(outcome.error, 'could not apply');
+
+    const stored = await webhookEvents.getEvent('evt_fail');
+    assert.strictEqual(stored.attempts, 1);
+    assert.ok(new Date(stored.nextAttemptAt).getTime() >= before + RETRY_BASE_DELAY_MS);
+  });
+
+  await test('a throwing handler marks the event failed', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = 'throw';
+
+    const outcome = await webhookEvents.processEvent(makeEvent('evt_throw'), handler);
+    assert.strictEqual(outcome.status, STATUS.FAILED);
+    assert.strictEqual(outcome.error, 'handler blew up');
+  });
+
+  await test('Stripe redelivering a failed event runs it again', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = true;
+    await webhookEvents.processEvent(makeEvent('evt_redeliver'), handler);
+
+    handler.failing = false;
+    const outcome = await webhookEvents.processEvent(makeEvent('evt_redeliver'), handler);
+    assert.strictEqual(outcome.status, STATUS.PROCESSED);
+    assert.strictEqual(outcome.duplicate, false);
+    assert.strictEqual((await webhookEvents.getEvent('evt_redeliver')).attempts, 2);
+  });
+
+  await test('retryDueEvents only retries events whose backoff has passed', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = true;
+    await webhookEvents.processEvent(makeEvent('evt_retry'), handler);
+    await webhookEvents.processEvent(makeEvent('evt_done'), countingHandler());
+
+    handler.failing = false;
+    handler.calls = [];
+    assert.deepStrictEqual(await webhookEvents.retryDueEvents(handler), { retried: 0, processed: 0 });
+
+    const sweep = await later(RETRY_BASE_DELAY_MS + 1000, () => webhookEvents.retryDueEvents(handler));
+    assert.deepStrictEqual(sweep, { retried: 1, processed: 1 });
+    assert.deepStrictEqual(handler.calls, ['evt_retry']);
+    assert.strictEqual((await webhookEvents.getEvent('evt_retry')).status, STATUS.PROCESSED);
+  });
+
+  await test('the backoff doubles after each failure', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = true;
+    await webhookEvents.processEvent(makeEvent('evt_backoff'), handler);
+    await webhookEvents.processEvent(makeEvent('evt_backoff'), handler);
+
+    const stored = await webhookEvents.getEvent('evt_backoff');
+    const delay = new Date(stored.nextAttemptAt).getTime() - Date.now();
+    assert.ok(delay > RETRY_BASE_DELAY_MS * 1.5 && delay <= RETRY_BASE_DELAY_MS * 2);
+  });
+
+  await test(`an event is dead-lettered after ${MAX_ATTEMPTS} failed attempts`, async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    handler.failing = true;
+
+    let outcome;
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      outcome = await webhookEvents.processEvent(makeEvent('evt_dead'), handler);
+    }
+    assert.strictEqual(outcome.status, STATUS.DEAD);
+
+    // No more automatic runs, from Stripe or the sweep
+    const again = await webhookEvents.processEvent(makeEvent('evt_dead'), handler);
+    assert.strictEqual(again.duplicate, true);
+    const sweep = await later(365 * 24 * 60 * 60 * 1000, () => webhookEvents.retryDueEvents(handler));
+    assert.strictEqual(sweep.retried, 0);
+    assert.strictEqual(handler.calls.length, MAX_ATTEMPTS);
+
+    const dead = await webhookEvents.listEvents({ status: STATUS.DEAD });
+    assert.deepStrictEqual(dead.map(e => e.id), ['evt_dead']);
+    assert.ok(!('payload' in dead[0]), 'listing leaves out the payload');
+  });
+
+  await test('admin replay runs a dead event again', async () => {
+    const handler = countingHandler();
+    const record = await webhookEvents.replayEvent('evt_dead', handler);
+
+    assert.strictEqual(record.status, STATUS.PROCESSED);
+    assert.strictEqual(record.attempts, MAX_ATTEMPTS + 1);
+    assert.ok(!('payload' in record));
+    assert.deepStrictEqual(handler.calls, ['evt_dead']);
+  });
+
+  await test('admin replay leaves processed events alone and returns null for unknown ones', async () => {
+    const handler = countingHandler();
+    const record = await webhookEvents.replayEvent('evt_dead', handler);
+    assert.strictEqual(record.status, STATUS.PROCESSED);
+    assert.strictEqual(handler.calls.length, 0);
+    assert.strictEqual(await webhookEvents.replayEvent('evt_missing', handler), null);
+  });
+
+  await test('listEvents filters by status, newest first', async () => {
+    webhookEvents.clearAll();
+    const handler = countingHandler();
+    await webhookEvents.processEvent(makeEvent('evt_a'), handler);
+    handler.failing = true;
+    await webhookEvents.processEvent(makeEvent('evt_b'), handler);
+    handler.failing = false;
+    await webhookEvents.processEvent(makeEvent('evt_c'), handler);
+
+    assert.deepStrictEqual((await webhookEvents.listEvents()).map(e => e.id), ['evt_c', 'evt_b', 'evt_a']);
+    assert.deepStrictEqual((await webhookEvents.listEvents({ status: STATUS.FAILED })).map(e => e.id), ['evt_b']);
+    assert.deepStrictEqual((await webhookEvents.listEvents({ limit: 1 })).map(e => e.id), ['evt_c']);
+  });
+}
+
+// ============================================
+// WEBHOOK HANDLERS
+// ============================================
+
+/**
+ * Call the Vercel webhook handler with a signed event
+ */
+async function callVercelHandler(event) {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  const req = Readable.from([Buffer.from(payload)]);
+  req.method = 'POST';
+  req.headers = { 'stripe-signature': signature };
+
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+
+  await webhookHandler(req, res);
+  return res;
+}
+
+async function runHandlerTests() {
+  console.log('\n=== Webhook Handlers ===\n');
+
+  await test('toWebhookResponse asks Stripe to retry only while the event is failing', () => {
+    assert.strictEqual(webhookEvents.toWebhookResponse({ status: STATUS.PROCESSED, duplicate: false, result: {} }).statusCode, 200);
+    assert.strictEqual(webhookEvents.toWebhookResponse({ status: STATUS.FAILED, error: 'x' }).statusCode, 500);
+    assert.strictEqual(webhookEvents.toWebhookResponse({ status: STATUS.DEAD, error: 'x' }).statusCode, 200);
+    assert.strictEqual(webhookEvents.toWebhookResponse({ status: STATUS.PROCESSING }).statusCode, 409);
+
+    const { body } = webhookEvents.toWebhookResponse({ status: STATUS.PROCESSED, duplicate: true, result: { message: 'ok' } });
+    assert.deepStrictEqual(body, { received: true, duplicate: true, message: 'ok' });
+  });
+
+  await test('processWebhookEvent grants a credit checkout once through the event store', async () => {
+    webhookEvents.clearAll();
+    credits.clearAll();
+    const event = makeEvent('evt_checkout', 'checkout.session.completed', {
+      id: 'cs_events',
+      mode: 'payment',
+      customer: 'cus_events',
+      metadata: { userId: 'user-events', type: 'credit', quantity: '3' }
+    });
+
+    const first = await webhookEvents.processEvent(event, stripeService.processWebhookEvent);
+    const retry = await webhookEvents.processEvent(event, stripeService.processWebhookEvent);
+
+    assert.strictEqual(first.result.creditsAdded, 3);
+    assert.strictEqual(retry.duplicate, true);
+    assert.strictEqual(retry.result.creditsAdded, 3);
+    assert.strictEqual(await credits.getBalance('user-events'), 3);
+  });
+
+  await test('a checkout whose credits were refused fails without a receipt', async () => {
+    webhookEvents.clearAll();
+    const grantCredits = credits.grantCredits;
+    const sendCheckoutReceipt = emailService.sendCheckoutReceipt;
+    const receipts = [];
+    credits.grantCredits = async () => ({ applied: false, balance: null, reason: credits.REFUSAL.NO_PROFILE, entryId: null });
+    emailService.sendCheckoutReceipt = async (session) => { receipts.push(session.id); };
+
+    try {
+      const event = makeEvent('evt_refused', 'checkout.session.completed', {
+        id: 'cs_refused',
+        mode: 'payment',
+        customer: 'cus_refused',
+        metadata: { userId: 'user-refused', type: 'credit', quantity: '2' }
+      });
+
+      const outcome = await webhookEvents.processEvent(event, stripeService.processWebhookEvent);
+      assert.strictEqual(outcome.status, STATUS.FAILED);
+      assert.deepStrictEqual(receipts, []);
+
+      // Sent once the retry grants the credits
+      credits.grantCredits = grantCredits;
+      const retried = await stripeService.processWebhookEvent(event);
+      assert.strictEqual(retried.success, true);
+      assert.deepStrictEqual(receipts, ['cs_refused']);
+    } finally {
+      credits.grantCredits = grantCredits;
+      emailService.sendCheckoutReceipt = sendCheckoutReceipt;
+    }
+  });
+
+  await test('Vercel handler processes a signed event once', async () => {
+    webhookEvents.clearAll();
+    const event = makeEvent('evt_vercel', 'invoice.payment_failed', { customer: 'cus_v' });
+
+    const first = await callVercelHandler(event);
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.body.type, 'invoice.payment_failed');
+    assert.strictEqual(first.body.duplicate, false);
+
+    const again = await callVercelHandler(event);
+    assert.strictEqual(again.statusCode, 200);
+    assert.strictEqual(again.body.duplicate, true);
+    assert.strictEqual((await webhookEvents.getEvent('evt_vercel')).attempts, 1);
+  });
+
+  await test('Vercel handler returns 500 for a failing event so Stripe retries', async () => {
+    webhookEvents.clearAll();
+    // No userId and no Supabase to look the customer up - handler fails
+    const event = makeEvent('evt_vercel_fail', 'customer.subscription.deleted', { customer: 'cus_unknown' });
+
+    const res = await callVercelHandler(event);
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.status, STATUS.FAILED);
+    assert.strictEqual((await webhookEvents.getEvent('evt_vercel_fail')).status, STATUS.FAILED);
+  });
+
+  await test('Vercel handler rejects a bad signature without storing the event', async () => {
+    webhookEvents.clearAll();
+    const req = Readable.from([Buffer.from(JSON.stringify(makeEvent('evt_forged')))]);
+    req.method = 'POST';
+    req.headers = { 'stripe-signature': 't=1,v1=forged' };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+
+    await webhookHandler(req, res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(await webhookEvents.getEvent('evt_forged'), null);
+  });
+}
+
+// ============================================
+// MAIN TEST RUNNER
+// ============================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Webhook Event Store Unit Tests');
+  console.log('='.repeat(60));
+  console.log('');
+
+  await runProcessingTests();
+  await runFailureTests();
+  await runHandlerTests();
+
+  // Print summary
+  console.log('\n' + '='.repeat(60));
+  console.log('Test Summary');
+  console.log('='.repeat(60));
+  console.log(`Passed: ${passed}`);
+  console.log(`Failed: ${failed}`);
+  console.log(`Total:  ${passed + failed}`);
+  console.log('');
+
+  if (failed > 0) {
+    console.log('Failed Tests:');
+    results
+      .filter(r => r.status === 'FAIL')
+      .forEach(r => console.log(`  - ${r.name}: ${r.error}`));
+    process.exit(1);
+  } else {
+    console.log('All tests passed!');
+    process.exit(0);
+  }
+}
+
+main();
@@ -22,9 +22,9 @@ const results = [];
 /**
  * Simple test runner
  */
-function test(name, fn) {
+async function test(name, fn) {
   try {
-    fn();
+    await fn();
     passed++;
     results.push({ name, status: 'PASS' });
     console.log(`  ✓ ${name}`);
@@ -85,7 +85,7 @@ function assertType(value, type, message) {
 // GENERATIONS SERVICE TESTS
 // ============================================
 
-function runGenerationsTests() {
+async function runGenerationsTests() {
   console.log('\n=== Generations Service Tests ===\n');
 
   // Clear before tests
@@ -96,42 +96,42 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('createGeneration:');
 
-  test('creates generation with unique id', () => {
-    const gen = generations.createGeneration('user-123', '/epstein-photos/test.jpg');
+  await test('creates generation with unique id', async () => {
+    const gen = await generations.createGeneration('user-123', '/epstein-photos/test.jpg');
     assertExists(gen.id, 'Should have id');
     assertType(gen.id, 'string', 'ID should be string');
-    assertEqual(gen.id.length, 32, 'ID should be 32 characters (16 bytes hex)');
+    assertEqual(gen.id.length, 36, 'ID should be a 36 character UUID');
   });
 
-  test('creates generation with correct userId', () => {
-    const gen = generations.createGeneration('user-456', '/epstein-photos/test.jpg');
+  await test('creates generation with correct userId', async () => {
+    const gen = await generations.createGeneration('user-456', '/epstein-photos/test.jpg');
     assertEqual(gen.userId, 'user-456', 'Should have correct userId');
   });
 
-  test('creates generation with correct epsteinPhoto', () => {
-    const gen = generations.createGeneration('user-789', '/epstein-photos/photo1.jpg');
+  await test('creates generation with correct epsteinPhoto', async () => {
+    const gen = await generations.createGeneration('user-789', '/epstein-photos/photo1.jpg');
     assertEqual(gen.epsteinPhoto, '/epstein-photos/photo1.jpg', 'Should have correct epsteinPhoto');
   });
 
-  test('creates generation with pending status', () => {
-    const gen = generations.createGeneration('user-test', '/epstein-photos/test.jpg');
+  await test('creates generation with pending status', async () => {
+    const gen = await generations.createGeneration('user-test', '/epstein-photos/test.jpg');
     assertEqual(gen.status, generations.STATUS.PENDING, 'Should have pending status');
   });
 
-  test('creates generation with null resultUrl', () => {
-    const gen = generations.createGeneration('user-test', '/epstein-photos/test.jpg');
+  await test('creates generation with null resultUrl', async () => {
+    const gen = await generations.createGeneration('user-test', '/epstein-photos/test.jpg');
     assertNull(gen.resultUrl, 'resultUrl should be null');
   });
 
-  test('creates generation with null error fields', () => {
-    const gen = generations.createGeneration('user-test', '/epstein-photos/test.jpg');
+  await test('creates generation with null error fields', async () => {
+    const gen = await generations.createGeneration('user-test', '/epstein-photos/test.jpg');
     assertNull(gen.errorCode, 'errorCode should be null');
     assertNull(gen.errorMessage, 'errorMessage should be null');
   });
 
-  test('creates generation with createdAt timestamp', () => {
+  await test('creates generation with createdAt timestamp', async () => {
     const before = new Date().toISOString();
-    const gen = generations.createGeneration('user-test', '/epstein-photos/test.jpg');
+    const gen = await generations.createGeneration('user-test', '/epstein-photos/test.jpg');
     const after = new Date().toISOString();
 
     assertExists(gen.createdAt, 'Should have createdAt');
@@ -139,14 +139,14 @@ function runGenerationsTests() {
     assertTrue(gen.createdAt <= after, 'createdAt should be <= after');
   });
 
-  test('creates generation with null completedAt', () => {
-    const gen = generations.createGeneration('user-test', '/epstein-photos/test.jpg');
+  await test('creates generation with null completedAt', async () => {
+    const gen = await generations.createGeneration('user-test', '/epstein-photos/test.jpg');
     assertNull(gen.completedAt, 'completedAt should be null');
   });
 
-  test('generates unique IDs for each generation', () => {
-    const gen1 = generations.createGeneration('user-1', '/epstein-photos/test.jpg');
-    const gen2 = generations.createGeneration('user-2', '/epstein-photos/test.jpg');
+  await test('generates unique IDs for each generation', async () => {
+    const gen1 = await generations.createGeneration('user-1', '/epstein-photos/test.jpg');
+    const gen2 = await generations.createGeneration('user-2', '/epstein-photos/test.jpg');
     assertNotEqual(gen1.id, gen2.id, 'IDs should be unique');
   });
 
@@ -155,26 +155,26 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\ncompleteGeneration:');
 
-  test('updates status to completed', () => {
-    const gen = generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
-    const updated = generations.completeGeneration(gen.id, '/output/result.png');
+  await test('updates status to completed', async () => {
+    const gen = await generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
+    const updated = await generations.completeGeneration(gen.id, '/output/result.png');
     assertEqual(updated.status, generations.STATUS.COMPLETED, 'Should have completed status');
   });
 
-  test('sets resultUrl correctly', () => {
-    const gen = generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
-    const updated = generations.completeGeneration(gen.id, '/output/result123.png');
+  await test('sets resultUrl correctly', async () => {
+    const gen = await generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
+    const updated = await generations.completeGeneration(gen.id, '/output/result123.png');
     assertEqual(updated.resultUrl, '/output/result123.png', 'Should have correct resultUrl');
   });
 
-  test('sets completedAt timestamp', () => {
-    const gen = generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
-    const updated = generations.completeGeneration(gen.id, '/output/result.png');
+  await test('sets completedAt timestamp', async () => {
+    const gen = await generations.createGeneration('user-complete', '/epstein-photos/test.jpg');
+    const updated = await generations.completeGeneration(gen.id, '/output/result.png');
     assertExists(updated.completedAt, 'Should have completedAt');
   });
 
-  test('returns null for non-existent id', () => {
-    const result = generations.completeGeneration('non-existent-id', '/output/result.png');
+  await test('returns null for non-existent id', async () => {
+    const result = await generations.completeGeneration('non-existent-id', '/output/result.png');
     assertNull(result, 'Should return null for non-existent id');
   });
 
@@ -183,32 +183,32 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\nfailGeneration:');
 
-  test('updates status to failed', () => {
-    const gen = generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
+  await test('updates status to failed', async () => {
+    const gen = await generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
     assertEqual(updated.status, generations.STATUS.FAILED, 'Should have failed status');
   });
 
-  test('sets errorCode correctly', () => {
-    const gen = generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'NO_FACE', 'No face detected');
+  await test('sets errorCode correctly', async () => {
+    const gen = await generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'NO_FACE', 'No face detected');
     assertEqual(updated.errorCode, 'NO_FACE', 'Should have correct errorCode');
   });
 
-  test('sets errorMessage correctly', () => {
-    const gen = generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'TIMEOUT', 'Request timed out');
+  await test('sets errorMessage correctly', async () => {
+    const gen = await generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'TIMEOUT', 'Request timed out');
     assertEqual(updated.errorMessage, 'Request timed out', 'Should have correct errorMessage');
   });
 
-  test('sets completedAt timestamp on failure', () => {
-    const gen = generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'ERROR', 'Something went wrong');
+  await test('sets completedAt timestamp on failure', async () => {
+    const gen = await generations.createGeneration('user-fail', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'ERROR', 'Something went wrong');
     assertExists(updated.completedAt, 'Should have completedAt');
   });
 
-  test('returns null for non-existent id', () => {
-    const result = generations.failGeneration('non-existent-id', 'ERROR', 'Test');
+  await test('returns null for non-existent id', async () => {
+    const result = await generations.failGeneration('non-existent-id', 'ERROR', 'Test');
     assertNull(result, 'Should return null for non-existent id');
   });
 
@@ -217,14 +217,14 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\ngetGeneration:');
 
-  test('retrieves generation by id', () => {
-    const gen = generations.createGeneration('user-get', '/epstein-photos/test.jpg');
-    const retrieved = generations.getGeneration(gen.id);
+  await test('retrieves generation by id', async () => {
+    const gen = await generations.createGeneration('user-get', '/epstein-photos/test.jpg');
+    const retrieved = await generations.getGeneration(gen.id);
     assertEqual(retrieved.id, gen.id, 'Should retrieve correct generation');
   });
 
-  test('returns null for non-existent id', () => {
-    const result = generations.getGeneration('definitely-not-an-id');
+  await test('returns null for non-existent id', async () => {
+    const result = await generations.getGeneration('definitely-not-an-id');
     assertNull(result, 'Should return null for non-existent id');
   });
 
@@ -233,28 +233,28 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\ngetGenerations:');
 
-  test('returns empty array for user with no generations', () => {
-    const result = generations.getGenerations('brand-new-user');
+  await test('returns empty array for user with no generations', async () => {
+    const result = await generations.getGenerations('brand-new-user');
     assertTrue(Array.isArray(result), 'Should return array');
     assertEqual(result.length, 0, 'Should be empty');
   });
 
-  test('returns generations for user', () => {
+  await test('returns generations for user', async () => {
     // Create a few generations for a specific user
-    generations.createGeneration('user-history-1', '/epstein-photos/a.jpg');
-    generations.createGeneration('user-history-1', '/epstein-photos/b.jpg');
-    generations.createGeneration('user-history-1', '/epstein-photos/c.jpg');
+    await generations.createGeneration('user-history-1', '/epstein-photos/a.jpg');
+    await generations.createGeneration('user-history-1', '/epstein-photos/b.jpg');
+    await generations.createGeneration('user-history-1', '/epstein-photos/c.jpg');
 
-    const result = generations.getGenerations('user-history-1');
+    const result = await generations.getGenerations('user-history-1');
     assertEqual(result.length, 3, 'Should return 3 generations');
   });
 
-  test('only returns generations for specified user', () => {
-    generations.createGeneration('user-A', '/epstein-photos/a.jpg');
-    generations.createGeneration('user-B', '/epstein-photos/b.jpg');
+  await test('only returns generations for specified user', async () => {
+    await generations.createGeneration('user-A', '/epstein-photos/a.jpg');
+    await generations.createGeneration('user-B', '/epstein-photos/b.jpg');
 
-    const resultA = generations.getGenerations('user-A');
-    const resultB = generations.getGenerations('user-B');
+    const resultA = await generations.getGenerations('user-A');
+    const resultB = await generations.getGenerations('user-B');
 
     // At least 1 for each (may have more from previous tests)
     assertTrue(resultA.length >= 1, 'User A should have generations');
@@ -265,24 +265,24 @@ function runGenerationsTests() {
     assertTrue(resultB.every(g => g.userId === 'user-B'), 'All should be for user B');
   });
 
-  test('respects limit parameter', () => {
+  await test('respects limit parameter', async () => {
     // Create multiple generations
     for (let i = 0; i < 5; i++) {
-      generations.createGeneration('user-limit-test', `/epstein-photos/${i}.jpg`);
+      await generations.createGeneration('user-limit-test', `/epstein-photos/${i}.jpg`);
     }
 
-    const result = generations.getGenerations('user-limit-test', 2);
+    const result = await generations.getGenerations('user-limit-test', 2);
     assertEqual(result.length, 2, 'Should respect limit of 2');
   });
 
-  test('returns results sorted by createdAt descending', () => {
+  await test('returns results sorted by createdAt descending', async () => {
     generations.clearAll();
 
     // Create generations - they may have same timestamp if created quickly
-    const gen1 = generations.createGeneration('user-order', '/epstein-photos/first.jpg');
-    const gen2 = generations.createGeneration('user-order', '/epstein-photos/second.jpg');
+    const gen1 = await generations.createGeneration('user-order', '/epstein-photos/first.jpg');
+    const gen2 = await generations.createGeneration('user-order', '/epstein-photos/second.jpg');
 
-    const result = generations.getGenerations('user-order');
+    const result = await generations.getGenerations('user-order');
 
     // Both should be returned
     assertEqual(result.length, 2, 'Should return both generations');
@@ -299,15 +299,15 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\nSTATUS constants:');
 
-  test('has PENDING status', () => {
+  await test('has PENDING status', async () => {
     assertEqual(generations.STATUS.PENDING, 'pending', 'PENDING should be "pending"');
   });
 
-  test('has COMPLETED status', () => {
+  await test('has COMPLETED status', async () => {
     assertEqual(generations.STATUS.COMPLETED, 'completed', 'COMPLETED should be "completed"');
   });
 
-  test('has FAILED status', () => {
+  await test('has FAILED status', async () => {
     assertEqual(generations.STATUS.FAILED, 'failed', 'FAILED should be "failed"');
   });
 
@@ -316,13 +316,13 @@ function runGenerationsTests() {
   // -------------------------------------------
   console.log('\nclearAll:');
 
-  test('clears all generations', () => {
-    generations.createGeneration('user-clear', '/epstein-photos/test.jpg');
-    generations.createGeneration('user-clear', '/epstein-photos/test2.jpg');
+  await test('clears all generations', async () => {
+    await generations.createGeneration('user-clear', '/epstein-photos/test.jpg');
+    await generations.createGeneration('user-clear', '/epstein-photos/test2.jpg');
 
     generations.clearAll();
 
-    const result = generations.getGenerations('user-clear');
+    const result = await generations.getGenerations('user-clear');
     assertEqual(result.length, 0, 'Should have no generations after clear');
   });
 }
@@ -331,7 +331,7 @@ function runGenerationsTests() {
 // USAGE SERVICE TESTS
 // ============================================
 
-function runUsageTests() {
+async function runUsageTests() {
   console.log('\n=== Usage Service Tests ===\n');
 
   // Reset before tests
@@ -343,32 +343,32 @@ function runUsageTests() {
   // -------------------------------------------
   console.log('getUserTier:');
 
-  test('returns anonymous for null userId', () => {
+  await test('returns anonymous for null userId', async () => {
     const tier = usage.getUserTier(null);
     assertEqual(tier, 'anonymous', 'Should return anonymous');
   });
 
-  test('returns anonymous for undefined userId', () => {
+  await test('returns anonymous for undefined userId', async () => {
     const tier = usage.getUserTier(undefined);
     assertEqual(tier, 'anonymous', 'Should return anonymous');
   });
 
-  test('returns free for user with no subscription', () => {
+  await test('returns free for user with no subscription', async () => {
     const tier = usage.getUserTier('user-123', { subscription_status: null });
     assertEqual(tier, 'free', 'Should return free');
   });
 
-  test('returns free for user with inactive subscription', () => {
+  await test('returns free for user with inactive subscription', async () => {
     const tier = usage.getUserTier('user-123', { subscription_status: 'cancelled' });
     assertEqual(tier, 'free', 'Should return free');
   });
 
-  test('returns paid for user with active subscription', () => {
+  await test('returns paid for user with active subscription', async () => {
     const tier = usage.getUserTier('user-123', { subscription_status: 'active' });
     assertEqual(tier, 'paid', 'Should return paid');
   });
 
-  test('returns free for user without profile', () => {
+  await test('returns free for user without profile', async () => {
     const tier = usage.getUserTier('user-123', null);
     assertEqual(tier, 'free', 'Should return free');
   });
@@ -378,7 +378,7 @@ function runUsageTests() {
   // -------------------------------------------
   console.log('\ncheckUsage:');
 
-  test('anonymous user has total limit of 6 (5 quick + 1 premium)', () => {
+  await test('anonymous user has total limit of 6 (5 quick + 1 premium)', async () => {
     usage.resetAnonymousUsage('check-test-ip');
     const result = usage.checkUsage(null, null, 'check-test-ip', 'quick');
     assertEqual(result.limit, 6, 'Anonymous total limit should be 6');
@@ -386,7 +386,7 @@ function runUsageTests() {
     assertEqual(result.premiumLimit, 1, 'Anonymous premium limit should be 1');
   });
 
-  test('anonymous user starts with 0 used', () => {
+  await test('anonymous user starts with 0 used', async () => {
     usage.resetAnonymousUsage('fresh-ip');
     const result = usage.checkUsage(null, null, 'fresh-ip', 'quick');
     assertEqual(result.used, 0, 'Should start with 0 used');
@@ -394,36 +394,36 @@ function runUsageTests() {
     assertEqual(result.premiumUsed, 0, 'Should start with 0 premium used');
   });
 
-  test('anonymous user canGenerate is true initially for quick model', () => {
+  await test('anonymous user canGenerate is true initially for quick model', async () => {
     usage.resetAnonymousUsage('can-gen-ip');
     const result = usage.checkUsage(null, null, 'can-gen-ip', 'quick');
     assertTrue(result.canGenerate, 'Should be able to generate quick initially');
   });
 
-  test('anonymous user canGenerate is true initially for premium model', () => {
+  await test('anonymous user canGenerate is true initially for premium model', async () => {
     usage.resetAnonymousUsage('can-gen-premium-ip');
     const result = usage.checkUsage(null, null, 'can-gen-premium-ip', 'premium');
     assertTrue(result.canGenerate, 'Should be able to generate premium initially');
   });
 
-  test('free user has limit of 6 (5 quick + 1 premium)', () => {
+  await test('free user has limit of 6 (5 quick + 1 premium)', async () => {
     const result = usage.checkUsage('user-free', { generation_count: 0, quick_count: 0, premium_count: 0 }, null, 'quick');
     assertEqual(result.limit, 6, 'Free total limit should be 6');
     assertEqual(result.quickLimit, 5, 'Free quick limit should be 5');
     assertEqual(result.premiumLimit, 1, 'Free premium limit should be 1');
   });
 
-  test('base tier user has monthly limit of 50', () => {
+  await test('base tier user has monthly limit of 50', async () => {
     const result = usage.checkUsage('user-base', { tier: 'base', monthly_generation_count: 0 }, null, 'quick');
     assertEqual(result.monthlyLimit, 50, 'Base monthly limit should be 50');
   });
 
-  test('paid user has unlimited limit', () => {
+  await test('paid user has unlimited limit', async () => {
     const result = usage.checkUsage('user-paid', { subscription_status: 'active' }, null, 'quick');
     assertEqual(result.limit, 'unlimited', 'Paid limit should be unlimited');
   });
 
-  test('returns correct tier name', () => {
+  await test('returns correct tier name', async () => {
     const anonymous = usage.checkUsage(null, null, 'tier-name-ip', 'quick');
     assertEqual(anonymous.tierName, 'Anonymous', 'Should return Anonymous');
 
@@ -434,27 +434,27 @@ function runUsageTests() {
     assertEqual(paid.tierName, 'Base', 'Should return Base');
   });
 
-  test('calculates quick remaining correctly', () => {
+  await test('calculates quick remaining correctly', async () => {
     const result = usage.checkUsage('user-remaining', { quick_count: 2, premium_count: 0 }, null, 'quick');
     assertEqual(result.quickRemaining, 3, 'Should have 3 quick remaining (5 - 2)');
   });
 
-  test('calculates premium remaining correctly', () => {
+  await test('calculates premium remaining correctly', async () => {
     const result = usage.checkUsage('user-remaining', { quick_count: 0, premium_count: 0 }, null, 'premium');
     assertEqual(result.premiumRemaining, 1, 'Should have 1 premium remaining (1 - 0)');
   });
 
-  test('canGenerate is false for quick when at quick limit', () => {
+  await test('canGenerate is false for quick when at quick limit', async () => {
     const result = usage.checkUsage('user-at-limit', { quick_count: 5, premium_count: 0 }, null, 'quick');
     assertFalse(result.canGenerate, 'Should not be able to generate quick at limit');
   });
 
-  test('canGenerate is false for premium when at premium limit', () => {
+  await test('canGenerate is false for premium when at premium limit', async () => {
     const result = usage.checkUsage('user-at-limit', { quick_count: 0, premium_count: 1 }, null, 'premium');
     assertFalse(result.canGenerate, 'Should not be able to generate premium at limit');
   });
 
-  test('base tier user canGenerate when under monthly limit', () => {
+  await test('base tier user canGenerate when under monthly limit', async () => {
     const result = usage.checkUsage('user-base', {
       tier: 'base',
       monthly_generation_count: 25
@@ -462,7 +462,7 @@ function runUsageTests() {
     assertTrue(result.canGenerate, 'Base tier should be able to generate under monthly limit');
   });
 
-  test('base tier user cannot generate when at monthly limit', () => {
+  await test('base tier user cannot generate when at monthly limit', async () => {
     const result = usage.checkUsage('user-base', {
       tier: 'base',
       monthly_generation_count: 50,
@@ -471,7 +471,7 @@ function runUsageTests() {
     assertFalse(result.canGenerate, 'Base tier should not generate at monthly limit without credits');
   });
 
-  test('paid user canGenerate with credits when over monthly limit', () => {
+  await test('paid user canGenerate with credits when over monthly limit', async () => {
     const result = usage.checkUsage('user-paid', {
       subscription_status: 'active',
       monthly_generation_count: 50,
@@ -480,7 +480,7 @@ function runUsageTests() {
     assertTrue(result.canGenerate, 'Paid user should generate with credits over monthly limit');
   });
 
-  test('paid user remaining is unlimited', () => {
+  await test('paid user remaining is unlimited', async () => {
     const result = usage.checkUsage('user-paid', {
       subscription_status: 'active',
       generation_count: 1000
@@ -488,12 +488,12 @@ function runUsageTests() {
     assertEqual(result.remaining, 'unlimited', 'Paid remaining should be unlimited');
   });
 
-  test('checkUsage includes modelType in response', () => {
+  await test('checkUsage includes modelType in response', async () => {
     const result = usage.checkUsage('user-1', { generation_count: 0 }, null, 'premium');
     assertEqual(result.modelType, 'premium', 'Should return modelType in response');
   });
 
-  test('checkUsage includes credit info', () => {
+  await test('checkUsage includes credit info', async () => {
     const result = usage.checkUsage('user-1', { generation_count: 0, credit_balance: 10 }, null, 'quick');
     assertEqual(result.credits, 10, 'Should return credit balance');
   });
@@ -503,7 +503,7 @@ function runUsageTests() {
   // -------------------------------------------
   console.log('\nincrementUsage:');
 
-  test('increments anonymous quick usage in memory', () => {
+  await test('increments anonymous quick usage in memory', async () => {
     usage.resetAnonymousUsage('increment-anon-ip');
     const result1 = usage.incrementUsage(null, null, 'increment-anon-ip', 'quick', false, 0);
     assertEqual(result1.newQuickCount, 1, 'First quick increment should be 1');
@@ -511,7 +511,7 @@ function runUsageTests() {
     assertTrue(result1.success, 'First increment should succeed');
   });
 
-  test('increments anonymous premium usage in memory', () => {
+  await test('increments anonymous premium usage in memory', async () => {
     usage.resetAnonymousUsage('increment-premium-ip');
     const result1 = usage.incrementUsage(null, null, 'increment-premium-ip', 'premium', false, 0);
     assertEqual(result1.newQuickCount, 0, 'Quick count should stay 0');
@@ -519,7 +519,7 @@ function runUsageTests() {
     assertTrue(result1.success, 'Premium increment should succeed');
   });
 
-  test('anonymous user can use all 5 quick generations', () => {
+  await test('anonymous user can use all 5 quick generations', async () => {
     usage.resetAnonymousUsage('five-quick-ip');
     for (let i = 1; i <= 5; i++) {
       const result = usage.incrementUsage(null, null, 'five-quick-ip', 'quick', false, 0);
@@ -528,38 +528,38 @@ function runUsageTests() {
     }
   });
 
-  test('anonymous shouldUpdateDb is false', () => {
+  await test('anonymous shouldUpdateDb is false', async () => {
     usage.resetAnonymousUsage('should-not-update-ip');
     const result = usage.incrementUsage(null, null, 'should-not-update-ip', 'quick', false, 0);
     assertFalse(result.shouldUpdateDb, 'Should not update DB for anonymous');
   });
 
-  test('authenticated user shouldUpdateDb is true', () => {
+  await test('authenticated user shouldUpdateDb is true', async () => {
     const result = usage.incrementUsage('user-auth', { generation_count: 0, quick_count: 0 }, null, 'quick', false, 0);
     assertTrue(result.success, 'Increment should succeed when under limit');
     assertTrue(result.shouldUpdateDb, 'Should update DB for authenticated user');
   });
 
-  test('authenticated user gets correct newCount for quick', () => {
+  await test('authenticated user gets correct newCount for quick', async () => {
     const result = usage.incrementUsage('user-auth', { generation_count: 0, quick_count: 0 }, null, 'quick', false, 0);
     assertTrue(result.success, 'Increment should succeed when under limit');
     assertEqual(result.newCount, 1, 'newCount should be 1 (0 + 1)');
     assertEqual(result.newQuickCount, 1, 'newQuickCount should be 1');
   });
 
-  test('authenticated user gets correct newCount for premium', () => {
+  await test('authenticated user gets correct newCount for premium', async () => {
     const result = usage.incrementUsage('user-auth', { generation_count: 0, premium_count: 0 }, null, 'premium', false, 0);
     assertTrue(result.success, 'Increment should succeed when under limit');
     assertEqual(result.newCount, 1, 'newCount should be 1 (0 + 1)');
     assertEqual(result.newPremiumCount, 1, 'newPremiumCount should be 1');
   });
 
-  test('handles null profile for authenticated user', () => {
+  await test('handles null profile for authenticated user', async () => {
     const result = usage.incrementUsage('user-no-profile', null, null, 'quick', false, 0);
     assertEqual(result.newCount, 1, 'Should start from 0 with null profile');
   });
 
-  test('base tier user increments monthly count', () => {
+  await test('base tier user increments monthly count', async () => {
     const result = usage.incrementUsage('user-base', {
       tier: 'base',
       generation_count: 10,
@@ -569,7 +569,7 @@ function runUsageTests() {
     assertEqual(result.newMonthlyCount, 6, 'Monthly count should increment');
   });
 
-  test('credit usage deducts from credit balance', () => {
+  await test('credit usage deducts from credit balance', async () => {
     const result = usage.incrementUsage('user-credits', {
       generation_count: 10,
       credit_balance: 5
@@ -579,7 +579,7 @@ function runUsageTests() {
     assertEqual(result.usedCredits, 1, 'Should track used credits');
   });
 
-  test('premium credit usage deducts 2 credits', () => {
+  await test('premium credit usage deducts 2 credits', async () => {
     const result = usage.incrementUsage('user-credits', {
       generation_count: 10,
       credit_balance: 5
@@ -589,7 +589,7 @@ function runUsageTests() {
     assertEqual(result.usedCredits, 2, 'Should track used credits');
   });
 
-  test('insufficient credits returns error', () => {
+  await test('insufficient credits returns error', async () => {
     const result = usage.incrementUsage('user-low-credits', {
       generation_count: 10,
       credit_balance: 1
@@ -603,7 +603,7 @@ function runUsageTests() {
   // -------------------------------------------
   console.log('\nresetAnonymousUsage:');
 
-  test('resets usage for IP', () => {
+  await test('resets usage for IP', async () => {
     // Use a unique IP to avoid collision with other tests
     const testIp = 'reset-test-ip-' + Date.now();
     usage.incrementUsage(null, null, testIp);
@@ -623,12 +623,12 @@ function runUsageTests() {
   // -------------------------------------------
   console.log('\ngetAnonymousStats:');
 
-  test('returns totalTracked number', () => {
+  await test('returns totalTracked number', async () => {
     const stats = usage.getAnonymousStats();
     assertType(stats.totalTracked, 'number', 'totalTracked should be a number');
   });
 
-  test('totalTracked increases with new IPs', () => {
+  await test('totalTracked increases with new IPs', async () => {
     const before = usage.getAnonymousStats().totalTracked;
     usage.incrementUsage(null, null, `unique-ip-${Date.now()}`);
     const after = usage.getAnonymousStats().totalTracked;
@@ -640,114 +640,114 @@ function runUsageTests() {
 // TIERS CONFIG TESTS
 // ============================================
 
-function runTiersTests() {
+async function runTiersTests() {
   console.log('\n=== Tiers Configuration Tests (Two-Tier System) ===\n');
   console.log('Tier definitions:');
 
-  test('anonymous tier exists', () => {
+  await test('anonymous tier exists', async () => {
     assertExists(tiers.anonymous, 'anonymous tier should exist');
   });
 
-  test('anonymous tier has total limit of 6', () => {
+  await test('anonymous tier has total limit of 6', async () => {
     assertEqual(tiers.anonymous.limit, 6, 'anonymous limit should be 6');
   });
 
-  test('anonymous tier has quickLimit of 5', () => {
+  await test('anonymous tier has quickLimit of 5', async () => {
     assertEqual(tiers.anonymous.quickLimit, 5, 'anonymous quickLimit should be 5');
   });
 
-  test('anonymous tier has premiumLimit of 1', () => {
+  await test('anonymous tier has premiumLimit of 1', async () => {
     assertEqual(tiers.anonymous.premiumLimit, 1, 'anonymous premiumLimit should be 1');
   });
 
-  test('anonymous tier has name', () => {
+  await test('anonymous tier has name', async () => {
     assertEqual(tiers.anonymous.name, 'Anonymous', 'anonymous name should be Anonymous');
   });
 
-  test('anonymous tier has watermark', () => {
+  await test('anonymous tier has watermark', async () => {
     assertFalse(tiers.anonymous.watermarkFree, 'anonymous should have watermark');
   });
 
-  test('free tier exists', () => {
+  await test('free tier exists', async () => {
     assertExists(tiers.free, 'free tier should exist');
   });
 
-  test('free tier has total limit of 6', () => {
+  await test('free tier has total limit of 6', async () => {
     assertEqual(tiers.free.limit, 6, 'free limit should be 6');
   });
 
-  test('free tier has quickLimit of 5', () => {
+  await test('free tier has quickLimit of 5', async () => {
     assertEqual(tiers.free.quickLimit, 5, 'free quickLimit should be 5');
   });
 
-  test('free tier has premiumLimit of 1', () => {
+  await test('free tier has premiumLimit of 1', async () => {
     assertEqual(tiers.free.premiumLimit, 1, 'free premiumLimit should be 1');
   });
 
-  test('free tier has name', () => {
+  await test('free tier has name', async () => {
     assertEqual(tiers.free.name, 'Free', 'free name should be Free');
   });
 
-  test('free tier can purchase credits', () => {
+  await test('free tier can purchase credits', async () => {
     assertTrue(tiers.free.canPurchaseCredits, 'free should be able to purchase credits');
   });
 
-  test('base tier exists', () => {
+  await test('base tier exists', async () => {
     assertExists(tiers.base, 'base tier should exist');
   });
 
-  test('base tier has unlimited limit', () => {
+  await test('base tier has unlimited limit', async () => {
     assertEqual(tiers.base.limit, Infinity, 'base limit should be Infinity');
   });
 
-  test('base tier has monthlyLimit of 50', () => {
+  await test('base tier has monthlyLimit of 50', async () => {
     assertEqual(tiers.base.monthlyLimit, 50, 'base monthlyLimit should be 50');
   });
 
-  test('base tier has name', () => {
+  await test('base tier has name', async () => {
     assertEqual(tiers.base.name, 'Base', 'base name should be Base');
   });
 
-  test('base tier is watermark-free', () => {
+  await test('base tier is watermark-free', async () => {
     assertTrue(tiers.base.watermarkFree, 'base should be watermark-free');
   });
 
-  test('paid tier exists (legacy)', () => {
+  await test('paid tier exists (legacy)', async () => {
     assertExists(tiers.paid, 'paid tier should exist');
   });
 
-  test('paid tier has unlimited limit', () => {
+  await test('paid tier has unlimited limit', async () => {
     assertEqual(tiers.paid.limit, Infinity, 'paid limit should be Infinity');
   });
 
-  test('paid tier has monthlyLimit of 50', () => {
+  await test('paid tier has monthlyLimit of 50', async () => {
     assertEqual(tiers.paid.monthlyLimit, 50, 'paid monthlyLimit should be 50');
   });
 
-  test('paid tier has name', () => {
+  await test('paid tier has name', async () => {
     assertEqual(tiers.paid.name, 'Base', 'paid name should be Base');
   });
 
-  test('all tiers have descriptions', () => {
+  await test('all tiers have descriptions', async () => {
     assertExists(tiers.anonymous.description, 'anonymous should have description');
     assertExists(tiers.free.description, 'free should have description');
     assertExists(tiers.base.description, 'base should have description');
     assertExists(tiers.paid.description, 'paid should have description');
   });
 
-  test('credit config exists', () => {
+  await test('credit config exists', async () => {
     assertExists(tiers.credit, 'credit config should exist');
   });
 
-  test('credit quickCost is 1', () => {
+  await test('credit quickCost is 1', async () => {
     assertEqual(tiers.credit.quickCost, 1, 'quick cost should be 1 credit');
   });
 
-  test('credit premiumCost is 2', () => {
+  await test('credit premiumCost is 2', async () => {
     assertEqual(tiers.credit.premiumCost, 2, 'premium cost should be 2 credits');
   });
 
-  test('models config exists', () => {
+  await test('models config exists', async () => {
     assertExists(tiers.models, 'models config should exist');
     assertExists(tiers.models.quick, 'quick model should exist');
     assertExists(tiers.models.premium, 'premium model should exist');
@@ -758,63 +758,63 @@ function runTiersTests() {
 // ERROR CODE TESTS
 // ============================================
 
-function runErrorCodeTests() {
+async function runErrorCodeTests() {
   console.log('\n=== Error Code Handling Tests ===\n');
   console.log('Error codes in generations:');
 
-  test('generation can fail with NO_FACE code', () => {
+  await test('generation can fail with NO_FACE code', async () => {
     generations.clearAll();
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'NO_FACE', 'No face detected');
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'NO_FACE', 'No face detected');
     assertEqual(updated.errorCode, 'NO_FACE', 'Should store NO_FACE code');
   });
 
-  test('generation can fail with MULTIPLE_FACES code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'MULTIPLE_FACES', 'Multiple faces detected');
+  await test('generation can fail with MULTIPLE_FACES code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'MULTIPLE_FACES', 'Multiple faces detected');
     assertEqual(updated.errorCode, 'MULTIPLE_FACES', 'Should store MULTIPLE_FACES code');
   });
 
-  test('generation can fail with IMAGE_TOO_SMALL code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'IMAGE_TOO_SMALL', 'Image too small');
+  await test('generation can fail with IMAGE_TOO_SMALL code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'IMAGE_TOO_SMALL', 'Image too small');
     assertEqual(updated.errorCode, 'IMAGE_TOO_SMALL', 'Should store IMAGE_TOO_SMALL code');
   });
 
-  test('generation can fail with SAFETY_BLOCK code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
+  await test('generation can fail with SAFETY_BLOCK code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'SAFETY_BLOCK', 'Content blocked');
     assertEqual(updated.errorCode, 'SAFETY_BLOCK', 'Should store SAFETY_BLOCK code');
   });
 
-  test('generation can fail with RATE_LIMITED code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'RATE_LIMITED', 'Too many requests');
+  await test('generation can fail with RATE_LIMITED code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'RATE_LIMITED', 'Too many requests');
     assertEqual(updated.errorCode, 'RATE_LIMITED', 'Should store RATE_LIMITED code');
   });
 
-  test('generation can fail with TIMEOUT code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'TIMEOUT', 'Request timed out');
+  await test('generation can fail with TIMEOUT code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'TIMEOUT', 'Request timed out');
     assertEqual(updated.errorCode, 'TIMEOUT', 'Should store TIMEOUT code');
   });
 
-  test('generation can fail with INVALID_FORMAT code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'INVALID_FORMAT', 'Invalid file format');
+  await test('generation can fail with INVALID_FORMAT code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'INVALID_FORMAT', 'Invalid file format');
     assertEqual(updated.errorCode, 'INVALID_FORMAT', 'Should store INVALID_FORMAT code');
   });
 
-  test('generation can fail with GENERATION_FAILED code', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
-    const updated = generations.failGeneration(gen.id, 'GENERATION_FAILED', 'Generation failed');
+  await test('generation can fail with GENERATION_FAILED code', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+    const updated = await generations.failGeneration(gen.id, 'GENERATION_FAILED', 'Generation failed');
     assertEqual(updated.errorCode, 'GENERATION_FAILED', 'Should store GENERATION_FAILED code');
   });
 
-  test('failed generation preserves error message', () => {
-    const gen = generations.createGeneration('error-user', '/epstein-photos/test.jpg');
+  await test('failed generation preserves error message', async () => {
+    const gen = await generations.createGeneration('error-user', '/epstein-photos/test.jpg');
     const customMessage = 'This is a detailed error message for debugging';
-    const updated = generations.failGeneration(gen.id, 'GENERATION_FAILED', customMessage);
+    const updated = await generations.failGeneration(gen.id, 'GENERATION_FAILED', customMessage);
     assertEqual(updated.errorMessage, customMessage, 'Should preserve error message');
   });
 }
@@ -823,17 +823,17 @@ function runErrorCodeTests() {
 // MAIN TEST RUNNER
 // ============================================
 
-function main() {
+async function main() {
   console.log('='.repeat(50));
   console.log('Pimp My Epstein Unit Tests');
   console.log('='.repeat(50));
   console.log('');
 
   // Run all test suites
-  runGenerationsTests();
-  runUsageTests();
-  runTiersTests();
-  runErrorCodeTests();
+  await runGenerationsTests();
+  await runUsageTests();
+  await runTiersTests();
+  await runErrorCodeTests();
 
   // Clean up
   generations.clearAll();